@@ -13,6 +13,8 @@ import Sidebar from './components/Layout/Sidebar';
 import Login from './pages/Auth/Login';
 import Dashboard from './pages/Dashboard/Dashboard';
 import Tasks from './pages/Tasks/Tasks';
+import Projects from './pages/Projects/Projects';
+import Okrs from './pages/Okrs/Okrs';
 import Calendar from './pages/Calendar/Calendar';
 import Documents from './pages/Documents/Documents';
 import Meetings from './pages/Meetings/Meetings';
@@ -20,6 +22,7 @@ import WeChat from './pages/WeChat/WeChat';
 import Notifications from './pages/Notifications/Notifications';
 import Profile from './pages/Profile/Profile';
 import Social from './pages/Social/Social';
+import Reports from './pages/Reports/Reports';
 
 // Auth Hook
 import { useAuth } from './hooks/useAuth';
@@ -107,9 +110,12 @@ const AppContent: React.FC = () => {
           <Route path="/" element={<Navigate to="/dashboard" replace />} />
           <Route path="/dashboard" element={<Dashboard />} />
           <Route path="/tasks" element={<Tasks />} />
+          <Route path="/projects" element={<Projects />} />
+          <Route path="/okrs" element={<Okrs />} />
           <Route path="/calendar" element={<Calendar />} />
           <Route path="/documents" element={<Documents />} />
           <Route path="/meetings" element={<Meetings />} />
+          <Route path="/reports" element={<Reports />} />
           <Route path="/wechat" element={<WeChat />} />
           <Route path="/social" element={<Social />} />
           <Route path="/notifications" element={<Notifications />} />
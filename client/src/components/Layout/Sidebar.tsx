@@ -22,6 +22,9 @@ import {
   Person,
   Notifications,
   People,
+  Summarize,
+  AccountTree,
+  TrackChanges,
 } from '@mui/icons-material';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../hooks/useAuth';
@@ -45,6 +48,18 @@ const menuItems = [
     description: 'AI任务规划',
     badge: 'AI',
   },
+  {
+    text: '项目管理',
+    icon: <AccountTree />,
+    path: '/projects',
+    description: '项目看板',
+  },
+  {
+    text: '目标管理',
+    icon: <TrackChanges />,
+    path: '/okrs',
+    description: 'OKR跟踪',
+  },
   {
     text: '日程安排',
     icon: <CalendarToday />,
@@ -65,6 +80,13 @@ const menuItems = [
     description: '录音分析',
     badge: 'AI',
   },
+  {
+    text: '工作报告',
+    icon: <Summarize />,
+    path: '/reports',
+    description: '周报月报',
+    badge: 'AI',
+  },
   {
     text: '微信助手',
     icon: <Chat />,
@@ -46,6 +46,7 @@ import { useAuth } from '../../hooks/useAuth';
 import { useApi } from '../../contexts/ApiContext';
 import { useNavigate } from 'react-router-dom';
 import CustomGrid from '../../components/common/CustomGrid';
+import TaskAnalytics from './components/TaskAnalytics';
 const Grid = CustomGrid;
 
 const Dashboard: React.FC = () => {
@@ -328,6 +329,11 @@ const Dashboard: React.FC = () => {
       </Grid>
 
       <Grid container spacing={3}>
+        {/* Task Analytics */}
+        <Grid item xs={12}>
+          <TaskAnalytics />
+        </Grid>
+
         {/* Tasks Chart */}
         <Grid item xs={12} lg={8}>
           <Card>
@@ -0,0 +1,247 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  ToggleButton,
+  ToggleButtonGroup,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Alert,
+} from '@mui/material';
+import { TrendingUp, TrendingDown, TrendingFlat } from '@mui/icons-material';
+import {
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from 'recharts';
+import { useApi } from '../../../contexts/ApiContext';
+import CustomGrid from '../../../components/common/CustomGrid';
+
+const Grid = CustomGrid;
+
+interface Trend {
+  slope: number;
+  direction: 'up' | 'down' | 'flat';
+}
+
+interface WeeklyMetric {
+  start: string;
+  completed: number;
+  completedHours: number;
+  medianCycleDays: number | null;
+  onTimeRate: number | null;
+  estimateRatio: number | null;
+}
+
+interface Analytics {
+  summary: {
+    completed: number;
+    cycleTime: { medianDays: number | null; p85Days: number | null };
+    onTime: { rate: number | null; sampleSize: number };
+    estimate: { ratio: number | null; tasks: number };
+  };
+  weekly: WeeklyMetric[];
+  estimateByCategory: { category: string; tasks: number; estimatedHours: number; actualHours: number; ratio: number }[];
+  trends: Record<'throughput' | 'cycleTime' | 'onTimeRate' | 'estimateRatio', Trend | null>;
+  estimateBias: { ratio: number; sampleSize: number } | null;
+}
+
+const categoryLabels: Record<string, string> = {
+  work: '工作',
+  meeting: '会议',
+  personal: '个人',
+  project: '项目',
+  other: '其他',
+};
+
+// 按最小二乘拟合趋势线
+const withTrendLine = (weekly: WeeklyMetric[]) => {
+  const n = weekly.length;
+  const meanX = (n - 1) / 2;
+  const meanY = weekly.reduce((total, week) => total + week.completed, 0) / (n || 1);
+  const denominator = weekly.reduce((total, _, index) => total + (index - meanX) ** 2, 0);
+  const slope = denominator
+    ? weekly.reduce((total, week, index) => total + (index - meanX) * (week.completed - meanY), 0) / denominator
+    : 0;
+  return weekly.map((week, index) => ({
+    ...week,
+    label: `${new Date(week.start).getMonth() + 1}/${new Date(week.start).getDate()}`,
+    onTimePercent: week.onTimeRate === null ? null : Math.round(week.onTimeRate * 100),
+    trend: Math.max(0, Math.round((meanY + slope * (index - meanX)) * 10) / 10),
+  }));
+};
+
+const TrendIcon: React.FC<{ trend: Trend | null; higherIsBetter?: boolean }> = ({ trend, higherIsBetter = true }) => {
+  if (!trend) return null;
+  if (trend.direction === 'flat') return <TrendingFlat fontSize="small" color="disabled" />;
+  const good = (trend.direction === 'up') === higherIsBetter;
+  const Icon = trend.direction === 'up' ? TrendingUp : TrendingDown;
+  return <Icon fontSize="small" color={good ? 'success' : 'error'} />;
+};
+
+const formatPercent = (value: number | null) => (value === null ? '-' : `${Math.round(value * 100)}%`);
+
+const TaskAnalytics: React.FC = () => {
+  const api = useApi();
+  const [scope, setScope] = useState<'personal' | 'team'>('personal');
+  const [analytics, setAnalytics] = useState<Analytics | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadAnalytics = useCallback(async () => {
+    setError(null);
+    try {
+      const response = await api.get('/tasks/analytics', { params: { scope, weeks: 12 } });
+      setAnalytics(response);
+    } catch (err: any) {
+      setError(err.response?.data?.message || '加载效率分析失败');
+    }
+  }, [api, scope]);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [loadAnalytics]);
+
+  const metrics = analytics
+    ? [
+        { label: '完成任务', value: analytics.summary.completed, trend: analytics.trends.throughput, higherIsBetter: true },
+        {
+          label: '周期时间(中位数)',
+          value: analytics.summary.cycleTime.medianDays === null ? '-' : `${analytics.summary.cycleTime.medianDays}天`,
+          trend: analytics.trends.cycleTime,
+          higherIsBetter: false,
+        },
+        {
+          label: '按时完成率',
+          value: formatPercent(analytics.summary.onTime.rate),
+          trend: analytics.trends.onTimeRate,
+          higherIsBetter: true,
+        },
+        {
+          label: '实际/预估工时',
+          value: analytics.summary.estimate.ratio === null ? '-' : `${analytics.summary.estimate.ratio}x`,
+          trend: analytics.trends.estimateRatio,
+          higherIsBetter: false,
+        },
+      ]
+    : [];
+
+  return (
+    <Card>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant="h6">效率分析（近12周）</Typography>
+          <ToggleButtonGroup size="small" exclusive value={scope} onChange={(_, value) => value && setScope(value)}>
+            <ToggleButton value="personal">个人</ToggleButton>
+            <ToggleButton value="team">团队</ToggleButton>
+          </ToggleButtonGroup>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {analytics && (
+          <>
+            <Grid container spacing={2} sx={{ mb: 2 }}>
+              {metrics.map((metric) => (
+                <Grid item xs={6} md={3} key={metric.label}>
+                  <Typography variant="body2" color="text.secondary">
+                    {metric.label}
+                  </Typography>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                    <Typography variant="h5">{metric.value}</Typography>
+                    <TrendIcon trend={metric.trend} higherIsBetter={metric.higherIsBetter} />
+                  </Box>
+                </Grid>
+              ))}
+            </Grid>
+
+            {analytics.estimateBias && (
+              <Chip
+                size="small"
+                color="info"
+                variant="outlined"
+                sx={{ mb: 2 }}
+                label={`AI规划将按最近${analytics.estimateBias.sampleSize}个任务的估时偏差（${analytics.estimateBias.ratio}倍）校准时间`}
+              />
+            )}
+
+            <Grid container spacing={2}>
+              <Grid item xs={12} lg={8}>
+                <ResponsiveContainer width="100%" height={280}>
+                  <ComposedChart data={withTrendLine(analytics.weekly)}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" />
+                    <YAxis yAxisId="count" allowDecimals={false} />
+                    <YAxis yAxisId="percent" orientation="right" domain={[0, 100]} unit="%" />
+                    <Tooltip />
+                    <Legend />
+                    <Bar yAxisId="count" dataKey="completed" name="每周完成" fill="#2196f3" />
+                    <Line yAxisId="count" dataKey="trend" name="吞吐量趋势" stroke="#9c27b0" strokeDasharray="5 5" dot={false} />
+                    <Line yAxisId="percent" dataKey="onTimePercent" name="按时完成率" stroke="#4caf50" connectNulls />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </Grid>
+              <Grid item xs={12} lg={4}>
+                <Typography variant="subtitle2" gutterBottom>
+                  各类型估时准确度
+                </Typography>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>类型</TableCell>
+                      <TableCell align="right">预估</TableCell>
+                      <TableCell align="right">实际</TableCell>
+                      <TableCell align="right">比例</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {analytics.estimateByCategory.map((item) => (
+                      <TableRow key={item.category}>
+                        <TableCell>{categoryLabels[item.category] || item.category}</TableCell>
+                        <TableCell align="right">{item.estimatedHours}h</TableCell>
+                        <TableCell align="right">{item.actualHours}h</TableCell>
+                        <TableCell align="right">
+                          <Chip
+                            size="small"
+                            label={`${item.ratio}x`}
+                            color={item.ratio > 1.2 ? 'error' : item.ratio < 0.8 ? 'warning' : 'success'}
+                          />
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                    {analytics.estimateByCategory.length === 0 && (
+                      <TableRow>
+                        <TableCell colSpan={4}>
+                          <Typography variant="body2" color="text.secondary">
+                            暂无同时记录预估和实际工时的任务
+                          </Typography>
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </TableBody>
+                </Table>
+              </Grid>
+            </Grid>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TaskAnalytics;
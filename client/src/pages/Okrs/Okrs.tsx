@@ -0,0 +1,346 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  IconButton,
+  LinearProgress,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  CircularProgress,
+  Tooltip,
+} from '@mui/material';
+import { Add, Delete, AutoAwesome, TrendingUp } from '@mui/icons-material';
+import { useApi } from '../../contexts/ApiContext';
+import KeyResultDialog from './components/KeyResultDialog';
+import CheckInDialog, { CheckInTarget, Confidence, confidenceLabels } from './components/CheckInDialog';
+
+interface KeyResult {
+  _id: string;
+  title: string;
+  progressSource: 'metric' | 'tasks';
+  startValue: number;
+  targetValue: number;
+  currentValue: number;
+  unit?: string;
+  weight: number;
+  progress: number;
+  confidence: Confidence;
+}
+
+interface Objective {
+  _id: string;
+  title: string;
+  description?: string;
+  status: string;
+  progress: number;
+  canEdit: boolean;
+  keyResults: KeyResult[];
+}
+
+interface Review {
+  quarter: string;
+  summary: string;
+  generatedBy: 'ai' | 'template';
+}
+
+const confidenceColors: Record<Confidence, 'success' | 'warning' | 'error'> = {
+  on_track: 'success',
+  at_risk: 'warning',
+  off_track: 'error',
+};
+
+const getQuarter = (date: Date) => `${date.getFullYear()}-Q${Math.floor(date.getMonth() / 3) + 1}`;
+
+// 当前季度前后各两个季度
+const quarterOptions = [-2, -1, 0, 1, 2].map((offset) => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() + offset * 3);
+  return getQuarter(date);
+});
+
+const formatValue = (keyResult: KeyResult) =>
+  keyResult.progressSource === 'tasks'
+    ? `已完成任务 ${keyResult.currentValue}/${keyResult.targetValue}`
+    : `${keyResult.currentValue}/${keyResult.targetValue}${keyResult.unit || ''}`;
+
+const Okrs: React.FC = () => {
+  const api = useApi();
+  const [quarter, setQuarter] = useState(getQuarter(new Date()));
+  const [objectives, setObjectives] = useState<Objective[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [objectiveDialogOpen, setObjectiveDialogOpen] = useState(false);
+  const [objectiveForm, setObjectiveForm] = useState({ title: '', description: '' });
+  const [keyResultObjectiveId, setKeyResultObjectiveId] = useState<string | null>(null);
+  const [checkInTarget, setCheckInTarget] = useState<CheckInTarget | null>(null);
+  const [review, setReview] = useState<Review | null>(null);
+  const [reviewLoading, setReviewLoading] = useState(false);
+
+  const fetchObjectives = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/okrs', { params: { quarter } });
+      setObjectives(response.objectives);
+    } catch (err: any) {
+      setError(err.response?.data?.message || '获取目标失败');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, quarter]);
+
+  useEffect(() => {
+    fetchObjectives();
+  }, [fetchObjectives]);
+
+  const handleCreateObjective = async () => {
+    setError(null);
+    try {
+      await api.post('/okrs', { ...objectiveForm, quarter });
+      setObjectiveDialogOpen(false);
+      setObjectiveForm({ title: '', description: '' });
+      fetchObjectives();
+    } catch (err: any) {
+      setError(err.response?.data?.message || '创建目标失败');
+    }
+  };
+
+  const handleDeleteObjective = async (objective: Objective) => {
+    if (!window.confirm(`确定删除目标"${objective.title}"及其关键结果吗？`)) return;
+    try {
+      await api.delete(`/okrs/${objective._id}`);
+      fetchObjectives();
+    } catch (err: any) {
+      setError(err.response?.data?.message || '删除目标失败');
+    }
+  };
+
+  const handleDeleteKeyResult = async (objectiveId: string, keyResultId: string) => {
+    try {
+      await api.delete(`/okrs/${objectiveId}/key-results/${keyResultId}`);
+      fetchObjectives();
+    } catch (err: any) {
+      setError(err.response?.data?.message || '删除关键结果失败');
+    }
+  };
+
+  const handleGenerateReview = async () => {
+    setError(null);
+    setReviewLoading(true);
+    try {
+      const response = await api.post('/okrs/review', { quarter });
+      setReview(response.review);
+    } catch (err: any) {
+      setError(err.response?.data?.message || '生成季度回顾失败');
+    } finally {
+      setReviewLoading(false);
+    }
+  };
+
+  return (
+    <Box sx={{ flexGrow: 1 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 3 }}>
+        <Typography variant="h4" component="h1" sx={{ flexGrow: 1 }}>
+          目标与关键结果
+        </Typography>
+        <FormControl size="small" sx={{ minWidth: 120 }}>
+          <InputLabel>季度</InputLabel>
+          <Select value={quarter} label="季度" onChange={(e) => setQuarter(e.target.value)}>
+            {quarterOptions.map((option) => (
+              <MenuItem key={option} value={option}>
+                {option}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button
+          variant="outlined"
+          startIcon={reviewLoading ? <CircularProgress size={16} /> : <AutoAwesome />}
+          onClick={handleGenerateReview}
+          disabled={reviewLoading || objectives.length === 0}
+        >
+          季度回顾
+        </Button>
+        <Button variant="contained" startIcon={<Add />} onClick={() => setObjectiveDialogOpen(true)}>
+          新建目标
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <CircularProgress />
+      ) : objectives.length === 0 ? (
+        <Typography color="text.secondary">本季度还没有目标，新建目标并添加关键结果，关联任务后进度会自动汇总</Typography>
+      ) : (
+        objectives.map((objective) => (
+          <Card key={objective._id} sx={{ mb: 2 }}>
+            <CardContent>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Typography variant="h6" sx={{ flexGrow: 1 }}>
+                  {objective.title}
+                </Typography>
+                <Typography variant="h6">{objective.progress}%</Typography>
+                {objective.canEdit && (
+                  <>
+                    <Tooltip title="添加关键结果">
+                      <IconButton size="small" onClick={() => setKeyResultObjectiveId(objective._id)}>
+                        <Add />
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title="删除目标">
+                      <IconButton size="small" onClick={() => handleDeleteObjective(objective)}>
+                        <Delete />
+                      </IconButton>
+                    </Tooltip>
+                  </>
+                )}
+              </Box>
+              {objective.description && (
+                <Typography variant="body2" color="text.secondary">
+                  {objective.description}
+                </Typography>
+              )}
+              <LinearProgress
+                variant="determinate"
+                value={objective.progress}
+                sx={{ height: 8, borderRadius: 4, my: 2 }}
+              />
+              {objective.keyResults.map((keyResult) => (
+                <Box key={keyResult._id} sx={{ display: 'flex', alignItems: 'center', gap: 1, py: 1, pl: 2 }}>
+                  <Box sx={{ flexGrow: 1 }}>
+                    <Typography variant="body1">{keyResult.title}</Typography>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <LinearProgress
+                        variant="determinate"
+                        value={keyResult.progress}
+                        color={confidenceColors[keyResult.confidence]}
+                        sx={{ flexGrow: 1, height: 6, borderRadius: 3 }}
+                      />
+                      <Typography variant="body2" sx={{ minWidth: 40 }}>
+                        {keyResult.progress}%
+                      </Typography>
+                    </Box>
+                    <Typography variant="caption" color="text.secondary">
+                      {formatValue(keyResult)}
+                      {keyResult.weight > 1 && ` · 权重 ${keyResult.weight}`}
+                    </Typography>
+                  </Box>
+                  <Chip
+                    size="small"
+                    color={confidenceColors[keyResult.confidence]}
+                    label={confidenceLabels[keyResult.confidence]}
+                  />
+                  <Tooltip title="更新进展">
+                    <IconButton
+                      size="small"
+                      onClick={() =>
+                        setCheckInTarget({
+                          objectiveId: objective._id,
+                          keyResultId: keyResult._id,
+                          title: keyResult.title,
+                          progressSource: keyResult.progressSource,
+                          currentValue: keyResult.currentValue,
+                          confidence: keyResult.confidence,
+                        })
+                      }
+                    >
+                      <TrendingUp />
+                    </IconButton>
+                  </Tooltip>
+                  {objective.canEdit && (
+                    <IconButton size="small" onClick={() => handleDeleteKeyResult(objective._id, keyResult._id)}>
+                      <Delete fontSize="small" />
+                    </IconButton>
+                  )}
+                </Box>
+              ))}
+            </CardContent>
+          </Card>
+        ))
+      )}
+
+      <Dialog open={objectiveDialogOpen} onClose={() => setObjectiveDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>新建目标（{quarter}）</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            label="目标"
+            value={objectiveForm.title}
+            onChange={(e) => setObjectiveForm((prev) => ({ ...prev, title: e.target.value }))}
+            sx={{ mt: 1, mb: 2 }}
+          />
+          <TextField
+            fullWidth
+            multiline
+            rows={3}
+            label="描述"
+            value={objectiveForm.description}
+            onChange={(e) => setObjectiveForm((prev) => ({ ...prev, description: e.target.value }))}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setObjectiveDialogOpen(false)}>取消</Button>
+          <Button variant="contained" onClick={handleCreateObjective} disabled={!objectiveForm.title.trim()}>
+            创建
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <KeyResultDialog
+        open={!!keyResultObjectiveId}
+        objectiveId={keyResultObjectiveId}
+        onClose={() => setKeyResultObjectiveId(null)}
+        onSaved={() => {
+          setKeyResultObjectiveId(null);
+          fetchObjectives();
+        }}
+      />
+
+      <CheckInDialog
+        target={checkInTarget}
+        onClose={() => setCheckInTarget(null)}
+        onSaved={() => {
+          setCheckInTarget(null);
+          fetchObjectives();
+        }}
+      />
+
+      <Dialog open={!!review} onClose={() => setReview(null)} maxWidth="md" fullWidth>
+        <DialogTitle>
+          {review?.quarter} 季度回顾
+          {review?.generatedBy === 'template' && (
+            <Chip size="small" label="AI不可用，已按进度数据生成" sx={{ ml: 1 }} />
+          )}
+        </DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>
+            {review?.summary}
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => navigator.clipboard.writeText(review?.summary || '')}>复制</Button>
+          <Button onClick={() => setReview(null)}>关闭</Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default Okrs;
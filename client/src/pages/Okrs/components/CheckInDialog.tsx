@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  Typography,
+} from '@mui/material';
+import { useApi } from '../../../contexts/ApiContext';
+
+export type Confidence = 'on_track' | 'at_risk' | 'off_track';
+
+export const confidenceLabels: Record<Confidence, string> = {
+  on_track: '正常',
+  at_risk: '有风险',
+  off_track: '已偏离',
+};
+
+export interface CheckInTarget {
+  objectiveId: string;
+  keyResultId: string;
+  title: string;
+  progressSource: 'metric' | 'tasks';
+  currentValue: number;
+  confidence: Confidence;
+}
+
+interface CheckInDialogProps {
+  target: CheckInTarget | null;
+  onClose: () => void;
+  onSaved: () => void;
+}
+
+const CheckInDialog: React.FC<CheckInDialogProps> = ({ target, onClose, onSaved }) => {
+  const api = useApi();
+  const [value, setValue] = useState('');
+  const [confidence, setConfidence] = useState<Confidence>('on_track');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!target) return;
+    setValue(String(target.currentValue ?? ''));
+    setConfidence(target.confidence);
+    setNote('');
+    setError(null);
+  }, [target]);
+
+  const handleSave = async () => {
+    if (!target) return;
+    setError(null);
+    try {
+      await api.post(`/okrs/${target.objectiveId}/key-results/${target.keyResultId}/check-ins`, {
+        value: target.progressSource === 'metric' ? value : undefined,
+        confidence,
+        note,
+      });
+      onSaved();
+    } catch (err: any) {
+      setError(err.response?.data?.message || '更新进展失败');
+    }
+  };
+
+  return (
+    <Dialog open={!!target} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>更新进展</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Typography variant="subtitle2" sx={{ mb: 2 }}>
+          {target?.title}
+        </Typography>
+        {target?.progressSource === 'metric' ? (
+          <TextField
+            fullWidth
+            type="number"
+            label="当前值"
+            value={value}
+            onChange={(e) => setValue(e.target.value)}
+            sx={{ mb: 2 }}
+          />
+        ) : (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            进度由关联任务自动汇总
+          </Typography>
+        )}
+        <FormControl fullWidth sx={{ mb: 2 }}>
+          <InputLabel>信心</InputLabel>
+          <Select value={confidence} label="信心" onChange={(e) => setConfidence(e.target.value as Confidence)}>
+            {Object.entries(confidenceLabels).map(([key, label]) => (
+              <MenuItem key={key} value={key}>
+                {label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <TextField fullWidth multiline rows={3} label="进展说明" value={note} onChange={(e) => setNote(e.target.value)} />
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>取消</Button>
+        <Button variant="contained" onClick={handleSave}>
+          保存
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CheckInDialog;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Autocomplete,
+  Alert,
+} from '@mui/material';
+import { useApi } from '../../../contexts/ApiContext';
+import CustomGrid from '../../../components/common/CustomGrid';
+
+const Grid = CustomGrid;
+
+interface TaskOption {
+  _id: string;
+  title: string;
+  status: string;
+}
+
+interface KeyResultDialogProps {
+  open: boolean;
+  objectiveId: string | null;
+  onClose: () => void;
+  onSaved: () => void;
+}
+
+const emptyForm = {
+  title: '',
+  progressSource: 'metric' as 'metric' | 'tasks',
+  startValue: '0',
+  targetValue: '',
+  unit: '',
+  weight: '1',
+};
+
+const KeyResultDialog: React.FC<KeyResultDialogProps> = ({ open, objectiveId, onClose, onSaved }) => {
+  const api = useApi();
+  const [formData, setFormData] = useState(emptyForm);
+  const [tasks, setTasks] = useState<TaskOption[]>([]);
+  const [selectedTasks, setSelectedTasks] = useState<TaskOption[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setFormData(emptyForm);
+    setSelectedTasks([]);
+    setError(null);
+    api.get('/tasks', { params: { limit: 200 } })
+      .then((response) => setTasks(response.tasks || []))
+      .catch(() => setTasks([]));
+  }, [api, open]);
+
+  const handleSave = async () => {
+    setError(null);
+    try {
+      await api.post(`/okrs/${objectiveId}/key-results`, {
+        title: formData.title,
+        progressSource: formData.progressSource,
+        weight: Number(formData.weight),
+        ...(formData.progressSource === 'metric'
+          ? {
+              startValue: Number(formData.startValue),
+              targetValue: formData.targetValue === '' ? undefined : Number(formData.targetValue),
+              currentValue: Number(formData.startValue),
+              unit: formData.unit,
+            }
+          : { tasks: selectedTasks.map((task) => task._id) }),
+      });
+      onSaved();
+    } catch (err: any) {
+      setError(err.response?.data?.message || '添加关键结果失败');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>添加关键结果</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        <Grid container spacing={2} sx={{ mt: 1 }}>
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              label="关键结果"
+              value={formData.title}
+              onChange={(e) => setFormData((prev) => ({ ...prev, title: e.target.value }))}
+            />
+          </Grid>
+          <Grid item xs={8}>
+            <FormControl fullWidth>
+              <InputLabel>进度来源</InputLabel>
+              <Select
+                value={formData.progressSource}
+                label="进度来源"
+                onChange={(e) =>
+                  setFormData((prev) => ({ ...prev, progressSource: e.target.value as 'metric' | 'tasks' }))
+                }
+              >
+                <MenuItem value="metric">指标（手动更新当前值）</MenuItem>
+                <MenuItem value="tasks">关联任务（自动汇总）</MenuItem>
+              </Select>
+            </FormControl>
+          </Grid>
+          <Grid item xs={4}>
+            <TextField
+              fullWidth
+              type="number"
+              label="权重"
+              inputProps={{ min: 1, max: 10 }}
+              value={formData.weight}
+              onChange={(e) => setFormData((prev) => ({ ...prev, weight: e.target.value }))}
+            />
+          </Grid>
+          {formData.progressSource === 'metric' ? (
+            <>
+              <Grid item xs={4}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="起始值"
+                  value={formData.startValue}
+                  onChange={(e) => setFormData((prev) => ({ ...prev, startValue: e.target.value }))}
+                />
+              </Grid>
+              <Grid item xs={4}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="目标值"
+                  value={formData.targetValue}
+                  onChange={(e) => setFormData((prev) => ({ ...prev, targetValue: e.target.value }))}
+                />
+              </Grid>
+              <Grid item xs={4}>
+                <TextField
+                  fullWidth
+                  label="单位"
+                  value={formData.unit}
+                  onChange={(e) => setFormData((prev) => ({ ...prev, unit: e.target.value }))}
+                />
+              </Grid>
+            </>
+          ) : (
+            <Grid item xs={12}>
+              <Autocomplete
+                multiple
+                options={tasks}
+                value={selectedTasks}
+                getOptionLabel={(task) => task.title}
+                isOptionEqualToValue={(option, value) => option._id === value._id}
+                onChange={(_, value) => setSelectedTasks(value)}
+                renderInput={(params) => <TextField {...params} label="关联任务" />}
+              />
+            </Grid>
+          )}
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>取消</Button>
+        <Button variant="contained" onClick={handleSave} disabled={!formData.title.trim()}>
+          添加
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default KeyResultDialog;
@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  List,
+  ListItemButton,
+  ListItemText,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Add } from '@mui/icons-material';
+import { useApi } from '../../contexts/ApiContext';
+import CustomGrid from '../../components/common/CustomGrid';
+import ProjectDashboard from './components/ProjectDashboard';
+
+const Grid = CustomGrid;
+
+type ProjectStatus = 'planning' | 'active' | 'on_hold' | 'completed' | 'cancelled';
+
+interface Project {
+  _id: string;
+  name: string;
+  description?: string;
+  status: ProjectStatus;
+  startDate?: string;
+  endDate?: string;
+  role: string;
+}
+
+const statusLabels: Record<ProjectStatus, string> = {
+  planning: '规划中',
+  active: '进行中',
+  on_hold: '已暂停',
+  completed: '已完成',
+  cancelled: '已取消',
+};
+
+const roleLabels: Record<string, string> = {
+  owner: '负责人',
+  manager: '项目经理',
+  member: '成员',
+  viewer: '只读',
+};
+
+const emptyForm = {
+  name: '',
+  description: '',
+  status: 'planning' as ProjectStatus,
+  startDate: '',
+  endDate: '',
+};
+
+const Projects: React.FC = () => {
+  const api = useApi();
+  const [projects, setProjects] = useState<Project[]>([]);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [formData, setFormData] = useState(emptyForm);
+
+  const fetchProjects = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/projects');
+      setProjects(response.projects);
+      setSelectedId((current) => current || response.projects[0]?._id || null);
+    } catch (err: any) {
+      setError(err.response?.data?.message || '获取项目失败');
+    } finally {
+      setLoading(false);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    fetchProjects();
+  }, [fetchProjects]);
+
+  const handleCreate = async () => {
+    setError(null);
+    try {
+      const response = await api.post('/projects', {
+        ...formData,
+        startDate: formData.startDate || undefined,
+        endDate: formData.endDate || undefined,
+      });
+      setProjects((current) => [{ ...response.project, role: 'owner' }, ...current]);
+      setSelectedId(response.project._id);
+      setDialogOpen(false);
+      setFormData(emptyForm);
+    } catch (err: any) {
+      setError(err.response?.data?.message || '创建项目失败');
+    }
+  };
+
+  return (
+    <Box sx={{ flexGrow: 1 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4" component="h1">
+          项目管理
+        </Typography>
+        <Button variant="contained" startIcon={<Add />} onClick={() => setDialogOpen(true)}>
+          新建项目
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={4} lg={3}>
+          <Card>
+            <CardContent>
+              {loading ? (
+                <CircularProgress size={24} />
+              ) : projects.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  暂无项目，创建项目后可将任务、会议、文档和日程关联到项目
+                </Typography>
+              ) : (
+                <List dense disablePadding>
+                  {projects.map((project) => (
+                    <ListItemButton
+                      key={project._id}
+                      selected={project._id === selectedId}
+                      onClick={() => setSelectedId(project._id)}
+                    >
+                      <ListItemText
+                        primary={project.name}
+                        secondary={`${statusLabels[project.status]} · ${roleLabels[project.role] || ''}`}
+                      />
+                    </ListItemButton>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+        <Grid item xs={12} md={8} lg={9}>
+          {selectedId && <ProjectDashboard key={selectedId} projectId={selectedId} />}
+        </Grid>
+      </Grid>
+
+      <Dialog open={dialogOpen} onClose={() => setDialogOpen(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>新建项目</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 1 }}>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="项目名称"
+                value={formData.name}
+                onChange={(e) => setFormData((prev) => ({ ...prev, name: e.target.value }))}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                multiline
+                rows={3}
+                label="项目描述"
+                value={formData.description}
+                onChange={(e) => setFormData((prev) => ({ ...prev, description: e.target.value }))}
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <FormControl fullWidth>
+                <InputLabel>状态</InputLabel>
+                <Select
+                  value={formData.status}
+                  label="状态"
+                  onChange={(e) => setFormData((prev) => ({ ...prev, status: e.target.value as ProjectStatus }))}
+                >
+                  {Object.entries(statusLabels).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>
+                      {label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                type="date"
+                label="开始日期"
+                InputLabelProps={{ shrink: true }}
+                value={formData.startDate}
+                onChange={(e) => setFormData((prev) => ({ ...prev, startDate: e.target.value }))}
+              />
+            </Grid>
+            <Grid item xs={12} sm={4}>
+              <TextField
+                fullWidth
+                type="date"
+                label="结束日期"
+                InputLabelProps={{ shrink: true }}
+                value={formData.endDate}
+                onChange={(e) => setFormData((prev) => ({ ...prev, endDate: e.target.value }))}
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDialogOpen(false)}>取消</Button>
+          <Button variant="contained" onClick={handleCreate} disabled={!formData.name.trim()}>
+            创建
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default Projects;
@@ -0,0 +1,304 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Card,
+  CardContent,
+  Typography,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  Checkbox,
+  Chip,
+  TextField,
+  Button,
+  Alert,
+} from '@mui/material';
+import { Flag, Description, Event, Assignment } from '@mui/icons-material';
+import { useApi } from '../../../contexts/ApiContext';
+import CustomGrid from '../../../components/common/CustomGrid';
+
+const Grid = CustomGrid;
+
+interface MilestoneSummary {
+  _id: string;
+  title: string;
+  dueDate: string;
+  daysLeft: number;
+}
+
+interface UserRef {
+  _id: string;
+  username: string;
+  profile?: { firstName?: string; lastName?: string };
+}
+
+interface Dashboard {
+  role: string;
+  tasks: {
+    total: number;
+    completed: number;
+    overdue: number;
+    completionRate: number | null;
+    progress: number;
+    estimatedHours: number;
+    actualHours: number;
+  };
+  milestones: { total: number; completed: number; overdue: MilestoneSummary[]; upcoming: MilestoneSummary[] };
+  openActionItems: {
+    _id: string;
+    content: string;
+    assignedToName?: string;
+    dueDate?: string;
+    meeting: { _id: string; title: string };
+  }[];
+  recentDocuments: { _id: string; title: string; createdAt: string; uploadedBy?: UserRef }[];
+  upcomingMeetings: { _id: string; title: string; startTime: string }[];
+  upcomingEvents: { _id: string; title: string; startTime: string }[];
+  workload: { user: UserRef | null; openTasks: number }[];
+}
+
+const formatDate = (value?: string) => (value ? new Date(value).toLocaleDateString() : '');
+
+const getUserName = (user: UserRef | null) => {
+  if (!user) return '未分配';
+  const name = `${user.profile?.lastName || ''}${user.profile?.firstName || ''}`;
+  return name || user.username;
+};
+
+interface ProjectDashboardProps {
+  projectId: string;
+}
+
+const ProjectDashboard: React.FC<ProjectDashboardProps> = ({ projectId }) => {
+  const api = useApi();
+  const [dashboard, setDashboard] = useState<Dashboard | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [milestoneTitle, setMilestoneTitle] = useState('');
+  const [milestoneDate, setMilestoneDate] = useState('');
+
+  const loadDashboard = useCallback(async () => {
+    setError(null);
+    try {
+      const response = await api.get(`/projects/${projectId}/dashboard`);
+      setDashboard(response);
+    } catch (err: any) {
+      setError(err.response?.data?.message || '加载项目看板失败');
+    }
+  }, [api, projectId]);
+
+  useEffect(() => {
+    loadDashboard();
+  }, [loadDashboard]);
+
+  const canEdit = dashboard ? ['owner', 'manager', 'admin'].includes(dashboard.role) : false;
+
+  const handleCompleteMilestone = async (milestoneId: string) => {
+    try {
+      await api.put(`/projects/${projectId}/milestones/${milestoneId}`, { status: 'completed' });
+      await loadDashboard();
+    } catch (err: any) {
+      setError(err.response?.data?.message || '更新里程碑失败');
+    }
+  };
+
+  const handleAddMilestone = async () => {
+    try {
+      await api.post(`/projects/${projectId}/milestones`, { title: milestoneTitle, dueDate: milestoneDate });
+      setMilestoneTitle('');
+      setMilestoneDate('');
+      await loadDashboard();
+    } catch (err: any) {
+      setError(err.response?.data?.message || '添加里程碑失败');
+    }
+  };
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+  if (!dashboard) {
+    return <LinearProgress />;
+  }
+
+  const milestones = [...dashboard.milestones.overdue, ...dashboard.milestones.upcoming];
+  const schedule = [
+    ...dashboard.upcomingMeetings.map((meeting) => ({ ...meeting, kind: '会议' })),
+    ...dashboard.upcomingEvents.map((event) => ({ ...event, kind: '日程' })),
+  ].sort((a, b) => new Date(a.startTime).getTime() - new Date(b.startTime).getTime());
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12}>
+        <Card>
+          <CardContent>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+              <Typography variant="h6">任务进度</Typography>
+              <Typography variant="h6">{dashboard.tasks.progress}%</Typography>
+            </Box>
+            <LinearProgress variant="determinate" value={dashboard.tasks.progress} sx={{ height: 8, borderRadius: 4, mb: 2 }} />
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+              <Chip size="small" label={`任务 ${dashboard.tasks.completed}/${dashboard.tasks.total}`} />
+              <Chip
+                size="small"
+                color={dashboard.tasks.overdue > 0 ? 'error' : 'default'}
+                label={`逾期 ${dashboard.tasks.overdue}`}
+              />
+              <Chip size="small" label={`工时 ${dashboard.tasks.actualHours}/${dashboard.tasks.estimatedHours}h`} />
+              <Chip size="small" label={`里程碑 ${dashboard.milestones.completed}/${dashboard.milestones.total}`} />
+              {dashboard.workload.map((item) => (
+                <Chip
+                  key={item.user?._id || 'unassigned'}
+                  size="small"
+                  variant="outlined"
+                  label={`${getUserName(item.user)} ${item.openTasks}项未完成`}
+                />
+              ))}
+            </Box>
+          </CardContent>
+        </Card>
+      </Grid>
+
+      <Grid item xs={12} md={6}>
+        <Card sx={{ height: '100%' }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              里程碑
+            </Typography>
+            <List dense>
+              {milestones.map((milestone) => (
+                <ListItem key={milestone._id} disableGutters>
+                  <ListItemIcon>
+                    {canEdit ? (
+                      <Checkbox edge="start" onChange={() => handleCompleteMilestone(milestone._id)} />
+                    ) : (
+                      <Flag color={milestone.daysLeft < 0 ? 'error' : 'action'} />
+                    )}
+                  </ListItemIcon>
+                  <ListItemText primary={milestone.title} secondary={formatDate(milestone.dueDate)} />
+                  <Chip
+                    size="small"
+                    color={milestone.daysLeft < 0 ? 'error' : milestone.daysLeft <= 7 ? 'warning' : 'default'}
+                    label={milestone.daysLeft < 0 ? `逾期${-milestone.daysLeft}天` : `${milestone.daysLeft}天后`}
+                  />
+                </ListItem>
+              ))}
+              {milestones.length === 0 && (
+                <Typography variant="body2" color="text.secondary">
+                  暂无未完成的里程碑
+                </Typography>
+              )}
+            </List>
+            {canEdit && (
+              <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+                <TextField
+                  size="small"
+                  label="新里程碑"
+                  value={milestoneTitle}
+                  onChange={(e) => setMilestoneTitle(e.target.value)}
+                  sx={{ flexGrow: 1 }}
+                />
+                <TextField
+                  size="small"
+                  type="date"
+                  InputLabelProps={{ shrink: true }}
+                  label="日期"
+                  value={milestoneDate}
+                  onChange={(e) => setMilestoneDate(e.target.value)}
+                />
+                <Button onClick={handleAddMilestone} disabled={!milestoneTitle || !milestoneDate}>
+                  添加
+                </Button>
+              </Box>
+            )}
+          </CardContent>
+        </Card>
+      </Grid>
+
+      <Grid item xs={12} md={6}>
+        <Card sx={{ height: '100%' }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              未完成行动项
+            </Typography>
+            <List dense>
+              {dashboard.openActionItems.map((item) => (
+                <ListItem key={item._id} disableGutters>
+                  <ListItemIcon>
+                    <Assignment />
+                  </ListItemIcon>
+                  <ListItemText
+                    primary={item.content}
+                    secondary={[item.meeting.title, item.assignedToName, item.dueDate && `截止${formatDate(item.dueDate)}`]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  />
+                </ListItem>
+              ))}
+              {dashboard.openActionItems.length === 0 && (
+                <Typography variant="body2" color="text.secondary">
+                  项目会议中没有未完成的行动项
+                </Typography>
+              )}
+            </List>
+          </CardContent>
+        </Card>
+      </Grid>
+
+      <Grid item xs={12} md={6}>
+        <Card sx={{ height: '100%' }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              近期会议与日程
+            </Typography>
+            <List dense>
+              {schedule.map((item) => (
+                <ListItem key={item._id} disableGutters>
+                  <ListItemIcon>
+                    <Event />
+                  </ListItemIcon>
+                  <ListItemText primary={item.title} secondary={`${item.kind} · ${new Date(item.startTime).toLocaleString()}`} />
+                </ListItem>
+              ))}
+              {schedule.length === 0 && (
+                <Typography variant="body2" color="text.secondary">
+                  暂无安排
+                </Typography>
+              )}
+            </List>
+          </CardContent>
+        </Card>
+      </Grid>
+
+      <Grid item xs={12} md={6}>
+        <Card sx={{ height: '100%' }}>
+          <CardContent>
+            <Typography variant="h6" gutterBottom>
+              最近文档
+            </Typography>
+            <List dense>
+              {dashboard.recentDocuments.map((document) => (
+                <ListItem key={document._id} disableGutters>
+                  <ListItemIcon>
+                    <Description />
+                  </ListItemIcon>
+                  <ListItemText
+                    primary={document.title}
+                    secondary={`${document.uploadedBy ? getUserName(document.uploadedBy) : ''} ${formatDate(document.createdAt)}`}
+                  />
+                </ListItem>
+              ))}
+              {dashboard.recentDocuments.length === 0 && (
+                <Typography variant="body2" color="text.secondary">
+                  暂无项目文档
+                </Typography>
+              )}
+            </List>
+          </CardContent>
+        </Card>
+      </Grid>
+    </Grid>
+  );
+};
+
+export default ProjectDashboard;
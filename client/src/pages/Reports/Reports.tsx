@@ -0,0 +1,341 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  List,
+  ListItemButton,
+  ListItemText,
+  Chip,
+  TextField,
+  Menu,
+  MenuItem,
+  Alert,
+  CircularProgress,
+  Divider,
+} from '@mui/material';
+import {
+  Summarize,
+  Settings,
+  Download,
+  Send,
+  Delete,
+  Save,
+  Refresh,
+} from '@mui/icons-material';
+import { useApi } from '../../contexts/ApiContext';
+import CustomGrid from '../../components/common/CustomGrid';
+import ReportSettings, { channelLabels } from './components/ReportSettings';
+
+const Grid = CustomGrid;
+
+interface ReportSection {
+  key: string;
+  title: string;
+  content: string;
+}
+
+interface WorkReport {
+  _id: string;
+  type: 'weekly' | 'monthly';
+  periodStart: string;
+  periodEnd: string;
+  title: string;
+  sections: ReportSection[];
+  stats: Record<string, number>;
+  status: 'draft' | 'final';
+  generatedBy: 'ai' | 'template';
+  generatedAt?: string;
+  editedAt?: string;
+  deliveries: { channels: string[]; scheduled: boolean; sentAt: string }[];
+}
+
+const statLabels: Record<string, string> = {
+  completedTasks: '完成任务',
+  inProgressTasks: '进行中',
+  meetings: '会议',
+  actionItems: '行动项',
+  documents: '文档',
+  events: '日程',
+};
+
+const Reports: React.FC = () => {
+  const api = useApi();
+  const [reports, setReports] = useState<WorkReport[]>([]);
+  const [selected, setSelected] = useState<WorkReport | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+  const [exportAnchor, setExportAnchor] = useState<null | HTMLElement>(null);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+
+  const fetchReports = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/reports');
+      setReports(response.reports);
+      setSelected((current) => current || response.reports[0] || null);
+    } catch (err: any) {
+      setError(err.response?.data?.message || '获取工作报告失败');
+    } finally {
+      setLoading(false);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  const replaceReport = (report: WorkReport) => {
+    setReports((current) => {
+      const exists = current.some((item) => item._id === report._id);
+      const next = exists ? current.map((item) => (item._id === report._id ? report : item)) : [report, ...current];
+      return next.sort((a, b) => new Date(b.periodStart).getTime() - new Date(a.periodStart).getTime());
+    });
+    setSelected(report);
+  };
+
+  const runAction = async (action: () => Promise<void>, fallback: string) => {
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+    } catch (err: any) {
+      setError(err.response?.data?.message || fallback);
+    }
+  };
+
+  const handleGenerate = (type: 'weekly' | 'monthly') =>
+    runAction(async () => {
+      setGenerating(true);
+      try {
+        const response = await api.post('/reports/generate', { type });
+        replaceReport(response.report);
+        setMessage(response.report.generatedBy === 'ai' ? '报告已由AI生成，可继续编辑' : '报告草稿已按模板生成');
+      } finally {
+        setGenerating(false);
+      }
+    }, '生成报告失败');
+
+  const updateSection = (index: number, content: string) => {
+    if (!selected) return;
+    const sections = selected.sections.map((section, i) => (i === index ? { ...section, content } : section));
+    setSelected({ ...selected, sections });
+  };
+
+  const handleSave = (status?: WorkReport['status']) =>
+    runAction(async () => {
+      if (!selected) return;
+      const response = await api.put(`/reports/${selected._id}`, {
+        title: selected.title,
+        sections: selected.sections,
+        ...(status && { status }),
+      });
+      replaceReport(response.report);
+      setMessage(status === 'final' ? '报告已定稿' : '报告已保存');
+    }, '保存报告失败');
+
+  const handleSend = () =>
+    runAction(async () => {
+      if (!selected) return;
+      const response = await api.post(`/reports/${selected._id}/send`, {});
+      replaceReport(response.report);
+      setMessage('报告已发送');
+    }, '发送报告失败');
+
+  const handleDelete = () =>
+    runAction(async () => {
+      if (!selected || !window.confirm('确定删除这份报告吗？')) return;
+      await api.delete(`/reports/${selected._id}`);
+      const remaining = reports.filter((report) => report._id !== selected._id);
+      setReports(remaining);
+      setSelected(remaining[0] || null);
+    }, '删除报告失败');
+
+  const handleExport = (format: 'markdown' | 'docx') =>
+    runAction(async () => {
+      setExportAnchor(null);
+      if (!selected) return;
+      const blob = await api.get(`/reports/${selected._id}/export`, {
+        params: { format },
+        responseType: 'blob',
+      });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${selected.title}.${format === 'docx' ? 'docx' : 'md'}`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    }, '导出报告失败');
+
+  const lastDelivery = selected?.deliveries[selected.deliveries.length - 1];
+
+  return (
+    <Box sx={{ flexGrow: 1 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3, flexWrap: 'wrap', gap: 2 }}>
+        <Typography variant="h4" component="h1">
+          工作报告
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button variant="outlined" startIcon={<Settings />} onClick={() => setSettingsOpen(true)}>
+            定时发送
+          </Button>
+          <Button variant="outlined" startIcon={<Summarize />} disabled={generating} onClick={() => handleGenerate('monthly')}>
+            生成本月月报
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={generating ? <CircularProgress size={16} color="inherit" /> : <Summarize />}
+            disabled={generating}
+            onClick={() => handleGenerate('weekly')}
+          >
+            生成本周周报
+          </Button>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message}
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={4} lg={3}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom>
+                历史报告
+              </Typography>
+              {loading ? (
+                <CircularProgress size={24} />
+              ) : reports.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  暂无报告，点击右上角根据本期的任务、会议、文档和日程生成草稿
+                </Typography>
+              ) : (
+                <List dense disablePadding>
+                  {reports.map((report) => (
+                    <ListItemButton
+                      key={report._id}
+                      selected={selected?._id === report._id}
+                      onClick={() => setSelected(report)}
+                    >
+                      <ListItemText
+                        primary={report.title}
+                        secondary={report.status === 'final' ? '已定稿' : '草稿'}
+                      />
+                    </ListItemButton>
+                  ))}
+                </List>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12} md={8} lg={9}>
+          {selected && (
+            <Card>
+              <CardContent>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+                  <TextField
+                    size="small"
+                    label="标题"
+                    value={selected.title}
+                    onChange={(e) => setSelected({ ...selected, title: e.target.value })}
+                    sx={{ flexGrow: 1, minWidth: 240 }}
+                  />
+                  <Chip
+                    size="small"
+                    label={selected.generatedBy === 'ai' ? 'AI生成' : '模板生成'}
+                    color={selected.generatedBy === 'ai' ? 'primary' : 'default'}
+                  />
+                  <Chip
+                    size="small"
+                    label={selected.status === 'final' ? '已定稿' : '草稿'}
+                    color={selected.status === 'final' ? 'success' : 'warning'}
+                  />
+                </Box>
+
+                <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+                  {Object.entries(statLabels).map(([key, label]) => (
+                    <Chip key={key} size="small" variant="outlined" label={`${label} ${selected.stats?.[key] || 0}`} />
+                  ))}
+                </Box>
+
+                {selected.sections.map((section, index) => (
+                  <Box key={section.key} sx={{ mb: 2 }}>
+                    <Typography variant="subtitle1" gutterBottom>
+                      {section.title}
+                    </Typography>
+                    <TextField
+                      fullWidth
+                      multiline
+                      minRows={2}
+                      value={section.content}
+                      onChange={(e) => updateSection(index, e.target.value)}
+                    />
+                  </Box>
+                ))}
+
+                <Divider sx={{ my: 2 }} />
+
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', alignItems: 'center' }}>
+                  <Button variant="contained" startIcon={<Save />} onClick={() => handleSave()}>
+                    保存
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    onClick={() => handleSave(selected.status === 'final' ? 'draft' : 'final')}
+                  >
+                    {selected.status === 'final' ? '取消定稿' : '定稿'}
+                  </Button>
+                  {selected.status === 'draft' && (
+                    <Button
+                      variant="outlined"
+                      startIcon={<Refresh />}
+                      disabled={generating}
+                      onClick={() => handleGenerate(selected.type)}
+                    >
+                      重新生成
+                    </Button>
+                  )}
+                  <Button variant="outlined" startIcon={<Download />} onClick={(e) => setExportAnchor(e.currentTarget)}>
+                    导出
+                  </Button>
+                  <Menu anchorEl={exportAnchor} open={Boolean(exportAnchor)} onClose={() => setExportAnchor(null)}>
+                    <MenuItem onClick={() => handleExport('markdown')}>Markdown</MenuItem>
+                    <MenuItem onClick={() => handleExport('docx')}>Word (DOCX)</MenuItem>
+                  </Menu>
+                  <Button variant="outlined" startIcon={<Send />} onClick={handleSend}>
+                    发送
+                  </Button>
+                  <Button color="error" startIcon={<Delete />} onClick={handleDelete}>
+                    删除
+                  </Button>
+                  {lastDelivery && (
+                    <Typography variant="body2" color="text.secondary" sx={{ ml: 'auto' }}>
+                      {`${new Date(lastDelivery.sentAt).toLocaleString()} ${lastDelivery.scheduled ? '定时' : ''}发送至${lastDelivery.channels.map((channel) => channelLabels[channel]).join('、')}`}
+                    </Typography>
+                  )}
+                </Box>
+              </CardContent>
+            </Card>
+          )}
+        </Grid>
+      </Grid>
+
+      <ReportSettings open={settingsOpen} onClose={() => setSettingsOpen(false)} />
+    </Box>
+  );
+};
+
+export default Reports;
@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  FormControl,
+  FormControlLabel,
+  FormGroup,
+  InputLabel,
+  Select,
+  MenuItem,
+  Switch,
+  Checkbox,
+  Typography,
+  Alert,
+  Box,
+} from '@mui/material';
+import { useApi } from '../../../contexts/ApiContext';
+
+export interface WorkReportSettings {
+  enabled: boolean;
+  frequency: 'weekly' | 'monthly';
+  dayOfWeek: number;
+  hour: number;
+  channels: ('email' | 'wechat')[];
+}
+
+export const channelLabels: Record<string, string> = {
+  email: '邮件',
+  wechat: '微信',
+};
+
+const weekdays = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+
+interface ReportSettingsProps {
+  open: boolean;
+  onClose: () => void;
+}
+
+const ReportSettings: React.FC<ReportSettingsProps> = ({ open, onClose }) => {
+  const api = useApi();
+  const [settings, setSettings] = useState<WorkReportSettings | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open) return;
+    setError(null);
+    api
+      .get('/reports/settings')
+      .then((response) => setSettings(response.settings))
+      .catch((err: any) => setError(err.response?.data?.message || '加载定时报告设置失败'));
+  }, [api, open]);
+
+  const toggleChannel = (channel: 'email' | 'wechat') => {
+    if (!settings) return;
+    const channels = settings.channels.includes(channel)
+      ? settings.channels.filter((item) => item !== channel)
+      : [...settings.channels, channel];
+    setSettings({ ...settings, channels });
+  };
+
+  const handleSave = async () => {
+    if (!settings) return;
+    setError(null);
+    try {
+      await api.put('/reports/settings', settings);
+      onClose();
+    } catch (err: any) {
+      setError(err.response?.data?.message || '保存定时报告设置失败');
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="xs" fullWidth>
+      <DialogTitle>定时发送</DialogTitle>
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {settings && (
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={settings.enabled}
+                  onChange={(e) => setSettings({ ...settings, enabled: e.target.checked })}
+                />
+              }
+              label="自动生成并发送报告"
+            />
+            <FormControl fullWidth size="small">
+              <InputLabel>频率</InputLabel>
+              <Select
+                value={settings.frequency}
+                label="频率"
+                onChange={(e) => setSettings({ ...settings, frequency: e.target.value as WorkReportSettings['frequency'] })}
+              >
+                <MenuItem value="weekly">周报</MenuItem>
+                <MenuItem value="monthly">月报（每月最后一天）</MenuItem>
+              </Select>
+            </FormControl>
+            {settings.frequency === 'weekly' && (
+              <FormControl fullWidth size="small">
+                <InputLabel>发送日</InputLabel>
+                <Select
+                  value={settings.dayOfWeek}
+                  label="发送日"
+                  onChange={(e) => setSettings({ ...settings, dayOfWeek: Number(e.target.value) })}
+                >
+                  {weekdays.map((label, index) => (
+                    <MenuItem key={label} value={index}>
+                      {label}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            )}
+            <FormControl fullWidth size="small">
+              <InputLabel>发送时间</InputLabel>
+              <Select
+                value={settings.hour}
+                label="发送时间"
+                onChange={(e) => setSettings({ ...settings, hour: Number(e.target.value) })}
+              >
+                {Array.from({ length: 24 }, (_, hour) => (
+                  <MenuItem key={hour} value={hour}>
+                    {`${String(hour).padStart(2, '0')}:00`}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Box>
+              <Typography variant="body2" color="text.secondary">
+                发送渠道
+              </Typography>
+              <FormGroup row>
+                {(['email', 'wechat'] as const).map((channel) => (
+                  <FormControlLabel
+                    key={channel}
+                    control={
+                      <Checkbox checked={settings.channels.includes(channel)} onChange={() => toggleChannel(channel)} />
+                    }
+                    label={channelLabels[channel]}
+                  />
+                ))}
+              </FormGroup>
+            </Box>
+          </Box>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>取消</Button>
+        <Button variant="contained" onClick={handleSave} disabled={!settings || settings.channels.length === 0}>
+          保存
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ReportSettings;
@@ -26,6 +26,9 @@ import {
   Accordion,
   AccordionSummary,
   AccordionDetails,
+  Menu,
+  ToggleButtonGroup,
+  ToggleButton,
 } from '@mui/material';
 import {
   Add,
@@ -41,10 +44,26 @@ import {
   Refresh,
   Edit,
   Psychology,
+  Timer,
+  Download,
+  History,
+  ViewList,
+  ViewKanban,
+  ViewTimeline,
+  ContentCopy,
 } from '@mui/icons-material';
 import CustomGrid from '../../components/common/CustomGrid';
 import { useAuth } from '../../hooks/useAuth';
 import { useApi } from '../../contexts/ApiContext';
+import TaskQuickAdd from './components/TaskQuickAdd';
+import TaskTimer, { ActiveTimer } from './components/TaskTimer';
+import TaskHistory from './components/TaskHistory';
+import TaskViews, { ViewGroup } from './components/TaskViews';
+import TaskBoard from './components/TaskBoard';
+import TaskTimeline from './components/TaskTimeline';
+import TaskTemplates from './components/TaskTemplates';
+import TaskCustomFields, { CustomFieldDefinition, toCustomFieldPayload } from './components/TaskCustomFields';
+import TaskCapacity, { CapacityWarning, describeCapacityWarning } from './components/TaskCapacity';
 
 const Grid = CustomGrid;
 
@@ -100,6 +119,14 @@ interface TaskFormData {
   priority: 'low' | 'medium' | 'high' | 'urgent';
   dueDate: string;
   assignee: string;
+  project: string;
+}
+
+interface ProjectOption {
+  _id: string;
+  name: string;
+  status: string;
+  role: string;
 }
 
 const Tasks: React.FC = () => {
@@ -115,6 +142,7 @@ const Tasks: React.FC = () => {
     priority: 'medium',
     dueDate: new Date().toISOString().split('T')[0],
     assignee: user?.username || '',
+    project: '',
   });
   const [planningTask, setPlanningTask] = useState<Task | null>(null);
   const [planningLoading, setPlanningLoading] = useState(false);
@@ -123,14 +151,30 @@ const Tasks: React.FC = () => {
   const [executionLoading, setExecutionLoading] = useState(false);
   const [showExecutionDialog, setShowExecutionDialog] = useState(false);
   const [executionResults, setExecutionResults] = useState<any>(null);
+  const [timers, setTimers] = useState<ActiveTimer[]>([]);
+  const [exportAnchor, setExportAnchor] = useState<null | HTMLElement>(null);
+  const [historyTaskId, setHistoryTaskId] = useState<string | null>(null);
+  const [activeViewId, setActiveViewId] = useState('');
+  const [viewGroups, setViewGroups] = useState<ViewGroup[]>([]);
+  const [activeGroup, setActiveGroup] = useState('');
+  const [layout, setLayout] = useState<'list' | 'board' | 'timeline'>('list');
+  const [planMessage, setPlanMessage] = useState<{ severity: 'success' | 'error'; text: string } | null>(null);
+  const [customFieldDefinitions, setCustomFieldDefinitions] = useState<CustomFieldDefinition[]>([]);
+  const [customFieldValues, setCustomFieldValues] = useState<Record<string, any>>({});
+  const [createError, setCreateError] = useState<string | null>(null);
+  const [capacityWarning, setCapacityWarning] = useState<CapacityWarning | null>(null);
+  const [projects, setProjects] = useState<ProjectOption[]>([]);
 
   const loadTasks = useCallback(async () => {
     setLoading(true);
     try {
-      const response = await api.get('/tasks');
+      const response = activeViewId
+        ? await api.get(`/tasks/views/${activeViewId}/tasks`)
+        : await api.get('/tasks');
       // Handle both API response formats
       const tasksData = response?.tasks || response?.data?.tasks || response || [];
       setTasks(Array.isArray(tasksData) ? tasksData : []);
+      setViewGroups(activeViewId ? response?.groups || [] : []);
     } catch (error) {
       console.error('Failed to load tasks:', error);
       // Mock data for demo
@@ -234,18 +278,90 @@ const Tasks: React.FC = () => {
     } finally {
       setLoading(false);
     }
-  }, [api, user?.username]);
+  }, [api, user?.username, activeViewId]);
+
+  const loadTimers = useCallback(async () => {
+    try {
+      const response = await api.get('/tasks/timers/active');
+      setTimers(Array.isArray(response?.timers) ? response.timers : []);
+    } catch (error) {
+      console.error('Failed to load timers:', error);
+    }
+  }, [api]);
 
   useEffect(() => {
     loadTasks();
   }, [loadTasks]);
 
+  useEffect(() => {
+    loadTimers();
+  }, [loadTimers]);
+
+  useEffect(() => {
+    api.get('/tasks/custom-fields')
+      .then((response: any) => setCustomFieldDefinitions(response?.fields || []))
+      .catch((error: any) => console.error('Failed to load custom fields:', error));
+  }, [api]);
+
+  useEffect(() => {
+    api.get('/projects')
+      .then((response: any) => setProjects(
+        (response?.projects || []).filter((project: ProjectOption) =>
+          project.role !== 'viewer' && !['completed', 'cancelled'].includes(project.status))
+      ))
+      .catch((error: any) => console.error('Failed to load projects:', error));
+  }, [api]);
+
+  const handleTimerAction = async (taskId: string, action: 'start' | 'pause' | 'stop') => {
+    try {
+      await api.post(`/tasks/${taskId}/timer/${action}`);
+      await loadTimers();
+    } catch (error) {
+      console.error(`Failed to ${action} timer:`, error);
+    }
+  };
+
+  const handleExportTimesheet = async (format: 'csv' | 'xlsx') => {
+    setExportAnchor(null);
+    try {
+      const blob = await api.get('/tasks/timesheet', {
+        params: { format, groupBy: 'day' },
+        responseType: 'blob',
+      });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `timesheet.${format}`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export timesheet:', error);
+    }
+  };
+
+  const handleExportTasks = async () => {
+    setExportAnchor(null);
+    try {
+      const blob = await api.get('/tasks/export', { responseType: 'blob' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'tasks.csv';
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export tasks:', error);
+    }
+  };
+
   const handleCreateTask = async () => {
+    setCreateError(null);
     try {
       const newTask = {
         ...formData,
         status: 'pending',
         executionPlans: [],
+        customFields: toCustomFieldPayload(customFieldDefinitions, customFieldValues),
       };
 
       const response = await api.post('/tasks', newTask);
@@ -259,15 +375,19 @@ const Tasks: React.FC = () => {
           priority: 'medium',
           dueDate: new Date().toISOString().split('T')[0],
           assignee: user?.username || '',
+          project: '',
         });
+        setCustomFieldValues({});
+        setCapacityWarning(response.capacityWarning || null);
         
         // Auto-generate AI plans for the new task
         if (createdTask && createdTask._id) {
           handleGeneratePlans(createdTask);
         }
       }
-    } catch (error) {
+    } catch (error: any) {
       console.error('Failed to create task:', error);
+      setCreateError(error.response?.data?.message || '创建任务失败');
     }
   };
 
@@ -375,6 +495,20 @@ const Tasks: React.FC = () => {
     }
   };
 
+  const closePlanningDialog = () => {
+    setPlanningTask(null);
+    setPlanMessage(null);
+  };
+
+  const handleSavePlanTemplate = async (task: Task, planIndex: number, plan: ExecutionPlan) => {
+    try {
+      await api.post(`/tasks/${task._id}/plan-template`, { planIndex, name: plan.planName });
+      setPlanMessage({ severity: 'success', text: `已保存为模板"${plan.planName}"` });
+    } catch (error: any) {
+      setPlanMessage({ severity: 'error', text: error.response?.data?.message || '保存模板失败' });
+    }
+  };
+
   const handleEditPlan = (task: Task, planIndex: number, plan: ExecutionPlan) => {
     setEditingPlan({ task, planIndex, plan: { ...plan } });
   };
@@ -509,18 +643,21 @@ const Tasks: React.FC = () => {
 
   const filterTasks = (status?: string) => {
     if (!Array.isArray(tasks)) return [];
+
+    const groupTaskIds = viewGroups.find(group => group.key === activeGroup)?.taskIds;
+    const viewTasks = groupTaskIds ? tasks.filter(task => groupTaskIds.includes(task._id)) : tasks;
     
     switch (status) {
       case 'pending':
-        return tasks.filter(task => task.status === 'pending');
+        return viewTasks.filter(task => task.status === 'pending');
       case 'in_progress':
-        return tasks.filter(task => task.status === 'in_progress');
+        return viewTasks.filter(task => task.status === 'in_progress');
       case 'completed':
-        return tasks.filter(task => task.status === 'completed');
+        return viewTasks.filter(task => task.status === 'completed');
       case 'overdue':
-        return tasks.filter(task => task.status === 'overdue');
+        return viewTasks.filter(task => task.status === 'overdue');
       default:
-        return tasks;
+        return viewTasks;
     }
   };
 
@@ -578,15 +715,78 @@ const Tasks: React.FC = () => {
         <Typography variant="h4" component="h1">
           任务管理
         </Typography>
-        <Button
-          variant="contained"
-          startIcon={<Refresh />}
-          onClick={loadTasks}
-        >
-          刷新
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={layout}
+            onChange={(_, value) => value && setLayout(value)}
+          >
+            <ToggleButton value="list" title="列表">
+              <ViewList />
+            </ToggleButton>
+            <ToggleButton value="board" title="看板">
+              <ViewKanban />
+            </ToggleButton>
+            <ToggleButton value="timeline" title="时间线">
+              <ViewTimeline />
+            </ToggleButton>
+          </ToggleButtonGroup>
+          <TaskTemplates onCreated={(task) => setTasks(prev => [task, ...prev])} />
+          <TaskCapacity />
+          <Button
+            variant="outlined"
+            startIcon={<Download />}
+            onClick={(e) => setExportAnchor(e.currentTarget)}
+          >
+            导出
+          </Button>
+          <Menu
+            anchorEl={exportAnchor}
+            open={Boolean(exportAnchor)}
+            onClose={() => setExportAnchor(null)}
+          >
+            <MenuItem onClick={() => handleExportTimesheet('csv')}>近7天工时 (CSV)</MenuItem>
+            <MenuItem onClick={() => handleExportTimesheet('xlsx')}>近7天工时 (Excel)</MenuItem>
+            <MenuItem onClick={handleExportTasks}>任务列表 (CSV)</MenuItem>
+          </Menu>
+          <Button
+            variant="contained"
+            startIcon={<Refresh />}
+            onClick={loadTasks}
+          >
+            刷新
+          </Button>
+        </Box>
       </Box>
 
+      <TaskTimer timers={timers} onAction={handleTimerAction} />
+
+      <TaskQuickAdd onCreated={(task) => setTasks(prev => [task, ...prev])} />
+
+      {capacityWarning && (
+        <Alert severity="warning" sx={{ mb: 2 }} onClose={() => setCapacityWarning(null)}>
+          {describeCapacityWarning(capacityWarning)}
+        </Alert>
+      )}
+
+      <TaskViews
+        activeViewId={activeViewId}
+        groups={viewGroups}
+        activeGroup={activeGroup}
+        onSelectView={(viewId) => {
+          setActiveViewId(viewId);
+          setActiveGroup('');
+        }}
+        onSelectGroup={setActiveGroup}
+      />
+
+      {layout === 'board' ? (
+        <TaskBoard viewId={activeViewId} onChanged={loadTasks} />
+      ) : layout === 'timeline' ? (
+        <TaskTimeline viewId={activeViewId} onChanged={loadTasks} />
+      ) : (
+      <>
       <Box sx={{ borderBottom: 1, borderColor: 'divider', mb: 3 }}>
         <Tabs value={activeTab} onChange={(_, newValue) => setActiveTab(newValue)}>
           <Tab label={`全部 (${filterTasks().length})`} />
@@ -666,6 +866,16 @@ const Tasks: React.FC = () => {
                       完成任务
                     </Button>
                   )}
+                  {task.status !== 'completed' && !timers.some(timer => timer.task?._id === task._id) && (
+                    <Button
+                      size="small"
+                      variant="outlined"
+                      startIcon={<Timer />}
+                      onClick={() => handleTimerAction(task._id, 'start')}
+                    >
+                      开始计时
+                    </Button>
+                  )}
                   <Button
                     size="small"
                     variant="outlined"
@@ -674,6 +884,13 @@ const Tasks: React.FC = () => {
                   >
                     AI规划方案
                   </Button>
+                  <Button
+                    size="small"
+                    startIcon={<History />}
+                    onClick={() => setHistoryTaskId(task._id)}
+                  >
+                    历史
+                  </Button>
                 </Box>
 
                 {Array.isArray(task.executionPlans) && task.executionPlans.length > 0 && (
@@ -818,11 +1035,18 @@ const Tasks: React.FC = () => {
           </Grid>
         )}
       </Grid>
+      </>
+      )}
 
       {/* Create Task Dialog */}
       <Dialog open={openDialog} onClose={() => setOpenDialog(false)} maxWidth="md" fullWidth>
         <DialogTitle>创建新任务</DialogTitle>
         <DialogContent>
+          {createError && (
+            <Alert severity="error" sx={{ mt: 1 }}>
+              {createError}
+            </Alert>
+          )}
           <Grid container spacing={2} sx={{ mt: 1 }}>
             <Grid item xs={12}>
               <TextField
@@ -867,7 +1091,7 @@ const Tasks: React.FC = () => {
                 onChange={(e) => setFormData(prev => ({ ...prev, dueDate: e.target.value }))}
               />
             </Grid>
-            <Grid item xs={12}>
+            <Grid item xs={12} sm={6}>
               <TextField
                 fullWidth
                 label="负责人"
@@ -875,6 +1099,28 @@ const Tasks: React.FC = () => {
                 onChange={(e) => setFormData(prev => ({ ...prev, assignee: e.target.value }))}
               />
             </Grid>
+            <Grid item xs={12} sm={6}>
+              <FormControl fullWidth>
+                <InputLabel>所属项目</InputLabel>
+                <Select
+                  value={formData.project}
+                  onChange={(e) => setFormData(prev => ({ ...prev, project: e.target.value }))}
+                  label="所属项目"
+                >
+                  <MenuItem value="">无</MenuItem>
+                  {projects.map((project) => (
+                    <MenuItem key={project._id} value={project._id}>
+                      {project.name}
+                    </MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+            <TaskCustomFields
+              definitions={customFieldDefinitions}
+              values={customFieldValues}
+              onChange={setCustomFieldValues}
+            />
           </Grid>
         </DialogContent>
         <DialogActions>
@@ -884,12 +1130,17 @@ const Tasks: React.FC = () => {
       </Dialog>
 
       {/* Planning Dialog */}
-      <Dialog open={!!planningTask} onClose={() => setPlanningTask(null)} maxWidth="lg" fullWidth>
+      <Dialog open={!!planningTask} onClose={closePlanningDialog} maxWidth="lg" fullWidth>
         <DialogTitle>
           任务执行方案 - {planningTask?.title}
           {planningLoading && <LinearProgress sx={{ mt: 1 }} />}
         </DialogTitle>
         <DialogContent>
+          {planMessage && (
+            <Alert severity={planMessage.severity} sx={{ mb: 2 }} onClose={() => setPlanMessage(null)}>
+              {planMessage.text}
+            </Alert>
+          )}
           {planningLoading ? (
             <Box sx={{ textAlign: 'center', py: 4 }}>
               <Typography>AI正在生成任务执行方案...</Typography>
@@ -939,6 +1190,14 @@ const Tasks: React.FC = () => {
                         >
                           编辑
                         </Button>
+                        <Button
+                          variant="outlined"
+                          size="small"
+                          onClick={() => planningTask && handleSavePlanTemplate(planningTask, index, plan)}
+                          startIcon={<ContentCopy />}
+                        >
+                          存为模板
+                        </Button>
                         <Button
                           variant="contained"
                           color="primary"
@@ -967,7 +1226,7 @@ const Tasks: React.FC = () => {
           )}
         </DialogContent>
         <DialogActions>
-          <Button onClick={() => setPlanningTask(null)}>关闭</Button>
+          <Button onClick={closePlanningDialog}>关闭</Button>
         </DialogActions>
       </Dialog>
 
@@ -1116,6 +1375,19 @@ const Tasks: React.FC = () => {
       >
         <Add />
       </Fab>
+
+      <TaskHistory
+        taskId={historyTaskId}
+        onClose={() => setHistoryTaskId(null)}
+        onReverted={(updated) => setTasks(prev => prev.map(t => t._id === updated._id ? {
+          ...t,
+          title: updated.title,
+          description: updated.description,
+          status: updated.status,
+          priority: updated.priority,
+          dueDate: updated.dueDate,
+        } : t))}
+      />
     </Box>
   );
 };
@@ -0,0 +1,332 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Card,
+  CardContent,
+  Typography,
+  Chip,
+  Alert,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  LinearProgress,
+} from '@mui/material';
+import { Flag, Person, Tune } from '@mui/icons-material';
+import { useApi } from '../../../contexts/ApiContext';
+
+interface BoardTask {
+  _id: string;
+  title: string;
+  status: string;
+  priority: string;
+  dueDate?: string;
+  progress?: number;
+  assignedTo?: { _id: string; username: string; profile?: { firstName?: string; lastName?: string } };
+}
+
+interface BoardColumn {
+  key: string;
+  label: string;
+  wipLimit: number | null;
+  count: number;
+  overLimit: boolean;
+  tasks: BoardTask[];
+}
+
+interface TaskBoardProps {
+  viewId: string;
+  onChanged?: () => void;
+}
+
+interface DropTarget {
+  column: string;
+  index: number;
+}
+
+const groupOptions: Record<string, string> = {
+  status: '状态',
+  priority: '优先级',
+  assignedTo: '负责人',
+};
+
+const priorityLabels: Record<string, string> = { urgent: '紧急', high: '高', medium: '中', low: '低' };
+
+const priorityColors: Record<string, 'error' | 'warning' | 'info' | 'success'> = {
+  urgent: 'error',
+  high: 'warning',
+  medium: 'info',
+  low: 'success',
+};
+
+const userName = (user?: BoardTask['assignedTo']) =>
+  user ? `${user.profile?.lastName || ''}${user.profile?.firstName || ''}` || user.username : '';
+
+const TaskBoard: React.FC<TaskBoardProps> = ({ viewId, onChanged }) => {
+  const api = useApi();
+  const [groupBy, setGroupBy] = useState('status');
+  const [columns, setColumns] = useState<BoardColumn[]>([]);
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [draggingId, setDraggingId] = useState<string | null>(null);
+  const [dropTarget, setDropTarget] = useState<DropTarget | null>(null);
+  const [message, setMessage] = useState<{ severity: 'warning' | 'error'; text: string } | null>(null);
+  const [limitsOpen, setLimitsOpen] = useState(false);
+  const [limits, setLimits] = useState<Record<string, string>>({});
+
+  const loadBoard = useCallback(async () => {
+    try {
+      const response = await api.get('/tasks/board', { params: { groupBy, viewId: viewId || undefined } });
+      setColumns(response?.columns || []);
+      setTruncated(!!response?.truncated);
+    } catch (err: any) {
+      setMessage({ severity: 'error', text: err.response?.data?.message || '加载看板失败' });
+    } finally {
+      setLoading(false);
+    }
+  }, [api, groupBy, viewId]);
+
+  useEffect(() => {
+    loadBoard();
+  }, [loadBoard]);
+
+  // 根据鼠标位置判断放在卡片上方还是下方
+  const handleCardDragOver = (e: React.DragEvent, column: string, index: number) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    const after = e.clientY > rect.top + rect.height / 2;
+    setDropTarget({ column, index: after ? index + 1 : index });
+  };
+
+  const handleColumnDragOver = (e: React.DragEvent, column: BoardColumn) => {
+    e.preventDefault();
+    if (dropTarget?.column !== column.key) {
+      setDropTarget({ column: column.key, index: column.tasks.length });
+    }
+  };
+
+  const handleDrop = async (e: React.DragEvent) => {
+    e.preventDefault();
+    const taskId = draggingId;
+    const target = dropTarget;
+    setDraggingId(null);
+    setDropTarget(null);
+    if (!taskId || !target) return;
+
+    const column = columns.find((item) => item.key === target.column);
+    if (!column) return;
+
+    // 相邻任务不包含被拖动的任务本身
+    const index = target.index - column.tasks.slice(0, target.index).filter((task) => task._id === taskId).length;
+    const siblings = column.tasks.filter((task) => task._id !== taskId);
+    const prevTaskId = siblings[index - 1]?._id || null;
+    const nextTaskId = siblings[index]?._id || null;
+
+    const source = columns.find((item) => item.tasks.some((task) => task._id === taskId));
+    const sourceIndex = source?.tasks.findIndex((task) => task._id === taskId) ?? -1;
+    if (source?.key === column.key && source.tasks[sourceIndex - 1]?._id === (prevTaskId || undefined) &&
+      source.tasks[sourceIndex + 1]?._id === (nextTaskId || undefined)) {
+      return;
+    }
+
+    // 先在本地移动卡片，再以服务端结果为准刷新
+    const moved = source?.tasks[sourceIndex];
+    if (moved) {
+      setColumns((prev) =>
+        prev.map((item) => {
+          const rest = item.tasks.filter((task) => task._id !== taskId);
+          if (item.key !== column.key) return { ...item, tasks: rest, count: rest.length };
+          const tasks = [...rest.slice(0, index), moved, ...rest.slice(index)];
+          return { ...item, tasks, count: tasks.length };
+        })
+      );
+    }
+
+    try {
+      const response = await api.patch('/tasks/board/move', {
+        taskId,
+        groupBy,
+        to: column.key,
+        prevTaskId,
+        nextTaskId,
+      });
+      setMessage(response?.warning ? { severity: 'warning', text: response.warning } : null);
+      onChanged?.();
+    } catch (err: any) {
+      const blocking = err.response?.data?.data?.blockingTasks;
+      const detail = blocking?.length ? `：${blocking.map((task: BoardTask) => task.title).join('、')}` : '';
+      setMessage({ severity: 'error', text: `${err.response?.data?.message || '移动任务失败'}${detail}` });
+    }
+    await loadBoard();
+  };
+
+  const openLimits = () => {
+    setLimits(
+      Object.fromEntries(columns.map((column) => [column.key, column.wipLimit ? String(column.wipLimit) : '']))
+    );
+    setLimitsOpen(true);
+  };
+
+  const handleSaveLimits = async () => {
+    try {
+      await api.put('/tasks/board/wip-limits', {
+        groupBy,
+        limits: Object.fromEntries(
+          Object.entries(limits).map(([key, value]) => [key, value ? Number(value) : null])
+        ),
+      });
+      setLimitsOpen(false);
+      await loadBoard();
+    } catch (err: any) {
+      setMessage({ severity: 'error', text: err.response?.data?.message || '保存在制品上限失败' });
+    }
+  };
+
+  if (loading) {
+    return <LinearProgress />;
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+        <FormControl size="small" sx={{ minWidth: 140 }}>
+          <InputLabel>看板分组</InputLabel>
+          <Select value={groupBy} label="看板分组" onChange={(e) => setGroupBy(e.target.value)}>
+            {Object.entries(groupOptions).map(([value, label]) => (
+              <MenuItem key={value} value={value}>
+                {label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button size="small" startIcon={<Tune />} onClick={openLimits}>
+          在制品上限
+        </Button>
+      </Box>
+
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+      {truncated && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          任务较多，看板只显示最近的部分任务
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, overflowX: 'auto', pb: 2, alignItems: 'flex-start' }}>
+        {columns.map((column) => (
+          <Paper
+            key={column.key}
+            variant="outlined"
+            onDragOver={(e) => handleColumnDragOver(e, column)}
+            onDrop={handleDrop}
+            sx={{
+              width: 280,
+              flexShrink: 0,
+              p: 1,
+              bgcolor: column.overLimit ? 'warning.light' : 'grey.50',
+              borderColor: dropTarget?.column === column.key ? 'primary.main' : undefined,
+            }}
+          >
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', px: 1, mb: 1 }}>
+              <Typography variant="subtitle1">{column.label}</Typography>
+              <Chip
+                size="small"
+                label={column.wipLimit ? `${column.count} / ${column.wipLimit}` : column.count}
+                color={column.overLimit ? 'warning' : 'default'}
+              />
+            </Box>
+
+            <Box sx={{ minHeight: 80 }}>
+              {column.tasks.map((task, index) => (
+                <Box key={task._id}>
+                  {draggingId && dropTarget?.column === column.key && dropTarget.index === index && (
+                    <Box sx={{ height: 3, bgcolor: 'primary.main', borderRadius: 1, mb: 1 }} />
+                  )}
+                  <Card
+                    draggable
+                    onDragStart={(e) => {
+                      e.dataTransfer.effectAllowed = 'move';
+                      setDraggingId(task._id);
+                    }}
+                    onDragEnd={() => {
+                      setDraggingId(null);
+                      setDropTarget(null);
+                    }}
+                    onDragOver={(e) => handleCardDragOver(e, column.key, index)}
+                    sx={{ mb: 1, cursor: 'grab', opacity: draggingId === task._id ? 0.5 : 1 }}
+                  >
+                    <CardContent sx={{ p: 1.5, '&:last-child': { pb: 1.5 } }}>
+                      <Typography variant="body2" sx={{ mb: 1 }}>
+                        {task.title}
+                      </Typography>
+                      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                        {groupBy !== 'priority' && (
+                          <Chip
+                            size="small"
+                            icon={<Flag />}
+                            label={priorityLabels[task.priority] || task.priority}
+                            color={priorityColors[task.priority]}
+                          />
+                        )}
+                        {groupBy !== 'assignedTo' && task.assignedTo && (
+                          <Chip size="small" icon={<Person />} label={userName(task.assignedTo)} />
+                        )}
+                        {task.dueDate && (
+                          <Chip size="small" variant="outlined" label={new Date(task.dueDate).toLocaleDateString()} />
+                        )}
+                      </Box>
+                    </CardContent>
+                  </Card>
+                </Box>
+              ))}
+              {draggingId && dropTarget?.column === column.key && dropTarget.index === column.tasks.length && (
+                <Box sx={{ height: 3, bgcolor: 'primary.main', borderRadius: 1 }} />
+              )}
+            </Box>
+          </Paper>
+        ))}
+      </Box>
+
+      <Dialog open={limitsOpen} onClose={() => setLimitsOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle>在制品上限（按{groupOptions[groupBy]}）</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            列中任务数超过上限时会提示，留空表示不限制
+          </Typography>
+          {columns.map((column) => (
+            <TextField
+              key={column.key}
+              fullWidth
+              size="small"
+              type="number"
+              label={column.label}
+              value={limits[column.key] || ''}
+              onChange={(e) => setLimits((prev) => ({ ...prev, [column.key]: e.target.value }))}
+              inputProps={{ min: 0, step: 1 }}
+              sx={{ mb: 2 }}
+            />
+          ))}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setLimitsOpen(false)}>取消</Button>
+          <Button variant="contained" onClick={handleSaveLimits}>
+            保存
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default TaskBoard;
@@ -0,0 +1,198 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Tooltip,
+  Chip,
+  Alert,
+  Typography,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Box,
+} from '@mui/material';
+import { Groups } from '@mui/icons-material';
+import { useApi } from '../../../contexts/ApiContext';
+
+interface CapacityUser {
+  _id: string;
+  username: string;
+  profile?: { firstName?: string; lastName?: string };
+}
+
+interface CapacityWeek {
+  start: string;
+  plannedHours: number;
+  freeHours: number;
+  utilization: number | null;
+  overAllocated: boolean;
+  tasks: { task: string; title: string; hours: number }[];
+}
+
+interface CapacityMember {
+  user: CapacityUser;
+  weeks: CapacityWeek[];
+  plannedHours: number;
+  freeHours: number;
+  unscheduledHours: number;
+  unestimatedTasks: number;
+  overAllocated: boolean;
+}
+
+export interface CapacityWarning {
+  assignee: CapacityUser | string;
+  hours: number;
+  overAllocatedWeeks: { start: string; plannedHours: number; freeHours: number }[];
+  suggestions: { user: CapacityUser | string; availableHours: number }[];
+}
+
+export const getUserName = (user: CapacityUser | string) =>
+  typeof user === 'string'
+    ? user
+    : `${user.profile?.lastName || ''}${user.profile?.firstName || ''}` || user.username;
+
+const formatWeek = (date: string) => {
+  const value = new Date(date);
+  return `${value.getMonth() + 1}/${value.getDate()}`;
+};
+
+// 负责人超负荷提示，附带改派建议
+export const describeCapacityWarning = (warning: CapacityWarning) => {
+  const weeks = warning.overAllocatedWeeks
+    .map((week) => `${formatWeek(week.start)}周（${week.plannedHours}/${week.freeHours}小时）`)
+    .join('、');
+  const suggestions = warning.suggestions
+    .map((item) => `${getUserName(item.user)}（空闲${item.availableHours}小时）`)
+    .join('、');
+  return `${getUserName(warning.assignee)}在${weeks}已超负荷${suggestions ? `，可考虑改派给：${suggestions}` : ''}`;
+};
+
+const utilizationColor = (week: CapacityWeek) => {
+  if (week.overAllocated) return 'error';
+  if ((week.utilization ?? 0) >= 80) return 'warning';
+  return 'success';
+};
+
+const TaskCapacity: React.FC = () => {
+  const api = useApi();
+  const [open, setOpen] = useState(false);
+  const [weeks, setWeeks] = useState(4);
+  const [members, setMembers] = useState<CapacityMember[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadCapacity = useCallback(async () => {
+    setError(null);
+    try {
+      const response = await api.get('/tasks/capacity', { params: { weeks } });
+      setMembers(response?.members || []);
+    } catch (err: any) {
+      setError(err.response?.data?.message || '加载工作负载失败');
+    }
+  }, [api, weeks]);
+
+  useEffect(() => {
+    if (open) loadCapacity();
+  }, [open, loadCapacity]);
+
+  const weekStarts = members[0]?.weeks.map((week) => week.start) || [];
+
+  return (
+    <>
+      <Button variant="outlined" startIcon={<Groups />} onClick={() => setOpen(true)}>
+        团队负载
+      </Button>
+
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="lg" fullWidth>
+        <DialogTitle>团队工作负载</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2, mt: 1 }}>
+            <FormControl size="small" sx={{ minWidth: 120 }}>
+              <InputLabel>周数</InputLabel>
+              <Select value={weeks} label="周数" onChange={(e) => setWeeks(Number(e.target.value))}>
+                {[2, 4, 8, 12].map((count) => (
+                  <MenuItem key={count} value={count}>
+                    {count}周
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <Typography variant="body2" color="text.secondary">
+              已安排工时 / 空闲工时，剩余预估工时按进度扣减并摊到截止日期前的工作日
+            </Typography>
+          </Box>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>成员</TableCell>
+                {weekStarts.map((start) => (
+                  <TableCell key={start} align="center">
+                    {formatWeek(start)}周
+                  </TableCell>
+                ))}
+                <TableCell align="right">未排期</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {members.map((member) => (
+                <TableRow key={member.user._id}>
+                  <TableCell>
+                    {getUserName(member.user)}
+                    {member.overAllocated && <Chip label="超负荷" color="error" size="small" sx={{ ml: 1 }} />}
+                  </TableCell>
+                  {member.weeks.map((week) => (
+                    <TableCell key={week.start} align="center">
+                      <Tooltip
+                        title={
+                          week.tasks.length > 0
+                            ? week.tasks.map((item) => `${item.title}: ${item.hours}小时`).join('\n')
+                            : '无已安排任务'
+                        }
+                        componentsProps={{ tooltip: { sx: { whiteSpace: 'pre-line' } } }}
+                      >
+                        <Chip
+                          size="small"
+                          variant={week.overAllocated ? 'filled' : 'outlined'}
+                          color={utilizationColor(week)}
+                          label={`${week.plannedHours}/${week.freeHours}h`}
+                        />
+                      </Tooltip>
+                    </TableCell>
+                  ))}
+                  <TableCell align="right">
+                    {member.unscheduledHours > 0 ? `${member.unscheduledHours}h` : '-'}
+                    {member.unestimatedTasks > 0 && (
+                      <Typography variant="caption" color="text.secondary" display="block">
+                        {member.unestimatedTasks}个任务未估时
+                      </Typography>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)}>关闭</Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default TaskCapacity;
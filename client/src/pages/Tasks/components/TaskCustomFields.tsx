@@ -0,0 +1,94 @@
+import React from 'react';
+import { TextField, FormControl, InputLabel, Select, MenuItem, FormHelperText } from '@mui/material';
+import CustomGrid from '../../../components/common/CustomGrid';
+
+const Grid = CustomGrid;
+
+export interface CustomFieldDefinition {
+  _id: string;
+  key: string;
+  label: string;
+  description?: string;
+  type: 'text' | 'number' | 'date' | 'select' | 'multi_select' | 'user';
+  options: string[];
+  required: boolean;
+  min?: number;
+  max?: number;
+  active: boolean;
+}
+
+interface TaskCustomFieldsProps {
+  definitions: CustomFieldDefinition[];
+  values: Record<string, any>;
+  onChange: (values: Record<string, any>) => void;
+}
+
+// 提交前去掉空值，数字字段转为数字
+export const toCustomFieldPayload = (definitions: CustomFieldDefinition[], values: Record<string, any>) =>
+  definitions.reduce<Record<string, any>>((payload, definition) => {
+    const value = values[definition.key];
+    if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return payload;
+    payload[definition.key] = definition.type === 'number' ? Number(value) : value;
+    return payload;
+  }, {});
+
+const TaskCustomFields: React.FC<TaskCustomFieldsProps> = ({ definitions, values, onChange }) => {
+  const setValue = (key: string, value: any) => onChange({ ...values, [key]: value });
+
+  const renderField = (definition: CustomFieldDefinition) => {
+    const value = values[definition.key];
+
+    if (definition.type === 'select' || definition.type === 'multi_select') {
+      const multiple = definition.type === 'multi_select';
+      return (
+        <FormControl fullWidth required={definition.required}>
+          <InputLabel>{definition.label}</InputLabel>
+          <Select
+            multiple={multiple}
+            value={value ?? (multiple ? [] : '')}
+            label={definition.label}
+            onChange={(e) => setValue(definition.key, e.target.value)}
+          >
+            {!multiple && !definition.required && (
+              <MenuItem value="">
+                <em>未设置</em>
+              </MenuItem>
+            )}
+            {definition.options.map((option) => (
+              <MenuItem key={option} value={option}>
+                {option}
+              </MenuItem>
+            ))}
+          </Select>
+          {definition.description && <FormHelperText>{definition.description}</FormHelperText>}
+        </FormControl>
+      );
+    }
+
+    return (
+      <TextField
+        fullWidth
+        required={definition.required}
+        type={definition.type === 'number' ? 'number' : definition.type === 'date' ? 'date' : 'text'}
+        label={definition.label}
+        helperText={definition.type === 'user' ? definition.description || '填写用户ID' : definition.description}
+        InputLabelProps={definition.type === 'date' ? { shrink: true } : undefined}
+        inputProps={definition.type === 'number' ? { min: definition.min, max: definition.max } : undefined}
+        value={value ?? ''}
+        onChange={(e) => setValue(definition.key, e.target.value)}
+      />
+    );
+  };
+
+  return (
+    <>
+      {definitions.map((definition) => (
+        <Grid item xs={12} sm={6} key={definition.key}>
+          {renderField(definition)}
+        </Grid>
+      ))}
+    </>
+  );
+};
+
+export default TaskCustomFields;
@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Typography,
+  Chip,
+  Alert,
+  Divider,
+  CircularProgress,
+} from '@mui/material';
+import { Undo } from '@mui/icons-material';
+import { useApi } from '../../../contexts/ApiContext';
+
+interface HistoryUser {
+  _id: string;
+  username: string;
+  profile?: {
+    firstName?: string;
+    lastName?: string;
+  };
+}
+
+interface FieldChange {
+  field: string;
+  from: any;
+  to: any;
+  reverted: boolean;
+  revertible: boolean;
+}
+
+interface HistoryEntry {
+  _id: string;
+  action: string;
+  user?: HistoryUser;
+  details?: string;
+  timestamp: string;
+  revertOf?: string;
+  changes: FieldChange[];
+}
+
+interface TaskHistoryProps {
+  taskId: string | null;
+  onClose: () => void;
+  onReverted: (task: any) => void;
+}
+
+const fieldLabels: Record<string, string> = {
+  title: '标题',
+  description: '描述',
+  status: '状态',
+  priority: '优先级',
+  category: '类型',
+  progress: '进度',
+  estimatedHours: '预估工时',
+  assignedTo: '负责人',
+  startDate: '开始时间',
+  dueDate: '截止时间',
+  tags: '标签',
+  dependencies: '前置任务',
+  subtasks: '子任务',
+  customFields: '自定义字段',
+};
+
+const valueLabels: Record<string, string> = {
+  pending: '待处理',
+  in_progress: '进行中',
+  completed: '已完成',
+  cancelled: '已取消',
+  on_hold: '已暂停',
+  low: '低',
+  medium: '中',
+  high: '高',
+  urgent: '紧急',
+};
+
+const formatUser = (user?: HistoryUser | string | null) => {
+  if (!user) return '—';
+  if (typeof user === 'string') return user;
+  const name = `${user.profile?.lastName || ''}${user.profile?.firstName || ''}`;
+  return name || user.username;
+};
+
+const formatValue = (field: string, value: any) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'assignedTo') return formatUser(value);
+  if (field === 'startDate' || field === 'dueDate') return new Date(value).toLocaleString('zh-CN');
+  if (field === 'subtasks') {
+    const completed = value.filter((subtask: any) => subtask.completed).length;
+    return `${completed}/${value.length} 已完成`;
+  }
+  if (field === 'dependencies') return `${value.length}个`;
+  if (field === 'customFields') {
+    const entries = Object.entries(value).map(([key, item]) => `${key}=${Array.isArray(item) ? item.join('/') : item}`);
+    return entries.join('，') || '—';
+  }
+  if (Array.isArray(value)) return value.join('、') || '—';
+  return valueLabels[value] || String(value);
+};
+
+const TaskHistory: React.FC<TaskHistoryProps> = ({ taskId, onClose, onReverted }) => {
+  const api = useApi();
+  const [history, setHistory] = useState<HistoryEntry[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadHistory = useCallback(async () => {
+    if (!taskId) return;
+    setLoading(true);
+    try {
+      const response = await api.get(`/tasks/${taskId}/history`);
+      setHistory(response?.history || []);
+    } catch (err: any) {
+      setError(err.response?.data?.message || '获取变更历史失败');
+    } finally {
+      setLoading(false);
+    }
+  }, [api, taskId]);
+
+  useEffect(() => {
+    setError(null);
+    setHistory([]);
+    loadHistory();
+  }, [loadHistory]);
+
+  const handleRevert = async (entryId: string, field: string) => {
+    try {
+      const response = await api.post(`/tasks/${taskId}/history/${entryId}/revert`, { field });
+      if (response?.task) onReverted(response.task);
+      await loadHistory();
+    } catch (err: any) {
+      setError(err.response?.data?.message || '撤销变更失败');
+    }
+  };
+
+  return (
+    <Dialog open={!!taskId} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>变更历史</DialogTitle>
+      <DialogContent dividers>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : history.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            暂无变更记录
+          </Typography>
+        ) : (
+          history.map((entry, index) => (
+            <Box key={entry._id}>
+              {index > 0 && <Divider sx={{ my: 1.5 }} />}
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                <Typography variant="subtitle2">{formatUser(entry.user)}</Typography>
+                <Typography variant="caption" color="text.secondary">
+                  {new Date(entry.timestamp).toLocaleString('zh-CN')}
+                </Typography>
+                {entry.revertOf && <Chip size="small" label="撤销" />}
+              </Box>
+              {entry.changes.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  {entry.details}
+                </Typography>
+              ) : (
+                entry.changes.map((change) => (
+                  <Box
+                    key={change.field}
+                    sx={{ display: 'flex', alignItems: 'center', gap: 1, pl: 1 }}
+                  >
+                    <Typography variant="body2" sx={{ flexGrow: 1 }}>
+                      {fieldLabels[change.field] || change.field}：
+                      {formatValue(change.field, change.from)} → {formatValue(change.field, change.to)}
+                    </Typography>
+                    {change.reverted && <Chip size="small" variant="outlined" label="已撤销" />}
+                    {change.revertible && (
+                      <Button
+                        size="small"
+                        startIcon={<Undo />}
+                        onClick={() => handleRevert(entry._id, change.field)}
+                      >
+                        撤销
+                      </Button>
+                    )}
+                  </Box>
+                ))
+              )}
+            </Box>
+          ))
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>关闭</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TaskHistory;
@@ -0,0 +1,162 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  TextField,
+  Button,
+  Chip,
+  Alert,
+  InputAdornment,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Bolt,
+  CalendarToday,
+  Flag,
+  LocalOffer,
+  Person,
+} from '@mui/icons-material';
+import { useApi } from '../../../contexts/ApiContext';
+
+interface ParsedQuickAdd {
+  title: string;
+  dueDate: string | null;
+  hasTime: boolean;
+  priority: 'low' | 'medium' | 'high' | 'urgent' | null;
+  tags: string[];
+  assignee: string | null;
+}
+
+interface TaskQuickAddProps {
+  onCreated: (task: any) => void;
+}
+
+const priorityLabels: Record<string, string> = {
+  urgent: '紧急',
+  high: '高',
+  medium: '中',
+  low: '低',
+};
+
+const TaskQuickAdd: React.FC<TaskQuickAddProps> = ({ onCreated }) => {
+  const api = useApi();
+  const [text, setText] = useState('');
+  const [parsed, setParsed] = useState<ParsedQuickAdd | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [warnings, setWarnings] = useState<string[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  // 输入停顿后预览解析结果
+  useEffect(() => {
+    if (!text.trim()) {
+      setParsed(null);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.post('/tasks/quick-add', { text, preview: true });
+        setParsed(response?.parsed || null);
+      } catch (err) {
+        setParsed(null);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [text, api]);
+
+  const handleSubmit = async () => {
+    if (!text.trim() || submitting) return;
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await api.post('/tasks/quick-add', { text });
+      if (response?.task) {
+        onCreated(response.task);
+        setWarnings(response.warnings || []);
+        setText('');
+        setParsed(null);
+      }
+    } catch (err: any) {
+      setError(err.response?.data?.message || '快速创建任务失败');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatDueDate = (value: string, hasTime: boolean) => {
+    const date = new Date(value);
+    return hasTime
+      ? date.toLocaleString('zh-CN', { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString('zh-CN');
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+      <Box sx={{ display: 'flex', gap: 1 }}>
+        <TextField
+          fullWidth
+          size="small"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleSubmit();
+          }}
+          placeholder='快速添加，如"明天下午3点前提交周报 #项目A !高 @张三"'
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <Bolt color="primary" />
+              </InputAdornment>
+            ),
+          }}
+        />
+        <Button
+          variant="contained"
+          onClick={handleSubmit}
+          disabled={!text.trim() || submitting}
+          sx={{ whiteSpace: 'nowrap' }}
+        >
+          {submitting ? <CircularProgress size={20} color="inherit" /> : '添加'}
+        </Button>
+      </Box>
+
+      {parsed && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1.5 }}>
+          <Chip size="small" label={parsed.title || '（未识别标题）'} />
+          {parsed.dueDate && (
+            <Chip
+              size="small"
+              icon={<CalendarToday />}
+              label={formatDueDate(parsed.dueDate, parsed.hasTime)}
+            />
+          )}
+          {parsed.priority && (
+            <Chip size="small" icon={<Flag />} label={priorityLabels[parsed.priority]} />
+          )}
+          {parsed.tags.map((tag) => (
+            <Chip key={tag} size="small" icon={<LocalOffer />} label={tag} />
+          ))}
+          {parsed.assignee && (
+            <Chip size="small" icon={<Person />} label={parsed.assignee} />
+          )}
+        </Box>
+      )}
+
+      {warnings.map((warning) => (
+        <Alert key={warning} severity="warning" sx={{ mt: 1.5 }} onClose={() => setWarnings([])}>
+          {warning}
+        </Alert>
+      ))}
+
+      {error && (
+        <Alert severity="error" sx={{ mt: 1.5 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+    </Paper>
+  );
+};
+
+export default TaskQuickAdd;
@@ -0,0 +1,408 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  List,
+  ListItemButton,
+  ListItemText,
+  ListSubheader,
+  IconButton,
+  TextField,
+  FormControl,
+  FormControlLabel,
+  InputLabel,
+  Select,
+  MenuItem,
+  Checkbox,
+  Alert,
+  Typography,
+  Tabs,
+  Tab,
+} from '@mui/material';
+import { ContentCopy, Delete } from '@mui/icons-material';
+import CustomGrid from '../../../components/common/CustomGrid';
+import { useApi } from '../../../contexts/ApiContext';
+
+const Grid = CustomGrid;
+
+export interface TaskTemplate {
+  _id: string;
+  name: string;
+  titlePattern: string;
+  description?: string;
+  priority: string;
+  tags: string[];
+  subtasks: { title: string }[];
+  dueOffsetDays?: number;
+  shared: boolean;
+  usageCount: number;
+  owner?: { _id: string; username: string } | string;
+}
+
+interface TaskTemplatesProps {
+  onCreated: (task: any) => void;
+}
+
+interface TemplateForm {
+  name: string;
+  titlePattern: string;
+  description: string;
+  priority: string;
+  tags: string;
+  subtasks: string;
+  dueOffsetDays: string;
+  frequency: string;
+  shared: boolean;
+}
+
+// 内置占位符，其余占位符在创建任务时填写
+const builtinVariables = ['date', 'year', 'month', 'day', 'week', 'quarter', 'user'];
+
+const priorityLabels: Record<string, string> = { urgent: '紧急', high: '高', medium: '中', low: '低' };
+
+const frequencyLabels: Record<string, string> = {
+  '': '不重复',
+  daily: '每天',
+  weekly: '每周',
+  monthly: '每月',
+  yearly: '每年',
+};
+
+const emptyForm: TemplateForm = {
+  name: '',
+  titlePattern: '',
+  description: '',
+  priority: 'medium',
+  tags: '',
+  subtasks: '',
+  dueOffsetDays: '',
+  frequency: '',
+  shared: false,
+};
+
+const getPlaceholders = (text?: string) =>
+  Array.from(new Set(Array.from((text || '').matchAll(/\{([^{}\s]+)\}/g)).map((match) => match[1])));
+
+const TaskTemplates: React.FC<TaskTemplatesProps> = ({ onCreated }) => {
+  const api = useApi();
+  const [open, setOpen] = useState(false);
+  const [tab, setTab] = useState(0);
+  const [own, setOwn] = useState<TaskTemplate[]>([]);
+  const [shared, setShared] = useState<TaskTemplate[]>([]);
+  const [selected, setSelected] = useState<TaskTemplate | null>(null);
+  const [variables, setVariables] = useState<Record<string, string>>({});
+  const [baseDate, setBaseDate] = useState('');
+  const [form, setForm] = useState<TemplateForm>(emptyForm);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const response = await api.get('/tasks/templates');
+      setOwn(response?.own || []);
+      setShared(response?.shared || []);
+    } catch (err) {
+      console.error('Failed to load task templates:', err);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    if (open) loadTemplates();
+  }, [open, loadTemplates]);
+
+  const customVariables = selected
+    ? getPlaceholders(`${selected.titlePattern} ${selected.description || ''}`).filter(
+        (name) => !builtinVariables.includes(name)
+      )
+    : [];
+
+  const handleClose = () => {
+    setOpen(false);
+    setSelected(null);
+    setError(null);
+  };
+
+  const handleSelect = (template: TaskTemplate) => {
+    setSelected(template);
+    setVariables({});
+    setError(null);
+  };
+
+  const handleInstantiate = async () => {
+    if (!selected) return;
+    setError(null);
+    try {
+      const response = await api.post(`/tasks/templates/${selected._id}/instantiate`, {
+        variables,
+        baseDate: baseDate || undefined,
+      });
+      if (response?.task) onCreated(response.task);
+      handleClose();
+    } catch (err: any) {
+      setError(err.response?.data?.message || '创建任务失败');
+    }
+  };
+
+  const handleDelete = async (template: TaskTemplate) => {
+    try {
+      await api.delete(`/tasks/templates/${template._id}`);
+      if (selected?._id === template._id) setSelected(null);
+      await loadTemplates();
+    } catch (err: any) {
+      setError(err.response?.data?.message || '删除模板失败');
+    }
+  };
+
+  const handleSave = async () => {
+    setError(null);
+    try {
+      await api.post('/tasks/templates', {
+        name: form.name,
+        titlePattern: form.titlePattern,
+        description: form.description,
+        priority: form.priority,
+        tags: form.tags.split(/[,，]/).map((tag) => tag.trim()).filter(Boolean),
+        subtasks: form.subtasks.split('\n').map((line) => line.trim()).filter(Boolean),
+        dueOffsetDays: form.dueOffsetDays === '' ? undefined : Number(form.dueOffsetDays),
+        recurring: form.frequency ? { isRecurring: true, frequency: form.frequency } : { isRecurring: false },
+        shared: form.shared,
+      });
+      setForm(emptyForm);
+      setTab(0);
+      await loadTemplates();
+    } catch (err: any) {
+      setError(err.response?.data?.message || '保存模板失败');
+    }
+  };
+
+  const renderTemplate = (template: TaskTemplate, editable: boolean) => (
+    <ListItemButton key={template._id} selected={selected?._id === template._id} onClick={() => handleSelect(template)}>
+      <ListItemText
+        primary={template.name}
+        secondary={`${template.titlePattern} · ${template.subtasks.length}项检查清单 · 已使用${template.usageCount}次`}
+      />
+      {editable && (
+        <IconButton
+          edge="end"
+          size="small"
+          onClick={(e) => {
+            e.stopPropagation();
+            handleDelete(template);
+          }}
+        >
+          <Delete fontSize="small" />
+        </IconButton>
+      )}
+    </ListItemButton>
+  );
+
+  return (
+    <>
+      <Button variant="outlined" startIcon={<ContentCopy />} onClick={() => setOpen(true)}>
+        从模板创建
+      </Button>
+
+      <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+        <DialogTitle>任务模板</DialogTitle>
+        <DialogContent>
+          <Tabs value={tab} onChange={(_, value) => setTab(value)} sx={{ mb: 2 }}>
+            <Tab label="使用模板" />
+            <Tab label="新建模板" />
+          </Tabs>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {tab === 0 && (
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={6}>
+                <List dense sx={{ maxHeight: 360, overflow: 'auto' }}>
+                  <ListSubheader>我的模板</ListSubheader>
+                  {own.map((template) => renderTemplate(template, true))}
+                  {shared.length > 0 && <ListSubheader>团队共享</ListSubheader>}
+                  {shared.map((template) => renderTemplate(template, false))}
+                  {own.length === 0 && shared.length === 0 && (
+                    <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+                      暂无模板
+                    </Typography>
+                  )}
+                </List>
+              </Grid>
+              <Grid item xs={12} md={6}>
+                {selected ? (
+                  <Box>
+                    <Typography variant="subtitle1" gutterBottom>
+                      {selected.name}
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" gutterBottom>
+                      优先级：{priorityLabels[selected.priority]}
+                      {selected.dueOffsetDays !== undefined && selected.dueOffsetDays !== null
+                        ? ` · ${selected.dueOffsetDays}天后截止`
+                        : ''}
+                    </Typography>
+                    {customVariables.map((name) => (
+                      <TextField
+                        key={name}
+                        fullWidth
+                        size="small"
+                        label={name}
+                        value={variables[name] || ''}
+                        onChange={(e) => setVariables((prev) => ({ ...prev, [name]: e.target.value }))}
+                        sx={{ mt: 2 }}
+                      />
+                    ))}
+                    <TextField
+                      fullWidth
+                      size="small"
+                      type="date"
+                      label="基准日期"
+                      helperText="开始和截止日期按此日期偏移，默认今天"
+                      InputLabelProps={{ shrink: true }}
+                      value={baseDate}
+                      onChange={(e) => setBaseDate(e.target.value)}
+                      sx={{ mt: 2 }}
+                    />
+                    <List dense>
+                      {selected.subtasks.map((subtask, index) => (
+                        <ListItemText key={index} primary={`☐ ${subtask.title}`} sx={{ pl: 1 }} />
+                      ))}
+                    </List>
+                  </Box>
+                ) : (
+                  <Typography variant="body2" color="text.secondary">
+                    选择一个模板创建任务
+                  </Typography>
+                )}
+              </Grid>
+            </Grid>
+          )}
+
+          {tab === 1 && (
+            <Grid container spacing={2}>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="模板名称"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="标题模式"
+                  helperText="可用 {date} {week} {month} {user} 或自定义 {变量}"
+                  value={form.titlePattern}
+                  onChange={(e) => setForm({ ...form, titlePattern: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  multiline
+                  rows={2}
+                  size="small"
+                  label="任务描述"
+                  value={form.description}
+                  onChange={(e) => setForm({ ...form, description: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <TextField
+                  fullWidth
+                  multiline
+                  rows={4}
+                  size="small"
+                  label="检查清单（每行一项）"
+                  value={form.subtasks}
+                  onChange={(e) => setForm({ ...form, subtasks: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>优先级</InputLabel>
+                  <Select
+                    value={form.priority}
+                    label="优先级"
+                    onChange={(e) => setForm({ ...form, priority: e.target.value })}
+                  >
+                    {Object.entries(priorityLabels).map(([value, label]) => (
+                      <MenuItem key={value} value={value}>
+                        {label}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label="几天后截止"
+                  inputProps={{ min: 0, max: 365 }}
+                  value={form.dueOffsetDays}
+                  onChange={(e) => setForm({ ...form, dueOffsetDays: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <FormControl fullWidth size="small">
+                  <InputLabel>重复</InputLabel>
+                  <Select
+                    value={form.frequency}
+                    label="重复"
+                    onChange={(e) => setForm({ ...form, frequency: e.target.value })}
+                  >
+                    {Object.entries(frequencyLabels).map(([value, label]) => (
+                      <MenuItem key={value} value={value}>
+                        {label}
+                      </MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              </Grid>
+              <Grid item xs={6} md={3}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="标签"
+                  placeholder="逗号分隔"
+                  value={form.tags}
+                  onChange={(e) => setForm({ ...form, tags: e.target.value })}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <FormControlLabel
+                  control={<Checkbox checked={form.shared} onChange={(e) => setForm({ ...form, shared: e.target.checked })} />}
+                  label="共享给团队"
+                />
+              </Grid>
+            </Grid>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClose}>取消</Button>
+          {tab === 0 ? (
+            <Button variant="contained" onClick={handleInstantiate} disabled={!selected}>
+              创建任务
+            </Button>
+          ) : (
+            <Button variant="contained" onClick={handleSave} disabled={!form.name || !form.titlePattern}>
+              保存模板
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+};
+
+export default TaskTemplates;
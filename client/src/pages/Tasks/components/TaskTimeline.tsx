@@ -0,0 +1,342 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  IconButton,
+  Alert,
+  FormControlLabel,
+  Checkbox,
+  LinearProgress,
+  Tooltip,
+} from '@mui/material';
+import { ChevronLeft, ChevronRight, Today } from '@mui/icons-material';
+import { useApi } from '../../../contexts/ApiContext';
+
+interface TimelineBar {
+  _id: string;
+  title: string;
+  status: string;
+  priority: string;
+  progress: number;
+  start: string;
+  end: string;
+  inferredStart: boolean;
+  inferredEnd: boolean;
+  isOverdue: boolean;
+  isCritical: boolean;
+}
+
+interface TimelineLink {
+  from: string;
+  to: string;
+  conflict: boolean;
+}
+
+interface TaskTimelineProps {
+  viewId: string;
+  onChanged?: () => void;
+}
+
+interface DragState {
+  taskId: string;
+  mode: 'move' | 'resize';
+  originX: number;
+  days: number;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_WIDTH = 28;
+const ROW_HEIGHT = 36;
+const LABEL_WIDTH = 200;
+const WINDOW_DAYS = 42;
+
+const startOfDay = (date: Date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date: Date, days: number) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days, date.getHours(), date.getMinutes());
+
+const statusColors: Record<string, string> = {
+  pending: '#90a4ae',
+  in_progress: '#42a5f5',
+  on_hold: '#ffb74d',
+  completed: '#66bb6a',
+};
+
+const TaskTimeline: React.FC<TaskTimelineProps> = ({ viewId, onChanged }) => {
+  const api = useApi();
+  const [from, setFrom] = useState(() => addDays(startOfDay(new Date()), -7));
+  const [bars, setBars] = useState<TimelineBar[]>([]);
+  const [links, setLinks] = useState<TimelineLink[]>([]);
+  const [unscheduled, setUnscheduled] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [shiftDependents, setShiftDependents] = useState(true);
+  const [drag, setDrag] = useState<DragState | null>(null);
+  const [message, setMessage] = useState<{ severity: 'success' | 'warning' | 'error'; text: string } | null>(null);
+  const dragRef = useRef<DragState | null>(null);
+
+  const to = addDays(from, WINDOW_DAYS);
+
+  const loadTimeline = useCallback(async () => {
+    try {
+      const response = await api.get('/tasks/timeline', {
+        params: {
+          from: from.toISOString(),
+          to: addDays(from, WINDOW_DAYS).toISOString(),
+          viewId: viewId || undefined,
+        },
+      });
+      setBars(response?.bars || []);
+      setLinks(response?.links || []);
+      setUnscheduled(response?.unscheduled || 0);
+    } catch (err: any) {
+      setMessage({ severity: 'error', text: err.response?.data?.message || '加载时间线失败' });
+    } finally {
+      setLoading(false);
+    }
+  }, [api, from, viewId]);
+
+  useEffect(() => {
+    loadTimeline();
+  }, [loadTimeline]);
+
+  const offsetOf = (date: string | Date) => ((new Date(date).getTime() - from.getTime()) / DAY_MS) * DAY_WIDTH;
+
+  const saveSchedule = useCallback(
+    async (state: DragState) => {
+      const bar = bars.find((item) => item._id === state.taskId);
+      if (!bar || state.days === 0) return;
+
+      // 推算出的一端不写回任务
+      const body: Record<string, any> = { shiftDependents };
+      if (state.mode === 'move' && !bar.inferredStart) {
+        body.startDate = addDays(new Date(bar.start), state.days).toISOString();
+      }
+      if (state.mode === 'resize' || !bar.inferredEnd) {
+        body.dueDate = addDays(new Date(bar.end), state.days).toISOString();
+      }
+
+      try {
+        const response = await api.patch(`/tasks/${bar._id}/schedule`, body);
+        const skipped = response?.skipped || [];
+        setMessage(
+          skipped.length > 0
+            ? {
+                severity: 'warning',
+                text: `排期已调整，以下后续任务未移动：${skipped.map((item: any) => `${item.title}（${item.reason}）`).join('、')}`,
+              }
+            : { severity: 'success', text: `排期已调整${response?.shifted?.length ? `，${response.shifted.length}个后续任务已同步调整` : ''}` }
+        );
+        onChanged?.();
+      } catch (err: any) {
+        setMessage({ severity: 'error', text: err.response?.data?.message || '调整排期失败' });
+      }
+      await loadTimeline();
+    },
+    [api, bars, shiftDependents, loadTimeline, onChanged]
+  );
+
+  useEffect(() => {
+    if (!drag) return;
+
+    const handleMove = (e: MouseEvent) => {
+      const current = dragRef.current;
+      if (!current) return;
+      const next = { ...current, days: Math.round((e.clientX - current.originX) / DAY_WIDTH) };
+      dragRef.current = next;
+      setDrag(next);
+    };
+    const handleUp = () => {
+      const current = dragRef.current;
+      dragRef.current = null;
+      setDrag(null);
+      if (current) saveSchedule(current);
+    };
+
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  }, [drag, saveSchedule]);
+
+  const startDrag = (e: React.MouseEvent, taskId: string, mode: DragState['mode']) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const state = { taskId, mode, originX: e.clientX, days: 0 };
+    dragRef.current = state;
+    setDrag(state);
+  };
+
+  // 拖动中的条形按偏移天数预览
+  const barPosition = (bar: TimelineBar) => {
+    const days = drag?.taskId === bar._id ? drag.days : 0;
+    const startShift = drag?.mode === 'move' ? days : 0;
+    const left = offsetOf(bar.start) + startShift * DAY_WIDTH;
+    const right = offsetOf(bar.end) + days * DAY_WIDTH;
+    return { left, width: Math.max(right - left, DAY_WIDTH / 2) };
+  };
+
+  const rowIndex = new Map(bars.map((bar, index) => [bar._id, index]));
+  const days = Array.from({ length: WINDOW_DAYS }, (_, index) => addDays(from, index));
+  const todayOffset = offsetOf(new Date());
+
+  if (loading) {
+    return <LinearProgress />;
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <IconButton size="small" onClick={() => setFrom(addDays(from, -28))}>
+          <ChevronLeft />
+        </IconButton>
+        <Button size="small" startIcon={<Today />} onClick={() => setFrom(addDays(startOfDay(new Date()), -7))}>
+          今天
+        </Button>
+        <IconButton size="small" onClick={() => setFrom(addDays(from, 28))}>
+          <ChevronRight />
+        </IconButton>
+        <Typography variant="body2" sx={{ mx: 1 }}>
+          {from.toLocaleDateString()} - {addDays(to, -1).toLocaleDateString()}
+        </Typography>
+        <FormControlLabel
+          sx={{ ml: 'auto' }}
+          control={<Checkbox size="small" checked={shiftDependents} onChange={(e) => setShiftDependents(e.target.checked)} />}
+          label="同时顺延后续任务"
+        />
+      </Box>
+
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+      {unscheduled > 0 && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          {unscheduled}个未完成任务未设置开始或截止日期，未显示在时间线中
+        </Alert>
+      )}
+
+      <Paper variant="outlined" sx={{ overflowX: 'auto' }}>
+        <Box sx={{ display: 'flex', width: LABEL_WIDTH + WINDOW_DAYS * DAY_WIDTH }}>
+          <Box sx={{ width: LABEL_WIDTH, flexShrink: 0, borderRight: 1, borderColor: 'divider' }}>
+            <Box sx={{ height: ROW_HEIGHT, borderBottom: 1, borderColor: 'divider' }} />
+            {bars.map((bar) => (
+              <Box
+                key={bar._id}
+                sx={{ height: ROW_HEIGHT, px: 1, display: 'flex', alignItems: 'center', borderBottom: 1, borderColor: 'divider' }}
+              >
+                <Typography variant="body2" noWrap color={bar.isOverdue ? 'error' : 'text.primary'}>
+                  {bar.title}
+                </Typography>
+              </Box>
+            ))}
+          </Box>
+
+          <Box sx={{ position: 'relative', width: WINDOW_DAYS * DAY_WIDTH }}>
+            <Box sx={{ display: 'flex', height: ROW_HEIGHT, borderBottom: 1, borderColor: 'divider' }}>
+              {days.map((day) => (
+                <Box
+                  key={day.getTime()}
+                  sx={{
+                    width: DAY_WIDTH,
+                    flexShrink: 0,
+                    textAlign: 'center',
+                    fontSize: 11,
+                    lineHeight: `${ROW_HEIGHT / 2}px`,
+                    color: [0, 6].includes(day.getDay()) ? 'text.disabled' : 'text.secondary',
+                  }}
+                >
+                  {day.getDate() === 1 || day.getTime() === from.getTime() ? `${day.getMonth() + 1}月` : ''}
+                  <br />
+                  {day.getDate()}
+                </Box>
+              ))}
+            </Box>
+
+            {todayOffset >= 0 && todayOffset <= WINDOW_DAYS * DAY_WIDTH && (
+              <Box sx={{ position: 'absolute', top: 0, bottom: 0, left: todayOffset, width: 2, bgcolor: 'error.light' }} />
+            )}
+
+            <svg
+              width={WINDOW_DAYS * DAY_WIDTH}
+              height={bars.length * ROW_HEIGHT}
+              style={{ position: 'absolute', top: ROW_HEIGHT, left: 0, pointerEvents: 'none' }}
+            >
+              {links.map((link) => {
+                const fromBar = bars[rowIndex.get(link.from) ?? -1];
+                const toBar = bars[rowIndex.get(link.to) ?? -1];
+                if (!fromBar || !toBar) return null;
+                const source = barPosition(fromBar);
+                const target = barPosition(toBar);
+                const x1 = source.left + source.width;
+                const y1 = (rowIndex.get(link.from) ?? 0) * ROW_HEIGHT + ROW_HEIGHT / 2;
+                const x2 = target.left;
+                const y2 = (rowIndex.get(link.to) ?? 0) * ROW_HEIGHT + ROW_HEIGHT / 2;
+                return (
+                  <path
+                    key={`${link.from}-${link.to}`}
+                    d={`M ${x1} ${y1} H ${x1 + 8} V ${y2} H ${x2}`}
+                    fill="none"
+                    stroke={link.conflict ? '#e53935' : '#9e9e9e'}
+                    strokeWidth={1.5}
+                    strokeDasharray={link.conflict ? '4 2' : undefined}
+                  />
+                );
+              })}
+            </svg>
+
+            {bars.map((bar) => {
+              const { left, width } = barPosition(bar);
+              return (
+                <Box key={bar._id} sx={{ position: 'relative', height: ROW_HEIGHT, borderBottom: 1, borderColor: 'divider' }}>
+                  <Tooltip
+                    title={`${new Date(bar.start).toLocaleDateString()} - ${new Date(bar.end).toLocaleDateString()}${
+                      bar.inferredStart || bar.inferredEnd ? '（部分日期按预估工时推算）' : ''
+                    }${bar.isCritical ? '，关键路径' : ''}`}
+                  >
+                    <Box
+                      onMouseDown={(e) => startDrag(e, bar._id, 'move')}
+                      sx={{
+                        position: 'absolute',
+                        top: 8,
+                        left,
+                        width,
+                        height: ROW_HEIGHT - 16,
+                        borderRadius: 1,
+                        cursor: drag ? 'grabbing' : 'grab',
+                        bgcolor: statusColors[bar.status] || statusColors.pending,
+                        border: bar.isCritical ? '2px solid #d32f2f' : undefined,
+                        borderStyle: bar.inferredStart || bar.inferredEnd ? 'dashed' : undefined,
+                        opacity: drag && drag.taskId !== bar._id ? 0.6 : 1,
+                        overflow: 'hidden',
+                      }}
+                    >
+                      <Box sx={{ width: `${bar.progress}%`, height: '100%', bgcolor: 'rgba(0, 0, 0, 0.15)' }} />
+                      <Box
+                        onMouseDown={(e) => startDrag(e, bar._id, 'resize')}
+                        sx={{ position: 'absolute', top: 0, right: 0, width: 6, height: '100%', cursor: 'ew-resize' }}
+                      />
+                    </Box>
+                  </Tooltip>
+                </Box>
+              );
+            })}
+
+            {bars.length === 0 && (
+              <Box sx={{ p: 2 }}>
+                <Typography variant="body2" color="text.secondary">
+                  该时间范围内没有已排期的任务
+                </Typography>
+              </Box>
+            )}
+          </Box>
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default TaskTimeline;
@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  IconButton,
+  Tooltip,
+  Chip,
+} from '@mui/material';
+import {
+  Timer,
+  Pause,
+  PlayArrow,
+  Stop,
+} from '@mui/icons-material';
+
+export interface ActiveTimer {
+  _id: string;
+  status: 'running' | 'paused';
+  durationSeconds: number;
+  intervals: Array<{ start: string; end?: string }>;
+  task: {
+    _id: string;
+    title: string;
+    estimatedHours?: number;
+    actualHours?: number;
+  };
+}
+
+interface TaskTimerProps {
+  timers: ActiveTimer[];
+  onAction: (taskId: string, action: 'start' | 'pause' | 'stop') => void;
+}
+
+const getElapsedSeconds = (timer: ActiveTimer, now: number) => {
+  const open = timer.intervals.find((interval) => !interval.end);
+  const openSeconds = open ? Math.max(0, (now - new Date(open.start).getTime()) / 1000) : 0;
+  return Math.floor(timer.durationSeconds + openSeconds);
+};
+
+const formatDuration = (seconds: number) => {
+  const pad = (value: number) => String(value).padStart(2, '0');
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds % 60)}`;
+};
+
+const TaskTimer: React.FC<TaskTimerProps> = ({ timers, onAction }) => {
+  const [now, setNow] = useState(Date.now());
+
+  // 有进行中的计时时每秒刷新
+  useEffect(() => {
+    if (!timers.some((timer) => timer.status === 'running')) return;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timers]);
+
+  if (timers.length === 0 || timers.every((timer) => !timer.task)) {
+    return null;
+  }
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+      {timers.filter((timer) => timer.task).map((timer) => (
+        <Box
+          key={timer._id}
+          sx={{ display: 'flex', alignItems: 'center', gap: 2, '&:not(:last-child)': { mb: 1 } }}
+        >
+          <Timer color={timer.status === 'running' ? 'primary' : 'disabled'} />
+          <Typography variant="body1" sx={{ flexGrow: 1 }} noWrap>
+            {timer.task.title}
+          </Typography>
+          <Chip
+            size="small"
+            label={timer.status === 'running' ? '计时中' : '已暂停'}
+            color={timer.status === 'running' ? 'success' : 'default'}
+          />
+          <Typography variant="h6" sx={{ fontFamily: 'monospace', minWidth: 96, textAlign: 'right' }}>
+            {formatDuration(getElapsedSeconds(timer, now))}
+          </Typography>
+          {timer.status === 'running' ? (
+            <Tooltip title="暂停">
+              <IconButton size="small" onClick={() => onAction(timer.task._id, 'pause')}>
+                <Pause />
+              </IconButton>
+            </Tooltip>
+          ) : (
+            <Tooltip title="继续">
+              <IconButton size="small" onClick={() => onAction(timer.task._id, 'start')}>
+                <PlayArrow />
+              </IconButton>
+            </Tooltip>
+          )}
+          <Tooltip title="结束">
+            <IconButton size="small" color="error" onClick={() => onAction(timer.task._id, 'stop')}>
+              <Stop />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      ))}
+    </Paper>
+  );
+};
+
+export default TaskTimer;
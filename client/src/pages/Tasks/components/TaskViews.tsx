@@ -0,0 +1,555 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Paper,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  IconButton,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  ListSubheader,
+  Chip,
+  Alert,
+  Typography,
+} from '@mui/material';
+import { Add, Delete, FilterList, Bookmark } from '@mui/icons-material';
+import { useApi } from '../../../contexts/ApiContext';
+
+interface ViewCondition {
+  field: string;
+  op: string;
+  value?: any;
+}
+
+export interface TaskView {
+  _id: string;
+  name: string;
+  preset?: boolean;
+  owner?: { _id: string; username: string } | string;
+  filter: {
+    match: 'all' | 'any';
+    conditions: ViewCondition[];
+  };
+  sort?: { field: string; order: 'asc' | 'desc' };
+  groupBy?: string;
+}
+
+export interface ViewGroup {
+  key: string;
+  label: string;
+  taskIds: string[];
+}
+
+interface TaskViewsProps {
+  activeViewId: string;
+  groups: ViewGroup[];
+  activeGroup: string;
+  onSelectView: (viewId: string) => void;
+  onSelectGroup: (groupKey: string) => void;
+}
+
+interface ViewForm {
+  name: string;
+  match: 'all' | 'any';
+  conditions: ViewCondition[];
+  sortField: string;
+  sortOrder: 'asc' | 'desc';
+  groupBy: string;
+  sharedWith: string;
+}
+
+type FieldType = 'enum' | 'tags' | 'user' | 'date' | 'number' | 'text' | 'flag';
+
+const fields: { value: string; label: string; type: FieldType; options?: Record<string, string> }[] = [
+  {
+    value: 'status',
+    label: '状态',
+    type: 'enum',
+    options: { pending: '待处理', in_progress: '进行中', completed: '已完成', cancelled: '已取消', on_hold: '已暂停' },
+  },
+  { value: 'priority', label: '优先级', type: 'enum', options: { urgent: '紧急', high: '高', medium: '中', low: '低' } },
+  {
+    value: 'category',
+    label: '类型',
+    type: 'enum',
+    options: { work: '工作', meeting: '会议', personal: '个人', project: '项目', other: '其他' },
+  },
+  { value: 'tags', label: '标签', type: 'tags' },
+  { value: 'assignedTo', label: '负责人', type: 'user' },
+  { value: 'createdBy', label: '创建者', type: 'user' },
+  { value: 'dueDate', label: '截止时间', type: 'date' },
+  { value: 'startDate', label: '开始时间', type: 'date' },
+  { value: 'createdAt', label: '创建时间', type: 'date' },
+  { value: 'estimatedHours', label: '预估工时', type: 'number' },
+  { value: 'progress', label: '进度', type: 'number' },
+  { value: 'title', label: '标题', type: 'text' },
+  { value: 'overdue', label: '已逾期', type: 'flag' },
+  { value: 'blocked', label: '被前置任务阻塞', type: 'flag' },
+];
+
+const operators: Record<FieldType, Record<string, string>> = {
+  enum: { in: '属于', notIn: '不属于' },
+  tags: { hasAny: '包含任一', hasAll: '包含全部', hasNone: '不包含', isEmpty: '无标签' },
+  user: { is: '是', isNot: '不是', isEmpty: '为空', isNotEmpty: '不为空' },
+  date: { before: '早于', after: '晚于', between: '介于', isEmpty: '为空', isNotEmpty: '不为空' },
+  number: { gte: '≥', lte: '≤', eq: '=' },
+  text: { contains: '包含' },
+  flag: { is: '是' },
+};
+
+// 相对日期（以查看当天为准）
+const dateTokens: Record<string, string> = {
+  now: '现在',
+  today: '今天',
+  tomorrow: '明天',
+  'today-7': '7天前',
+  'today+7': '7天后',
+  startOfWeek: '本周开始',
+  endOfWeek: '本周结束',
+  startOfMonth: '本月开始',
+  endOfMonth: '本月结束',
+};
+
+const sortFields: Record<string, string> = {
+  createdAt: '创建时间',
+  updatedAt: '更新时间',
+  dueDate: '截止时间',
+  priority: '优先级',
+  status: '状态',
+  title: '标题',
+  progress: '进度',
+};
+
+const groupOptions: Record<string, string> = {
+  none: '不分组',
+  status: '状态',
+  priority: '优先级',
+  category: '类型',
+  assignedTo: '负责人',
+  dueDate: '截止时间',
+  tags: '标签',
+};
+
+const emptyForm: ViewForm = {
+  name: '',
+  match: 'all',
+  conditions: [{ field: 'assignedTo', op: 'is', value: 'me' }],
+  sortField: 'createdAt',
+  sortOrder: 'desc',
+  groupBy: 'none',
+  sharedWith: '',
+};
+
+const fieldType = (field: string): FieldType => fields.find((item) => item.value === field)?.type || 'text';
+
+const defaultValue = (type: FieldType, op: string): any => {
+  if (['isEmpty', 'isNotEmpty'].includes(op)) return undefined;
+  switch (type) {
+    case 'enum':
+    case 'tags':
+      return [];
+    case 'user':
+      return 'me';
+    case 'date':
+      return op === 'between' ? ['startOfWeek', 'endOfWeek'] : 'today';
+    case 'flag':
+      return true;
+    default:
+      return '';
+  }
+};
+
+const splitList = (text: string) =>
+  text
+    .split(/[,，]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const TaskViews: React.FC<TaskViewsProps> = ({
+  activeViewId,
+  groups,
+  activeGroup,
+  onSelectView,
+  onSelectGroup,
+}) => {
+  const api = useApi();
+  const [presets, setPresets] = useState<TaskView[]>([]);
+  const [own, setOwn] = useState<TaskView[]>([]);
+  const [shared, setShared] = useState<TaskView[]>([]);
+  const [openDialog, setOpenDialog] = useState(false);
+  const [form, setForm] = useState<ViewForm>(emptyForm);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadViews = useCallback(async () => {
+    try {
+      const response = await api.get('/tasks/views');
+      setPresets(response?.presets || []);
+      setOwn(response?.own || []);
+      setShared(response?.shared || []);
+    } catch (err) {
+      console.error('Failed to load task views:', err);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    loadViews();
+  }, [loadViews]);
+
+  const updateCondition = (index: number, patch: Partial<ViewCondition>) => {
+    setForm((prev) => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => (i === index ? { ...condition, ...patch } : condition)),
+    }));
+  };
+
+  const handleFieldChange = (index: number, field: string) => {
+    const type = fieldType(field);
+    const op = Object.keys(operators[type])[0];
+    updateCondition(index, { field, op, value: defaultValue(type, op) });
+  };
+
+  const handleOperatorChange = (index: number, op: string) => {
+    const type = fieldType(form.conditions[index].field);
+    updateCondition(index, { op, value: defaultValue(type, op) });
+  };
+
+  const handleSave = async () => {
+    setError(null);
+    try {
+      const response = await api.post('/tasks/views', {
+        name: form.name,
+        filter: { match: form.match, conditions: form.conditions },
+        sort: { field: form.sortField, order: form.sortOrder },
+        groupBy: form.groupBy,
+        sharedWith: splitList(form.sharedWith),
+      });
+      setOpenDialog(false);
+      setForm(emptyForm);
+      await loadViews();
+      if (response?.view?._id) onSelectView(response.view._id);
+    } catch (err: any) {
+      setError(err.response?.data?.message || '保存视图失败');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await api.delete(`/tasks/views/${activeViewId}`);
+      onSelectView('');
+      await loadViews();
+    } catch (err: any) {
+      setError(err.response?.data?.message || '删除视图失败');
+    }
+  };
+
+  const renderValueInput = (condition: ViewCondition, index: number) => {
+    const field = fields.find((item) => item.value === condition.field);
+    const type = fieldType(condition.field);
+    if (['isEmpty', 'isNotEmpty'].includes(condition.op)) return null;
+
+    switch (type) {
+      case 'enum':
+        return (
+          <Select
+            size="small"
+            multiple
+            value={condition.value || []}
+            onChange={(e) => updateCondition(index, { value: e.target.value })}
+            renderValue={(selected: string[]) => selected.map((value) => field?.options?.[value]).join('、')}
+            sx={{ minWidth: 160 }}
+          >
+            {Object.entries(field?.options || {}).map(([value, label]) => (
+              <MenuItem key={value} value={value}>
+                {label}
+              </MenuItem>
+            ))}
+          </Select>
+        );
+      case 'tags':
+        return (
+          <TextField
+            size="small"
+            placeholder="多个标签用逗号分隔"
+            value={(condition.value || []).join(',')}
+            onChange={(e) => updateCondition(index, { value: splitList(e.target.value) })}
+          />
+        );
+      case 'user':
+        return (
+          <TextField
+            size="small"
+            helperText="me 表示查看者本人"
+            value={condition.value || ''}
+            onChange={(e) => updateCondition(index, { value: e.target.value.trim() })}
+          />
+        );
+      case 'date': {
+        const renderDate = (value: string, onChange: (value: string) => void) => (
+          <Select size="small" value={value} onChange={(e) => onChange(e.target.value)} sx={{ minWidth: 120 }}>
+            {Object.entries(dateTokens).map(([token, label]) => (
+              <MenuItem key={token} value={token}>
+                {label}
+              </MenuItem>
+            ))}
+          </Select>
+        );
+        if (condition.op === 'between') {
+          const [from, to] = condition.value || [];
+          return (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              {renderDate(from, (value) => updateCondition(index, { value: [value, to] }))}
+              <Typography variant="body2">至</Typography>
+              {renderDate(to, (value) => updateCondition(index, { value: [from, value] }))}
+            </Box>
+          );
+        }
+        return renderDate(condition.value, (value) => updateCondition(index, { value }));
+      }
+      case 'flag':
+        return (
+          <Select
+            size="small"
+            value={condition.value ? 'true' : 'false'}
+            onChange={(e) => updateCondition(index, { value: e.target.value === 'true' })}
+          >
+            <MenuItem value="true">是</MenuItem>
+            <MenuItem value="false">否</MenuItem>
+          </Select>
+        );
+      case 'number':
+        return (
+          <TextField
+            size="small"
+            type="number"
+            value={condition.value}
+            onChange={(e) => updateCondition(index, { value: e.target.value })}
+            sx={{ width: 100 }}
+          />
+        );
+      default:
+        return (
+          <TextField
+            size="small"
+            value={condition.value || ''}
+            onChange={(e) => updateCondition(index, { value: e.target.value })}
+          />
+        );
+    }
+  };
+
+  const isOwnView = own.some((view) => view._id === activeViewId);
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+        <FilterList color="action" />
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel>视图</InputLabel>
+          <Select label="视图" value={activeViewId} onChange={(e) => onSelectView(e.target.value)}>
+            <MenuItem value="">全部任务</MenuItem>
+            <ListSubheader>内置视图</ListSubheader>
+            {presets.map((view) => (
+              <MenuItem key={view._id} value={view._id}>
+                {view.name}
+              </MenuItem>
+            ))}
+            {own.length > 0 && <ListSubheader>我的视图</ListSubheader>}
+            {own.map((view) => (
+              <MenuItem key={view._id} value={view._id}>
+                {view.name}
+              </MenuItem>
+            ))}
+            {shared.length > 0 && <ListSubheader>同事共享</ListSubheader>}
+            {shared.map((view) => (
+              <MenuItem key={view._id} value={view._id}>
+                {view.name}
+                {typeof view.owner === 'object' && ` (${view.owner.username})`}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button size="small" startIcon={<Bookmark />} onClick={() => setOpenDialog(true)}>
+          新建视图
+        </Button>
+        {isOwnView && (
+          <IconButton size="small" onClick={handleDelete} title="删除视图">
+            <Delete fontSize="small" />
+          </IconButton>
+        )}
+      </Box>
+
+      {groups.length > 0 && (
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mt: 1.5 }}>
+          <Chip
+            size="small"
+            label="全部分组"
+            color={activeGroup === '' ? 'primary' : 'default'}
+            onClick={() => onSelectGroup('')}
+          />
+          {groups.map((group) => (
+            <Chip
+              key={group.key}
+              size="small"
+              label={`${group.label} (${group.taskIds.length})`}
+              color={activeGroup === group.key ? 'primary' : 'default'}
+              onClick={() => onSelectGroup(group.key)}
+            />
+          ))}
+        </Box>
+      )}
+
+      {error && !openDialog && (
+        <Alert severity="error" sx={{ mt: 1.5 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Dialog open={openDialog} onClose={() => setOpenDialog(false)} maxWidth="md" fullWidth>
+        <DialogTitle>新建视图</DialogTitle>
+        <DialogContent dividers>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+              {error}
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            size="small"
+            label="视图名称"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            sx={{ mb: 2 }}
+          />
+
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+            <Typography variant="body2">满足</Typography>
+            <Select
+              size="small"
+              value={form.match}
+              onChange={(e) => setForm({ ...form, match: e.target.value as 'all' | 'any' })}
+            >
+              <MenuItem value="all">全部条件</MenuItem>
+              <MenuItem value="any">任一条件</MenuItem>
+            </Select>
+          </Box>
+
+          {form.conditions.map((condition, index) => (
+            <Box key={index} sx={{ display: 'flex', alignItems: 'flex-start', gap: 1, mb: 1, flexWrap: 'wrap' }}>
+              <Select
+                size="small"
+                value={condition.field}
+                onChange={(e) => handleFieldChange(index, e.target.value)}
+                sx={{ minWidth: 140 }}
+              >
+                {fields.map((field) => (
+                  <MenuItem key={field.value} value={field.value}>
+                    {field.label}
+                  </MenuItem>
+                ))}
+              </Select>
+              <Select
+                size="small"
+                value={condition.op}
+                onChange={(e) => handleOperatorChange(index, e.target.value)}
+                sx={{ minWidth: 100 }}
+              >
+                {Object.entries(operators[fieldType(condition.field)]).map(([op, label]) => (
+                  <MenuItem key={op} value={op}>
+                    {label}
+                  </MenuItem>
+                ))}
+              </Select>
+              {renderValueInput(condition, index)}
+              <IconButton
+                size="small"
+                onClick={() =>
+                  setForm((prev) => ({ ...prev, conditions: prev.conditions.filter((_, i) => i !== index) }))
+                }
+              >
+                <Delete fontSize="small" />
+              </IconButton>
+            </Box>
+          ))}
+          <Button
+            size="small"
+            startIcon={<Add />}
+            onClick={() =>
+              setForm((prev) => ({
+                ...prev,
+                conditions: [...prev.conditions, { field: 'status', op: 'in', value: [] }],
+              }))
+            }
+          >
+            添加条件
+          </Button>
+
+          <Box sx={{ display: 'flex', gap: 2, mt: 2, flexWrap: 'wrap' }}>
+            <FormControl size="small" sx={{ minWidth: 140 }}>
+              <InputLabel>排序</InputLabel>
+              <Select
+                label="排序"
+                value={form.sortField}
+                onChange={(e) => setForm({ ...form, sortField: e.target.value })}
+              >
+                {Object.entries(sortFields).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>
+                    {label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+            <FormControl size="small" sx={{ minWidth: 100 }}>
+              <InputLabel>顺序</InputLabel>
+              <Select
+                label="顺序"
+                value={form.sortOrder}
+                onChange={(e) => setForm({ ...form, sortOrder: e.target.value as 'asc' | 'desc' })}
+              >
+                <MenuItem value="asc">升序</MenuItem>
+                <MenuItem value="desc">降序</MenuItem>
+              </Select>
+            </FormControl>
+            <FormControl size="small" sx={{ minWidth: 140 }}>
+              <InputLabel>分组</InputLabel>
+              <Select
+                label="分组"
+                value={form.groupBy}
+                onChange={(e) => setForm({ ...form, groupBy: e.target.value })}
+              >
+                {Object.entries(groupOptions).map(([value, label]) => (
+                  <MenuItem key={value} value={value}>
+                    {label}
+                  </MenuItem>
+                ))}
+              </Select>
+            </FormControl>
+          </Box>
+
+          <TextField
+            fullWidth
+            size="small"
+            label="共享给同事"
+            placeholder="用户名，多个用逗号分隔"
+            value={form.sharedWith}
+            onChange={(e) => setForm({ ...form, sharedWith: e.target.value })}
+            sx={{ mt: 2 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpenDialog(false)}>取消</Button>
+          <Button variant="contained" onClick={handleSave} disabled={!form.name.trim()}>
+            保存
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Paper>
+  );
+};
+
+export default TaskViews;
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const crypto = require('crypto');
 const asyncHandler = require('../utils/asyncHandler');
@@ -214,9 +215,26 @@ const updateProfile = asyncHandler(async (req, res) => {
     'profile.phone': req.body.phone,
     'profile.department': req.body.department,
     'profile.position': req.body.position,
+    'profile.manager': req.body.manager,
     'profile.bio': req.body.bio
   };
 
+  // 直属上级必须是其他已存在的用户，传空值表示清除
+  if (req.body.manager !== undefined) {
+    if (!req.body.manager) {
+      fieldsToUpdate['profile.manager'] = null;
+    } else if (
+      !mongoose.Types.ObjectId.isValid(req.body.manager) ||
+      req.body.manager === req.user.id ||
+      !(await User.exists({ _id: req.body.manager }))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: '直属上级无效'
+      });
+    }
+  }
+
   // 移除未定义的字段
   Object.keys(fieldsToUpdate).forEach(key => {
     if (fieldsToUpdate[key] === undefined) {
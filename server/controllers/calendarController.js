@@ -3,6 +3,7 @@ const User = require('../models/User');
 const Meeting = require('../models/Meeting');
 const Task = require('../models/Task');
 const calendarSyncService = require('../services/calendarSyncService');
+const projectService = require('../services/projectService');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../middleware/errorHandler');
 
@@ -18,6 +19,7 @@ exports.getEvents = asyncHandler(async (req, res) => {
     eventType,
     priority,
     search,
+    projectId,
     view = 'month' // month, week, day, agenda
   } = req.query;
 
@@ -44,6 +46,7 @@ exports.getEvents = asyncHandler(async (req, res) => {
   // 其他过滤条件
   if (eventType) query.eventType = eventType;
   if (priority) query.priority = priority;
+  if (projectId) query.project = projectId;
   
   if (search) {
     query.$text = { $search: search };
@@ -100,6 +103,15 @@ exports.createEvent = asyncHandler(async (req, res) => {
     });
   }
 
+  const { project, error } = await projectService.resolveProject(req.body.project, req.user);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+  eventData.project = project?._id;
+
   const event = await Calendar.create(eventData);
   await event.populate('owner', 'username profile.fullName');
 
@@ -144,7 +156,20 @@ exports.updateEvent = asyncHandler(async (req, res, next) => {
     }
   }
 
-  Object.assign(event, req.body);
+  // 项目可置空（null 或空字符串表示取消关联）
+  const updates = { ...req.body };
+  if (updates.project !== undefined) {
+    const { project, error } = await projectService.resolveProject(updates.project, req.user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    updates.project = project?._id || null;
+  }
+
+  Object.assign(event, updates);
   await event.save();
 
   // 同步更新到外部日历
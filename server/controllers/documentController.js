@@ -2,6 +2,7 @@ const Document = require('../models/Document');
 const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
 const aiService = require('../services/aiService');
+const projectService = require('../services/projectService');
 const fs = require('fs');
 const path = require('path');
 const PDFParser = require('pdf2json');
@@ -20,7 +21,7 @@ const uploadDocument = asyncHandler(async (req, res) => {
     });
   }
 
-  const { title, description, documentType, tags, category, project } = req.body;
+  const { title, description, documentType, tags, category, projectId } = req.body;
 
   // 文档类型验证
   const allowedTypes = [
@@ -41,6 +42,15 @@ const uploadDocument = asyncHandler(async (req, res) => {
     });
   }
 
+  const { project, error: projectError } = await projectService.resolveProject(projectId, req.user);
+  if (projectError) {
+    fs.unlinkSync(req.file.path);
+    return res.status(400).json({
+      success: false,
+      message: projectError
+    });
+  }
+
   try {
     // 提取文本内容
     let extractedText = '';
@@ -73,7 +83,7 @@ const uploadDocument = asyncHandler(async (req, res) => {
       extractedText,
       tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
       category: category || '未分类',
-      project: project ? JSON.parse(project) : undefined
+      project: projectService.toReference(project)
     });
 
     await document.populate('uploadedBy', 'username profile.firstName profile.lastName');
@@ -122,7 +132,8 @@ const getDocuments = asyncHandler(async (req, res) => {
     tags,
     sortBy = 'createdAt',
     sortOrder = -1,
-    analyzed // 是否已分析
+    analyzed, // 是否已分析
+    projectId
   } = req.query;
 
   // 构建查询条件
@@ -136,6 +147,7 @@ const getDocuments = asyncHandler(async (req, res) => {
 
   if (documentType) query.documentType = documentType;
   if (category) query.category = category;
+  if (projectId) query['project.id'] = projectId;
   if (tags) {
     const tagArray = tags.split(',').map(tag => tag.trim());
     query.tags = { $in: tagArray };
@@ -349,7 +361,7 @@ const searchDocuments = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const updateDocument = asyncHandler(async (req, res) => {
-  const { title, description, tags, category, permissions } = req.body;
+  const { title, description, tags, category, permissions, projectId } = req.body;
   
   const document = await Document.findById(req.params.id);
   
@@ -375,6 +387,18 @@ const updateDocument = asyncHandler(async (req, res) => {
   if (category) document.category = category;
   if (permissions) document.permissions = { ...document.permissions, ...permissions };
 
+  // 项目可置空（null 或空字符串表示取消关联）
+  if (projectId !== undefined) {
+    const { project, error } = await projectService.resolveProject(projectId, req.user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    document.project = projectService.toReference(project);
+  }
+
   await document.save();
   await document.populate('uploadedBy', 'username profile.firstName profile.lastName');
 
@@ -1,12 +1,16 @@
 const Meeting = require('../models/Meeting');
 const User = require('../models/User');
 const AIService = require('../services/aiService');
+const projectService = require('../services/projectService');
+const transcriptionService = require('../services/transcriptionService');
+const meetingTranscriptService = require('../services/meetingTranscriptService');
+const meetingTaskService = require('../services/meetingTaskService');
+const meetingMinutesService = require('../services/meetingMinutesService');
+const meetingBriefService = require('../services/meetingBriefService');
 const asyncHandler = require('../utils/asyncHandler');
 const ErrorResponse = require('../middleware/errorHandler');
 const fs = require('fs').promises;
 const path = require('path');
-const formData = require('form-data');
-const axios = require('axios');
 const mime = require('mime-types');
 
 // @desc    获取用户会议列表
@@ -20,7 +24,8 @@ exports.getMeetings = asyncHandler(async (req, res) => {
     type,
     startDate,
     endDate,
-    search
+    search,
+    projectId
   } = req.query;
 
   // 构建查询条件
@@ -34,6 +39,7 @@ exports.getMeetings = asyncHandler(async (req, res) => {
 
   if (status) query.status = status;
   if (type) query.type = type;
+  if (projectId) query['project.id'] = projectId;
   
   if (startDate || endDate) {
     query.startTime = {};
@@ -106,9 +112,18 @@ exports.getMeeting = asyncHandler(async (req, res, next) => {
 // @route   POST /api/meetings
 // @access  Private
 exports.createMeeting = asyncHandler(async (req, res) => {
+  const { project, error } = await projectService.resolveProject(req.body.projectId, req.user);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
   const meetingData = {
     ...req.body,
-    organizer: req.user._id
+    organizer: req.user._id,
+    project: projectService.toReference(project)
   };
 
   // 处理参与者数据
@@ -154,9 +169,8 @@ exports.uploadAudio = asyncHandler(async (req, res, next) => {
   
   console.log('Uploaded file:', req.file); // Debug log
 
-  // 验证文件类型（允许文本文件用于测试）
-  const allowedTypes = ['audio/mpeg', 'audio/wav', 'audio/mp3', 'audio/m4a', 'audio/ogg', 'text/plain'];
-  if (!allowedTypes.includes(req.file.mimetype)) {
+  // 验证文件类型（音视频由 ffmpeg 转换，允许文本文件用于测试）
+  if (!transcriptionService.isSupportedType(req.file.mimetype)) {
     return next(new ErrorResponse('不支持的音频格式', 400));
   }
 
@@ -173,15 +187,13 @@ exports.uploadAudio = asyncHandler(async (req, res, next) => {
 
   meeting.audioFiles.push(audioFile);
   meeting.status = 'completed'; // 上传音频后标记为已完成
+  meeting.transcription.status = 'pending';
+  meeting.transcription.error = undefined;
   await meeting.save();
 
-  // 自动开始转录和分析
-  try {
-    await processAudioFile(meeting._id, audioFile);
-  } catch (error) {
-    console.error('音频处理启动失败:', error);
-    // 不阻塞响应，后台继续处理
-  }
+  // 后台转录和分析，不阻塞响应（本地引擎转录长音频可能需要数分钟）
+  processAudioFile(meeting._id, audioFile)
+    .catch(error => console.error('音频处理启动失败:', error));
 
   res.status(200).json({
     success: true,
@@ -201,7 +213,8 @@ exports.uploadAudio = asyncHandler(async (req, res, next) => {
 // @route   GET /api/meetings/:id/transcription
 // @access  Private
 exports.getTranscription = asyncHandler(async (req, res, next) => {
-  const meeting = await Meeting.findById(req.params.id);
+  const meeting = await Meeting.findById(req.params.id)
+    .populate('transcription.speakers.user', 'username profile.firstName profile.lastName');
 
   if (!meeting) {
     return next(new ErrorResponse('会议不存在', 404));
@@ -215,21 +228,75 @@ exports.getTranscription = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('无权访问此会议转录', 403));
   }
 
+  const { segments, speakers, ...transcription } = meeting.transcription?.toObject() || {};
+
   res.status(200).json({
     success: true,
     data: {
-      transcription: meeting.transcription,
+      transcription: {
+        ...transcription,
+        segments: meetingTranscriptService.resolveSegments(meeting.transcription),
+        speakers: speakers || [],
+        speakerLabels: meetingTranscriptService.getSpeakerLabels(segments)
+      },
       status: meeting.transcription?.status || 'pending'
     }
   });
 });
 
+// @desc    设置发言人标签对应的参会人
+// @route   PUT /api/meetings/:id/transcription/speakers
+// @access  Private
+exports.updateSpeakers = asyncHandler(async (req, res) => {
+  const meeting = await Meeting.findById(req.params.id);
+
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: '会议不存在'
+    });
+  }
+
+  // 检查权限
+  const hasAccess = meeting.organizer.toString() === req.user._id.toString() ||
+                   meeting.participants.some(p => p.user.toString() === req.user._id.toString());
+
+  if (!hasAccess) {
+    return res.status(403).json({
+      success: false,
+      message: '无权修改此会议转录'
+    });
+  }
+
+  const { speakers, error } = meetingTranscriptService.normalizeSpeakers(req.body.speakers, meeting);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  meeting.transcription.speakers = speakers;
+  await meeting.save();
+  await meeting.populate('transcription.speakers.user', 'username profile.firstName profile.lastName');
+
+  res.status(200).json({
+    success: true,
+    message: '发言人已更新',
+    data: {
+      speakers: meeting.transcription.speakers,
+      segments: meetingTranscriptService.resolveSegments(meeting.transcription)
+    }
+  });
+});
+
 // @desc    获取个性化行动清单
 // @route   GET /api/meetings/:id/action-items
 // @access  Private
 exports.getActionItems = asyncHandler(async (req, res, next) => {
   const meeting = await Meeting.findById(req.params.id)
-    .populate('aiAnalysis.actionItems.assignedTo', 'username profile.fullName profile.position');
+    .populate('aiAnalysis.actionItems.assignedTo', 'username profile.fullName profile.position')
+    .populate('aiAnalysis.actionItems.task', 'title status progress dueDate assignedTo');
 
   if (!meeting) {
     return next(new ErrorResponse('会议不存在', 404));
@@ -280,14 +347,12 @@ exports.updateActionItem = asyncHandler(async (req, res, next) => {
   }
 
   // 只有被分配者或会议组织者可以更新状态
-  const canUpdate = actionItem.assignedTo.toString() === req.user._id.toString() ||
-                   meeting.organizer.toString() === req.user._id.toString();
-
-  if (!canUpdate) {
+  if (!meetingTaskService.canManageActionItem(meeting, actionItem, req.user._id)) {
     return next(new ErrorResponse('无权更新此行动项', 403));
   }
 
   // 更新行动项
+  const completionChanged = req.body.completed !== undefined && !!req.body.completed !== actionItem.completed;
   if (req.body.completed !== undefined) {
     actionItem.completed = req.body.completed;
     if (req.body.completed) {
@@ -297,12 +362,322 @@ exports.updateActionItem = asyncHandler(async (req, res, next) => {
     }
   }
 
+  // 先同步关联任务的完成状态，任务无法变更状态（如前置任务未完成）时行动项保持不变
+  let task = null;
+  if (completionChanged) {
+    const sync = await meetingTaskService.syncTaskFromActionItem(actionItem, req.user._id);
+    if (sync.error) {
+      return res.status(400).json({
+        success: false,
+        message: sync.error,
+        data: sync.blockingTasks ? { blockingTasks: sync.blockingTasks } : undefined
+      });
+    }
+    task = sync.task;
+  }
+
   await meeting.save();
 
   res.status(200).json({
     success: true,
     message: '行动项状态更新成功',
-    data: { actionItem }
+    data: { actionItem, task }
+  });
+});
+
+// @desc    将行动项转为任务
+// @route   POST /api/meetings/:id/action-items/tasks
+// @access  Private
+exports.createActionItemTasks = asyncHandler(async (req, res) => {
+  const meeting = await Meeting.findById(req.params.id);
+
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: '会议不存在'
+    });
+  }
+
+  const { itemIds } = req.body;
+  if (itemIds !== undefined && (!Array.isArray(itemIds) || itemIds.length === 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'itemIds 必须是非空数组'
+    });
+  }
+
+  // 组织者可转换全部行动项，其他人只能转换分配给自己的行动项
+  const allowedIds = (meeting.aiAnalysis?.actionItems || [])
+    .filter(item => meetingTaskService.canManageActionItem(meeting, item, req.user._id))
+    .map(item => item._id.toString())
+    .filter(id => !itemIds || itemIds.includes(id));
+
+  if (itemIds && allowedIds.length < itemIds.length) {
+    return res.status(403).json({
+      success: false,
+      message: '无权转换部分行动项'
+    });
+  }
+
+  const tasks = await meetingTaskService.createTasks(meeting, req.user._id, allowedIds);
+  if (tasks.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: '没有可转为任务的行动项'
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `已创建 ${tasks.length} 个任务`,
+    data: {
+      tasks,
+      actionItems: meeting.aiAnalysis.actionItems
+    }
+  });
+});
+
+// @desc    导出会议纪要
+// @route   GET /api/meetings/:id/minutes/export
+// @access  Private
+exports.exportMinutes = asyncHandler(async (req, res) => {
+  const format = req.query.format || 'docx';
+  if (!meetingMinutesService.formats.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: '导出格式只能是 markdown、docx 或 pdf'
+    });
+  }
+
+  const meeting = await meetingMinutesService.findMeeting(req.params.id);
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: '会议不存在'
+    });
+  }
+
+  // 检查权限
+  const userId = req.user._id.toString();
+  const hasAccess = meeting.organizer._id.toString() === userId ||
+                   meeting.participants.some(p => p.user?._id.toString() === userId);
+
+  if (!hasAccess) {
+    return res.status(403).json({
+      success: false,
+      message: '无权导出此会议纪要'
+    });
+  }
+
+  const { content, contentType, filename } = await meetingMinutesService.export(meeting, format);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(content);
+});
+
+// @desc    将会议纪要邮件发送给全部参会人
+// @route   POST /api/meetings/:id/minutes/email
+// @access  Private
+exports.emailMinutes = asyncHandler(async (req, res) => {
+  const format = req.body.format || 'docx';
+  if (!meetingMinutesService.formats.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: '附件格式只能是 markdown、docx 或 pdf'
+    });
+  }
+
+  const meeting = await meetingMinutesService.findMeeting(req.params.id);
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: '会议不存在'
+    });
+  }
+
+  // 只有组织者可以发送纪要
+  if (meeting.organizer._id.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: '只有会议组织者可以发送会议纪要'
+    });
+  }
+
+  const { results, error } = await meetingMinutesService.sendToParticipants(meeting, req.user._id, format);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const sent = results.filter(result => result.success).length;
+  res.status(200).json({
+    success: true,
+    message: `会议纪要已发送给 ${sent}/${results.length} 位参会人`,
+    data: { results }
+  });
+});
+
+// @desc    更新会议议程
+// @route   PUT /api/meetings/:id/agenda
+// @access  Private
+exports.updateAgenda = asyncHandler(async (req, res) => {
+  const meeting = await Meeting.findById(req.params.id);
+
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: '会议不存在'
+    });
+  }
+
+  // 只有组织者可以编辑议程
+  if (meeting.organizer.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: '只有会议组织者可以编辑议程'
+    });
+  }
+
+  const { agenda, error } = meetingBriefService.normalizeAgenda(req.body.agenda, meeting);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  meeting.agenda = agenda;
+  await meeting.save();
+  await meeting.populate('agenda.owner', 'username profile.firstName profile.lastName');
+
+  const summary = meetingBriefService.summarizeAgenda(meeting.agenda, meeting.duration);
+  res.status(200).json({
+    success: true,
+    message: summary.overrun ? `议程已更新，总时长 ${summary.totalMinutes} 分钟超出会议时长` : '议程已更新',
+    data: { agenda: meeting.agenda, ...summary }
+  });
+});
+
+// @desc    获取会前简报
+// @route   GET /api/meetings/:id/brief
+// @access  Private
+exports.getBrief = asyncHandler(async (req, res) => {
+  const meeting = await meetingBriefService.findMeeting(req.params.id);
+
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: '会议不存在'
+    });
+  }
+
+  // 检查权限
+  const userId = req.user._id.toString();
+  const hasAccess = meeting.organizer._id.toString() === userId ||
+                   meeting.participants.some(p => p.user?._id.toString() === userId);
+
+  if (!hasAccess) {
+    return res.status(403).json({
+      success: false,
+      message: '无权访问此会议简报'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      agenda: meeting.agenda,
+      ...meetingBriefService.summarizeAgenda(meeting.agenda, meeting.duration),
+      brief: meeting.brief,
+      leadMinutes: meetingBriefService.getLeadMinutes(meeting)
+    }
+  });
+});
+
+// @desc    立即生成会前简报（可选通知参会人）
+// @route   POST /api/meetings/:id/brief
+// @access  Private
+exports.generateBrief = asyncHandler(async (req, res) => {
+  const meeting = await meetingBriefService.findMeeting(req.params.id);
+
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: '会议不存在'
+    });
+  }
+
+  // 只有组织者可以生成和发送简报
+  if (meeting.organizer._id.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: '只有会议组织者可以生成会前简报'
+    });
+  }
+
+  if (req.body.notify) {
+    const notified = await meetingBriefService.send(meeting);
+    meeting.brief.sentAt = new Date();
+    await meeting.save();
+
+    return res.status(200).json({
+      success: true,
+      message: `会前简报已发送给 ${notified} 位参会人`,
+      data: { brief: meeting.brief }
+    });
+  }
+
+  const brief = await meetingBriefService.generate(meeting);
+  res.status(200).json({
+    success: true,
+    message: '会前简报已生成',
+    data: { brief }
+  });
+});
+
+// @desc    更新会前简报设置
+// @route   PUT /api/meetings/:id/brief
+// @access  Private
+exports.updateBriefSettings = asyncHandler(async (req, res) => {
+  const meeting = await Meeting.findById(req.params.id);
+
+  if (!meeting) {
+    return res.status(404).json({
+      success: false,
+      message: '会议不存在'
+    });
+  }
+
+  if (meeting.organizer.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: '只有会议组织者可以修改简报设置'
+    });
+  }
+
+  const { settings, error } = meetingBriefService.validateSettings(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  Object.entries(settings).forEach(([key, value]) => {
+    meeting.brief[key] = value;
+  });
+  await meeting.save();
+
+  res.status(200).json({
+    success: true,
+    message: '简报设置已更新',
+    data: {
+      brief: meeting.brief,
+      leadMinutes: meetingBriefService.getLeadMinutes(meeting)
+    }
   });
 });
 
@@ -347,124 +722,57 @@ exports.reanalyzeMeeting = asyncHandler(async (req, res, next) => {
   }
 });
 
-// 内部函数：处理音频文件
+// 内部函数：处理音频文件（转录失败只标记转录失败，分析失败由 analyzeMeetingContent 标记）
 async function processAudioFile(meetingId, audioFile) {
-  try {
-    console.log(`开始处理会议 ${meetingId} 的音频文件: ${audioFile.filename}`);
-    
-    const meeting = await Meeting.findById(meetingId)
-      .populate('participants.user', 'profile.position profile.fullName');
-    
-    if (!meeting) {
-      throw new Error('会议不存在');
-    }
+  console.log(`开始处理会议 ${meetingId} 的音频文件: ${audioFile.filename}`);
 
-    // 更新转录状态
-    meeting.transcription.status = 'processing';
-    await meeting.save();
-
-    // 1. 音频转录
-    const transcriptionResult = await transcribeAudio(audioFile);
-    
-    // 更新转录结果
-    meeting.transcription = {
-      ...meeting.transcription.toObject(),
-      rawText: transcriptionResult.text,
-      segments: transcriptionResult.segments || [],
-      status: 'completed',
-      service: 'mock-service',
-      language: 'zh-CN',
-      processedAt: new Date()
-    };
-    await meeting.save();
-
-    // 2. AI分析
-    await analyzeMeetingContent(meetingId);
-
-    console.log(`会议 ${meetingId} 音频处理完成`);
-  } catch (error) {
-    console.error(`音频处理失败 (会议 ${meetingId}):`, error);
-    
-    // 更新错误状态
-    const meeting = await Meeting.findById(meetingId);
-    if (meeting) {
-      meeting.transcription.status = 'failed';
-      meeting.transcription.error = error.message;
-      meeting.aiAnalysis.status = 'failed';
-      meeting.aiAnalysis.error = error.message;
-      await meeting.save();
-    }
+  // 转录可能持续数分钟，期间会议可能被修改，状态一律按字段原子更新，避免保存整个文档时版本冲突导致状态停留在处理中
+  const started = await Meeting.updateOne(
+    { _id: meetingId },
+    { $set: { 'transcription.status': 'processing' }, $unset: { 'transcription.error': '' } }
+  );
+  if (started.matchedCount === 0) {
+    throw new Error('会议不存在');
   }
-}
 
-// 内部函数：音频转录
-async function transcribeAudio(audioFile) {
+  // 1. 音频转录
   try {
-    console.log('开始音频转录:', audioFile.filename);
-    
-    // 这里应该调用真实的语音转录服务
-    // 例如：Google Speech-to-Text, Azure Speech Services, 阿里云智能语音等
-    
-    // 模拟转录结果
-    const mockTranscription = {
-      text: `各位同事大家好，欢迎参加今天的项目进度会议。首先，让我们回顾一下上周的工作进展。
-
-产品经理汇报：我们已经完成了用户需求调研，收集到了500多份有效反馈。主要需求集中在界面优化和功能扩展两个方面。
-
-技术总监发言：开发团队本周完成了核心模块的开发，目前进度符合预期。预计下周可以开始内测。
-
-市场部经理：市场推广方案已经制定完成，预算控制在50万以内。预计能够覆盖目标用户群体的80%。
-
-大家还有什么问题需要讨论吗？
-
-好的，那我们确定几个行动项：
-1. 产品经理负责整理用户反馈，周五前提交优化建议
-2. 技术团队继续开发，确保下周内测顺利进行  
-3. 市场部准备推广材料，配合产品发布时间
-4. 下次会议安排在下周三同一时间
-
-会议结束，谢谢大家。`,
-      
-      segments: [
-        {
-          speaker: '会议主持人',
-          startTime: 0,
-          endTime: 30,
-          text: '各位同事大家好，欢迎参加今天的项目进度会议。首先，让我们回顾一下上周的工作进展。',
-          confidence: 0.95
-        },
-        {
-          speaker: '产品经理',
-          startTime: 35,
-          endTime: 65,
-          text: '我们已经完成了用户需求调研，收集到了500多份有效反馈。主要需求集中在界面优化和功能扩展两个方面。',
-          confidence: 0.92
-        },
-        {
-          speaker: '技术总监',
-          startTime: 70,
-          endTime: 95,
-          text: '开发团队本周完成了核心模块的开发，目前进度符合预期。预计下周可以开始内测。',
-          confidence: 0.90
+    const transcriptionResult = await transcriptionService.transcribe(audioFile);
+    await Meeting.updateOne(
+      { _id: meetingId },
+      {
+        $set: {
+          'transcription.rawText': transcriptionResult.text,
+          'transcription.segments': transcriptionResult.segments,
+          'transcription.status': 'completed',
+          'transcription.service': transcriptionResult.service,
+          'transcription.language': transcriptionResult.language,
+          'transcription.processedAt': new Date()
         },
-        {
-          speaker: '市场部经理',
-          startTime: 100,
-          endTime: 125,
-          text: '市场推广方案已经制定完成，预算控制在50万以内。预计能够覆盖目标用户群体的80%。',
-          confidence: 0.88
+        $unset: { 'transcription.error': '' }
+      }
+    );
+  } catch (error) {
+    console.error(`音频转录失败 (会议 ${meetingId}):`, error);
+    await Meeting.updateOne(
+      { _id: meetingId },
+      {
+        $set: {
+          'transcription.status': 'failed',
+          'transcription.error': error.message,
+          'transcription.processedAt': new Date()
         }
-      ]
-    };
+      }
+    );
+    return;
+  }
 
-    // 模拟处理时间
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    console.log('音频转录完成');
-    return mockTranscription;
+  // 2. AI分析
+  try {
+    await analyzeMeetingContent(meetingId);
+    console.log(`会议 ${meetingId} 音频处理完成`);
   } catch (error) {
-    console.error('音频转录失败:', error);
-    throw new Error(`音频转录失败: ${error.message}`);
+    console.error(`会议分析失败 (会议 ${meetingId}):`, error);
   }
 }
 
@@ -474,7 +782,8 @@ async function analyzeMeetingContent(meetingId) {
     console.log(`开始分析会议内容: ${meetingId}`);
     
     const meeting = await Meeting.findById(meetingId)
-      .populate('participants.user', 'profile.position profile.fullName username');
+      .populate('participants.user', 'profile.position profile.fullName username')
+      .populate('transcription.speakers.user', 'username profile.firstName profile.lastName');
     
     if (!meeting || !meeting.transcription.rawText) {
       throw new Error('转录内容不存在');
@@ -484,10 +793,12 @@ async function analyzeMeetingContent(meetingId) {
     meeting.aiAnalysis.status = 'processing';
     await meeting.save();
 
-    // 调用AI服务进行分析
+    // 调用AI服务进行分析（带片段序号，便于行动项和决策注明出处）
+    const segments = meetingTranscriptService.resolveSegments(meeting.transcription);
     const analysisResult = await AIService.analyzeMeeting({
       title: meeting.title,
       transcription: meeting.transcription.rawText,
+      segmentedTranscript: meetingTranscriptService.buildPromptTranscript(segments),
       participants: meeting.participants,
       type: meeting.type,
       duration: meeting.duration
@@ -504,8 +815,11 @@ async function analyzeMeetingContent(meetingId) {
       ...meeting.aiAnalysis.toObject(),
       summary: analysisResult.summary,
       keyPoints: analysisResult.keyPoints,
-      decisions: analysisResult.decisions,
-      actionItems: analysisResult.actionItems,
+      decisions: meetingTranscriptService.citeSegments(analysisResult.decisions, segments, 'decision'),
+      actionItems: meetingTaskService.carryOverTasks(
+        meeting.aiAnalysis.actionItems,
+        meetingTranscriptService.citeSegments(analysisResult.actionItems, segments, 'content')
+      ),
       personalizedSuggestions: personalizedSuggestions,
       topics: analysisResult.topics,
       sentiment: analysisResult.sentiment,
@@ -515,6 +829,12 @@ async function analyzeMeetingContent(meetingId) {
 
     await meeting.save();
     console.log(`会议内容分析完成: ${meetingId}`);
+
+    // 开启自动转任务时为新行动项创建任务，失败不影响分析结果
+    if (meeting.autoCreateTasks) {
+      await meetingTaskService.createTasks(meeting, meeting.organizer)
+        .catch(error => console.error(`行动项自动转任务失败 (${meetingId}):`, error));
+    }
     
   } catch (error) {
     console.error(`会议分析失败 (${meetingId}):`, error);
@@ -0,0 +1,396 @@
+const mongoose = require('mongoose');
+const Objective = require('../models/Objective');
+const KeyResult = require('../models/KeyResult');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const okrService = require('../services/okrService');
+const projectService = require('../services/projectService');
+
+const USER_FIELDS = 'username profile.firstName profile.lastName';
+
+const OBJECTIVE_FIELDS = ['title', 'description', 'quarter', 'status'];
+
+const KEY_RESULT_FIELDS = ['title', 'progressSource', 'startValue', 'targetValue', 'currentValue', 'unit', 'weight'];
+
+const withKeyResults = (objective, byObjective, user) => ({
+  ...objective.toObject(),
+  keyResults: byObjective.get(objective._id.toString()) || [],
+  canEdit: okrService.canEditObjective(objective, user)
+});
+
+/**
+ * 获取目标，不存在或无编辑权限时直接返回错误响应
+ * @param {boolean} requireEdit - 是否需要编辑权限（目标负责人或管理员）
+ */
+const loadObjective = async (req, res, requireEdit = false) => {
+  const objective = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Objective.findById(req.params.id)
+    : null;
+
+  if (!objective) {
+    res.status(404).json({
+      success: false,
+      message: '目标不存在'
+    });
+    return null;
+  }
+
+  if (requireEdit && !okrService.canEditObjective(objective, req.user)) {
+    res.status(403).json({
+      success: false,
+      message: '只有目标负责人可以修改目标'
+    });
+    return null;
+  }
+
+  if (!okrService.canEditObjective(objective, req.user) &&
+    !(await Objective.exists({ _id: objective._id, ...(await okrService.buildAccessQuery(req.user)) }))) {
+    res.status(403).json({
+      success: false,
+      message: '无权查看此目标'
+    });
+    return null;
+  }
+
+  return objective;
+};
+
+/**
+ * 设置关键结果字段，校验负责人和关联任务
+ * @returns {Promise<string|null>} 错误信息
+ */
+const applyKeyResultFields = async (keyResult, body, user) => {
+  KEY_RESULT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) keyResult[field] = body[field];
+  });
+
+  if (body.owner !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(body.owner) || !(await User.exists({ _id: body.owner }))) {
+      return '关键结果负责人不存在';
+    }
+    keyResult.owner = body.owner;
+  }
+
+  if (body.tasks !== undefined) {
+    const { tasks, error } = await okrService.validateTaskLinks(body.tasks, user);
+    if (error) return error;
+    keyResult.tasks = tasks;
+  }
+
+  return null;
+};
+
+/**
+ * 获取目标列表（默认当前用户本季度），附带关键结果和汇总进度
+ * @route   GET /api/okrs
+ * @access  Private
+ */
+const getObjectives = asyncHandler(async (req, res) => {
+  const { quarter = okrService.getQuarter(), owner, status, project } = req.query;
+
+  if (!okrService.getQuarterRange(quarter)) {
+    return res.status(400).json({
+      success: false,
+      message: '季度格式应为 YYYY-Qn'
+    });
+  }
+
+  // 查看他人的目标时只返回有权查看的目标
+  const query = { quarter, owner: owner || req.user.id };
+  if (status) query.status = status;
+  if (project) query.project = project;
+  if (query.owner.toString() !== req.user.id.toString()) {
+    Object.assign(query, await okrService.buildAccessQuery(req.user));
+  }
+
+  const objectives = await Objective.find(query)
+    .populate('owner', USER_FIELDS)
+    .populate('project', 'name color')
+    .sort({ createdAt: 1 });
+  const byObjective = await okrService.refreshObjectives(objectives);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      quarter,
+      objectives: objectives.map(objective => withKeyResults(objective, byObjective, req.user))
+    }
+  });
+});
+
+/**
+ * 创建目标
+ * @route   POST /api/okrs
+ * @access  Private
+ */
+const createObjective = asyncHandler(async (req, res) => {
+  const objectiveData = { owner: req.user.id, quarter: okrService.getQuarter() };
+  OBJECTIVE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) objectiveData[field] = req.body[field];
+  });
+
+  const { project, error } = await projectService.resolveProject(req.body.project, req.user);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+  if (project) objectiveData.project = project._id;
+
+  const objective = await Objective.create(objectiveData);
+
+  res.status(201).json({
+    success: true,
+    message: '目标创建成功',
+    data: { objective: { ...objective.toObject(), keyResults: [], canEdit: true } }
+  });
+});
+
+/**
+ * 生成季度回顾
+ * @route   POST /api/okrs/review
+ * @access  Private
+ */
+const generateReview = asyncHandler(async (req, res) => {
+  const { review, error } = await okrService.generateQuarterlyReview(
+    req.user,
+    req.body.quarter || okrService.getQuarter()
+  );
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { review }
+  });
+});
+
+/**
+ * 获取目标详情
+ * @route   GET /api/okrs/:id
+ * @access  Private
+ */
+const getObjective = asyncHandler(async (req, res) => {
+  const objective = await loadObjective(req, res);
+  if (!objective) return;
+
+  await objective.populate([
+    { path: 'owner', select: USER_FIELDS },
+    { path: 'project', select: 'name color' }
+  ]);
+  const byObjective = await okrService.refreshObjectives([objective]);
+  const keyResults = byObjective.get(objective._id.toString());
+  await KeyResult.populate(keyResults, { path: 'tasks', select: 'title status progress dueDate createdBy assignedTo watchers' });
+  byObjective.set(objective._id.toString(), keyResults.map(keyResult => okrService.toVisibleKeyResult(keyResult, req.user)));
+
+  res.status(200).json({
+    success: true,
+    data: { objective: withKeyResults(objective, byObjective, req.user) }
+  });
+});
+
+/**
+ * 更新目标
+ * @route   PUT /api/okrs/:id
+ * @access  Private
+ */
+const updateObjective = asyncHandler(async (req, res) => {
+  const objective = await loadObjective(req, res, true);
+  if (!objective) return;
+
+  OBJECTIVE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) objective[field] = req.body[field];
+  });
+
+  if (req.body.project !== undefined) {
+    const { project, error } = await projectService.resolveProject(req.body.project, req.user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    objective.project = project?._id || null;
+  }
+
+  await objective.save();
+
+  res.status(200).json({
+    success: true,
+    message: '目标更新成功',
+    data: { objective }
+  });
+});
+
+/**
+ * 删除目标及其关键结果
+ * @route   DELETE /api/okrs/:id
+ * @access  Private
+ */
+const deleteObjective = asyncHandler(async (req, res) => {
+  const objective = await loadObjective(req, res, true);
+  if (!objective) return;
+
+  await KeyResult.deleteMany({ objective: objective._id });
+  await objective.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: '目标已删除'
+  });
+});
+
+/**
+ * 添加关键结果
+ * @route   POST /api/okrs/:id/key-results
+ * @access  Private
+ */
+const addKeyResult = asyncHandler(async (req, res) => {
+  const objective = await loadObjective(req, res, true);
+  if (!objective) return;
+
+  const keyResult = new KeyResult({ objective: objective._id, owner: objective.owner });
+  const error = await applyKeyResultFields(keyResult, req.body, req.user);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  await okrService.refreshKeyResults([keyResult], { save: false });
+  await keyResult.save();
+  await okrService.updateObjectiveProgress(objective._id);
+
+  res.status(201).json({
+    success: true,
+    message: '关键结果已添加',
+    data: { keyResult }
+  });
+});
+
+/**
+ * 获取目标下的关键结果，不存在时直接返回错误响应
+ */
+const loadKeyResult = async (req, res, objective) => {
+  const keyResult = mongoose.Types.ObjectId.isValid(req.params.keyResultId)
+    ? await KeyResult.findOne({ _id: req.params.keyResultId, objective: objective._id })
+    : null;
+
+  if (!keyResult) {
+    res.status(404).json({
+      success: false,
+      message: '关键结果不存在'
+    });
+  }
+  return keyResult;
+};
+
+/**
+ * 更新关键结果
+ * @route   PUT /api/okrs/:id/key-results/:keyResultId
+ * @access  Private
+ */
+const updateKeyResult = asyncHandler(async (req, res) => {
+  const objective = await loadObjective(req, res, true);
+  if (!objective) return;
+
+  const keyResult = await loadKeyResult(req, res, objective);
+  if (!keyResult) return;
+
+  const error = await applyKeyResultFields(keyResult, req.body, req.user);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  await okrService.refreshKeyResults([keyResult], { save: false });
+  await keyResult.save();
+  await okrService.updateObjectiveProgress(objective._id);
+
+  res.status(200).json({
+    success: true,
+    message: '关键结果已更新',
+    data: { keyResult }
+  });
+});
+
+/**
+ * 删除关键结果
+ * @route   DELETE /api/okrs/:id/key-results/:keyResultId
+ * @access  Private
+ */
+const deleteKeyResult = asyncHandler(async (req, res) => {
+  const objective = await loadObjective(req, res, true);
+  if (!objective) return;
+
+  const keyResult = await loadKeyResult(req, res, objective);
+  if (!keyResult) return;
+
+  await keyResult.deleteOne();
+  await okrService.updateObjectiveProgress(objective._id);
+
+  res.status(200).json({
+    success: true,
+    message: '关键结果已删除'
+  });
+});
+
+/**
+ * 更新关键结果进展（目标负责人或关键结果负责人）
+ * @route   POST /api/okrs/:id/key-results/:keyResultId/check-ins
+ * @access  Private
+ */
+const addCheckIn = asyncHandler(async (req, res) => {
+  const objective = await loadObjective(req, res);
+  if (!objective) return;
+
+  const keyResult = await loadKeyResult(req, res, objective);
+  if (!keyResult) return;
+
+  if (!okrService.canCheckIn(objective, keyResult, req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: '只有目标或关键结果负责人可以更新进展'
+    });
+  }
+
+  // 任务型关键结果先按关联任务刷新进度，再记录本次进展
+  await okrService.refreshKeyResults([keyResult], { save: false });
+  const { checkIn, error } = okrService.recordCheckIn(keyResult, req.body, req.user.id);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  await keyResult.save();
+  const updatedObjective = await okrService.updateObjectiveProgress(objective._id);
+
+  res.status(201).json({
+    success: true,
+    message: '进展已更新',
+    data: { checkIn, keyResult, objectiveProgress: updatedObjective.progress }
+  });
+});
+
+module.exports = {
+  getObjectives,
+  createObjective,
+  generateReview,
+  getObjective,
+  updateObjective,
+  deleteObjective,
+  addKeyResult,
+  updateKeyResult,
+  deleteKeyResult,
+  addCheckIn
+};
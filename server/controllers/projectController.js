@@ -0,0 +1,323 @@
+const Project = require('../models/Project');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const projectService = require('../services/projectService');
+
+const USER_FIELDS = 'username profile.firstName profile.lastName';
+
+const PROJECT_FIELDS = ['name', 'description', 'status', 'startDate', 'endDate', 'color', 'tags'];
+
+const populateProject = project => project.populate([
+  { path: 'owner', select: USER_FIELDS },
+  { path: 'members.user', select: USER_FIELDS }
+]);
+
+/**
+ * 获取可访问的项目，无权访问时直接返回错误响应
+ * @param {boolean} requireEdit - 是否需要编辑权限（负责人或项目经理）
+ */
+const loadProject = async (req, res, requireEdit = false) => {
+  const { project, role, error, status } = await projectService.getAccessibleProject(req.params.id, req.user);
+  if (error) {
+    res.status(status).json({
+      success: false,
+      message: error
+    });
+    return null;
+  }
+
+  if (requireEdit && !projectService.canEdit(role)) {
+    res.status(403).json({
+      success: false,
+      message: '只有项目负责人和项目经理可以修改项目'
+    });
+    return null;
+  }
+
+  return { project, role };
+};
+
+/**
+ * 获取项目列表（负责人或成员）
+ * @route   GET /api/projects
+ * @access  Private
+ */
+const getProjects = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+
+  const query = projectService.buildAccessQuery(req.user.id);
+  if (status) query.status = status;
+
+  const projects = await Project.find(query)
+    .populate('owner', USER_FIELDS)
+    .sort({ updatedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      projects: projects.map(project => ({
+        ...project.toObject(),
+        role: project.getMemberRole(req.user.id)
+      }))
+    }
+  });
+});
+
+/**
+ * 创建项目（创建者为负责人）
+ * @route   POST /api/projects
+ * @access  Private
+ */
+const createProject = asyncHandler(async (req, res) => {
+  const projectData = { owner: req.user.id };
+  PROJECT_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) projectData[field] = req.body[field];
+  });
+
+  if (req.body.members !== undefined) {
+    const { members, error } = projectService.normalizeMembers(req.body.members, req.user.id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    projectData.members = members;
+  }
+
+  if (Array.isArray(req.body.milestones)) projectData.milestones = req.body.milestones;
+
+  const project = await Project.create(projectData);
+  await populateProject(project);
+
+  res.status(201).json({
+    success: true,
+    message: '项目创建成功',
+    data: { project }
+  });
+});
+
+/**
+ * 获取项目详情
+ * @route   GET /api/projects/:id
+ * @access  Private
+ */
+const getProject = asyncHandler(async (req, res) => {
+  const access = await loadProject(req, res);
+  if (!access) return;
+
+  await populateProject(access.project);
+
+  res.status(200).json({
+    success: true,
+    data: { project: access.project, role: access.role }
+  });
+});
+
+/**
+ * 更新项目基本信息
+ * @route   PUT /api/projects/:id
+ * @access  Private
+ */
+const updateProject = asyncHandler(async (req, res) => {
+  const access = await loadProject(req, res, true);
+  if (!access) return;
+
+  const { project } = access;
+  PROJECT_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) project[field] = req.body[field];
+  });
+
+  await project.save();
+  await populateProject(project);
+
+  res.status(200).json({
+    success: true,
+    message: '项目更新成功',
+    data: { project }
+  });
+});
+
+/**
+ * 删除项目（解除任务、会议、文档和日程的关联）
+ * @route   DELETE /api/projects/:id
+ * @access  Private
+ */
+const deleteProject = asyncHandler(async (req, res) => {
+  const access = await loadProject(req, res);
+  if (!access) return;
+
+  if (!['owner', 'admin'].includes(access.role)) {
+    return res.status(403).json({
+      success: false,
+      message: '只有项目负责人可以删除项目'
+    });
+  }
+
+  const unlinked = await projectService.unlinkAll(access.project._id);
+  await access.project.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: '项目已删除',
+    data: { unlinked }
+  });
+});
+
+/**
+ * 更新项目成员（整体替换成员列表）
+ * @route   PUT /api/projects/:id/members
+ * @access  Private
+ */
+const updateProjectMembers = asyncHandler(async (req, res) => {
+  const access = await loadProject(req, res, true);
+  if (!access) return;
+
+  const { project } = access;
+  const { members, error } = projectService.normalizeMembers(req.body.members, project.owner);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const userCount = await User.countDocuments({ _id: { $in: members.map(member => member.user) } });
+  if (userCount !== members.length) {
+    return res.status(400).json({
+      success: false,
+      message: '部分成员用户不存在'
+    });
+  }
+
+  // 保留原有成员的加入时间
+  project.members = members.map(member => {
+    const existing = project.members.find(item => item.user.toString() === member.user);
+    return { ...member, joinedAt: existing?.joinedAt || new Date() };
+  });
+  await project.save();
+  await populateProject(project);
+
+  res.status(200).json({
+    success: true,
+    message: '项目成员已更新',
+    data: { project }
+  });
+});
+
+/**
+ * 添加里程碑
+ * @route   POST /api/projects/:id/milestones
+ * @access  Private
+ */
+const addMilestone = asyncHandler(async (req, res) => {
+  const access = await loadProject(req, res, true);
+  if (!access) return;
+
+  const { title, description, dueDate } = req.body;
+  const { project } = access;
+  project.milestones.push({ title, description, dueDate });
+  await project.save();
+
+  res.status(201).json({
+    success: true,
+    message: '里程碑已添加',
+    data: { milestone: project.milestones[project.milestones.length - 1] }
+  });
+});
+
+/**
+ * 更新里程碑（完成状态变化时记录完成时间）
+ * @route   PUT /api/projects/:id/milestones/:milestoneId
+ * @access  Private
+ */
+const updateMilestone = asyncHandler(async (req, res) => {
+  const access = await loadProject(req, res, true);
+  if (!access) return;
+
+  const milestone = access.project.milestones.id(req.params.milestoneId);
+  if (!milestone) {
+    return res.status(404).json({
+      success: false,
+      message: '里程碑不存在'
+    });
+  }
+
+  ['title', 'description', 'dueDate', 'status'].forEach(field => {
+    if (req.body[field] !== undefined) milestone[field] = req.body[field];
+  });
+  milestone.completedAt = milestone.status === 'completed' ? (milestone.completedAt || new Date()) : undefined;
+  await access.project.save();
+
+  res.status(200).json({
+    success: true,
+    message: '里程碑已更新',
+    data: { milestone }
+  });
+});
+
+/**
+ * 删除里程碑
+ * @route   DELETE /api/projects/:id/milestones/:milestoneId
+ * @access  Private
+ */
+const deleteMilestone = asyncHandler(async (req, res) => {
+  const access = await loadProject(req, res, true);
+  if (!access) return;
+
+  const milestone = access.project.milestones.id(req.params.milestoneId);
+  if (!milestone) {
+    return res.status(404).json({
+      success: false,
+      message: '里程碑不存在'
+    });
+  }
+
+  milestone.deleteOne();
+  await access.project.save();
+
+  res.status(200).json({
+    success: true,
+    message: '里程碑已删除'
+  });
+});
+
+/**
+ * 获取项目看板（任务进度、里程碑、未完成行动项、近期日程和最近文档）
+ * @route   GET /api/projects/:id/dashboard
+ * @access  Private
+ */
+const getProjectDashboard = asyncHandler(async (req, res) => {
+  const access = await loadProject(req, res);
+  if (!access) return;
+
+  const dashboard = await projectService.getDashboard(access.project);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      project: {
+        _id: access.project._id,
+        name: access.project.name,
+        status: access.project.status,
+        startDate: access.project.startDate,
+        endDate: access.project.endDate
+      },
+      role: access.role,
+      ...dashboard
+    }
+  });
+});
+
+module.exports = {
+  getProjects,
+  createProject,
+  getProject,
+  updateProject,
+  deleteProject,
+  updateProjectMembers,
+  addMilestone,
+  updateMilestone,
+  deleteMilestone,
+  getProjectDashboard
+};
@@ -0,0 +1,290 @@
+const WorkReport = require('../models/WorkReport');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const workReportService = require('../services/workReportService');
+const timeTrackingService = require('../services/timeTrackingService');
+
+const REPORT_TYPES = ['weekly', 'monthly'];
+
+/**
+ * 获取工作报告列表
+ * @route   GET /api/reports
+ * @access  Private
+ */
+const getReports = asyncHandler(async (req, res) => {
+  const { type } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  if (type && !REPORT_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: '报告类型只能是 weekly 或 monthly'
+    });
+  }
+
+  const query = { user: req.user.id };
+  if (type) query.type = type;
+
+  const reports = await WorkReport.find(query)
+    .sort({ periodStart: -1 })
+    .limit(limit);
+
+  res.status(200).json({
+    success: true,
+    data: { reports }
+  });
+});
+
+/**
+ * 根据周期内的任务、会议、文档和日程生成报告草稿（已有草稿会被覆盖）
+ * @route   POST /api/reports/generate
+ * @access  Private
+ */
+const generateReport = asyncHandler(async (req, res) => {
+  const { type = 'weekly', date } = req.body;
+
+  if (!REPORT_TYPES.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      message: '报告类型只能是 weekly 或 monthly'
+    });
+  }
+
+  const periodDate = date ? new Date(date) : new Date();
+  if (isNaN(periodDate.getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: '请提供有效的日期'
+    });
+  }
+
+  const { report, error } = await workReportService.generate(req.user, type, periodDate);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: report.generatedBy === 'ai' ? '报告已由AI生成' : '报告草稿已生成',
+    data: { report }
+  });
+});
+
+/**
+ * 获取工作报告详情
+ * @route   GET /api/reports/:id
+ * @access  Private
+ */
+const getReport = asyncHandler(async (req, res) => {
+  const report = await WorkReport.findOne({ _id: req.params.id, user: req.user.id });
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: '报告未找到'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { report }
+  });
+});
+
+/**
+ * 编辑工作报告（标题、章节内容、定稿状态）
+ * @route   PUT /api/reports/:id
+ * @access  Private
+ */
+const updateReport = asyncHandler(async (req, res) => {
+  const { title, sections, status } = req.body;
+
+  const report = await WorkReport.findOne({ _id: req.params.id, user: req.user.id });
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: '报告未找到'
+    });
+  }
+
+  if (sections !== undefined) {
+    const valid = Array.isArray(sections) && sections.every(section =>
+      section && typeof section.title === 'string' && section.title.trim() &&
+      (section.content === undefined || typeof section.content === 'string'));
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: '章节格式错误，每个章节需要标题和文本内容'
+      });
+    }
+    report.sections = sections.map((section, index) => ({
+      key: section.key || `custom_${index}`,
+      title: section.title.trim(),
+      content: section.content || ''
+    }));
+  }
+
+  if (title !== undefined) report.title = title;
+
+  if (status !== undefined) {
+    if (!['draft', 'final'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: '报告状态只能是 draft 或 final'
+      });
+    }
+    report.status = status;
+  }
+
+  report.editedAt = new Date();
+  await report.save();
+
+  res.status(200).json({
+    success: true,
+    message: '报告已更新',
+    data: { report }
+  });
+});
+
+/**
+ * 删除工作报告
+ * @route   DELETE /api/reports/:id
+ * @access  Private
+ */
+const deleteReport = asyncHandler(async (req, res) => {
+  const report = await WorkReport.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: '报告未找到'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: '报告已删除'
+  });
+});
+
+/**
+ * 导出工作报告（Markdown 或 Word）
+ * @route   GET /api/reports/:id/export
+ * @access  Private
+ */
+const exportReport = asyncHandler(async (req, res) => {
+  const { format = 'markdown' } = req.query;
+
+  if (!['markdown', 'docx'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: '导出格式只能是 markdown 或 docx'
+    });
+  }
+
+  const report = await WorkReport.findOne({ _id: req.params.id, user: req.user.id });
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: '报告未找到'
+    });
+  }
+
+  const filename = `${report.type}-report-${timeTrackingService.formatDate(report.periodStart)}`;
+
+  if (format === 'docx') {
+    const buffer = await workReportService.toDocx(report);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.docx"`);
+    return res.status(200).send(buffer);
+  }
+
+  res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.md"`);
+  res.status(200).send(workReportService.toMarkdown(report));
+});
+
+/**
+ * 通过邮件或微信发送工作报告
+ * @route   POST /api/reports/:id/send
+ * @access  Private
+ */
+const sendReport = asyncHandler(async (req, res) => {
+  const report = await WorkReport.findOne({ _id: req.params.id, user: req.user.id });
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: '报告未找到'
+    });
+  }
+
+  const { channels, error } = workReportService.validateChannels(
+    req.body.channels || req.user.settings?.workReports?.channels
+  );
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const notification = await workReportService.deliver(report, channels);
+
+  res.status(200).json({
+    success: true,
+    message: '报告已发送',
+    data: { report, notification }
+  });
+});
+
+/**
+ * 获取定时报告设置
+ * @route   GET /api/reports/settings
+ * @access  Private
+ */
+const getReportSettings = asyncHandler(async (req, res) => {
+  const { settings } = workReportService.validateSettings(req.user.settings?.workReports);
+
+  res.status(200).json({
+    success: true,
+    data: { settings }
+  });
+});
+
+/**
+ * 更新定时报告设置（频率、发送时间和渠道）
+ * @route   PUT /api/reports/settings
+ * @access  Private
+ */
+const updateReportSettings = asyncHandler(async (req, res) => {
+  const { settings, error } = workReportService.validateSettings(req.user.settings?.workReports, req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  await User.findByIdAndUpdate(req.user.id, { 'settings.workReports': settings });
+
+  res.status(200).json({
+    success: true,
+    message: '定时报告设置已更新',
+    data: { settings }
+  });
+});
+
+module.exports = {
+  getReports,
+  generateReport,
+  getReport,
+  updateReport,
+  deleteReport,
+  exportReport,
+  sendReport,
+  getReportSettings,
+  updateReportSettings
+};
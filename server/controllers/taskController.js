@@ -1,27 +1,64 @@
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
 const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
 const aiService = require('../services/aiService');
+const taskDependencyService = require('../services/taskDependencyService');
+const recurringTaskService = require('../services/recurringTaskService');
+const taskQuickAddService = require('../services/taskQuickAddService');
+const timeTrackingService = require('../services/timeTrackingService');
+const taskPlanService = require('../services/taskPlanService');
+const taskHistoryService = require('../services/taskHistoryService');
+const taskCompletionService = require('../services/taskCompletionService');
+const taskWatcherService = require('../services/taskWatcherService');
+const taskBulkService = require('../services/taskBulkService');
+const taskViewService = require('../services/taskViewService');
+const taskBoardService = require('../services/taskBoardService');
+const taskTimelineService = require('../services/taskTimelineService');
+const taskTemplateService = require('../services/taskTemplateService');
+const customFieldService = require('../services/customFieldService');
+const taskExportService = require('../services/taskExportService');
+const capacityService = require('../services/capacityService');
+const taskAnalyticsService = require('../services/taskAnalyticsService');
+const projectService = require('../services/projectService');
+const TaskView = require('../models/TaskView');
+const TaskTemplate = require('../models/TaskTemplate');
+const CustomFieldDefinition = require('../models/CustomFieldDefinition');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const Project = require('../models/Project');
+const TimeEntry = require('../models/TimeEntry');
+
+// 任务导出的最大条数
+const MAX_EXPORT_TASKS = 5000;
+
+// 这些字段变化时重新检查负责人负载
+const CAPACITY_FIELDS = ['assignedTo', 'estimatedHours', 'progress', 'startDate', 'dueDate'];
 
 /**
- * 获取用户任务列表
- * @route   GET /api/tasks
- * @access  Private
+ * 任务分配给他人时检查负责人负载，超负荷时返回改派建议（检查失败不影响保存）
+ * @returns {Promise<Object|null>}
  */
-const getTasks = asyncHandler(async (req, res) => {
-  const { 
-    status, 
-    priority, 
-    category,
-    page = 1, 
-    limit = 20,
-    sortBy = 'createdAt',
-    sortOrder = -1 
-  } = req.query;
+const getCapacityWarning = async (task, userId) => {
+  const assigneeId = (task.assignedTo?._id || task.assignedTo)?.toString();
+  if (!assigneeId || assigneeId === userId.toString() || ['completed', 'cancelled'].includes(task.status)) {
+    return null;
+  }
 
-  const userId = req.user.id;
+  try {
+    return await capacityService.checkAssignment(task, assigneeId, userId);
+  } catch (error) {
+    console.error('检查负责人负载失败:', error);
+    return null;
+  }
+};
+
+/**
+ * 构建任务列表查询：状态、优先级、类型、项目和自定义字段筛选（cf[字段]），支持按自定义字段排序（sortBy=cf.字段）
+ * @returns {Promise<{query?: Object, sort?: Object, definitions?: Array, error?: string}>}
+ */
+const buildTaskListQuery = async (userId, params) => {
+  const { status, priority, category, project, cf, sortBy = 'createdAt', sortOrder = -1 } = params;
 
-  // 构建查询条件
   const query = {
     $or: [
       { createdBy: userId },
@@ -32,6 +69,35 @@ const getTasks = asyncHandler(async (req, res) => {
   if (status) query.status = status;
   if (priority) query.priority = priority;
   if (category) query.category = category;
+  if (project) query.project = project;
+
+  const definitions = await customFieldService.getDefinitions({ includeInactive: true });
+  const { conditions, error } = customFieldService.buildFilters(definitions, cf, userId);
+  if (error) return { error };
+  if (conditions.length > 0) query.$and = conditions;
+
+  const sortPath = customFieldService.getSortPath(definitions, sortBy) || sortBy;
+  return { query, sort: { [sortPath]: sortOrder }, definitions };
+};
+
+/**
+ * 获取用户任务列表
+ * @route   GET /api/tasks
+ * @access  Private
+ */
+const getTasks = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const userId = req.user.id;
+
+  // 构建查询条件
+  const { query, sort, error } = await buildTaskListQuery(userId, req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
 
   const skip = (page - 1) * limit;
 
@@ -39,7 +105,8 @@ const getTasks = asyncHandler(async (req, res) => {
     Task.find(query)
       .populate('createdBy', 'username profile.firstName profile.lastName')
       .populate('assignedTo', 'username profile.firstName profile.lastName')
-      .sort({ [sortBy]: sortOrder })
+      .populate('project', 'name color')
+      .sort(sort)
       .skip(skip)
       .limit(parseInt(limit)),
     Task.countDocuments(query)
@@ -59,6 +126,31 @@ const getTasks = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * 导出任务列表（CSV，含自定义字段列）
+ * @route   GET /api/tasks/export
+ * @access  Private
+ */
+const exportTasks = asyncHandler(async (req, res) => {
+  const { query, sort, definitions, error } = await buildTaskListQuery(req.user.id, req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const tasks = await Task.find(query)
+    .populate('assignedTo', 'username profile.firstName profile.lastName')
+    .sort(sort)
+    .limit(MAX_EXPORT_TASKS);
+
+  const csv = await taskExportService.toCsv(tasks, definitions.filter(definition => definition.active));
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="tasks-${timeTrackingService.formatDate(new Date())}.csv"`);
+  res.status(200).send(csv);
+});
+
 /**
  * 创建新任务
  * @route   POST /api/tasks
@@ -73,9 +165,49 @@ const createTask = asyncHandler(async (req, res) => {
     dueDate,
     estimatedHours,
     tags = [],
-    assignedTo
+    assignedTo,
+    dependencies = [],
+    recurring,
+    reminders,
+    watchers = [],
+    customFields,
+    project
   } = req.body;
 
+  const projectRef = await projectService.resolveProject(project, req.user);
+  if (projectRef.error) {
+    return res.status(400).json({
+      success: false,
+      message: projectRef.error
+    });
+  }
+
+  const fieldDefinitions = await customFieldService.getDefinitions({ includeInactive: true });
+  const customFieldValues = await customFieldService.validateValues(fieldDefinitions, customFields, {}, { isNew: true });
+  if (customFieldValues.error) {
+    return res.status(400).json({
+      success: false,
+      message: customFieldValues.error
+    });
+  }
+
+  if (dependencies.length > 0) {
+    const validation = await taskDependencyService.validateDependencies(null, dependencies, req.user.id);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.message
+      });
+    }
+  }
+
+  if (recurring?.isRecurring && !recurringTaskService.getNextOccurrenceDate(new Date(), recurring.frequency)) {
+    return res.status(400).json({
+      success: false,
+      message: '请提供有效的重复频率'
+    });
+  }
+
   const taskData = {
     title,
     description,
@@ -91,8 +223,23 @@ const createTask = asyncHandler(async (req, res) => {
   if (dueDate) taskData.dueDate = new Date(dueDate);
   if (estimatedHours) taskData.estimatedHours = estimatedHours;
   if (assignedTo) taskData.assignedTo = assignedTo;
+  if (projectRef.project) taskData.project = projectRef.project._id;
+  if (dependencies.length > 0) taskData.dependencies = dependencies;
+  if (Object.keys(customFieldValues.values).length > 0) taskData.customFields = customFieldValues.values;
+  if (recurring?.isRecurring) {
+    taskData.recurring = {
+      isRecurring: true,
+      frequency: recurring.frequency,
+      interval: recurring.interval || 1,
+      endDate: recurring.endDate ? new Date(recurring.endDate) : undefined
+    };
+  }
 
-  const task = await Task.create(taskData);
+  const task = new Task(taskData);
+  if (Array.isArray(reminders)) task.setCustomReminders(reminders);
+  const descriptionMentions = await taskWatcherService.resolveMentions(description);
+  task.addWatchers([...(Array.isArray(watchers) ? watchers : []), ...descriptionMentions]);
+  await task.save();
   await task.populate([
     { path: 'createdBy', select: 'username profile.firstName profile.lastName' },
     { path: 'assignedTo', select: 'username profile.firstName profile.lastName' }
@@ -101,10 +248,61 @@ const createTask = asyncHandler(async (req, res) => {
   // 添加活动日志
   await task.addActivityLog('created', req.user.id, '任务已创建');
 
+  // 通知负责人和描述中@提及的用户
+  taskWatcherService.notifyCreated(task, req.user.id, descriptionMentions)
+    .catch(error => console.error('发送任务创建通知失败:', error));
+
+  const capacityWarning = await getCapacityWarning(task, req.user.id);
+
   res.status(201).json({
     success: true,
     message: '任务创建成功',
-    data: { task }
+    data: { task, capacityWarning }
+  });
+});
+
+/**
+ * 自然语言快速创建任务
+ * @route   POST /api/tasks/quick-add
+ * @access  Private
+ */
+const quickAddTask = asyncHandler(async (req, res) => {
+  const { text, preview = false } = req.body;
+
+  if (!text || !text.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: '请提供任务内容'
+    });
+  }
+
+  // 仅预览解析结果，不创建任务
+  if (preview) {
+    return res.status(200).json({
+      success: true,
+      data: { parsed: taskQuickAddService.parse(text) }
+    });
+  }
+
+  const { task, parsed, warnings } = await taskQuickAddService.createTask(req.user, text, { createdVia: 'web' });
+
+  if (!task) {
+    return res.status(400).json({
+      success: false,
+      message: warnings[0],
+      data: { parsed }
+    });
+  }
+
+  await task.populate([
+    { path: 'createdBy', select: 'username profile.firstName profile.lastName' },
+    { path: 'assignedTo', select: 'username profile.firstName profile.lastName' }
+  ]);
+
+  res.status(201).json({
+    success: true,
+    message: '任务创建成功',
+    data: { task, parsed, warnings }
   });
 });
 
@@ -114,7 +312,7 @@ const createTask = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const generateTaskPlanning = asyncHandler(async (req, res) => {
-  const { taskDescription, deadline, additionalContext } = req.body;
+  const { taskDescription, deadline, additionalContext, category } = req.body;
 
   if (!taskDescription) {
     return res.status(400).json({
@@ -128,11 +326,15 @@ const generateTaskPlanning = asyncHandler(async (req, res) => {
     const user = await User.findById(req.user.id);
     const userPosition = user.profile?.position || '员工';
 
+    // 按历史估时偏差校准时间估算
+    const estimateBias = await taskAnalyticsService.getEstimateBias(req.user.id, category);
+
     // 调用AI服务生成规划
     const aiPlans = await aiService.generateTaskPlanning(
       taskDescription, 
       userPosition, 
-      deadline
+      deadline,
+      { estimateBias }
     );
 
     if (!aiPlans || aiPlans.length === 0) {
@@ -150,6 +352,7 @@ const generateTaskPlanning = asyncHandler(async (req, res) => {
         userPosition,
         taskDescription,
         deadline,
+        estimateBias,
         generatedAt: new Date()
       }
     });
@@ -209,6 +412,10 @@ const createTaskFromAI = asyncHandler(async (req, res) => {
       title: plan.title,
       content: plan.content,
       priority: plan.priority,
+      estimatedTime: plan.estimatedTime,
+      steps: taskPlanService.extractPlanSteps(plan),
+      resources: plan.resources,
+      risks: plan.risks,
       generatedAt: new Date()
     })),
     metadata: {
@@ -248,12 +455,15 @@ const getTask = asyncHandler(async (req, res) => {
     _id: taskId,
     $or: [
       { createdBy: userId },
-      { assignedTo: userId }
+      { assignedTo: userId },
+      { watchers: userId }
     ]
   }).populate([
     { path: 'createdBy', select: 'username profile.firstName profile.lastName' },
     { path: 'assignedTo', select: 'username profile.firstName profile.lastName' },
+    { path: 'watchers', select: 'username profile.firstName profile.lastName' },
     { path: 'dependencies', select: 'title status priority' },
+    { path: 'project', select: 'name color' },
     { path: 'comments.author', select: 'username profile.firstName profile.lastName' },
     { path: 'activityLog.user', select: 'username' }
   ]);
@@ -297,22 +507,189 @@ const updateTask = asyncHandler(async (req, res) => {
     });
   }
 
-  // 记录变更
+  // 校验依赖设置（存在性与环检测）
+  if (Array.isArray(updateData.dependencies)) {
+    const validation = await taskDependencyService.validateDependencies(task._id, updateData.dependencies, userId, task.dependencies);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.message,
+        data: validation.cycle ? { cycle: validation.cycle } : undefined
+      });
+    }
+  }
+
+  // 校验自定义字段（只合并请求中提供的字段，空值表示清除）
+  let customFieldValues = null;
+  if (updateData.customFields !== undefined) {
+    const fieldDefinitions = await customFieldService.getDefinitions({ includeInactive: true });
+    customFieldValues = await customFieldService.validateValues(fieldDefinitions, updateData.customFields, task.customFields);
+    if (customFieldValues.error) {
+      return res.status(400).json({
+        success: false,
+        message: customFieldValues.error
+      });
+    }
+  }
+
+  // 项目可置空（null 或空字符串表示取消关联）
+  let projectRef = null;
+  if (updateData.project !== undefined) {
+    projectRef = await projectService.resolveProject(updateData.project, req.user);
+    if (projectRef.error) {
+      return res.status(400).json({
+        success: false,
+        message: projectRef.error
+      });
+    }
+  }
+
+  // 重复任务的修改范围：this 仅当前实例，future 当前及后续实例
+  const recurrenceScope = updateData.recurrenceScope === 'future' ? 'future' : 'this';
+  const previousDueDate = task.dueDate;
+  const before = taskHistoryService.snapshot(task);
+
+  // 记录变更（可追踪字段的变更由快照对比得出）
   const changes = [];
-  const allowedFields = ['title', 'description', 'status', 'priority', 'dueDate', 'progress', 'tags'];
-  
+  const seriesUpdates = {};
+  const allowedFields = [
+    'title', 'description', 'status', 'priority', 'category',
+    'startDate', 'dueDate', 'progress', 'estimatedHours', 'tags'
+  ];
+
   allowedFields.forEach(field => {
     if (updateData[field] !== undefined && updateData[field] !== task[field]) {
-      changes.push(`${field}: ${task[field]} -> ${updateData[field]}`);
       task[field] = updateData[field];
+      if (!['status', 'progress', 'startDate', 'dueDate'].includes(field)) {
+        seriesUpdates[field] = task[field];
+      }
     }
   });
 
-  await task.save();
+  // 负责人可置空（null 或空字符串表示取消分配）
+  if (updateData.assignedTo !== undefined) {
+    const assignee = updateData.assignedTo?._id || updateData.assignedTo || undefined;
+    if ((assignee || '').toString() !== (task.assignedTo || '').toString()) {
+      task.assignedTo = assignee;
+      seriesUpdates.assignedTo = task.assignedTo;
+    }
+  }
 
-  // 添加活动日志
-  if (changes.length > 0) {
-    await task.addActivityLog('updated', userId, `更新字段: ${changes.join(', ')}`);
+  if (projectRef && (projectRef.project?._id || '').toString() !== (task.project || '').toString()) {
+    task.project = projectRef.project?._id || null;
+    seriesUpdates.project = task.project;
+  }
+
+  if (customFieldValues) {
+    task.customFields = customFieldValues.values;
+  }
+
+  // 子任务整体替换：带 _id 的保留原有子任务（含规划来源和时间块），其余新建
+  if (Array.isArray(updateData.subtasks)) {
+    task.subtasks = updateData.subtasks
+      .filter(subtask => subtask && subtask.title)
+      .map(subtask => {
+        const existing = subtask._id ? task.subtasks.id(subtask._id) : null;
+        const completed = !!subtask.completed;
+        const base = existing ? existing.toObject() : {};
+        return {
+          ...base,
+          title: subtask.title,
+          completed,
+          completedAt: completed ? (base.completed ? base.completedAt : new Date()) : undefined
+        };
+      });
+    task.calculateProgress();
+  }
+
+  const dueDateShift = previousDueDate && task.dueDate
+    ? task.dueDate.getTime() - previousDueDate.getTime()
+    : 0;
+
+  let ruleChanged = false;
+  if (updateData.recurring && typeof updateData.recurring === 'object') {
+    ['isRecurring', 'frequency', 'interval', 'endDate'].forEach(field => {
+      const value = updateData.recurring[field];
+      if (value === undefined) return;
+      const current = task.recurring?.[field];
+      const same = current instanceof Date
+        ? value && current.getTime() === new Date(value).getTime()
+        : current === value;
+      if (!same) {
+        changes.push(`recurring.${field}: ${current} -> ${value}`);
+        task.set(`recurring.${field}`, value);
+        ruleChanged = true;
+      }
+    });
+
+    if (task.recurring.isRecurring && !recurringTaskService.getNextOccurrenceDate(new Date(), task.recurring.frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: '请提供有效的重复频率'
+      });
+    }
+  }
+
+  if (Array.isArray(updateData.reminders)) {
+    task.setCustomReminders(updateData.reminders);
+    changes.push(`reminders: ${updateData.reminders.length}个自定义提醒`);
+  }
+
+  const isSeriesMember = !!task.recurring?.seriesId;
+  const hasSeriesChanges = Object.keys(seriesUpdates).length > 0 || dueDateShift !== 0;
+  if (isSeriesMember && recurrenceScope === 'this' && hasSeriesChanges) {
+    task.recurring.isException = true;
+  }
+
+  if (Array.isArray(updateData.dependencies)) {
+    const after = [...new Set(updateData.dependencies.map(dep => dep.toString()))].sort();
+    if (before.dependencies.join(',') !== after.join(',')) {
+      task.dependencies = after;
+    }
+  }
+
+  // 描述中新增的@提及用户自动关注任务
+  let descriptionMentions = [];
+  if (before.description !== (task.description ?? null)) {
+    const previous = new Set((await taskWatcherService.resolveMentions(before.description)).map(user => user._id.toString()));
+    descriptionMentions = (await taskWatcherService.resolveMentions(task.description))
+      .filter(user => !previous.has(user._id.toString()));
+    task.addWatchers(descriptionMentions);
+  }
+
+  // 按保存后的最终状态检查前置任务，再保存并记录字段历史
+  const result = await taskCompletionService.save(task, userId, {
+    before,
+    details: fields => `更新字段: ${fields.join(', ')}`,
+    notes: changes
+  });
+
+  if (result.error) {
+    return res.status(400).json({
+      success: false,
+      message: result.error,
+      data: result.blockingTasks ? { blockingTasks: result.blockingTasks } : undefined
+    });
+  }
+
+  const { fieldChanges, nextOccurrence } = result;
+
+  // 通知描述中新@提及的用户
+  taskWatcherService.notifyDescriptionMentions(task, descriptionMentions, userId)
+    .catch(error => console.error('发送任务变更通知失败:', error));
+
+  // 同步到后续实例（规则变化总是作用于当前及后续实例）
+  let affectedOccurrences = 0;
+  if (isSeriesMember && ((recurrenceScope === 'future' && hasSeriesChanges) || ruleChanged)) {
+    affectedOccurrences = await recurringTaskService.applyToFutureOccurrences(
+      task,
+      recurrenceScope === 'future' ? seriesUpdates : {},
+      {
+        dueDateShift: recurrenceScope === 'future' ? dueDateShift : 0,
+        ruleChanged,
+        userId
+      }
+    );
   }
 
   await task.populate([
@@ -320,10 +697,14 @@ const updateTask = asyncHandler(async (req, res) => {
     { path: 'assignedTo', select: 'username profile.firstName profile.lastName' }
   ]);
 
+  const capacityWarning = fieldChanges.some(change => CAPACITY_FIELDS.includes(change.field))
+    ? await getCapacityWarning(task, userId)
+    : null;
+
   res.status(200).json({
     success: true,
     message: '任务更新成功',
-    data: { task }
+    data: { task, nextOccurrence, affectedOccurrences, capacityWarning }
   });
 });
 
@@ -356,6 +737,48 @@ const deleteTask = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * 批量修改或删除任务
+ * @route   PATCH /api/tasks/bulk
+ * @access  Private
+ */
+const bulkUpdateTasks = asyncHandler(async (req, res) => {
+  const { ids, filter, action = 'update', changes, atomic = true } = req.body;
+
+  const result = await taskBulkService.execute(req.user.id, {
+    ids,
+    filter,
+    action,
+    changes,
+    atomic: atomic !== false
+  });
+
+  if (result.error) {
+    return res.status(400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  const { summary, results, applied } = result;
+
+  if (!applied) {
+    return res.status(400).json({
+      success: false,
+      message: `${summary.failed}个任务无法操作，本次批量操作未执行`,
+      data: { applied, summary, results }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: summary.failed > 0
+      ? `批量操作完成：成功${summary.succeeded}个，失败${summary.failed}个`
+      : `批量操作完成：共${summary.succeeded}个任务`,
+    data: { applied, summary, results }
+  });
+});
+
 /**
  * 获取用户任务统计
  * @route   GET /api/tasks/stats
@@ -385,12 +808,23 @@ const getTaskStats = asyncHandler(async (req, res) => {
     status: { $nin: ['completed', 'cancelled'] }
   }).select('title dueDate priority').sort({ dueDate: 1 }).limit(5);
 
+  // 自定义字段汇总（单选、多选按选项计数，数字求和）
+  const fieldDefinitions = await customFieldService.getDefinitions();
+  let customFields = [];
+  if (fieldDefinitions.length > 0) {
+    const fieldTasks = await Task.find({
+      $or: [{ createdBy: userId }, { assignedTo: userId }]
+    }).select('status customFields');
+    customFields = customFieldService.summarize(fieldDefinitions, fieldTasks);
+  }
+
   res.status(200).json({
     success: true,
     data: {
       ...stats,
       thisMonth: thisMonthTasks,
-      upcomingDeadlines: upcomingTasks
+      upcomingDeadlines: upcomingTasks,
+      customFields
     }
   });
 });
@@ -416,7 +850,8 @@ const addTaskComment = asyncHandler(async (req, res) => {
     _id: taskId,
     $or: [
       { createdBy: userId },
-      { assignedTo: userId }
+      { assignedTo: userId },
+      { watchers: userId }
     ]
   });
 
@@ -427,15 +862,26 @@ const addTaskComment = asyncHandler(async (req, res) => {
     });
   }
 
+  // 被@提及的用户自动关注任务
+  const mentions = await taskWatcherService.resolveMentions(content);
   task.comments.push({
     author: userId,
-    content: content.trim()
+    content: content.trim(),
+    mentions: mentions.map(user => user._id)
   });
+  task.addWatchers(mentions);
 
   await task.save();
   await task.addActivityLog('commented', userId, '添加了评论');
 
-  await task.populate('comments.author', 'username profile.firstName profile.lastName');
+  const comment = task.comments[task.comments.length - 1];
+  taskWatcherService.notifyComment(task, comment, userId)
+    .catch(error => console.error('发送评论通知失败:', error));
+
+  await task.populate([
+    { path: 'comments.author', select: 'username profile.firstName profile.lastName' },
+    { path: 'comments.mentions', select: 'username profile.firstName profile.lastName' }
+  ]);
 
   res.status(200).json({
     success: true,
@@ -447,76 +893,285 @@ const addTaskComment = asyncHandler(async (req, res) => {
 });
 
 /**
- * 为特定任务生成AI执行计划
- * @route   POST /api/tasks/:id/generate-plans
+ * 添加任务关注者（默认关注者为当前用户）
+ * @route   POST /api/tasks/:id/watchers
  * @access  Private
  */
-const generateTaskExecutionPlans = asyncHandler(async (req, res) => {
-  const taskId = req.params.id;
-  
-  try {
-    // 获取任务信息
-    const task = await Task.findById(taskId);
-    if (!task) {
-      return res.status(404).json({
-        success: false,
-        message: '任务不存在'
-      });
-    }
-
-    // 检查权限——任务创建者或分配者可以生成计划
-    if (task.createdBy.toString() !== req.user.id && 
-        task.assignedTo && task.assignedTo.toString() !== req.user.id) {
-      return res.status(403).json({
-        success: false,
-        message: '无权为这个任务生成计划'
-      });
-    }
+const addTaskWatchers = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const userIds = Array.isArray(req.body.userIds) && req.body.userIds.length > 0
+    ? req.body.userIds
+    : [userId];
 
-    // 获取用户职位信息
-    const user = await User.findById(req.user.id);
-    const userPosition = user.profile?.position || '员工';
-    
-    // 构建任务描述
-    const taskDescription = `${task.title}: ${task.description}`;
-    
-    // 调用AI服务生成规划
-    const aiPlans = await aiService.generateTaskPlanning(
-      taskDescription,
-      userPosition,
-      task.dueDate
-    );
+  const task = await Task.findOne({
+    _id: req.params.id,
+    $or: [
+      { createdBy: userId },
+      { assignedTo: userId },
+      { watchers: userId }
+    ]
+  });
 
-    if (!aiPlans || aiPlans.length === 0) {
-      return res.status(500).json({
-        success: false,
-        message: 'AI规划生成失败，请稍后重试'
-      });
-    }
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: '任务不存在或无权限访问'
+    });
+  }
 
-    // 将AI生成的计划转换为适合前端的格式
-    const executionPlans = aiPlans.map(plan => ({
-      planName: plan.title,
-      description: plan.content,
-      estimatedTime: '根据计划而定',
-      resources: ['团队成员', '必要工具'],
-      steps: plan.content.includes('\n-') ? 
-        plan.content.split('\n-').slice(1).map(step => step.trim()) : 
-        ['执行计划中的步骤']
-    }));
+  const users = await User.find({ _id: { $in: userIds } }).select('_id');
+  if (users.length !== new Set(userIds.map(id => id.toString())).size) {
+    return res.status(400).json({
+      success: false,
+      message: '部分用户不存在'
+    });
+  }
 
-    // 更新任务记录中的执行计划
-    task.executionPlans = executionPlans;
+  const added = task.addWatchers(users.map(user => user._id));
+  if (added.length > 0) {
     await task.save();
+    await task.addActivityLog('watched', userId, `添加了${added.length}位关注者`);
+  }
 
-    // 记录活动日志
-    await task.addActivityLog('ai_planning', req.user.id, `AI生成了${executionPlans.length}个执行计划`);
+  await task.populate('watchers', 'username profile.firstName profile.lastName');
 
-    res.status(200).json({
-      success: true,
-      message: `成功生成${executionPlans.length}个执行计划`,
-      executionPlans,
+  res.status(200).json({
+    success: true,
+    message: '关注者已更新',
+    data: { watchers: task.watchers }
+  });
+});
+
+/**
+ * 移除任务关注者（本人可取消关注，任务创建者可移除任何关注者）
+ * @route   DELETE /api/tasks/:id/watchers/:userId
+ * @access  Private
+ */
+const removeTaskWatcher = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const watcherId = req.params.userId === 'me' ? userId : req.params.userId;
+
+  const task = await Task.findOne({
+    _id: req.params.id,
+    $or: [
+      { createdBy: userId },
+      { assignedTo: userId },
+      { watchers: userId }
+    ]
+  });
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: '任务不存在或无权限访问'
+    });
+  }
+
+  if (watcherId !== userId && task.createdBy.toString() !== userId) {
+    return res.status(403).json({
+      success: false,
+      message: '只有任务创建者可以移除其他关注者'
+    });
+  }
+
+  const before = task.watchers.length;
+  task.watchers = task.watchers.filter(id => id.toString() !== watcherId);
+  if (task.watchers.length !== before) {
+    await task.save();
+    await task.addActivityLog('unwatched', userId, watcherId === userId ? '取消关注任务' : '移除了关注者');
+  }
+
+  await task.populate('watchers', 'username profile.firstName profile.lastName');
+
+  res.status(200).json({
+    success: true,
+    message: '关注者已更新',
+    data: { watchers: task.watchers }
+  });
+});
+
+/**
+ * 获取任务变更历史
+ * @route   GET /api/tasks/:id/history
+ * @access  Private
+ */
+const getTaskHistory = asyncHandler(async (req, res) => {
+  const task = await Task.findOne({
+    _id: req.params.id,
+    $or: [
+      { createdBy: req.user.id },
+      { assignedTo: req.user.id },
+      { watchers: req.user.id }
+    ]
+  }).populate('activityLog.user', 'username profile.firstName profile.lastName');
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: '任务不存在或无权限访问'
+    });
+  }
+
+  const history = await taskHistoryService.buildTimeline(task, { field: req.query.field });
+
+  res.status(200).json({
+    success: true,
+    data: { history }
+  });
+});
+
+/**
+ * 撤销单个字段的变更
+ * @route   POST /api/tasks/:id/history/:entryId/revert
+ * @access  Private
+ */
+const revertTaskChange = asyncHandler(async (req, res) => {
+  const { field } = req.body;
+  const userId = req.user.id;
+
+  const task = await Task.findOne({
+    _id: req.params.id,
+    $or: [
+      { createdBy: userId },
+      { assignedTo: userId }
+    ]
+  });
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: '任务不存在或无权限访问'
+    });
+  }
+
+  const entry = task.activityLog.id(req.params.entryId);
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: '未找到该变更记录'
+    });
+  }
+
+  const change = entry.changes.find(item => item.field === field);
+  if (!change) {
+    return res.status(400).json({
+      success: false,
+      message: '该记录中没有此字段的变更'
+    });
+  }
+
+  const blocker = taskHistoryService.getRevertBlocker(task, change);
+  if (blocker) {
+    return res.status(400).json({
+      success: false,
+      message: blocker
+    });
+  }
+
+  // 恢复的状态同样需要前置任务全部完成
+  const before = taskHistoryService.snapshot(task);
+  taskHistoryService.applyRevert(task, change, entry);
+  const result = await taskCompletionService.save(task, userId, {
+    before,
+    action: 'reverted',
+    details: `撤销字段变更: ${field}`,
+    revertOf: entry._id
+  });
+
+  if (result.error) {
+    return res.status(400).json({
+      success: false,
+      message: result.error,
+      data: result.blockingTasks ? { blockingTasks: result.blockingTasks } : undefined
+    });
+  }
+
+  const { nextOccurrence } = result;
+
+  res.status(200).json({
+    success: true,
+    message: '变更已撤销',
+    data: { task, nextOccurrence }
+  });
+});
+
+/**
+ * 为特定任务生成AI执行计划
+ * @route   POST /api/tasks/:id/generate-plans
+ * @access  Private
+ */
+const generateTaskExecutionPlans = asyncHandler(async (req, res) => {
+  const taskId = req.params.id;
+  
+  try {
+    // 获取任务信息
+    const task = await Task.findById(taskId);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: '任务不存在'
+      });
+    }
+
+    // 检查权限——任务创建者或分配者可以生成计划
+    if (task.createdBy.toString() !== req.user.id && 
+        task.assignedTo && task.assignedTo.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: '无权为这个任务生成计划'
+      });
+    }
+
+    // 获取用户职位信息
+    const user = await User.findById(req.user.id);
+    const userPosition = user.profile?.position || '员工';
+    
+    // 构建任务描述
+    const taskDescription = `${task.title}: ${task.description}`;
+
+    // 按历史估时偏差校准时间估算
+    const estimateBias = await taskAnalyticsService.getEstimateBias(req.user.id, task.category);
+    
+    // 调用AI服务生成规划
+    const aiPlans = await aiService.generateTaskPlanning(
+      taskDescription,
+      userPosition,
+      task.dueDate,
+      { estimateBias }
+    );
+
+    if (!aiPlans || aiPlans.length === 0) {
+      return res.status(500).json({
+        success: false,
+        message: 'AI规划生成失败，请稍后重试'
+      });
+    }
+
+    // 将AI生成的计划转换为适合前端的格式
+    const executionPlans = aiPlans.map(plan => {
+      const steps = taskPlanService.extractPlanSteps(plan);
+      return {
+        planName: plan.title,
+        description: plan.content,
+        estimatedTime: '根据计划而定',
+        resources: ['团队成员', '必要工具'],
+        steps: steps.length > 0 ? steps : ['执行计划中的步骤']
+      };
+    });
+
+    // 更新任务记录中的执行计划
+    task.executionPlans = executionPlans;
+    await task.save();
+
+    // 记录活动日志
+    await task.addActivityLog('ai_planning', req.user.id, `AI生成了${executionPlans.length}个执行计划`);
+
+    res.status(200).json({
+      success: true,
+      message: `成功生成${executionPlans.length}个执行计划`,
+      executionPlans,
       taskId: task._id,
+      estimateBias,
       generatedAt: new Date()
     });
 
@@ -529,15 +1184,1320 @@ const generateTaskExecutionPlans = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * 采用规划方案：将步骤转换为子任务，可选地安排日历时间块
+ * @route   POST /api/tasks/:id/commit-plan
+ * @access  Private
+ */
+const commitTaskPlan = asyncHandler(async (req, res) => {
+  const { planId, planIndex, schedule = false, hoursPerStep } = req.body;
+
+  const task = await Task.findOne({
+    _id: req.params.id,
+    $or: [
+      { createdBy: req.user.id },
+      { assignedTo: req.user.id }
+    ]
+  });
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: '任务不存在或无权限访问'
+    });
+  }
+
+  const plan = taskPlanService.resolvePlan(task, { planId, planIndex });
+  if (!plan) {
+    return res.status(404).json({
+      success: false,
+      message: '未找到指定的规划方案'
+    });
+  }
+
+  if (plan.steps.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: '规划方案中没有可执行的步骤'
+    });
+  }
+
+  if (hoursPerStep !== undefined && !(Number(hoursPerStep) > 0 && Number(hoursPerStep) <= 24)) {
+    return res.status(400).json({
+      success: false,
+      message: '每个步骤的工作量应在0到24小时之间'
+    });
+  }
+
+  const now = new Date();
+  if (schedule && task.dueDate && task.dueDate <= now) {
+    return res.status(400).json({
+      success: false,
+      message: '任务已过截止时间，无法安排时间块'
+    });
+  }
+
+  // 按预估工时安排时间块时，用历史估时偏差校准
+  const estimateBias = schedule && hoursPerStep === undefined && task.estimatedHours > 0
+    ? await taskAnalyticsService.getEstimateBias(req.user.id, task.category)
+    : null;
+
+  const before = taskHistoryService.snapshot(task);
+  const { subtasks, events, unscheduled } = await taskPlanService.commitPlan(task, req.user.id, plan, {
+    schedule: Boolean(schedule),
+    hoursPerStep: hoursPerStep !== undefined ? Number(hoursPerStep) : undefined,
+    estimateRatio: estimateBias?.ratio,
+    now
+  });
+
+  await task.addActivityLog(
+    'ai_planning',
+    req.user.id,
+    `采用规划方案"${plan.title || plan.planId}"，生成${subtasks.length}个子任务` +
+      (schedule ? `，安排${events.length}个时间块` : ''),
+    { changes: taskHistoryService.diff(before, taskHistoryService.snapshot(task)) }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: unscheduled.length > 0
+      ? `方案已采用，${unscheduled.length}个步骤因空闲时间不足未安排`
+      : '方案已采用',
+    data: {
+      task,
+      subtasks,
+      events,
+      unscheduled,
+      estimateBias
+    }
+  });
+});
+
+/**
+ * 获取任务上下游依赖图
+ * @route   GET /api/tasks/:id/dependency-graph
+ * @access  Private
+ */
+const getDependencyGraph = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const task = await Task.findOne({
+    _id: req.params.id,
+    $or: [
+      { createdBy: userId },
+      { assignedTo: userId }
+    ]
+  }).select('title status priority dueDate estimatedHours progress assignedTo dependencies');
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: '任务未找到或无权访问'
+    });
+  }
+
+  const graph = await taskDependencyService.buildDependencyGraph(task, userId);
+  const blockingTasks = await taskDependencyService.getOpenDependencies(task, userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      taskId: task._id,
+      ...graph,
+      isBlocked: blockingTasks.length > 0,
+      blockingTasks
+    }
+  });
+});
+
+/**
+ * 获取用户任务关键路径
+ * @route   GET /api/tasks/critical-path
+ * @access  Private
+ */
+const getCriticalPath = asyncHandler(async (req, res) => {
+  const result = await taskDependencyService.calculateCriticalPath(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * 开始任务计时
+ * @route   POST /api/tasks/:id/timer/start
+ * @access  Private
+ */
+const startTaskTimer = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const task = await Task.findOne({
+    _id: req.params.id,
+    $or: [
+      { createdBy: userId },
+      { assignedTo: userId }
+    ]
+  });
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: '任务未找到或无权访问'
+    });
+  }
+
+  if (['completed', 'cancelled'].includes(task.status)) {
+    return res.status(400).json({
+      success: false,
+      message: '已完成或已取消的任务无法计时'
+    });
+  }
+
+  const entry = await timeTrackingService.startTimer(userId, task._id);
+
+  res.status(200).json({
+    success: true,
+    message: '计时已开始',
+    data: { entry }
+  });
+});
+
+/**
+ * 暂停任务计时
+ * @route   POST /api/tasks/:id/timer/pause
+ * @access  Private
+ */
+const pauseTaskTimer = asyncHandler(async (req, res) => {
+  const entry = await timeTrackingService.pauseTimer(req.user.id, req.params.id);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: '该任务没有进行中的计时'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: '计时已暂停',
+    data: { entry }
+  });
+});
+
+/**
+ * 结束任务计时
+ * @route   POST /api/tasks/:id/timer/stop
+ * @access  Private
+ */
+const stopTaskTimer = asyncHandler(async (req, res) => {
+  const entry = await timeTrackingService.stopTimer(req.user.id, req.params.id, req.body.note);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: '该任务没有未结束的计时'
+    });
+  }
+
+  const task = await Task.findById(req.params.id).select('title actualHours estimatedHours');
+
+  res.status(200).json({
+    success: true,
+    message: '计时已结束',
+    data: { entry, actualHours: task?.actualHours || 0 }
+  });
+});
+
+/**
+ * 获取当前用户未结束的计时
+ * @route   GET /api/tasks/timers/active
+ * @access  Private
+ */
+const getActiveTimers = asyncHandler(async (req, res) => {
+  const timers = await timeTrackingService.getActiveTimers(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { timers }
+  });
+});
+
+/**
+ * 获取任务计时记录
+ * @route   GET /api/tasks/:id/time-entries
+ * @access  Private
+ */
+const getTaskTimeEntries = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const task = await Task.findOne({
+    _id: req.params.id,
+    $or: [
+      { createdBy: userId },
+      { assignedTo: userId }
+    ]
+  }).select('title actualHours estimatedHours');
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: '任务未找到或无权访问'
+    });
+  }
+
+  const entries = await TimeEntry.find({ task: task._id })
+    .populate('user', 'username profile.firstName profile.lastName')
+    .sort({ startedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      task,
+      entries
+    }
+  });
+});
+
+/**
+ * 获取工时表（支持导出CSV/XLSX）
+ * @route   GET /api/tasks/timesheet
+ * @access  Private
+ */
+const getTimesheet = asyncHandler(async (req, res) => {
+  const { from, to, groupBy = 'day', format = 'json' } = req.query;
+
+  if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+    return res.status(400).json({
+      success: false,
+      message: '请提供有效的日期范围'
+    });
+  }
+
+  const timesheet = await timeTrackingService.buildTimesheet(req.user.id, { from, to, groupBy });
+  const filename = `timesheet-${timeTrackingService.formatDate(timesheet.from)}-${timeTrackingService.formatDate(timesheet.to)}`;
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.status(200).send(timeTrackingService.toCsv(timesheet));
+  }
+
+  if (format === 'xlsx') {
+    const buffer = await timeTrackingService.toXlsx(timesheet);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    return res.status(200).send(buffer);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: timesheet
+  });
+});
+
+/**
+ * 获取可用的任务视图（内置、自己的、共享给自己的）
+ * @route   GET /api/tasks/views
+ * @access  Private
+ */
+const getTaskViews = asyncHandler(async (req, res) => {
+  const views = await taskViewService.listViews(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: views
+  });
+});
+
+/**
+ * 保存任务视图
+ * @route   POST /api/tasks/views
+ * @access  Private
+ */
+const createTaskView = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { data, error } = taskViewService.normalizeView(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  if (await TaskView.exists({ owner: userId, name: data.name })) {
+    return res.status(400).json({
+      success: false,
+      message: '已存在同名视图'
+    });
+  }
+
+  if (req.body.sharedWith !== undefined) {
+    const shared = await taskViewService.resolveSharedUsers(req.body.sharedWith, userId);
+    if (shared.error) {
+      return res.status(400).json({
+        success: false,
+        message: shared.error
+      });
+    }
+    data.sharedWith = shared.ids;
+  }
+
+  const view = await TaskView.create({ ...data, owner: userId });
+
+  res.status(201).json({
+    success: true,
+    message: '视图保存成功',
+    data: { view }
+  });
+});
+
+/**
+ * 更新任务视图（仅视图所有者）
+ * @route   PUT /api/tasks/views/:viewId
+ * @access  Private
+ */
+const updateTaskView = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const view = await TaskView.findOne({ _id: req.params.viewId, owner: userId });
+
+  if (!view) {
+    return res.status(404).json({
+      success: false,
+      message: '视图不存在或无权限修改'
+    });
+  }
+
+  const { data, error } = taskViewService.normalizeView(req.body, true);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  if (data.name && data.name !== view.name &&
+      await TaskView.exists({ owner: userId, name: data.name, _id: { $ne: view._id } })) {
+    return res.status(400).json({
+      success: false,
+      message: '已存在同名视图'
+    });
+  }
+
+  if (req.body.sharedWith !== undefined) {
+    const shared = await taskViewService.resolveSharedUsers(req.body.sharedWith, userId);
+    if (shared.error) {
+      return res.status(400).json({
+        success: false,
+        message: shared.error
+      });
+    }
+    data.sharedWith = shared.ids;
+  }
+
+  view.set(data);
+  await view.save();
+
+  res.status(200).json({
+    success: true,
+    message: '视图更新成功',
+    data: { view }
+  });
+});
+
+/**
+ * 删除任务视图（仅视图所有者）
+ * @route   DELETE /api/tasks/views/:viewId
+ * @access  Private
+ */
+const deleteTaskView = asyncHandler(async (req, res) => {
+  const view = await TaskView.findOneAndDelete({ _id: req.params.viewId, owner: req.user.id });
+
+  if (!view) {
+    return res.status(404).json({
+      success: false,
+      message: '视图不存在或无权限删除'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: '视图删除成功'
+  });
+});
+
+/**
+ * 按视图获取任务（筛选中的"我"按当前用户解析）
+ * @route   GET /api/tasks/views/:viewId/tasks
+ * @access  Private
+ */
+const getTaskViewTasks = asyncHandler(async (req, res) => {
+  const view = await taskViewService.getView(req.user.id, req.params.viewId);
+
+  if (!view) {
+    return res.status(404).json({
+      success: false,
+      message: '视图不存在或无权限访问'
+    });
+  }
+
+  const result = await taskViewService.runView(req.user.id, view);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      view,
+      ...result
+    }
+  });
+});
+
+// 升级规则可由管理员修改的字段
+const ESCALATION_POLICY_FIELDS = ['name', 'description', 'enabled', 'scope', 'steps'];
+
+/**
+ * 校验升级规则适用范围中的项目（按项目ID限定）
+ * @returns {Promise<string|null>} 错误信息
+ */
+const validateEscalationScope = async (scope) => {
+  const projects = scope?.projects;
+  if (projects === undefined) return null;
+  if (!Array.isArray(projects)) return '适用项目格式无效';
+
+  const ids = [...new Set(projects.map(project => String(project)))];
+  if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) return '适用项目ID无效';
+  if (ids.length > 0 && await Project.countDocuments({ _id: { $in: ids } }) !== ids.length) {
+    return '适用项目不存在';
+  }
+  return null;
+};
+
+/**
+ * 获取任务逾期升级规则
+ * @route   GET /api/tasks/escalation-policies
+ * @access  Private/Admin
+ */
+const getEscalationPolicies = asyncHandler(async (req, res) => {
+  const policies = await EscalationPolicy.find()
+    .populate('scope.projects', 'name')
+    .populate('updatedBy', 'username profile.firstName profile.lastName')
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: { policies }
+  });
+});
+
+/**
+ * 创建任务逾期升级规则
+ * @route   POST /api/tasks/escalation-policies
+ * @access  Private/Admin
+ */
+const createEscalationPolicy = asyncHandler(async (req, res) => {
+  const scopeError = await validateEscalationScope(req.body.scope);
+  if (scopeError) {
+    return res.status(400).json({
+      success: false,
+      message: scopeError
+    });
+  }
+
+  const data = {};
+  ESCALATION_POLICY_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+
+  const policy = await EscalationPolicy.create({
+    ...data,
+    createdBy: req.user.id,
+    updatedBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: '升级规则创建成功',
+    data: { policy }
+  });
+});
+
+/**
+ * 更新任务逾期升级规则
+ * @route   PUT /api/tasks/escalation-policies/:policyId
+ * @access  Private/Admin
+ */
+const updateEscalationPolicy = asyncHandler(async (req, res) => {
+  const policy = await EscalationPolicy.findById(req.params.policyId);
+
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: '升级规则不存在'
+    });
+  }
+
+  const scopeError = await validateEscalationScope(req.body.scope);
+  if (scopeError) {
+    return res.status(400).json({
+      success: false,
+      message: scopeError
+    });
+  }
+
+  ESCALATION_POLICY_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) policy[field] = req.body[field];
+  });
+  policy.updatedBy = req.user.id;
+  await policy.save();
+
+  res.status(200).json({
+    success: true,
+    message: '升级规则更新成功',
+    data: { policy }
+  });
+});
+
+/**
+ * 删除任务逾期升级规则
+ * @route   DELETE /api/tasks/escalation-policies/:policyId
+ * @access  Private/Admin
+ */
+const deleteEscalationPolicy = asyncHandler(async (req, res) => {
+  const policy = await EscalationPolicy.findByIdAndDelete(req.params.policyId);
+
+  if (!policy) {
+    return res.status(404).json({
+      success: false,
+      message: '升级规则不存在'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: '升级规则删除成功'
+  });
+});
+
+/**
+ * 获取任务看板
+ * @route   GET /api/tasks/board
+ * @access  Private
+ */
+const getTaskBoard = asyncHandler(async (req, res) => {
+  const { groupBy = 'status', viewId } = req.query;
+  const userId = req.user.id;
+
+  let filter = null;
+  if (viewId) {
+    const view = await taskViewService.getView(userId, viewId);
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: '视图不存在或无权限访问'
+      });
+    }
+    filter = view.filter;
+  }
+
+  const board = await taskBoardService.buildBoard(userId, groupBy, filter);
+  if (board.error) {
+    return res.status(400).json({
+      success: false,
+      message: board.error
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: board
+  });
+});
+
+/**
+ * 看板拖拽移动任务（同时更新所在列对应的字段和列内排序）
+ * @route   PATCH /api/tasks/board/move
+ * @access  Private
+ */
+const moveBoardTask = asyncHandler(async (req, res) => {
+  const { taskId, groupBy = 'status', to, prevTaskId, nextTaskId } = req.body;
+  const userId = req.user.id;
+
+  const task = await Task.findOne({
+    _id: taskId,
+    $or: [
+      { createdBy: userId },
+      { assignedTo: userId }
+    ]
+  });
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: '任务未找到或无权限修改'
+    });
+  }
+
+  const plan = await taskBoardService.planMove(userId, task, { groupBy, to, prevTaskId, nextTaskId });
+  if (plan.error) {
+    return res.status(400).json({
+      success: false,
+      message: plan.error,
+      data: plan.data
+    });
+  }
+
+  const before = taskHistoryService.snapshot(task);
+
+  task.set(plan.field, plan.value);
+  task.boardRank = plan.rank;
+
+  const movedFields = taskHistoryService.diff(before, taskHistoryService.snapshot(task));
+  if (task.recurring?.seriesId && movedFields.some(change => !['status', 'progress'].includes(change.field))) {
+    task.recurring.isException = true;
+  }
+
+  const result = await taskCompletionService.save(task, userId, {
+    before,
+    action: 'moved',
+    details: fields => `看板移动: ${fields.join(', ')}`
+  });
+
+  if (result.error) {
+    return res.status(400).json({
+      success: false,
+      message: result.error,
+      data: result.blockingTasks ? { blockingTasks: result.blockingTasks } : undefined
+    });
+  }
+
+  const { nextOccurrence } = result;
+  const warning = await taskBoardService.getWipWarning(userId, groupBy, to);
+
+  await task.populate([
+    { path: 'createdBy', select: 'username profile.firstName profile.lastName' },
+    { path: 'assignedTo', select: 'username profile.firstName profile.lastName' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message: warning || '任务已移动',
+    data: { task, nextOccurrence, warning }
+  });
+});
+
+/**
+ * 设置看板列的在制品（WIP）上限
+ * @route   PUT /api/tasks/board/wip-limits
+ * @access  Private
+ */
+const updateBoardWipLimits = asyncHandler(async (req, res) => {
+  const { groupBy = 'status', limits } = req.body;
+  const result = await taskBoardService.updateWipLimits(req.user.id, groupBy, limits);
+
+  if (result.error) {
+    return res.status(400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: '在制品上限已更新',
+    data: { groupBy, wipLimits: result.wipLimits }
+  });
+});
+
+/**
+ * 获取任务时间线（甘特图）
+ * @route   GET /api/tasks/timeline
+ * @access  Private
+ */
+const getTaskTimeline = asyncHandler(async (req, res) => {
+  const { from, to, viewId } = req.query;
+  const userId = req.user.id;
+
+  const range = taskTimelineService.parseWindow(from, to);
+  if (range.error) {
+    return res.status(400).json({
+      success: false,
+      message: range.error
+    });
+  }
+
+  let filter = null;
+  if (viewId) {
+    const view = await taskViewService.getView(userId, viewId);
+    if (!view) {
+      return res.status(404).json({
+        success: false,
+        message: '视图不存在或无权限访问'
+      });
+    }
+    filter = view.filter;
+  }
+
+  const timeline = await taskTimelineService.buildTimeline(userId, { ...range, filter });
+
+  res.status(200).json({
+    success: true,
+    data: timeline
+  });
+});
+
+/**
+ * 调整任务排期（可同时顺延后续任务）
+ * @route   PATCH /api/tasks/:id/schedule
+ * @access  Private
+ */
+const rescheduleTask = asyncHandler(async (req, res) => {
+  const { startDate, dueDate, shiftDependents = false } = req.body;
+  const userId = req.user.id;
+
+  const task = await Task.findOne({
+    _id: req.params.id,
+    $or: [
+      { createdBy: userId },
+      { assignedTo: userId }
+    ]
+  });
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: '任务未找到或无权限修改'
+    });
+  }
+
+  const schedule = taskTimelineService.parseSchedule(task, { startDate, dueDate });
+  if (schedule.error) {
+    return res.status(400).json({
+      success: false,
+      message: schedule.error
+    });
+  }
+
+  const before = taskHistoryService.snapshot(task);
+  const shift = taskTimelineService.getShift(
+    { startDate: task.startDate, dueDate: task.dueDate },
+    schedule
+  );
+
+  task.startDate = schedule.startDate || undefined;
+  task.dueDate = schedule.dueDate || undefined;
+
+  const fieldChanges = taskHistoryService.diff(before, taskHistoryService.snapshot(task));
+  if (fieldChanges.length === 0) {
+    return res.status(200).json({
+      success: true,
+      message: '排期未变化',
+      data: { task, shifted: [], skipped: [] }
+    });
+  }
+
+  if (task.recurring?.seriesId) {
+    task.recurring.isException = true;
+  }
+
+  await task.save();
+  await task.addActivityLog(
+    'rescheduled',
+    userId,
+    `调整排期: ${fieldChanges.map(change => change.field).join(', ')}`,
+    { changes: fieldChanges }
+  );
+
+  taskWatcherService.notifyChanges(task, fieldChanges, userId)
+    .catch(error => console.error('发送任务变更通知失败:', error));
+
+  const { shifted, skipped } = shiftDependents
+    ? await taskTimelineService.shiftDependents(userId, task, shift)
+    : { shifted: [], skipped: [] };
+
+  res.status(200).json({
+    success: true,
+    message: shifted.length > 0 ? `排期已调整，${shifted.length}个后续任务已同步调整` : '排期已调整',
+    data: { task, shifted, skipped }
+  });
+});
+
+/**
+ * 获取任务模板（自己创建的和团队共享的）
+ * @route   GET /api/tasks/templates
+ * @access  Private
+ */
+const getTaskTemplates = asyncHandler(async (req, res) => {
+  const templates = await taskTemplateService.listTemplates(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: templates
+  });
+});
+
+/**
+ * 创建任务模板
+ * @route   POST /api/tasks/templates
+ * @access  Private
+ */
+const createTaskTemplate = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { data, error } = taskTemplateService.normalizeTemplate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  if (data.name && await TaskTemplate.exists({ owner: userId, name: data.name.trim() })) {
+    return res.status(400).json({
+      success: false,
+      message: '已存在同名模板'
+    });
+  }
+
+  const template = await TaskTemplate.create({ ...data, owner: userId });
+
+  res.status(201).json({
+    success: true,
+    message: '模板创建成功',
+    data: { template }
+  });
+});
+
+/**
+ * 更新任务模板（仅模板创建者）
+ * @route   PUT /api/tasks/templates/:templateId
+ * @access  Private
+ */
+const updateTaskTemplate = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const template = await TaskTemplate.findOne({ _id: req.params.templateId, owner: userId });
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: '模板不存在或无权限修改'
+    });
+  }
+
+  const { data, error } = taskTemplateService.normalizeTemplate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  if (
+    data.name &&
+    data.name.trim() !== template.name &&
+    await TaskTemplate.exists({ owner: userId, name: data.name.trim() })
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: '已存在同名模板'
+    });
+  }
+
+  template.set(data);
+  await template.save();
+
+  res.status(200).json({
+    success: true,
+    message: '模板更新成功',
+    data: { template }
+  });
+});
+
+/**
+ * 删除任务模板（仅模板创建者）
+ * @route   DELETE /api/tasks/templates/:templateId
+ * @access  Private
+ */
+const deleteTaskTemplate = asyncHandler(async (req, res) => {
+  const template = await TaskTemplate.findOneAndDelete({ _id: req.params.templateId, owner: req.user.id });
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: '模板不存在或无权限删除'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: '模板已删除'
+  });
+});
+
+/**
+ * 按模板创建任务
+ * @route   POST /api/tasks/templates/:templateId/instantiate
+ * @access  Private
+ */
+const instantiateTaskTemplate = asyncHandler(async (req, res) => {
+  const { baseDate, variables, assignedTo } = req.body;
+  const userId = req.user.id;
+
+  const template = await TaskTemplate.findOne({
+    _id: req.params.templateId,
+    ...taskTemplateService.getVisibleQuery(userId)
+  });
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      message: '模板不存在或无权限访问'
+    });
+  }
+
+  if (variables !== undefined && (typeof variables !== 'object' || Array.isArray(variables))) {
+    return res.status(400).json({
+      success: false,
+      message: '模板变量格式无效'
+    });
+  }
+
+  const user = await User.findById(userId).select('username profile.firstName profile.lastName');
+  const result = await taskTemplateService.instantiate(template, user, { baseDate, variables, assignedTo });
+  if (result.error) {
+    return res.status(400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  const { task } = result;
+
+  await task.populate([
+    { path: 'createdBy', select: 'username profile.firstName profile.lastName' },
+    { path: 'assignedTo', select: 'username profile.firstName profile.lastName' }
+  ]);
+
+  taskWatcherService.notifyCreated(task, userId, [])
+    .catch(error => console.error('发送任务创建通知失败:', error));
+
+  res.status(201).json({
+    success: true,
+    message: '任务创建成功',
+    data: { task }
+  });
+});
+
+/**
+ * 将任务的规划方案保存为模板
+ * @route   POST /api/tasks/:id/plan-template
+ * @access  Private
+ */
+const saveTaskPlanAsTemplate = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const task = await Task.findOne({
+    _id: req.params.id,
+    $or: [
+      { createdBy: userId },
+      { assignedTo: userId }
+    ]
+  });
+
+  if (!task) {
+    return res.status(404).json({
+      success: false,
+      message: '任务不存在或无权限访问'
+    });
+  }
+
+  const { data, error } = taskTemplateService.buildFromPlan(task, req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  if (await TaskTemplate.exists({ owner: userId, name: data.name })) {
+    return res.status(400).json({
+      success: false,
+      message: '已存在同名模板'
+    });
+  }
+
+  const template = await TaskTemplate.create({ ...data, owner: userId });
+
+  res.status(201).json({
+    success: true,
+    message: '规划方案已保存为模板',
+    data: { template }
+  });
+});
+
+/**
+ * 获取任务自定义字段定义
+ * @route   GET /api/tasks/custom-fields
+ * @access  Private
+ */
+const getCustomFields = asyncHandler(async (req, res) => {
+  const isAdmin = ['admin', 'super_admin'].includes(req.user.role);
+  const fields = await customFieldService.getDefinitions({
+    includeInactive: isAdmin && req.query.includeInactive === 'true'
+  });
+
+  res.status(200).json({
+    success: true,
+    data: { fields }
+  });
+});
+
+/**
+ * 创建任务自定义字段
+ * @route   POST /api/tasks/custom-fields
+ * @access  Private/Admin
+ */
+const createCustomField = asyncHandler(async (req, res) => {
+  const data = customFieldService.pickDefinitionFields(req.body, { isNew: true });
+
+  if (data.key && await CustomFieldDefinition.exists({ key: data.key })) {
+    return res.status(400).json({
+      success: false,
+      message: '字段标识已存在'
+    });
+  }
+
+  const field = await CustomFieldDefinition.create({
+    ...data,
+    createdBy: req.user.id,
+    updatedBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: '自定义字段创建成功',
+    data: { field }
+  });
+});
+
+/**
+ * 更新任务自定义字段（标识和类型不可修改）
+ * @route   PUT /api/tasks/custom-fields/:fieldId
+ * @access  Private/Admin
+ */
+const updateCustomField = asyncHandler(async (req, res) => {
+  const field = await CustomFieldDefinition.findById(req.params.fieldId);
+
+  if (!field) {
+    return res.status(404).json({
+      success: false,
+      message: '自定义字段不存在'
+    });
+  }
+
+  Object.assign(field, customFieldService.pickDefinitionFields(req.body));
+  field.updatedBy = req.user.id;
+  await field.save();
+
+  res.status(200).json({
+    success: true,
+    message: '自定义字段更新成功',
+    data: { field }
+  });
+});
+
+/**
+ * 删除任务自定义字段（同时清除任务上的字段值，仅需隐藏时请停用）
+ * @route   DELETE /api/tasks/custom-fields/:fieldId
+ * @access  Private/Admin
+ */
+const deleteCustomField = asyncHandler(async (req, res) => {
+  const field = await CustomFieldDefinition.findByIdAndDelete(req.params.fieldId);
+
+  if (!field) {
+    return res.status(404).json({
+      success: false,
+      message: '自定义字段不存在'
+    });
+  }
+
+  const result = await Task.updateMany(
+    { [`customFields.${field.key}`]: { $exists: true } },
+    { $unset: { [`customFields.${field.key}`]: '' } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: '自定义字段删除成功',
+    data: { clearedTasks: result.modifiedCount || 0 }
+  });
+});
+
+/**
+ * 获取团队工作负载（按周比较剩余预估工时与日历空闲时间）
+ * @route   GET /api/tasks/capacity
+ * @access  Private
+ */
+const getTaskCapacity = asyncHandler(async (req, res) => {
+  const { weeks, error } = capacityService.parseRange(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  // 只能查看自己和分配过任务的成员，管理员可查看任意用户
+  let memberIds;
+  if (req.query.users) {
+    memberIds = String(req.query.users).split(',').map(id => id.trim()).filter(Boolean);
+    if (!['admin', 'super_admin'].includes(req.user.role)) {
+      const teamIds = new Set(await capacityService.getTeamMemberIds(req.user.id));
+      if (memberIds.some(id => !teamIds.has(id))) {
+        return res.status(403).json({
+          success: false,
+          message: '只能查看自己和分配过任务的成员的负载'
+        });
+      }
+    }
+  }
+
+  const capacity = await capacityService.getTeamCapacity(req.user.id, weeks, memberIds);
+
+  res.status(200).json({
+    success: true,
+    data: capacity
+  });
+});
+
+/**
+ * 分配任务前检查负责人负载
+ * @route   POST /api/tasks/capacity/check
+ * @access  Private
+ */
+const checkTaskCapacity = asyncHandler(async (req, res) => {
+  const { assignedTo, estimatedHours, progress, startDate, dueDate, taskId } = req.body;
+
+  if (!assignedTo || !dueDate || !(Number(estimatedHours) > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: '请提供负责人、预估工时和截止日期'
+    });
+  }
+
+  const due = new Date(dueDate);
+  const start = startDate ? new Date(startDate) : undefined;
+  if (isNaN(due.getTime()) || (start && isNaN(start.getTime()))) {
+    return res.status(400).json({
+      success: false,
+      message: '请提供有效的开始日期和截止日期'
+    });
+  }
+
+  const warning = await capacityService.checkAssignment({
+    _id: taskId,
+    estimatedHours: Number(estimatedHours),
+    progress: Number(progress) || 0,
+    startDate: start,
+    dueDate: due
+  }, assignedTo, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      overAllocated: !!warning,
+      capacityWarning: warning
+    }
+  });
+});
+
+/**
+ * 获取任务效率分析（吞吐量、周期时间、估时准确度、按时完成率及趋势）
+ * @route   GET /api/tasks/analytics
+ * @access  Private
+ */
+const getTaskAnalytics = asyncHandler(async (req, res) => {
+  const { scope = 'personal' } = req.query;
+
+  if (!['personal', 'team'].includes(scope)) {
+    return res.status(400).json({
+      success: false,
+      message: '统计范围只能是 personal 或 team'
+    });
+  }
+
+  const { weeks, error } = taskAnalyticsService.parseRange(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const [analytics, estimateBias] = await Promise.all([
+    taskAnalyticsService.getAnalytics(req.user.id, weeks, { scope }),
+    taskAnalyticsService.getEstimateBias(req.user.id)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...analytics,
+      estimateBias
+    }
+  });
+});
+
 module.exports = {
   getTasks,
   createTask,
+  quickAddTask,
   generateTaskPlanning,
   createTaskFromAI,
   getTask,
   updateTask,
   deleteTask,
+  bulkUpdateTasks,
   getTaskStats,
   addTaskComment,
-  generateTaskExecutionPlans
+  addTaskWatchers,
+  removeTaskWatcher,
+  getTaskHistory,
+  revertTaskChange,
+  generateTaskExecutionPlans,
+  commitTaskPlan,
+  getDependencyGraph,
+  getCriticalPath,
+  startTaskTimer,
+  pauseTaskTimer,
+  stopTaskTimer,
+  getActiveTimers,
+  getTaskTimeEntries,
+  getTimesheet,
+  getTaskViews,
+  createTaskView,
+  updateTaskView,
+  deleteTaskView,
+  getTaskViewTasks,
+  getEscalationPolicies,
+  createEscalationPolicy,
+  updateEscalationPolicy,
+  deleteEscalationPolicy,
+  getTaskBoard,
+  moveBoardTask,
+  updateBoardWipLimits,
+  getTaskTimeline,
+  rescheduleTask,
+  getTaskTemplates,
+  createTaskTemplate,
+  updateTaskTemplate,
+  deleteTaskTemplate,
+  instantiateTaskTemplate,
+  saveTaskPlanAsTemplate,
+  exportTasks,
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+  getTaskCapacity,
+  checkTaskCapacity,
+  getTaskAnalytics
 };
\ No newline at end of file
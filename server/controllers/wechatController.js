@@ -6,6 +6,10 @@ const Document = require('../models/Document');
 const asyncHandler = require('../utils/asyncHandler');
 const aiService = require('../services/aiService');
 const advancedAssistant = require('../services/advancedWechatAssistantService');
+const taskQuickAddService = require('../services/taskQuickAddService');
+const taskViewService = require('../services/taskViewService');
+const taskHistoryService = require('../services/taskHistoryService');
+const taskCompletionService = require('../services/taskCompletionService');
 const messageTemplate = require('../services/wechatMessageTemplateService');
 const crypto = require('crypto');
 // 微信API初始化（占位，等待配置）
@@ -794,7 +798,7 @@ async function parseAndExecuteCommand(content, user, openId) {
   const commandMap = {
     // 任务管理
     '任务规划': () => handleTaskPlanning(user, content),
-    '我的任务': () => handleMyTasks(user),
+    '我的任务': () => handleMyTasks(user, content),
     '创建任务': () => handleCreateTask(user, content),
     '完成任务': () => handleCompleteTask(user, content),
     
@@ -854,14 +858,42 @@ async function handleTaskPlanning(user, content) {
   }
 }
 
+/**
+ * 查询用户未完成的任务（创建或负责的），"我的任务"与"完成任务"共用同一编号顺序
+ */
+function findOpenTasks(user) {
+  return Task.find({
+    $or: [{ createdBy: user._id }, { assignedTo: user._id }],
+    status: { $nin: ['completed', 'cancelled'] }
+  }).sort({ priority: -1, createdAt: -1 });
+}
+
+/**
+ * 格式化任务列表行
+ */
+function formatTaskLine(task, marker) {
+  const priorityIcon = task.priority === 'high' ? '🔴' : task.priority === 'medium' ? '🟡' : '🟢';
+  const statusIcon = task.status === 'in_progress' ? '⏳' : '📋';
+  let line = `${marker} ${priorityIcon}${statusIcon} ${task.title}\n`;
+  if (task.dueDate) {
+    const dueDate = new Date(task.dueDate).toLocaleDateString('zh-CN');
+    line += `   截止：${dueDate}\n`;
+  }
+  return line;
+}
+
 /**
  * 查看我的任务
+ * 发送"我的任务 [视图名称]"可按已保存、共享或内置的视图查看
  */
-async function handleMyTasks(user) {
+async function handleMyTasks(user, content = '') {
   try {
-    const tasks = await Task.find({ userId: user._id, status: { $ne: 'completed' } })
-      .sort({ priority: -1, createdAt: -1 })
-      .limit(10);
+    const viewName = content.replace(/我的任务/g, '').trim();
+    if (viewName) {
+      return await handleViewTasks(user, viewName);
+    }
+
+    const tasks = await findOpenTasks(user).limit(10);
     
     if (tasks.length === 0) {
       return '您目前没有待完成的任务。\n\n发送"任务规划 [任务描述]"来创建新任务。';
@@ -870,17 +902,11 @@ async function handleMyTasks(user) {
     let response = `📝 您的待办任务（${tasks.length}个）：\n\n`;
     
     tasks.forEach((task, index) => {
-      const priorityIcon = task.priority === 'high' ? '🔴' : task.priority === 'medium' ? '🟡' : '🟢';
-      const statusIcon = task.status === 'in_progress' ? '⏳' : '📋';
-      response += `${index + 1}. ${priorityIcon}${statusIcon} ${task.title}\n`;
-      if (task.dueDate) {
-        const dueDate = new Date(task.dueDate).toLocaleDateString('zh-CN');
-        response += `   截止：${dueDate}\n`;
-      }
+      response += formatTaskLine(task, `${index + 1}.`);
       response += '\n';
     });
     
-    response += '发送"完成任务 [任务编号]"来标记任务完成。';
+    response += '发送"完成任务 [任务编号]"来标记任务完成。\n发送"我的任务 [视图名称]"按视图查看任务。';
     return response;
     
   } catch (error) {
@@ -889,6 +915,47 @@ async function handleMyTasks(user) {
   }
 }
 
+/**
+ * 按视图查看任务（按视图分组展示，最多显示10个）
+ */
+async function handleViewTasks(user, viewName) {
+  const maxTasks = 10;
+  const view = await taskViewService.findViewByName(user._id, viewName);
+
+  if (!view) {
+    const { presets, own, shared } = await taskViewService.listViews(user._id);
+    const names = [...own, ...shared, ...presets].map(item => `• ${item.name}`).join('\n');
+    return `❌ 没有找到视图"${viewName}"。\n\n可用的视图：\n${names}`;
+  }
+
+  const { tasks, groups, total } = await taskViewService.runView(user._id, view);
+  if (total === 0) {
+    return `📂 视图"${view.name}"中暂无任务。`;
+  }
+
+  const byId = new Map(tasks.map(task => [task._id.toString(), task]));
+  const sections = groups.length > 0
+    ? groups
+    : [{ label: null, taskIds: tasks.map(task => task._id.toString()) }];
+
+  let response = `📂 ${view.name}（${total}个）：\n\n`;
+  let shown = 0;
+  for (const section of sections) {
+    if (shown >= maxTasks) break;
+    if (section.label) response += `【${section.label}】\n`;
+    for (const taskId of section.taskIds.slice(0, maxTasks - shown)) {
+      response += formatTaskLine(byId.get(taskId), '•');
+      shown++;
+    }
+    response += '\n';
+  }
+
+  if (total > shown) {
+    response += `还有${total - shown}个任务，请在网页端查看完整视图。\n`;
+  }
+  return response.trim();
+}
+
 /**
  * 智能回复处理
  */
@@ -1154,26 +1221,16 @@ async function handleCreateTask(user, content) {
     const taskText = content.replace(/创建任务|新建任务/gi, '').trim();
     
     if (!taskText) {
-      return '请告诉我要创建的任务内容，例如：\n"创建任务 完成项目报告"\n"创建任务 准备明天的会议"';
+      return '请告诉我要创建的任务内容，例如：\n"创建任务 明天下午3点前提交周报 #项目A !高 @张三"\n"创建任务 周五 准备会议材料"';
     }
     
-    // 使用AI分析任务并创建
-    const prompt = `分析以下任务并提取信息：\n"${taskText}"\n\n请提供任务标题、描述、优先级建议和预估时间。`;
-    
-    const aiResponse = await aiService.generateText(prompt);
+    const { task, warnings } = await taskQuickAddService.createTask(user, taskText, { createdVia: 'wechat' });
     
-    // 创建基础任务记录
-    const newTask = await Task.create({
-      userId: user._id,
-      title: taskText.substring(0, 100),
-      description: `通过微信创建的任务`,
-      priority: 'medium',
-      status: 'pending',
-      source: 'wechat',
-      createdVia: 'wechat'
-    });
+    if (!task) {
+      return '没有识别到任务标题，请换个说法，例如：\n"创建任务 明天 完成项目报告"';
+    }
     
-    return `✅ 任务创建成功！\n\n📋 任务：${newTask.title}\n🆔 ID：${newTask._id.toString().slice(-6)}\n\nAI分析：\n${aiResponse}\n\n发送"我的任务"查看所有任务。`;
+    return taskQuickAddService.formatReply(task, warnings);
     
   } catch (error) {
     console.error('创建任务出错:', error);
@@ -1198,8 +1255,7 @@ async function handleCompleteTask(user, content) {
     // 尝试通过编号查找
     if (/^\d+$/.test(taskIdentifier)) {
       const taskIndex = parseInt(taskIdentifier) - 1;
-      const tasks = await Task.find({ userId: user._id, status: { $ne: 'completed' } })
-        .sort({ priority: -1, createdAt: -1 });
+      const tasks = await findOpenTasks(user);
       
       if (taskIndex >= 0 && taskIndex < tasks.length) {
         task = tasks[taskIndex];
@@ -1207,7 +1263,7 @@ async function handleCompleteTask(user, content) {
     } else {
       // 通过标题关键词查找
       task = await Task.findOne({
-        userId: user._id,
+        $or: [{ createdBy: user._id }, { assignedTo: user._id }],
         title: { $regex: taskIdentifier, $options: 'i' },
         status: { $ne: 'completed' }
       });
@@ -1217,10 +1273,22 @@ async function handleCompleteTask(user, content) {
       return `❌ 没有找到匹配的任务"${taskIdentifier}"。\n\n发送"我的任务"查看当前任务列表。`;
     }
     
-    // 更新任务状态
+    // 与网页端相同的完成流程：检查前置任务、生成下一次重复实例、结束计时并通知关注者
+    const before = taskHistoryService.snapshot(task);
     task.status = 'completed';
     task.completedAt = new Date();
-    await task.save();
+    const result = await taskCompletionService.save(task, user._id, {
+      before,
+      details: '通过微信完成任务'
+    });
+
+    if (result.blockingTasks) {
+      const titles = result.blockingTasks.map(dependency => `• ${dependency.title}`).join('\n');
+      return `⛔ 任务"${task.title}"还有${result.blockingTasks.length}个未完成的前置任务：\n\n${titles}\n\n请先完成前置任务。`;
+    }
+    if (result.error) {
+      return `❌ ${result.error}`;
+    }
     
     return `🎉 任务完成！\n\n✅ ${task.title}\n\n恭喜您完成了这个任务！发送"我的任务"查看剩余任务。`;
     
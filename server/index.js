@@ -21,6 +21,9 @@ const wechatConfigRoutes = require('./routes/wechat-config');
 const aiRoutes = require('./routes/ai');
 const notificationRoutes = require('./routes/notification');
 const socialRoutes = require('./routes/social');
+const reportRoutes = require('./routes/reports');
+const projectRoutes = require('./routes/projects');
+const okrRoutes = require('./routes/okrs');
 
 const app = express();
 
@@ -95,6 +98,9 @@ app.use('/api/wechat-config', wechatConfigRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/social', socialRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/okrs', okrRoutes);
 
 // 微信公众号 webhook（需要在根路径）
 app.use('/wechat', require('./routes/wechat-webhook'));
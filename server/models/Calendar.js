@@ -160,6 +160,12 @@ const CalendarSchema = new mongoose.Schema({
   // 标签和分类
   tags: [String],
   category: String,
+
+  // 所属项目
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
   
   // 外部日历集成
   externalCalendars: [{
@@ -286,6 +292,7 @@ CalendarSchema.index({ priority: 1 });
 CalendarSchema.index({ status: 1 });
 CalendarSchema.index({ 'participants.user': 1 });
 CalendarSchema.index({ tags: 1 });
+CalendarSchema.index({ project: 1, startTime: 1 });
 
 // 复合索引 - 时间范围查询
 CalendarSchema.index({ owner: 1, startTime: 1, endTime: 1 });
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const CustomFieldDefinitionSchema = new mongoose.Schema({
+  // 字段标识（创建后不可修改，用于存储、筛选和排序）
+  key: {
+    type: String,
+    required: [true, '请提供字段标识'],
+    unique: true,
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_]{0,29}$/, '字段标识只能包含字母、数字和下划线，且以字母开头']
+  },
+
+  label: {
+    type: String,
+    required: [true, '请提供字段名称'],
+    trim: true,
+    maxlength: [30, '字段名称不能超过30个字符']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, '字段说明不能超过200个字符']
+  },
+
+  type: {
+    type: String,
+    enum: ['text', 'number', 'date', 'select', 'multi_select', 'user'],
+    required: [true, '请提供字段类型']
+  },
+
+  // 单选、多选字段的可选值
+  options: [{
+    type: String,
+    trim: true
+  }],
+
+  required: {
+    type: Boolean,
+    default: false
+  },
+
+  // 数字字段的取值范围
+  min: Number,
+  max: Number,
+
+  // 停用的字段不再接受新值，已有的值保留
+  active: {
+    type: Boolean,
+    default: true
+  },
+
+  // 显示顺序
+  order: {
+    type: Number,
+    default: 0
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+CustomFieldDefinitionSchema.index({ active: 1, order: 1 });
+
+// 选项字段必须提供可选值，数字范围必须有效
+CustomFieldDefinitionSchema.pre('validate', function(next) {
+  if (['select', 'multi_select'].includes(this.type)) {
+    this.options = [...new Set(this.options.filter(Boolean))];
+    if (this.options.length === 0) {
+      this.invalidate('options', '单选和多选字段至少需要一个可选值');
+    }
+  }
+  if (typeof this.min === 'number' && typeof this.max === 'number' && this.min > this.max) {
+    this.invalidate('max', '最大值不能小于最小值');
+  }
+  next();
+});
+
+module.exports = mongoose.model('CustomFieldDefinition', CustomFieldDefinitionSchema);
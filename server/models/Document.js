@@ -60,10 +60,14 @@ const DocumentSchema = new mongoose.Schema({
     required: true
   },
   
-  // 项目关联
+  // 项目关联（name 为关联时的项目名称）
+  // 旧数据中的字符串ID由 scripts/migrate-legacy-project-links.js 转换为项目ID
   project: {
     name: String,
-    id: String
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    }
   },
   
   // 标签和分类
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const EscalationStepSchema = new mongoose.Schema({
+  // 逾期多少分钟后触发
+  afterMinutes: {
+    type: Number,
+    required: [true, '请设置触发时间'],
+    min: [1, '触发时间至少为1分钟']
+  },
+
+  // 通知对象：负责人、创建者、负责人的上级、关注者
+  notify: [{
+    type: String,
+    enum: ['assignee', 'creator', 'manager', 'watchers']
+  }],
+
+  // 额外通知渠道（站内通知始终发送）
+  channels: [{
+    type: String,
+    enum: ['wechat', 'email']
+  }],
+
+  // 是否提升任务优先级一级
+  raisePriority: {
+    type: Boolean,
+    default: false
+  },
+
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [200, '升级说明不能超过200个字符']
+  }
+});
+
+const EscalationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, '规则名称是必需的'],
+    trim: true,
+    maxlength: [50, '规则名称不能超过50个字符']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, '规则描述不能超过200个字符']
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // 适用范围，留空表示不限
+  scope: {
+    categories: [{
+      type: String,
+      enum: ['work', 'meeting', 'personal', 'project', 'other']
+    }],
+    projects: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    }],
+    priorities: [{
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent']
+    }]
+  },
+
+  steps: {
+    type: [EscalationStepSchema],
+    validate: {
+      validator: steps => steps.length > 0,
+      message: '至少需要一个升级步骤'
+    }
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// 索引
+EscalationPolicySchema.index({ enabled: 1 });
+
+// 中间件：步骤按触发时间排序
+EscalationPolicySchema.pre('save', function(next) {
+  if (this.isModified('steps')) {
+    this.steps.sort((a, b) => a.afterMinutes - b.afterMinutes);
+  }
+  next();
+});
+
+module.exports = mongoose.model('EscalationPolicy', EscalationPolicySchema);
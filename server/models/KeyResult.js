@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const KeyResultSchema = new mongoose.Schema({
+  objective: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Objective',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, '请提供关键结果名称'],
+    trim: true,
+    maxlength: [200, '关键结果名称不能超过200个字符']
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // metric 按指标当前值计算进度，tasks 由关联任务的进度和完成情况汇总
+  progressSource: {
+    type: String,
+    enum: ['metric', 'tasks'],
+    default: 'metric'
+  },
+
+  // 指标：从 startValue 到 targetValue（目标值可小于起始值，如降低故障数）
+  startValue: {
+    type: Number,
+    default: 0
+  },
+  targetValue: Number,
+  currentValue: {
+    type: Number,
+    default: 0
+  },
+  unit: {
+    type: String,
+    maxlength: [20, '单位不能超过20个字符']
+  },
+
+  tasks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+
+  // 汇总目标进度时的权重
+  weight: {
+    type: Number,
+    min: [1, '权重不能小于1'],
+    max: [10, '权重不能大于10'],
+    default: 1
+  },
+
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+
+  // 最近一次进展更新的信心
+  confidence: {
+    type: String,
+    enum: ['on_track', 'at_risk', 'off_track'],
+    default: 'on_track'
+  },
+
+  // 进展更新记录
+  checkIns: [{
+    value: Number,
+    progress: Number,
+    confidence: {
+      type: String,
+      enum: ['on_track', 'at_risk', 'off_track']
+    },
+    note: {
+      type: String,
+      maxlength: [1000, '进展说明不能超过1000个字符']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+KeyResultSchema.index({ objective: 1 });
+KeyResultSchema.index({ tasks: 1 });
+
+// 指标型关键结果必须设置目标值
+KeyResultSchema.pre('validate', function(next) {
+  if (this.progressSource === 'metric' && (this.targetValue === undefined || this.targetValue === null)) {
+    this.invalidate('targetValue', '请提供目标值');
+  }
+  next();
+});
+
+module.exports = mongoose.model('KeyResult', KeyResultSchema);
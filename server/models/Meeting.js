@@ -121,12 +121,25 @@ const MeetingSchema = new mongoose.Schema({
     
     // 结构化转录（按发言人分段）
     segments: [{
-      speaker: String, // 发言人
+      speaker: String, // 发言人标签（转录服务给出，如 SPEAKER_1）
       startTime: Number, // 开始时间（秒）
       endTime: Number, // 结束时间（秒）
       text: String, // 发言内容
       confidence: Number // 置信度 0-1
     }],
+
+    // 发言人标签与参会人的对应关系
+    speakers: [{
+      label: {
+        type: String,
+        required: true
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      name: String // 未对应到用户时的显示名称
+    }],
     
     // 转录状态
     status: {
@@ -155,7 +168,9 @@ const MeetingSchema = new mongoose.Schema({
       decision: String,
       decidedBy: String,
       context: String,
-      timestamp: Date
+      timestamp: Date,
+      sourceSegment: mongoose.Schema.Types.ObjectId, // 来源转录片段
+      sourceTime: Number // 来源片段开始时间（秒）
     }],
     
     // 行动项（按参与者职位个性化）
@@ -177,7 +192,13 @@ const MeetingSchema = new mongoose.Schema({
         type: Boolean,
         default: false
       },
-      completedAt: Date
+      completedAt: Date,
+      sourceSegment: mongoose.Schema.Types.ObjectId, // 来源转录片段
+      sourceTime: Number, // 来源片段开始时间（秒）
+      task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task'
+      } // 由行动项创建的任务
     }],
     
     // 个性化建议（根据用户职位）
@@ -229,6 +250,54 @@ const MeetingSchema = new mongoose.Schema({
     error: String
   },
   
+  // 会议议程
+  agenda: [{
+    title: {
+      type: String,
+      required: [true, '请提供议程标题'],
+      trim: true,
+      maxlength: [200, '议程标题不能超过200个字符']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, '议程说明不能超过1000个字符']
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    timebox: {
+      type: Number,
+      min: [1, '议程时长至少1分钟']
+    } // 分钟
+  }],
+
+  // 会前需阅读的相关文档
+  relatedDocuments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  }],
+
+  // 会前简报
+  brief: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    leadMinutes: {
+      type: Number,
+      min: [5, '简报至少提前5分钟发送']
+    }, // 开始前多少分钟发送，未设置时使用 MEETING_BRIEF_LEAD_MINUTES
+    content: String, // Markdown
+    source: {
+      type: String,
+      enum: ['ai', 'template']
+    },
+    generatedAt: Date,
+    sentAt: Date
+  },
+
   // 会议资料
   attachments: [{
     type: {
@@ -266,16 +335,36 @@ const MeetingSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    approvedAt: Date
+    approvedAt: Date,
+    // 纪要邮件发送记录
+    deliveries: [{
+      recipients: [String],
+      format: String,
+      sentBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      sentAt: Date
+    }]
   },
   
   // 标签
   tags: [String],
   
-  // 项目关联
+  // 项目关联（name 为关联时的项目名称）
+  // 旧数据中的字符串ID由 scripts/migrate-legacy-project-links.js 转换为项目ID
   project: {
     name: String,
-    id: String
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    }
+  },
+
+  // AI分析完成后自动将行动项转为任务
+  autoCreateTasks: {
+    type: Boolean,
+    default: false
   },
   
   // 提醒设置
@@ -369,6 +458,7 @@ MeetingSchema.index({ startTime: 1, endTime: 1 });
 MeetingSchema.index({ status: 1 });
 MeetingSchema.index({ tags: 1 });
 MeetingSchema.index({ 'project.id': 1 });
+MeetingSchema.index({ followUpMeeting: 1 });
 
 // 文本搜索索引
 MeetingSchema.index({
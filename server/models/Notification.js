@@ -14,7 +14,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['task_reminder', 'meeting_reminder', 'document_analysis', 'system_update', 'task_update', 'calendar_sync', 'general'],
+    enum: ['task_reminder', 'meeting_reminder', 'document_analysis', 'system_update', 'task_update', 'calendar_sync', 'work_report', 'general'],
     required: [true, '通知类型不能为空']
   },
   
@@ -115,6 +115,10 @@ const notificationSchema = new mongoose.Schema({
     calendarEventId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Calendar'
+    },
+    reportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkReport'
     }
   },
   
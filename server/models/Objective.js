@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const ObjectiveSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, '请提供目标名称'],
+    trim: true,
+    maxlength: [200, '目标名称不能超过200个字符']
+  },
+  description: {
+    type: String,
+    maxlength: [2000, '目标描述不能超过2000个字符']
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 所属季度，如 2024-Q3
+  quarter: {
+    type: String,
+    required: [true, '请提供目标所属季度'],
+    match: [/^\d{4}-Q[1-4]$/, '季度格式应为 YYYY-Qn']
+  },
+
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'completed', 'cancelled'],
+    default: 'active'
+  },
+
+  // 由关键结果按权重汇总（0-100）
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+ObjectiveSchema.index({ owner: 1, quarter: 1 });
+ObjectiveSchema.index({ quarter: 1, status: 1 });
+
+module.exports = mongoose.model('Objective', ObjectiveSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const ProjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, '请提供项目名称'],
+    trim: true,
+    maxlength: [100, '项目名称不能超过100个字符']
+  },
+  description: {
+    type: String,
+    maxlength: [2000, '项目描述不能超过2000个字符']
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 项目成员，owner 不在列表中
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // manager 可编辑项目、管理成员和里程碑，viewer 只读
+    role: {
+      type: String,
+      enum: ['manager', 'member', 'viewer'],
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  status: {
+    type: String,
+    enum: ['planning', 'active', 'on_hold', 'completed', 'cancelled'],
+    default: 'planning'
+  },
+
+  startDate: Date,
+  endDate: Date,
+
+  milestones: [{
+    title: {
+      type: String,
+      required: [true, '请提供里程碑名称'],
+      trim: true,
+      maxlength: [100, '里程碑名称不能超过100个字符']
+    },
+    description: String,
+    dueDate: {
+      type: Date,
+      required: [true, '请提供里程碑日期']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'completed'],
+      default: 'pending'
+    },
+    completedAt: Date
+  }],
+
+  color: {
+    type: String,
+    default: '#1976d2'
+  },
+  tags: [String]
+}, {
+  timestamps: true
+});
+
+ProjectSchema.index({ owner: 1, status: 1 });
+ProjectSchema.index({ 'members.user': 1 });
+
+// 验证日期范围
+ProjectSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.startDate > this.endDate) {
+    this.invalidate('endDate', '结束日期不能早于开始日期');
+  }
+  next();
+});
+
+// 获取用户在项目中的角色（owner/manager/member/viewer），非成员返回null
+ProjectSchema.methods.getMemberRole = function(userId) {
+  const id = userId.toString();
+  if ((this.owner._id || this.owner).toString() === id) return 'owner';
+  const member = this.members.find(item => (item.user._id || item.user).toString() === id);
+  return member ? member.role : null;
+};
+
+module.exports = mongoose.model('Project', ProjectSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// 默认"即将截止"提醒提前的小时数
+const DUE_SOON_REMINDER_HOURS = 24;
+
 const TaskSchema = new mongoose.Schema({
   // 基本信息
   title: {
@@ -26,6 +29,12 @@ const TaskSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+
+  // 关注者（接收评论、状态变更和负责人变更通知）
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   
   // 任务状态
   status: {
@@ -47,6 +56,12 @@ const TaskSchema = new mongoose.Schema({
     enum: ['work', 'meeting', 'personal', 'project', 'other'],
     default: 'work'
   },
+
+  // 所属项目
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
   
   // 时间相关
   startDate: Date,
@@ -62,6 +77,9 @@ const TaskSchema = new mongoose.Schema({
     min: 0,
     max: 1000
   },
+
+  // 看板列内的手动排序（越小越靠前，未设置的排在最后）
+  boardRank: Number,
   
   // AI生成的任务规划方案
   aiPlans: [{
@@ -103,6 +121,12 @@ const TaskSchema = new mongoose.Schema({
   
   // 标签
   tags: [String],
+
+  // 自定义字段值（字段标识 -> 值，字段定义见 CustomFieldDefinition）
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
+  },
   
   // 附件
   attachments: [{
@@ -129,6 +153,14 @@ const TaskSchema = new mongoose.Schema({
       default: false
     },
     completedAt: Date,
+    // 由规划方案生成的子任务：来源方案及步骤序号
+    planId: String,
+    stepIndex: Number,
+    // 安排的日历时间块
+    calendarEvent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Calendar'
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -160,7 +192,19 @@ const TaskSchema = new mongoose.Schema({
       enum: ['daily', 'weekly', 'monthly', 'yearly']
     },
     interval: Number, // 间隔数
-    endDate: Date
+    endDate: Date,
+    // 所属系列（系列首个任务的ID）
+    seriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    },
+    // 本实例在系列中的发生时间
+    occurrenceDate: Date,
+    // 是否为单独修改过的实例
+    isException: {
+      type: Boolean,
+      default: false
+    }
   },
   
   // 提醒设置
@@ -169,11 +213,33 @@ const TaskSchema = new mongoose.Schema({
       type: String,
       enum: ['email', 'wechat', 'system']
     },
+    // 提醒来源：custom 用户设置，due_soon/overdue 根据截止日期自动生成
+    kind: {
+      type: String,
+      enum: ['custom', 'due_soon', 'overdue'],
+      default: 'custom'
+    },
     time: Date,
     message: String,
     sent: {
       type: Boolean,
       default: false
+    },
+    sentAt: Date
+  }],
+
+  // 已触发的逾期升级步骤（按截止日期记录，截止日期调整后重新计算）
+  escalations: [{
+    _id: false,
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EscalationPolicy'
+    },
+    step: mongoose.Schema.Types.ObjectId,
+    dueDate: Date,
+    triggeredAt: {
+      type: Date,
+      default: Date.now
     }
   }],
   
@@ -189,6 +255,11 @@ const TaskSchema = new mongoose.Schema({
       required: true,
       trim: true
     },
+    // 评论中@提及的用户
+    mentions: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
     createdAt: {
       type: Date,
       default: Date.now
@@ -206,6 +277,20 @@ const TaskSchema = new mongoose.Schema({
       ref: 'User'
     },
     details: String,
+    // 字段级变更（from/to 为变更前后的值）
+    changes: [{
+      _id: false,
+      field: {
+        type: String,
+        required: true
+      },
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }],
+    // 撤销操作对应的原变更记录
+    revertOf: {
+      type: mongoose.Schema.Types.ObjectId
+    },
     timestamp: {
       type: Date,
       default: Date.now
@@ -216,11 +301,12 @@ const TaskSchema = new mongoose.Schema({
   metadata: {
     createdVia: {
       type: String,
-      enum: ['web', 'wechat', 'api', 'ai_generated'],
+      enum: ['web', 'wechat', 'api', 'ai_generated', 'meeting'],
       default: 'web'
     },
-    sourceType: String, // 来源类型：manual, meeting_analysis, document_analysis
-    sourceId: String // 来源ID
+    sourceType: String, // 来源类型：manual, meeting_analysis, meeting_action_item, document_analysis
+    sourceId: String, // 来源ID
+    sourceItemId: String // 来源中的条目ID（如会议行动项）
   }
 }, {
   timestamps: true,
@@ -244,13 +330,36 @@ TaskSchema.virtual('remainingDays').get(function() {
 // 索引
 TaskSchema.index({ createdBy: 1, status: 1 });
 TaskSchema.index({ assignedTo: 1, status: 1 });
+TaskSchema.index({ watchers: 1 });
 TaskSchema.index({ dueDate: 1 });
 TaskSchema.index({ priority: 1, status: 1 });
 TaskSchema.index({ tags: 1 });
+TaskSchema.index({ project: 1, status: 1 });
 TaskSchema.index({ createdAt: -1 });
+TaskSchema.index({ dependencies: 1 });
+TaskSchema.index({ 'reminders.sent': 1, 'reminders.time': 1 });
+TaskSchema.index(
+  { 'recurring.seriesId': 1, 'recurring.occurrenceDate': 1 },
+  { unique: true, partialFilterExpression: { 'recurring.seriesId': { $exists: true } } }
+);
 
 // 中间件：更新进度时自动计算完成状态
 TaskSchema.pre('save', function(next) {
+  // 新建的重复任务作为系列首个实例
+  if (this.recurring?.isRecurring && !this.recurring.seriesId) {
+    this.recurring.seriesId = this._id;
+    this.recurring.occurrenceDate = this.recurring.occurrenceDate || this.dueDate || this.startDate || new Date();
+  }
+
+  if (this.isNew || this.isModified('dueDate')) {
+    this.syncDefaultReminders();
+  }
+
+  // 创建者和负责人自动关注任务
+  if (this.isNew || this.isModified('assignedTo')) {
+    this.addWatchers([this.createdBy, this.assignedTo]);
+  }
+
   if (this.progress === 100 && this.status !== 'completed') {
     this.status = 'completed';
     this.completedAt = new Date();
@@ -291,17 +400,82 @@ TaskSchema.statics.getUserTaskStats = async function(userId) {
   return result;
 };
 
+// 实例方法：添加关注者（忽略空值和已关注的用户）
+TaskSchema.methods.addWatchers = function(userIds = []) {
+  const existing = new Set(this.watchers.map(id => id.toString()));
+  const added = [];
+
+  userIds.filter(Boolean).forEach(userId => {
+    const id = (userId._id || userId).toString();
+    if (!existing.has(id)) {
+      existing.add(id);
+      this.watchers.push(id);
+      added.push(id);
+    }
+  });
+
+  return added;
+};
+
 // 实例方法：添加活动日志
-TaskSchema.methods.addActivityLog = function(action, user, details) {
+// extra.changes 为字段级变更列表，extra.revertOf 为被撤销的变更记录ID
+TaskSchema.methods.addActivityLog = function(action, user, details, extra = {}) {
   this.activityLog.push({
     action,
     user,
     details,
+    changes: extra.changes || [],
+    revertOf: extra.revertOf,
     timestamp: new Date()
   });
   return this.save();
 };
 
+// 实例方法：根据截止日期同步默认提醒（截止前24小时、逾期）
+// 已发送的提醒保持不变，未发送的默认提醒随截止日期调整；默认提醒不指定渠道，按用户偏好发送
+TaskSchema.methods.syncDefaultReminders = function() {
+  const defaults = {
+    due_soon: this.dueDate ? new Date(this.dueDate.getTime() - DUE_SOON_REMINDER_HOURS * 60 * 60 * 1000) : null,
+    overdue: this.dueDate || null
+  };
+
+  Object.entries(defaults).forEach(([kind, time]) => {
+    const existing = this.reminders.find(reminder => reminder.kind === kind && !reminder.sent);
+
+    if (!time) {
+      if (existing) this.reminders.pull(existing._id);
+      return;
+    }
+
+    if (existing) {
+      existing.time = time;
+    } else if (!this.reminders.some(reminder => reminder.kind === kind && reminder.time?.getTime() === time.getTime())) {
+      this.reminders.push({ kind, time });
+    }
+  });
+
+  return this.reminders;
+};
+
+// 实例方法：替换尚未发送的自定义提醒，已发送的提醒和默认提醒保留
+TaskSchema.methods.setCustomReminders = function(reminders = []) {
+  const kept = this.reminders.filter(reminder => reminder.kind !== 'custom' || reminder.sent);
+
+  this.reminders = [
+    ...kept,
+    ...reminders
+      .filter(reminder => reminder && reminder.time)
+      .map(reminder => ({
+        type: reminder.type || 'system',
+        kind: 'custom',
+        time: new Date(reminder.time),
+        message: reminder.message
+      }))
+  ];
+
+  return this.reminders;
+};
+
 // 实例方法：计算子任务进度
 TaskSchema.methods.calculateProgress = function() {
   if (this.subtasks.length === 0) return this.progress;
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+const TaskTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, '模板名称是必需的'],
+    trim: true,
+    maxlength: [50, '模板名称不能超过50个字符']
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 共享给团队所有成员（只读，可直接使用）
+  shared: {
+    type: Boolean,
+    default: false
+  },
+
+  // 任务标题模式，支持 {date}、{week}、{month} 等占位符和自定义变量
+  titlePattern: {
+    type: String,
+    required: [true, '请提供任务标题模式'],
+    trim: true,
+    maxlength: [200, '任务标题模式不能超过200个字符']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, '任务描述不能超过2000个字符']
+  },
+
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+
+  category: {
+    type: String,
+    enum: ['work', 'meeting', 'personal', 'project', 'other'],
+    default: 'work'
+  },
+
+  tags: [String],
+
+  estimatedHours: {
+    type: Number,
+    min: 0,
+    max: 1000
+  },
+
+  // 检查清单（创建任务时生成子任务）
+  subtasks: [{
+    _id: false,
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [200, '子任务标题不能超过200个字符']
+    }
+  }],
+
+  // 相对创建日期的开始、截止偏移天数
+  startOffsetDays: {
+    type: Number,
+    min: 0,
+    max: 365
+  },
+  dueOffsetDays: {
+    type: Number,
+    min: 0,
+    max: 365
+  },
+  // 截止时刻（HH:mm）
+  dueTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, '截止时刻格式应为HH:mm'],
+    default: '18:00'
+  },
+
+  recurring: {
+    isRecurring: {
+      type: Boolean,
+      default: false
+    },
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'yearly']
+    },
+    interval: {
+      type: Number,
+      min: 1
+    }
+  },
+
+  // 模板来源：手动创建或由AI规划方案保存
+  source: {
+    type: {
+      type: String,
+      enum: ['manual', 'ai_plan'],
+      default: 'manual'
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    },
+    planId: String
+  },
+
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+}, {
+  timestamps: true
+});
+
+// 索引
+TaskTemplateSchema.index({ owner: 1, name: 1 }, { unique: true });
+TaskTemplateSchema.index({ shared: 1 });
+
+// 截止偏移不能早于开始偏移
+TaskTemplateSchema.pre('validate', function(next) {
+  if (
+    typeof this.startOffsetDays === 'number' &&
+    typeof this.dueOffsetDays === 'number' &&
+    this.dueOffsetDays < this.startOffsetDays
+  ) {
+    this.invalidate('dueOffsetDays', '截止偏移天数不能早于开始偏移天数');
+  }
+  next();
+});
+
+module.exports = mongoose.model('TaskTemplate', TaskTemplateSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const TaskViewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, '视图名称是必需的'],
+    trim: true,
+    maxlength: [50, '视图名称不能超过50个字符']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, '视图描述不能超过200个字符']
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 筛选条件树：{ match: 'all'|'any', conditions: [{ field, op, value } | 子条件组] }
+  filter: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({ match: 'all', conditions: [] })
+  },
+
+  sort: {
+    field: {
+      type: String,
+      enum: ['createdAt', 'updatedAt', 'dueDate', 'startDate', 'priority', 'status', 'title', 'progress'],
+      default: 'createdAt'
+    },
+    order: {
+      type: String,
+      enum: ['asc', 'desc'],
+      default: 'desc'
+    }
+  },
+
+  groupBy: {
+    type: String,
+    enum: ['none', 'status', 'priority', 'category', 'assignedTo', 'dueDate', 'tags'],
+    default: 'none'
+  },
+
+  // 共享给的同事（只读，筛选中的"我"按查看者解析）
+  sharedWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// 索引
+TaskViewSchema.index({ owner: 1, name: 1 }, { unique: true });
+TaskViewSchema.index({ sharedWith: 1 });
+
+module.exports = mongoose.model('TaskView', TaskViewSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const TimeEntrySchema = new mongoose.Schema({
+  // 关联任务
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+
+  // 计时用户
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 计时状态
+  status: {
+    type: String,
+    enum: ['running', 'paused', 'stopped'],
+    default: 'running'
+  },
+
+  // 计时区间（每次开始/继续到暂停/结束为一个区间）
+  intervals: [{
+    start: {
+      type: Date,
+      required: true
+    },
+    end: Date
+  }],
+
+  // 已结束区间的累计时长（秒）
+  durationSeconds: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, '备注不能超过500个字符']
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  stoppedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 虚拟字段 - 包含进行中区间的当前时长（秒）
+TimeEntrySchema.virtual('elapsedSeconds').get(function() {
+  return this.getElapsedSeconds();
+});
+
+// 索引
+TimeEntrySchema.index({ user: 1, status: 1 });
+TimeEntrySchema.index({ task: 1 });
+TimeEntrySchema.index({ user: 1, startedAt: -1 });
+// 每个用户同时只能有一个进行中的计时
+TimeEntrySchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: 'running' } }
+);
+
+// 实例方法：计算截至某时刻的时长（秒）
+TimeEntrySchema.methods.getElapsedSeconds = function(now = new Date()) {
+  const open = this.intervals.find(interval => !interval.end);
+  const openSeconds = open ? Math.max(0, (now - open.start) / 1000) : 0;
+  return Math.round(this.durationSeconds + openSeconds);
+};
+
+// 实例方法：结束进行中的区间
+TimeEntrySchema.methods.closeInterval = function(now = new Date()) {
+  const open = this.intervals.find(interval => !interval.end);
+  if (open) {
+    open.end = now;
+    this.durationSeconds += Math.max(0, (now - open.start) / 1000);
+  }
+  return this;
+};
+
+// 实例方法：暂停计时
+TimeEntrySchema.methods.pause = function(now = new Date()) {
+  if (this.status === 'running') {
+    this.closeInterval(now);
+    this.status = 'paused';
+  }
+  return this;
+};
+
+// 实例方法：继续计时
+TimeEntrySchema.methods.resume = function(now = new Date()) {
+  if (this.status === 'paused') {
+    this.intervals.push({ start: now });
+    this.status = 'running';
+  }
+  return this;
+};
+
+// 实例方法：结束计时
+TimeEntrySchema.methods.stop = function(now = new Date()) {
+  if (this.status !== 'stopped') {
+    this.closeInterval(now);
+    this.status = 'stopped';
+    this.stoppedAt = now;
+  }
+  return this;
+};
+
+module.exports = mongoose.model('TimeEntry', TimeEntrySchema);
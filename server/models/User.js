@@ -41,6 +41,11 @@ const UserSchema = new mongoose.Schema({
       enum: ['员工', '主管', '经理', '总监', '高管', '其他'],
       default: '员工'
     },
+    // 直属上级（任务逾期升级时通知）
+    manager: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     bio: String
   },
 
@@ -87,12 +92,69 @@ const UserSchema = new mongoose.Schema({
       system: {
         type: Boolean,
         default: true
+      },
+      // 关注任务的评论、@提及、状态和负责人变更
+      taskUpdates: {
+        type: Boolean,
+        default: true
       }
     },
     theme: {
       type: String,
       enum: ['light', 'dark', 'auto'],
       default: 'light'
+    },
+    // 任务看板各分组方式下的列在制品（WIP）上限，键为列标识
+    taskBoard: {
+      wipLimits: {
+        status: {
+          type: Map,
+          of: Number,
+          default: {}
+        },
+        priority: {
+          type: Map,
+          of: Number,
+          default: {}
+        },
+        assignedTo: {
+          type: Map,
+          of: Number,
+          default: {}
+        }
+      }
+    },
+    // 定时生成并发送周报/月报（月报在每月最后一天发送）
+    workReports: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      frequency: {
+        type: String,
+        enum: ['weekly', 'monthly'],
+        default: 'weekly'
+      },
+      // 周报发送日（0为周日），默认周五
+      dayOfWeek: {
+        type: Number,
+        min: 0,
+        max: 6,
+        default: 5
+      },
+      hour: {
+        type: Number,
+        min: 0,
+        max: 23,
+        default: 17
+      },
+      channels: {
+        type: [{
+          type: String,
+          enum: ['email', 'wechat']
+        }],
+        default: ['email']
+      }
     }
   },
 
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const WorkReportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 周报或月报
+  type: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    required: true
+  },
+
+  // 统计周期（结束时间不含）
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: [true, '请提供报告标题'],
+    trim: true,
+    maxlength: [100, '报告标题不能超过100个字符']
+  },
+
+  // 报告内容按章节编辑，content 为 Markdown 文本
+  sections: [{
+    key: {
+      type: String,
+      required: true
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [50, '章节标题不能超过50个字符']
+    },
+    content: {
+      type: String,
+      default: '',
+      maxlength: [10000, '章节内容不能超过10000个字符']
+    }
+  }],
+
+  // 生成报告时使用的数据量
+  stats: {
+    completedTasks: { type: Number, default: 0 },
+    inProgressTasks: { type: Number, default: 0 },
+    upcomingTasks: { type: Number, default: 0 },
+    meetings: { type: Number, default: 0 },
+    actionItems: { type: Number, default: 0 },
+    documents: { type: Number, default: 0 },
+    events: { type: Number, default: 0 }
+  },
+
+  // 草稿可重新生成，定稿后只能手动编辑
+  status: {
+    type: String,
+    enum: ['draft', 'final'],
+    default: 'draft'
+  },
+
+  generatedBy: {
+    type: String,
+    enum: ['ai', 'template'],
+    default: 'template'
+  },
+  generatedAt: Date,
+  editedAt: Date,
+
+  // 发送记录
+  deliveries: [{
+    channels: [{
+      type: String,
+      enum: ['email', 'wechat']
+    }],
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification'
+    },
+    scheduled: {
+      type: Boolean,
+      default: false
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// 每个用户每个周期只有一份报告
+WorkReportSchema.index({ user: 1, type: 1, periodStart: 1 }, { unique: true });
+WorkReportSchema.index({ user: 1, periodStart: -1 });
+
+module.exports = mongoose.model('WorkReport', WorkReportSchema);
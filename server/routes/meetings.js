@@ -24,6 +24,11 @@ router.use(protect);
  *           enum: [scheduled, in_progress, completed, cancelled]
  *         description: 会议状态过滤
  *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: string
+ *         description: 项目过滤
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -109,6 +114,12 @@ router.use(protect);
  *                 items:
  *                   type: string
  *                 description: 会议议程
+ *               projectId:
+ *                 type: string
+ *                 description: 关联项目ID
+ *               autoCreateTasks:
+ *                 type: boolean
+ *                 description: AI分析完成后自动将行动项转为任务
  *     responses:
  *       201:
  *         description: 会议创建成功
@@ -208,7 +219,7 @@ router
  *                 description: 说话人数量（用于说话人分离）
  *     responses:
  *       200:
- *         description: 音频上传成功，开始处理
+ *         description: 音频上传成功，后台开始转录和分析，可通过 GET /api/meetings/{id}/transcription 查询转录状态（pending/processing/completed/failed）
  *         content:
  *           application/json:
  *             schema:
@@ -295,6 +306,11 @@ router.post('/:id/audio', uploadConfigs.meeting, meetingController.uploadAudio);
  *                           items:
  *                             type: object
  *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                                 description: 片段ID（行动项和决策的 sourceSegment 引用此ID）
+ *                               index:
+ *                                 type: integer
  *                               startTime:
  *                                 type: number
  *                                 description: 开始时间（秒）
@@ -304,6 +320,12 @@ router.post('/:id/audio', uploadConfigs.meeting, meetingController.uploadAudio);
  *                               speaker:
  *                                 type: string
  *                                 description: 说话人标识
+ *                               speakerName:
+ *                                 type: string
+ *                                 description: 说话人显示名称（已对应参会人时为其姓名）
+ *                               speakerUser:
+ *                                 type: object
+ *                                 description: 对应的参会人
  *                               text:
  *                                 type: string
  *                                 description: 文本内容
@@ -338,6 +360,58 @@ router.post('/:id/audio', uploadConfigs.meeting, meetingController.uploadAudio);
 // 获取转录结果
 router.get('/:id/transcription', meetingController.getTranscription);
 
+/**
+ * @swagger
+ * /api/meetings/{id}/transcription/speakers:
+ *   put:
+ *     summary: 设置发言人对应的参会人
+ *     description: 将转录中的发言人标签对应到会议组织者或参与者，也可以只设置显示名称；未提供 user 和 name 的标签会取消对应
+ *     tags: [Meetings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - speakers
+ *             properties:
+ *               speakers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - label
+ *                   properties:
+ *                     label:
+ *                       type: string
+ *                       description: 转录中的发言人标签
+ *                     user:
+ *                       type: string
+ *                       description: 参会人用户ID
+ *                     name:
+ *                       type: string
+ *                       description: 显示名称
+ *     responses:
+ *       200:
+ *         description: 发言人已更新，返回更新后的片段
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         description: 无权转换部分行动项
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/transcription/speakers', meetingController.updateSpeakers);
+
 /**
  * @swagger
  * /api/meetings/{id}/action-items:
@@ -448,6 +522,67 @@ router.get('/:id/transcription', meetingController.getTranscription);
 // 获取个性化行动清单
 router.get('/:id/action-items', meetingController.getActionItems);
 
+/**
+ * @swagger
+ * /api/meetings/{id}/action-items/tasks:
+ *   post:
+ *     summary: 将行动项转为任务
+ *     description: 为尚未转为任务的行动项创建任务并通知负责人，任务与行动项的完成状态双向同步。组织者可转换全部行动项，其他人只能转换分配给自己的行动项
+ *     tags: [Meetings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 会议ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               itemIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 要转换的行动项ID，不传则转换全部有权限的行动项
+ *     responses:
+ *       201:
+ *         description: 任务创建成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tasks:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Task'
+ *                     actionItems:
+ *                       type: array
+ *                       description: 更新后的行动项（含关联任务ID）
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+// 将行动项转为任务
+router.post('/:id/action-items/tasks', meetingController.createActionItemTasks);
+
 /**
  * @swagger
  * /api/meetings/{id}/action-items/{itemId}:
@@ -509,6 +644,290 @@ router.get('/:id/action-items', meetingController.getActionItems);
 // 更新行动项状态
 router.put('/:id/action-items/:itemId', meetingController.updateActionItem);
 
+/**
+ * @swagger
+ * /api/meetings/{id}/minutes/export:
+ *   get:
+ *     summary: 导出会议纪要
+ *     description: 按公司纪要模板（COMPANY_NAME、MEETING_MINUTES_TEMPLATE）渲染会议信息、AI分析结果和会议记录
+ *     tags: [Meetings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 会议ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [markdown, docx, pdf]
+ *           default: docx
+ *         description: 导出格式
+ *     responses:
+ *       200:
+ *         description: 纪要文件
+ *         content:
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.wordprocessingml.document:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         description: 无权导出此会议纪要
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+// 导出会议纪要
+router.get('/:id/minutes/export', meetingController.exportMinutes);
+
+/**
+ * @swagger
+ * /api/meetings/{id}/minutes/email:
+ *   post:
+ *     summary: 将会议纪要邮件发送给全部参会人
+ *     description: 仅会议组织者可操作，邮件正文为纪要内容，附件为指定格式的纪要文件
+ *     tags: [Meetings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 会议ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [markdown, docx, pdf]
+ *                 default: docx
+ *                 description: 附件格式
+ *     responses:
+ *       200:
+ *         description: 发送完成
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       description: 每位收件人的发送结果
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         description: 只有会议组织者可以发送会议纪要
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+// 邮件发送会议纪要
+router.post('/:id/minutes/email', meetingController.emailMinutes);
+
+/**
+ * @swagger
+ * /api/meetings/{id}/agenda:
+ *   put:
+ *     summary: 更新会议议程
+ *     description: 仅会议组织者可操作，整体替换议程；议程负责人需是会议参与者
+ *     tags: [Meetings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 会议ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - agenda
+ *             properties:
+ *               agenda:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - title
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     owner:
+ *                       type: string
+ *                       description: 负责人用户ID
+ *                     timebox:
+ *                       type: integer
+ *                       description: 时长（分钟）
+ *     responses:
+ *       200:
+ *         description: 议程已更新
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     agenda:
+ *                       type: array
+ *                     totalMinutes:
+ *                       type: integer
+ *                       description: 议程总时长
+ *                     overrun:
+ *                       type: boolean
+ *                       description: 是否超出会议时长
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         description: 只有会议组织者可以编辑议程
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+// 更新会议议程
+router.put('/:id/agenda', meetingController.updateAgenda);
+
+/**
+ * @swagger
+ * /api/meetings/{id}/brief:
+ *   get:
+ *     summary: 获取会前简报
+ *     description: 返回议程、已生成的会前简报和发送设置
+ *     tags: [Meetings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 会议ID
+ *     responses:
+ *       200:
+ *         description: 成功获取会前简报
+ *       403:
+ *         description: 无权访问此会议简报
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: 立即生成会前简报
+ *     description: 汇总议程、参会人共同的未完成任务、上次会议行动项、相关文档摘要和项目进展，由AI生成会前阅读材料。文档和项目进展只包含全部参会人都有权查看的内容。仅会议组织者可操作
+ *     tags: [Meetings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 会议ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notify:
+ *                 type: boolean
+ *                 description: 生成后立即通知全部参会人
+ *     responses:
+ *       200:
+ *         description: 简报已生成
+ *       403:
+ *         description: 只有会议组织者可以生成会前简报
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   put:
+ *     summary: 更新会前简报设置
+ *     description: 简报默认在会议开始前 MEETING_BRIEF_LEAD_MINUTES 分钟自动发送给参会人
+ *     tags: [Meetings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 会议ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *                 description: 是否自动发送
+ *               leadMinutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: 开始前多少分钟发送，null 表示使用默认值
+ *     responses:
+ *       200:
+ *         description: 简报设置已更新
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         description: 只有会议组织者可以修改简报设置
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+// 会前简报
+router
+  .route('/:id/brief')
+  .get(meetingController.getBrief)
+  .post(meetingController.generateBrief)
+  .put(meetingController.updateBriefSettings);
+
 /**
  * @swagger
  * /api/meetings/{id}/reanalyze:
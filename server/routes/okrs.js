@@ -0,0 +1,379 @@
+const express = require('express');
+const {
+  getObjectives,
+  createObjective,
+  generateReview,
+  getObjective,
+  updateObjective,
+  deleteObjective,
+  addKeyResult,
+  updateKeyResult,
+  deleteKeyResult,
+  addCheckIn
+} = require('../controllers/okrController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// 所有路由都需要认证
+router.use(protect);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Objective:
+ *       type: object
+ *       required:
+ *         - title
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         owner:
+ *           type: string
+ *         quarter:
+ *           type: string
+ *           example: 2024-Q3
+ *           description: 所属季度，默认当前季度
+ *         project:
+ *           type: string
+ *           description: 关联项目ID
+ *         status:
+ *           type: string
+ *           enum: [draft, active, completed, cancelled]
+ *         progress:
+ *           type: number
+ *           description: 由关键结果进度按权重汇总（只读）
+ *     KeyResult:
+ *       type: object
+ *       required:
+ *         - title
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         owner:
+ *           type: string
+ *           description: 关键结果负责人，默认目标负责人
+ *         progressSource:
+ *           type: string
+ *           enum: [metric, tasks]
+ *           description: metric 按指标当前值计算进度，tasks 由关联任务的进度和完成情况自动汇总
+ *         startValue:
+ *           type: number
+ *         targetValue:
+ *           type: number
+ *           description: 指标型关键结果必填
+ *         currentValue:
+ *           type: number
+ *         unit:
+ *           type: string
+ *         tasks:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 关联任务ID
+ *         weight:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 10
+ *         progress:
+ *           type: number
+ *         confidence:
+ *           type: string
+ *           enum: [on_track, at_risk, off_track]
+ */
+
+/**
+ * @swagger
+ * /api/okrs:
+ *   get:
+ *     summary: 获取目标列表
+ *     description: 返回指定季度的目标及其关键结果，进度在返回前按指标和关联任务重新计算
+ *     tags: [OKRs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: quarter
+ *         schema:
+ *           type: string
+ *         description: 季度（YYYY-Qn），默认当前季度
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *         description: 目标负责人ID，默认当前用户；查看他人目标时只返回自己负责关键结果或所属项目可访问的目标
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, active, completed, cancelled]
+ *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 成功获取目标列表
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: 创建目标
+ *     tags: [OKRs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Objective'
+ *     responses:
+ *       201:
+ *         description: 目标创建成功
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.route('/')
+  .get(getObjectives)
+  .post(createObjective);
+
+/**
+ * @swagger
+ * /api/okrs/review:
+ *   post:
+ *     summary: 生成季度回顾
+ *     description: 汇总当前用户该季度目标和关键结果的进度，由AI撰写回顾总结；AI不可用时返回基于进度数据的模板回顾
+ *     tags: [OKRs]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quarter:
+ *                 type: string
+ *                 example: 2024-Q3
+ *     responses:
+ *       200:
+ *         description: 成功生成季度回顾
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ */
+router.post('/review', generateReview);
+
+/**
+ * @swagger
+ * /api/okrs/{id}:
+ *   get:
+ *     summary: 获取目标详情
+ *     description: 包含关键结果、进展记录和关联任务。目标负责人、关键结果负责人、所属项目成员和管理员可查看，无权查看的关联任务只计入汇总进度
+ *     tags: [OKRs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 成功获取目标
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   put:
+ *     summary: 更新目标
+ *     tags: [OKRs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Objective'
+ *     responses:
+ *       200:
+ *         description: 目标更新成功
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: 删除目标及其关键结果
+ *     tags: [OKRs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 目标已删除
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.route('/:id')
+  .get(getObjective)
+  .put(updateObjective)
+  .delete(deleteObjective);
+
+/**
+ * @swagger
+ * /api/okrs/{id}/key-results:
+ *   post:
+ *     summary: 添加关键结果
+ *     tags: [OKRs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/KeyResult'
+ *     responses:
+ *       201:
+ *         description: 关键结果已添加
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/:id/key-results', addKeyResult);
+
+/**
+ * @swagger
+ * /api/okrs/{id}/key-results/{keyResultId}:
+ *   put:
+ *     summary: 更新关键结果
+ *     tags: [OKRs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyResultId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/KeyResult'
+ *     responses:
+ *       200:
+ *         description: 关键结果已更新
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: 删除关键结果
+ *     tags: [OKRs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyResultId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 关键结果已删除
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.route('/:id/key-results/:keyResultId')
+  .put(updateKeyResult)
+  .delete(deleteKeyResult);
+
+/**
+ * @swagger
+ * /api/okrs/{id}/key-results/{keyResultId}/check-ins:
+ *   post:
+ *     summary: 更新关键结果进展
+ *     description: 指标型关键结果需提供当前值；任务型关键结果的进度由关联任务决定，只记录说明和信心
+ *     tags: [OKRs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: keyResultId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               value:
+ *                 type: number
+ *               confidence:
+ *                 type: string
+ *                 enum: [on_track, at_risk, off_track]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: 进展已更新
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/:id/key-results/:keyResultId/check-ins', addCheckIn);
+
+module.exports = router;
@@ -0,0 +1,362 @@
+const express = require('express');
+const {
+  getProjects,
+  createProject,
+  getProject,
+  updateProject,
+  deleteProject,
+  updateProjectMembers,
+  addMilestone,
+  updateMilestone,
+  deleteMilestone,
+  getProjectDashboard
+} = require('../controllers/projectController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// 所有路由都需要认证
+router.use(protect);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Project:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         owner:
+ *           type: string
+ *           description: 项目负责人（创建者）
+ *         members:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               user:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [manager, member, viewer]
+ *                 description: manager 可编辑项目、成员和里程碑，viewer 只读
+ *         status:
+ *           type: string
+ *           enum: [planning, active, on_hold, completed, cancelled]
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *         milestones:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ProjectMilestone'
+ *         color:
+ *           type: string
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *     ProjectMilestone:
+ *       type: object
+ *       required:
+ *         - title
+ *         - dueDate
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *         status:
+ *           type: string
+ *           enum: [pending, completed]
+ */
+
+/**
+ * @swagger
+ * /api/projects:
+ *   get:
+ *     summary: 获取项目列表
+ *     description: 返回当前用户负责或参与的项目，每个项目附带当前用户的角色
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [planning, active, on_hold, completed, cancelled]
+ *     responses:
+ *       200:
+ *         description: 成功获取项目列表
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: 创建项目
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Project'
+ *     responses:
+ *       201:
+ *         description: 项目创建成功
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.route('/')
+  .get(getProjects)
+  .post(createProject);
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   get:
+ *     summary: 获取项目详情
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 成功获取项目
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   put:
+ *     summary: 更新项目基本信息
+ *     description: 仅项目负责人和项目经理可修改；成员和里程碑通过单独的接口维护
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Project'
+ *     responses:
+ *       200:
+ *         description: 项目更新成功
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: 删除项目
+ *     description: 仅项目负责人可删除，关联的任务、会议、文档和日程会解除关联
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 项目已删除
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.route('/:id')
+  .get(getProject)
+  .put(updateProject)
+  .delete(deleteProject);
+
+/**
+ * @swagger
+ * /api/projects/{id}/dashboard:
+ *   get:
+ *     summary: 获取项目看板
+ *     description: |
+ *       汇总项目任务的完成率和按预估工时加权的进度、逾期任务、里程碑（逾期和即将到来）、
+ *       项目会议中未完成的行动项、近期会议和日程、最近上传的文档以及成员的未完成任务数
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 成功获取项目看板
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/dashboard', getProjectDashboard);
+
+/**
+ * @swagger
+ * /api/projects/{id}/members:
+ *   put:
+ *     summary: 更新项目成员
+ *     description: 整体替换成员列表，负责人不需要包含在列表中
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - members
+ *             properties:
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ *                       enum: [manager, member, viewer]
+ *     responses:
+ *       200:
+ *         description: 项目成员已更新
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.put('/:id/members', updateProjectMembers);
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones:
+ *   post:
+ *     summary: 添加里程碑
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProjectMilestone'
+ *     responses:
+ *       201:
+ *         description: 里程碑已添加
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/:id/milestones', addMilestone);
+
+/**
+ * @swagger
+ * /api/projects/{id}/milestones/{milestoneId}:
+ *   put:
+ *     summary: 更新里程碑
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: milestoneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProjectMilestone'
+ *     responses:
+ *       200:
+ *         description: 里程碑已更新
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: 删除里程碑
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: milestoneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 里程碑已删除
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.route('/:id/milestones/:milestoneId')
+  .put(updateMilestone)
+  .delete(deleteMilestone);
+
+module.exports = router;
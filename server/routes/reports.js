@@ -0,0 +1,361 @@
+const express = require('express');
+const {
+  getReports,
+  generateReport,
+  getReport,
+  updateReport,
+  deleteReport,
+  exportReport,
+  sendReport,
+  getReportSettings,
+  updateReportSettings
+} = require('../controllers/reportController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// 所有路由都需要认证
+router.use(protect);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WorkReport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [weekly, monthly]
+ *         periodStart:
+ *           type: string
+ *           format: date-time
+ *         periodEnd:
+ *           type: string
+ *           format: date-time
+ *           description: 周期结束时间（不含）
+ *         title:
+ *           type: string
+ *         sections:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *                 description: Markdown内容
+ *         stats:
+ *           type: object
+ *           description: 生成报告时使用的任务、会议、行动项、文档和日程数量
+ *         status:
+ *           type: string
+ *           enum: [draft, final]
+ *         generatedBy:
+ *           type: string
+ *           enum: [ai, template]
+ *         deliveries:
+ *           type: array
+ *           items:
+ *             type: object
+ *     WorkReportSettings:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *         frequency:
+ *           type: string
+ *           enum: [weekly, monthly]
+ *           description: 月报在每月最后一天发送
+ *         dayOfWeek:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 6
+ *           description: 周报发送日（0为周日）
+ *         hour:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 23
+ *         channels:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [email, wechat]
+ */
+
+/**
+ * @swagger
+ * /api/reports:
+ *   get:
+ *     summary: 获取工作报告列表
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [weekly, monthly]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: 成功获取报告列表
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', getReports);
+
+/**
+ * @swagger
+ * /api/reports/generate:
+ *   post:
+ *     summary: 生成周报或月报草稿
+ *     description: |
+ *       汇总周期内完成和进行中的任务、会议及分配给自己的行动项、已分析的文档和日程，
+ *       由AI撰写各章节（AI不可用时按模板生成）。同一周期已有草稿时重新生成，已定稿的报告不能重新生成
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [weekly, monthly]
+ *                 default: weekly
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: 周期内任意日期，默认本周/本月
+ *     responses:
+ *       201:
+ *         description: 报告已生成
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     report:
+ *                       $ref: '#/components/schemas/WorkReport'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/generate', generateReport);
+
+/**
+ * @swagger
+ * /api/reports/settings:
+ *   get:
+ *     summary: 获取定时报告设置
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功获取设置
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   put:
+ *     summary: 更新定时报告设置
+ *     description: 到达发送时间时，已定稿或编辑过的报告按原样发送，其余按最新数据重新生成后发送
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WorkReportSettings'
+ *     responses:
+ *       200:
+ *         description: 设置已更新
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.route('/settings')
+  .get(getReportSettings)
+  .put(updateReportSettings);
+
+/**
+ * @swagger
+ * /api/reports/{id}:
+ *   get:
+ *     summary: 获取工作报告详情
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 成功获取报告
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   put:
+ *     summary: 编辑工作报告
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               sections:
+ *                 type: array
+ *                 description: 替换全部章节，可调整顺序或新增章节
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     title:
+ *                       type: string
+ *                     content:
+ *                       type: string
+ *               status:
+ *                 type: string
+ *                 enum: [draft, final]
+ *     responses:
+ *       200:
+ *         description: 报告已更新
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: 删除工作报告
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 报告已删除
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.route('/:id')
+  .get(getReport)
+  .put(updateReport)
+  .delete(deleteReport);
+
+/**
+ * @swagger
+ * /api/reports/{id}/export:
+ *   get:
+ *     summary: 导出工作报告
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [markdown, docx]
+ *           default: markdown
+ *     responses:
+ *       200:
+ *         description: 报告文件
+ *         content:
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.wordprocessingml.document:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/export', exportReport);
+
+/**
+ * @swagger
+ * /api/reports/{id}/send:
+ *   post:
+ *     summary: 通过邮件或微信发送工作报告
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channels:
+ *                 type: array
+ *                 description: 默认使用定时报告设置中的渠道
+ *                 items:
+ *                   type: string
+ *                   enum: [email, wechat]
+ *     responses:
+ *       200:
+ *         description: 报告已发送
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/send', sendReport);
+
+module.exports = router;
@@ -2,16 +2,59 @@ const express = require('express');
 const {
   getTasks,
   createTask,
+  quickAddTask,
   generateTaskPlanning,
   createTaskFromAI,
   getTask,
   updateTask,
   deleteTask,
+  bulkUpdateTasks,
   getTaskStats,
   addTaskComment,
-  generateTaskExecutionPlans
+  addTaskWatchers,
+  removeTaskWatcher,
+  getTaskHistory,
+  revertTaskChange,
+  generateTaskExecutionPlans,
+  commitTaskPlan,
+  getDependencyGraph,
+  getCriticalPath,
+  startTaskTimer,
+  pauseTaskTimer,
+  stopTaskTimer,
+  getActiveTimers,
+  getTaskTimeEntries,
+  getTimesheet,
+  getTaskViews,
+  createTaskView,
+  updateTaskView,
+  deleteTaskView,
+  getTaskViewTasks,
+  getEscalationPolicies,
+  createEscalationPolicy,
+  updateEscalationPolicy,
+  deleteEscalationPolicy,
+  getTaskBoard,
+  moveBoardTask,
+  updateBoardWipLimits,
+  getTaskTimeline,
+  rescheduleTask,
+  getTaskTemplates,
+  createTaskTemplate,
+  updateTaskTemplate,
+  deleteTaskTemplate,
+  instantiateTaskTemplate,
+  saveTaskPlanAsTemplate,
+  exportTasks,
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField,
+  getTaskCapacity,
+  checkTaskCapacity,
+  getTaskAnalytics
 } = require('../controllers/taskController');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -40,6 +83,31 @@ router.use(protect);
  *           enum: [low, medium, high, urgent]
  *         description: 优先级过滤
  *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *         description: 项目ID过滤
+ *       - in: query
+ *         name: cf
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           type: object
+ *         description: |
+ *           自定义字段筛选：cf[字段标识]=值 或 cf[字段标识][运算符]=值。
+ *           文本支持 contains/empty，数字和日期支持 eq/gte/lte/empty，
+ *           单选、多选和用户支持 in/empty（多个值用逗号分隔，用户可用 me）
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: 排序字段，自定义字段使用 cf.字段标识
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -98,7 +166,7 @@ router.use(protect);
  *                 description: 任务标题
  *               description:
  *                 type: string
- *                 description: 任务描述
+ *                 description: 任务描述，支持@用户名提及（被提及的用户自动关注并收到通知）
  *               priority:
  *                 type: string
  *                 enum: [low, medium, high, urgent]
@@ -117,6 +185,46 @@ router.use(protect);
  *                 items:
  *                   type: string
  *                 description: 任务标签
+ *               watchers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 关注者用户ID列表（创建者和负责人自动关注）
+ *               reminders:
+ *                 type: array
+ *                 description: 自定义提醒（截止前24小时和逾期提醒根据截止日期自动生成）
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [email, wechat, system]
+ *                     time:
+ *                       type: string
+ *                       format: date-time
+ *                     message:
+ *                       type: string
+ *               recurring:
+ *                 type: object
+ *                 description: 重复设置
+ *                 properties:
+ *                   isRecurring:
+ *                     type: boolean
+ *                   frequency:
+ *                     type: string
+ *                     enum: [daily, weekly, monthly, yearly]
+ *                   interval:
+ *                     type: integer
+ *                     minimum: 1
+ *                   endDate:
+ *                     type: string
+ *                     format: date-time
+ *               customFields:
+ *                 type: object
+ *                 description: 自定义字段值，键为字段标识（必填字段必须提供）
+ *               project:
+ *                 type: string
+ *                 description: 所属项目ID（需为项目成员，只读成员除外）
  *     responses:
  *       201:
  *         description: 任务创建成功
@@ -299,6 +407,61 @@ router.post('/ai-planning', generateTaskPlanning);
  */
 router.post('/create-from-ai', createTaskFromAI);
 
+/**
+ * @swagger
+ * /api/tasks/quick-add:
+ *   post:
+ *     summary: 自然语言快速创建任务
+ *     description: 解析如"明天下午3点前提交周报 #项目A !高 @张三"的中文描述，提取标题、截止时间、优先级、标签和负责人
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 description: 任务描述，支持 #标签、!优先级（紧急/高/中/低）、@负责人
+ *               preview:
+ *                 type: boolean
+ *                 default: false
+ *                 description: 仅返回解析结果，不创建任务
+ *     responses:
+ *       201:
+ *         description: 任务创建成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     task:
+ *                       $ref: '#/components/schemas/Task'
+ *                     parsed:
+ *                       type: object
+ *                     warnings:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       200:
+ *         description: 解析预览
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/quick-add', quickAddTask);
+
 /**
  * @swagger
  * /api/tasks/stats:
@@ -370,47 +533,13 @@ router.get('/stats', getTaskStats);
 
 /**
  * @swagger
- * /api/tasks/{id}:
- *   get:
- *     summary: 获取单个任务详情
- *     tags: [Tasks]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: 任务ID
- *     responses:
- *       200:
- *         description: 成功获取任务详情
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 data:
- *                   $ref: '#/components/schemas/Task'
- *       404:
- *         $ref: '#/components/responses/NotFoundError'
- *       401:
- *         $ref: '#/components/responses/UnauthorizedError'
- *   put:
- *     summary: 更新任务
+ * /api/tasks/bulk:
+ *   patch:
+ *     summary: 批量修改或删除任务
+ *     description: 按任务ID列表或筛选条件批量操作，逐个校验权限（删除仅限创建者），并返回逐项结果
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: 任务ID
  *     requestBody:
  *       required: true
  *       content:
@@ -418,34 +547,77 @@ router.get('/stats', getTaskStats);
  *           schema:
  *             type: object
  *             properties:
- *               title:
- *                 type: string
- *               description:
- *                 type: string
- *               status:
- *                 type: string
- *                 enum: [pending, in_progress, completed, cancelled]
- *               priority:
- *                 type: string
- *                 enum: [low, medium, high, urgent]
- *               dueDate:
- *                 type: string
- *                 format: date-time
- *               assignees:
- *                 type: array
- *                 items:
- *                   type: string
- *               tags:
+ *               ids:
  *                 type: array
  *                 items:
  *                   type: string
- *               progress:
- *                 type: number
- *                 minimum: 0
- *                 maximum: 100
+ *                 description: 任务ID列表（最多200个），与 filter 二选一
+ *               filter:
+ *                 type: object
+ *                 description: 筛选条件，范围限定为当前用户创建或负责的任务
+ *                 properties:
+ *                   status:
+ *                     oneOf:
+ *                       - type: string
+ *                       - type: array
+ *                         items:
+ *                           type: string
+ *                   priority:
+ *                     oneOf:
+ *                       - type: string
+ *                       - type: array
+ *                         items:
+ *                           type: string
+ *                   category:
+ *                     type: string
+ *                   tags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   assignedTo:
+ *                     type: string
+ *                     description: 负责人ID，me 表示当前用户
+ *                   dueBefore:
+ *                     type: string
+ *                     format: date-time
+ *                   dueAfter:
+ *                     type: string
+ *                     format: date-time
+ *               action:
+ *                 type: string
+ *                 enum: [update, delete]
+ *                 default: update
+ *               changes:
+ *                 type: object
+ *                 properties:
+ *                   status:
+ *                     type: string
+ *                     enum: [pending, in_progress, completed, cancelled, on_hold]
+ *                   priority:
+ *                     type: string
+ *                     enum: [low, medium, high, urgent]
+ *                   assignedTo:
+ *                     type: string
+ *                     nullable: true
+ *                     description: 负责人ID，null 表示取消分配
+ *                   addTags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   removeTags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   dueDateShiftDays:
+ *                     type: number
+ *                     description: 截止日期平移天数，可为负数
+ *               atomic:
+ *                 type: boolean
+ *                 default: true
+ *                 description: 任一任务校验失败（无权限、前置任务未完成等）时整批不执行
  *     responses:
  *       200:
- *         description: 任务更新成功
+ *         description: 批量操作完成
  *         content:
  *           application/json:
  *             schema:
@@ -454,28 +626,57 @@ router.get('/stats', getTaskStats);
  *                 success:
  *                   type: boolean
  *                 data:
- *                   $ref: '#/components/schemas/Task'
+ *                   type: object
+ *                   properties:
+ *                     applied:
+ *                       type: boolean
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         succeeded:
+ *                           type: integer
+ *                         failed:
+ *                           type: integer
+ *                         skipped:
+ *                           type: integer
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           taskId:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           success:
+ *                             type: boolean
+ *                           message:
+ *                             type: string
+ *                           changes:
+ *                             type: array
+ *                             items:
+ *                               type: object
  *       400:
  *         $ref: '#/components/responses/BadRequestError'
- *       404:
- *         $ref: '#/components/responses/NotFoundError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
- *   delete:
- *     summary: 删除任务
+ */
+router.patch('/bulk', bulkUpdateTasks);
+
+/**
+ * @swagger
+ * /api/tasks/critical-path:
+ *   get:
+ *     summary: 计算当前用户未完成任务的关键路径
+ *     description: 基于预估工时（estimatedHours）、完成进度和依赖关系进行排程，标记会拖延截止日期（dueDate）的任务
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: 任务ID
  *     responses:
  *       200:
- *         description: 任务删除成功
+ *         description: 成功计算关键路径
  *         content:
  *           application/json:
  *             schema:
@@ -483,54 +684,1645 @@ router.get('/stats', getTaskStats);
  *               properties:
  *                 success:
  *                   type: boolean
- *                 message:
- *                   type: string
- *       404:
- *         $ref: '#/components/responses/NotFoundError'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     totalHours:
+ *                       type: number
+ *                       description: 关键路径总工时
+ *                     projectedCompletion:
+ *                       type: string
+ *                       format: date-time
+ *                     criticalPath:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     slippingTasks:
+ *                       type: array
+ *                       description: 预计无法按期完成的任务
+ *                       items:
+ *                         type: object
+ *                     tasks:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           projectedStart:
+ *                             type: string
+ *                             format: date-time
+ *                           projectedFinish:
+ *                             type: string
+ *                             format: date-time
+ *                           slackHours:
+ *                             type: number
+ *                           willSlip:
+ *                             type: boolean
+ *                           isCritical:
+ *                             type: boolean
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-// 单个任务路由
-router.route('/:id')
-  .get(getTask)
-  .put(updateTask)
-  .delete(deleteTask);
+// 关键路径
+router.get('/critical-path', getCriticalPath);
 
 /**
  * @swagger
- * /api/tasks/{id}/comments:
- *   post:
- *     summary: 添加任务评论
+ * /api/tasks/timers/active:
+ *   get:
+ *     summary: 获取当前用户未结束的计时
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功获取计时，status 为 running（进行中）或 paused（已暂停）
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/timers/active', getActiveTimers);
+
+/**
+ * @swagger
+ * /api/tasks/timesheet:
+ *   get:
+ *     summary: 获取工时表
+ *     description: 按日、周或项目汇总当前用户的计时记录，可导出为CSV或XLSX
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: from
  *         schema:
  *           type: string
- *         description: 任务ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - content
- *             properties:
- *               content:
- *                 type: string
- *                 description: 评论内容
- *               attachments:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: 附件文件ID列表
+ *           format: date-time
+ *         description: 开始时间，默认最近7天
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 结束时间，默认当前时间
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, week, project]
+ *           default: day
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, xlsx]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: 工时表（json）或导出文件（csv/xlsx）
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/timesheet', getTimesheet);
+
+/**
+ * @swagger
+ * /api/tasks/export:
+ *   get:
+ *     summary: 导出任务列表为CSV
+ *     description: 筛选和排序参数同获取任务列表，每个启用的自定义字段导出为一列
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: CSV文件
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/export', exportTasks);
+
+/**
+ * @swagger
+ * /api/tasks/capacity:
+ *   get:
+ *     summary: 获取团队工作负载
+ *     description: |
+ *       按周比较每个成员未完成任务的剩余预估工时（按进度扣减，平均摊到截止日期前的工作日）
+ *       与日历空闲时间（协作偏好中的工作时间减去日历占用），标记超负荷的成员。
+ *       默认成员为当前用户及其分配过未完成任务的用户。
+ *       每周任务明细只列出当前用户有权查看的任务，其余任务的工时计入 restrictedHours
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 开始日期（按所在周计算），默认本周
+ *       - in: query
+ *         name: weeks
+ *         schema:
+ *           type: integer
+ *           default: 4
+ *           maximum: 12
+ *       - in: query
+ *         name: users
+ *         schema:
+ *           type: string
+ *         description: 逗号分隔的用户ID（非管理员只能查看团队成员）
+ *     responses:
+ *       200:
+ *         description: 成功获取工作负载
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/capacity', getTaskCapacity);
+
+/**
+ * @swagger
+ * /api/tasks/capacity/check:
+ *   post:
+ *     summary: 分配任务前检查负责人负载
+ *     description: 负责人在截止日期前超负荷时返回超负荷的周和可改派的团队成员
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - assignedTo
+ *               - estimatedHours
+ *               - dueDate
+ *             properties:
+ *               assignedTo:
+ *                 type: string
+ *               estimatedHours:
+ *                 type: number
+ *               progress:
+ *                 type: number
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               taskId:
+ *                 type: string
+ *                 description: 重新分配已有任务时提供，避免重复计算
+ *     responses:
+ *       200:
+ *         description: 检查结果
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ */
+router.post('/capacity/check', checkTaskCapacity);
+
+/**
+ * @swagger
+ * /api/tasks/analytics:
+ *   get:
+ *     summary: 获取任务效率分析
+ *     description: |
+ *       基于统计周期内完成的任务，按周统计吞吐量、周期时间（开始日期到完成时间）、
+ *       按时完成率和估时准确度（实际工时/预估工时，按类型汇总），并给出各项指标的线性趋势。
+ *       同时返回当前用户的历史估时偏差（AI规划据此校准时间估算）
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [personal, team]
+ *           default: personal
+ *         description: team 包含当前用户及其分配过未完成任务的成员
+ *       - in: query
+ *         name: weeks
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *           maximum: 52
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 开始日期（按所在周计算），默认为 weeks 周前
+ *     responses:
+ *       200:
+ *         description: 成功获取效率分析
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/analytics', getTaskAnalytics);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CustomFieldDefinition:
+ *       type: object
+ *       required:
+ *         - key
+ *         - label
+ *         - type
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: 字段标识（字母开头，只含字母、数字和下划线，创建后不可修改）
+ *         label:
+ *           type: string
+ *           description: 字段名称
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [text, number, date, select, multi_select, user]
+ *           description: 字段类型（创建后不可修改）
+ *         options:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 单选、多选字段的可选值
+ *         required:
+ *           type: boolean
+ *         min:
+ *           type: number
+ *         max:
+ *           type: number
+ *         active:
+ *           type: boolean
+ *           description: 停用后不再接受新值，已有值保留
+ *         order:
+ *           type: integer
+ *
+ * /api/tasks/custom-fields:
+ *   get:
+ *     summary: 获取任务自定义字段定义
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *         description: 是否包含已停用的字段（仅管理员）
+ *     responses:
+ *       200:
+ *         description: 成功获取自定义字段
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: 创建任务自定义字段（管理员）
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomFieldDefinition'
+ *     responses:
+ *       201:
+ *         description: 自定义字段创建成功
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.route('/custom-fields')
+  .get(getCustomFields)
+  .post(authorize('admin', 'super_admin'), createCustomField);
+
+/**
+ * @swagger
+ * /api/tasks/custom-fields/{fieldId}:
+ *   put:
+ *     summary: 更新任务自定义字段（管理员）
+ *     description: 字段标识和类型不可修改
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fieldId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CustomFieldDefinition'
+ *     responses:
+ *       200:
+ *         description: 自定义字段更新成功
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: 删除任务自定义字段（管理员）
+ *     description: 同时清除所有任务上的该字段值，仅需隐藏时请停用字段
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: fieldId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 自定义字段删除成功
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.route('/custom-fields/:fieldId')
+  .put(authorize('admin', 'super_admin'), updateCustomField)
+  .delete(authorize('admin', 'super_admin'), deleteCustomField);
+
+/**
+ * @swagger
+ * /api/tasks/views:
+ *   get:
+ *     summary: 获取可用的任务视图
+ *     description: 返回内置视图（presets）、自己保存的视图（own）和同事共享的视图（shared）
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功获取视图列表
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: 保存任务视图
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 我的逾期紧急任务
+ *               description:
+ *                 type: string
+ *               filter:
+ *                 type: object
+ *                 description: |
+ *                   条件树 { match: all|any, conditions: [{ field, op, value } 或嵌套条件组] }，最多嵌套3层。
+ *                   日期取值支持 now、today、tomorrow、yesterday、startOfWeek、endOfWeek、startOfMonth、endOfMonth 及偏移（如 today-7、startOfWeek+1w），区间为左闭右开；
+ *                   用户取值 me 表示查看者本人；blocked、overdue 为布尔条件
+ *                 example:
+ *                   match: all
+ *                   conditions:
+ *                     - { field: assignedTo, op: is, value: me }
+ *                     - { field: overdue, op: is, value: true }
+ *                     - match: any
+ *                       conditions:
+ *                         - { field: priority, op: is, value: urgent }
+ *                         - { field: tags, op: hasAny, value: [客户] }
+ *               sort:
+ *                 type: object
+ *                 properties:
+ *                   field:
+ *                     type: string
+ *                     enum: [createdAt, updatedAt, dueDate, startDate, priority, status, title, progress]
+ *                   order:
+ *                     type: string
+ *                     enum: [asc, desc]
+ *               groupBy:
+ *                 type: string
+ *                 enum: [none, status, priority, category, assignedTo, dueDate, tags]
+ *               sharedWith:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 共享给的同事（用户ID或用户名）
+ *     responses:
+ *       201:
+ *         description: 视图保存成功
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.route('/views')
+  .get(getTaskViews)
+  .post(createTaskView);
+
+/**
+ * @swagger
+ * /api/tasks/views/{viewId}:
+ *   put:
+ *     summary: 更新任务视图
+ *     description: 仅视图所有者可修改，请求体字段同保存视图，只更新提供的字段
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: viewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: 视图更新成功
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: 删除任务视图
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: viewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 视图删除成功
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.route('/views/:viewId')
+  .put(updateTaskView)
+  .delete(deleteTaskView);
+
+/**
+ * @swagger
+ * /api/tasks/views/{viewId}/tasks:
+ *   get:
+ *     summary: 按视图获取任务
+ *     description: 按视图的筛选、排序返回当前用户创建或负责的任务，groups 为分组及各组任务ID
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: viewId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 视图ID，内置视图以 preset- 开头
+ *     responses:
+ *       200:
+ *         description: 成功获取任务
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/views/:viewId/tasks', getTaskViewTasks);
+
+/**
+ * @swagger
+ * /api/tasks/board:
+ *   get:
+ *     summary: 获取任务看板
+ *     description: 按状态、优先级或负责人分列返回任务，列内按手动排序；overLimit 表示超过列的在制品上限
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [status, priority, assignedTo]
+ *           default: status
+ *       - in: query
+ *         name: viewId
+ *         schema:
+ *           type: string
+ *         description: 按视图筛选看板中的任务
+ *     responses:
+ *       200:
+ *         description: 成功获取看板
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/board', getTaskBoard);
+
+/**
+ * @swagger
+ * /api/tasks/board/move:
+ *   patch:
+ *     summary: 看板拖拽移动任务
+ *     description: 一次请求同时更新任务所在列对应的字段（状态、优先级或负责人）和列内排序，超过目标列在制品上限时返回 warning
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - taskId
+ *               - to
+ *             properties:
+ *               taskId:
+ *                 type: string
+ *               groupBy:
+ *                 type: string
+ *                 enum: [status, priority, assignedTo]
+ *                 default: status
+ *               to:
+ *                 type: string
+ *                 description: 目标列标识，负责人分组时为用户ID或 none（未分配）
+ *               prevTaskId:
+ *                 type: string
+ *                 description: 放置位置上方的任务
+ *               nextTaskId:
+ *                 type: string
+ *                 description: 放置位置下方的任务，两者都不提供时放到列尾
+ *     responses:
+ *       200:
+ *         description: 任务已移动
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.patch('/board/move', moveBoardTask);
+
+/**
+ * @swagger
+ * /api/tasks/board/wip-limits:
+ *   put:
+ *     summary: 设置看板列的在制品上限
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - limits
+ *             properties:
+ *               groupBy:
+ *                 type: string
+ *                 enum: [status, priority, assignedTo]
+ *                 default: status
+ *               limits:
+ *                 type: object
+ *                 description: 列标识到上限的映射，0 或 null 表示取消上限
+ *                 example:
+ *                   in_progress: 5
+ *                   on_hold: null
+ *     responses:
+ *       200:
+ *         description: 在制品上限已更新
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/board/wip-limits', updateBoardWipLimits);
+
+/**
+ * @swagger
+ * /api/tasks/timeline:
+ *   get:
+ *     summary: 获取任务时间线（甘特图）
+ *     description: |
+ *       返回与时间窗口重叠的任务条形和依赖连线。只设置了开始或截止日期的任务按预估工时推算另一端
+ *       （每天8小时，至少1天），inferredStart/inferredEnd 表示该端为推算值；
+ *       conflict 表示后续任务早于前置任务结束开始
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 窗口开始（含），默认7天前
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: 窗口结束（不含），默认35天后，窗口最长366天
+ *       - in: query
+ *         name: viewId
+ *         schema:
+ *           type: string
+ *         description: 按视图筛选时间线中的任务
+ *     responses:
+ *       200:
+ *         description: 成功获取时间线
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bars:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           title:
+ *                             type: string
+ *                           start:
+ *                             type: string
+ *                             format: date-time
+ *                           end:
+ *                             type: string
+ *                             format: date-time
+ *                           inferredStart:
+ *                             type: boolean
+ *                           inferredEnd:
+ *                             type: boolean
+ *                           isCritical:
+ *                             type: boolean
+ *                     links:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           from:
+ *                             type: string
+ *                           to:
+ *                             type: string
+ *                           conflict:
+ *                             type: boolean
+ *                     unscheduled:
+ *                       type: integer
+ *                       description: 未设置开始和截止日期的未完成任务数
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/timeline', getTaskTimeline);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaskTemplateInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: 新员工入职
+ *         shared:
+ *           type: boolean
+ *           description: 共享给团队所有成员
+ *         titlePattern:
+ *           type: string
+ *           description: |
+ *             任务标题模式。内置占位符：{date}、{year}、{month}、{day}、{week}（ISO周数）、{quarter}、{user}；
+ *             其他占位符需在创建任务时通过 variables 提供
+ *           example: "{姓名}入职准备"
+ *         description:
+ *           type: string
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high, urgent]
+ *         category:
+ *           type: string
+ *           enum: [work, meeting, personal, project, other]
+ *         tags:
+ *           type: array
+ *           items:
+ *             type: string
+ *         estimatedHours:
+ *           type: number
+ *         subtasks:
+ *           type: array
+ *           description: 检查清单，可以是字符串或 { title }
+ *           items:
+ *             type: string
+ *         startOffsetDays:
+ *           type: integer
+ *           description: 开始日期相对创建日期的偏移天数
+ *         dueOffsetDays:
+ *           type: integer
+ *           description: 截止日期相对创建日期的偏移天数
+ *         dueTime:
+ *           type: string
+ *           example: "18:00"
+ *         recurring:
+ *           type: object
+ *           properties:
+ *             isRecurring:
+ *               type: boolean
+ *             frequency:
+ *               type: string
+ *               enum: [daily, weekly, monthly, yearly]
+ *             interval:
+ *               type: integer
+ */
+
+/**
+ * @swagger
+ * /api/tasks/templates:
+ *   get:
+ *     summary: 获取任务模板
+ *     description: 返回自己创建的模板（own）和同事共享的模板（shared），按使用次数排序
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功获取模板
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   post:
+ *     summary: 创建任务模板
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaskTemplateInput'
+ *     responses:
+ *       201:
+ *         description: 模板创建成功
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.route('/templates')
+  .get(getTaskTemplates)
+  .post(createTaskTemplate);
+
+/**
+ * @swagger
+ * /api/tasks/templates/{templateId}:
+ *   put:
+ *     summary: 更新任务模板（仅创建者）
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaskTemplateInput'
+ *     responses:
+ *       200:
+ *         description: 模板更新成功
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: 删除任务模板（仅创建者）
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 模板已删除
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.route('/templates/:templateId')
+  .put(updateTaskTemplate)
+  .delete(deleteTaskTemplate);
+
+/**
+ * @swagger
+ * /api/tasks/templates/{templateId}/instantiate:
+ *   post:
+ *     summary: 按模板创建任务
+ *     description: 替换标题和描述中的占位符，按偏移天数计算开始和截止日期，检查清单生成子任务
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               baseDate:
+ *                 type: string
+ *                 format: date
+ *                 description: 偏移天数的基准日期，默认今天
+ *               variables:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: string
+ *                 example: { "姓名": "王五" }
+ *               assignedTo:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: 任务创建成功
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/templates/:templateId/instantiate', instantiateTaskTemplate);
+
+/**
+ * @swagger
+ * /api/tasks/escalation-policies:
+ *   get:
+ *     summary: 获取任务逾期升级规则（管理员）
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功获取升级规则
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *   post:
+ *     summary: 创建任务逾期升级规则（管理员）
+ *     description: |
+ *       任务逾期达到步骤的 afterMinutes 后执行该步骤，每个步骤对同一截止日期只执行一次。
+ *       多条规则适用时使用最具体的规则（项目 > 类型 > 优先级），任务开始升级后继续使用同一规则
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - steps
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 紧急任务逾期升级
+ *               description:
+ *                 type: string
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *               scope:
+ *                 type: object
+ *                 description: 适用范围，留空表示不限
+ *                 properties:
+ *                   categories:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [work, meeting, personal, project, other]
+ *                   projects:
+ *                     type: array
+ *                     description: 项目ID
+ *                     items:
+ *                       type: string
+ *                   priorities:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [low, medium, high, urgent]
+ *               steps:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - afterMinutes
+ *                   properties:
+ *                     afterMinutes:
+ *                       type: integer
+ *                       description: 逾期多少分钟后触发
+ *                     notify:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [assignee, creator, manager, watchers]
+ *                     channels:
+ *                       type: array
+ *                       description: 额外通知渠道，站内通知始终发送
+ *                       items:
+ *                         type: string
+ *                         enum: [wechat, email]
+ *                     raisePriority:
+ *                       type: boolean
+ *                       description: 是否提升优先级一级
+ *                     message:
+ *                       type: string
+ *                 example:
+ *                   - { afterMinutes: 240, notify: [manager], channels: [wechat] }
+ *                   - { afterMinutes: 1440, notify: [creator], raisePriority: true }
+ *     responses:
+ *       201:
+ *         description: 升级规则创建成功
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.route('/escalation-policies')
+  .get(authorize('admin', 'super_admin'), getEscalationPolicies)
+  .post(authorize('admin', 'super_admin'), createEscalationPolicy);
+
+/**
+ * @swagger
+ * /api/tasks/escalation-policies/{policyId}:
+ *   put:
+ *     summary: 更新任务逾期升级规则（管理员）
+ *     description: 请求体字段同创建规则，只更新提供的字段
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: 升级规则更新成功
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *   delete:
+ *     summary: 删除任务逾期升级规则（管理员）
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 升级规则删除成功
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.route('/escalation-policies/:policyId')
+  .put(authorize('admin', 'super_admin'), updateEscalationPolicy)
+  .delete(authorize('admin', 'super_admin'), deleteEscalationPolicy);
+
+/**
+ * @swagger
+ * /api/tasks/{id}:
+ *   get:
+ *     summary: 获取单个任务详情
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *     responses:
+ *       200:
+ *         description: 成功获取任务详情
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Task'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   put:
+ *     summary: 更新任务
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [pending, in_progress, completed, cancelled]
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *               assignedTo:
+ *                 type: string
+ *                 nullable: true
+ *                 description: 负责人ID，传 null 取消分配
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               subtasks:
+ *                 type: array
+ *                 description: 子任务列表（整体替换，带 _id 的保留原子任务）
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     title:
+ *                       type: string
+ *                     completed:
+ *                       type: boolean
+ *               progress:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 100
+ *               dependencies:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 前置任务ID列表，不能形成循环依赖
+ *               reminders:
+ *                 type: array
+ *                 description: 自定义提醒（截止前24小时和逾期提醒根据截止日期自动生成）
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [email, wechat, system]
+ *                     time:
+ *                       type: string
+ *                       format: date-time
+ *                     message:
+ *                       type: string
+ *               recurring:
+ *                 type: object
+ *                 description: 重复设置
+ *                 properties:
+ *                   isRecurring:
+ *                     type: boolean
+ *                   frequency:
+ *                     type: string
+ *                     enum: [daily, weekly, monthly, yearly]
+ *                   interval:
+ *                     type: integer
+ *                     minimum: 1
+ *                   endDate:
+ *                     type: string
+ *                     format: date-time
+ *               recurrenceScope:
+ *                 type: string
+ *                 enum: [this, future]
+ *                 default: this
+ *                 description: 重复任务的修改范围：仅当前实例或当前及后续实例
+ *     responses:
+ *       200:
+ *         description: 任务更新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: 参数错误、依赖成环，或前置任务未完成时开始/完成任务
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   delete:
+ *     summary: 删除任务
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *     responses:
+ *       200:
+ *         description: 任务删除成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+// 单个任务路由
+router.route('/:id')
+  .get(getTask)
+  .put(updateTask)
+  .delete(deleteTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments:
+ *   post:
+ *     summary: 添加任务评论
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: 评论内容，支持@用户名提及（被提及的用户自动关注并收到通知）
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 附件文件ID列表
+ *     responses:
+ *       201:
+ *         description: 评论添加成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     comment:
+ *                       $ref: '#/components/schemas/Comment'
+ *                     task:
+ *                       $ref: '#/components/schemas/Task'
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+// 任务评论
+router.post('/:id/comments', addTaskComment);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/watchers:
+ *   post:
+ *     summary: 添加任务关注者
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 要添加的用户ID，不传时关注者为当前用户
+ *     responses:
+ *       200:
+ *         description: 关注者已更新
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:id/watchers', addTaskWatchers);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/watchers/{userId}:
+ *   delete:
+ *     summary: 移除任务关注者（本人取消关注，或创建者移除他人）
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 关注者用户ID，me 表示当前用户
+ *     responses:
+ *       200:
+ *         description: 关注者已更新
+ *       403:
+ *         description: 只有任务创建者可以移除其他关注者
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.delete('/:id/watchers/:userId', removeTaskWatcher);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/history:
+ *   get:
+ *     summary: 获取任务字段级变更历史
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *         description: 只返回该字段的变更（如 dueDate）
+ *     responses:
+ *       200:
+ *         description: 成功获取变更历史（按时间倒序）
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           action:
+ *                             type: string
+ *                           user:
+ *                             type: object
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *                           revertOf:
+ *                             type: string
+ *                             description: 撤销操作对应的原变更记录ID
+ *                           changes:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 field:
+ *                                   type: string
+ *                                 from: {}
+ *                                 to: {}
+ *                                 reverted:
+ *                                   type: boolean
+ *                                 revertible:
+ *                                   type: boolean
+ *                                   description: 字段支持撤销且当前值未被再次修改
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+// 任务变更历史
+router.get('/:id/history', getTaskHistory);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/schedule:
+ *   patch:
+ *     summary: 调整任务排期
+ *     description: |
+ *       修改开始和截止日期。shiftDependents 为 true 时，后续任务（沿依赖链传递）按截止日期的偏移量同步移动；
+ *       已完成、已取消或无权修改的后续任务不移动，在 skipped 中返回
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               shiftDependents:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: 排期已调整
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.patch('/:id/schedule', rescheduleTask);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/history/{entryId}/revert:
+ *   post:
+ *     summary: 撤销变更记录中单个字段的变更
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 变更记录ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - field
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 description: 要撤销的字段
  *     responses:
- *       201:
- *         description: 评论添加成功
+ *       200:
+ *         description: 变更已撤销
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:id/history/:entryId/revert', revertTaskChange);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/generate-plans:
+ *   post:
+ *     summary: 为任务生成AI执行计划
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *     responses:
+ *       200:
+ *         description: 成功生成执行计划
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 executionPlans:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+// 生成AI执行计划
+router.post('/:id/generate-plans', generateTaskExecutionPlans);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/commit-plan:
+ *   post:
+ *     summary: 采用规划方案，将步骤转换为子任务并可选地安排日历时间块
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               planId:
+ *                 type: string
+ *                 description: AI规划方案ID（aiPlans.planId），不传时使用任务已选中的方案
+ *               planIndex:
+ *                 type: integer
+ *                 description: 执行计划序号（executionPlans），与 planId 二选一
+ *               schedule:
+ *                 type: boolean
+ *                 default: false
+ *                 description: 是否在截止时间前的空闲时间安排日历时间块
+ *               hoursPerStep:
+ *                 type: number
+ *                 description: 每个步骤的工作量（小时），默认按预估工时平均分配
+ *     responses:
+ *       200:
+ *         description: 方案已采用
  *         content:
  *           application/json:
  *             schema:
@@ -541,10 +2333,22 @@ router.route('/:id')
  *                 data:
  *                   type: object
  *                   properties:
- *                     comment:
- *                       $ref: '#/components/schemas/Comment'
  *                     task:
- *                       $ref: '#/components/schemas/Task'
+ *                       type: object
+ *                     subtasks:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     events:
+ *                       type: array
+ *                       description: 创建的日历时间块
+ *                       items:
+ *                         type: object
+ *                     unscheduled:
+ *                       type: array
+ *                       description: 空闲时间不足而未安排的步骤
+ *                       items:
+ *                         type: string
  *       400:
  *         $ref: '#/components/responses/BadRequestError'
  *       404:
@@ -552,14 +2356,61 @@ router.route('/:id')
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-// 任务评论
-router.post('/:id/comments', addTaskComment);
+// 采用规划方案
+router.post('/:id/commit-plan', commitTaskPlan);
 
 /**
  * @swagger
- * /api/tasks/{id}/generate-plans:
+ * /api/tasks/{id}/plan-template:
  *   post:
- *     summary: 为任务生成AI执行计划
+ *     summary: 将规划方案保存为任务模板
+ *     description: 方案步骤作为模板的检查清单，截止偏移天数按任务原有工期计算
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               planId:
+ *                 type: string
+ *                 description: aiPlans 中的方案ID，未指定时使用已选中的方案
+ *               planIndex:
+ *                 type: integer
+ *                 description: executionPlans 中的方案序号
+ *               name:
+ *                 type: string
+ *                 description: 模板名称，默认使用方案标题
+ *               titlePattern:
+ *                 type: string
+ *                 description: 任务标题模式，默认使用任务标题
+ *               shared:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: 规划方案已保存为模板
+ *       400:
+ *         $ref: '#/components/responses/BadRequestError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/plan-template', saveTaskPlanAsTemplate);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/dependency-graph:
+ *   get:
+ *     summary: 获取任务的上下游依赖图
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -572,7 +2423,7 @@ router.post('/:id/comments', addTaskComment);
  *         description: 任务ID
  *     responses:
  *       200:
- *         description: 成功生成执行计划
+ *         description: 成功获取依赖图
  *         content:
  *           application/json:
  *             schema:
@@ -580,16 +2431,145 @@ router.post('/:id/comments', addTaskComment);
  *               properties:
  *                 success:
  *                   type: boolean
- *                 executionPlans:
- *                   type: array
- *                   items:
- *                     type: object
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     nodes:
+ *                       type: array
+ *                       description: 图节点，direction 为 root/upstream/downstream；无权查看的任务只返回ID和状态（restricted 为 true）
+ *                       items:
+ *                         type: object
+ *                     edges:
+ *                       type: array
+ *                       description: 有向边，from 为前置任务，to 为依赖它的任务
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           from:
+ *                             type: string
+ *                           to:
+ *                             type: string
+ *                     isBlocked:
+ *                       type: boolean
+ *                     blockingTasks:
+ *                       type: array
+ *                       items:
+ *                         type: object
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-// 生成AI执行计划
-router.post('/:id/generate-plans', generateTaskExecutionPlans);
+// 任务依赖图
+router.get('/:id/dependency-graph', getDependencyGraph);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/timer/start:
+ *   post:
+ *     summary: 开始或继续任务计时（自动暂停当前用户其他进行中的计时）
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *     responses:
+ *       200:
+ *         description: 操作成功
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:id/timer/start', startTaskTimer);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/timer/pause:
+ *   post:
+ *     summary: 暂停任务计时
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *     responses:
+ *       200:
+ *         description: 操作成功
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:id/timer/pause', pauseTaskTimer);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/timer/stop:
+ *   post:
+ *     summary: 结束任务计时并汇总实际工时
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: 工作备注
+ *     responses:
+ *       200:
+ *         description: 操作成功
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/:id/timer/stop', stopTaskTimer);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/time-entries:
+ *   get:
+ *     summary: 获取任务的计时记录
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任务ID
+ *     responses:
+ *       200:
+ *         description: 成功获取计时记录
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/:id/time-entries', getTaskTimeEntries);
 
 module.exports = router;
\ No newline at end of file
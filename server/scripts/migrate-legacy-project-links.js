@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// 连接数据库
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB连接成功');
+  } catch (error) {
+    console.error('数据库连接失败:', error);
+    process.exit(1);
+  }
+};
+
+const Document = require('../models/Document');
+const Meeting = require('../models/Meeting');
+const Project = require('../models/Project');
+
+/**
+ * 查找旧项目关联对应的项目：先按ID，再按唯一的项目名称
+ * @returns {Promise<Object|null>}
+ */
+const findProject = async ({ id, name }) => {
+  if (/^[0-9a-fA-F]{24}$/.test(id)) {
+    const project = await Project.findById(id).select('_id');
+    if (project) return project;
+  }
+
+  if (name) {
+    const projects = await Project.find({ name }).select('_id').limit(2);
+    if (projects.length === 1) return projects[0];
+  }
+
+  return null;
+};
+
+/**
+ * 迁移一个集合中的旧项目关联
+ * 旧数据的 project.id 为客户端提交的任意字符串，能对应到项目的转换为项目ID，其余清除ID、保留项目名称
+ */
+const migrateModel = async (Model, label) => {
+  // 直接读取原始数据，旧数据中的字符串无法按 ObjectId 读取
+  const records = await Model.collection.find(
+    { 'project.id': { $type: 'string' } },
+    { projection: { project: 1 } }
+  ).toArray();
+
+  let converted = 0;
+  for (const record of records) {
+    const project = await findProject(record.project);
+    if (project) {
+      await Model.collection.updateOne({ _id: record._id }, { $set: { 'project.id': project._id } });
+      converted++;
+    } else {
+      await Model.collection.updateOne({ _id: record._id }, { $unset: { 'project.id': '' } });
+    }
+  }
+
+  console.log(`- ${label}: ${records.length}条旧项目关联，转换${converted}条，清除${records.length - converted}条`);
+};
+
+const migrate = async () => {
+  try {
+    await connectDB();
+
+    await migrateModel(Document, '文档');
+    await migrateModel(Meeting, '会议');
+
+    console.log('迁移完成');
+    process.exit(0);
+  } catch (error) {
+    console.error('迁移项目关联失败:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
@@ -85,6 +85,9 @@ const createApp = () => {
   app.use('/api/wechat-admin', require('./routes/wechat-admin'));
   app.use('/api/ai', require('./routes/ai'));
   app.use('/api/notifications', require('./routes/notification'));
+  app.use('/api/reports', require('./routes/reports'));
+  app.use('/api/projects', require('./routes/projects'));
+  app.use('/api/okrs', require('./routes/okrs'));
 
   // WeChat webhook (needs to be at root path)
   app.use('/wechat', require('./routes/wechat-webhook'));
@@ -6,6 +6,7 @@
 const aiService = require('./aiService');
 const researchService = require('./enhancedResearchService');
 const searchService = require('./intelligentSearchService');
+const taskQuickAddService = require('./taskQuickAddService');
 const User = require('../models/User');
 const Document = require('../models/Document');
 const Task = require('../models/Task');
@@ -282,40 +283,14 @@ class AdvancedWechatAssistantService {
    */
   async createTaskFromText(user, text) {
     try {
-      const taskAnalysisPrompt = `
-      分析用户的任务创建请求，提取任务信息：
-      用户输入：${text}
-      
-      请返回JSON格式：
-      {
-        "title": "任务标题",
-        "description": "任务描述",
-        "priority": "high/medium/low",
-        "dueDate": "YYYY-MM-DD或null",
-        "estimatedHours": 数字或null
-      }
-      `;
+      const taskText = text.replace(/^(帮我|请)?(创建|添加|新建)(一个)?(任务)?[:：\s]*/, '').trim();
+      const { task, warnings } = await taskQuickAddService.createTask(user, taskText, { createdVia: 'wechat' });
 
-      const aiResponse = await aiService.callAI(taskAnalysisPrompt, {
-        temperature: 0.3,
-        maxTokens: 500
-      });
-
-      const taskInfo = JSON.parse(aiResponse);
-
-      // 创建任务
-      const task = await Task.create({
-        title: taskInfo.title,
-        description: taskInfo.description,
-        assignee: user.username,
-        priority: taskInfo.priority || 'medium',
-        dueDate: taskInfo.dueDate ? new Date(taskInfo.dueDate) : undefined,
-        estimatedHours: taskInfo.estimatedHours,
-        status: 'pending',
-        source: 'wechat'
-      });
+      if (!task) {
+        return '❌ 任务创建失败，请尝试更明确地描述任务内容，例如："创建任务 明天下午3点前提交周报 !高"';
+      }
 
-      return `✅ **任务创建成功**\n\n📋 **${task.title}**\n📝 ${task.description}\n🎯 优先级：${task.priority}\n📅 截止：${task.dueDate ? task.dueDate.toLocaleDateString('zh-CN') : '未设置'}\n\n🔗 任务ID：${task._id.toString().slice(-6)}`;
+      return taskQuickAddService.formatReply(task, warnings);
 
     } catch (error) {
       console.error('创建任务失败:', error);
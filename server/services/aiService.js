@@ -505,21 +505,24 @@ class AIService {
    * @param {string} userPosition 用户职位
    * @param {string} deadline 截止日期
    * @param {Object} options 配置选项
+   * @param {Object} options.estimateBias 历史估时偏差（实际/预估），用于校准时间估算
    * @returns {Promise<Array>} 返回3个以上的规划方案
    */
   async generateTaskPlanning(taskDescription, userPosition = '员工', deadline = null, options = {}) {
+    const { estimateBias, ...aiOptions } = options;
+
     // 如果是Mock模式，直接返回改进后的模拟数据
     if (this.defaultProvider === 'mock') {
       console.log('Mock模式: 使用改进的任务规划数据');
       return this.generateMockTaskPlanning(taskDescription, userPosition, deadline);
     }
     
-    const prompt = this.buildTaskPlanningPrompt(taskDescription, userPosition, deadline);
+    const prompt = this.buildTaskPlanningPrompt(taskDescription, userPosition, deadline, estimateBias);
     const systemPrompt = '你是一个专业的工作规划助手，擅长为不同职位的用户制定高效的工作计划。请生成3-4个不同的实施方案，每个方案都要详细具体。';
 
     try {
       const response = await this.callAI(prompt, {
-        ...options,
+        ...aiOptions,
         systemPrompt,
         temperature: 0.8,
         maxTokens: 2000
@@ -572,7 +575,7 @@ class AIService {
   async analyzeMeeting(meetingData) {
     const { title, transcription, participants, type, duration } = meetingData;
     
-    const prompt = this.buildMeetingAnalysisPrompt(meetingData);
+    const prompt = this.buildMeetingContentPrompt(meetingData);
     const systemPrompt = '你是一个专业的会议分析师，能够提取关键信息、总结要点、识别决策并生成行动项。';
 
     try {
@@ -582,7 +585,7 @@ class AIService {
         maxTokens: 2000
       });
 
-      return this.parseMeetingAnalysis(response, meetingData);
+      return this.parseMeetingContentAnalysis(response, meetingData);
     } catch (error) {
       console.error('会议分析AI服务错误:', error);
       // 使用模拟数据作为后备
@@ -678,6 +681,93 @@ class AIService {
     }
   }
 
+  /**
+   * 根据工作记录撰写周报/月报
+   * @param {Object} reportData 报告数据
+   * @param {string} reportData.typeLabel 报告类型（周报/月报）
+   * @param {string} reportData.periodLabel 统计周期
+   * @param {string} reportData.userPosition 用户职位
+   * @param {Array<{key: string, title: string, content: string}>} reportData.sections 按模板整理的各章节事实
+   * @param {Object} options 配置选项
+   * @returns {Promise<Object|null>} 章节标识 -> Markdown内容，AI不可用时返回null（使用模板草稿）
+   */
+  async generateWorkReport(reportData, options = {}) {
+    if (this.defaultProvider === 'mock') {
+      return null;
+    }
+
+    const prompt = this.buildWorkReportPrompt(reportData);
+    const systemPrompt = '你是一个专业的工作汇报助手，擅长把零散的工作记录整理成条理清晰、重点突出的中文工作报告。只使用提供的事实，不要编造。';
+
+    try {
+      const response = await this.callAI(prompt, {
+        ...options,
+        systemPrompt,
+        temperature: 0.4,
+        maxTokens: 2000
+      });
+
+      return this.parseWorkReportResponse(response, reportData.sections);
+    } catch (error) {
+      console.error('工作报告AI服务错误:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 生成OKR季度回顾，AI不可用时返回null
+   */
+  async generateOkrReview(reviewData, options = {}) {
+    if (this.defaultProvider === 'mock') {
+      return null;
+    }
+
+    const prompt = this.buildOkrReviewPrompt(reviewData);
+    const systemPrompt = '你是一个专业的绩效复盘助手，擅长根据OKR进度数据撰写客观、简洁的中文季度回顾。只使用提供的事实，不要编造。';
+
+    try {
+      const response = await this.callAI(prompt, {
+        ...options,
+        systemPrompt,
+        temperature: 0.4,
+        maxTokens: 1500
+      });
+
+      return response?.trim() || null;
+    } catch (error) {
+      console.error('OKR季度回顾AI服务错误:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 生成会前简报：根据议程、共同任务、上次会议行动项、相关文档和项目进展撰写会前阅读材料
+   * @param {Object} briefData - { title, startTime, facts }
+   * @returns {Promise<string|null>} Markdown简报，AI不可用时返回null
+   */
+  async generateMeetingBrief(briefData, options = {}) {
+    if (this.defaultProvider === 'mock') {
+      return null;
+    }
+
+    const prompt = this.buildMeetingBriefPrompt(briefData);
+    const systemPrompt = '你是一个专业的会议助理，擅长为参会人整理简洁的中文会前阅读材料。只使用提供的事实，不要编造。';
+
+    try {
+      const response = await this.callAI(prompt, {
+        ...options,
+        systemPrompt,
+        temperature: 0.4,
+        maxTokens: 1500
+      });
+
+      return response?.trim() || null;
+    } catch (error) {
+      console.error('会前简报AI服务错误:', error);
+      return null;
+    }
+  }
+
   /**
    * 获取可用的AI提供商列表
    */
@@ -867,10 +957,10 @@ class AIService {
 
 
   /**
-   * 构建会议分析提示词
+   * 构建会议内容分析提示词（有分段转录时要求行动项和决策注明来源片段序号）
    */
-  buildMeetingAnalysisPrompt(meetingData) {
-    const { title, transcription, participants, type, duration } = meetingData;
+  buildMeetingContentPrompt(meetingData) {
+    const { title, transcription, segmentedTranscript, participants, type, duration } = meetingData;
     
     let participantsList = '';
     if (participants && participants.length > 0) {
@@ -886,8 +976,8 @@ class AIService {
 会议时长：${duration ? duration + '分钟' : '未知'}
 参会人员：${participantsList || '未知'}
 
-会议转录内容：
-${transcription}
+会议转录内容${segmentedTranscript ? '（每行开头为[#片段序号 时间 发言人]）' : ''}：
+${segmentedTranscript || transcription}
 
 请提供以下分析：
 1. 会议摘要（200字以内）
@@ -897,17 +987,17 @@ ${transcription}
 5. 主要话题分析
 6. 整体情感倾向
 
-请以JSON格式返回结果。`;
+请以JSON格式返回结果，字段为 summary、keyPoints、decisions（decision、decidedBy、context）、actionItems（content、assignedToName、priority、category）、topics、sentiment。${segmentedTranscript ? '\ndecisions 和 actionItems 的每一项请用 segmentIndex 字段给出其出处的片段序号（数字）。' : ''}`;
   }
 
   /**
-   * 解析会议分析结果
+   * 解析会议内容分析结果
    */
-  parseMeetingAnalysis(response, meetingData = {}) {
+  parseMeetingContentAnalysis(response, meetingData = {}) {
     try {
-      // 尝试解析JSON响应
-      const parsed = JSON.parse(response);
-      return parsed;
+      // 尝试解析JSON响应（允许包裹在说明文字或代码块中）
+      const match = response.match(/\{[\s\S]*\}/);
+      return JSON.parse(match ? match[0] : response);
     } catch (error) {
       // 如果解析失败，使用文本解析
       return this.parseTextMeetingAnalysis(response, meetingData);
@@ -1035,12 +1125,13 @@ ${transcription}
   // 以下是私有方法，保持原有逻辑不变
 
   // 私有方法：构建任务规划提示词
-  buildTaskPlanningPrompt(taskDescription, userPosition, deadline) {
+  buildTaskPlanningPrompt(taskDescription, userPosition, deadline, estimateBias = null) {
     return `
 作为${userPosition}，我需要完成以下任务：
 ${taskDescription}
 
 ${deadline ? `截止日期：${deadline}` : ''}
+${estimateBias ? `历史数据：我最近${estimateBias.sampleSize}个已完成任务的实际工时约为预估的${estimateBias.ratio}倍，请据此校准时间估算。` : ''}
 
 请为我生成3-4个不同的工作安排方案，每个方案应包括：
 1. 方案名称和核心优势
@@ -1102,6 +1193,77 @@ ${transcription}
 `;
   }
 
+  // 私有方法：构建工作报告提示词
+  buildWorkReportPrompt(reportData) {
+    const { typeLabel, periodLabel, userPosition, sections } = reportData;
+    const facts = sections
+      .map(section => `## ${section.title}（${section.key}）\n${section.content || '无'}`)
+      .join('\n\n');
+
+    return `
+请以${userPosition || '员工'}的身份，根据以下工作记录撰写${periodLabel}的${typeLabel}。
+
+${facts}
+
+要求：
+1. 按上述章节组织内容，每个章节用Markdown列表或短段落表达，突出成果、进展和风险
+2. "本期概述"用2-3句话总结本期工作
+3. 只使用给出的事实，没有内容的章节写"无"
+4. 以JSON对象返回，键为括号中的章节标识，值为该章节的Markdown内容，不要返回其他文字
+`;
+  }
+
+  // 私有方法：解析工作报告响应，只保留已知章节
+  parseWorkReportResponse(content, sections = []) {
+    try {
+      const match = content.match(/\{[\s\S]*\}/);
+      if (!match) return null;
+
+      const parsed = JSON.parse(match[0]);
+      const result = {};
+      sections.forEach(section => {
+        if (typeof parsed[section.key] === 'string' && parsed[section.key].trim()) {
+          result[section.key] = parsed[section.key].trim();
+        }
+      });
+      return Object.keys(result).length > 0 ? result : null;
+    } catch (error) {
+      console.error('解析工作报告响应失败:', error);
+      return null;
+    }
+  }
+
+  // 私有方法：构建OKR季度回顾提示词
+  buildOkrReviewPrompt(reviewData) {
+    const { quarter, userPosition, facts } = reviewData;
+
+    return `
+请以${userPosition || '员工'}的身份，根据以下OKR进度撰写${quarter}季度回顾。
+
+${facts}
+
+要求：
+1. 用Markdown输出，包含"总体完成情况"、"主要成果"、"未达成与原因"、"下季度建议"四个部分
+2. 引用具体的进度百分比，对进度低或有风险的关键结果分析可能原因
+3. 只使用给出的事实，不要编造数据
+`;
+  }
+
+  buildMeetingBriefPrompt(briefData) {
+    const { title, startTime, facts } = briefData;
+
+    return `
+请为即将于${new Date(startTime).toLocaleString('zh-CN')}召开的会议"${title}"撰写会前简报。
+
+${facts}
+
+要求：
+1. 用Markdown输出，包含"会议目标与议程"、"需要跟进的事项"、"背景资料"、"建议提前准备"四个部分
+2. 突出上次会议未完成的行动项、逾期任务和项目风险
+3. 只使用给出的事实，不要编造数据，控制在600字以内
+`;
+  }
+
   // 私有方法：解析任务规划响应
   parseTaskPlanningResponse(content) {
     try {
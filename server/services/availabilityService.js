@@ -0,0 +1,191 @@
+const Calendar = require('../models/Calendar');
+const UserProfile = require('../models/UserProfile');
+
+// 未设置工作时间时的默认值
+const DEFAULT_WORKING_HOURS = { start: '09:00', end: '18:00' };
+const DEFAULT_WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+
+const WEEKDAY_INDEX = {
+  sunday: 0,
+  monday: 1,
+  tuesday: 2,
+  wednesday: 3,
+  thursday: 4,
+  friday: 5,
+  saturday: 6
+};
+
+/**
+ * 用户空闲时间服务
+ * 根据用户工作时间设置和日历占用计算可用时间段
+ */
+class AvailabilityService {
+
+  /**
+   * 获取用户工作时间设置（来自协作偏好，未设置时使用工作日09:00-18:00）
+   * @param {string} userId - 用户ID
+   * @returns {Promise<{start: number, end: number, weekdays: Set<number>, hoursPerWeek: number|null}>} start/end 为当天分钟数
+   */
+  async getWorkingPattern(userId) {
+    const profile = await UserProfile.findOne({ user: userId })
+      .select('collaborationPreferences.availability');
+
+    return this.buildWorkingPattern(profile?.collaborationPreferences?.availability);
+  }
+
+  /**
+   * 将可用性设置转换为工作时间模式
+   */
+  buildWorkingPattern(availability = {}) {
+    const parseTime = (value, fallback) => {
+      const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+      return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : parseTime(fallback);
+    };
+
+    const weekdays = (availability?.weekdays?.length ? availability.weekdays : DEFAULT_WEEKDAYS)
+      .map(day => WEEKDAY_INDEX[String(day).toLowerCase()])
+      .filter(day => day !== undefined);
+
+    const start = parseTime(availability?.workingHours?.start, DEFAULT_WORKING_HOURS.start);
+    const end = parseTime(availability?.workingHours?.end, DEFAULT_WORKING_HOURS.end);
+
+    return {
+      start,
+      end: end > start ? end : parseTime(DEFAULT_WORKING_HOURS.end),
+      weekdays: new Set(weekdays),
+      // 每周可投入小时数（未设置时不限制）
+      hoursPerWeek: availability?.hoursPerWeek > 0 ? availability.hoursPerWeek : null
+    };
+  }
+
+  /**
+   * 获取用户在时间范围内的忙碌时间段（排除已取消和显示为空闲的事件）
+   */
+  async getBusyIntervals(userId, from, to) {
+    const events = await Calendar.find({
+      owner: userId,
+      status: { $ne: 'cancelled' },
+      showAs: { $ne: 'free' },
+      startTime: { $lt: to },
+      endTime: { $gt: from }
+    }).select('startTime endTime');
+
+    return events.map(event => ({ start: event.startTime, end: event.endTime }));
+  }
+
+  /**
+   * 计算空闲时间段
+   * @param {Object} pattern - 工作时间模式
+   * @param {Array<{start: Date, end: Date}>} busy - 忙碌时间段
+   * @param {Date} from - 开始时间
+   * @param {Date} to - 结束时间
+   * @returns {Array<{start: Date, end: Date}>}
+   */
+  computeFreeSlots(pattern, busy, from, to) {
+    const sortedBusy = [...busy]
+      .map(interval => ({ start: new Date(interval.start), end: new Date(interval.end) }))
+      .sort((a, b) => a.start - b.start);
+    const slots = [];
+
+    const day = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+    while (day < to) {
+      if (pattern.weekdays.has(day.getDay())) {
+        const windowStart = new Date(Math.max(from, this.atMinutes(day, pattern.start)));
+        const windowEnd = new Date(Math.min(to, this.atMinutes(day, pattern.end)));
+
+        let cursor = windowStart;
+        for (const interval of sortedBusy) {
+          if (interval.end <= cursor || interval.start >= windowEnd) continue;
+          if (interval.start > cursor) {
+            slots.push({ start: cursor, end: new Date(interval.start) });
+          }
+          if (interval.end > cursor) cursor = new Date(interval.end);
+        }
+        if (cursor < windowEnd) {
+          slots.push({ start: cursor, end: windowEnd });
+        }
+      }
+      day.setDate(day.getDate() + 1);
+    }
+
+    return slots.filter(slot => slot.end > slot.start);
+  }
+
+  /**
+   * 获取用户在时间范围内的空闲时间段
+   * @param {string} userId - 用户ID
+   * @param {Date} from - 开始时间
+   * @param {Date} to - 结束时间
+   */
+  async findFreeSlots(userId, from, to) {
+    const [pattern, busy] = await Promise.all([
+      this.getWorkingPattern(userId),
+      this.getBusyIntervals(userId, from, to)
+    ]);
+
+    return this.computeFreeSlots(pattern, busy, from, to);
+  }
+
+  /**
+   * 按顺序将工作量分配到空闲时间段，单个工作量可拆分到多个时间段
+   * 空闲时间不足时，该项及之后的各项均不安排
+   * @param {Array<{start: Date, end: Date}>} slots - 空闲时间段
+   * @param {Array<number>} durations - 每项工作量（分钟）
+   * @param {Object} options
+   * @param {number} options.minBlockMinutes - 拆分时的最短时间块
+   * @returns {{blocks: Array<{index: number, start: Date, end: Date}>, unscheduled: Array<number>}}
+   */
+  allocate(slots, durations, options = {}) {
+    const { minBlockMinutes = 30 } = options;
+    const remainingSlots = slots
+      .map(slot => ({ start: new Date(slot.start), end: new Date(slot.end) }))
+      .sort((a, b) => a.start - b.start);
+    const blocks = [];
+    const unscheduled = [];
+    let cursor = null;
+    let exhausted = false;
+
+    durations.forEach((duration, index) => {
+      // 保持先后顺序：前一项无法安排时，后续各项也不再安排
+      if (exhausted) {
+        unscheduled.push(index);
+        return;
+      }
+
+      let remaining = duration;
+      const itemBlocks = [];
+
+      for (const slot of remainingSlots) {
+        if (remaining <= 0) break;
+        // 后一项不能早于前一项结束
+        if (cursor && slot.start < cursor) slot.start = new Date(Math.min(cursor, slot.end));
+
+        const available = (slot.end - slot.start) / 60000;
+        // 时间段过短且无法一次容纳剩余工作量时跳过，避免碎片化
+        if (available <= 0 || available < Math.min(minBlockMinutes, remaining)) continue;
+
+        const minutes = Math.min(available, remaining);
+        const end = new Date(slot.start.getTime() + minutes * 60000);
+        itemBlocks.push({ index, start: new Date(slot.start), end });
+        slot.start = end;
+        cursor = end;
+        remaining -= minutes;
+      }
+
+      if (remaining > 0) {
+        unscheduled.push(index);
+        exhausted = true;
+      } else {
+        blocks.push(...itemBlocks);
+      }
+    });
+
+    return { blocks, unscheduled };
+  }
+
+  atMinutes(day, minutes) {
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(minutes / 60), minutes % 60);
+  }
+}
+
+module.exports = new AvailabilityService();
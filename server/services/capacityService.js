@@ -0,0 +1,342 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const availabilityService = require('./availabilityService');
+const taskDependencyService = require('./taskDependencyService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// 负载视图：默认4周，最多12周
+const DEFAULT_WEEKS = 4;
+const MAX_WEEKS = 12;
+
+// 团队负载最多统计的成员数
+const MAX_MEMBERS = 50;
+
+// 分配新任务时最多给出的改派建议数
+const MAX_SUGGESTIONS = 3;
+
+const OPEN_STATUSES = ['pending', 'in_progress', 'on_hold'];
+
+const USER_FIELDS = 'username profile.firstName profile.lastName';
+
+const toId = value => (value?._id || value)?.toString();
+
+const round = value => Math.round(value * 10) / 10;
+
+const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * 工作量与产能预测服务
+ * 按周比较每个用户未完成任务的剩余预估工时与日历空闲时间，标记超负荷并给出改派建议
+ */
+class CapacityService {
+
+  /**
+   * 获取日期所在周的周一
+   */
+  getWeekStart(date) {
+    const day = startOfDay(new Date(date));
+    day.setDate(day.getDate() - (day.getDay() + 6) % 7);
+    return day;
+  }
+
+  /**
+   * 解析统计周期
+   * @param {Object} params
+   * @param {string} params.from - 开始日期，默认本周
+   * @param {number} params.weeks - 周数
+   * @returns {{weeks?: Array<{start: Date, end: Date}>, error?: string}}
+   */
+  parseRange({ from, weeks = DEFAULT_WEEKS } = {}, now = new Date()) {
+    const start = from ? new Date(from) : now;
+    const count = parseInt(weeks, 10);
+
+    if (isNaN(start.getTime())) {
+      return { error: '请提供有效的开始日期' };
+    }
+    if (isNaN(count) || count < 1 || count > MAX_WEEKS) {
+      return { error: `统计周数必须在1到${MAX_WEEKS}之间` };
+    }
+
+    return { weeks: this.buildWeeks(start, count) };
+  }
+
+  buildWeeks(from, count) {
+    const first = this.getWeekStart(from);
+    return Array.from({ length: count }, (_, index) => {
+      const start = new Date(first.getFullYear(), first.getMonth(), first.getDate() + index * 7);
+      return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7) };
+    });
+  }
+
+  /**
+   * 剩余工时：预估工时按进度扣减
+   */
+  getRemainingHours(task) {
+    const estimated = task.estimatedHours || 0;
+    return estimated * (1 - Math.min(Math.max(task.progress || 0, 0), 100) / 100);
+  }
+
+  /**
+   * 将任务剩余工时平均摊到从今天（或开始日期）到截止日期之间的工作日
+   * 已逾期的任务全部计入今天；没有截止日期或预估工时的任务不计入
+   * @returns {Array<number>|null} 每周工时
+   */
+  distributeTask(task, weeks, pattern, now = new Date()) {
+    const hours = this.getRemainingHours(task);
+    if (hours <= 0 || !task.dueDate) return null;
+
+    const today = startOfDay(now);
+    const due = startOfDay(new Date(task.dueDate));
+    let from = task.startDate && new Date(task.startDate) > today ? startOfDay(new Date(task.startDate)) : today;
+    if (from > due) from = due < today ? today : due;
+    const to = due < today ? today : due;
+
+    const days = [];
+    for (const day = new Date(from); day <= to; day.setDate(day.getDate() + 1)) {
+      if (pattern.weekdays.has(day.getDay())) days.push(new Date(day));
+    }
+    // 区间内没有工作日（如截止在周末）时计入截止当天
+    if (days.length === 0) days.push(to);
+
+    const perDay = hours / days.length;
+    const result = weeks.map(() => 0);
+    days.forEach(day => {
+      const index = weeks.findIndex(week => day >= week.start && day < week.end);
+      if (index >= 0) result[index] += perDay;
+    });
+    return result;
+  }
+
+  /**
+   * 计算每周空闲工时：工作时间减去日历占用，已过去的时间不计，并受每周可投入小时数限制
+   */
+  getFreeHours(pattern, busy, week, now = new Date()) {
+    const from = new Date(Math.max(week.start, now));
+    if (from >= week.end) return 0;
+
+    const slots = availabilityService.computeFreeSlots(pattern, busy, from, week.end);
+    const free = slots.reduce((total, slot) => total + (slot.end - slot.start), 0) / 3600000;
+    if (!pattern.hoursPerWeek) return free;
+
+    const workdays = [0, 1, 2, 3, 4, 5, 6]
+      .map(offset => new Date(week.start.getFullYear(), week.start.getMonth(), week.start.getDate() + offset))
+      .filter(day => pattern.weekdays.has(day.getDay()));
+    const remaining = workdays.filter(day => day >= startOfDay(from)).length;
+    const cap = workdays.length > 0 ? pattern.hoursPerWeek * remaining / workdays.length : 0;
+    return Math.min(free, cap);
+  }
+
+  /**
+   * 汇总用户每周负载
+   * @param {Array} tasks - 用户未完成的任务
+   * @param {Object} pattern - 工作时间模式
+   * @param {Array} busy - 日历忙碌时间段
+   * @param {Array} weeks - 统计周
+   */
+  summarize(tasks, pattern, busy, weeks, now = new Date()) {
+    const planned = weeks.map(() => 0);
+    const contributions = weeks.map(() => []);
+    let unscheduledHours = 0;
+    let unestimatedTasks = 0;
+
+    tasks.forEach(task => {
+      if (!task.estimatedHours) {
+        unestimatedTasks += 1;
+        return;
+      }
+      const distribution = this.distributeTask(task, weeks, pattern, now);
+      if (!distribution) {
+        unscheduledHours += this.getRemainingHours(task);
+        return;
+      }
+      distribution.forEach((hours, index) => {
+        if (hours <= 0) return;
+        planned[index] += hours;
+        contributions[index].push({ task: task._id, title: task.title, hours: round(hours) });
+      });
+    });
+
+    const weekSummaries = weeks.map((week, index) => {
+      const freeHours = this.getFreeHours(pattern, busy, week, now);
+      return {
+        start: week.start,
+        end: week.end,
+        plannedHours: round(planned[index]),
+        freeHours: round(freeHours),
+        availableHours: round(freeHours - planned[index]),
+        utilization: freeHours > 0 ? Math.round(planned[index] / freeHours * 100) : null,
+        overAllocated: planned[index] > freeHours + 0.05,
+        tasks: contributions[index].sort((a, b) => b.hours - a.hours)
+      };
+    });
+
+    return {
+      weeks: weekSummaries,
+      plannedHours: round(planned.reduce((total, hours) => total + hours, 0)),
+      freeHours: round(weekSummaries.reduce((total, week) => total + week.freeHours, 0)),
+      unscheduledHours: round(unscheduledHours),
+      unestimatedTasks,
+      overAllocated: weekSummaries.some(week => week.overAllocated)
+    };
+  }
+
+  /**
+   * 用户负责的未完成任务（未分配的任务算作创建者的工作量）
+   */
+  async getOpenTasks(userIds, excludeTaskId) {
+    const query = {
+      status: { $in: OPEN_STATUSES },
+      $or: [
+        { assignedTo: { $in: userIds } },
+        { createdBy: { $in: userIds }, assignedTo: null }
+      ]
+    };
+    if (excludeTaskId) query._id = { $ne: excludeTaskId };
+
+    return await Task.find(query).select('title status estimatedHours progress startDate dueDate assignedTo createdBy watchers');
+  }
+
+  /**
+   * 计算多个用户的负载
+   * @param {Array<string>} userIds - 用户ID
+   * @param {Array} weeks - 统计周
+   * @param {Object} options
+   * @param {string} options.excludeTaskId - 不计入的任务（重新分配时排除任务本身）
+   * @returns {Promise<Map<string, Object>>} 用户ID -> 负载汇总
+   */
+  async getCapacities(userIds, weeks, { excludeTaskId, now = new Date() } = {}) {
+    const from = weeks[0].start;
+    const to = weeks[weeks.length - 1].end;
+    const tasks = await this.getOpenTasks(userIds, excludeTaskId);
+
+    const entries = await Promise.all(userIds.map(async userId => {
+      const [pattern, busy] = await Promise.all([
+        availabilityService.getWorkingPattern(userId),
+        availabilityService.getBusyIntervals(userId, from, to)
+      ]);
+      const ownTasks = tasks.filter(task => toId(task.assignedTo || task.createdBy) === userId.toString());
+      return [userId.toString(), { pattern, busy, tasks: ownTasks, ...this.summarize(ownTasks, pattern, busy, weeks, now) }];
+    }));
+
+    return new Map(entries);
+  }
+
+  /**
+   * 团队成员：当前用户及其分配过任务的用户
+   */
+  async getTeamMemberIds(userId) {
+    const assignees = await Task.distinct('assignedTo', {
+      createdBy: userId,
+      status: { $in: OPEN_STATUSES },
+      assignedTo: { $ne: null }
+    });
+    return [...new Set([userId.toString(), ...assignees.map(id => id.toString())])].slice(0, MAX_MEMBERS);
+  }
+
+  /**
+   * 每周任务明细只保留查看者有权查看的任务（创建者、负责人或关注者），其余任务只计入工时合计
+   * @param {Array} weekSummaries - summarize 返回的每周负载
+   * @param {Array} tasks - 参与统计的任务
+   * @param {string} viewerId - 查看者
+   */
+  toVisibleWeeks(weekSummaries, tasks, viewerId) {
+    const readable = new Set(tasks
+      .filter(task => taskDependencyService.canRead(task, viewerId))
+      .map(task => toId(task._id)));
+
+    return weekSummaries.map(week => {
+      const visible = week.tasks.filter(item => readable.has(toId(item.task)));
+      const restrictedHours = week.tasks
+        .filter(item => !readable.has(toId(item.task)))
+        .reduce((total, item) => total + item.hours, 0);
+      return { ...week, tasks: visible, restrictedHours: round(restrictedHours) };
+    });
+  }
+
+  /**
+   * 获取团队负载视图
+   * @param {string} userId - 当前用户ID
+   * @param {Array} weeks - 统计周
+   * @param {Array<string>} memberIds - 指定成员（默认为团队成员）
+   */
+  async getTeamCapacity(userId, weeks, memberIds) {
+    const ids = memberIds?.length ? memberIds.slice(0, MAX_MEMBERS) : await this.getTeamMemberIds(userId);
+    const [capacities, users] = await Promise.all([
+      this.getCapacities(ids, weeks),
+      User.find({ _id: { $in: ids } }).select(USER_FIELDS)
+    ]);
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const members = ids
+      .filter(id => usersById.has(id.toString()))
+      .map(id => {
+        const { pattern, busy, tasks, ...summary } = capacities.get(id.toString());
+        return {
+          user: usersById.get(id.toString()),
+          ...summary,
+          weeks: this.toVisibleWeeks(summary.weeks, tasks, userId)
+        };
+      });
+
+    return {
+      weeks: weeks.map(week => ({ start: week.start, end: week.end })),
+      members,
+      overAllocated: members.filter(member => member.overAllocated).map(member => member.user._id)
+    };
+  }
+
+  /**
+   * 分配任务前检查负责人负载，超负荷时建议改派给空闲的团队成员
+   * @param {Object} task - 待分配的任务（含 estimatedHours、progress、startDate、dueDate，可含 _id）
+   * @param {string} assigneeId - 负责人
+   * @param {string} managerId - 分配人（用于确定候选成员）
+   * @returns {Promise<Object|null>} 没有超负荷时返回null
+   */
+  async checkAssignment(task, assigneeId, managerId, now = new Date()) {
+    if (!assigneeId || !task.dueDate || this.getRemainingHours(task) <= 0) return null;
+
+    const due = new Date(task.dueDate);
+    const weekCount = Math.max(1, Math.min(MAX_WEEKS,
+      Math.floor((this.getWeekStart(due) - this.getWeekStart(now)) / WEEK_MS) + 1));
+    const weeks = this.buildWeeks(now, weekCount);
+
+    const memberIds = await this.getTeamMemberIds(managerId);
+    const candidateIds = [...new Set([assigneeId.toString(), ...memberIds])];
+    const capacities = await this.getCapacities(candidateIds, weeks, { excludeTaskId: task._id, now });
+
+    const withTask = userId => {
+      const capacity = capacities.get(userId);
+      return this.summarize([...capacity.tasks, task], capacity.pattern, capacity.busy, weeks, now);
+    };
+
+    const assigneeSummary = withTask(assigneeId.toString());
+    if (!assigneeSummary.overAllocated) return null;
+
+    const suggestions = candidateIds
+      .filter(id => id !== assigneeId.toString())
+      .map(id => ({ id, summary: withTask(id) }))
+      .filter(candidate => !candidate.summary.overAllocated)
+      .map(candidate => ({
+        user: candidate.id,
+        availableHours: round(candidate.summary.freeHours - candidate.summary.plannedHours)
+      }))
+      .sort((a, b) => b.availableHours - a.availableHours)
+      .slice(0, MAX_SUGGESTIONS);
+
+    const users = await User.find({ _id: { $in: [assigneeId, ...suggestions.map(item => item.user)] } }).select(USER_FIELDS);
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    return {
+      assignee: usersById.get(assigneeId.toString()) || assigneeId,
+      hours: round(this.getRemainingHours(task)),
+      overAllocatedWeeks: assigneeSummary.weeks
+        .filter(week => week.overAllocated)
+        .map(({ start, end, plannedHours, freeHours }) => ({ start, end, plannedHours, freeHours })),
+      suggestions: suggestions.map(item => ({ ...item, user: usersById.get(item.user) || item.user }))
+    };
+  }
+}
+
+module.exports = new CapacityService();
@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CustomFieldDefinition = require('../models/CustomFieldDefinition');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 文本字段最大长度
+const MAX_TEXT_LENGTH = 500;
+
+// 可由请求设置的字段定义属性（标识和类型创建后不可修改）
+const DEFINITION_FIELDS = ['label', 'description', 'options', 'required', 'min', 'max', 'active', 'order'];
+
+// 筛选运算符：cf[字段]=值 或 cf[字段][运算符]=值
+const FILTER_OPERATORS = {
+  text: ['contains', 'empty'],
+  number: ['eq', 'gte', 'lte', 'empty'],
+  date: ['eq', 'gte', 'lte', 'empty'],
+  select: ['in', 'empty'],
+  multi_select: ['in', 'empty'],
+  user: ['in', 'empty']
+};
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const splitList = value => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * 任务自定义字段服务
+ * 管理员定义字段（文本、数字、日期、单选、多选、用户），负责取值校验、筛选、排序、统计和导出格式化
+ */
+class CustomFieldService {
+
+  /**
+   * 获取字段定义（按显示顺序）
+   * @param {Object} options
+   * @param {boolean} options.includeInactive - 是否包含已停用的字段
+   */
+  async getDefinitions({ includeInactive = false } = {}) {
+    return await CustomFieldDefinition.find(includeInactive ? {} : { active: true })
+      .sort({ order: 1, createdAt: 1 });
+  }
+
+  /**
+   * 整理字段定义属性（白名单），创建时另外接受标识和类型
+   */
+  pickDefinitionFields(body = {}, { isNew = false } = {}) {
+    const fields = isNew ? ['key', 'type', ...DEFINITION_FIELDS] : DEFINITION_FIELDS;
+    const data = {};
+    fields.forEach(field => {
+      if (body[field] !== undefined) data[field] = body[field];
+    });
+    return data;
+  }
+
+  /**
+   * 任务上的自定义字段值转为普通对象
+   */
+  toPlain(customFields) {
+    if (!customFields) return {};
+    return customFields instanceof Map ? Object.fromEntries(customFields) : { ...customFields };
+  }
+
+  isEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+  }
+
+  /**
+   * 按字段类型校验并转换单个值
+   * @returns {{value?: *, error?: string}}
+   */
+  normalizeValue(definition, raw) {
+    const invalid = { error: `自定义字段"${definition.label}"的值无效` };
+
+    switch (definition.type) {
+      case 'text': {
+        if (typeof raw !== 'string' && typeof raw !== 'number') return invalid;
+        const text = String(raw).trim();
+        if (text.length > MAX_TEXT_LENGTH) {
+          return { error: `自定义字段"${definition.label}"不能超过${MAX_TEXT_LENGTH}个字符` };
+        }
+        return { value: text };
+      }
+      case 'number': {
+        const number = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+        if (typeof number !== 'number' || !Number.isFinite(number)) return invalid;
+        if (typeof definition.min === 'number' && number < definition.min) {
+          return { error: `自定义字段"${definition.label}"不能小于${definition.min}` };
+        }
+        if (typeof definition.max === 'number' && number > definition.max) {
+          return { error: `自定义字段"${definition.label}"不能大于${definition.max}` };
+        }
+        return { value: number };
+      }
+      case 'date': {
+        const date = new Date(raw);
+        return typeof raw === 'boolean' || isNaN(date.getTime()) ? invalid : { value: date };
+      }
+      case 'select':
+        return definition.options.includes(raw) ? { value: raw } : {
+          error: `自定义字段"${definition.label}"只能是: ${definition.options.join('、')}`
+        };
+      case 'multi_select': {
+        if (!Array.isArray(raw)) return invalid;
+        const values = [...new Set(raw)];
+        const unknown = values.filter(value => !definition.options.includes(value));
+        return unknown.length > 0 ? {
+          error: `自定义字段"${definition.label}"只能是: ${definition.options.join('、')}`
+        } : { value: values };
+      }
+      case 'user': {
+        const id = raw?._id || raw;
+        return mongoose.Types.ObjectId.isValid(id) ? { value: new mongoose.Types.ObjectId(String(id)) } : invalid;
+      }
+      default:
+        return invalid;
+    }
+  }
+
+  /**
+   * 校验并合并自定义字段值
+   * 空值表示清除；已停用的字段只能清除；新建任务时必填字段必须有值
+   * @param {Array} definitions - 字段定义（含已停用的字段）
+   * @param {Object} input - 请求中的字段值
+   * @param {Object} current - 任务当前的字段值
+   * @param {Object} options
+   * @param {boolean} options.isNew - 是否为新建任务
+   * @returns {Promise<{values?: Object, error?: string}>}
+   */
+  async validateValues(definitions, input, current = {}, { isNew = false } = {}) {
+    if (input === undefined || input === null) input = {};
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      return { error: '自定义字段格式无效' };
+    }
+
+    const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+    const values = { ...this.toPlain(current) };
+    const userIds = new Map();
+
+    for (const [key, raw] of Object.entries(input)) {
+      const definition = byKey.get(key);
+      if (!definition) {
+        return { error: `未知的自定义字段: ${key}` };
+      }
+      if (this.isEmpty(raw)) {
+        delete values[key];
+        continue;
+      }
+      if (!definition.active) {
+        return { error: `自定义字段"${definition.label}"已停用` };
+      }
+
+      const { value, error } = this.normalizeValue(definition, raw);
+      if (error) return { error };
+      values[key] = value;
+      if (definition.type === 'user') userIds.set(value.toString(), definition);
+    }
+
+    if (userIds.size > 0) {
+      const found = await User.find({ _id: { $in: [...userIds.keys()] } }).select('_id');
+      const existing = new Set(found.map(user => user._id.toString()));
+      const missing = [...userIds.entries()].find(([id]) => !existing.has(id));
+      if (missing) {
+        return { error: `自定义字段"${missing[1].label}"的用户不存在` };
+      }
+    }
+
+    // 新建时检查全部必填字段，更新时只检查本次修改的字段
+    const checked = definitions.filter(definition =>
+      definition.active && definition.required && (isNew || Object.prototype.hasOwnProperty.call(input, definition.key))
+    );
+    const missingRequired = checked.find(definition => this.isEmpty(values[definition.key]));
+    if (missingRequired) {
+      return { error: `请填写自定义字段"${missingRequired.label}"` };
+    }
+
+    return { values };
+  }
+
+  /**
+   * 将自定义字段筛选转换为查询条件
+   * @param {Array} definitions - 字段定义（含已停用的字段）
+   * @param {Object} filters - { 字段: 值 } 或 { 字段: { 运算符: 值 } }
+   * @param {string} userId - 当前用户ID（用户字段中的 me）
+   * @returns {{conditions?: Array, error?: string}}
+   */
+  buildFilters(definitions, filters, userId) {
+    if (!filters) return { conditions: [] };
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      return { error: '自定义字段筛选格式无效' };
+    }
+
+    const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+    const conditions = [];
+
+    for (const [key, raw] of Object.entries(filters)) {
+      const definition = byKey.get(key);
+      if (!definition) {
+        return { error: `未知的自定义字段: ${key}` };
+      }
+
+      const operators = raw && typeof raw === 'object' && !Array.isArray(raw)
+        ? raw
+        : { [definition.type === 'text' ? 'contains' : ['number', 'date'].includes(definition.type) ? 'eq' : 'in']: raw };
+
+      for (const [op, value] of Object.entries(operators)) {
+        if (!FILTER_OPERATORS[definition.type].includes(op)) {
+          return { error: `自定义字段"${definition.label}"不支持筛选运算符 ${op}` };
+        }
+        const condition = this.compileFilter(definition, op, value, userId);
+        if (condition.error) return { error: condition.error };
+        conditions.push({ [`customFields.${key}`]: condition.query });
+      }
+    }
+
+    return { conditions };
+  }
+
+  /**
+   * 编译单个筛选条件
+   * @returns {{query?: *, error?: string}}
+   */
+  compileFilter(definition, op, value, userId) {
+    const invalid = { error: `自定义字段"${definition.label}"的筛选值无效` };
+
+    if (op === 'empty') {
+      const empty = value === true || value === 'true';
+      return { query: empty ? { $in: [null, []] } : { $nin: [null, []] } };
+    }
+
+    switch (definition.type) {
+      case 'text':
+        return { query: { $regex: escapeRegex(String(value)), $options: 'i' } };
+      case 'number': {
+        const number = Number(value);
+        if (value === '' || !Number.isFinite(number)) return invalid;
+        return { query: op === 'eq' ? number : { [`$${op}`]: number } };
+      }
+      case 'date': {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return invalid;
+        if (op === 'gte') return { query: { $gte: date } };
+        // 按日期比较：lte 包含当天，eq 为当天范围
+        const nextDay = new Date(date.getTime() + DAY_MS);
+        return { query: op === 'lte' ? { $lt: nextDay } : { $gte: date, $lt: nextDay } };
+      }
+      case 'user': {
+        const ids = splitList(value).map(id => (id === 'me' ? userId : id));
+        if (ids.length === 0 || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) return invalid;
+        return { query: { $in: ids.map(id => new mongoose.Types.ObjectId(String(id))) } };
+      }
+      default: {
+        const options = splitList(value);
+        return options.length > 0 ? { query: { $in: options } } : invalid;
+      }
+    }
+  }
+
+  /**
+   * 自定义字段排序：sortBy 为 cf.字段标识
+   * @returns {string|null} 排序路径，不是自定义字段时返回null
+   */
+  getSortPath(definitions, sortBy) {
+    if (typeof sortBy !== 'string' || !sortBy.startsWith('cf.')) return null;
+    const key = sortBy.slice(3);
+    return definitions.some(definition => definition.key === key) ? `customFields.${key}` : null;
+  }
+
+  /**
+   * 汇总自定义字段：单选、多选按选项计数，数字求和与平均值
+   * @param {Array} definitions - 已启用的字段定义
+   * @param {Array} tasks - 任务（含 status 和 customFields）
+   */
+  summarize(definitions, tasks) {
+    return definitions
+      .filter(definition => ['select', 'multi_select', 'number'].includes(definition.type))
+      .map(definition => {
+        const values = tasks.map(task => ({ status: task.status, value: this.toPlain(task.customFields)[definition.key] }));
+        const filled = values.filter(item => !this.isEmpty(item.value));
+        const base = { key: definition.key, label: definition.label, type: definition.type, empty: values.length - filled.length };
+
+        if (definition.type === 'number') {
+          const sum = filled.reduce((total, item) => total + item.value, 0);
+          const completed = filled
+            .filter(item => item.status === 'completed')
+            .reduce((total, item) => total + item.value, 0);
+          return {
+            ...base,
+            count: filled.length,
+            sum: Math.round(sum * 100) / 100,
+            completedSum: Math.round(completed * 100) / 100,
+            average: filled.length > 0 ? Math.round(sum / filled.length * 100) / 100 : null
+          };
+        }
+
+        const counts = Object.fromEntries(definition.options.map(option => [option, 0]));
+        filled.forEach(item => {
+          [].concat(item.value).forEach(option => {
+            counts[option] = (counts[option] || 0) + 1;
+          });
+        });
+        return { ...base, counts };
+      });
+  }
+
+  /**
+   * 格式化字段值用于导出
+   * @param {Object} definition - 字段定义
+   * @param {*} value - 字段值
+   * @param {Map} userNames - 用户ID -> 显示名称
+   */
+  formatValue(definition, value, userNames = new Map()) {
+    if (this.isEmpty(value)) return '';
+    switch (definition.type) {
+      case 'date': {
+        const date = new Date(value);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+      }
+      case 'multi_select':
+        return [].concat(value).join('、');
+      case 'number':
+        // 保留数字类型，导出时负数不会被当作公式转义
+        return value;
+      case 'user':
+        return userNames.get(value.toString()) || value.toString();
+      default:
+        return String(value);
+    }
+  }
+}
+
+module.exports = new CustomFieldService();
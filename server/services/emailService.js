@@ -12,6 +12,7 @@ class EmailService {
    * @param {string} emailData.subject - 主题
    * @param {string} emailData.content - 内容
    * @param {string} emailData.type - 通知类型
+   * @param {Array<{filename: string, content: Buffer|string, contentType: string}>} emailData.attachments - 附件
    */
   static async sendNotificationEmail(emailData) {
     try {
@@ -20,6 +21,9 @@ class EmailService {
       console.log(`   主题: ${emailData.subject}`);
       console.log(`   内容: ${emailData.content}`);
       console.log(`   类型: ${emailData.type}`);
+      if (emailData.attachments?.length) {
+        console.log(`   附件: ${emailData.attachments.map(attachment => attachment.filename).join(', ')}`);
+      }
       
       // 模拟网络延迟
       await new Promise(resolve => setTimeout(resolve, 100));
@@ -71,8 +75,11 @@ class EmailService {
    * @param {Array} recipients - 收件人列表
    * @param {string} subject - 主题
    * @param {string} content - 内容
+   * @param {Object} options
+   * @param {string} options.type - 通知类型
+   * @param {Array} options.attachments - 附件
    */
-  static async sendBulkNotification(recipients, subject, content) {
+  static async sendBulkNotification(recipients, subject, content, options = {}) {
     const results = [];
     
     for (const email of recipients) {
@@ -81,7 +88,8 @@ class EmailService {
           to: email,
           subject,
           content,
-          type: 'bulk_notification'
+          type: options.type || 'bulk_notification',
+          attachments: options.attachments
         });
         results.push({ email, success: true, messageId: result.messageId });
       } catch (error) {
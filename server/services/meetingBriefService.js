@@ -0,0 +1,424 @@
+const Meeting = require('../models/Meeting');
+const Task = require('../models/Task');
+const Document = require('../models/Document');
+const Project = require('../models/Project');
+const aiService = require('./aiService');
+const NotificationService = require('./notificationService');
+const projectService = require('./projectService');
+
+// 未配置时提前60分钟发送简报
+const DEFAULT_LEAD_MINUTES = 60;
+
+// 提前发送时间上限（7天）
+const MAX_LEAD_MINUTES = 7 * 24 * 60;
+
+// 单个议程的时长上限（分钟）
+const MAX_TIMEBOX_MINUTES = 8 * 60;
+
+// 通知内容长度有限（500字符），只发送简报摘录
+const NOTIFICATION_EXCERPT_LENGTH = 400;
+
+const MAX_SHARED_TASKS = 20;
+const MAX_DOCUMENTS = 5;
+const DOCUMENT_SUMMARY_LENGTH = 200;
+
+const USER_FIELDS = 'username profile.firstName profile.lastName';
+
+const TASK_STATUS_LABELS = {
+  pending: '待处理',
+  in_progress: '进行中',
+  on_hold: '已暂停'
+};
+
+const PROJECT_STATUS_LABELS = {
+  planning: '规划中',
+  active: '进行中',
+  on_hold: '已暂停',
+  completed: '已完成',
+  cancelled: '已取消'
+};
+
+const EMPTY_CONTENT = '无';
+
+const toId = value => (value?._id || value)?.toString();
+
+const pad = value => String(value).padStart(2, '0');
+
+const formatDate = date => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const formatDateTime = date => `${formatDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+const truncate = (text, length) => {
+  const value = (text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.slice(0, length)}…` : value;
+};
+
+const getUserName = user => {
+  if (!user || !user.username) return null;
+  const name = `${user.profile?.lastName || ''}${user.profile?.firstName || ''}`;
+  return name || user.username;
+};
+
+const toSection = (title, lines) => `## ${title}\n\n${lines.length > 0 ? lines.join('\n') : EMPTY_CONTENT}`;
+
+/**
+ * 会前简报服务
+ * 维护会议议程，汇总参会人共同的未完成任务、上次会议行动项、相关文档摘要和项目进展，
+ * 由AI生成会前阅读材料并在会议开始前按设置的提前量通知参会人
+ */
+class MeetingBriefService {
+
+  /**
+   * 简报提前发送的分钟数：会议设置 > MEETING_BRIEF_LEAD_MINUTES > 默认值
+   */
+  getLeadMinutes(meeting) {
+    return meeting.brief?.leadMinutes || parseInt(process.env.MEETING_BRIEF_LEAD_MINUTES) || DEFAULT_LEAD_MINUTES;
+  }
+
+  /**
+   * 参会人：组织者和未拒绝邀请的参与者
+   * @returns {string[]} 用户ID
+   */
+  getAttendeeIds(meeting) {
+    const ids = [
+      meeting.organizer,
+      ...(meeting.participants || [])
+        .filter(participant => participant.status !== 'declined')
+        .map(participant => participant.user)
+    ].map(toId).filter(Boolean);
+    return [...new Set(ids)];
+  }
+
+  /**
+   * 校验议程：标题必填，负责人需是会议组织者或参与者，时长为正整数分钟
+   * @returns {{agenda?: Array, error?: string}}
+   */
+  normalizeAgenda(input, meeting) {
+    if (!Array.isArray(input)) {
+      return { error: '议程格式错误' };
+    }
+
+    const attendeeIds = [
+      toId(meeting.organizer),
+      ...(meeting.participants || []).map(participant => toId(participant.user))
+    ];
+
+    const agenda = [];
+    for (const item of input) {
+      const title = typeof item?.title === 'string' ? item.title.trim() : '';
+      if (!title) {
+        return { error: '议程标题不能为空' };
+      }
+      if (item.owner && !attendeeIds.includes(toId(item.owner))) {
+        return { error: '议程负责人只能是会议参与者' };
+      }
+      const hasTimebox = item.timebox !== undefined && item.timebox !== null && item.timebox !== '';
+      const timebox = Number(item.timebox);
+      if (hasTimebox && (!Number.isInteger(timebox) || timebox < 1 || timebox > MAX_TIMEBOX_MINUTES)) {
+        return { error: `议程时长应为1-${MAX_TIMEBOX_MINUTES}分钟的整数` };
+      }
+
+      agenda.push({
+        title,
+        description: typeof item.description === 'string' ? item.description.trim() || undefined : undefined,
+        owner: item.owner ? toId(item.owner) : undefined,
+        timebox: hasTimebox ? timebox : undefined
+      });
+    }
+
+    return { agenda };
+  }
+
+  /**
+   * 议程总时长及是否超出会议时长
+   */
+  summarizeAgenda(agenda = [], duration) {
+    const totalMinutes = agenda.reduce((total, item) => total + (item.timebox || 0), 0);
+    return {
+      totalMinutes,
+      overrun: !!duration && totalMinutes > duration
+    };
+  }
+
+  /**
+   * 校验简报设置
+   * @returns {{settings?: Object, error?: string}}
+   */
+  validateSettings(input = {}) {
+    const settings = {};
+
+    if (input.enabled !== undefined) {
+      if (typeof input.enabled !== 'boolean') {
+        return { error: 'enabled 必须是布尔值' };
+      }
+      settings.enabled = input.enabled;
+    }
+
+    if (input.leadMinutes !== undefined) {
+      // null 表示恢复默认提前量
+      if (input.leadMinutes !== null &&
+        (!Number.isInteger(input.leadMinutes) || input.leadMinutes < 5 || input.leadMinutes > MAX_LEAD_MINUTES)) {
+        return { error: `提前发送时间应为5-${MAX_LEAD_MINUTES}分钟的整数` };
+      }
+      settings.leadMinutes = input.leadMinutes === null ? undefined : input.leadMinutes;
+    }
+
+    return { settings };
+  }
+
+  /**
+   * 获取简报所需的会议数据（填充参会人和议程负责人）
+   */
+  findMeeting(meetingId) {
+    return Meeting.findById(meetingId)
+      .populate('organizer', USER_FIELDS)
+      .populate('participants.user', USER_FIELDS)
+      .populate('agenda.owner', USER_FIELDS);
+  }
+
+  /**
+   * 全部参会人都有权查看的任务：每位参会人都是创建者、负责人或关注者，
+   * 或全部参会人都是其成员的会议项目中的任务
+   * @param {string[]} attendeeIds - 参会人ID
+   * @param {string|null} projectId - 全部参会人都可访问的会议项目
+   */
+  buildSharedTaskQuery(attendeeIds, projectId) {
+    const conditions = [{
+      $and: attendeeIds.map(userId => ({
+        $or: [
+          { createdBy: userId },
+          { assignedTo: userId },
+          { watchers: userId }
+        ]
+      }))
+    }];
+    if (projectId) conditions.push({ project: projectId });
+    return { $or: conditions };
+  }
+
+  /**
+   * 全部参会人都有权查看的文档：上传者、公开文档或被单独授权
+   */
+  buildDocumentAccessQuery(attendeeIds) {
+    return {
+      $and: attendeeIds.map(userId => ({
+        $or: [
+          { uploadedBy: userId },
+          { 'permissions.isPublic': true },
+          { 'permissions.allowedUsers': userId }
+        ]
+      }))
+    };
+  }
+
+  /**
+   * 全部参会人是否都是项目负责人或成员
+   */
+  canAllAccessProject(project, attendeeIds) {
+    return attendeeIds.every(userId => !!project.getMemberRole(userId));
+  }
+
+  /**
+   * 收集简报素材
+   * 简报对全部参会人相同，只包含每位参会人都有权查看的任务、会议记录、文档和项目；有参会人无权访问时不列出项目进展和项目任务
+   */
+  async collectContext(meeting, now = new Date()) {
+    const attendeeIds = this.getAttendeeIds(meeting);
+    const meetingProjectId = toId(meeting.project?.id);
+    const meetingProject = meetingProjectId ? await Project.findById(meetingProjectId) : null;
+    const project = meetingProject && this.canAllAccessProject(meetingProject, attendeeIds) ? meetingProject : null;
+    const projectId = project ? meetingProjectId : null;
+
+    const documentConditions = [];
+    if (meeting.relatedDocuments?.length > 0) documentConditions.push({ _id: { $in: meeting.relatedDocuments } });
+    if (projectId) documentConditions.push({ 'project.id': projectId });
+
+    const [tasks, previousMeeting, documents] = await Promise.all([
+      Task.find({
+        status: { $nin: ['completed', 'cancelled'] },
+        ...this.buildSharedTaskQuery(attendeeIds, projectId)
+      })
+        .select('title status priority dueDate assignedTo project')
+        .populate('assignedTo', USER_FIELDS)
+        .sort({ dueDate: 1 })
+        .limit(MAX_SHARED_TASKS),
+      Meeting.findOne({ followUpMeeting: meeting._id })
+        .select('title startTime organizer participants aiAnalysis.actionItems')
+        .populate('aiAnalysis.actionItems.assignedTo', USER_FIELDS),
+      documentConditions.length > 0
+        ? Document.find({
+          $or: documentConditions,
+          ...this.buildDocumentAccessQuery(attendeeIds),
+          status: 'active',
+          'aiAnalysis.summary': { $nin: [null, ''] }
+        })
+          .select('title originalName aiAnalysis.summary')
+          .sort({ updatedAt: -1 })
+          .limit(MAX_DOCUMENTS)
+        : []
+    ]);
+
+    // 上次会议的行动项只在当前参会人都参加了上次会议时列出
+    const previousAttendeeIds = previousMeeting ? this.getAttendeeIds(previousMeeting) : [];
+    const attendedPrevious = attendeeIds.every(userId => previousAttendeeIds.includes(userId));
+
+    return {
+      sharedTasks: tasks,
+      previousMeeting: attendedPrevious ? previousMeeting : null,
+      documents,
+      project: project ? { project, dashboard: await projectService.getDashboard(project, now) } : null
+    };
+  }
+
+  /**
+   * 简报事实材料（Markdown），同时作为AI不可用时的简报正文
+   */
+  buildFacts(meeting, context, now = new Date()) {
+    const agenda = (meeting.agenda || []).map((item, index) => {
+      const details = [getUserName(item.owner) && `负责人：${getUserName(item.owner)}`, item.timebox && `${item.timebox}分钟`]
+        .filter(Boolean);
+      const description = item.description ? `：${item.description}` : '';
+      return `${index + 1}. ${item.title}${details.length > 0 ? `（${details.join('，')}）` : ''}${description}`;
+    });
+
+    const tasks = context.sharedTasks.map(task => {
+      const overdue = task.dueDate && new Date(task.dueDate) < now ? '，已逾期' : '';
+      const details = [
+        `负责人：${getUserName(task.assignedTo) || '未指定'}`,
+        TASK_STATUS_LABELS[task.status] || task.status,
+        task.dueDate && `截止：${formatDate(new Date(task.dueDate))}${overdue}`
+      ].filter(Boolean);
+      return `- ${task.title}（${details.join('，')}）`;
+    });
+
+    const previous = context.previousMeeting;
+    const actionItems = (previous?.aiAnalysis?.actionItems || []).map(item => {
+      const assignee = getUserName(item.assignedTo) || item.assignedToName || '未指定';
+      return `- ${item.content}（负责人：${assignee}，${item.completed ? '已完成' : '未完成'}）`;
+    });
+
+    const documents = context.documents.map(document =>
+      `- ${document.title || document.originalName}：${truncate(document.aiAnalysis.summary, DOCUMENT_SUMMARY_LENGTH)}`
+    );
+
+    const sections = [
+      toSection('会议议程', agenda),
+      toSection('参会人共同的未完成任务', tasks),
+      toSection(
+        previous ? `上次会议行动项（${previous.title}，${formatDate(new Date(previous.startTime))}）` : '上次会议行动项',
+        actionItems
+      ),
+      toSection('相关文档', documents)
+    ];
+
+    if (context.project) {
+      const { project, dashboard } = context.project;
+      const lines = [
+        `- 状态：${PROJECT_STATUS_LABELS[project.status] || project.status}`,
+        `- 任务进度：${dashboard.tasks.progress}%（已完成 ${dashboard.tasks.completed}/${dashboard.tasks.total}，逾期 ${dashboard.tasks.overdue}）`,
+        ...dashboard.milestones.overdue.map(milestone => `- 逾期里程碑：${milestone.title}（${formatDate(new Date(milestone.dueDate))}）`),
+        ...dashboard.milestones.upcoming.map(milestone => `- 即将到期里程碑：${milestone.title}（${formatDate(new Date(milestone.dueDate))}）`)
+      ];
+      sections.push(toSection(`项目进展（${project.name}）`, lines));
+    }
+
+    return sections.join('\n\n');
+  }
+
+  /**
+   * 生成并保存会前简报
+   * @param {Object} meeting - findMeeting 获取的会议
+   * @returns {Promise<Object>} 简报
+   */
+  async generate(meeting, now = new Date()) {
+    const context = await this.collectContext(meeting, now);
+    const facts = this.buildFacts(meeting, context, now);
+
+    const aiBrief = await aiService.generateMeetingBrief({
+      title: meeting.title,
+      startTime: meeting.startTime,
+      facts
+    });
+
+    const header = `# 会前简报：${meeting.title}\n\n会议时间：${formatDateTime(new Date(meeting.startTime))}`;
+    meeting.brief.content = `${header}\n\n${aiBrief || facts}\n`;
+    meeting.brief.source = aiBrief ? 'ai' : 'template';
+    meeting.brief.generatedAt = now;
+    await meeting.save();
+
+    return meeting.brief;
+  }
+
+  /**
+   * 生成简报并通知全部参会人
+   * @returns {Promise<number>} 成功通知的人数
+   */
+  async send(meeting, now = new Date()) {
+    const brief = await this.generate(meeting, now);
+    const content = `${truncate(brief.content, NOTIFICATION_EXCERPT_LENGTH)}\n完整简报请登录系统查看。`;
+
+    let notified = 0;
+    for (const userId of this.getAttendeeIds(meeting)) {
+      try {
+        await NotificationService.createNotification({
+          userId,
+          title: `📋 会前简报: ${meeting.title}`,
+          content,
+          type: 'meeting_reminder'
+        }, {
+          priority: 'high',
+          immediate: true,
+          relatedData: { meetingId: meeting._id }
+        });
+        notified++;
+      } catch (error) {
+        console.error(`❌ 会前简报通知失败 (${meeting._id} -> ${userId}):`, error.message);
+      }
+    }
+
+    return notified;
+  }
+
+  /**
+   * 发送到达提前量的会前简报
+   * 先原子地标记为已发送再生成，多实例并发执行时同一会议只发送一次
+   * @returns {Promise<number>} 发送简报的会议数
+   */
+  async runScheduledBriefs(now = new Date()) {
+    const candidates = await Meeting.find({
+      status: 'scheduled',
+      'brief.enabled': { $ne: false },
+      'brief.sentAt': { $exists: false },
+      startTime: { $gt: now, $lte: new Date(now.getTime() + MAX_LEAD_MINUTES * 60 * 1000) }
+    })
+      .select('startTime brief.leadMinutes')
+      .lean();
+
+    const due = candidates.filter(meeting =>
+      new Date(meeting.startTime).getTime() - this.getLeadMinutes(meeting) * 60 * 1000 <= now.getTime()
+    );
+
+    let sent = 0;
+    for (const { _id } of due) {
+      const claim = await Meeting.updateOne(
+        { _id, 'brief.sentAt': { $exists: false } },
+        { $set: { 'brief.sentAt': now } }
+      );
+      if (claim.modifiedCount === 0) continue;
+
+      try {
+        const meeting = await this.findMeeting(_id);
+        await this.send(meeting, now);
+        sent++;
+      } catch (error) {
+        // 生成失败时撤销标记，下一轮重试
+        await Meeting.updateOne({ _id }, { $unset: { 'brief.sentAt': '' } });
+        console.error(`❌ 会前简报发送失败: ${_id}`, error);
+      }
+    }
+
+    return sent;
+  }
+}
+
+module.exports = new MeetingBriefService();
@@ -0,0 +1,222 @@
+const fs = require('fs').promises;
+const Meeting = require('../models/Meeting');
+const EmailService = require('./emailService');
+const { markdownToDocx, markdownToPdf } = require('../utils/documentExport');
+
+// 内置纪要模板，可通过 MEETING_MINUTES_TEMPLATE 指定 Markdown 模板文件替换
+const DEFAULT_TEMPLATE = `# {{companyName}}会议纪要
+
+## {{title}}
+
+- 会议时间：{{time}}
+- 会议地点：{{location}}
+- 组织者：{{organizer}}
+- 参会人员：{{participants}}
+
+## 会议摘要
+
+{{summary}}
+
+## 讨论要点
+
+{{keyPoints}}
+
+## 会议决议
+
+{{decisions}}
+
+## 行动项
+
+{{actionItems}}
+
+## 议题
+
+{{topics}}
+
+## 会议记录
+
+{{minutes}}
+
+纪要导出时间：{{exportedAt}}
+`;
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+const EMPTY_CONTENT = '无';
+
+const USER_FIELDS = 'username email profile.firstName profile.lastName';
+
+const pad = value => String(value).padStart(2, '0');
+
+const formatDate = date => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const formatTime = date => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+const getUserName = user => {
+  if (!user || !user.username) return null;
+  const name = `${user.profile?.lastName || ''}${user.profile?.firstName || ''}`;
+  return name || user.username;
+};
+
+const toList = lines => (lines.length > 0 ? lines.map(line => `- ${line}`).join('\n') : EMPTY_CONTENT);
+
+/**
+ * 会议纪要服务
+ * 按公司模板将会议信息、AI分析结果和人工纪要渲染为正式纪要，支持导出和邮件发送给参会人
+ */
+class MeetingMinutesService {
+
+  get formats() {
+    return Object.keys(EXPORT_FORMATS);
+  }
+
+  /**
+   * 获取纪要所需的会议数据（填充组织者、参会人和行动项负责人）
+   */
+  findMeeting(meetingId) {
+    return Meeting.findById(meetingId)
+      .populate('organizer', USER_FIELDS)
+      .populate('participants.user', USER_FIELDS)
+      .populate('aiAnalysis.actionItems.assignedTo', USER_FIELDS);
+  }
+
+  /**
+   * 读取纪要模板：优先 MEETING_MINUTES_TEMPLATE 指定的文件
+   */
+  async loadTemplate() {
+    const templatePath = process.env.MEETING_MINUTES_TEMPLATE;
+    if (!templatePath) return DEFAULT_TEMPLATE;
+
+    try {
+      return await fs.readFile(templatePath, 'utf8');
+    } catch (error) {
+      throw new Error(`会议纪要模板读取失败: ${templatePath}`);
+    }
+  }
+
+  /**
+   * 模板占位符对应的内容
+   */
+  buildFields(meeting, exportedAt = new Date()) {
+    const analysis = meeting.aiAnalysis || {};
+    const start = new Date(meeting.startTime);
+    const end = new Date(meeting.endTime);
+    const sameDay = formatDate(start) === formatDate(end);
+
+    const actionItems = (analysis.actionItems || []).map(item => {
+      const details = [
+        `负责人：${getUserName(item.assignedTo) || item.assignedToName || '未指定'}`,
+        item.dueDate && `截止：${formatDate(new Date(item.dueDate))}`,
+        item.completed && '已完成'
+      ].filter(Boolean);
+      return `${item.content}（${details.join('，')}）`;
+    });
+
+    return {
+      companyName: process.env.COMPANY_NAME || '',
+      title: meeting.title,
+      date: formatDate(start),
+      time: `${formatDate(start)} ${formatTime(start)} - ${sameDay ? '' : `${formatDate(end)} `}${formatTime(end)}`,
+      location: meeting.location || (meeting.isOnline ? `线上会议${meeting.meetingLink ? `（${meeting.meetingLink}）` : ''}` : EMPTY_CONTENT),
+      organizer: getUserName(meeting.organizer) || EMPTY_CONTENT,
+      participants: (meeting.participants || []).map(participant => getUserName(participant.user)).filter(Boolean).join('、') || EMPTY_CONTENT,
+      summary: analysis.summary || EMPTY_CONTENT,
+      keyPoints: toList(analysis.keyPoints || []),
+      decisions: toList((analysis.decisions || []).map(item =>
+        item.decidedBy ? `${item.decision}（决策人：${item.decidedBy}）` : item.decision
+      )),
+      actionItems: toList(actionItems),
+      topics: toList((analysis.topics || []).map(item =>
+        item.timeSpent ? `${item.topic}（约${item.timeSpent}分钟）` : item.topic
+      )),
+      minutes: meeting.minutes?.content || EMPTY_CONTENT,
+      exportedAt: `${formatDate(exportedAt)} ${formatTime(exportedAt)}`
+    };
+  }
+
+  /**
+   * 替换模板中的 {{占位符}}，未知占位符保持原样以便发现拼写错误
+   */
+  renderTemplate(template, fields) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+      Object.prototype.hasOwnProperty.call(fields, key) ? fields[key] : match
+    ));
+  }
+
+  /**
+   * 生成Markdown格式的会议纪要
+   */
+  async render(meeting) {
+    const template = await this.loadTemplate();
+    return this.renderTemplate(template, this.buildFields(meeting));
+  }
+
+  /**
+   * 导出会议纪要
+   * @param {Object} meeting - findMeeting 获取的会议
+   * @param {string} format - markdown / docx / pdf
+   * @param {string} markdown - 已生成的纪要，默认按模板生成
+   * @returns {Promise<{content: Buffer|string, filename: string, contentType: string}>}
+   */
+  async export(meeting, format, markdown = null) {
+    const text = markdown || await this.render(meeting);
+    const { extension, contentType } = EXPORT_FORMATS[format];
+
+    let content = text;
+    if (format === 'docx') content = await markdownToDocx(text);
+    if (format === 'pdf') content = markdownToPdf(text);
+
+    return {
+      content,
+      contentType,
+      filename: `meeting-minutes-${formatDate(new Date(meeting.startTime))}.${extension}`
+    };
+  }
+
+  /**
+   * 参会人邮箱（组织者和全部参与者，去重）
+   */
+  getRecipientEmails(meeting) {
+    const emails = [meeting.organizer, ...(meeting.participants || []).map(participant => participant.user)]
+      .map(user => user?.email)
+      .filter(email => email && EmailService.isValidEmail(email));
+    return [...new Set(emails)];
+  }
+
+  /**
+   * 将会议纪要邮件发送给全部参会人，正文为Markdown纪要，附件为指定格式的纪要文件
+   * @param {Object} meeting - findMeeting 获取的会议
+   * @param {string} senderId - 发送人
+   * @param {string} format - 附件格式
+   * @returns {Promise<{results?: Array, error?: string}>}
+   */
+  async sendToParticipants(meeting, senderId, format = 'docx') {
+    const recipients = this.getRecipientEmails(meeting);
+    if (recipients.length === 0) {
+      return { error: '没有可发送的参会人邮箱' };
+    }
+
+    const markdown = await this.render(meeting);
+    const attachment = await this.export(meeting, format, markdown);
+    const results = await EmailService.sendBulkNotification(
+      recipients,
+      `会议纪要：${meeting.title}`,
+      markdown,
+      { type: 'meeting_minutes', attachments: [attachment] }
+    );
+
+    const delivered = results.filter(result => result.success).map(result => result.email);
+    if (delivered.length > 0) {
+      meeting.minutes.deliveries.push({ recipients: delivered, format, sentBy: senderId, sentAt: new Date() });
+      await meeting.save();
+    }
+
+    return { results };
+  }
+}
+
+module.exports = new MeetingMinutesService();
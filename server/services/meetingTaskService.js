@@ -0,0 +1,150 @@
+const Task = require('../models/Task');
+const taskHistoryService = require('./taskHistoryService');
+const taskWatcherService = require('./taskWatcherService');
+const taskCompletionService = require('./taskCompletionService');
+const meetingTranscriptService = require('./meetingTranscriptService');
+
+// 由会议行动项创建的任务的来源类型（metadata.sourceType）
+const SOURCE_TYPE = 'meeting_action_item';
+
+// 与 Task 模型标题长度限制一致
+const MAX_TITLE_LENGTH = 200;
+
+const toId = value => (value?._id || value)?.toString();
+
+/**
+ * 会议行动项任务服务
+ * 将会议分析出的行动项转为任务，并在任务与行动项之间双向同步完成状态
+ */
+class MeetingTaskService {
+
+  /**
+   * 只有行动项负责人或会议组织者可以操作行动项
+   */
+  canManageActionItem(meeting, item, userId) {
+    const id = toId(userId);
+    return toId(meeting.organizer) === id || (!!item.assignedTo && toId(item.assignedTo) === id);
+  }
+
+  /**
+   * 根据行动项构建任务数据，负责人、优先级、截止日期和完成状态沿用行动项
+   */
+  buildTaskData(meeting, item, userId) {
+    const sourceTime = typeof item.sourceTime === 'number'
+      ? `（录音 ${meetingTranscriptService.formatTimestamp(item.sourceTime)}）`
+      : '';
+
+    const taskData = {
+      title: item.content.trim().slice(0, MAX_TITLE_LENGTH),
+      description: `来自会议「${meeting.title}」的行动项${sourceTime}`,
+      priority: item.priority || 'medium',
+      category: 'meeting',
+      createdBy: userId,
+      metadata: {
+        createdVia: 'meeting',
+        sourceType: SOURCE_TYPE,
+        sourceId: toId(meeting._id),
+        sourceItemId: toId(item._id)
+      }
+    };
+
+    if (item.assignedTo) taskData.assignedTo = toId(item.assignedTo);
+    if (item.dueDate) taskData.dueDate = item.dueDate;
+    if (meeting.project?.id) taskData.project = toId(meeting.project.id);
+    if (item.completed) {
+      taskData.status = 'completed';
+      taskData.completedAt = item.completedAt || new Date();
+    }
+
+    return taskData;
+  }
+
+  /**
+   * 为尚未转为任务的行动项创建任务，并通知负责人
+   * @param {Object} meeting - 会议文档
+   * @param {string} userId - 操作人（自动创建时为会议组织者）
+   * @param {Array<string>} itemIds - 指定行动项，默认为全部
+   * @returns {Promise<Array>} 新建的任务
+   */
+  async createTasks(meeting, userId, itemIds = null) {
+    const items = (meeting.aiAnalysis?.actionItems || []).filter(item =>
+      !item.task && item.content?.trim() && (!itemIds || itemIds.includes(toId(item._id)))
+    );
+
+    const tasks = [];
+    for (const item of items) {
+      const task = new Task(this.buildTaskData(meeting, item, userId));
+      await task.save();
+      await task.addActivityLog('created', userId, `由会议「${meeting.title}」的行动项创建`);
+      item.task = task._id;
+      tasks.push(task);
+    }
+
+    if (tasks.length > 0) {
+      await meeting.save();
+    }
+
+    tasks.forEach(task => {
+      taskWatcherService.notifyCreated(task, userId)
+        .catch(error => console.error('发送行动项任务通知失败:', error));
+    });
+
+    return tasks;
+  }
+
+  /**
+   * 重新分析后沿用内容相同的原行动项的任务关联和完成状态，避免重复创建任务
+   * @param {Array} previousItems - 原行动项
+   * @param {Array} items - 新分析出的行动项
+   */
+  carryOverTasks(previousItems = [], items = []) {
+    const linked = new Map(
+      previousItems
+        .filter(item => item.task && item.content)
+        .map(item => [item.content.trim(), item])
+    );
+
+    return items.map(item => {
+      const previous = linked.get((item.content || '').trim());
+      if (!previous) return item;
+      linked.delete(previous.content.trim());
+      return { ...item, _id: previous._id, task: previous.task, completed: previous.completed, completedAt: previous.completedAt };
+    });
+  }
+
+  /**
+   * 行动项完成状态变化后同步关联任务：完成则完成任务，取消完成则重新打开任务
+   * 与其他状态变更相同，需通过前置任务检查；子任务已全部完成的任务无法重新打开
+   * @param {Object} item - 行动项
+   * @param {string} userId - 操作人
+   * @returns {Promise<{task: Object|null, error?: string, blockingTasks?: Array}>}
+   */
+  async syncTaskFromActionItem(item, userId) {
+    if (!item.task) return { task: null };
+
+    const task = await Task.findById(item.task);
+    if (!task) return { task: null };
+    if ((task.status === 'completed') === !!item.completed) return { task };
+
+    const before = taskHistoryService.snapshot(task);
+    if (item.completed) {
+      task.status = 'completed';
+      task.completedAt = item.completedAt || new Date();
+    } else {
+      task.status = 'pending';
+    }
+
+    // 状态来自行动项，无需再回写会议
+    const result = await taskCompletionService.save(task, userId, {
+      before,
+      details: '随会议行动项同步状态',
+      syncActionItem: false
+    });
+
+    return result.error
+      ? { task, error: result.error, blockingTasks: result.blockingTasks }
+      : { task };
+  }
+}
+
+module.exports = new MeetingTaskService();
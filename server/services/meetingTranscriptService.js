@@ -0,0 +1,169 @@
+// 行动项/决策与转录片段文字重合比例达到该值才视为出处
+const CITATION_MIN_OVERLAP = 0.5;
+
+const toId = value => (value?._id || value)?.toString();
+
+const pad = value => String(value).padStart(2, '0');
+
+// 字符二元组集合，用于中文文本的相似度比较
+const getBigrams = text => {
+  const normalized = (text || '').replace(/[\s\p{P}]/gu, '');
+  const bigrams = new Set();
+  for (let i = 0; i < normalized.length - 1; i++) {
+    bigrams.add(normalized.slice(i, i + 2));
+  }
+  return bigrams;
+};
+
+/**
+ * 会议转录服务
+ * 发言人标签与参会人的映射、带时间戳的片段展示，以及为行动项和决策标注来源片段
+ */
+class MeetingTranscriptService {
+
+  /**
+   * 秒数格式化为 mm:ss 或 hh:mm:ss
+   */
+  formatTimestamp(seconds = 0) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const time = `${pad(minutes)}:${pad(total % 60)}`;
+    return hours > 0 ? `${pad(hours)}:${time}` : time;
+  }
+
+  /**
+   * 转录中出现的发言人标签（按首次出现顺序）
+   */
+  getSpeakerLabels(segments = []) {
+    return [...new Set(segments.map(segment => segment.speaker).filter(Boolean))];
+  }
+
+  /**
+   * 发言人显示名称：已对应的用户姓名 > 自定义名称 > 原始标签
+   */
+  getSpeakerName(label, speakers = []) {
+    const mapping = speakers.find(speaker => speaker.label === label);
+    const user = mapping?.user;
+    const userName = user?.profile?.fullName || user?.username;
+    return userName || mapping?.name || label || null;
+  }
+
+  /**
+   * 带发言人名称和序号的转录片段
+   */
+  resolveSegments(transcription = {}) {
+    const speakers = transcription.speakers || [];
+    return (transcription.segments || []).map((segment, index) => {
+      const mapping = speakers.find(speaker => speaker.label === segment.speaker);
+      return {
+        _id: segment._id,
+        index,
+        speaker: segment.speaker,
+        speakerName: this.getSpeakerName(segment.speaker, speakers),
+        speakerUser: mapping?.user || null,
+        startTime: segment.startTime,
+        endTime: segment.endTime,
+        text: segment.text,
+        confidence: segment.confidence
+      };
+    });
+  }
+
+  /**
+   * 校验发言人映射：标签需出现在转录中，用户需是会议组织者或参与者；未填写用户和名称的标签视为取消映射
+   * @returns {{speakers?: Array, error?: string}}
+   */
+  normalizeSpeakers(input, meeting) {
+    if (!Array.isArray(input)) {
+      return { error: '发言人映射格式错误' };
+    }
+
+    const labels = this.getSpeakerLabels(meeting.transcription?.segments);
+    const attendeeIds = [
+      toId(meeting.organizer),
+      ...(meeting.participants || []).map(participant => toId(participant.user))
+    ];
+
+    const byLabel = new Map();
+    for (const item of input) {
+      if (!item || typeof item.label !== 'string') {
+        return { error: '发言人映射格式错误' };
+      }
+      if (!labels.includes(item.label)) {
+        return { error: `未知的发言人标签: ${item.label}` };
+      }
+      if (item.user && !attendeeIds.includes(toId(item.user))) {
+        return { error: '发言人只能对应到会议参与者' };
+      }
+
+      const name = typeof item.name === 'string' ? item.name.trim() : '';
+      if (item.user || name) {
+        byLabel.set(item.label, { label: item.label, user: item.user ? toId(item.user) : undefined, name: name || undefined });
+      } else {
+        byLabel.delete(item.label);
+      }
+    }
+
+    return { speakers: Array.from(byLabel.values()) };
+  }
+
+  /**
+   * 供AI分析的分段转录文本，每行带片段序号、时间和发言人
+   */
+  buildPromptTranscript(segments) {
+    if (!segments || segments.length === 0) return null;
+
+    return segments.map(segment => {
+      const time = segment.startTime !== undefined && segment.startTime !== null
+        ? ` ${this.formatTimestamp(segment.startTime)}`
+        : '';
+      const speaker = segment.speakerName ? ` ${segment.speakerName}` : '';
+      return `[#${segment.index}${time}${speaker}] ${segment.text}`;
+    }).join('\n');
+  }
+
+  /**
+   * 文字重合度：item 的字符二元组出现在片段中的比例
+   */
+  getOverlap(itemText, segmentText) {
+    const itemBigrams = getBigrams(itemText);
+    if (itemBigrams.size === 0) return 0;
+
+    const segmentBigrams = getBigrams(segmentText);
+    let matched = 0;
+    itemBigrams.forEach(bigram => {
+      if (segmentBigrams.has(bigram)) matched++;
+    });
+    return matched / itemBigrams.size;
+  }
+
+  /**
+   * 为行动项或决策标注来源片段：优先使用AI返回的 segmentIndex，否则按文字重合度匹配
+   * @param {Array} items - 行动项或决策
+   * @param {Array} segments - resolveSegments 的结果
+   * @param {string} textKey - 比较的文本字段（content 或 decision）
+   */
+  citeSegments(items = [], segments = [], textKey) {
+    return items.map(item => {
+      const { segmentIndex, ...rest } = item;
+
+      let source = Number.isInteger(segmentIndex) ? segments[segmentIndex] : null;
+      if (!source) {
+        let bestOverlap = CITATION_MIN_OVERLAP;
+        segments.forEach(segment => {
+          const overlap = this.getOverlap(item[textKey], segment.text);
+          if (overlap >= bestOverlap && (!source || overlap > bestOverlap)) {
+            source = segment;
+            bestOverlap = overlap;
+          }
+        });
+      }
+
+      if (!source) return rest;
+      return { ...rest, sourceSegment: source._id, sourceTime: source.startTime };
+    });
+  }
+}
+
+module.exports = new MeetingTranscriptService();
@@ -3,6 +3,15 @@ const User = require('../models/User');
 const wechatService = require('./wechatService');
 const emailService = require('./emailService');
 
+// 任务状态的中文名称
+const TASK_STATUS_LABELS = {
+  pending: '待处理',
+  in_progress: '进行中',
+  completed: '已完成',
+  cancelled: '已取消',
+  on_hold: '已暂停'
+};
+
 /**
  * 通知服务类
  */
@@ -16,17 +25,18 @@ class NotificationService {
    * @param {string} notificationData.type - 类型
    * @param {string} notificationData.userId - 接收者ID
    * @param {Object} options - 选项
+   * @param {Array<string>} options.channels - 限定发送渠道（wechat/email），web始终启用
    */
   static async createNotification(notificationData, options = {}) {
     try {
       // 获取用户信息
-      const user = await User.findById(notificationData.userId).select('username email wechatBinding preferences');
+      const user = await User.findById(notificationData.userId).select('username email wechatBinding settings');
       if (!user) {
         throw new Error('用户不存在');
       }
 
       // 检查用户通知偏好设置
-      const userPrefs = user.preferences?.notifications || {};
+      const userPrefs = user.settings?.notifications || {};
       const channels = {
         wechat: {
           enabled: userPrefs.wechat && user.wechatBinding?.isVerified,
@@ -43,15 +53,25 @@ class NotificationService {
       };
 
       // 根据通知类型调整渠道设置
-      if (notificationData.type === 'task_reminder' && !userPrefs.taskReminders) {
+      if (notificationData.type === 'task_reminder' && userPrefs.taskReminders === false) {
+        channels.wechat.enabled = false;
+        channels.email.enabled = false;
+      }
+      if (notificationData.type === 'task_update' && userPrefs.taskUpdates === false) {
         channels.wechat.enabled = false;
         channels.email.enabled = false;
       }
-      if (notificationData.type === 'meeting_reminder' && !userPrefs.meetingReminders) {
+      if (notificationData.type === 'meeting_reminder' && userPrefs.meetingReminders === false) {
         channels.wechat.enabled = false;
         channels.email.enabled = false;
       }
 
+      // 调用方指定渠道时，仅保留指定且用户允许的渠道
+      if (Array.isArray(options.channels)) {
+        channels.wechat.enabled = !!channels.wechat.enabled && options.channels.includes('wechat');
+        channels.email.enabled = !!channels.email.enabled && options.channels.includes('email');
+      }
+
       // 创建通知记录
       const notification = new Notification({
         title: notificationData.title,
@@ -216,6 +236,7 @@ class NotificationService {
       system_update: '🔔',
       task_update: '📋',
       calendar_sync: '🔄',
+      work_report: '📝',
       general: '💬'
     };
 
@@ -377,16 +398,26 @@ class NotificationService {
   /**
    * 创建任务提醒通知
    * @param {Object} task - 任务对象
-   * @param {string} reminderType - 提醒类型 (deadline, status_change)
+   * @param {string} reminderType - 提醒类型 (deadline, overdue, custom, status_change)
+   * @param {Object} options - 选项
+   * @param {string} options.message - 自定义提醒内容
+   * @param {Array<string>} options.channels - 限定发送渠道
+   * @param {boolean} options.immediate - 是否立即发送
    */
-  static async createTaskReminder(task, reminderType = 'deadline') {
+  static async createTaskReminder(task, reminderType = 'deadline', options = {}) {
+    const dueDateText = task.dueDate ? new Date(task.dueDate).toLocaleString('zh-CN') : '未设置';
+
     const titles = {
       deadline: `⏰ 任务即将截止: ${task.title}`,
+      overdue: `🚨 任务已逾期: ${task.title}`,
+      custom: `🔔 任务提醒: ${task.title}`,
       status_change: `📋 任务状态更新: ${task.title}`
     };
 
     const contents = {
-      deadline: `您的任务"${task.title}"将在 ${new Date(task.dueDate).toLocaleDateString('zh-CN')} 截止，请及时处理。`,
+      deadline: `您的任务"${task.title}"将在 ${dueDateText} 截止，请及时处理。`,
+      overdue: `您的任务"${task.title}"已于 ${dueDateText} 到期，当前仍未完成，请尽快处理。`,
+      custom: options.message || `请记得处理任务"${task.title}"（截止时间: ${dueDateText}）。`,
       status_change: `您的任务"${task.title}"状态已更新为: ${task.status}`
     };
 
@@ -394,10 +425,104 @@ class NotificationService {
       title: titles[reminderType],
       content: contents[reminderType],
       type: 'task_reminder',
-      userId: task.assigneeId || task.createdBy
+      userId: task.assignedTo?._id || task.assignedTo || task.createdBy
+    }, {
+      priority: ['deadline', 'overdue'].includes(reminderType) ? 'high' : 'normal',
+      relatedData: { taskId: task._id },
+      channels: options.channels,
+      immediate: options.immediate
+    });
+  }
+
+  /**
+   * 创建任务动态通知（评论、@提及、状态变更、负责人变更）
+   * @param {Object} task - 任务对象
+   * @param {string} userId - 接收者ID
+   * @param {string} event - 动态类型 (comment, mention, description_mention, status_change, assigned, reassigned)
+   * @param {Object} options - 选项
+   * @param {string} options.actorName - 操作人名称
+   * @param {string} options.comment - 评论内容
+   * @param {string} options.from - 变更前的状态
+   * @param {string} options.to - 变更后的状态
+   * @param {string} options.assigneeName - 新负责人名称
+   */
+  static async createTaskUpdateNotification(task, userId, event, options = {}) {
+    const actor = options.actorName || '有人';
+    const excerpt = (options.comment || '').length > 200
+      ? `${options.comment.slice(0, 200)}...`
+      : options.comment || '';
+    const statusText = status => TASK_STATUS_LABELS[status] || status || '无';
+
+    const titles = {
+      comment: `💬 任务有新评论: ${task.title}`,
+      mention: `💬 ${actor}在任务中提到了你: ${task.title}`,
+      description_mention: `💬 ${actor}在任务中提到了你: ${task.title}`,
+      status_change: `📋 任务状态更新: ${task.title}`,
+      assigned: `👤 任务已分配给你: ${task.title}`,
+      reassigned: `👤 任务负责人变更: ${task.title}`
+    };
+
+    const contents = {
+      comment: `${actor}评论了任务"${task.title}"：${excerpt}`,
+      mention: `${actor}在任务"${task.title}"的评论中提到了你：${excerpt}`,
+      description_mention: `${actor}在任务"${task.title}"的描述中提到了你。`,
+      status_change: `${actor}将任务"${task.title}"的状态从"${statusText(options.from)}"改为"${statusText(options.to)}"。`,
+      assigned: `${actor}将任务"${task.title}"分配给了你。`,
+      reassigned: `${actor}将任务"${task.title}"的负责人改为${options.assigneeName || '无'}。`
+    };
+
+    return await this.createNotification({
+      title: titles[event].slice(0, 100),
+      content: contents[event].slice(0, 500),
+      type: 'task_update',
+      userId
+    }, {
+      priority: ['mention', 'description_mention', 'assigned'].includes(event) ? 'high' : 'normal',
+      relatedData: { taskId: task._id },
+      immediate: true
+    });
+  }
+
+  /**
+   * 创建任务逾期升级通知
+   * @param {Object} task - 任务对象
+   * @param {string} userId - 接收者ID
+   * @param {Object} options - 选项
+   * @param {string} options.role - 接收者身份 (assignee, creator, manager, watchers)
+   * @param {string} options.overdueText - 逾期时长描述
+   * @param {string} options.assigneeName - 负责人名称
+   * @param {string} options.message - 规则中的升级说明
+   * @param {string} options.raisedPriority - 提升后的优先级
+   * @param {Array<string>} options.channels - 限定发送渠道
+   */
+  static async createTaskEscalationNotification(task, userId, options = {}) {
+    const priorityLabels = { urgent: '紧急', high: '高', medium: '中', low: '低' };
+    const assignee = options.assigneeName || '未分配';
+
+    const contents = {
+      assignee: `您负责的任务"${task.title}"已逾期${options.overdueText}，请尽快处理。`,
+      creator: `您创建的任务"${task.title}"已逾期${options.overdueText}，负责人：${assignee}。`,
+      manager: `${assignee}负责的任务"${task.title}"已逾期${options.overdueText}，请关注。`,
+      watchers: `您关注的任务"${task.title}"已逾期${options.overdueText}，负责人：${assignee}。`
+    };
+
+    let content = contents[options.role] || contents.watchers;
+    if (options.raisedPriority) {
+      content += `优先级已提升为"${priorityLabels[options.raisedPriority]}"。`;
+    }
+    if (options.message) {
+      content += options.message;
+    }
+
+    return await this.createNotification({
+      title: `🚨 任务逾期升级: ${task.title}`.slice(0, 100),
+      content: content.slice(0, 500),
+      type: 'task_reminder',
+      userId
     }, {
-      priority: reminderType === 'deadline' ? 'high' : 'normal',
-      relatedData: { taskId: task._id }
+      priority: 'urgent',
+      relatedData: { taskId: task._id },
+      channels: options.channels
     });
   }
 
@@ -0,0 +1,356 @@
+const mongoose = require('mongoose');
+const Objective = require('../models/Objective');
+const KeyResult = require('../models/KeyResult');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const aiService = require('./aiService');
+const projectService = require('./projectService');
+const taskDependencyService = require('./taskDependencyService');
+
+const QUARTER_PATTERN = /^(\d{4})-Q([1-4])$/;
+
+const CONFIDENCE_LEVELS = ['on_track', 'at_risk', 'off_track'];
+
+const CONFIDENCE_LABELS = {
+  on_track: '正常',
+  at_risk: '有风险',
+  off_track: '已偏离'
+};
+
+const TASK_FIELDS = 'title status progress estimatedHours dueDate';
+
+const toId = value => (value?._id || value)?.toString();
+
+const clampProgress = value => Math.min(100, Math.max(0, Math.round(value)));
+
+/**
+ * OKR服务
+ * 计算关键结果和目标进度（指标或关联任务汇总）、记录进展更新并生成季度回顾
+ */
+class OkrService {
+
+  get confidenceLevels() {
+    return CONFIDENCE_LEVELS;
+  }
+
+  isAdmin(user) {
+    return ['admin', 'super_admin'].includes(user.role);
+  }
+
+  /**
+   * 日期所在季度，如 2024-Q3
+   */
+  getQuarter(date = new Date()) {
+    return `${date.getFullYear()}-Q${Math.floor(date.getMonth() / 3) + 1}`;
+  }
+
+  /**
+   * 季度的起止时间，格式错误返回null
+   * @returns {{start: Date, end: Date}|null}
+   */
+  getQuarterRange(quarter) {
+    const match = QUARTER_PATTERN.exec(quarter || '');
+    if (!match) return null;
+
+    const year = Number(match[1]);
+    const startMonth = (Number(match[2]) - 1) * 3;
+    return {
+      start: new Date(year, startMonth, 1),
+      end: new Date(year, startMonth + 3, 0, 23, 59, 59, 999)
+    };
+  }
+
+  /**
+   * 目标负责人和管理员可修改目标及其关键结果
+   */
+  canEditObjective(objective, user) {
+    return toId(objective.owner) === toId(user._id || user.id) || this.isAdmin(user);
+  }
+
+  /**
+   * 关键结果负责人也可以更新进展
+   */
+  canCheckIn(objective, keyResult, user) {
+    return this.canEditObjective(objective, user) || toId(keyResult.owner) === toId(user._id || user.id);
+  }
+
+  /**
+   * 用户可查看的目标：目标负责人、关键结果负责人、所属项目的负责人或成员（管理员不限）
+   * @returns {Promise<Object>} 目标查询条件
+   */
+  async buildAccessQuery(user) {
+    if (this.isAdmin(user)) return {};
+
+    const userId = user._id || user.id;
+    const [objectiveIds, projectIds] = await Promise.all([
+      KeyResult.distinct('objective', { owner: userId }),
+      Project.distinct('_id', projectService.buildAccessQuery(userId))
+    ]);
+
+    return {
+      $or: [
+        { owner: userId },
+        { _id: { $in: objectiveIds } },
+        { project: { $in: projectIds } }
+      ]
+    };
+  }
+
+  /**
+   * 关联任务只返回用户有权查看的（创建者、负责人或关注者），其余任务只体现在关键结果的汇总进度中
+   * @param {Object} keyResult - 已填充 tasks 的关键结果
+   */
+  toVisibleKeyResult(keyResult, user) {
+    const data = keyResult.toObject();
+    if (keyResult.progressSource !== 'tasks') return data;
+
+    const userId = user._id || user.id;
+    const visible = keyResult.tasks.filter(task => taskDependencyService.canRead(task, userId));
+    return {
+      ...data,
+      tasks: visible.map(task => ({
+        _id: task._id,
+        title: task.title,
+        status: task.status,
+        progress: task.progress,
+        dueDate: task.dueDate
+      })),
+      hiddenTaskCount: keyResult.tasks.length - visible.length
+    };
+  }
+
+  /**
+   * 指标进度：当前值在起始值到目标值之间的比例（支持目标值小于起始值）
+   */
+  calculateMetricProgress(keyResult) {
+    const { startValue = 0, targetValue, currentValue = 0 } = keyResult;
+    if (targetValue === undefined || targetValue === null) return 0;
+
+    if (targetValue === startValue) {
+      return currentValue === targetValue ? 100 : 0;
+    }
+    return clampProgress((currentValue - startValue) / (targetValue - startValue) * 100);
+  }
+
+  /**
+   * 任务进度：按预估工时加权的任务进度（已完成计100%，已取消不计入），当前值/目标值为完成数/任务数
+   */
+  calculateTaskProgress(tasks) {
+    const summary = projectService.summarizeTasks(tasks);
+    return {
+      progress: summary.progress,
+      currentValue: summary.completed,
+      targetValue: summary.total - (summary.byStatus.cancelled || 0)
+    };
+  }
+
+  /**
+   * 目标进度：关键结果进度按权重加权平均
+   */
+  calculateObjectiveProgress(keyResults) {
+    const totalWeight = keyResults.reduce((total, keyResult) => total + (keyResult.weight || 1), 0);
+    if (totalWeight === 0) return 0;
+
+    const weighted = keyResults.reduce(
+      (total, keyResult) => total + (keyResult.progress || 0) * (keyResult.weight || 1),
+      0
+    );
+    return clampProgress(weighted / totalWeight);
+  }
+
+  /**
+   * 校验关联任务：任务需存在，且当前用户是任务创建者或负责人（管理员不限）
+   * @returns {Promise<{tasks?: Array<string>, error?: string}>}
+   */
+  async validateTaskLinks(taskIds, user) {
+    if (!Array.isArray(taskIds)) {
+      return { error: '关联任务格式错误' };
+    }
+
+    const ids = [...new Set(taskIds.map(toId))];
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: '任务ID无效' };
+    }
+    if (ids.length === 0) {
+      return { tasks: [] };
+    }
+
+    const query = { _id: { $in: ids } };
+    if (!this.isAdmin(user)) {
+      const userId = user._id || user.id;
+      query.$or = [{ createdBy: userId }, { assignedTo: userId }];
+    }
+
+    const count = await Task.countDocuments(query);
+    if (count !== ids.length) {
+      return { error: '部分任务不存在或无权关联' };
+    }
+    return { tasks: ids };
+  }
+
+  /**
+   * 重新计算关键结果进度，任务型从关联任务汇总
+   * @param {boolean} options.save - 有变化时是否保存（调用方随后自行保存时传 false）
+   */
+  async refreshKeyResults(keyResults, { save = true } = {}) {
+    const taskIds = keyResults
+      .filter(keyResult => keyResult.progressSource === 'tasks')
+      .flatMap(keyResult => keyResult.tasks.map(toId));
+
+    const tasks = taskIds.length > 0
+      ? await Task.find({ _id: { $in: taskIds } }).select(TASK_FIELDS)
+      : [];
+    const tasksById = new Map(tasks.map(task => [task._id.toString(), task]));
+
+    await Promise.all(keyResults.map(keyResult => {
+      if (keyResult.progressSource === 'tasks') {
+        const linked = keyResult.tasks.map(id => tasksById.get(toId(id))).filter(Boolean);
+        Object.assign(keyResult, this.calculateTaskProgress(linked));
+      } else {
+        keyResult.progress = this.calculateMetricProgress(keyResult);
+      }
+      return save && keyResult.isModified() ? keyResult.save() : null;
+    }));
+
+    return keyResults;
+  }
+
+  /**
+   * 刷新目标及其关键结果的进度
+   * @returns {Promise<Map<string, Array>>} 目标ID到关键结果列表
+   */
+  async refreshObjectives(objectives) {
+    const keyResults = await KeyResult.find({ objective: { $in: objectives.map(objective => objective._id) } })
+      .populate('owner', 'username profile.firstName profile.lastName')
+      .sort({ createdAt: 1 });
+    await this.refreshKeyResults(keyResults);
+
+    const byObjective = new Map(objectives.map(objective => [objective._id.toString(), []]));
+    keyResults.forEach(keyResult => byObjective.get(toId(keyResult.objective))?.push(keyResult));
+
+    await Promise.all(objectives.map(objective => {
+      objective.progress = this.calculateObjectiveProgress(byObjective.get(objective._id.toString()));
+      return objective.isModified() ? objective.save() : null;
+    }));
+
+    return byObjective;
+  }
+
+  /**
+   * 重新计算单个目标的进度（关键结果增删改后调用）
+   */
+  async updateObjectiveProgress(objectiveId) {
+    const objective = await Objective.findById(objectiveId);
+    if (!objective) return null;
+
+    await this.refreshObjectives([objective]);
+    return objective;
+  }
+
+  /**
+   * 记录进展更新：指标型更新当前值，任务型只记录说明和信心
+   * @returns {{checkIn?: Object, error?: string}}
+   */
+  recordCheckIn(keyResult, { value, confidence, note }, userId) {
+    if (confidence !== undefined && !CONFIDENCE_LEVELS.includes(confidence)) {
+      return { error: '信心只能是 on_track、at_risk、off_track' };
+    }
+
+    if (keyResult.progressSource === 'metric') {
+      if (value === undefined || value === null || value === '' || !Number.isFinite(Number(value))) {
+        return { error: '请提供有效的当前值' };
+      }
+      keyResult.currentValue = Number(value);
+      keyResult.progress = this.calculateMetricProgress(keyResult);
+    }
+
+    if (confidence) keyResult.confidence = confidence;
+    keyResult.checkIns.push({
+      value: keyResult.progressSource === 'metric' ? keyResult.currentValue : undefined,
+      progress: keyResult.progress,
+      confidence: keyResult.confidence,
+      note,
+      createdBy: userId
+    });
+
+    return { checkIn: keyResult.checkIns[keyResult.checkIns.length - 1] };
+  }
+
+  /**
+   * 季度回顾统计
+   */
+  getReviewStats(objectives, byObjective) {
+    const keyResults = objectives.flatMap(objective => byObjective.get(objective._id.toString()) || []);
+    const active = objectives.filter(objective => objective.status !== 'cancelled');
+
+    return {
+      objectives: objectives.length,
+      keyResults: keyResults.length,
+      averageProgress: active.length > 0
+        ? Math.round(active.reduce((total, objective) => total + objective.progress, 0) / active.length)
+        : 0,
+      achievedKeyResults: keyResults.filter(keyResult => keyResult.progress >= 100).length,
+      atRiskKeyResults: keyResults.filter(keyResult => keyResult.confidence !== 'on_track').length
+    };
+  }
+
+  /**
+   * 按目标整理关键结果的进展事实，作为回顾的输入和模板回顾的内容
+   */
+  buildReviewFacts(objectives, byObjective) {
+    return objectives.map(objective => {
+      const lines = (byObjective.get(objective._id.toString()) || []).map(keyResult => {
+        const value = keyResult.progressSource === 'tasks'
+          ? `已完成任务 ${keyResult.currentValue}/${keyResult.targetValue}`
+          : `${keyResult.currentValue}/${keyResult.targetValue}${keyResult.unit || ''}`;
+        const lastNote = keyResult.checkIns[keyResult.checkIns.length - 1]?.note;
+        return `  - ${keyResult.title}：${keyResult.progress}%（${value}，${CONFIDENCE_LABELS[keyResult.confidence]}）${lastNote ? `，最新进展：${lastNote}` : ''}`;
+      });
+      return [`- ${objective.title}：${objective.progress}%`, ...lines].join('\n');
+    }).join('\n');
+  }
+
+  /**
+   * 生成季度回顾：AI不可用时返回基于进度数据的模板回顾
+   * @returns {Promise<{review?: Object, error?: string}>}
+   */
+  async generateQuarterlyReview(user, quarter) {
+    if (!this.getQuarterRange(quarter)) {
+      return { error: '季度格式应为 YYYY-Qn' };
+    }
+
+    const objectives = await Objective.find({ owner: user._id, quarter }).sort({ createdAt: 1 });
+    if (objectives.length === 0) {
+      return { error: '该季度没有目标' };
+    }
+
+    const byObjective = await this.refreshObjectives(objectives);
+    const stats = this.getReviewStats(objectives, byObjective);
+    const facts = this.buildReviewFacts(objectives, byObjective);
+
+    const aiSummary = await aiService.generateOkrReview({
+      quarter,
+      userPosition: user.profile?.position,
+      facts
+    });
+
+    const summary = aiSummary || [
+      `${quarter} 共 ${stats.objectives} 个目标、${stats.keyResults} 个关键结果，平均进度 ${stats.averageProgress}%，` +
+        `已达成 ${stats.achievedKeyResults} 个关键结果，${stats.atRiskKeyResults} 个存在风险。`,
+      '',
+      facts
+    ].join('\n');
+
+    return {
+      review: {
+        quarter,
+        summary,
+        stats,
+        generatedBy: aiSummary ? 'ai' : 'template',
+        generatedAt: new Date()
+      }
+    };
+  }
+}
+
+module.exports = new OkrService();
@@ -0,0 +1,288 @@
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const Meeting = require('../models/Meeting');
+const Document = require('../models/Document');
+const Calendar = require('../models/Calendar');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 看板中显示的即将到来的里程碑、日程和最近文档数量
+const DASHBOARD_LIST_LIMIT = 5;
+
+// 未完成行动项最多显示数量
+const MAX_ACTION_ITEMS = 20;
+
+const MEMBER_ROLES = ['manager', 'member', 'viewer'];
+
+// 可编辑项目、管理成员和里程碑的角色
+const EDITOR_ROLES = ['owner', 'manager'];
+
+const USER_FIELDS = 'username profile.firstName profile.lastName';
+
+const toId = value => (value?._id || value)?.toString();
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * 项目服务
+ * 管理项目成员权限、任务/会议/文档/日程与项目的关联，并汇总项目看板
+ */
+class ProjectService {
+
+  get memberRoles() {
+    return MEMBER_ROLES;
+  }
+
+  isAdmin(user) {
+    return ['admin', 'super_admin'].includes(user.role);
+  }
+
+  /**
+   * 用户可访问的项目（负责人或成员）
+   */
+  buildAccessQuery(userId) {
+    return {
+      $or: [
+        { owner: userId },
+        { 'members.user': userId }
+      ]
+    };
+  }
+
+  /**
+   * 获取用户可访问的项目及其角色（管理员可访问全部项目）
+   * @returns {Promise<{project?: Object, role?: string, error?: string, status?: number}>}
+   */
+  async getAccessibleProject(projectId, user) {
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      return { error: '项目不存在', status: 404 };
+    }
+
+    const project = await Project.findById(projectId);
+    if (!project) {
+      return { error: '项目不存在', status: 404 };
+    }
+
+    const role = project.getMemberRole(user._id || user.id) || (this.isAdmin(user) ? 'admin' : null);
+    if (!role) {
+      return { error: '无权访问此项目', status: 403 };
+    }
+
+    return { project, role };
+  }
+
+  canEdit(role) {
+    return role === 'admin' || EDITOR_ROLES.includes(role);
+  }
+
+  /**
+   * 解析要关联到任务、会议、文档或日程的项目
+   * 空值表示取消关联；只读成员不能向项目添加内容
+   * @returns {Promise<{project: Object|null, error?: string}>}
+   */
+  async resolveProject(projectId, user) {
+    if (!projectId) return { project: null };
+
+    const { project, role, error } = await this.getAccessibleProject(projectId?._id || projectId, user);
+    if (error) return { error };
+    if (role === 'viewer') {
+      return { error: '只读成员不能向项目添加内容' };
+    }
+    return { project };
+  }
+
+  /**
+   * 会议和文档保存的项目引用（含项目名称）
+   */
+  toReference(project) {
+    return project ? { id: project._id, name: project.name } : undefined;
+  }
+
+  /**
+   * 校验成员列表，去掉重复成员和负责人本人
+   * @returns {{members?: Array, error?: string}}
+   */
+  normalizeMembers(members, ownerId) {
+    if (!Array.isArray(members)) {
+      return { error: '成员列表格式错误' };
+    }
+
+    const result = new Map();
+    for (const member of members) {
+      const userId = toId(member?.user || member);
+      const role = member?.role || 'member';
+      if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+        return { error: '成员用户ID无效' };
+      }
+      if (!MEMBER_ROLES.includes(role)) {
+        return { error: `成员角色只能是 ${MEMBER_ROLES.join('、')}` };
+      }
+      if (userId !== toId(ownerId)) {
+        result.set(userId, { user: userId, role, joinedAt: member?.joinedAt });
+      }
+    }
+
+    return { members: Array.from(result.values()) };
+  }
+
+  /**
+   * 汇总任务进度
+   * 完成率按任务数计算，加权进度按预估工时（未预估的任务按1小时）加权各任务进度
+   */
+  summarizeTasks(tasks, now = new Date()) {
+    const byStatus = {};
+    tasks.forEach(task => {
+      byStatus[task.status] = (byStatus[task.status] || 0) + 1;
+    });
+
+    const active = tasks.filter(task => task.status !== 'cancelled');
+    const completed = active.filter(task => task.status === 'completed');
+    const overdue = active.filter(task => task.status !== 'completed' && task.dueDate && new Date(task.dueDate) < now);
+
+    const weights = active.map(task => task.estimatedHours > 0 ? task.estimatedHours : 1);
+    const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+    const weightedProgress = active.reduce((total, task, index) => {
+      const progress = task.status === 'completed' ? 100 : (task.progress || 0);
+      return total + progress * weights[index];
+    }, 0);
+
+    return {
+      total: tasks.length,
+      byStatus,
+      completed: completed.length,
+      overdue: overdue.length,
+      completionRate: active.length > 0 ? round(completed.length / active.length) : null,
+      progress: totalWeight > 0 ? Math.round(weightedProgress / totalWeight) : 0,
+      estimatedHours: round(active.reduce((total, task) => total + (task.estimatedHours || 0), 0), 1),
+      actualHours: round(active.reduce((total, task) => total + (task.actualHours || 0), 0), 1)
+    };
+  }
+
+  /**
+   * 汇总里程碑：完成数、逾期和即将到来的里程碑
+   */
+  summarizeMilestones(milestones, now = new Date()) {
+    const pending = milestones
+      .filter(milestone => milestone.status !== 'completed')
+      .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+    const withDays = milestone => ({
+      _id: milestone._id,
+      title: milestone.title,
+      dueDate: milestone.dueDate,
+      daysLeft: Math.ceil((new Date(milestone.dueDate) - now) / DAY_MS)
+    });
+
+    return {
+      total: milestones.length,
+      completed: milestones.length - pending.length,
+      overdue: pending.filter(milestone => new Date(milestone.dueDate) < now).map(withDays),
+      upcoming: pending
+        .filter(milestone => new Date(milestone.dueDate) >= now)
+        .slice(0, DASHBOARD_LIST_LIMIT)
+        .map(withDays)
+    };
+  }
+
+  /**
+   * 项目会议中未完成的行动项（按截止日期排序）
+   */
+  collectOpenActionItems(meetings) {
+    return meetings
+      .flatMap(meeting => (meeting.aiAnalysis?.actionItems || [])
+        .filter(item => !item.completed)
+        .map(item => ({
+          _id: item._id,
+          content: item.content,
+          assignedTo: item.assignedTo,
+          assignedToName: item.assignedToName,
+          priority: item.priority,
+          dueDate: item.dueDate,
+          meeting: { _id: meeting._id, title: meeting.title, startTime: meeting.startTime }
+        })))
+      .sort((a, b) => {
+        if (!a.dueDate) return 1;
+        if (!b.dueDate) return -1;
+        return new Date(a.dueDate) - new Date(b.dueDate);
+      })
+      .slice(0, MAX_ACTION_ITEMS);
+  }
+
+  /**
+   * 项目看板：任务进度、里程碑、未完成行动项、近期日程和最近文档
+   * @param {Object} project - 项目文档
+   * @returns {Promise<Object>}
+   */
+  async getDashboard(project, now = new Date()) {
+    const [tasks, meetings, documents, events] = await Promise.all([
+      Task.find({ project: project._id })
+        .select('title status progress estimatedHours actualHours dueDate assignedTo')
+        .populate('assignedTo', USER_FIELDS),
+      Meeting.find({ 'project.id': project._id, status: { $ne: 'cancelled' } })
+        .select('title startTime status aiAnalysis.actionItems')
+        .sort({ startTime: -1 }),
+      Document.find({ 'project.id': project._id, status: 'active' })
+        .select('title originalName documentType uploadedBy createdAt aiAnalysis.summary')
+        .populate('uploadedBy', USER_FIELDS)
+        .sort({ createdAt: -1 })
+        .limit(DASHBOARD_LIST_LIMIT),
+      Calendar.find({ project: project._id, startTime: { $gte: now }, status: { $ne: 'cancelled' } })
+        .select('title startTime endTime eventType')
+        .sort({ startTime: 1 })
+        .limit(DASHBOARD_LIST_LIMIT)
+    ]);
+
+    // 按负责人统计未完成任务，便于查看成员分工
+    const workload = new Map();
+    tasks
+      .filter(task => !['completed', 'cancelled'].includes(task.status))
+      .forEach(task => {
+        const key = toId(task.assignedTo) || 'unassigned';
+        const item = workload.get(key) || { user: task.assignedTo || null, openTasks: 0 };
+        item.openTasks++;
+        workload.set(key, item);
+      });
+
+    const upcomingMeetings = meetings
+      .filter(meeting => new Date(meeting.startTime) >= now)
+      .reverse()
+      .slice(0, DASHBOARD_LIST_LIMIT)
+      .map(meeting => ({ _id: meeting._id, title: meeting.title, startTime: meeting.startTime }));
+
+    return {
+      tasks: this.summarizeTasks(tasks, now),
+      milestones: this.summarizeMilestones(project.milestones, now),
+      openActionItems: this.collectOpenActionItems(meetings),
+      recentDocuments: documents,
+      upcomingMeetings,
+      upcomingEvents: events,
+      workload: Array.from(workload.values()).sort((a, b) => b.openTasks - a.openTasks),
+      meetingCount: meetings.length
+    };
+  }
+
+  /**
+   * 删除项目时解除所有关联
+   */
+  async unlinkAll(projectId) {
+    const [tasks, events, meetings, documents] = await Promise.all([
+      Task.updateMany({ project: projectId }, { $unset: { project: 1 } }),
+      Calendar.updateMany({ project: projectId }, { $unset: { project: 1 } }),
+      Meeting.updateMany({ 'project.id': projectId }, { $unset: { project: 1 } }),
+      Document.updateMany({ 'project.id': projectId }, { $unset: { project: 1 } })
+    ]);
+
+    return {
+      tasks: tasks.modifiedCount,
+      events: events.modifiedCount,
+      meetings: meetings.modifiedCount,
+      documents: documents.modifiedCount
+    };
+  }
+}
+
+module.exports = new ProjectService();
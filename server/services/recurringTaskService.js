@@ -0,0 +1,328 @@
+const Task = require('../models/Task');
+
+// 滚动生成窗口（天），可通过环境变量调整
+const HORIZON_DAYS = parseInt(process.env.RECURRING_TASK_HORIZON_DAYS) || 14;
+
+// 单个系列一次最多生成的实例数，防止配置错误导致无限生成
+const MAX_OCCURRENCES_PER_RUN = 60;
+
+// "所有后续实例"修改时同步到系列的字段
+const SERIES_FIELDS = ['title', 'description', 'priority', 'category', 'project', 'tags', 'estimatedHours', 'assignedTo'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 重复任务服务
+ * 按滚动窗口预先生成未来实例，或在当前实例完成时生成下一次实例
+ */
+class RecurringTaskService {
+
+  /**
+   * 计算下一次发生时间
+   * @param {Date} date - 当前发生时间
+   * @param {string} frequency - 频率 daily/weekly/monthly/yearly
+   * @param {number} interval - 间隔数
+   */
+  getNextOccurrenceDate(date, frequency, interval = 1) {
+    const next = new Date(date);
+    const step = Math.max(1, parseInt(interval) || 1);
+
+    switch (frequency) {
+      case 'daily':
+        next.setDate(next.getDate() + step);
+        break;
+      case 'weekly':
+        next.setDate(next.getDate() + 7 * step);
+        break;
+      case 'monthly': {
+        // 月末日期（如1月31日）顺延到目标月的最后一天，而不是溢出到下个月
+        const day = next.getDate();
+        next.setDate(1);
+        next.setMonth(next.getMonth() + step);
+        const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+        next.setDate(Math.min(day, lastDay));
+        break;
+      }
+      case 'yearly':
+        next.setFullYear(next.getFullYear() + step);
+        break;
+      default:
+        return null;
+    }
+
+    return next;
+  }
+
+  /**
+   * 获取实例在系列中的锚定时间
+   * @param {Object} task - 任务文档
+   */
+  getAnchorDate(task) {
+    return task.recurring?.occurrenceDate || task.dueDate || task.startDate || task.createdAt;
+  }
+
+  /**
+   * 判断任务是否为有效的重复任务
+   */
+  isRecurring(task) {
+    return !!(task.recurring && task.recurring.isRecurring && task.recurring.frequency);
+  }
+
+  /**
+   * 获取生成后续实例所用的系列模板
+   * 单独修改过的实例（例外）不代表系列，取发生时间不晚于它的最近一个非例外实例；找不到时仍使用该实例
+   * @param {Object} task - 当前实例
+   */
+  async getSeriesTemplate(task) {
+    if (!task.recurring?.isException) {
+      return task;
+    }
+
+    const template = await Task.findOne({
+      'recurring.seriesId': task.recurring.seriesId || task._id,
+      'recurring.isException': { $ne: true },
+      'recurring.occurrenceDate': { $lte: this.getAnchorDate(task) }
+    }).sort({ 'recurring.occurrenceDate': -1 });
+
+    return template || task;
+  }
+
+  /**
+   * 基于系列模板构建下一次实例的数据
+   * 保留子任务（重置完成状态）、标签、负责人和自定义提醒
+   * @param {Object} task - 系列模板实例
+   * @param {Date} occurrenceDate - 新实例的发生时间
+   * @param {Object} rule - 重复规则，默认取模板实例的规则
+   */
+  buildOccurrence(task, occurrenceDate, rule = task.recurring) {
+    const anchor = this.getAnchorDate(task);
+    const offset = anchor ? occurrenceDate - new Date(anchor) : 0;
+    const shift = date => (date ? new Date(new Date(date).getTime() + offset) : undefined);
+
+    return {
+      title: task.title,
+      description: task.description,
+      createdBy: task.createdBy,
+      assignedTo: task.assignedTo,
+      watchers: [...(task.watchers || [])],
+      priority: task.priority,
+      category: task.category,
+      project: task.project,
+      tags: [...(task.tags || [])],
+      estimatedHours: task.estimatedHours,
+      startDate: shift(task.startDate),
+      dueDate: task.dueDate ? shift(task.dueDate) : occurrenceDate,
+      subtasks: (task.subtasks || []).map(subtask => ({
+        title: subtask.title,
+        completed: false
+      })),
+      // 自定义提醒随发生时间平移，默认提醒由模型根据截止日期生成
+      reminders: (task.reminders || [])
+        .filter(reminder => reminder.kind === 'custom' && reminder.time)
+        .map(reminder => ({
+          type: reminder.type,
+          kind: 'custom',
+          time: shift(reminder.time),
+          message: reminder.message
+        })),
+      recurring: {
+        isRecurring: true,
+        frequency: rule.frequency,
+        interval: rule.interval,
+        endDate: rule.endDate,
+        seriesId: task.recurring.seriesId || task._id,
+        occurrenceDate
+      },
+      metadata: {
+        createdVia: task.metadata?.createdVia || 'web',
+        sourceType: 'recurring',
+        sourceId: (task.recurring.seriesId || task._id).toString()
+      },
+      activityLog: [{
+        action: 'created',
+        user: task.createdBy,
+        details: '由重复任务自动生成',
+        timestamp: new Date()
+      }]
+    };
+  }
+
+  /**
+   * 为当前实例生成下一次实例（已存在则直接返回）
+   * @param {Object} task - 当前实例
+   * @returns {Promise<Object|null>} 下一次实例，系列已结束时返回null
+   */
+  async createNextOccurrence(task) {
+    if (!this.isRecurring(task)) {
+      return null;
+    }
+
+    const next = this.getNextOccurrenceDate(
+      this.getAnchorDate(task),
+      task.recurring.frequency,
+      task.recurring.interval
+    );
+
+    if (!next || (task.recurring.endDate && next > task.recurring.endDate)) {
+      return null;
+    }
+
+    const seriesId = task.recurring.seriesId || task._id;
+    const existing = await Task.findOne({
+      'recurring.seriesId': seriesId,
+      'recurring.occurrenceDate': next
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    // 规则取自当前实例（规则修改总是同步到后续实例），其余字段取自系列模板
+    const template = await this.getSeriesTemplate(task);
+
+    try {
+      return await Task.create(this.buildOccurrence(template, next, task.recurring));
+    } catch (error) {
+      // 完成任务与定时生成并发时，唯一索引保证同一实例只生成一次
+      if (error.code === 11000) {
+        return await Task.findOne({
+          'recurring.seriesId': seriesId,
+          'recurring.occurrenceDate': next
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 按滚动窗口为所有重复系列生成未来实例
+   * @param {Date} now - 基准时间
+   * @returns {Promise<number>} 新生成的实例数
+   */
+  async materializeUpcoming(now = new Date()) {
+    const horizonEnd = new Date(now.getTime() + HORIZON_DAYS * DAY_MS);
+
+    // 每个系列取发生时间最晚的实例作为生成起点
+    // 已取消或已停止重复的实例同样参与排序，避免按旧规则补生成
+    const latestBySeries = await Task.aggregate([
+      { $match: { 'recurring.seriesId': { $exists: true } } },
+      { $sort: { 'recurring.occurrenceDate': -1 } },
+      {
+        $group: {
+          _id: '$recurring.seriesId',
+          latestId: { $first: '$_id' }
+        }
+      }
+    ]);
+
+    let created = 0;
+
+    for (const { latestId } of latestBySeries) {
+      try {
+        let current = await Task.findById(latestId);
+        let count = 0;
+
+        while (current && this.isRecurring(current) && count < MAX_OCCURRENCES_PER_RUN) {
+          const next = this.getNextOccurrenceDate(
+            this.getAnchorDate(current),
+            current.recurring.frequency,
+            current.recurring.interval
+          );
+
+          if (!next || next > horizonEnd) break;
+          if (current.recurring.endDate && next > current.recurring.endDate) break;
+
+          current = await this.createNextOccurrence(current);
+          count++;
+        }
+
+        created += count;
+      } catch (error) {
+        console.error(`❌ 生成重复任务实例失败 (${latestId}):`, error);
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * 将修改同步到系列中的后续实例（"所有后续实例"）
+   * @param {Object} task - 被修改的实例（已保存）
+   * @param {Object} updates - 已应用到该实例的字段修改
+   * @param {Object} options
+   * @param {number} options.dueDateShift - 截止日期平移量（毫秒）
+   * @param {boolean} options.ruleChanged - 重复规则是否变化
+   * @param {string} options.userId - 操作人
+   * @returns {Promise<number>} 受影响的实例数
+   */
+  async applyToFutureOccurrences(task, updates, options = {}) {
+    const { dueDateShift = 0, ruleChanged = false, userId } = options;
+    const seriesId = task.recurring?.seriesId || task._id;
+    const anchor = this.getAnchorDate(task);
+
+    const futureQuery = {
+      _id: { $ne: task._id },
+      'recurring.seriesId': seriesId,
+      'recurring.occurrenceDate': { $gt: anchor },
+      status: { $nin: ['completed', 'cancelled'] }
+    };
+
+    // 规则变化时删除尚未开始的后续实例，由调度器按新规则重新生成
+    if (ruleChanged) {
+      await Task.deleteMany({
+        ...futureQuery,
+        status: 'pending',
+        progress: 0
+      });
+    }
+
+    // 实例按 (seriesId, occurrenceDate) 唯一，逐个平移时从移动方向的最远端开始，避免与尚未移动的实例冲突
+    const futureTasks = await Task.find(futureQuery)
+      .sort({ 'recurring.occurrenceDate': dueDateShift > 0 ? -1 : 1 });
+    const seriesUpdates = {};
+    SERIES_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) seriesUpdates[field] = updates[field];
+    });
+
+    // 截止日期整体平移后，当前实例的发生时间同步平移，后续按新时间生成
+    // 当前实例是最早的实例：提前时最先移动，推后时最后移动
+    const shiftCurrent = async () => {
+      if (!dueDateShift || !task.recurring?.occurrenceDate) return;
+      task.recurring.occurrenceDate = new Date(task.recurring.occurrenceDate.getTime() + dueDateShift);
+      await task.save();
+    };
+
+    if (dueDateShift < 0) await shiftCurrent();
+
+    for (const future of futureTasks) {
+      Object.assign(future, seriesUpdates);
+
+      if (dueDateShift) {
+        if (future.dueDate) future.dueDate = new Date(future.dueDate.getTime() + dueDateShift);
+        if (future.startDate) future.startDate = new Date(future.startDate.getTime() + dueDateShift);
+        future.recurring.occurrenceDate = new Date(future.recurring.occurrenceDate.getTime() + dueDateShift);
+      }
+
+      if (ruleChanged) {
+        future.recurring.isRecurring = task.recurring.isRecurring;
+        future.recurring.frequency = task.recurring.frequency;
+        future.recurring.interval = task.recurring.interval;
+        future.recurring.endDate = task.recurring.endDate;
+      }
+
+      future.activityLog.push({
+        action: 'updated',
+        user: userId,
+        details: '随重复系列同步更新',
+        timestamp: new Date()
+      });
+      await future.save();
+    }
+
+    if (dueDateShift > 0) await shiftCurrent();
+
+    return futureTasks.length;
+  }
+}
+
+module.exports = new RecurringTaskService();
@@ -1,6 +1,25 @@
 const cron = require('node-cron');
 const NotificationService = require('./notificationService');
 const Notification = require('../models/Notification');
+const Task = require('../models/Task');
+const recurringTaskService = require('./recurringTaskService');
+const taskEscalationService = require('./taskEscalationService');
+const workReportService = require('./workReportService');
+const meetingBriefService = require('./meetingBriefService');
+
+// 任务提醒来源与通知提醒类型的对应关系
+const TASK_REMINDER_TYPES = {
+  custom: 'custom',
+  due_soon: 'deadline',
+  overdue: 'overdue'
+};
+
+// 任务提醒方式对应的通知渠道，system 仅站内通知
+const TASK_REMINDER_CHANNELS = {
+  email: ['email'],
+  wechat: ['wechat'],
+  system: []
+};
 
 class SchedulerService {
   constructor() {
@@ -29,6 +48,31 @@ class SchedulerService {
       await this.retryFailedNotifications();
     });
 
+    // 每分钟发送到期的任务提醒
+    this.scheduleJob('dispatch-task-reminders', '* * * * *', async () => {
+      await this.dispatchTaskReminders();
+    });
+
+    // 每5分钟按升级规则处理逾期任务
+    this.scheduleJob('escalate-overdue-tasks', '*/5 * * * *', async () => {
+      await this.escalateOverdueTasks();
+    });
+
+    // 每小时按滚动窗口生成重复任务实例
+    this.scheduleJob('materialize-recurring-tasks', '15 * * * *', async () => {
+      await this.materializeRecurringTasks();
+    });
+
+    // 每小时检查用户设置的周报/月报发送时间
+    this.scheduleJob('send-work-reports', '0 * * * *', async () => {
+      await this.sendWorkReports();
+    });
+
+    // 每5分钟发送到达提前量的会前简报
+    this.scheduleJob('send-meeting-briefs', '*/5 * * * *', async () => {
+      await this.sendMeetingBriefs();
+    });
+
     console.log('✅ 通知调度器初始化完成');
   }
 
@@ -139,6 +183,119 @@ class SchedulerService {
     }
   }
 
+  /**
+   * 发送到期的任务提醒
+   * 先原子地将提醒标记为已发送再创建通知，多实例并发执行时同一提醒只发送一次
+   */
+  async dispatchTaskReminders(now = new Date()) {
+    try {
+      const tasks = await Task.find({
+        status: { $nin: ['completed', 'cancelled'] },
+        reminders: { $elemMatch: { sent: false, time: { $lte: now } } }
+      })
+        .select('title status dueDate assignedTo createdBy reminders')
+        .limit(200)
+        .lean();
+
+      let dispatched = 0;
+
+      for (const task of tasks) {
+        const dueReminders = task.reminders.filter(reminder => !reminder.sent && reminder.time && reminder.time <= now);
+
+        for (const reminder of dueReminders) {
+          const claim = await Task.updateOne(
+            { _id: task._id, reminders: { $elemMatch: { _id: reminder._id, sent: false } } },
+            { $set: { 'reminders.$.sent': true, 'reminders.$.sentAt': now } }
+          );
+
+          if (claim.modifiedCount === 0) continue;
+
+          try {
+            await NotificationService.createTaskReminder(task, TASK_REMINDER_TYPES[reminder.kind] || 'custom', {
+              message: reminder.message,
+              channels: reminder.type ? TASK_REMINDER_CHANNELS[reminder.type] : undefined,
+              immediate: true
+            });
+            dispatched++;
+          } catch (error) {
+            // 通知创建失败时撤销标记，下一轮重试
+            await Task.updateOne(
+              { _id: task._id, 'reminders._id': reminder._id },
+              { $set: { 'reminders.$.sent': false }, $unset: { 'reminders.$.sentAt': '' } }
+            );
+            console.error(`❌ 任务提醒发送失败: ${task._id}/${reminder._id}`, error);
+          }
+        }
+      }
+
+      if (dispatched > 0) {
+        console.log(`⏰ 已发送 ${dispatched} 个任务提醒`);
+      }
+    } catch (error) {
+      console.error('❌ 发送任务提醒时出错:', error);
+    }
+  }
+
+  /**
+   * 按升级规则处理逾期任务
+   */
+  async escalateOverdueTasks() {
+    try {
+      const applied = await taskEscalationService.runEscalations();
+
+      if (applied > 0) {
+        console.log(`🚨 已执行 ${applied} 个任务逾期升级步骤`);
+      }
+    } catch (error) {
+      console.error('❌ 处理任务逾期升级时出错:', error);
+    }
+  }
+
+  /**
+   * 生成重复任务的未来实例
+   */
+  async materializeRecurringTasks() {
+    try {
+      const created = await recurringTaskService.materializeUpcoming();
+
+      if (created > 0) {
+        console.log(`🔁 已生成 ${created} 个重复任务实例`);
+      }
+    } catch (error) {
+      console.error('❌ 生成重复任务实例时出错:', error);
+    }
+  }
+
+  /**
+   * 定时生成并发送工作报告
+   */
+  async sendWorkReports() {
+    try {
+      const sent = await workReportService.runScheduledReports();
+
+      if (sent > 0) {
+        console.log(`📝 已发送 ${sent} 份工作报告`);
+      }
+    } catch (error) {
+      console.error('❌ 发送工作报告时出错:', error);
+    }
+  }
+
+  /**
+   * 会议开始前发送会前简报
+   */
+  async sendMeetingBriefs() {
+    try {
+      const sent = await meetingBriefService.runScheduledBriefs();
+
+      if (sent > 0) {
+        console.log(`📋 已发送 ${sent} 份会前简报`);
+      }
+    } catch (error) {
+      console.error('❌ 发送会前简报时出错:', error);
+    }
+  }
+
   /**
    * 发送即时通知
    */
@@ -0,0 +1,280 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const capacityService = require('./capacityService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 默认统计最近12周，最长一年
+const DEFAULT_WEEKS = 12;
+const MAX_WEEKS = 52;
+
+// 计算估时偏差所需的最少样本数，不足时不做校准
+const MIN_BIAS_SAMPLES = 5;
+
+// 估时偏差只参考最近的已完成任务
+const BIAS_SAMPLE_LIMIT = 50;
+
+// 校准系数范围，避免个别异常数据导致估时失真
+const MIN_BIAS_RATIO = 0.5;
+const MAX_BIAS_RATIO = 3;
+
+// 趋势斜率小于该比例（相对均值，每周）视为持平
+const FLAT_TREND_RATIO = 0.02;
+
+const USER_FIELDS = 'username profile.firstName profile.lastName';
+
+const toId = value => (value?._id || value)?.toString();
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const percentile = (values, ratio) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = (sorted.length - 1) * ratio;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+/**
+ * 任务效率分析服务
+ * 基于已完成任务的预估工时、实际工时和完成时间，统计吞吐量、周期时间、估时准确度和按时完成率
+ */
+class TaskAnalyticsService {
+
+  /**
+   * 解析统计周期（按周对齐）
+   * @param {Object} params
+   * @param {string} params.from - 开始日期，默认 weeks 周前
+   * @param {number} params.weeks - 周数
+   * @returns {{weeks?: Array<{start: Date, end: Date}>, error?: string}}
+   */
+  parseRange({ from, weeks = DEFAULT_WEEKS } = {}, now = new Date()) {
+    const count = parseInt(weeks, 10);
+    if (isNaN(count) || count < 1 || count > MAX_WEEKS) {
+      return { error: `统计周数必须在1到${MAX_WEEKS}之间` };
+    }
+
+    const start = from
+      ? new Date(from)
+      : new Date(now.getFullYear(), now.getMonth(), now.getDate() - (count - 1) * 7);
+    if (isNaN(start.getTime())) {
+      return { error: '请提供有效的开始日期' };
+    }
+
+    return { weeks: capacityService.buildWeeks(start, count) };
+  }
+
+  /**
+   * 周期时间（天）：从开始日期（未设置时为创建时间）到完成时间
+   */
+  getCycleDays(task) {
+    const start = task.startDate || task.createdAt;
+    if (!start || !task.completedAt) return null;
+    const days = (new Date(task.completedAt) - new Date(start)) / DAY_MS;
+    return days >= 0 ? days : null;
+  }
+
+  /**
+   * 是否按时完成（没有截止日期的任务不计入）
+   */
+  isOnTime(task) {
+    if (!task.dueDate || !task.completedAt) return null;
+    return new Date(task.completedAt) <= new Date(task.dueDate);
+  }
+
+  /**
+   * 是否可用于估时准确度统计（同时有预估和实际工时）
+   */
+  hasEstimate(task) {
+    return task.estimatedHours > 0 && task.actualHours > 0;
+  }
+
+  /**
+   * 线性趋势：按周的最小二乘斜率，忽略没有数据的周
+   * @returns {{slope: number, direction: string}|null}
+   */
+  linearTrend(values) {
+    const points = values
+      .map((value, index) => ({ x: index, y: value }))
+      .filter(point => point.y !== null && point.y !== undefined);
+    if (points.length < 2) return null;
+
+    const meanX = points.reduce((total, point) => total + point.x, 0) / points.length;
+    const meanY = points.reduce((total, point) => total + point.y, 0) / points.length;
+    const numerator = points.reduce((total, point) => total + (point.x - meanX) * (point.y - meanY), 0);
+    const denominator = points.reduce((total, point) => total + (point.x - meanX) ** 2, 0);
+    const slope = denominator > 0 ? numerator / denominator : 0;
+
+    const threshold = Math.abs(meanY) * FLAT_TREND_RATIO;
+    const direction = Math.abs(slope) <= threshold ? 'flat' : slope > 0 ? 'up' : 'down';
+    return { slope: round(slope, 3), direction };
+  }
+
+  /**
+   * 估时偏差：实际工时总和 / 预估工时总和
+   */
+  getEstimateRatio(tasks) {
+    const estimated = tasks.filter(task => this.hasEstimate(task));
+    const estimatedHours = estimated.reduce((total, task) => total + task.estimatedHours, 0);
+    const actualHours = estimated.reduce((total, task) => total + task.actualHours, 0);
+    return {
+      tasks: estimated.length,
+      estimatedHours: round(estimatedHours, 1),
+      actualHours: round(actualHours, 1),
+      ratio: estimatedHours > 0 ? round(actualHours / estimatedHours) : null
+    };
+  }
+
+  /**
+   * 汇总单组已完成任务的各项指标
+   */
+  summarizeTasks(tasks) {
+    const cycleDays = tasks.map(task => this.getCycleDays(task)).filter(days => days !== null);
+    const onTime = tasks.map(task => this.isOnTime(task)).filter(value => value !== null);
+
+    return {
+      completed: tasks.length,
+      cycleTime: {
+        sampleSize: cycleDays.length,
+        averageDays: cycleDays.length > 0
+          ? round(cycleDays.reduce((total, days) => total + days, 0) / cycleDays.length, 1)
+          : null,
+        medianDays: cycleDays.length > 0 ? round(percentile(cycleDays, 0.5), 1) : null,
+        p85Days: cycleDays.length > 0 ? round(percentile(cycleDays, 0.85), 1) : null
+      },
+      onTime: {
+        sampleSize: onTime.length,
+        onTime: onTime.filter(Boolean).length,
+        rate: onTime.length > 0 ? round(onTime.filter(Boolean).length / onTime.length) : null
+      },
+      estimate: this.getEstimateRatio(tasks)
+    };
+  }
+
+  /**
+   * 计算效率分析
+   * @param {Array} tasks - 统计周期内完成的任务
+   * @param {Array} weeks - 统计周
+   * @returns {Object} 总体指标、每周序列、按类型的估时准确度和趋势
+   */
+  computeAnalytics(tasks, weeks) {
+    const weekly = weeks.map(week => {
+      const weekTasks = tasks.filter(task => task.completedAt >= week.start && task.completedAt < week.end);
+      const summary = this.summarizeTasks(weekTasks);
+      return {
+        start: week.start,
+        end: week.end,
+        completed: summary.completed,
+        completedHours: round(weekTasks.reduce((total, task) => total + (task.actualHours || 0), 0), 1),
+        medianCycleDays: summary.cycleTime.medianDays,
+        onTimeRate: summary.onTime.rate,
+        estimateRatio: summary.estimate.ratio
+      };
+    });
+
+    const categories = [...new Set(tasks.map(task => task.category || 'other'))]
+      .map(category => ({
+        category,
+        ...this.getEstimateRatio(tasks.filter(task => (task.category || 'other') === category))
+      }))
+      .filter(item => item.tasks > 0)
+      .sort((a, b) => b.tasks - a.tasks);
+
+    return {
+      summary: this.summarizeTasks(tasks),
+      weekly,
+      estimateByCategory: categories,
+      trends: {
+        throughput: this.linearTrend(weekly.map(week => week.completed)),
+        cycleTime: this.linearTrend(weekly.map(week => week.medianCycleDays)),
+        onTimeRate: this.linearTrend(weekly.map(week => week.onTimeRate)),
+        estimateRatio: this.linearTrend(weekly.map(week => week.estimateRatio))
+      }
+    };
+  }
+
+  /**
+   * 用户完成的任务（未分配的任务算作创建者完成）
+   */
+  buildOwnerQuery(userIds) {
+    return {
+      $or: [
+        { assignedTo: { $in: userIds } },
+        { createdBy: { $in: userIds }, assignedTo: null }
+      ]
+    };
+  }
+
+  /**
+   * 获取个人或团队的效率分析
+   * @param {string} userId - 当前用户ID
+   * @param {Array} weeks - 统计周
+   * @param {Object} options
+   * @param {string} options.scope - personal 或 team（当前用户及其分配过任务的成员）
+   */
+  async getAnalytics(userId, weeks, { scope = 'personal' } = {}) {
+    const memberIds = scope === 'team' ? await capacityService.getTeamMemberIds(userId) : [userId.toString()];
+
+    const tasks = await Task.find({
+      ...this.buildOwnerQuery(memberIds),
+      status: 'completed',
+      completedAt: { $gte: weeks[0].start, $lt: weeks[weeks.length - 1].end }
+    }).select('category estimatedHours actualHours startDate dueDate completedAt createdAt assignedTo createdBy');
+
+    const result = { scope, ...this.computeAnalytics(tasks, weeks) };
+
+    if (scope === 'team') {
+      const users = await User.find({ _id: { $in: memberIds } }).select(USER_FIELDS);
+      result.members = users.map(user => {
+        const summary = this.summarizeTasks(
+          tasks.filter(task => toId(task.assignedTo || task.createdBy) === user._id.toString())
+        );
+        return {
+          user,
+          completed: summary.completed,
+          medianCycleDays: summary.cycleTime.medianDays,
+          onTimeRate: summary.onTime.rate,
+          estimateRatio: summary.estimate.ratio
+        };
+      }).sort((a, b) => b.completed - a.completed);
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取用户历史估时偏差，用于校准AI规划的时间估算
+   * 优先使用同类型任务，样本不足时使用全部任务
+   * @param {string} userId - 用户ID
+   * @param {string} category - 任务类型
+   * @returns {Promise<{ratio: number, sampleSize: number, category: string|null}|null>} 样本不足时返回null
+   */
+  async getEstimateBias(userId, category) {
+    const tasks = await Task.find({
+      ...this.buildOwnerQuery([userId.toString()]),
+      status: 'completed',
+      estimatedHours: { $gt: 0 },
+      actualHours: { $gt: 0 }
+    })
+      .select('category estimatedHours actualHours')
+      .sort({ completedAt: -1 })
+      .limit(BIAS_SAMPLE_LIMIT);
+
+    const sameCategory = category ? tasks.filter(task => task.category === category) : [];
+    const samples = sameCategory.length >= MIN_BIAS_SAMPLES ? sameCategory : tasks;
+    if (samples.length < MIN_BIAS_SAMPLES) return null;
+
+    const { ratio } = this.getEstimateRatio(samples);
+    return {
+      ratio: round(Math.min(MAX_BIAS_RATIO, Math.max(MIN_BIAS_RATIO, ratio))),
+      sampleSize: samples.length,
+      category: samples === sameCategory ? category : null
+    };
+  }
+}
+
+module.exports = new TaskAnalyticsService();
@@ -0,0 +1,334 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const taskDependencyService = require('./taskDependencyService');
+const taskViewService = require('./taskViewService');
+
+const BOARD_GROUPS = ['status', 'priority', 'assignedTo'];
+
+// 看板最多加载的任务数
+const MAX_BOARD_TASKS = 500;
+
+// 相邻排序值的间隔，间隔过小时重排整列
+const RANK_STEP = 1024;
+const MIN_RANK_GAP = 1e-6;
+
+// 看板列（已取消的任务不在看板上显示）
+const STATUS_COLUMNS = [
+  { key: 'pending', label: '待处理' },
+  { key: 'in_progress', label: '进行中' },
+  { key: 'on_hold', label: '已暂停' },
+  { key: 'completed', label: '已完成' }
+];
+
+const PRIORITY_COLUMNS = [
+  { key: 'urgent', label: '紧急' },
+  { key: 'high', label: '高' },
+  { key: 'medium', label: '中' },
+  { key: 'low', label: '低' }
+];
+
+const UNASSIGNED = 'none';
+
+const toId = value => (value?._id || value)?.toString();
+
+const getUserName = user => {
+  const name = `${user?.profile?.lastName || ''}${user?.profile?.firstName || ''}`;
+  return name || user?.username || toId(user);
+};
+
+/**
+ * 任务看板服务
+ * 按状态、优先级或负责人分列展示任务，维护列内手动排序和在制品（WIP）上限
+ */
+class TaskBoardService {
+
+  /**
+   * 获取任务所在列的标识
+   */
+  getColumnKey(task, groupBy) {
+    if (groupBy === 'assignedTo') return toId(task.assignedTo) || UNASSIGNED;
+    return task[groupBy];
+  }
+
+  /**
+   * 列标识对应的任务字段值
+   */
+  getFieldValue(groupBy, key) {
+    if (groupBy === 'assignedTo') return key === UNASSIGNED ? undefined : key;
+    return key;
+  }
+
+  /**
+   * 列内排序：排序值升序，未设置排序值的按创建时间倒序排在最后
+   */
+  compareByRank(a, b) {
+    const left = typeof a.boardRank === 'number' ? a.boardRank : null;
+    const right = typeof b.boardRank === 'number' ? b.boardRank : null;
+    if (left !== null && right !== null && left !== right) return left - right;
+    if (left === null && right !== null) return 1;
+    if (left !== null && right === null) return -1;
+    return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+  }
+
+  /**
+   * 看板查询范围：用户创建或负责的、未取消的任务
+   */
+  getScope(userId) {
+    return {
+      $or: [{ createdBy: userId }, { assignedTo: userId }],
+      status: { $ne: 'cancelled' }
+    };
+  }
+
+  /**
+   * 获取用户在某种分组方式下的列WIP上限
+   * @returns {Object} 列标识 -> 上限
+   */
+  getWipLimits(user, groupBy) {
+    const limits = user?.settings?.taskBoard?.wipLimits?.[groupBy];
+    if (!limits) return {};
+    return limits instanceof Map ? Object.fromEntries(limits) : { ...limits };
+  }
+
+  /**
+   * 构建看板
+   * @param {string} userId - 用户ID
+   * @param {string} groupBy - 分组方式 status/priority/assignedTo
+   * @param {Object} filter - 视图筛选条件（可选）
+   * @returns {Promise<{error?: string, groupBy: string, columns: Array, truncated: boolean}>}
+   */
+  async buildBoard(userId, groupBy = 'status', filter = null) {
+    if (!BOARD_GROUPS.includes(groupBy)) {
+      return { error: '不支持的看板分组方式' };
+    }
+
+    const scope = this.getScope(userId);
+    const query = filter
+      ? { $and: [await taskViewService.buildQuery(userId, filter), scope] }
+      : scope;
+
+    const [user, tasks] = await Promise.all([
+      User.findById(userId).select('username profile.firstName profile.lastName settings.taskBoard'),
+      Task.find(query)
+        .populate('createdBy', 'username profile.firstName profile.lastName')
+        .populate('assignedTo', 'username profile.firstName profile.lastName')
+        .sort({ createdAt: -1 })
+        .limit(MAX_BOARD_TASKS + 1)
+    ]);
+
+    const truncated = tasks.length > MAX_BOARD_TASKS;
+    const boardTasks = tasks.slice(0, MAX_BOARD_TASKS);
+    const limits = this.getWipLimits(user, groupBy);
+
+    const columns = this.getColumnDefinitions(groupBy, boardTasks, user).map(column => {
+      const columnTasks = boardTasks
+        .filter(task => this.getColumnKey(task, groupBy) === column.key)
+        .sort((a, b) => this.compareByRank(a, b));
+      const wipLimit = limits[column.key] || null;
+
+      return {
+        ...column,
+        wipLimit,
+        count: columnTasks.length,
+        overLimit: !!wipLimit && columnTasks.length > wipLimit,
+        tasks: columnTasks
+      };
+    });
+
+    return { groupBy, columns, truncated };
+  }
+
+  /**
+   * 列定义：状态、优先级为固定列；负责人列为当前用户、其他负责人、未分配
+   */
+  getColumnDefinitions(groupBy, tasks, user) {
+    if (groupBy === 'status') return STATUS_COLUMNS;
+    if (groupBy === 'priority') return PRIORITY_COLUMNS;
+
+    const columns = new Map();
+    if (user) columns.set(user._id.toString(), { key: user._id.toString(), label: getUserName(user) });
+    tasks.forEach(task => {
+      const key = toId(task.assignedTo);
+      if (key && !columns.has(key)) columns.set(key, { key, label: getUserName(task.assignedTo) });
+    });
+    columns.set(UNASSIGNED, { key: UNASSIGNED, label: '未分配' });
+
+    return [...columns.values()];
+  }
+
+  /**
+   * 获取列内任务（按看板顺序）
+   */
+  async getColumnTasks(userId, groupBy, key) {
+    const tasks = await Task.find({
+      ...this.getScope(userId),
+      [groupBy]: this.getFieldValue(groupBy, key) || null
+    }).select('boardRank createdAt');
+
+    return tasks.sort((a, b) => this.compareByRank(a, b));
+  }
+
+  /**
+   * 按当前顺序重新分配整列的排序值
+   */
+  async rebalance(tasks) {
+    if (tasks.length === 0) return;
+    tasks.forEach((task, index) => {
+      task.boardRank = (index + 1) * RANK_STEP;
+    });
+    await Task.bulkWrite(tasks.map(task => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: { $set: { boardRank: task.boardRank } }
+      }
+    })));
+  }
+
+  /**
+   * 计算任务放到目标列中两个相邻任务之间的排序值
+   * @param {Array} column - 目标列任务（不含被移动的任务，按看板顺序）
+   * @param {string} prevTaskId - 放置位置上方的任务
+   * @param {string} nextTaskId - 放置位置下方的任务
+   * @returns {Promise<{rank?: number, error?: string}>} 都未提供时放到列尾
+   */
+  async computeRank(column, prevTaskId, nextTaskId) {
+    const indexOf = id => column.findIndex(task => task._id.toString() === id.toString());
+    const prevIndex = prevTaskId ? indexOf(prevTaskId) : -1;
+    const nextIndex = nextTaskId ? indexOf(nextTaskId) : -1;
+
+    if ((prevTaskId && prevIndex < 0) || (nextTaskId && nextIndex < 0)) {
+      return { error: '相邻任务不在目标列中' };
+    }
+
+    // 只提供一侧时，另一侧取该任务在列中的相邻任务
+    let prev = prevTaskId ? column[prevIndex] : null;
+    let next = nextTaskId ? column[nextIndex] : null;
+    if (!prevTaskId && !nextTaskId) prev = column[column.length - 1] || null;
+    else if (!prevTaskId) prev = column[nextIndex - 1] || null;
+    else if (!nextTaskId) next = column[prevIndex + 1] || null;
+
+    const hasRank = task => !task || typeof task.boardRank === 'number';
+    const needsRebalance = !hasRank(prev) || !hasRank(next) ||
+      (prev && next && next.boardRank - prev.boardRank < MIN_RANK_GAP);
+    if (needsRebalance) {
+      await this.rebalance(column);
+    }
+
+    if (prev && next) return { rank: (prev.boardRank + next.boardRank) / 2 };
+    if (prev) return { rank: prev.boardRank + RANK_STEP };
+    if (next) return { rank: next.boardRank - RANK_STEP };
+    return { rank: RANK_STEP };
+  }
+
+  /**
+   * 规划看板移动：校验目标列和前置任务，计算排序值
+   * @param {string} userId - 操作用户ID
+   * @param {Object} task - 被移动的任务
+   * @param {Object} move
+   * @param {string} move.groupBy - 分组方式
+   * @param {string} move.to - 目标列标识
+   * @param {string} move.prevTaskId - 放置位置上方的任务
+   * @param {string} move.nextTaskId - 放置位置下方的任务
+   * @returns {Promise<{error?: string, data?: Object, field?: string, value?: *, rank?: number}>}
+   */
+  async planMove(userId, task, { groupBy = 'status', to, prevTaskId, nextTaskId }) {
+    if (!BOARD_GROUPS.includes(groupBy)) {
+      return { error: '不支持的看板分组方式' };
+    }
+
+    const validColumn = {
+      status: () => STATUS_COLUMNS.some(column => column.key === to),
+      priority: () => PRIORITY_COLUMNS.some(column => column.key === to),
+      assignedTo: async () => to === UNASSIGNED ||
+        (mongoose.Types.ObjectId.isValid(to) && !!(await User.exists({ _id: to })))
+    };
+    if (!to || !(await validColumn[groupBy]())) {
+      return { error: '目标列无效' };
+    }
+
+    if (
+      groupBy === 'status' &&
+      to !== task.status &&
+      taskDependencyService.requiresResolvedDependencies(to)
+    ) {
+      const blockingTasks = await taskDependencyService.getOpenDependencies(task, userId);
+      if (blockingTasks.length > 0) {
+        return {
+          error: `存在${blockingTasks.length}个未完成的前置任务，无法变更任务状态`,
+          data: { blockingTasks }
+        };
+      }
+    }
+
+    // 子任务全部完成时进度为100%，任务会被自动标记为已完成
+    if (
+      groupBy === 'status' &&
+      task.status === 'completed' &&
+      to !== 'completed' &&
+      task.subtasks.length > 0 &&
+      task.subtasks.every(subtask => subtask.completed)
+    ) {
+      return { error: '子任务已全部完成，请先取消完成子任务' };
+    }
+
+    const column = (await this.getColumnTasks(userId, groupBy, to))
+      .filter(item => item._id.toString() !== task._id.toString());
+    const { rank, error } = await this.computeRank(column, prevTaskId, nextTaskId);
+    if (error) return { error };
+
+    return { field: groupBy, value: this.getFieldValue(groupBy, to), rank };
+  }
+
+  /**
+   * 检查目标列是否超过WIP上限
+   * @returns {Promise<string|null>} 超限提示
+   */
+  async getWipWarning(userId, groupBy, key) {
+    const user = await User.findById(userId).select('settings.taskBoard');
+    const limit = this.getWipLimits(user, groupBy)[key];
+    if (!limit) return null;
+
+    const count = await Task.countDocuments({
+      ...this.getScope(userId),
+      [groupBy]: this.getFieldValue(groupBy, key) || null
+    });
+    return count > limit ? `该列已有${count}个任务，超过在制品上限${limit}个` : null;
+  }
+
+  /**
+   * 设置列WIP上限（值为空或0表示取消上限）
+   * @param {string} userId - 用户ID
+   * @param {string} groupBy - 分组方式
+   * @param {Object} limits - 列标识 -> 上限
+   * @returns {Promise<{error?: string, wipLimits?: Object}>}
+   */
+  async updateWipLimits(userId, groupBy, limits) {
+    if (!BOARD_GROUPS.includes(groupBy)) {
+      return { error: '不支持的看板分组方式' };
+    }
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      return { error: '请提供各列的在制品上限' };
+    }
+
+    const user = await User.findById(userId).select('settings.taskBoard');
+    const current = this.getWipLimits(user, groupBy);
+
+    for (const [key, value] of Object.entries(limits)) {
+      if (value === null || value === '' || Number(value) === 0) {
+        delete current[key];
+        continue;
+      }
+      const limit = Number(value);
+      if (!Number.isInteger(limit) || limit < 0) {
+        return { error: '在制品上限必须是正整数' };
+      }
+      current[key] = limit;
+    }
+
+    await User.updateOne({ _id: userId }, { $set: { [`settings.taskBoard.wipLimits.${groupBy}`]: current } });
+    return { wipLimits: current };
+  }
+}
+
+module.exports = new TaskBoardService();
@@ -0,0 +1,361 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const taskDependencyService = require('./taskDependencyService');
+const taskHistoryService = require('./taskHistoryService');
+const taskCompletionService = require('./taskCompletionService');
+
+// 单次批量操作的任务数上限
+const MAX_BULK_TASKS = 200;
+
+const BULK_ACTIONS = ['update', 'delete'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 任务批量操作服务
+ * 按ID列表或筛选条件批量修改、删除任务，逐个校验权限并返回逐项结果
+ */
+class TaskBulkService {
+
+  /**
+   * 校验并规范化批量修改内容
+   * @param {Object} changes
+   * @param {string} changes.status - 状态
+   * @param {string} changes.priority - 优先级
+   * @param {string|null} changes.assignedTo - 负责人ID，null 表示取消分配
+   * @param {Array<string>} changes.addTags - 添加的标签
+   * @param {Array<string>} changes.removeTags - 移除的标签
+   * @param {number} changes.dueDateShiftDays - 截止日期平移天数（可为负数）
+   * @returns {{changes: Object|null, error: string|null}}
+   */
+  normalizeChanges(changes = {}) {
+    const result = {};
+
+    if (changes.status !== undefined) {
+      if (!Task.schema.path('status').enumValues.includes(changes.status)) {
+        return { changes: null, error: '无效的任务状态' };
+      }
+      result.status = changes.status;
+    }
+
+    if (changes.priority !== undefined) {
+      if (!Task.schema.path('priority').enumValues.includes(changes.priority)) {
+        return { changes: null, error: '无效的优先级' };
+      }
+      result.priority = changes.priority;
+    }
+
+    if (changes.assignedTo !== undefined) {
+      if (changes.assignedTo && !mongoose.Types.ObjectId.isValid(changes.assignedTo)) {
+        return { changes: null, error: '无效的负责人' };
+      }
+      result.assignedTo = changes.assignedTo || null;
+    }
+
+    ['addTags', 'removeTags'].forEach(field => {
+      if (Array.isArray(changes[field])) {
+        const tags = [...new Set(changes[field].map(tag => String(tag).trim()).filter(Boolean))];
+        if (tags.length > 0) result[field] = tags;
+      }
+    });
+
+    if (changes.dueDateShiftDays !== undefined) {
+      const days = Number(changes.dueDateShiftDays);
+      if (!Number.isFinite(days) || days === 0) {
+        return { changes: null, error: '截止日期平移天数无效' };
+      }
+      result.dueDateShiftDays = days;
+    }
+
+    if (Object.keys(result).length === 0) {
+      return { changes: null, error: '请提供要修改的内容' };
+    }
+
+    return { changes: result, error: null };
+  }
+
+  /**
+   * 根据筛选条件构建查询（限定为用户创建或负责的任务）
+   * @param {string} userId - 用户ID
+   * @param {Object} filter - status/priority/category 可为单值或数组，tags 匹配任一标签，dueBefore/dueAfter 为截止时间范围
+   * @returns {Object|null} 筛选条件为空时返回null
+   */
+  buildFilterQuery(userId, filter = {}) {
+    const conditions = [];
+    const toList = value => (Array.isArray(value) ? value : [value]);
+
+    ['status', 'priority', 'category'].forEach(field => {
+      if (filter[field] !== undefined && filter[field] !== '') {
+        conditions.push({ [field]: { $in: toList(filter[field]) } });
+      }
+    });
+
+    if (filter.tags !== undefined && toList(filter.tags).length > 0) {
+      conditions.push({ tags: { $in: toList(filter.tags) } });
+    }
+
+    if (filter.assignedTo !== undefined) {
+      const assignee = filter.assignedTo === 'me' ? userId : filter.assignedTo;
+      conditions.push({ assignedTo: assignee || null });
+    }
+
+    if (filter.dueBefore || filter.dueAfter) {
+      const dueDate = {};
+      if (filter.dueBefore) dueDate.$lt = new Date(filter.dueBefore);
+      if (filter.dueAfter) dueDate.$gte = new Date(filter.dueAfter);
+      conditions.push({ dueDate });
+    }
+
+    if (conditions.length === 0) return null;
+
+    return {
+      $and: [
+        { $or: [{ createdBy: userId }, { assignedTo: userId }] },
+        ...conditions
+      ]
+    };
+  }
+
+  /**
+   * 查找目标任务
+   * @returns {Promise<{tasks: Array, missing: Array<string>, error: string|null}>}
+   */
+  async findTargets(userId, { ids, filter }) {
+    if (Array.isArray(ids) && ids.length > 0) {
+      const uniqueIds = [...new Set(ids.map(id => id.toString()))];
+      if (uniqueIds.length > MAX_BULK_TASKS) {
+        return { tasks: [], missing: [], error: `单次最多操作${MAX_BULK_TASKS}个任务` };
+      }
+
+      const validIds = uniqueIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+      const tasks = await Task.find({ _id: { $in: validIds } });
+      const found = new Set(tasks.map(task => task._id.toString()));
+
+      return {
+        tasks: uniqueIds.map(id => tasks.find(task => task._id.toString() === id)).filter(Boolean),
+        missing: uniqueIds.filter(id => !found.has(id)),
+        error: null
+      };
+    }
+
+    const query = this.buildFilterQuery(userId, filter);
+    if (!query) {
+      return { tasks: [], missing: [], error: '请提供任务ID列表或筛选条件' };
+    }
+
+    const tasks = await Task.find(query).sort({ createdAt: -1 }).limit(MAX_BULK_TASKS + 1);
+    if (tasks.length > MAX_BULK_TASKS) {
+      return { tasks: [], missing: [], error: `匹配的任务超过${MAX_BULK_TASKS}个，请缩小筛选范围` };
+    }
+
+    return { tasks, missing: [], error: null };
+  }
+
+  /**
+   * 检查用户对任务的操作权限：删除仅限创建者，修改限创建者或负责人
+   */
+  canOperate(task, userId, action) {
+    const isCreator = task.createdBy.toString() === userId.toString();
+    if (action === 'delete') return isCreator;
+    return isCreator || (task.assignedTo && task.assignedTo.toString() === userId.toString());
+  }
+
+  /**
+   * 在内存中对任务应用修改（不保存）
+   */
+  applyChanges(task, changes) {
+    if (changes.status !== undefined) task.status = changes.status;
+    if (changes.priority !== undefined) task.priority = changes.priority;
+    if (changes.assignedTo !== undefined) task.assignedTo = changes.assignedTo || undefined;
+
+    if (changes.addTags || changes.removeTags) {
+      const removed = new Set(changes.removeTags || []);
+      task.tags = [...new Set([...(task.tags || []), ...(changes.addTags || [])])]
+        .filter(tag => !removed.has(tag));
+    }
+
+    if (changes.dueDateShiftDays && task.dueDate) {
+      task.dueDate = new Date(task.dueDate.getTime() + changes.dueDateShiftDays * DAY_MS);
+    }
+  }
+
+  /**
+   * 预检单个任务：操作权限，以及会阻止本次状态变更的未完成前置任务
+   * @returns {Promise<{reason: string|null, blocking: Array}>} reason 为不能操作的原因
+   */
+  async precheck(task, userId, action, changes) {
+    if (!this.canOperate(task, userId, action)) {
+      return {
+        reason: action === 'delete' ? '只有任务创建者可以删除任务' : '无权限修改该任务',
+        blocking: []
+      };
+    }
+
+    if (
+      action === 'update' &&
+      changes.status &&
+      changes.status !== task.status &&
+      taskDependencyService.requiresResolvedDependencies(changes.status)
+    ) {
+      return { reason: null, blocking: await taskDependencyService.getOpenDependencies(task) };
+    }
+
+    return { reason: null, blocking: [] };
+  }
+
+  /**
+   * 找出前置任务均已完成、或会在本批次中一起完成的任务
+   * 只有实际会写入的任务才算作本批次完成，被阻塞任务的后续任务同样被阻塞，反复筛选直到结果不再变化
+   * @param {Array<{task: Object, blocking: Array}>} candidates - 通过权限检查的任务
+   * @param {boolean} resolvesStatus - 本批次是否将任务改为完成或取消
+   * @returns {{runnable: Array, resolvedInBatch: Set<string>}}
+   */
+  resolveBatch(candidates, resolvesStatus) {
+    let runnable = candidates;
+    let resolvedInBatch = new Set();
+
+    for (;;) {
+      resolvedInBatch = new Set(resolvesStatus ? runnable.map(({ task }) => task._id.toString()) : []);
+      const next = runnable.filter(({ blocking }) =>
+        blocking.every(dependency => resolvedInBatch.has(dependency._id.toString())));
+      if (next.length === runnable.length) break;
+      runnable = next;
+    }
+
+    return { runnable, resolvedInBatch };
+  }
+
+  /**
+   * 执行批量操作
+   * @param {string} userId - 操作用户ID
+   * @param {Object} request
+   * @param {Array<string>} request.ids - 任务ID列表（与 filter 二选一）
+   * @param {Object} request.filter - 筛选条件
+   * @param {string} request.action - update/delete
+   * @param {Object} request.changes - 修改内容（update 时必填）
+   * @param {boolean} request.atomic - 为 true 时任一任务预检失败则全部不执行
+   * @returns {Promise<{error: string|null, applied: boolean, summary: Object, results: Array}>}
+   */
+  async execute(userId, request = {}) {
+    const { ids, filter, action, atomic = true } = request;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return { error: '无效的批量操作类型', applied: false, summary: null, results: [] };
+    }
+
+    let changes = {};
+    if (action === 'update') {
+      const normalized = this.normalizeChanges(request.changes);
+      if (normalized.error) {
+        return { error: normalized.error, applied: false, summary: null, results: [] };
+      }
+      changes = normalized.changes;
+
+      if (changes.assignedTo && !(await User.exists({ _id: changes.assignedTo }))) {
+        return { error: '负责人不存在', applied: false, summary: null, results: [] };
+      }
+    }
+
+    const { tasks, missing, error } = await this.findTargets(userId, { ids, filter });
+    if (error) {
+      return { error, applied: false, summary: null, results: [] };
+    }
+
+    const results = missing.map(taskId => ({ taskId, success: false, message: '任务不存在' }));
+    const candidates = [];
+    for (const task of tasks) {
+      const { reason, blocking } = await this.precheck(task, userId, action, changes);
+      if (reason) {
+        results.push({ taskId: task._id.toString(), title: task.title, success: false, message: reason });
+      } else {
+        candidates.push({ task, blocking });
+      }
+    }
+
+    const resolvesStatus = action === 'update' && Boolean(changes.status) && taskDependencyService.isResolved(changes.status);
+    const { runnable: passed, resolvedInBatch } = this.resolveBatch(candidates, resolvesStatus);
+    candidates.forEach(({ task, blocking }) => {
+      const count = blocking.filter(dependency => !resolvedInBatch.has(dependency._id.toString())).length;
+      if (count > 0) {
+        results.push({ taskId: task._id.toString(), title: task.title, success: false, message: `存在${count}个未完成的前置任务` });
+      }
+    });
+    const runnable = passed.map(({ task }) => task);
+
+    const blocked = atomic && results.length > 0;
+    if (!blocked) {
+      for (const task of runnable) {
+        results.push(action === 'delete'
+          ? await this.deleteOne(task)
+          : await this.updateOne(task, userId, changes, resolvedInBatch));
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    return {
+      error: null,
+      applied: !blocked,
+      summary: {
+        total: results.length + (blocked ? runnable.length : 0),
+        succeeded,
+        failed: results.length - succeeded,
+        skipped: blocked ? runnable.length : 0
+      },
+      results
+    };
+  }
+
+  /**
+   * 修改单个任务并记录字段级变更
+   * @param {Set<string>} resolvedInBatch - 本批次中将被完成或取消的任务ID
+   */
+  async updateOne(task, userId, changes, resolvedInBatch = new Set()) {
+    const taskId = task._id.toString();
+    try {
+      const before = taskHistoryService.snapshot(task);
+      this.applyChanges(task, changes);
+
+      const fieldChanges = taskHistoryService.diff(before, taskHistoryService.snapshot(task));
+      if (fieldChanges.length === 0) {
+        return { taskId, title: task.title, success: true, message: '无需修改', changes: [] };
+      }
+
+      // 批量修改只作用于重复任务的当前实例
+      if (task.recurring?.seriesId && fieldChanges.some(change => change.field !== 'status')) {
+        task.recurring.isException = true;
+      }
+
+      const result = await taskCompletionService.save(task, userId, {
+        before,
+        action: 'bulk_updated',
+        details: fields => `批量更新字段: ${fields.join(', ')}`,
+        resolvedIds: resolvedInBatch
+      });
+      if (result.error) {
+        return { taskId, title: task.title, success: false, message: result.error };
+      }
+
+      return { taskId, title: task.title, success: true, changes: result.fieldChanges };
+    } catch (error) {
+      console.error(`批量更新任务失败 (${taskId}):`, error);
+      return { taskId, title: task.title, success: false, message: error.message };
+    }
+  }
+
+  /**
+   * 删除单个任务
+   */
+  async deleteOne(task) {
+    const taskId = task._id.toString();
+    try {
+      await task.deleteOne();
+      return { taskId, title: task.title, success: true };
+    } catch (error) {
+      console.error(`批量删除任务失败 (${taskId}):`, error);
+      return { taskId, title: task.title, success: false, message: error.message };
+    }
+  }
+}
+
+module.exports = new TaskBulkService();
@@ -0,0 +1,156 @@
+const Meeting = require('../models/Meeting');
+const taskDependencyService = require('./taskDependencyService');
+const taskHistoryService = require('./taskHistoryService');
+const taskWatcherService = require('./taskWatcherService');
+const recurringTaskService = require('./recurringTaskService');
+const timeTrackingService = require('./timeTrackingService');
+
+// 由会议行动项创建的任务的来源类型（metadata.sourceType）
+const ACTION_ITEM_SOURCE_TYPE = 'meeting_action_item';
+
+/**
+ * 任务状态变更服务
+ * 所有修改任务状态的入口（任务编辑、撤销、批量、看板、会议行动项、微信）统一经此保存：
+ * 前置任务检查 → 保存 → 完成后处理（含同步会议行动项）→ 字段历史 → 通知关注者
+ */
+class TaskCompletionService {
+
+  /**
+   * 保存后的任务状态：进度为100%的任务会被模型自动标记为已完成
+   * @param {Object} task - 已应用修改、尚未保存的任务
+   */
+  getResultingStatus(task) {
+    return task.progress === 100 ? 'completed' : task.status;
+  }
+
+  /**
+   * 重新打开已完成的任务时按子任务重新计算进度，避免保存时被自动标记回已完成
+   * @returns {string|null} 无法重新打开的原因
+   */
+  prepareReopen(task, previousStatus) {
+    if (previousStatus !== 'completed' || task.status === 'completed' || task.progress !== 100) {
+      return null;
+    }
+
+    task.progress = task.subtasks.length > 0 ? task.calculateProgress() : 0;
+    task.completedAt = undefined;
+    return task.progress === 100 ? '子任务已全部完成，请先取消完成子任务' : null;
+  }
+
+  /**
+   * 检查保存后的状态是否被未完成的前置任务阻塞
+   * @param {Object} task - 已应用修改、尚未保存的任务
+   * @param {string} previousStatus - 修改前的状态
+   * @param {string} userId - 操作人，用于隐藏其无权查看的前置任务详情
+   * @param {Set<string>} resolvedIds - 视为已完成的任务（如同一批次中一起完成的任务）
+   * @returns {Promise<Array>} 阻塞的前置任务
+   */
+  async getBlockingTasks(task, previousStatus, userId, resolvedIds = new Set()) {
+    const status = this.getResultingStatus(task);
+    if (status === previousStatus || !taskDependencyService.requiresResolvedDependencies(status)) {
+      return [];
+    }
+
+    return (await taskDependencyService.getOpenDependencies(task, userId))
+      .filter(dependency => !resolvedIds.has(dependency._id.toString()));
+  }
+
+  /**
+   * 任务完成后的处理：重复任务生成下一次实例，并结束该任务上未结束的计时
+   * @returns {Promise<Object|null>} 下一次实例
+   */
+  async handleCompleted(task) {
+    const nextOccurrence = await recurringTaskService.createNextOccurrence(task);
+    const actualHours = await timeTrackingService.stopAllForTask(task._id);
+    if (actualHours !== null) task.actualHours = actualHours;
+    return nextOccurrence;
+  }
+
+  /**
+   * 由会议行动项创建的任务状态变化后，同步行动项的完成状态
+   */
+  async syncActionItemFromTask(task) {
+    const { sourceType, sourceId, sourceItemId } = task.metadata || {};
+    if (sourceType !== ACTION_ITEM_SOURCE_TYPE || !sourceId || !sourceItemId) return null;
+
+    const update = task.status === 'completed'
+      ? {
+        $set: {
+          'aiAnalysis.actionItems.$.completed': true,
+          'aiAnalysis.actionItems.$.completedAt': task.completedAt || new Date()
+        }
+      }
+      : {
+        $set: { 'aiAnalysis.actionItems.$.completed': false },
+        $unset: { 'aiAnalysis.actionItems.$.completedAt': '' }
+      };
+
+    return Meeting.updateOne(
+      { _id: sourceId, 'aiAnalysis.actionItems._id': sourceItemId },
+      update
+    );
+  }
+
+  /**
+   * 保存任务修改并执行状态变更的副作用
+   * @param {Object} task - 已应用修改、尚未保存的任务
+   * @param {string} userId - 操作人
+   * @param {Object} options
+   * @param {Object} options.before - 修改前的快照（taskHistoryService.snapshot）
+   * @param {string} options.action - 活动日志类型
+   * @param {string|Function} options.details - 日志说明，为函数时传入记录的字段名
+   * @param {Array<string>} options.notes - 快照之外的变更说明，一并写入日志
+   * @param {Object} options.revertOf - 撤销的历史记录ID
+   * @param {Set<string>} options.resolvedIds - 视为已完成的前置任务
+   * @param {boolean} options.syncActionItem - 是否同步会议行动项（状态来自行动项时为 false）
+   * @returns {Promise<{error?: string, blockingTasks?: Array, fieldChanges?: Array, nextOccurrence?: Object}>}
+   */
+  async save(task, userId, options = {}) {
+    const { before, action = 'updated', details, notes = [], revertOf, resolvedIds, syncActionItem = true } = options;
+    const wasCompleted = before.status === 'completed';
+
+    const reopenError = this.prepareReopen(task, before.status);
+    if (reopenError) {
+      return { error: reopenError };
+    }
+
+    const blockingTasks = await this.getBlockingTasks(task, before.status, userId, resolvedIds);
+    if (blockingTasks.length > 0) {
+      return {
+        error: `存在${blockingTasks.length}个未完成的前置任务，无法变更任务状态`,
+        blockingTasks
+      };
+    }
+
+    await task.save();
+
+    let nextOccurrence = null;
+    if (!wasCompleted && task.status === 'completed') {
+      nextOccurrence = await this.handleCompleted(task);
+    }
+
+    if (syncActionItem && task.status !== before.status) {
+      await this.syncActionItemFromTask(task)
+        .catch(error => console.error('同步会议行动项状态失败:', error));
+    }
+
+    // 保存后再对比，包含完成时自动更新的进度
+    const fieldChanges = taskHistoryService.diff(before, taskHistoryService.snapshot(task));
+    if (fieldChanges.length > 0 || notes.length > 0) {
+      const fields = [...fieldChanges.map(change => change.field), ...notes];
+      await task.addActivityLog(
+        action,
+        userId,
+        typeof details === 'function' ? details(fields) : details,
+        { changes: fieldChanges, revertOf }
+      );
+    }
+
+    taskWatcherService.notifyChanges(task, fieldChanges, userId)
+      .catch(error => console.error('发送任务变更通知失败:', error));
+
+    return { fieldChanges, nextOccurrence };
+  }
+}
+
+module.exports = new TaskCompletionService();
@@ -0,0 +1,506 @@
+const Task = require('../models/Task');
+
+// 视为已解除阻塞的任务状态
+const RESOLVED_STATUSES = ['completed', 'cancelled'];
+
+// 需要前置任务全部完成才能进入的状态
+const GATED_STATUSES = ['in_progress', 'completed'];
+
+// 关键路径计算使用的每日工作小时数
+const WORKING_HOURS_PER_DAY = 8;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 判断访问权限所需的字段
+const ACCESS_FIELDS = 'createdBy assignedTo watchers';
+
+const toId = value => (value?._id || value)?.toString();
+
+/**
+ * 任务依赖服务
+ * 负责依赖校验（存在性、环检测）、依赖图构建以及关键路径计算
+ */
+class TaskDependencyService {
+
+  /**
+   * 判断任务状态是否已解除阻塞
+   * @param {string} status - 任务状态
+   */
+  isResolved(status) {
+    return RESOLVED_STATUSES.includes(status);
+  }
+
+  /**
+   * 判断目标状态是否需要前置任务全部完成
+   * @param {string} status - 目标状态
+   */
+  requiresResolvedDependencies(status) {
+    return GATED_STATUSES.includes(status);
+  }
+
+  /**
+   * 判断用户能否查看任务：创建者、负责人或关注者
+   * @param {Object} task - 包含 createdBy/assignedTo/watchers 的任务
+   * @param {string} userId - 用户ID
+   */
+  canRead(task, userId) {
+    const id = toId(userId);
+    return [task.createdBy, task.assignedTo, ...(task.watchers || [])].some(user => toId(user) === id);
+  }
+
+  /**
+   * 转换为可返回给用户的任务摘要，无权查看的任务只保留ID和状态
+   * @param {Object} task - 任务文档
+   * @param {string|null} userId - 查看者，为空时不做权限过滤
+   */
+  toVisibleTask(task, userId = null) {
+    if (userId && !this.canRead(task, userId)) {
+      return {
+        _id: task._id,
+        title: '无权查看的任务',
+        status: task.status,
+        restricted: true
+      };
+    }
+
+    return {
+      _id: task._id,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      dueDate: task.dueDate
+    };
+  }
+
+  /**
+   * 获取任务尚未完成的前置任务
+   * @param {Object} task - 任务文档
+   * @param {string|null} userId - 查看者，指定时隐藏其无权查看的前置任务详情
+   * @returns {Promise<Array>} 未完成的前置任务
+   */
+  async getOpenDependencies(task, userId = null) {
+    if (!task.dependencies || task.dependencies.length === 0) {
+      return [];
+    }
+
+    const dependencyIds = task.dependencies.map(dep => dep._id || dep);
+
+    const tasks = await Task.find({
+      _id: { $in: dependencyIds },
+      status: { $nin: RESOLVED_STATUSES }
+    }).select(`title status priority dueDate ${ACCESS_FIELDS}`);
+
+    return tasks.map(dependency => this.toVisibleTask(dependency, userId));
+  }
+
+  /**
+   * 校验依赖设置：前置任务必须存在且用户有权查看、不能依赖自身、不能形成环
+   * @param {string|null} taskId - 当前任务ID（新建任务时为null）
+   * @param {Array} dependencyIds - 前置任务ID列表
+   * @param {string} userId - 操作用户
+   * @param {Array} currentIds - 任务已有的前置任务，保留时不再检查权限
+   * @returns {Promise<{valid: boolean, message?: string, cycle?: Array}>}
+   */
+  async validateDependencies(taskId, dependencyIds = [], userId, currentIds = []) {
+    const ids = [...new Set(dependencyIds.map(id => id.toString()))];
+
+    if (taskId && ids.includes(taskId.toString())) {
+      return { valid: false, message: '任务不能依赖自身' };
+    }
+
+    if (ids.length === 0) {
+      return { valid: true };
+    }
+
+    const kept = new Set(currentIds.map(toId));
+    const existing = await Task.find({ _id: { $in: ids } }).select(ACCESS_FIELDS);
+    const accessible = existing
+      .filter(task => kept.has(task._id.toString()) || this.canRead(task, userId))
+      .map(task => task._id.toString());
+
+    // 不存在与无权查看统一提示，避免泄露他人任务是否存在
+    const missing = ids.filter(id => !accessible.includes(id));
+    if (missing.length > 0) {
+      return { valid: false, message: `前置任务不存在或无权访问: ${missing.join(', ')}` };
+    }
+
+    // 新建任务不会被任何任务依赖，不可能成环
+    if (!taskId) {
+      return { valid: true };
+    }
+
+    const graph = await this.loadUpstreamGraph(ids);
+    const cycle = this.findCyclePath(graph, taskId.toString(), ids);
+
+    if (cycle) {
+      return {
+        valid: false,
+        message: '依赖关系形成循环',
+        cycle
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * 逐层加载上游依赖关系
+   * @param {Array<string>} startIds - 起始任务ID
+   * @returns {Promise<Map<string, Array<string>>>} 任务ID -> 前置任务ID列表
+   */
+  async loadUpstreamGraph(startIds) {
+    const graph = new Map();
+    let frontier = [...startIds];
+
+    while (frontier.length > 0) {
+      const tasks = await Task.find({ _id: { $in: frontier } }).select('dependencies');
+      frontier = [];
+
+      tasks.forEach(task => {
+        const id = task._id.toString();
+        const deps = (task.dependencies || []).map(dep => dep.toString());
+        graph.set(id, deps);
+        deps.forEach(dep => {
+          if (!graph.has(dep) && !frontier.includes(dep)) {
+            frontier.push(dep);
+          }
+        });
+      });
+    }
+
+    return graph;
+  }
+
+  /**
+   * 检测为任务设置依赖后是否成环
+   * @param {Map<string, Array<string>>} graph - 任务ID -> 前置任务ID列表
+   * @param {string} taskId - 当前任务ID
+   * @param {Array<string>} dependencyIds - 拟设置的前置任务ID
+   * @returns {Array<string>|null} 环路径（从当前任务出发再回到当前任务），无环返回null
+   */
+  findCyclePath(graph, taskId, dependencyIds) {
+    const visited = new Set();
+
+    const visit = (id, path) => {
+      if (id === taskId) {
+        return [...path, id];
+      }
+      if (visited.has(id)) {
+        return null;
+      }
+      visited.add(id);
+
+      for (const dep of graph.get(id) || []) {
+        const cycle = visit(dep, [...path, id]);
+        if (cycle) return cycle;
+      }
+      return null;
+    };
+
+    for (const dep of dependencyIds) {
+      const cycle = visit(dep.toString(), [taskId]);
+      if (cycle) return cycle;
+    }
+
+    return null;
+  }
+
+  /**
+   * 构建任务的上下游依赖图（DAG）
+   * 用户无权查看的节点只保留ID和状态，依赖关系照常展示
+   * @param {Object} task - 根任务文档
+   * @param {string} userId - 查看者
+   * @returns {Promise<{nodes: Array, edges: Array}>}
+   */
+  async buildDependencyGraph(task, userId) {
+    const fields = `title status priority dueDate estimatedHours progress dependencies ${ACCESS_FIELDS}`;
+    const nodes = new Map();
+    const edges = new Map();
+
+    const addNode = (doc, direction) => {
+      const id = doc._id.toString();
+      if (nodes.has(id)) return;
+
+      if (direction !== 'root' && !this.canRead(doc, userId)) {
+        nodes.set(id, {
+          ...this.toVisibleTask(doc, userId),
+          direction,
+          isResolved: this.isResolved(doc.status)
+        });
+      } else {
+        nodes.set(id, {
+          _id: doc._id,
+          title: doc.title,
+          status: doc.status,
+          priority: doc.priority,
+          dueDate: doc.dueDate,
+          estimatedHours: doc.estimatedHours,
+          progress: doc.progress,
+          assignedTo: doc.assignedTo,
+          direction,
+          isResolved: this.isResolved(doc.status)
+        });
+      }
+    };
+
+    const addEdge = (from, to) => {
+      const key = `${from}->${to}`;
+      if (!edges.has(key)) {
+        edges.set(key, { from, to });
+      }
+    };
+
+    addNode(task, 'root');
+
+    // 上游：当前任务依赖的任务
+    let frontier = [task];
+    while (frontier.length > 0) {
+      const depIds = [];
+      frontier.forEach(doc => {
+        (doc.dependencies || []).forEach(dep => {
+          const depId = (dep._id || dep).toString();
+          addEdge(depId, doc._id.toString());
+          if (!nodes.has(depId)) depIds.push(depId);
+        });
+      });
+
+      if (depIds.length === 0) break;
+      frontier = await Task.find({ _id: { $in: depIds } }).select(fields);
+      frontier.forEach(doc => addNode(doc, 'upstream'));
+    }
+
+    // 下游：依赖当前任务的任务
+    frontier = [task];
+    while (frontier.length > 0) {
+      const ids = frontier.map(doc => doc._id);
+      const dependents = await Task.find({ dependencies: { $in: ids } }).select(fields);
+      const next = [];
+
+      dependents.forEach(doc => {
+        const id = doc._id.toString();
+        (doc.dependencies || []).forEach(dep => {
+          const depId = dep.toString();
+          if (ids.some(frontierId => frontierId.toString() === depId)) {
+            addEdge(depId, id);
+          }
+        });
+        if (!nodes.has(id)) {
+          addNode(doc, 'downstream');
+          next.push(doc);
+        }
+      });
+
+      frontier = next;
+    }
+
+    return {
+      nodes: Array.from(nodes.values()),
+      edges: Array.from(edges.values())
+    };
+  }
+
+  /**
+   * 计算用户未完成任务的关键路径
+   * @param {string} userId - 用户ID
+   * @param {Date} now - 计算基准时间
+   */
+  async calculateCriticalPath(userId, now = new Date()) {
+    const fields = `title status priority dueDate estimatedHours progress dependencies ${ACCESS_FIELDS}`;
+
+    const tasks = await Task.find({
+      $or: [{ createdBy: userId }, { assignedTo: userId }],
+      status: { $nin: RESOLVED_STATUSES }
+    }).select(fields);
+
+    // 补齐用户范围之外但仍未完成的前置任务，它们同样会推迟后续任务
+    const loaded = new Map(tasks.map(task => [task._id.toString(), task]));
+    let missing = this.collectMissingDependencies(tasks, loaded);
+
+    while (missing.length > 0) {
+      const extra = await Task.find({
+        _id: { $in: missing },
+        status: { $nin: RESOLVED_STATUSES }
+      }).select(fields);
+
+      extra.forEach(task => loaded.set(task._id.toString(), task));
+      // 已解决或不存在的依赖也记录下来，避免重复查询
+      missing.forEach(id => {
+        if (!loaded.has(id)) loaded.set(id, null);
+      });
+      missing = this.collectMissingDependencies(extra, loaded);
+    }
+
+    // 范围之外的前置任务参与排程，但只有有权查看的任务才返回详情
+    const openTasks = Array.from(loaded.values()).filter(Boolean);
+    return this.computeSchedule(openTasks, now, userId);
+  }
+
+  /**
+   * 找出尚未加载的依赖任务ID
+   */
+  collectMissingDependencies(tasks, loaded) {
+    const missing = new Set();
+    tasks.forEach(task => {
+      (task.dependencies || []).forEach(dep => {
+        const id = dep.toString();
+        if (!loaded.has(id)) missing.add(id);
+      });
+    });
+    return Array.from(missing);
+  }
+
+  /**
+   * 基于预估工时和截止日期进行正向/反向排程（CPM）
+   * 时间单位为"工作小时"，每天按 WORKING_HOURS_PER_DAY 小时折算
+   * @param {Array} tasks - 未完成任务列表
+   * @param {Date} now - 计算基准时间
+   * @param {string|null} userId - 查看者，无权查看的任务只返回排程结果
+   */
+  computeSchedule(tasks, now = new Date(), userId = null) {
+    const byId = new Map(tasks.map(task => [task._id.toString(), task]));
+    const predecessors = new Map();
+    const successors = new Map();
+
+    byId.forEach((task, id) => {
+      const preds = (task.dependencies || [])
+        .map(dep => dep.toString())
+        .filter(dep => byId.has(dep));
+      predecessors.set(id, preds);
+      if (!successors.has(id)) successors.set(id, []);
+      preds.forEach(pred => {
+        if (!successors.has(pred)) successors.set(pred, []);
+        successors.get(pred).push(id);
+      });
+    });
+
+    // 拓扑排序（Kahn算法）
+    const inDegree = new Map();
+    predecessors.forEach((preds, id) => inDegree.set(id, preds.length));
+    const queue = Array.from(inDegree.entries()).filter(([, deg]) => deg === 0).map(([id]) => id);
+    const order = [];
+
+    while (queue.length > 0) {
+      const id = queue.shift();
+      order.push(id);
+      successors.get(id).forEach(succ => {
+        inDegree.set(succ, inDegree.get(succ) - 1);
+        if (inDegree.get(succ) === 0) queue.push(succ);
+      });
+    }
+
+    // 历史数据中可能存在环，环上的任务无法排程
+    const unscheduled = Array.from(byId.keys()).filter(id => !order.includes(id));
+
+    const duration = new Map();
+    const earliestStart = new Map();
+    const earliestFinish = new Map();
+    const drivingPredecessor = new Map();
+
+    order.forEach(id => {
+      const task = byId.get(id);
+      const remaining = (task.estimatedHours || 0) * (1 - (task.progress || 0) / 100);
+      duration.set(id, Math.max(0, remaining));
+
+      let start = 0;
+      predecessors.get(id).forEach(pred => {
+        if (earliestFinish.has(pred) && earliestFinish.get(pred) > start) {
+          start = earliestFinish.get(pred);
+          drivingPredecessor.set(id, pred);
+        }
+      });
+
+      earliestStart.set(id, start);
+      earliestFinish.set(id, start + duration.get(id));
+    });
+
+    const projectFinish = Math.max(0, ...Array.from(earliestFinish.values()));
+
+    // 反向计算最晚完成时间：受自身截止日期和后续任务的最晚开始时间约束
+    const latestFinish = new Map();
+    [...order].reverse().forEach(id => {
+      const task = byId.get(id);
+      let latest = task.dueDate ? this.hoursUntil(task.dueDate, now) : Infinity;
+
+      successors.get(id).forEach(succ => {
+        if (latestFinish.has(succ)) {
+          latest = Math.min(latest, latestFinish.get(succ) - duration.get(succ));
+        }
+      });
+
+      latestFinish.set(id, latest === Infinity ? projectFinish : latest);
+    });
+
+    // 关键路径：从最晚完成的任务沿驱动前置任务回溯
+    const criticalPath = [];
+    if (order.length > 0) {
+      let current = order.reduce((best, id) =>
+        earliestFinish.get(id) > earliestFinish.get(best) ? id : best, order[0]);
+      while (current) {
+        criticalPath.unshift(current);
+        current = drivingPredecessor.get(current);
+      }
+    }
+
+    const schedule = order.map(id => {
+      const task = byId.get(id);
+      const slackHours = latestFinish.get(id) - earliestFinish.get(id);
+      const timing = {
+        dependencies: predecessors.get(id),
+        projectedStart: this.addWorkingHours(now, earliestStart.get(id)),
+        projectedFinish: this.addWorkingHours(now, earliestFinish.get(id)),
+        slackHours: this.round(slackHours),
+        willSlip: slackHours < 0,
+        isCritical: criticalPath.includes(id)
+      };
+
+      if (userId && !this.canRead(task, userId)) {
+        return { ...this.toVisibleTask(task, userId), ...timing };
+      }
+
+      return {
+        _id: task._id,
+        title: task.title,
+        status: task.status,
+        priority: task.priority,
+        dueDate: task.dueDate,
+        estimatedHours: task.estimatedHours,
+        remainingHours: this.round(duration.get(id)),
+        missingEstimate: !task.estimatedHours,
+        ...timing
+      };
+    });
+
+    return {
+      generatedAt: now,
+      workingHoursPerDay: WORKING_HOURS_PER_DAY,
+      totalHours: this.round(projectFinish),
+      projectedCompletion: this.addWorkingHours(now, projectFinish),
+      criticalPath: criticalPath.map(id => schedule.find(item => item._id.toString() === id)),
+      slippingTasks: schedule.filter(item => item.willSlip),
+      tasks: schedule,
+      unscheduled
+    };
+  }
+
+  /**
+   * 将距截止日期的自然时间折算为工作小时
+   */
+  hoursUntil(date, now) {
+    const days = (new Date(date) - now) / (24 * HOUR_MS);
+    return days * WORKING_HOURS_PER_DAY;
+  }
+
+  /**
+   * 在基准时间上增加若干工作小时，返回对应的自然时间
+   */
+  addWorkingHours(now, hours) {
+    const days = hours / WORKING_HOURS_PER_DAY;
+    return new Date(now.getTime() + days * 24 * HOUR_MS);
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new TaskDependencyService();
@@ -0,0 +1,285 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const EscalationPolicy = require('../models/EscalationPolicy');
+const NotificationService = require('./notificationService');
+const taskHistoryService = require('./taskHistoryService');
+
+// 每轮最多升级的逾期任务数
+const MAX_TASKS_PER_RUN = 200;
+
+const PRIORITY_ORDER = ['low', 'medium', 'high', 'urgent'];
+
+// 职级由低到高，未设置直属上级时按部门内更高职级查找
+const POSITION_RANKS = ['员工', '主管', '经理', '总监', '高管'];
+
+const MINUTE_MS = 60 * 1000;
+
+const toId = value => (value?._id || value)?.toString();
+
+/**
+ * 任务逾期升级服务
+ * 按管理员配置的升级规则，在任务逾期达到指定时长后通知相关人员并提升优先级
+ */
+class TaskEscalationService {
+
+  /**
+   * 判断规则是否适用于任务（范围为空表示不限）
+   */
+  matchesScope(policy, task) {
+    const { categories = [], projects = [], priorities = [] } = policy.scope || {};
+    if (categories.length > 0 && !categories.includes(task.category)) return false;
+    if (priorities.length > 0 && !priorities.includes(task.priority)) return false;
+    if (projects.length > 0 && !projects.some(project => toId(project) === toId(task.project))) return false;
+    return true;
+  }
+
+  /**
+   * 规则的具体程度：限定项目的规则优先于限定类型或优先级的规则
+   */
+  getSpecificity(policy) {
+    const { categories = [], projects = [], priorities = [] } = policy.scope || {};
+    return (projects.length > 0 ? 4 : 0) + (categories.length > 0 ? 2 : 0) + (priorities.length > 0 ? 1 : 0);
+  }
+
+  /**
+   * 获取任务在当前截止日期下已触发的升级记录
+   */
+  getTriggered(task) {
+    const dueTime = task.dueDate ? new Date(task.dueDate).getTime() : null;
+    return (task.escalations || []).filter(record =>
+      record.dueDate && new Date(record.dueDate).getTime() === dueTime
+    );
+  }
+
+  /**
+   * 选择任务适用的升级规则
+   * 已开始升级的任务继续使用原规则（避免提升优先级后切换到其他规则），否则选择最具体的规则
+   * @param {Object} task - 任务
+   * @param {Array} policies - 已启用的规则（按创建时间排序）
+   * @returns {Object|null}
+   */
+  selectPolicy(task, policies) {
+    const triggered = this.getTriggered(task);
+    if (triggered.length > 0) {
+      const current = policies.find(policy => policy._id.toString() === toId(triggered[0].policy));
+      if (current) return current;
+    }
+
+    const matching = policies.filter(policy => this.matchesScope(policy, task));
+    if (matching.length === 0) return null;
+
+    return matching.reduce((best, policy) =>
+      this.getSpecificity(policy) > this.getSpecificity(best) ? policy : best
+    );
+  }
+
+  /**
+   * 获取已到触发时间且尚未执行的步骤
+   */
+  getDueSteps(task, policy, now = new Date()) {
+    if (!task.dueDate) return [];
+    const overdueMinutes = (now - new Date(task.dueDate)) / MINUTE_MS;
+    const triggered = new Set(this.getTriggered(task).map(record => toId(record.step)));
+
+    return policy.steps
+      .filter(step => overdueMinutes >= step.afterMinutes && !triggered.has(step._id.toString()))
+      .sort((a, b) => a.afterMinutes - b.afterMinutes);
+  }
+
+  /**
+   * 提升一级优先级
+   * @returns {string|null} 已是最高优先级时返回null
+   */
+  getRaisedPriority(priority) {
+    const index = PRIORITY_ORDER.indexOf(priority);
+    return index >= 0 && index < PRIORITY_ORDER.length - 1 ? PRIORITY_ORDER[index + 1] : null;
+  }
+
+  /**
+   * 格式化逾期时长
+   */
+  formatOverdue(minutes) {
+    if (minutes < 60) return `${Math.max(1, Math.floor(minutes))}分钟`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}小时`;
+    const days = Math.floor(minutes / (24 * 60));
+    const hours = Math.floor((minutes % (24 * 60)) / 60);
+    return hours > 0 ? `${days}天${hours}小时` : `${days}天`;
+  }
+
+  /**
+   * 查找用户的上级：优先使用设置的直属上级，否则取同部门中职级最接近的更高职级用户
+   * @returns {Promise<string|null>} 上级用户ID
+   */
+  async resolveManager(userId) {
+    if (!userId) return null;
+    const user = await User.findById(userId).select('profile.manager profile.department profile.position');
+    if (!user) return null;
+    if (user.profile?.manager) return user.profile.manager.toString();
+    if (!user.profile?.department) return null;
+
+    const rank = POSITION_RANKS.indexOf(user.profile.position || '员工');
+    const higher = POSITION_RANKS.slice(rank + 1);
+    if (higher.length === 0) return null;
+
+    const candidates = await User.find({
+      _id: { $ne: user._id },
+      isActive: { $ne: false },
+      'profile.department': user.profile.department,
+      'profile.position': { $in: higher }
+    }).select('profile.position');
+
+    const manager = candidates.sort((a, b) =>
+      POSITION_RANKS.indexOf(a.profile.position) - POSITION_RANKS.indexOf(b.profile.position)
+    )[0];
+    return manager ? manager._id.toString() : null;
+  }
+
+  /**
+   * 解析步骤的通知对象
+   * @returns {Promise<Array<{userId: string, role: string}>>} 同一用户只通知一次
+   */
+  async resolveRecipients(task, step) {
+    const recipients = new Map();
+    const add = (userId, role) => {
+      const id = toId(userId);
+      if (id && !recipients.has(id)) recipients.set(id, { userId: id, role });
+    };
+
+    for (const target of step.notify) {
+      if (target === 'assignee') add(task.assignedTo, 'assignee');
+      if (target === 'creator') add(task.createdBy, 'creator');
+      if (target === 'manager') add(await this.resolveManager(toId(task.assignedTo || task.createdBy)), 'manager');
+      if (target === 'watchers') (task.watchers || []).forEach(watcher => add(watcher, 'watchers'));
+    }
+
+    return [...recipients.values()];
+  }
+
+  /**
+   * 执行单个升级步骤：先原子地记录步骤（多实例并发时只执行一次），再通知并提升优先级
+   * @returns {Promise<boolean>} 是否执行
+   */
+  async applyStep(task, policy, step, now = new Date()) {
+    const claim = await Task.updateOne(
+      {
+        _id: task._id,
+        escalations: { $not: { $elemMatch: { step: step._id, dueDate: task.dueDate } } }
+      },
+      { $push: { escalations: { policy: policy._id, step: step._id, dueDate: task.dueDate, triggeredAt: now } } }
+    );
+    if (claim.modifiedCount === 0) return false;
+
+    const before = taskHistoryService.snapshot(task);
+    const raisedPriority = step.raisePriority ? this.getRaisedPriority(task.priority) : null;
+    if (raisedPriority) {
+      task.priority = raisedPriority;
+    }
+
+    const overdueText = this.formatOverdue((now - new Date(task.dueDate)) / MINUTE_MS);
+    const recipients = await this.resolveRecipients(task, step);
+    const assigneeName = await this.getUserName(task.assignedTo);
+
+    for (const recipient of recipients) {
+      try {
+        await NotificationService.createTaskEscalationNotification(task, recipient.userId, {
+          role: recipient.role,
+          overdueText,
+          assigneeName,
+          message: step.message,
+          raisedPriority,
+          channels: step.channels
+        });
+      } catch (error) {
+        console.error(`❌ 逾期升级通知发送失败 (${task._id} -> ${recipient.userId}):`, error.message);
+      }
+    }
+
+    const notified = recipients.length > 0 ? `，通知${recipients.length}人` : '，无可通知对象';
+    const raised = raisedPriority ? `，优先级提升为${raisedPriority}` : '';
+    await task.addActivityLog(
+      'escalated',
+      undefined,
+      `逾期${overdueText}触发升级规则"${policy.name}"${notified}${raised}`,
+      { changes: taskHistoryService.diff(before, taskHistoryService.snapshot(task)) }
+    );
+
+    return true;
+  }
+
+  /**
+   * 获取各规则最后一个步骤的ID：当前截止日期下已触发最后一步的任务已完成全部升级
+   */
+  getFinalStepIds(policies) {
+    return policies
+      .filter(policy => policy.steps.length > 0)
+      .map(policy => policy.steps.reduce((last, step) => (step.afterMinutes >= last.afterMinutes ? step : last))._id);
+  }
+
+  /**
+   * 执行逾期升级（由调度器定期调用）
+   * 跳过已完成全部升级的任务，并按截止日期逐个遍历逾期任务，
+   * 没有适用规则的任务不占用每轮的处理名额，避免较新的逾期任务一直得不到处理
+   * @returns {Promise<number>} 执行的升级步骤数
+   */
+  async runEscalations(now = new Date()) {
+    const policies = await EscalationPolicy.find({ enabled: true }).sort({ createdAt: 1 });
+    if (policies.length === 0) return 0;
+
+    const earliestStep = Math.min(...policies.flatMap(policy => policy.steps.map(step => step.afterMinutes)));
+    const cursor = Task.find({
+      status: { $nin: ['completed', 'cancelled'] },
+      dueDate: { $lte: new Date(now.getTime() - earliestStep * MINUTE_MS) },
+      $expr: {
+        $not: {
+          $anyElementTrue: [{
+            $map: {
+              input: { $ifNull: ['$escalations', []] },
+              as: 'record',
+              in: {
+                $and: [
+                  { $eq: ['$$record.dueDate', '$dueDate'] },
+                  { $in: ['$$record.step', this.getFinalStepIds(policies)] }
+                ]
+              }
+            }
+          }]
+        }
+      }
+    })
+      .sort({ dueDate: 1 })
+      .cursor();
+
+    let applied = 0;
+    let processed = 0;
+    for await (const task of cursor) {
+      const policy = this.selectPolicy(task, policies);
+      const steps = policy ? this.getDueSteps(task, policy, now) : [];
+      if (steps.length === 0) continue;
+
+      for (const step of steps) {
+        try {
+          if (await this.applyStep(task, policy, step, now)) applied++;
+        } catch (error) {
+          console.error(`❌ 任务逾期升级失败: ${task._id}/${step._id}`, error);
+        }
+      }
+
+      if (++processed >= MAX_TASKS_PER_RUN) break;
+    }
+
+    return applied;
+  }
+
+  /**
+   * 获取用户显示名称
+   */
+  async getUserName(userId) {
+    if (!userId) return null;
+    const user = await User.findById(toId(userId)).select('username profile.firstName profile.lastName');
+    if (!user) return null;
+    const name = `${user.profile?.lastName || ''}${user.profile?.firstName || ''}`;
+    return name || user.username;
+  }
+}
+
+module.exports = new TaskEscalationService();
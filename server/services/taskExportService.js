@@ -0,0 +1,90 @@
+const User = require('../models/User');
+const customFieldService = require('./customFieldService');
+const { toCsv } = require('../utils/csv');
+
+const STATUS_LABELS = {
+  pending: '待处理',
+  in_progress: '进行中',
+  completed: '已完成',
+  cancelled: '已取消',
+  on_hold: '已暂停'
+};
+
+const PRIORITY_LABELS = { low: '低', medium: '中', high: '高', urgent: '紧急' };
+
+const CATEGORY_LABELS = { work: '工作', meeting: '会议', personal: '个人', project: '项目', other: '其他' };
+
+const getUserName = user => {
+  if (!user) return '';
+  const name = `${user.profile?.lastName || ''}${user.profile?.firstName || ''}`;
+  return name || user.username || '';
+};
+
+const formatDate = date => {
+  if (!date) return '';
+  const value = new Date(date);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * 任务导出服务
+ * 将任务列表（含自定义字段）导出为CSV
+ */
+class TaskExportService {
+
+  /**
+   * 获取用户类型自定义字段引用的用户名称
+   * @returns {Promise<Map>} 用户ID -> 显示名称
+   */
+  async resolveUserNames(tasks, definitions) {
+    const userFields = definitions.filter(definition => definition.type === 'user').map(definition => definition.key);
+    if (userFields.length === 0) return new Map();
+
+    const ids = new Set();
+    tasks.forEach(task => {
+      const values = customFieldService.toPlain(task.customFields);
+      userFields.forEach(key => {
+        if (values[key]) ids.add(values[key].toString());
+      });
+    });
+    if (ids.size === 0) return new Map();
+
+    const users = await User.find({ _id: { $in: [...ids] } }).select('username profile.firstName profile.lastName');
+    return new Map(users.map(user => [user._id.toString(), getUserName(user)]));
+  }
+
+  /**
+   * 导出任务为CSV（带BOM，便于Excel识别中文），每个自定义字段一列
+   * @param {Array} tasks - 已填充负责人的任务
+   * @param {Array} definitions - 自定义字段定义
+   * @returns {Promise<string>}
+   */
+  async toCsv(tasks, definitions) {
+    const userNames = await this.resolveUserNames(tasks, definitions);
+    const header = [
+      '标题', '状态', '优先级', '类型', '负责人', '开始日期', '截止日期', '进度(%)', '预估工时', '标签',
+      ...definitions.map(definition => definition.label)
+    ];
+
+    const rows = tasks.map(task => {
+      const values = customFieldService.toPlain(task.customFields);
+      return [
+        task.title,
+        STATUS_LABELS[task.status] || task.status,
+        PRIORITY_LABELS[task.priority] || task.priority,
+        CATEGORY_LABELS[task.category] || task.category,
+        getUserName(task.assignedTo),
+        formatDate(task.startDate),
+        formatDate(task.dueDate),
+        task.progress ?? 0,
+        task.estimatedHours ?? '',
+        (task.tags || []).join('、'),
+        ...definitions.map(definition => customFieldService.formatValue(definition, values[definition.key], userNames))
+      ];
+    });
+
+    return toCsv([header, ...rows]);
+  }
+}
+
+module.exports = new TaskExportService();
@@ -0,0 +1,210 @@
+const User = require('../models/User');
+
+// 记录字段级变更的任务字段及取值类型
+const TRACKED_FIELDS = {
+  title: 'value',
+  description: 'value',
+  status: 'value',
+  priority: 'value',
+  category: 'value',
+  project: 'ref',
+  progress: 'value',
+  estimatedHours: 'value',
+  assignedTo: 'ref',
+  startDate: 'date',
+  dueDate: 'date',
+  tags: 'list',
+  dependencies: 'refList',
+  subtasks: 'subtasks',
+  customFields: 'map'
+};
+
+// 支持单独撤销的字段（进度、子任务和依赖由其他操作派生或需要额外校验，不支持撤销）
+const REVERTIBLE_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'category',
+  'estimatedHours',
+  'assignedTo',
+  'startDate',
+  'dueDate',
+  'tags'
+];
+
+/**
+ * 任务变更历史服务
+ * 生成字段级变更记录、构建变更时间线并支持撤销单个字段的变更
+ */
+class TaskHistoryService {
+
+  /**
+   * 记录任务当前的可追踪字段值
+   * @param {Object} task - 任务文档
+   * @returns {Object} 字段名到规范化取值的映射
+   */
+  snapshot(task) {
+    const result = {};
+    Object.entries(TRACKED_FIELDS).forEach(([field, type]) => {
+      result[field] = this.normalize(task[field], type);
+    });
+    return result;
+  }
+
+  /**
+   * 将字段值规范化为可比较、可存储的形式
+   */
+  normalize(value, type) {
+    switch (type) {
+      case 'ref':
+        return value ? (value._id || value).toString() : null;
+      case 'date':
+        return value ? new Date(value) : null;
+      case 'list':
+        return [...(value || [])];
+      case 'refList':
+        return (value || []).map(item => (item._id || item).toString()).sort();
+      case 'map': {
+        // 按字段标识排序，ObjectId 转为字符串，便于比较
+        const entries = value instanceof Map ? [...value.entries()] : Object.entries(value || {});
+        return Object.fromEntries(entries
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([key, item]) => [key, item instanceof Date ? item : item?._bsontype ? item.toString() : item]));
+      }
+      case 'subtasks':
+        return (value || []).map(subtask => ({
+          _id: subtask._id?.toString(),
+          title: subtask.title,
+          completed: !!subtask.completed
+        }));
+      default:
+        return value === undefined ? null : value;
+    }
+  }
+
+  /**
+   * 判断两个规范化取值是否相同
+   */
+  isEqual(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+
+  /**
+   * 对比前后快照，得到字段级变更
+   * @returns {Array<{field: string, from: *, to: *}>}
+   */
+  diff(before, after) {
+    return Object.keys(TRACKED_FIELDS)
+      .filter(field => !this.isEqual(before[field], after[field]))
+      .map(field => ({ field, from: before[field], to: after[field] }));
+  }
+
+  /**
+   * 判断字段变更是否支持撤销
+   */
+  isRevertible(field) {
+    return REVERTIBLE_FIELDS.includes(field);
+  }
+
+  /**
+   * 检查变更能否撤销：字段需支持撤销，且当前值仍为该次变更后的值
+   * @returns {string|null} 不能撤销的原因
+   */
+  getRevertBlocker(task, change) {
+    if (!this.isRevertible(change.field)) {
+      return '该字段不支持撤销';
+    }
+    const current = this.normalize(task[change.field], TRACKED_FIELDS[change.field]);
+    const expected = this.normalize(change.to, TRACKED_FIELDS[change.field]);
+    if (!this.isEqual(current, expected)) {
+      return '该字段已被再次修改，无法撤销此变更';
+    }
+    return null;
+  }
+
+  /**
+   * 将字段恢复为变更前的值
+   * @param {Object} task - 任务文档
+   * @param {Object} change - 要撤销的字段变更
+   * @param {Object} entry - 变更所在的活动日志记录
+   */
+  applyRevert(task, change, entry) {
+    const type = TRACKED_FIELDS[change.field];
+    const value = this.normalize(change.from, type);
+    task[change.field] = value === null && type !== 'value' ? undefined : value;
+
+    // 撤销完成状态时一并恢复进度，避免保存时又被自动标记为完成
+    if (change.field === 'status' && change.to === 'completed' && value !== 'completed') {
+      const progressChange = entry?.changes?.find(item => item.field === 'progress');
+      task.progress = progressChange && progressChange.from !== 100 ? progressChange.from : 0;
+      task.completedAt = undefined;
+    }
+  }
+
+  /**
+   * 构建任务变更时间线（按时间倒序）
+   * @param {Object} task - 已填充 activityLog.user 的任务文档
+   * @param {Object} options
+   * @param {string} options.field - 只返回包含该字段变更的记录
+   */
+  async buildTimeline(task, options = {}) {
+    const { field } = options;
+    const revertedKeys = new Set();
+    task.activityLog.forEach(entry => {
+      if (entry.revertOf) {
+        entry.changes.forEach(change => revertedKeys.add(`${entry.revertOf}|${change.field}`));
+      }
+    });
+
+    const entries = task.activityLog
+      .filter(entry => !field || entry.changes.some(change => change.field === field))
+      .map(entry => ({
+        _id: entry._id,
+        action: entry.action,
+        user: entry.user,
+        details: entry.details,
+        timestamp: entry.timestamp,
+        revertOf: entry.revertOf,
+        changes: entry.changes
+          .filter(change => !field || change.field === field)
+          .map(change => ({
+            field: change.field,
+            from: change.from,
+            to: change.to,
+            reverted: revertedKeys.has(`${entry._id}|${change.field}`),
+            revertible: !this.getRevertBlocker(task, change)
+          }))
+      }))
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    return await this.resolveAssignees(entries);
+  }
+
+  /**
+   * 将负责人变更中的用户ID替换为用户信息
+   */
+  async resolveAssignees(entries) {
+    const ids = new Set();
+    entries.forEach(entry => entry.changes
+      .filter(change => change.field === 'assignedTo')
+      .forEach(change => [change.from, change.to].filter(Boolean).forEach(id => ids.add(id.toString()))));
+
+    if (ids.size === 0) return entries;
+
+    const users = await User.find({ _id: { $in: [...ids] } })
+      .select('username profile.firstName profile.lastName');
+    const userMap = new Map(users.map(user => [user._id.toString(), user]));
+
+    entries.forEach(entry => entry.changes
+      .filter(change => change.field === 'assignedTo')
+      .forEach(change => {
+        change.from = change.from ? userMap.get(change.from.toString()) || change.from : null;
+        change.to = change.to ? userMap.get(change.to.toString()) || change.to : null;
+      }));
+
+    return entries;
+  }
+}
+
+module.exports = new TaskHistoryService();
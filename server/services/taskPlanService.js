@@ -0,0 +1,211 @@
+const Calendar = require('../models/Calendar');
+const availabilityService = require('./availabilityService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 未设置截止时间时的排期范围（天）
+const DEFAULT_SCHEDULE_DAYS = 14;
+
+// 每个步骤的默认工作量（小时）
+const DEFAULT_HOURS_PER_STEP = 1;
+
+// 时间块对齐粒度（分钟）
+const SLOT_GRANULARITY_MINUTES = 15;
+
+// 由规划生成的日历事件来源标识
+const PLAN_EVENT_SOURCE = 'ai_plan';
+
+// 步骤行格式：- 步骤 / * 步骤 / • 步骤 / 1. 步骤 / 1、步骤 / (1) 步骤 / 步骤1：步骤 / 第1步：步骤
+const STEP_LINE_PATTERN = /^\s*(?:[-*•·]\s+|\(?\d+[.、)）]\s*|(?:步骤\s*\d+|第[一二三四五六七八九十\d]+步)\s*[:：]?\s*)(.+)$/;
+
+/**
+ * 任务规划落地服务
+ * 将选中的AI规划方案转换为子任务，并按用户空闲时间安排到日历
+ */
+class TaskPlanService {
+
+  /**
+   * 提取规划方案的执行步骤
+   * 优先使用方案中的步骤列表，否则从方案内容的列表项中解析
+   * @param {Object} plan - 规划方案（aiPlans 或 executionPlans 中的一项）
+   * @returns {string[]}
+   */
+  extractPlanSteps(plan) {
+    if (!plan) return [];
+
+    const steps = (plan.steps || []).map(step => String(step).trim()).filter(Boolean);
+    if (steps.length > 0) return steps;
+
+    const content = plan.content || plan.description || '';
+    return content
+      .split(/\r?\n/)
+      .map(line => {
+        // 跳过 **标题** 形式的加粗行
+        if (/^\s*\*\*/.test(line)) return null;
+        const match = STEP_LINE_PATTERN.exec(line);
+        return match ? match[1].replace(/\*\*/g, '').trim() : null;
+      })
+      .filter(Boolean)
+      .map(step => step.slice(0, 200));
+  }
+
+  /**
+   * 查找要落地的规划方案
+   * 指定 planId 时从 aiPlans 查找，指定 planIndex 时使用 executionPlans，否则使用任务已选中的方案
+   * @returns {{planId: string, title: string, steps: string[]}|null}
+   */
+  resolvePlan(task, { planId, planIndex } = {}) {
+    if (planIndex !== undefined && planIndex !== null && planId === undefined) {
+      const plan = task.executionPlans?.[parseInt(planIndex, 10)];
+      return plan ? {
+        planId: plan._id.toString(),
+        title: plan.planName,
+        steps: this.extractPlanSteps(plan)
+      } : null;
+    }
+
+    const targetId = planId ?? task.selectedPlan;
+    if (targetId === undefined || targetId === null) return null;
+
+    const plan = (task.aiPlans || []).find(item => String(item.planId) === String(targetId));
+    return plan ? {
+      planId: String(plan.planId),
+      title: plan.title,
+      steps: this.extractPlanSteps(plan)
+    } : null;
+  }
+
+  /**
+   * 计算排期时间范围：从当前时间（或任务开始时间）到截止时间
+   * @returns {{from: Date, to: Date}}
+   */
+  getScheduleWindow(task, now = new Date()) {
+    const granularity = SLOT_GRANULARITY_MINUTES * 60000;
+    const roundedNow = new Date(Math.ceil(now.getTime() / granularity) * granularity);
+    const from = task.startDate && task.startDate > roundedNow ? new Date(task.startDate) : roundedNow;
+    const to = task.dueDate ? new Date(task.dueDate) : new Date(from.getTime() + DEFAULT_SCHEDULE_DAYS * DAY_MS);
+
+    return { from, to };
+  }
+
+  /**
+   * 计算每个步骤的工作量（分钟）
+   * 优先使用 hoursPerStep，其次按任务预估工时平均分配（每步至少0.5小时），都没有时每步1小时
+   * 按预估工时分配时乘以历史估时偏差 estimateRatio（实际/预估）
+   */
+  getStepMinutes(task, stepCount, hoursPerStep, estimateRatio = 1) {
+    const hours = hoursPerStep > 0
+      ? hoursPerStep
+      : task.estimatedHours > 0
+        ? Math.max(0.5, task.estimatedHours * estimateRatio / stepCount)
+        : DEFAULT_HOURS_PER_STEP;
+
+    return Math.ceil((hours * 60) / SLOT_GRANULARITY_MINUTES) * SLOT_GRANULARITY_MINUTES;
+  }
+
+  /**
+   * 将规划方案落地为子任务，可选地在空闲时间安排日历时间块
+   * 重新落地时替换之前由规划生成且未完成的子任务及其未开始的时间块
+   * @param {Object} task - 任务文档
+   * @param {string} userId - 操作用户ID（时间块安排在该用户的日历上）
+   * @param {Object} plan - resolvePlan 的返回值
+   * @param {Object} options
+   * @param {boolean} options.schedule - 是否安排日历时间块
+   * @param {number} options.hoursPerStep - 每个步骤的工作量（小时）
+   * @param {number} options.estimateRatio - 历史估时偏差，用于校准按预估工时分配的时间块
+   * @returns {Promise<{subtasks: Array, events: Array, unscheduled: string[]}>}
+   */
+  async commitPlan(task, userId, plan, options = {}) {
+    const { schedule = false, hoursPerStep, estimateRatio, now = new Date() } = options;
+
+    // 已完成的同方案步骤保留，不再重复生成
+    const completedSteps = new Set(
+      task.subtasks
+        .filter(subtask => subtask.completed && subtask.planId === plan.planId)
+        .map(subtask => subtask.stepIndex)
+    );
+    const replaced = task.subtasks.filter(subtask => subtask.planId && !subtask.completed);
+
+    if (replaced.length > 0 || schedule) {
+      await this.removePlanEvents(task, userId, now);
+    }
+    replaced.forEach(subtask => task.subtasks.pull(subtask._id));
+
+    const created = plan.steps
+      .map((title, stepIndex) => ({ title, stepIndex }))
+      .filter(step => !completedSteps.has(step.stepIndex))
+      .map(step => {
+        task.subtasks.push({ title: step.title, planId: plan.planId, stepIndex: step.stepIndex });
+        return task.subtasks[task.subtasks.length - 1];
+      });
+
+    task.selectedPlan = plan.planId;
+
+    let events = [];
+    let unscheduled = [];
+    if (schedule && created.length > 0) {
+      ({ events, unscheduled } = await this.scheduleSubtasks(task, userId, created, { hoursPerStep, estimateRatio, now }));
+    }
+
+    task.calculateProgress();
+    await task.save();
+
+    return { subtasks: created, events, unscheduled };
+  }
+
+  /**
+   * 在用户空闲时间内依次为子任务创建日历时间块
+   */
+  async scheduleSubtasks(task, userId, subtasks, { hoursPerStep, estimateRatio, now }) {
+    const { from, to } = this.getScheduleWindow(task, now);
+    const slots = await availabilityService.findFreeSlots(userId, from, to);
+    const stepMinutes = this.getStepMinutes(task, subtasks.length, hoursPerStep, estimateRatio);
+    const { blocks, unscheduled } = availabilityService.allocate(
+      slots,
+      subtasks.map(() => stepMinutes)
+    );
+
+    const events = [];
+    for (const block of blocks) {
+      const subtask = subtasks[block.index];
+      const event = await Calendar.create({
+        title: `${task.title} · ${subtask.title}`.slice(0, 300),
+        description: task.description?.slice(0, 2000),
+        startTime: block.start,
+        endTime: block.end,
+        eventType: 'task',
+        priority: task.priority,
+        owner: userId,
+        showAs: 'busy',
+        relatedItems: [{ itemType: 'task', itemId: task._id }],
+        metadata: {
+          createdVia: 'web',
+          source: PLAN_EVENT_SOURCE
+        }
+      });
+
+      // 步骤拆分到多个时间段时，子任务关联第一个时间块
+      if (!subtask.calendarEvent) subtask.calendarEvent = event._id;
+      events.push(event);
+    }
+
+    return {
+      events,
+      unscheduled: unscheduled.map(index => subtasks[index].title)
+    };
+  }
+
+  /**
+   * 删除用户日历上该任务由规划生成且尚未开始的时间块（其他用户为同一任务安排的时间块不受影响）
+   */
+  async removePlanEvents(task, userId, now = new Date()) {
+    await Calendar.deleteMany({
+      owner: userId,
+      'metadata.source': PLAN_EVENT_SOURCE,
+      'relatedItems.itemId': task._id,
+      startTime: { $gt: now }
+    });
+  }
+}
+
+module.exports = new TaskPlanService();
@@ -0,0 +1,376 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const taskWatcherService = require('./taskWatcherService');
+
+// 仅给出日期时的默认截止时间（下班时间）
+const DEFAULT_DUE_HOUR = 18;
+
+// 只给出时段时的截止时间
+const PERIOD_DEADLINES = {
+  '早上': 9,
+  '早晨': 9,
+  '上午': 12,
+  '中午': 13,
+  '下午': 18,
+  '傍晚': 19,
+  '晚上': 22,
+  '今晚': 22
+};
+
+const PRIORITY_ALIASES = {
+  '紧急': 'urgent',
+  'urgent': 'urgent',
+  '高': 'high',
+  'high': 'high',
+  '中': 'medium',
+  '普通': 'medium',
+  'medium': 'medium',
+  '低': 'low',
+  'low': 'low'
+};
+
+const WEEKDAYS = { '一': 1, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6, '日': 7, '天': 7 };
+
+const CN_DIGITS = { '零': 0, '一': 1, '二': 2, '两': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9 };
+
+const NUM = '\\d{1,2}|[零一二两三四五六七八九十]{1,3}';
+
+// "前/之前/以前"截止语气词，排除"前端""前台"等词
+const BEFORE = '(?:之前|以前|前(?![端台面往期置沿景]))?';
+
+const DATE_PATTERNS = [
+  { type: 'absolute', regex: /(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})\s*[日号]?/ },
+  { type: 'monthDay', regex: new RegExp(`(${NUM})\\s*月\\s*(${NUM})\\s*[日号]`) },
+  { type: 'relativeDay', regex: /(大后天|后天|明天|明日|今天|今日|今晚)/ },
+  { type: 'daysLater', regex: new RegExp(`(${NUM})\\s*天\\s*(?:后|以后|之后)`) },
+  { type: 'weekday', regex: /(下下|下个?|本|这个?)?\s*(?:周|星期|礼拜)([一二三四五六日天1-7])/ },
+  { type: 'weekend', regex: /(下个?|本|这个?)?\s*周末/ },
+  { type: 'monthEnd', regex: /(下个?月|本月|这个?月)?\s*月底/ }
+];
+
+const TIME_PATTERNS = [
+  { type: 'clock', regex: /(早上|早晨|上午|中午|下午|傍晚|晚上)?\s*(\d{1,2})\s*[:：]\s*(\d{2})/ },
+  // 排除"快一点""早一点"等非时间用法
+  { type: 'hour', regex: new RegExp(`(?<![快慢多少早晚有差好])(早上|早晨|上午|中午|下午|傍晚|晚上)?\\s*(${NUM})\\s*[点时](?:\\s*(半|一刻|三刻|(${NUM})\\s*分?))?`) },
+  { type: 'period', regex: /(早上|早晨|上午|中午|下午|傍晚|晚上)/ }
+];
+
+/**
+ * 任务快速创建服务
+ * 解析中文自然语言任务描述，供网页快速添加和微信创建任务共用
+ */
+class TaskQuickAddService {
+
+  /**
+   * 解析中文数字（支持0-99）
+   * @param {string} value - 阿拉伯数字或中文数字
+   */
+  parseNumber(value) {
+    if (/^\d+$/.test(value)) {
+      return parseInt(value, 10);
+    }
+
+    if (value.includes('十')) {
+      const [tens, ones] = value.split('十');
+      return (tens ? CN_DIGITS[tens] : 1) * 10 + (ones ? CN_DIGITS[ones] : 0);
+    }
+
+    return value.split('').reduce((sum, char) => sum * 10 + (CN_DIGITS[char] ?? NaN), 0);
+  }
+
+  /**
+   * 解析快速添加文本
+   * @param {string} text - 如"明天下午3点前提交周报 #项目A !高 @张三"
+   * @param {Date} now - 基准时间
+   * @returns {Object} { title, dueDate, hasTime, priority, tags, assignee }
+   */
+  parse(text, now = new Date()) {
+    let rest = ` ${text || ''} `;
+    const take = (regex) => {
+      const match = rest.match(regex);
+      if (match) {
+        rest = rest.slice(0, match.index) + ' ' + rest.slice(match.index + match[0].length);
+      }
+      return match;
+    };
+
+    // 标签
+    const tags = [];
+    let tagMatch;
+    while ((tagMatch = take(/[#＃]([^\s#＃!！@＠]+)/))) {
+      if (!tags.includes(tagMatch[1])) tags.push(tagMatch[1]);
+    }
+
+    // 优先级
+    let priority = null;
+    const priorityMatch = take(/[!！]\s*(紧急|urgent|高|high|中|medium|普通|低|low)/i);
+    if (priorityMatch) {
+      priority = PRIORITY_ALIASES[priorityMatch[1].toLowerCase()];
+    }
+
+    // 负责人
+    const assigneeMatch = take(/[@＠]([^\s#＃!！@＠，,。]+)/);
+    const assignee = assigneeMatch ? assigneeMatch[1] : null;
+
+    // 日期
+    let date = null;
+    let period = null;
+    for (const { type, regex } of DATE_PATTERNS) {
+      const match = take(new RegExp(regex.source + BEFORE));
+      if (match) {
+        date = this.resolveDate(type, match, now);
+        if (match[1] === '今晚') period = '今晚';
+        break;
+      }
+    }
+
+    // 时间
+    let time = null;
+    for (const { type, regex } of TIME_PATTERNS) {
+      const match = take(new RegExp(regex.source + BEFORE));
+      if (match) {
+        time = this.resolveTime(type, match);
+        break;
+      }
+    }
+    if (period) {
+      if (!time) {
+        time = { hour: PERIOD_DEADLINES[period], minute: 0 };
+      } else if (time.hour < 12) {
+        // "今晚8点"
+        time.hour += 12;
+      }
+    }
+
+    let dueDate = null;
+    if (date || time) {
+      dueDate = new Date(date || now);
+      if (time) {
+        dueDate.setHours(time.hour, time.minute, 0, 0);
+        // 只给出时间且已过去时，顺延到明天
+        if (!date && dueDate <= now) {
+          dueDate.setDate(dueDate.getDate() + 1);
+        }
+      } else {
+        dueDate.setHours(DEFAULT_DUE_HOUR, 0, 0, 0);
+      }
+    }
+
+    const title = rest
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s，,。、：:]+|[\s，,。、：:]+$/g, '')
+      .replace(/^(?:之前|以前|前)\s*/, '')
+      .trim();
+
+    return {
+      title,
+      dueDate,
+      hasTime: !!time,
+      priority,
+      tags,
+      assignee
+    };
+  }
+
+  /**
+   * 根据匹配结果计算日期（时间部分由调用方设置）
+   */
+  resolveDate(type, match, now) {
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    const currentWeekday = ((now.getDay() + 6) % 7) + 1;
+
+    switch (type) {
+      case 'absolute':
+        return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+
+      case 'monthDay': {
+        const result = new Date(now.getFullYear(), this.parseNumber(match[1]) - 1, this.parseNumber(match[2]));
+        // 今年已过去的日期指明年
+        if (result < date) result.setFullYear(result.getFullYear() + 1);
+        return result;
+      }
+
+      case 'relativeDay': {
+        const offsets = { '今天': 0, '今日': 0, '今晚': 0, '明天': 1, '明日': 1, '后天': 2, '大后天': 3 };
+        date.setDate(date.getDate() + offsets[match[1]]);
+        return date;
+      }
+
+      case 'daysLater':
+        date.setDate(date.getDate() + this.parseNumber(match[1]));
+        return date;
+
+      case 'weekday':
+      case 'weekend': {
+        const target = type === 'weekend' ? 6 : (WEEKDAYS[match[2]] || parseInt(match[2], 10));
+        const prefix = (match[1] || '').replace(/\s/g, '');
+        let diff = target - currentWeekday;
+
+        if (prefix.startsWith('下下')) {
+          diff += 14;
+        } else if (prefix.startsWith('下')) {
+          diff += 7;
+        } else if (!prefix && diff < 0) {
+          // 未指明哪一周时指最近的一个
+          diff += 7;
+        }
+
+        date.setDate(date.getDate() + diff);
+        return date;
+      }
+
+      case 'monthEnd': {
+        const monthOffset = (match[1] || '').startsWith('下') ? 2 : 1;
+        return new Date(date.getFullYear(), date.getMonth() + monthOffset, 0);
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 根据匹配结果计算时分
+   */
+  resolveTime(type, match) {
+    const period = match[1];
+
+    if (type === 'period') {
+      return { hour: PERIOD_DEADLINES[period], minute: 0 };
+    }
+
+    let hour = type === 'clock' ? parseInt(match[2], 10) : this.parseNumber(match[2]);
+    let minute = 0;
+
+    if (type === 'clock') {
+      minute = parseInt(match[3], 10);
+    } else if (match[3] === '半') {
+      minute = 30;
+    } else if (match[3] === '一刻') {
+      minute = 15;
+    } else if (match[3] === '三刻') {
+      minute = 45;
+    } else if (match[4]) {
+      minute = this.parseNumber(match[4]);
+    }
+
+    if (['下午', '傍晚', '晚上'].includes(period) && hour < 12) {
+      hour += 12;
+    } else if (period === '中午' && hour < 6) {
+      hour += 12;
+    }
+
+    if (isNaN(hour) || hour > 23 || isNaN(minute) || minute > 59) {
+      return null;
+    }
+
+    return { hour, minute };
+  }
+
+  /**
+   * 按用户名、微信昵称或姓名查找负责人
+   * @param {string} name - @后的名称
+   * @returns {Promise<{user: Object|null, warning: string|null}>}
+   */
+  async resolveAssignee(name) {
+    const conditions = [
+      { username: name },
+      { 'wechatBinding.nickname': name },
+      { 'profile.firstName': name }
+    ];
+
+    // 中文姓名：姓 + 名
+    if (name.length >= 2) {
+      conditions.push({ 'profile.lastName': name.slice(0, 1), 'profile.firstName': name.slice(1) });
+    }
+
+    const users = await User.find({ $or: conditions, isActive: { $ne: false } })
+      .select('username profile.firstName profile.lastName')
+      .limit(2);
+
+    if (users.length === 0) {
+      return { user: null, warning: `未找到成员"${name}"，任务未分配负责人` };
+    }
+    if (users.length > 1) {
+      return { user: null, warning: `成员"${name}"匹配到多个用户，任务未分配负责人` };
+    }
+
+    return { user: users[0], warning: null };
+  }
+
+  /**
+   * 解析文本并创建任务
+   * @param {Object} user - 创建者
+   * @param {string} text - 快速添加文本
+   * @param {Object} options
+   * @param {string} options.createdVia - 创建渠道 web/wechat/api
+   * @param {Date} options.now - 基准时间
+   * @returns {Promise<{task: Object|null, parsed: Object, warnings: Array<string>}>}
+   */
+  async createTask(user, text, options = {}) {
+    const { createdVia = 'web', now = new Date() } = options;
+    const parsed = this.parse(text, now);
+    const warnings = [];
+
+    if (!parsed.title) {
+      return { task: null, parsed, warnings: ['未能识别任务标题'] };
+    }
+
+    const taskData = {
+      title: parsed.title.slice(0, 200),
+      createdBy: user._id || user.id,
+      priority: parsed.priority || 'medium',
+      tags: parsed.tags,
+      metadata: {
+        createdVia,
+        sourceType: 'quick_add'
+      }
+    };
+
+    if (parsed.dueDate) taskData.dueDate = parsed.dueDate;
+
+    if (parsed.assignee) {
+      const { user: assignee, warning } = await this.resolveAssignee(parsed.assignee);
+      if (assignee) taskData.assignedTo = assignee._id;
+      if (warning) warnings.push(warning);
+    }
+
+    const task = await Task.create(taskData);
+    await task.addActivityLog('created', taskData.createdBy, `快速创建任务: ${text}`);
+
+    taskWatcherService.notifyCreated(task, taskData.createdBy)
+      .catch(error => console.error('发送任务创建通知失败:', error));
+
+    return { task, parsed, warnings };
+  }
+
+  /**
+   * 生成微信等文本渠道的创建结果回复
+   * @param {Object} task - 已创建的任务
+   * @param {Array<string>} warnings - 解析警告
+   */
+  formatReply(task, warnings = []) {
+    const priorityLabels = { urgent: '紧急', high: '高', medium: '中', low: '低' };
+    const lines = [
+      '✅ 任务创建成功！',
+      '',
+      `📋 任务：${task.title}`,
+      `🎯 优先级：${priorityLabels[task.priority] || task.priority}`,
+      `📅 截止：${task.dueDate ? task.dueDate.toLocaleString('zh-CN', { hour12: false }) : '未设置'}`
+    ];
+
+    if (task.tags && task.tags.length > 0) {
+      lines.push(`🏷️ 标签：${task.tags.join('、')}`);
+    }
+
+    lines.push(`🆔 ID：${task._id.toString().slice(-6)}`);
+
+    warnings.forEach(warning => lines.push(`⚠️ ${warning}`));
+
+    lines.push('', '发送"我的任务"查看所有任务。');
+    return lines.join('\n');
+  }
+}
+
+module.exports = new TaskQuickAddService();
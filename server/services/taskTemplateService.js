@@ -0,0 +1,249 @@
+const Task = require('../models/Task');
+const TaskTemplate = require('../models/TaskTemplate');
+const recurringTaskService = require('./recurringTaskService');
+const taskPlanService = require('./taskPlanService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 可由请求设置的模板字段
+const TEMPLATE_FIELDS = [
+  'name', 'shared', 'titlePattern', 'description', 'priority', 'category', 'tags',
+  'estimatedHours', 'subtasks', 'startOffsetDays', 'dueOffsetDays', 'dueTime', 'recurring'
+];
+
+// 占位符：{变量名}
+const PLACEHOLDER_PATTERN = /\{([^{}\s]+)\}/g;
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * 任务模板服务
+ * 管理可复用的任务模板（标题模式、检查清单、相对截止日期、重复设置），并按模板创建任务
+ */
+class TaskTemplateService {
+
+  /**
+   * 整理模板字段（白名单），子任务可以是字符串或 { title }
+   * @returns {{data?: Object, error?: string}}
+   */
+  normalizeTemplate(body = {}) {
+    const data = {};
+    TEMPLATE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) data[field] = body[field];
+    });
+
+    if (data.tags !== undefined) {
+      if (!Array.isArray(data.tags)) return { error: '标签必须是数组' };
+      data.tags = [...new Set(data.tags.map(tag => String(tag).trim()).filter(Boolean))];
+    }
+
+    if (data.subtasks !== undefined) {
+      if (!Array.isArray(data.subtasks)) return { error: '检查清单必须是数组' };
+      data.subtasks = data.subtasks
+        .map(item => ({ title: String(typeof item === 'string' ? item : item?.title || '').trim() }))
+        .filter(item => item.title);
+    }
+
+    const recurring = data.recurring;
+    if (recurring?.isRecurring) {
+      if (!recurringTaskService.getNextOccurrenceDate(new Date(), recurring.frequency)) {
+        return { error: '请提供有效的重复频率' };
+      }
+      data.recurring = { isRecurring: true, frequency: recurring.frequency, interval: recurring.interval || 1 };
+    } else if (recurring !== undefined) {
+      data.recurring = { isRecurring: false };
+    }
+
+    return { data };
+  }
+
+  /**
+   * 获取文本中的占位符名称
+   */
+  getPlaceholders(text) {
+    return [...new Set([...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]))];
+  }
+
+  /**
+   * 内置变量：日期、年、月、日、周（ISO周数）、季度、使用者
+   */
+  getBuiltinVariables(date, user) {
+    // ISO周：以周四所在的年份计算
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7));
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    const week = 1 + Math.round(((thursday - firstThursday) / DAY_MS - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+
+    const name = `${user?.profile?.lastName || ''}${user?.profile?.firstName || ''}`;
+
+    return {
+      date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+      year: String(date.getFullYear()),
+      month: String(date.getMonth() + 1),
+      day: String(date.getDate()),
+      week: String(week),
+      quarter: String(Math.floor(date.getMonth() / 3) + 1),
+      user: name || user?.username || ''
+    };
+  }
+
+  /**
+   * 替换占位符
+   * @returns {{text?: string, error?: string}}
+   */
+  render(text, variables) {
+    if (!text) return { text };
+
+    const missing = this.getPlaceholders(text).filter(name =>
+      variables[name] === undefined || variables[name] === null || String(variables[name]).trim() === ''
+    );
+    if (missing.length > 0) {
+      return { error: `缺少模板变量: ${missing.join('、')}` };
+    }
+
+    return { text: text.replace(PLACEHOLDER_PATTERN, (_, name) => String(variables[name]).trim()) };
+  }
+
+  /**
+   * 用户可见的模板：自己创建的和团队共享的
+   */
+  getVisibleQuery(userId) {
+    return { $or: [{ owner: userId }, { shared: true }] };
+  }
+
+  /**
+   * 获取模板列表
+   * @returns {Promise<{own: Array, shared: Array}>}
+   */
+  async listTemplates(userId) {
+    const templates = await TaskTemplate.find(this.getVisibleQuery(userId))
+      .populate('owner', 'username profile.firstName profile.lastName')
+      .sort({ usageCount: -1, updatedAt: -1 });
+
+    const isOwn = template => (template.owner?._id || template.owner).toString() === userId.toString();
+    return {
+      own: templates.filter(isOwn),
+      shared: templates.filter(template => !isOwn(template))
+    };
+  }
+
+  /**
+   * 按模板生成任务数据
+   * @param {Object} template - 模板
+   * @param {Object} user - 使用模板的用户
+   * @param {Object} options
+   * @param {Date} options.baseDate - 偏移天数的基准日期，默认今天
+   * @param {Object} options.variables - 自定义变量
+   * @returns {{data?: Object, error?: string}}
+   */
+  buildTaskData(template, user, { baseDate, variables = {} } = {}) {
+    const base = baseDate ? new Date(baseDate) : new Date();
+    if (isNaN(base.getTime())) {
+      return { error: '无效的基准日期' };
+    }
+
+    const values = { ...this.getBuiltinVariables(base, user), ...variables };
+    const title = this.render(template.titlePattern, values);
+    if (title.error) return { error: title.error };
+    const description = this.render(template.description, values);
+    if (description.error) return { error: description.error };
+
+    const data = {
+      title: title.text,
+      description: description.text,
+      priority: template.priority,
+      category: template.category,
+      tags: [...(template.tags || [])],
+      subtasks: (template.subtasks || []).map(item => ({ title: item.title })),
+      metadata: {
+        createdVia: 'web',
+        sourceType: 'template',
+        sourceId: template._id.toString()
+      }
+    };
+
+    if (template.estimatedHours) data.estimatedHours = template.estimatedHours;
+    if (typeof template.startOffsetDays === 'number') {
+      data.startDate = new Date(base.getFullYear(), base.getMonth(), base.getDate() + template.startOffsetDays);
+    }
+    if (typeof template.dueOffsetDays === 'number') {
+      const [hours, minutes] = (template.dueTime || '18:00').split(':').map(Number);
+      data.dueDate = new Date(base.getFullYear(), base.getMonth(), base.getDate() + template.dueOffsetDays, hours, minutes);
+    }
+    if (template.recurring?.isRecurring) {
+      data.recurring = {
+        isRecurring: true,
+        frequency: template.recurring.frequency,
+        interval: template.recurring.interval || 1
+      };
+    }
+
+    return { data };
+  }
+
+  /**
+   * 按模板创建任务并记录使用次数
+   * @param {Object} template - 模板
+   * @param {Object} user - 使用模板的用户
+   * @param {Object} options - buildTaskData 的选项，另可指定 assignedTo
+   * @returns {Promise<{task?: Object, error?: string}>}
+   */
+  async instantiate(template, user, options = {}) {
+    const { data, error } = this.buildTaskData(template, user, options);
+    if (error) return { error };
+
+    const task = new Task({
+      ...data,
+      createdBy: user._id,
+      assignedTo: options.assignedTo || undefined
+    });
+    await task.save();
+    await task.addActivityLog('created', user._id, `由模板"${template.name}"创建`);
+
+    await TaskTemplate.updateOne(
+      { _id: template._id },
+      { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+    );
+
+    return { task };
+  }
+
+  /**
+   * 由任务的AI规划方案生成模板数据：方案步骤作为检查清单，截止偏移按任务原有工期计算
+   * @param {Object} task - 任务
+   * @param {Object} options - { planId, planIndex, name, titlePattern, shared }
+   * @returns {{data?: Object, error?: string}}
+   */
+  buildFromPlan(task, { planId, planIndex, name, titlePattern, shared = false } = {}) {
+    const plan = taskPlanService.resolvePlan(task, { planId, planIndex });
+    if (!plan) {
+      return { error: '未找到指定的规划方案' };
+    }
+    if (plan.steps.length === 0) {
+      return { error: '规划方案中没有可用的执行步骤' };
+    }
+
+    const aiPlan = (task.aiPlans || []).find(item => String(item.planId) === plan.planId);
+    const start = task.startDate || task.createdAt;
+
+    const data = {
+      name: (name || plan.title || task.title).slice(0, 50),
+      shared: !!shared,
+      titlePattern: titlePattern || task.title,
+      description: task.description,
+      priority: aiPlan?.priority || task.priority,
+      category: task.category,
+      tags: [...(task.tags || [])],
+      subtasks: plan.steps.map(title => ({ title })),
+      source: { type: 'ai_plan', task: task._id, planId: plan.planId }
+    };
+
+    if (task.estimatedHours) data.estimatedHours = task.estimatedHours;
+    if (task.dueDate && start) {
+      data.dueOffsetDays = Math.min(365, Math.max(0, Math.ceil((task.dueDate - start) / DAY_MS)));
+    }
+
+    return { data };
+  }
+}
+
+module.exports = new TaskTemplateService();
@@ -0,0 +1,287 @@
+const Task = require('../models/Task');
+const taskDependencyService = require('./taskDependencyService');
+const taskHistoryService = require('./taskHistoryService');
+const taskViewService = require('./taskViewService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 时间线窗口：默认从7天前到5周后，最长一年
+const DEFAULT_DAYS_BEFORE = 7;
+const DEFAULT_DAYS_AFTER = 35;
+const MAX_WINDOW_DAYS = 366;
+
+// 时间线最多加载的任务数
+const MAX_TIMELINE_TASKS = 500;
+
+// 只有开始或截止日期时，按预估工时推算另一端（每天8小时，至少1天）
+const WORKING_HOURS_PER_DAY = 8;
+
+// 预估工时上限为1000小时，推算出的条形最长125天
+const MAX_INFERRED_DAYS = Math.ceil(1000 / WORKING_HOURS_PER_DAY);
+
+const RESOLVED_STATUSES = ['completed', 'cancelled'];
+
+const toId = value => (value?._id || value)?.toString();
+
+/**
+ * 任务时间线（甘特图）服务
+ * 按时间窗口返回任务条形和依赖连线，支持拖动调整排期并顺延后续任务
+ */
+class TaskTimelineService {
+
+  /**
+   * 解析时间窗口
+   * @param {string} from - 开始日期（含）
+   * @param {string} to - 结束日期（不含）
+   * @returns {{from?: Date, to?: Date, error?: string}}
+   */
+  parseWindow(from, to, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const start = from ? new Date(from) : new Date(today.getFullYear(), today.getMonth(), today.getDate() - DEFAULT_DAYS_BEFORE);
+    const end = to ? new Date(to) : new Date(today.getFullYear(), today.getMonth(), today.getDate() + DEFAULT_DAYS_AFTER);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return { error: '无效的时间范围' };
+    }
+    if (end <= start) {
+      return { error: '结束日期必须晚于开始日期' };
+    }
+    if (end - start > MAX_WINDOW_DAYS * DAY_MS) {
+      return { error: `时间范围不能超过${MAX_WINDOW_DAYS}天` };
+    }
+    return { from: start, to: end };
+  }
+
+  /**
+   * 计算任务条形的起止时间，缺少的一端按预估工时推算
+   * @returns {Object|null} 开始和截止日期都未设置时返回null
+   */
+  getBarDates(task) {
+    if (!task.startDate && !task.dueDate) return null;
+
+    const days = Math.max(1, Math.ceil((task.estimatedHours || 0) / WORKING_HOURS_PER_DAY));
+    const start = task.startDate
+      ? new Date(task.startDate)
+      : new Date(new Date(task.dueDate).getTime() - days * DAY_MS);
+    const end = task.dueDate
+      ? new Date(task.dueDate)
+      : new Date(start.getTime() + days * DAY_MS);
+
+    return {
+      start,
+      // 截止日期早于开始日期的历史数据按开始日期显示
+      end: end < start ? start : end,
+      inferredStart: !task.startDate,
+      inferredEnd: !task.dueDate
+    };
+  }
+
+  /**
+   * 时间线查询范围：用户创建或负责的、未取消且可能与窗口重叠的任务
+   */
+  getScope(userId, from, to) {
+    const inferred = MAX_INFERRED_DAYS * DAY_MS;
+    return {
+      $or: [{ createdBy: userId }, { assignedTo: userId }],
+      status: { $ne: 'cancelled' },
+      $and: [
+        { $or: [{ startDate: { $ne: null } }, { dueDate: { $ne: null } }] },
+        { $or: [{ startDate: { $lt: to } }, { startDate: null, dueDate: { $lt: new Date(to.getTime() + inferred) } }] },
+        { $or: [{ dueDate: { $gte: from } }, { dueDate: null, startDate: { $gte: new Date(from.getTime() - inferred) } }] }
+      ]
+    };
+  }
+
+  /**
+   * 构建时间线
+   * @param {string} userId - 用户ID
+   * @param {Object} options
+   * @param {Date} options.from - 窗口开始
+   * @param {Date} options.to - 窗口结束
+   * @param {Object} options.filter - 视图筛选条件（可选）
+   * @returns {Promise<{from: Date, to: Date, bars: Array, links: Array, unscheduled: number, truncated: boolean}>}
+   */
+  async buildTimeline(userId, { from, to, filter = null }) {
+    const scope = this.getScope(userId, from, to);
+    const query = filter
+      ? { $and: [await taskViewService.buildQuery(userId, filter), scope] }
+      : scope;
+
+    const [tasks, unscheduled] = await Promise.all([
+      Task.find(query)
+        .select('title status priority progress startDate dueDate estimatedHours dependencies assignedTo')
+        .populate('assignedTo', 'username profile.firstName profile.lastName')
+        .sort({ startDate: 1, dueDate: 1 })
+        .limit(MAX_TIMELINE_TASKS + 1),
+      Task.countDocuments({
+        $or: [{ createdBy: userId }, { assignedTo: userId }],
+        status: { $nin: RESOLVED_STATUSES },
+        startDate: null,
+        dueDate: null
+      })
+    ]);
+
+    const truncated = tasks.length > MAX_TIMELINE_TASKS;
+    const bars = this.buildBars(tasks.slice(0, MAX_TIMELINE_TASKS), from, to);
+
+    return { from, to, bars, links: this.buildLinks(bars), unscheduled, truncated };
+  }
+
+  /**
+   * 生成与窗口重叠的任务条形，并标记关键路径上的任务
+   */
+  buildBars(tasks, from, to) {
+    const scheduled = tasks
+      .map(task => ({ task, dates: this.getBarDates(task) }))
+      .filter(({ dates }) => dates && dates.start < to && dates.end >= from);
+
+    const openTasks = scheduled
+      .map(({ task }) => task)
+      .filter(task => !RESOLVED_STATUSES.includes(task.status));
+    // 关键路径只有一个任务时没有依赖关系，不做标记
+    const { criticalPath } = taskDependencyService.computeSchedule(openTasks);
+    const critical = new Set(criticalPath.length > 1 ? criticalPath.map(item => item._id.toString()) : []);
+
+    return scheduled.map(({ task, dates }) => ({
+      _id: task._id,
+      title: task.title,
+      status: task.status,
+      priority: task.priority,
+      progress: task.progress || 0,
+      assignedTo: task.assignedTo,
+      estimatedHours: task.estimatedHours,
+      ...dates,
+      dependencies: (task.dependencies || []).map(toId),
+      isOverdue: !!task.dueDate && new Date(task.dueDate) < new Date() && !RESOLVED_STATUSES.includes(task.status),
+      isCritical: critical.has(task._id.toString())
+    }));
+  }
+
+  /**
+   * 生成依赖连线（前置任务完成 -> 后续任务开始），后续任务早于前置任务结束开始时标记冲突
+   */
+  buildLinks(bars) {
+    const byId = new Map(bars.map(bar => [bar._id.toString(), bar]));
+    const links = [];
+
+    bars.forEach(bar => {
+      bar.dependencies.forEach(dependencyId => {
+        const predecessor = byId.get(dependencyId);
+        if (!predecessor) return;
+        links.push({
+          from: dependencyId,
+          to: bar._id.toString(),
+          conflict: bar.start < predecessor.end
+        });
+      });
+    });
+
+    return links;
+  }
+
+  /**
+   * 解析新的排期
+   * @param {Object} task - 任务
+   * @param {Object} schedule - { startDate, dueDate }，未提供的字段保持不变，null 表示清除
+   * @returns {{error?: string, startDate?: Date, dueDate?: Date}}
+   */
+  parseSchedule(task, { startDate, dueDate }) {
+    if (startDate === undefined && dueDate === undefined) {
+      return { error: '请提供开始日期或截止日期' };
+    }
+
+    const parse = (value, current) => {
+      if (value === undefined) return current || null;
+      if (value === null || value === '') return null;
+      return new Date(value);
+    };
+    const start = parse(startDate, task.startDate);
+    const due = parse(dueDate, task.dueDate);
+
+    if ((start && isNaN(start.getTime())) || (due && isNaN(due.getTime()))) {
+      return { error: '无效的日期' };
+    }
+    if (start && due && due < start) {
+      return { error: '截止日期不能早于开始日期' };
+    }
+    return { startDate: start, dueDate: due };
+  }
+
+  /**
+   * 计算排期调整的偏移量：优先按截止日期，没有截止日期时按开始日期
+   * @returns {number} 毫秒
+   */
+  getShift(before, after) {
+    if (before.dueDate && after.dueDate) return after.dueDate.getTime() - new Date(before.dueDate).getTime();
+    if (before.startDate && after.startDate) return after.startDate.getTime() - new Date(before.startDate).getTime();
+    return 0;
+  }
+
+  /**
+   * 按相同偏移量顺延后续任务（沿依赖链传递，每个任务只移动一次）
+   * 已完成、已取消或用户无权修改的任务不移动，其后续任务也不再传递
+   * @param {string} userId - 操作用户ID
+   * @param {Object} task - 已调整排期的任务
+   * @param {number} shift - 偏移量（毫秒）
+   * @returns {Promise<{shifted: Array, skipped: Array}>}
+   */
+  async shiftDependents(userId, task, shift) {
+    const shifted = [];
+    const skipped = [];
+    if (!shift) return { shifted, skipped };
+
+    const visited = new Set([task._id.toString()]);
+    let frontier = [task._id];
+    const days = Math.round(shift / DAY_MS * 10) / 10;
+
+    while (frontier.length > 0) {
+      const dependents = await Task.find({
+        dependencies: { $in: frontier },
+        _id: { $nin: [...visited] }
+      });
+      frontier = [];
+
+      for (const dependent of dependents) {
+        visited.add(dependent._id.toString());
+
+        const editable = [dependent.createdBy, dependent.assignedTo].some(id => toId(id) === userId.toString());
+        if (RESOLVED_STATUSES.includes(dependent.status) || !editable) {
+          // 无权限修改的任务可能无权查看，只返回ID
+          skipped.push(editable
+            ? { _id: dependent._id, title: dependent.title, reason: '任务已结束' }
+            : { _id: dependent._id, reason: '无权限修改' });
+          continue;
+        }
+        if (!dependent.startDate && !dependent.dueDate) {
+          frontier.push(dependent._id);
+          continue;
+        }
+
+        const before = taskHistoryService.snapshot(dependent);
+        if (dependent.startDate) dependent.startDate = new Date(dependent.startDate.getTime() + shift);
+        if (dependent.dueDate) dependent.dueDate = new Date(dependent.dueDate.getTime() + shift);
+        if (dependent.recurring?.seriesId) dependent.recurring.isException = true;
+
+        await dependent.save();
+        await dependent.addActivityLog(
+          'rescheduled',
+          userId,
+          `随前置任务"${task.title}"${days > 0 ? '顺延' : '提前'}${Math.abs(days)}天`,
+          { changes: taskHistoryService.diff(before, taskHistoryService.snapshot(dependent)) }
+        );
+
+        shifted.push({
+          _id: dependent._id,
+          title: dependent.title,
+          startDate: dependent.startDate,
+          dueDate: dependent.dueDate
+        });
+        frontier.push(dependent._id);
+      }
+    }
+
+    return { shifted, skipped };
+  }
+}
+
+module.exports = new TaskTimelineService();
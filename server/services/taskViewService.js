@@ -0,0 +1,630 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const TaskView = require('../models/TaskView');
+const User = require('../models/User');
+const taskDependencyService = require('./taskDependencyService');
+
+// 单个视图最多返回的任务数
+const MAX_VIEW_TASKS = 500;
+
+// 筛选条件嵌套层数和条件总数上限
+const MAX_FILTER_DEPTH = 3;
+const MAX_FILTER_CONDITIONS = 30;
+
+// 可筛选字段及其类型
+const FIELD_TYPES = {
+  status: 'enum',
+  priority: 'enum',
+  category: 'enum',
+  tags: 'tags',
+  assignedTo: 'user',
+  createdBy: 'user',
+  dueDate: 'date',
+  startDate: 'date',
+  createdAt: 'date',
+  updatedAt: 'date',
+  completedAt: 'date',
+  estimatedHours: 'number',
+  progress: 'number',
+  title: 'text',
+  blocked: 'flag',
+  overdue: 'flag'
+};
+
+// 各类型支持的运算符
+const OPERATORS = {
+  enum: ['is', 'isNot', 'in', 'notIn'],
+  tags: ['hasAny', 'hasAll', 'hasNone', 'isEmpty'],
+  user: ['is', 'isNot', 'in', 'isEmpty', 'isNotEmpty'],
+  date: ['before', 'after', 'between', 'isEmpty', 'isNotEmpty'],
+  number: ['eq', 'gt', 'gte', 'lt', 'lte'],
+  text: ['contains'],
+  flag: ['is']
+};
+
+// 相对日期：锚点 + 可选偏移（d 天 / w 周 / m 月，默认天），如 today-7、startOfWeek+1w
+const DATE_TOKEN_PATTERN = /^(now|today|tomorrow|yesterday|startOfWeek|endOfWeek|startOfMonth|endOfMonth)(?:([+-]\d+)([dwm])?)?$/;
+
+const STATUS_LABELS = {
+  pending: '待处理',
+  in_progress: '进行中',
+  completed: '已完成',
+  cancelled: '已取消',
+  on_hold: '已暂停'
+};
+
+const PRIORITY_LABELS = { urgent: '紧急', high: '高', medium: '中', low: '低' };
+
+const CATEGORY_LABELS = { work: '工作', meeting: '会议', personal: '个人', project: '项目', other: '其他' };
+
+const DUE_BUCKETS = [
+  { key: 'overdue', label: '已逾期' },
+  { key: 'today', label: '今天' },
+  { key: 'thisWeek', label: '本周' },
+  { key: 'later', label: '以后' },
+  { key: 'earlier', label: '更早' },
+  { key: 'none', label: '无截止日期' }
+];
+
+const OPEN_STATUSES = { $nin: ['completed', 'cancelled'] };
+
+// 内置视图（不可修改，所有用户可用）
+const PRESET_VIEWS = [
+  {
+    _id: 'preset-overdue-urgent',
+    name: '我的逾期紧急任务',
+    filter: {
+      match: 'all',
+      conditions: [
+        { field: 'assignedTo', op: 'is', value: 'me' },
+        { field: 'overdue', op: 'is', value: true },
+        { field: 'priority', op: 'in', value: ['urgent', 'high'] }
+      ]
+    },
+    sort: { field: 'dueDate', order: 'asc' },
+    groupBy: 'priority'
+  },
+  {
+    _id: 'preset-assigned-by-me-this-week',
+    name: '本周我分配的任务',
+    filter: {
+      match: 'all',
+      conditions: [
+        { field: 'createdBy', op: 'is', value: 'me' },
+        { field: 'assignedTo', op: 'isNot', value: 'me' },
+        { field: 'assignedTo', op: 'isNotEmpty' },
+        { field: 'createdAt', op: 'between', value: ['startOfWeek', 'endOfWeek'] }
+      ]
+    },
+    sort: { field: 'createdAt', order: 'desc' },
+    groupBy: 'assignedTo'
+  },
+  {
+    _id: 'preset-blocked',
+    name: '被前置任务阻塞',
+    filter: {
+      match: 'all',
+      conditions: [
+        { field: 'blocked', op: 'is', value: true },
+        { field: 'status', op: 'notIn', value: ['completed', 'cancelled'] }
+      ]
+    },
+    sort: { field: 'dueDate', order: 'asc' },
+    groupBy: 'status'
+  },
+  {
+    _id: 'preset-due-this-week',
+    name: '本周到期',
+    filter: {
+      match: 'all',
+      conditions: [
+        { field: 'dueDate', op: 'between', value: ['startOfWeek', 'endOfWeek'] },
+        { field: 'status', op: 'notIn', value: ['completed', 'cancelled'] }
+      ]
+    },
+    sort: { field: 'dueDate', order: 'asc' },
+    groupBy: 'dueDate'
+  }
+].map(view => ({ ...view, preset: true, sharedWith: [] }));
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toId = value => (value?._id || value)?.toString();
+
+/**
+ * 任务视图服务
+ * 管理已保存的任务视图，将筛选条件树编译为查询，并按视图的排序和分组返回任务
+ */
+class TaskViewService {
+
+  /**
+   * 解析日期值：支持相对日期（以当天为基准，按周一为一周开始）和ISO日期
+   * 区间结束锚点（endOfWeek/endOfMonth）为下一周期的开始，区间按左闭右开处理
+   * @param {string|Date} value - 日期值
+   * @param {Date} now - 当前时间
+   * @returns {Date|null}
+   */
+  resolveDateValue(value, now = new Date()) {
+    if (value instanceof Date) return isNaN(value) ? null : value;
+    if (typeof value !== 'string' || !value.trim()) return null;
+
+    const match = value.trim().match(DATE_TOKEN_PATTERN);
+    if (!match) {
+      const date = new Date(value);
+      return isNaN(date) ? null : date;
+    }
+
+    const [, anchor, offset, unit = 'd'] = match;
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const weekStart = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (today.getDay() + 6) % 7);
+
+    const anchors = {
+      now: new Date(now),
+      today,
+      tomorrow: new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1),
+      yesterday: new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1),
+      startOfWeek: weekStart,
+      endOfWeek: new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7),
+      startOfMonth: new Date(today.getFullYear(), today.getMonth(), 1),
+      endOfMonth: new Date(today.getFullYear(), today.getMonth() + 1, 1)
+    };
+
+    const date = anchors[anchor];
+    const amount = offset ? parseInt(offset, 10) : 0;
+    if (unit === 'm') date.setMonth(date.getMonth() + amount);
+    else date.setDate(date.getDate() + amount * (unit === 'w' ? 7 : 1));
+    return date;
+  }
+
+  /**
+   * 校验筛选条件树
+   * @param {Object} filter - { match: 'all'|'any', conditions: [...] }
+   * @returns {string|null} 错误信息
+   */
+  validateFilter(filter, depth = 1, counter = { count: 0 }) {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      return '筛选条件格式无效';
+    }
+    if (depth > MAX_FILTER_DEPTH) {
+      return `筛选条件最多嵌套${MAX_FILTER_DEPTH}层`;
+    }
+    if (filter.match !== undefined && !['all', 'any'].includes(filter.match)) {
+      return '条件组的匹配方式必须是 all 或 any';
+    }
+    if (!Array.isArray(filter.conditions)) {
+      return '筛选条件格式无效';
+    }
+
+    for (const condition of filter.conditions) {
+      const error = Array.isArray(condition?.conditions)
+        ? this.validateFilter(condition, depth + 1, counter)
+        : this.validateCondition(condition);
+      if (error) return error;
+
+      counter.count++;
+      if (counter.count > MAX_FILTER_CONDITIONS) {
+        return `筛选条件不能超过${MAX_FILTER_CONDITIONS}个`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 校验单个条件
+   * @returns {string|null} 错误信息
+   */
+  validateCondition(condition) {
+    const { field, op, value } = condition || {};
+    const type = FIELD_TYPES[field];
+    if (!type) return `不支持的筛选字段: ${field}`;
+    if (!OPERATORS[type].includes(op)) return `字段 ${field} 不支持运算符 ${op}`;
+
+    const list = Array.isArray(value) ? value : [value];
+    if (['is', 'isNot'].includes(op) && Array.isArray(value)) {
+      return `运算符 ${op} 只接受单个值`;
+    }
+
+    switch (type) {
+      case 'enum': {
+        const allowed = Task.schema.path(field).enumValues;
+        if (list.length === 0 || list.some(item => !allowed.includes(item))) {
+          return `字段 ${field} 的取值无效`;
+        }
+        return null;
+      }
+      case 'tags':
+        if (op !== 'isEmpty' && (list.length === 0 || list.some(tag => typeof tag !== 'string' || !tag.trim()))) {
+          return '标签条件至少需要一个标签';
+        }
+        return null;
+      case 'user':
+        if (['isEmpty', 'isNotEmpty'].includes(op)) return null;
+        if (list.length === 0 || list.some(id => id !== 'me' && !mongoose.Types.ObjectId.isValid(id))) {
+          return `字段 ${field} 的用户无效`;
+        }
+        return null;
+      case 'date':
+        if (['isEmpty', 'isNotEmpty'].includes(op)) return null;
+        if (op === 'between' && (!Array.isArray(value) || value.length !== 2)) {
+          return '日期区间需要提供开始和结束两个值';
+        }
+        if (list.some(item => !this.resolveDateValue(item))) {
+          return `字段 ${field} 的日期无效`;
+        }
+        return null;
+      case 'number':
+        return Number.isFinite(Number(value)) && value !== null && value !== '' ? null : `字段 ${field} 需要数值`;
+      case 'text':
+        return typeof value === 'string' && value.trim() ? null : `字段 ${field} 需要搜索内容`;
+      case 'flag':
+        return typeof value === 'boolean' ? null : `字段 ${field} 需要布尔值`;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 判断筛选条件中是否用到某个字段
+   */
+  usesField(filter, field) {
+    return (filter?.conditions || []).some(condition =>
+      Array.isArray(condition.conditions) ? this.usesField(condition, field) : condition.field === field
+    );
+  }
+
+  /**
+   * 将筛选条件树编译为 MongoDB 查询（需先通过 validateFilter 校验）
+   * @param {Object} filter - 筛选条件树
+   * @param {Object} context
+   * @param {string} context.userId - 查看者ID（"me" 按查看者解析）
+   * @param {Date} context.now - 当前时间
+   * @param {Array} context.blockedIds - 未完成的前置任务ID（用到 blocked 字段时需要）
+   * @returns {Object}
+   */
+  compileFilter(filter, context) {
+    const clauses = (filter.conditions || []).map(condition =>
+      Array.isArray(condition.conditions)
+        ? this.compileFilter(condition, context)
+        : this.compileCondition(condition, context)
+    );
+
+    if (clauses.length === 0) return {};
+    if (clauses.length === 1) return clauses[0];
+    return filter.match === 'any' ? { $or: clauses } : { $and: clauses };
+  }
+
+  /**
+   * 编译单个条件
+   */
+  compileCondition({ field, op, value }, { userId, now, blockedIds = [] }) {
+    const resolveUser = id => (id === 'me' ? userId : id);
+    const resolveDate = item => this.resolveDateValue(item, now);
+
+    switch (`${FIELD_TYPES[field]}:${op}`) {
+      case 'enum:is': return { [field]: value };
+      case 'enum:isNot': return { [field]: { $ne: value } };
+      case 'enum:in': return { [field]: { $in: [].concat(value) } };
+      case 'enum:notIn': return { [field]: { $nin: [].concat(value) } };
+
+      case 'tags:hasAny': return { tags: { $in: [].concat(value) } };
+      case 'tags:hasAll': return { tags: { $all: [].concat(value) } };
+      case 'tags:hasNone': return { tags: { $nin: [].concat(value) } };
+      case 'tags:isEmpty': return { tags: { $size: 0 } };
+
+      case 'user:is': return { [field]: resolveUser(value) };
+      case 'user:isNot': return { [field]: { $ne: resolveUser(value) } };
+      case 'user:in': return { [field]: { $in: [].concat(value).map(resolveUser) } };
+      case 'user:isEmpty': return { [field]: null };
+      case 'user:isNotEmpty': return { [field]: { $ne: null } };
+
+      case 'date:before': return { [field]: { $lt: resolveDate(value) } };
+      case 'date:after': return { [field]: { $gte: resolveDate(value) } };
+      case 'date:between': return { [field]: { $gte: resolveDate(value[0]), $lt: resolveDate(value[1]) } };
+      case 'date:isEmpty': return { [field]: null };
+      case 'date:isNotEmpty': return { [field]: { $ne: null } };
+
+      case 'number:eq': return { [field]: Number(value) };
+      case 'number:gt':
+      case 'number:gte':
+      case 'number:lt':
+      case 'number:lte':
+        return { [field]: { [`$${op}`]: Number(value) } };
+
+      case 'text:contains': return { [field]: { $regex: escapeRegExp(value.trim()), $options: 'i' } };
+
+      case 'flag:is':
+        if (field === 'blocked') {
+          return { dependencies: { [value ? '$in' : '$nin']: blockedIds } };
+        }
+        return value
+          ? { dueDate: { $lt: now }, status: OPEN_STATUSES }
+          : { $or: [{ dueDate: null }, { dueDate: { $gte: now } }, { status: { $in: ['completed', 'cancelled'] } }] };
+
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * 构建视图查询：限定为查看者创建或负责的任务
+   * @returns {Promise<Object>}
+   */
+  async buildQuery(userId, filter, now = new Date()) {
+    const scope = { $or: [{ createdBy: userId }, { assignedTo: userId }] };
+
+    let blockedIds = [];
+    if (this.usesField(filter, 'blocked')) {
+      const dependencyIds = await Task.distinct('dependencies', scope);
+      blockedIds = await Task.distinct('_id', { _id: { $in: dependencyIds }, status: OPEN_STATUSES });
+    }
+
+    const compiled = this.compileFilter(filter, { userId, now, blockedIds });
+    return Object.keys(compiled).length > 0 ? { $and: [scope, compiled] } : scope;
+  }
+
+  /**
+   * 将视图排序拆分为依次执行的查询（优先级、状态按业务顺序，空值排在最后）
+   * 排序在数据库中完成，截断时保留的是排序靠前的任务；同序时新建的任务在前
+   * @returns {Array<{filter: Object, sort: Object, collation?: Object}>}
+   */
+  getSortQueries(sort = {}) {
+    const field = sort.field || 'createdAt';
+    const direction = sort.order === 'asc' ? 1 : -1;
+    const ranks = {
+      priority: Object.keys(PRIORITY_LABELS).reverse(),
+      status: Object.keys(STATUS_LABELS)
+    };
+
+    if (ranks[field]) {
+      const ordered = direction === 1 ? ranks[field] : [...ranks[field]].reverse();
+      return [
+        ...ordered.map(value => ({ filter: { [field]: value }, sort: { createdAt: -1 } })),
+        { filter: { [field]: { $nin: ranks[field] } }, sort: { createdAt: -1 } }
+      ];
+    }
+
+    const valueSort = field === 'createdAt' ? { createdAt: direction } : { [field]: direction, createdAt: -1 };
+    return [
+      {
+        filter: { [field]: { $ne: null } },
+        sort: valueSort,
+        ...(field === 'title' ? { collation: { locale: 'zh' } } : {})
+      },
+      { filter: { [field]: null }, sort: { createdAt: -1 } }
+    ];
+  }
+
+  /**
+   * 任务截止日期分组
+   */
+  getDueBucket(task, now = new Date()) {
+    if (!task.dueDate) return 'none';
+    const today = this.resolveDateValue('today', now);
+    const due = new Date(task.dueDate);
+
+    if (due < today) {
+      return taskDependencyService.isResolved(task.status) ? 'earlier' : 'overdue';
+    }
+    if (due < this.resolveDateValue('tomorrow', now)) return 'today';
+    if (due < this.resolveDateValue('endOfWeek', now)) return 'thisWeek';
+    return 'later';
+  }
+
+  /**
+   * 按视图分组，返回分组及其中的任务ID（标签分组时一个任务可出现在多个组）
+   * @returns {Array<{key: string, label: string, taskIds: string[]}>}
+   */
+  groupTasks(tasks, groupBy, now = new Date()) {
+    if (!groupBy || groupBy === 'none') return [];
+
+    const groups = new Map();
+    const add = (key, label, task) => {
+      if (!groups.has(key)) groups.set(key, { key, label, taskIds: [] });
+      groups.get(key).taskIds.push(task._id.toString());
+    };
+
+    const fixedOrder = {
+      status: Object.keys(STATUS_LABELS),
+      priority: Object.keys(PRIORITY_LABELS),
+      category: Object.keys(CATEGORY_LABELS),
+      dueDate: DUE_BUCKETS.map(bucket => bucket.key)
+    };
+
+    tasks.forEach(task => {
+      switch (groupBy) {
+        case 'status':
+          add(task.status, STATUS_LABELS[task.status] || task.status, task);
+          break;
+        case 'priority':
+          add(task.priority, PRIORITY_LABELS[task.priority] || task.priority, task);
+          break;
+        case 'category':
+          add(task.category, CATEGORY_LABELS[task.category] || task.category, task);
+          break;
+        case 'assignedTo': {
+          const assignee = task.assignedTo;
+          if (!assignee) {
+            add('none', '未分配', task);
+          } else {
+            const name = `${assignee.profile?.lastName || ''}${assignee.profile?.firstName || ''}`;
+            add(toId(assignee), name || assignee.username || toId(assignee), task);
+          }
+          break;
+        }
+        case 'dueDate': {
+          const key = this.getDueBucket(task, now);
+          add(key, DUE_BUCKETS.find(bucket => bucket.key === key).label, task);
+          break;
+        }
+        case 'tags':
+          if (!task.tags || task.tags.length === 0) add('none', '无标签', task);
+          else [...new Set(task.tags)].forEach(tag => add(tag, tag, task));
+          break;
+        default:
+          break;
+      }
+    });
+
+    const result = [...groups.values()];
+    const order = fixedOrder[groupBy];
+    if (order) {
+      result.sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+    }
+    return result;
+  }
+
+  /**
+   * 校验并规范化视图设置
+   * @param {Object} data - 请求体
+   * @param {boolean} partial - 为 true 时只处理提供的字段（更新）
+   * @returns {{data: Object|null, error: string|null}}
+   */
+  normalizeView(data = {}, partial = false) {
+    const result = {};
+
+    if (!partial || data.name !== undefined) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (!name) return { data: null, error: '请提供视图名称' };
+      result.name = name;
+    }
+
+    if (data.description !== undefined) {
+      result.description = data.description;
+    }
+
+    if (!partial || data.filter !== undefined) {
+      const filter = data.filter || { match: 'all', conditions: [] };
+      const error = this.validateFilter(filter);
+      if (error) return { data: null, error };
+      result.filter = { match: filter.match || 'all', conditions: filter.conditions };
+    }
+
+    if (data.sort !== undefined) {
+      const fields = TaskView.schema.path('sort.field').enumValues;
+      if (!data.sort || !fields.includes(data.sort.field)) {
+        return { data: null, error: '不支持的排序字段' };
+      }
+      result.sort = { field: data.sort.field, order: data.sort.order === 'asc' ? 'asc' : 'desc' };
+    }
+
+    if (data.groupBy !== undefined) {
+      if (!TaskView.schema.path('groupBy').enumValues.includes(data.groupBy)) {
+        return { data: null, error: '不支持的分组方式' };
+      }
+      result.groupBy = data.groupBy;
+    }
+
+    return { data: result, error: null };
+  }
+
+  /**
+   * 解析共享对象（支持用户ID或用户名）
+   * @param {Array<string>} values - 用户ID或用户名
+   * @param {string} ownerId - 视图所有者ID（不能共享给自己）
+   * @returns {Promise<{ids: Array<string>, error: string|null}>}
+   */
+  async resolveSharedUsers(values, ownerId) {
+    if (!Array.isArray(values)) {
+      return { ids: [], error: '共享对象必须是用户列表' };
+    }
+
+    const keys = [...new Set(values.map(value => String(value).trim()).filter(Boolean))];
+    if (keys.length === 0) return { ids: [], error: null };
+
+    const ids = keys.filter(key => mongoose.Types.ObjectId.isValid(key));
+    const users = await User.find({ $or: [{ _id: { $in: ids } }, { username: { $in: keys } }] })
+      .select('_id username');
+
+    const missing = keys.filter(key => !users.some(user => user._id.toString() === key || user.username === key));
+    if (missing.length > 0) {
+      return { ids: [], error: `用户不存在: ${missing.join(', ')}` };
+    }
+
+    return {
+      ids: users.map(user => user._id.toString()).filter(id => id !== ownerId.toString()),
+      error: null
+    };
+  }
+
+  /**
+   * 获取用户可用的视图：内置视图、自己的视图、同事共享的视图
+   */
+  async listViews(userId) {
+    const views = await TaskView.find({ $or: [{ owner: userId }, { sharedWith: userId }] })
+      .populate('owner', 'username profile.firstName profile.lastName')
+      .populate('sharedWith', 'username profile.firstName profile.lastName')
+      .sort({ name: 1 });
+
+    const own = views.filter(view => toId(view.owner) === userId.toString());
+    const shared = views.filter(view => toId(view.owner) !== userId.toString());
+
+    return { presets: PRESET_VIEWS, own, shared };
+  }
+
+  /**
+   * 获取用户可访问的视图（内置视图、自己的或共享给自己的）
+   * @returns {Promise<Object|null>}
+   */
+  async getView(userId, viewId) {
+    const preset = PRESET_VIEWS.find(view => view._id === viewId);
+    if (preset) return preset;
+    if (!mongoose.Types.ObjectId.isValid(viewId)) return null;
+
+    return await TaskView.findOne({
+      _id: viewId,
+      $or: [{ owner: userId }, { sharedWith: userId }]
+    });
+  }
+
+  /**
+   * 按名称查找视图（先精确匹配，再模糊匹配；自己的视图优先）
+   * @returns {Promise<Object|null>}
+   */
+  async findViewByName(userId, name) {
+    const keyword = (name || '').trim().toLowerCase();
+    if (!keyword) return null;
+
+    const { presets, own, shared } = await this.listViews(userId);
+    const candidates = [...own, ...shared, ...presets];
+
+    return candidates.find(view => view.name.toLowerCase() === keyword) ||
+      candidates.find(view => view.name.toLowerCase().includes(keyword)) ||
+      null;
+  }
+
+  /**
+   * 执行视图
+   * @param {string} userId - 查看者ID
+   * @param {Object} view - 视图（已保存的或内置的）
+   * @returns {Promise<{tasks: Array, groups: Array, total: number, truncated: boolean}>}
+   */
+  async runView(userId, view, { now = new Date() } = {}) {
+    const query = await this.buildQuery(userId, view.filter || { conditions: [] }, now);
+
+    const tasks = [];
+    for (const { filter, sort, collation } of this.getSortQueries(view.sort)) {
+      const remaining = MAX_VIEW_TASKS + 1 - tasks.length;
+      if (remaining <= 0) break;
+
+      const batch = Task.find({ $and: [query, filter] })
+        .populate('createdBy', 'username profile.firstName profile.lastName')
+        .populate('assignedTo', 'username profile.firstName profile.lastName')
+        .sort(sort)
+        .limit(remaining);
+      tasks.push(...await (collation ? batch.collation(collation) : batch));
+    }
+
+    const truncated = tasks.length > MAX_VIEW_TASKS;
+    const sorted = tasks.slice(0, MAX_VIEW_TASKS);
+
+    return {
+      tasks: sorted,
+      groups: this.groupTasks(sorted, view.groupBy, now),
+      total: sorted.length,
+      truncated
+    };
+  }
+}
+
+module.exports = new TaskViewService();
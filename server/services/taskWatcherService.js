@@ -0,0 +1,193 @@
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+
+// @提及：@ 后到空白或标点为止的内容
+const MENTION_PATTERN = /[@＠]([^\s@＠,，、。:：;；!！?？()（）"“”'‘’<>《》]+)/g;
+
+// 用户名长度限制（与 User 模型一致）
+const MIN_USERNAME_LENGTH = 3;
+const MAX_USERNAME_LENGTH = 30;
+
+/**
+ * 任务关注与@提及服务
+ * 解析评论和描述中的@提及，维护关注者并向相关用户发送任务动态通知
+ */
+class TaskWatcherService {
+
+  /**
+   * 提取文本中@后的候选片段
+   * @param {string} text - 评论或描述
+   * @returns {string[]}
+   */
+  extractMentionCandidates(text) {
+    const candidates = new Set();
+    let match;
+    MENTION_PATTERN.lastIndex = 0;
+    while ((match = MENTION_PATTERN.exec(text || '')) !== null) {
+      candidates.add(match[1].slice(0, MAX_USERNAME_LENGTH));
+    }
+    return [...candidates];
+  }
+
+  /**
+   * 解析文本中@提及的用户
+   * 中文内容中@用户名后常直接跟文字（如"@zhangsan请看"），按最长匹配的用户名识别
+   * @param {string} text - 评论或描述
+   * @returns {Promise<Array>} 被提及的用户
+   */
+  async resolveMentions(text) {
+    const candidates = this.extractMentionCandidates(text);
+    if (candidates.length === 0) return [];
+
+    const prefixes = new Set();
+    candidates.forEach(candidate => {
+      for (let length = MIN_USERNAME_LENGTH; length <= candidate.length; length++) {
+        prefixes.add(candidate.slice(0, length));
+      }
+    });
+
+    const users = await User.find({ username: { $in: [...prefixes] }, isActive: { $ne: false } })
+      .select('username profile.firstName profile.lastName');
+    const byUsername = new Map(users.map(user => [user.username, user]));
+
+    const mentioned = new Map();
+    candidates.forEach(candidate => {
+      for (let length = candidate.length; length >= MIN_USERNAME_LENGTH; length--) {
+        const user = byUsername.get(candidate.slice(0, length));
+        if (user) {
+          mentioned.set(user._id.toString(), user);
+          break;
+        }
+      }
+    });
+
+    return [...mentioned.values()];
+  }
+
+  /**
+   * 获取通知接收者：任务关注者及额外用户，排除操作人本人
+   * @returns {string[]} 用户ID
+   */
+  getRecipients(task, actorId, extraUserIds = []) {
+    const ids = new Set(
+      [...(task.watchers || []), ...extraUserIds]
+        .filter(Boolean)
+        .map(id => (id._id || id).toString())
+    );
+    ids.delete(actorId.toString());
+    return [...ids];
+  }
+
+  /**
+   * 新建任务通知：通知负责人及描述中@提及的用户
+   * @param {Object} task - 任务文档
+   * @param {string} actorId - 创建者ID
+   * @param {Array} mentionedUsers - 描述中提及的用户
+   */
+  async notifyCreated(task, actorId, mentionedUsers = []) {
+    if (task.assignedTo) {
+      const assigneeId = (task.assignedTo._id || task.assignedTo).toString();
+      await this.notifyChanges(task, [{ field: 'assignedTo', from: null, to: assigneeId }], actorId, [assigneeId]);
+    }
+    await this.notifyDescriptionMentions(task, mentionedUsers, actorId);
+  }
+
+  /**
+   * 新评论通知：被@的用户收到提及通知，其他关注者收到评论通知
+   * @param {Object} task - 任务文档
+   * @param {Object} comment - 评论（含 mentions）
+   * @param {string} actorId - 评论人ID
+   */
+  async notifyComment(task, comment, actorId) {
+    const actorName = await this.getActorName(actorId);
+    const mentionIds = new Set((comment.mentions || []).map(id => id.toString()));
+
+    await this.dispatch(this.getRecipients(task, actorId, [...mentionIds]), userId =>
+      NotificationService.createTaskUpdateNotification(
+        task,
+        userId,
+        mentionIds.has(userId) ? 'mention' : 'comment',
+        { actorName, comment: comment.content }
+      )
+    );
+  }
+
+  /**
+   * 描述中新增@提及的通知
+   * @param {Object} task - 任务文档
+   * @param {Array} users - 新提及的用户
+   * @param {string} actorId - 操作人ID
+   */
+  async notifyDescriptionMentions(task, users, actorId) {
+    if (users.length === 0) return;
+    const actorName = await this.getActorName(actorId);
+
+    await this.dispatch(this.getRecipients({ watchers: [] }, actorId, users), userId =>
+      NotificationService.createTaskUpdateNotification(task, userId, 'description_mention', { actorName })
+    );
+  }
+
+  /**
+   * 根据字段级变更通知关注者（状态变更、负责人变更）
+   * @param {Object} task - 任务文档
+   * @param {Array<{field: string, from: *, to: *}>} changes - 字段级变更
+   * @param {string} actorId - 操作人ID
+   * @param {Array<string>} recipientIds - 指定接收者，默认为全部关注者
+   */
+  async notifyChanges(task, changes, actorId, recipientIds = null) {
+    const statusChange = changes.find(change => change.field === 'status');
+    const assigneeChange = changes.find(change => change.field === 'assignedTo');
+    if (!statusChange && !assigneeChange) return;
+
+    const actorName = await this.getActorName(actorId);
+    const newAssigneeId = assigneeChange?.to ? assigneeChange.to.toString() : null;
+    const assigneeName = newAssigneeId ? await this.getActorName(newAssigneeId) : null;
+
+    const recipients = recipientIds
+      ? this.getRecipients({ watchers: [] }, actorId, recipientIds)
+      : this.getRecipients(task, actorId);
+
+    await this.dispatch(recipients, async userId => {
+      if (assigneeChange) {
+        await NotificationService.createTaskUpdateNotification(
+          task,
+          userId,
+          userId === newAssigneeId ? 'assigned' : 'reassigned',
+          { actorName, assigneeName }
+        );
+      }
+      if (statusChange) {
+        await NotificationService.createTaskUpdateNotification(task, userId, 'status_change', {
+          actorName,
+          from: statusChange.from,
+          to: statusChange.to
+        });
+      }
+    });
+  }
+
+  /**
+   * 逐个发送通知，单个接收者失败不影响其他人
+   */
+  async dispatch(userIds, send) {
+    for (const userId of userIds) {
+      try {
+        await send(userId.toString());
+      } catch (error) {
+        console.error(`❌ 任务动态通知发送失败 (${userId}):`, error.message);
+      }
+    }
+  }
+
+  /**
+   * 获取用户显示名称（姓名优先，其次用户名）
+   */
+  async getActorName(userId) {
+    const user = await User.findById(userId).select('username profile.firstName profile.lastName');
+    if (!user) return null;
+    const name = `${user.profile?.lastName || ''}${user.profile?.firstName || ''}`;
+    return name || user.username;
+  }
+}
+
+module.exports = new TaskWatcherService();
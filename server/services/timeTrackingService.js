@@ -0,0 +1,341 @@
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Task = require('../models/Task');
+const TimeEntry = require('../models/TimeEntry');
+const { toCsv } = require('../utils/csv');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GROUP_BY_OPTIONS = ['day', 'week', 'project'];
+
+// 未设置项目的任务在工时表中的分组名称
+const UNCATEGORIZED_PROJECT = '未分类';
+
+/**
+ * 任务计时服务
+ * 管理计时会话、汇总任务实际工时并生成工时表
+ */
+class TimeTrackingService {
+
+  /**
+   * 开始（或继续）任务计时，用户其他进行中的计时会被自动暂停
+   * @param {string} userId - 用户ID
+   * @param {string} taskId - 任务ID
+   * @returns {Promise<Object>} 进行中的计时记录
+   */
+  async startTimer(userId, taskId, now = new Date()) {
+    const running = await TimeEntry.findOne({ user: userId, status: 'running' });
+
+    if (running && running.task.toString() === taskId.toString()) {
+      return running;
+    }
+
+    if (running) {
+      running.pause(now);
+      await running.save();
+      await this.rollupActualHours(running.task);
+    }
+
+    const paused = await TimeEntry.findOne({ user: userId, task: taskId, status: 'paused' });
+    if (paused) {
+      paused.resume(now);
+      return await paused.save();
+    }
+
+    return await TimeEntry.create({
+      task: taskId,
+      user: userId,
+      status: 'running',
+      intervals: [{ start: now }],
+      startedAt: now
+    });
+  }
+
+  /**
+   * 暂停任务计时
+   * @returns {Promise<Object|null>} 计时记录，没有进行中的计时时返回null
+   */
+  async pauseTimer(userId, taskId, now = new Date()) {
+    const entry = await TimeEntry.findOne({ user: userId, task: taskId, status: 'running' });
+    if (!entry) return null;
+
+    entry.pause(now);
+    await entry.save();
+    await this.rollupActualHours(taskId);
+    return entry;
+  }
+
+  /**
+   * 结束任务计时
+   * @param {string} note - 工作备注
+   * @returns {Promise<Object|null>} 计时记录，没有未结束的计时时返回null
+   */
+  async stopTimer(userId, taskId, note, now = new Date()) {
+    const entry = await TimeEntry.findOne({
+      user: userId,
+      task: taskId,
+      status: { $in: ['running', 'paused'] }
+    });
+    if (!entry) return null;
+
+    entry.stop(now);
+    if (note) entry.note = note;
+    await entry.save();
+    await this.rollupActualHours(taskId);
+    return entry;
+  }
+
+  /**
+   * 结束任务上所有用户未结束的计时（任务完成时调用）
+   * @returns {Promise<number|null>} 重新汇总后的实际工时，没有未结束的计时时返回null
+   */
+  async stopAllForTask(taskId, now = new Date()) {
+    const entries = await TimeEntry.find({ task: taskId, status: { $in: ['running', 'paused'] } });
+
+    for (const entry of entries) {
+      entry.stop(now);
+      await entry.save();
+    }
+
+    return entries.length > 0 ? await this.rollupActualHours(taskId) : null;
+  }
+
+  /**
+   * 获取用户未结束的计时（进行中和已暂停）
+   */
+  async getActiveTimers(userId) {
+    return await TimeEntry.find({ user: userId, status: { $in: ['running', 'paused'] } })
+      .populate('task', 'title status priority estimatedHours actualHours')
+      .sort({ updatedAt: -1 });
+  }
+
+  /**
+   * 根据计时记录重新计算任务实际工时（所有用户的已结束区间）
+   * @param {string} taskId - 任务ID
+   * @returns {Promise<number>} 实际工时（小时）
+   */
+  async rollupActualHours(taskId) {
+    const [result] = await TimeEntry.aggregate([
+      { $match: { task: new mongoose.Types.ObjectId(taskId.toString()) } },
+      { $group: { _id: null, seconds: { $sum: '$durationSeconds' } } }
+    ]);
+
+    const hours = Math.min(1000, Math.round(((result?.seconds || 0) / 3600) * 100) / 100);
+    await Task.updateOne({ _id: taskId }, { $set: { actualHours: hours } });
+    return hours;
+  }
+
+  /**
+   * 获取任务所属项目名称
+   * 优先使用关联的项目，未关联项目的任务以第一个标签作为项目
+   */
+  getProjectLabel(task) {
+    return task?.project?.name || task?.tags?.[0] || UNCATEGORIZED_PROJECT;
+  }
+
+  /**
+   * 按自然日拆分计时区间
+   * @returns {Array<{date: string, seconds: number}>}
+   */
+  splitIntervalByDay(start, end) {
+    const segments = [];
+    let cursor = new Date(start);
+
+    while (cursor < end) {
+      const nextDay = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+      const segmentEnd = nextDay < end ? nextDay : end;
+      segments.push({
+        date: this.formatDate(cursor),
+        seconds: (segmentEnd - cursor) / 1000
+      });
+      cursor = segmentEnd;
+    }
+
+    return segments;
+  }
+
+  /**
+   * 生成用户工时表
+   * @param {string} userId - 用户ID
+   * @param {Object} options
+   * @param {Date} options.from - 开始时间（默认最近7天）
+   * @param {Date} options.to - 结束时间（默认当前时间）
+   * @param {string} options.groupBy - 分组方式 day/week/project
+   */
+  async buildTimesheet(userId, options = {}) {
+    const now = options.now || new Date();
+    const to = options.to ? new Date(options.to) : now;
+    const from = options.from ? new Date(options.from) : this.startOfDay(new Date(to.getTime() - 6 * DAY_MS));
+    const groupBy = GROUP_BY_OPTIONS.includes(options.groupBy) ? options.groupBy : 'day';
+
+    const entries = await TimeEntry.find({
+      user: userId,
+      startedAt: { $lt: to },
+      $or: [
+        { stoppedAt: { $gte: from } },
+        { status: { $ne: 'stopped' } }
+      ]
+    }).populate({
+      path: 'task',
+      select: 'title tags category project',
+      populate: { path: 'project', select: 'name' }
+    });
+
+    return this.summarize(entries, { from, to, groupBy, now });
+  }
+
+  /**
+   * 汇总计时记录为工时表
+   */
+  summarize(entries, { from, to, groupBy, now = new Date() }) {
+    const details = new Map();
+
+    entries.forEach(entry => {
+      entry.intervals.forEach(interval => {
+        const start = new Date(Math.max(interval.start, from));
+        const end = new Date(Math.min(interval.end || now, to));
+        if (start >= end) return;
+
+        this.splitIntervalByDay(start, end).forEach(({ date, seconds }) => {
+          const taskId = (entry.task?._id || entry.task).toString();
+          const key = `${date}|${taskId}`;
+          const row = details.get(key) || {
+            date,
+            taskId,
+            taskTitle: entry.task?.title || '已删除任务',
+            project: this.getProjectLabel(entry.task),
+            seconds: 0,
+            notes: []
+          };
+          row.seconds += seconds;
+          if (entry.note && !row.notes.includes(entry.note)) row.notes.push(entry.note);
+          details.set(key, row);
+        });
+      });
+    });
+
+    const groups = new Map();
+    const detailRows = [...details.values()]
+      .sort((a, b) => a.date.localeCompare(b.date) || a.taskTitle.localeCompare(b.taskTitle))
+      .map(row => {
+        const groupKey = this.getGroupKey(row, groupBy);
+        const group = groups.get(groupKey) || { key: groupKey, seconds: 0, tasks: new Map() };
+        group.seconds += row.seconds;
+        const taskSummary = group.tasks.get(row.taskId) || { taskId: row.taskId, title: row.taskTitle, seconds: 0 };
+        taskSummary.seconds += row.seconds;
+        group.tasks.set(row.taskId, taskSummary);
+        groups.set(groupKey, group);
+
+        return {
+          group: groupKey,
+          date: row.date,
+          taskId: row.taskId,
+          taskTitle: row.taskTitle,
+          project: row.project,
+          hours: this.toHours(row.seconds),
+          note: row.notes.join('；')
+        };
+      });
+
+    const groupRows = [...groups.values()]
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .map(group => ({
+        key: group.key,
+        hours: this.toHours(group.seconds),
+        tasks: [...group.tasks.values()]
+          .map(task => ({ taskId: task.taskId, title: task.title, hours: this.toHours(task.seconds) }))
+          .sort((a, b) => b.hours - a.hours)
+      }));
+
+    const totalSeconds = [...details.values()].reduce((sum, row) => sum + row.seconds, 0);
+
+    return {
+      from,
+      to,
+      groupBy,
+      totalHours: this.toHours(totalSeconds),
+      groups: groupRows,
+      details: detailRows
+    };
+  }
+
+  /**
+   * 获取明细行所属分组
+   */
+  getGroupKey(row, groupBy) {
+    if (groupBy === 'project') {
+      return row.project;
+    }
+    if (groupBy === 'week') {
+      // 以周一所在日期标识一周
+      const [year, month, day] = row.date.split('-').map(Number);
+      const date = new Date(year, month - 1, day);
+      date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+      return this.formatDate(date);
+    }
+    return row.date;
+  }
+
+  /**
+   * 导出工时表为CSV（带BOM，便于Excel识别中文）
+   */
+  toCsv(timesheet) {
+    return toCsv([
+      ['分组', '日期', '项目', '任务', '工时(小时)', '备注'],
+      ...timesheet.details.map(row => [
+        row.group, row.date, row.project, row.taskTitle, row.hours, row.note
+      ]),
+      ['合计', '', '', '', timesheet.totalHours, '']
+    ]);
+  }
+
+  /**
+   * 导出工时表为XLSX
+   * @returns {Promise<Buffer>}
+   */
+  async toXlsx(timesheet) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const groupLabels = { day: '日期', week: '周（周一）', project: '项目' };
+    const summary = workbook.addWorksheet('汇总');
+    summary.columns = [
+      { header: groupLabels[timesheet.groupBy], key: 'key', width: 20 },
+      { header: '工时(小时)', key: 'hours', width: 14 }
+    ];
+    timesheet.groups.forEach(group => summary.addRow({ key: group.key, hours: group.hours }));
+    summary.addRow({ key: '合计', hours: timesheet.totalHours });
+
+    const detail = workbook.addWorksheet('明细');
+    detail.columns = [
+      { header: '分组', key: 'group', width: 16 },
+      { header: '日期', key: 'date', width: 14 },
+      { header: '项目', key: 'project', width: 16 },
+      { header: '任务', key: 'taskTitle', width: 40 },
+      { header: '工时(小时)', key: 'hours', width: 14 },
+      { header: '备注', key: 'note', width: 40 }
+    ];
+    timesheet.details.forEach(row => detail.addRow(row));
+
+    [summary, detail].forEach(sheet => {
+      sheet.getRow(1).font = { bold: true };
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  toHours(seconds) {
+    return Math.round((seconds / 3600) * 100) / 100;
+  }
+}
+
+module.exports = new TimeTrackingService();
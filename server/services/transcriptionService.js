@@ -0,0 +1,330 @@
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const axios = require('axios');
+const FormData = require('form-data');
+
+// 单次转录（含格式转换）的最长时间，默认30分钟
+const DEFAULT_TIMEOUT_MS = 30 * 60 * 1000;
+
+// OpenAI 转录接口可直接接受的格式，其余格式先转换为 mp3
+const OPENAI_EXTENSIONS = ['.mp3', '.mp4', '.mpeg', '.mpga', '.m4a', '.wav', '.webm', '.ogg', '.flac'];
+
+const TEMP_DIR = path.join(process.env.UPLOAD_PATH || './uploads', 'temp');
+
+const MOCK_TRANSCRIPTION = {
+  text: `各位同事大家好，欢迎参加今天的项目进度会议。首先，让我们回顾一下上周的工作进展。
+
+产品经理汇报：我们已经完成了用户需求调研，收集到了500多份有效反馈。主要需求集中在界面优化和功能扩展两个方面。
+
+技术总监发言：开发团队本周完成了核心模块的开发，目前进度符合预期。预计下周可以开始内测。
+
+市场部经理：市场推广方案已经制定完成，预算控制在50万以内。预计能够覆盖目标用户群体的80%。
+
+大家还有什么问题需要讨论吗？
+
+好的，那我们确定几个行动项：
+1. 产品经理负责整理用户反馈，周五前提交优化建议
+2. 技术团队继续开发，确保下周内测顺利进行
+3. 市场部准备推广材料，配合产品发布时间
+4. 下次会议安排在下周三同一时间
+
+会议结束，谢谢大家。`,
+
+  segments: [
+    {
+      speaker: '会议主持人',
+      startTime: 0,
+      endTime: 30,
+      text: '各位同事大家好，欢迎参加今天的项目进度会议。首先，让我们回顾一下上周的工作进展。',
+      confidence: 0.95
+    },
+    {
+      speaker: '产品经理',
+      startTime: 35,
+      endTime: 65,
+      text: '我们已经完成了用户需求调研，收集到了500多份有效反馈。主要需求集中在界面优化和功能扩展两个方面。',
+      confidence: 0.92
+    },
+    {
+      speaker: '技术总监',
+      startTime: 70,
+      endTime: 95,
+      text: '开发团队本周完成了核心模块的开发，目前进度符合预期。预计下周可以开始内测。',
+      confidence: 0.90
+    },
+    {
+      speaker: '市场部经理',
+      startTime: 100,
+      endTime: 125,
+      text: '市场推广方案已经制定完成，预算控制在50万以内。预计能够覆盖目标用户群体的80%。',
+      confidence: 0.88
+    }
+  ]
+};
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const run = (command, args, timeout) => new Promise((resolve, reject) => {
+  execFile(command, args, { timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+    if (error) {
+      error.stderr = stderr;
+      return reject(error);
+    }
+    resolve(stdout);
+  });
+});
+
+const removeFile = filePath => fs.unlink(filePath).catch(() => {});
+
+/**
+ * 转录提供商接口
+ * @typedef {Object} TranscriptionProvider
+ * @property {function(): boolean} isConfigured - 所需的程序、模型或密钥是否已配置
+ * @property {function(string, Object): Promise<{text: string, segments: Array, language?: string}>} transcribe
+ *   - 转录音频文件，参数为文件路径和选项（language、mimetype）
+ */
+
+/**
+ * 会议音频转录服务
+ * 按配置选择转录提供商（本地 whisper.cpp、OpenAI 或模拟），负责 ffmpeg 格式转换；
+ * text/plain 文件直接作为转录文本，便于测试
+ */
+class TranscriptionService {
+  constructor() {
+    this.providers = {
+      'whisper-cpp': {
+        isConfigured: () => !!process.env.WHISPER_CPP_MODEL,
+        transcribe: (filePath, options) => this.transcribeWithWhisperCpp(filePath, options)
+      },
+      openai: {
+        isConfigured: () => !!process.env.OPENAI_API_KEY,
+        transcribe: (filePath, options) => this.transcribeWithOpenAI(filePath, options)
+      },
+      mock: {
+        isConfigured: () => true,
+        transcribe: async () => ({ ...MOCK_TRANSCRIPTION, segments: MOCK_TRANSCRIPTION.segments.map(segment => ({ ...segment })) })
+      }
+    };
+  }
+
+  get timeout() {
+    return parseInt(process.env.TRANSCRIPTION_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  }
+
+  get language() {
+    return process.env.TRANSCRIPTION_LANGUAGE || 'zh';
+  }
+
+  /**
+   * 注册转录提供商
+   * @param {string} name
+   * @param {TranscriptionProvider} provider
+   */
+  registerProvider(name, provider) {
+    this.providers[name] = provider;
+  }
+
+  /**
+   * 当前使用的提供商：优先 TRANSCRIPTION_PROVIDER，未设置时配置了 whisper.cpp 模型则用本地引擎，否则用模拟转录
+   * @returns {{name?: string, provider?: TranscriptionProvider, error?: string}}
+   */
+  getProvider() {
+    const name = process.env.TRANSCRIPTION_PROVIDER ||
+      (this.providers['whisper-cpp'].isConfigured() ? 'whisper-cpp' : 'mock');
+
+    const provider = this.providers[name];
+    if (!provider) {
+      return { error: `未知的转录服务: ${name}` };
+    }
+    if (!provider.isConfigured()) {
+      return { error: `转录服务 ${name} 未配置` };
+    }
+    return { name, provider };
+  }
+
+  /**
+   * 是否支持该文件类型（ffmpeg 可转换的音频、视频以及测试用的纯文本）
+   */
+  isSupportedType(mimetype = '') {
+    return mimetype.startsWith('audio/') || mimetype.startsWith('video/') || mimetype === 'text/plain';
+  }
+
+  /**
+   * 转录会议音频文件
+   * @param {{path: string, mimetype: string}} audioFile
+   * @returns {Promise<{text: string, segments: Array, service: string, language: string}>}
+   */
+  async transcribe(audioFile) {
+    if (audioFile.mimetype === 'text/plain') {
+      const text = (await fs.readFile(audioFile.path, 'utf8')).trim();
+      if (!text) throw new Error('转录文本为空');
+      return { text, segments: this.parseTextSegments(text), service: 'text', language: this.language };
+    }
+
+    const { name, provider, error } = this.getProvider();
+    if (error) throw new Error(error);
+
+    const result = await provider.transcribe(audioFile.path, {
+      language: this.language,
+      mimetype: audioFile.mimetype
+    });
+    if (!result?.text?.trim()) {
+      throw new Error('未识别到语音内容');
+    }
+
+    return {
+      text: result.text.trim(),
+      segments: result.segments || [],
+      service: name,
+      language: result.language || this.language
+    };
+  }
+
+  /**
+   * 文本转录按行分段，"发言人：内容"格式的行识别出发言人标签（文本没有时间信息）
+   */
+  parseTextSegments(text) {
+    return text.split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const match = line.match(/^([^：:\s]{1,20})[：:]\s*(\S.*)$/);
+        return match ? { speaker: match[1], text: match[2] } : { text: line };
+      });
+  }
+
+  /**
+   * ffmpeg 参数：wav 为 whisper.cpp 需要的 16kHz 单声道 PCM，mp3 用于上传云端（体积小）
+   */
+  buildFfmpegArgs(inputPath, outputPath, format) {
+    const codec = format === 'wav'
+      ? ['-c:a', 'pcm_s16le']
+      : ['-c:a', 'libmp3lame', '-b:a', '32k'];
+    return ['-y', '-i', inputPath, '-vn', '-ar', '16000', '-ac', '1', ...codec, outputPath];
+  }
+
+  /**
+   * 使用 ffmpeg 转换音频格式，返回临时文件路径（调用方负责删除）
+   */
+  async convertAudio(inputPath, format = 'wav') {
+    await fs.mkdir(TEMP_DIR, { recursive: true });
+    const outputPath = path.join(TEMP_DIR, `${path.basename(inputPath, path.extname(inputPath))}-${Date.now()}.${format}`);
+
+    try {
+      await run(process.env.FFMPEG_PATH || 'ffmpeg', this.buildFfmpegArgs(inputPath, outputPath, format), this.timeout);
+    } catch (error) {
+      await removeFile(outputPath);
+      if (error.code === 'ENOENT') {
+        throw new Error('未找到 ffmpeg，请安装 ffmpeg 或设置 FFMPEG_PATH');
+      }
+      throw new Error(`音频格式转换失败: ${(error.stderr || error.message).trim().split('\n').pop()}`);
+    }
+    return outputPath;
+  }
+
+  /**
+   * 解析 whisper.cpp 的 JSON 输出（-oj），offsets 单位为毫秒
+   */
+  parseWhisperCppOutput(output) {
+    const segments = (output.transcription || [])
+      .map(item => ({
+        startTime: round((item.offsets?.from || 0) / 1000),
+        endTime: round((item.offsets?.to || 0) / 1000),
+        text: (item.text || '').trim()
+      }))
+      .filter(segment => segment.text);
+
+    return {
+      text: segments.map(segment => segment.text).join('\n'),
+      segments,
+      language: output.result?.language
+    };
+  }
+
+  /**
+   * 本地 whisper.cpp 转录（纯CPU，离线）
+   */
+  async transcribeWithWhisperCpp(filePath, { language }) {
+    const wavPath = await this.convertAudio(filePath, 'wav');
+    const outputBase = wavPath.replace(/\.wav$/, '');
+
+    try {
+      const args = [
+        '-m', process.env.WHISPER_CPP_MODEL,
+        '-f', wavPath,
+        '-l', language,
+        '-t', String(parseInt(process.env.WHISPER_CPP_THREADS) || 4),
+        '-oj',
+        '-of', outputBase
+      ];
+      try {
+        await run(process.env.WHISPER_CPP_BIN || 'whisper-cli', args, this.timeout);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error('未找到 whisper.cpp 程序，请设置 WHISPER_CPP_BIN');
+        }
+        throw new Error(`whisper.cpp 转录失败: ${(error.stderr || error.message).trim().split('\n').pop()}`);
+      }
+
+      const output = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+      return this.parseWhisperCppOutput(output);
+    } finally {
+      await removeFile(wavPath);
+      await removeFile(`${outputBase}.json`);
+    }
+  }
+
+  /**
+   * 解析 OpenAI verbose_json 响应，时间单位为秒
+   */
+  parseOpenAIResponse(data) {
+    const segments = (data.segments || []).map(segment => ({
+      startTime: round(segment.start),
+      endTime: round(segment.end),
+      text: (segment.text || '').trim(),
+      // avg_logprob 为对数概率，换算为 0-1 的置信度
+      ...(typeof segment.avg_logprob === 'number' && { confidence: round(Math.exp(segment.avg_logprob)) })
+    }));
+
+    return { text: data.text || '', segments, language: data.language };
+  }
+
+  /**
+   * OpenAI 云端转录，不支持的格式先转换为 mp3
+   */
+  async transcribeWithOpenAI(filePath, { language }) {
+    const needsConversion = !OPENAI_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+    const uploadPath = needsConversion ? await this.convertAudio(filePath, 'mp3') : filePath;
+
+    try {
+      const form = new FormData();
+      form.append('file', createReadStream(uploadPath));
+      form.append('model', process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1');
+      form.append('language', language);
+      form.append('response_format', 'verbose_json');
+
+      const baseUrl = process.env.OPENAI_API_URL || 'https://api.openai.com';
+      const response = await axios.post(`${baseUrl}/v1/audio/transcriptions`, form, {
+        headers: {
+          ...form.getHeaders(),
+          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
+        },
+        timeout: this.timeout,
+        maxBodyLength: Infinity
+      });
+
+      return this.parseOpenAIResponse(response.data);
+    } catch (error) {
+      throw new Error(`OpenAI 转录失败: ${error.response?.data?.error?.message || error.message}`);
+    } finally {
+      if (needsConversion) await removeFile(uploadPath);
+    }
+  }
+}
+
+module.exports = new TranscriptionService();
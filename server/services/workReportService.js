@@ -0,0 +1,438 @@
+const Task = require('../models/Task');
+const Meeting = require('../models/Meeting');
+const Document = require('../models/Document');
+const Calendar = require('../models/Calendar');
+const User = require('../models/User');
+const WorkReport = require('../models/WorkReport');
+const aiService = require('./aiService');
+const NotificationService = require('./notificationService');
+const capacityService = require('./capacityService');
+const taskAnalyticsService = require('./taskAnalyticsService');
+const { markdownToDocx } = require('../utils/documentExport');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 报告章节，AI生成和模板草稿使用相同的结构
+const SECTION_DEFINITIONS = [
+  { key: 'summary', title: '本期概述' },
+  { key: 'completed', title: '已完成工作' },
+  { key: 'in_progress', title: '进行中工作' },
+  { key: 'meetings', title: '会议与日程' },
+  { key: 'documents', title: '文档与资料' },
+  { key: 'next', title: '下期计划' },
+  { key: 'issues', title: '问题与风险' }
+];
+
+const TYPE_LABELS = { weekly: '周报', monthly: '月报' };
+
+// 通知内容长度上限为500字符，超出部分截断
+const NOTIFICATION_EXCERPT_LENGTH = 400;
+
+// 摘要类文本在模板中截断，避免报告过长
+const SUMMARY_LENGTH = 100;
+
+const EMPTY_CONTENT = '无';
+
+const toId = value => (value?._id || value)?.toString();
+
+const formatDay = date => `${new Date(date).getMonth() + 1}/${new Date(date).getDate()}`;
+
+const truncate = (text, length) => {
+  const value = (text || '').replace(/\s+/g, ' ').trim();
+  return value.length > length ? `${value.slice(0, length)}…` : value;
+};
+
+const getUserName = user => {
+  const name = `${user.profile?.lastName || ''}${user.profile?.firstName || ''}`;
+  return name || user.username;
+};
+
+/**
+ * 工作报告服务
+ * 根据任务、会议行动项、已分析文档和日程自动生成周报/月报草稿，支持导出和定时发送
+ */
+class WorkReportService {
+
+  get sectionDefinitions() {
+    return SECTION_DEFINITIONS;
+  }
+
+  /**
+   * 计算报告周期（结束时间不含）
+   * @param {string} type - weekly 或 monthly
+   * @param {Date} date - 周期内任意时间
+   * @returns {{start: Date, end: Date}}
+   */
+  getPeriod(type, date = new Date()) {
+    if (type === 'monthly') {
+      const value = new Date(date);
+      return {
+        start: new Date(value.getFullYear(), value.getMonth(), 1),
+        end: new Date(value.getFullYear(), value.getMonth() + 1, 1)
+      };
+    }
+
+    const start = capacityService.getWeekStart(date);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 7);
+    return { start, end };
+  }
+
+  /**
+   * 周期显示文本，如 "6/3-6/9" 或 "2024年6月"
+   */
+  getPeriodLabel(type, period) {
+    if (type === 'monthly') {
+      return `${period.start.getFullYear()}年${period.start.getMonth() + 1}月`;
+    }
+    return `${formatDay(period.start)}-${formatDay(new Date(period.end.getTime() - DAY_MS))}`;
+  }
+
+  getTitle(user, type, period) {
+    return `${getUserName(user)}的${TYPE_LABELS[type]} (${this.getPeriodLabel(type, period)})`;
+  }
+
+  /**
+   * 收集用户在周期内的工作记录
+   * @param {string} userId - 用户ID
+   * @param {{start: Date, end: Date}} period - 报告周期
+   * @returns {Promise<Object>} 已完成/进行中/即将到期任务、会议、行动项、文档和日程
+   */
+  async collectActivity(userId, period) {
+    const id = userId.toString();
+    const ownerQuery = taskAnalyticsService.buildOwnerQuery([id]);
+    const range = { $gte: period.start, $lt: period.end };
+    const nextEnd = new Date(period.end.getTime() + (period.end - period.start));
+
+    const [completed, inProgress, upcoming, meetings, documents, events] = await Promise.all([
+      Task.find({ ...ownerQuery, status: 'completed', completedAt: range })
+        .select('title priority actualHours estimatedHours completedAt')
+        .sort({ completedAt: 1 }),
+      Task.find({ ...ownerQuery, status: 'in_progress' })
+        .select('title priority progress dueDate')
+        .sort({ dueDate: 1 }),
+      Task.find({
+        ...ownerQuery,
+        status: { $in: ['pending', 'in_progress'] },
+        dueDate: { $gte: period.end, $lt: nextEnd }
+      })
+        .select('title priority dueDate')
+        .sort({ dueDate: 1 }),
+      Meeting.find({
+        $or: [{ organizer: id }, { 'participants.user': id }],
+        startTime: range,
+        status: { $ne: 'cancelled' }
+      })
+        .select('title startTime aiAnalysis.summary aiAnalysis.actionItems')
+        .sort({ startTime: 1 }),
+      Document.find({
+        uploadedBy: id,
+        'aiAnalysis.analyzedAt': range,
+        status: { $ne: 'deleted' }
+      })
+        .select('title originalName aiAnalysis.summary aiAnalysis.analyzedAt')
+        .sort({ 'aiAnalysis.analyzedAt': 1 }),
+      Calendar.find({
+        owner: id,
+        startTime: range,
+        status: { $ne: 'cancelled' }
+      })
+        .select('title startTime eventType')
+        .sort({ startTime: 1 })
+    ]);
+
+    const actionItems = meetings.flatMap(meeting => (meeting.aiAnalysis?.actionItems || [])
+      .filter(item => toId(item.assignedTo) === id)
+      .map(item => ({
+        content: item.content,
+        dueDate: item.dueDate,
+        completed: item.completed,
+        meeting: meeting.title
+      })));
+
+    return { completed, inProgress, upcoming, meetings, actionItems, documents, events };
+  }
+
+  /**
+   * 报告使用的数据量
+   */
+  getStats(activity) {
+    return {
+      completedTasks: activity.completed.length,
+      inProgressTasks: activity.inProgress.length,
+      upcomingTasks: activity.upcoming.length,
+      meetings: activity.meetings.length,
+      actionItems: activity.actionItems.length,
+      documents: activity.documents.length,
+      events: activity.events.length
+    };
+  }
+
+  /**
+   * 按模板整理报告章节（Markdown），AI不可用时直接作为草稿
+   * @param {Object} activity - collectActivity 的结果
+   * @param {{start: Date, end: Date}} period - 报告周期
+   * @returns {Array<{key: string, title: string, content: string}>}
+   */
+  buildTemplateSections(activity, period) {
+    const { completed, inProgress, upcoming, meetings, actionItems, documents, events } = activity;
+    const list = lines => (lines.length > 0 ? lines.join('\n') : EMPTY_CONTENT);
+
+    const completedHours = completed.reduce((total, task) => total + (task.actualHours || 0), 0);
+    const summary = [
+      `本期完成任务${completed.length}项${completedHours > 0 ? `（实际投入${Math.round(completedHours * 10) / 10}小时）` : ''}，进行中任务${inProgress.length}项。`,
+      `参加会议${meetings.length}场，分析文档${documents.length}份，日程安排${events.length}项。`
+    ].join('');
+
+    const completedLines = completed.map(task => `- ${task.title}（${formatDay(task.completedAt)}完成${task.actualHours ? `，${task.actualHours}小时` : ''}）`);
+
+    const inProgressLines = inProgress.map(task => {
+      const details = [`进度${task.progress || 0}%`];
+      if (task.dueDate) details.push(`截止${formatDay(task.dueDate)}`);
+      return `- ${task.title}（${details.join('，')}）`;
+    });
+
+    const meetingLines = meetings.map(meeting => {
+      const summaryText = truncate(meeting.aiAnalysis?.summary, SUMMARY_LENGTH);
+      return `- ${formatDay(meeting.startTime)} ${meeting.title}${summaryText ? `：${summaryText}` : ''}`;
+    });
+    if (actionItems.length > 0) {
+      meetingLines.push('', '行动项：');
+      actionItems.forEach(item => {
+        meetingLines.push(`- [${item.completed ? 'x' : ' '}] ${item.content}（${item.meeting}${item.dueDate ? `，截止${formatDay(item.dueDate)}` : ''}）`);
+      });
+    }
+    const otherEvents = events.filter(event => event.eventType !== 'meeting');
+    if (otherEvents.length > 0) {
+      meetingLines.push('', '日程：');
+      otherEvents.forEach(event => meetingLines.push(`- ${formatDay(event.startTime)} ${event.title}`));
+    }
+
+    const documentLines = documents.map(document => {
+      const summaryText = truncate(document.aiAnalysis?.summary, SUMMARY_LENGTH);
+      return `- ${document.title || document.originalName}${summaryText ? `：${summaryText}` : ''}`;
+    });
+
+    const nextLines = [
+      ...upcoming.map(task => `- ${task.title}（截止${formatDay(task.dueDate)}）`),
+      ...actionItems
+        .filter(item => !item.completed)
+        .map(item => `- ${item.content}（会议行动项${item.dueDate ? `，截止${formatDay(item.dueDate)}` : ''}）`)
+    ];
+
+    const issueLines = inProgress
+      .filter(task => task.dueDate && new Date(task.dueDate) < period.end)
+      .map(task => `- ${task.title} 已到截止日期（${formatDay(task.dueDate)}），当前进度${task.progress || 0}%`);
+
+    const contents = {
+      summary,
+      completed: list(completedLines),
+      in_progress: list(inProgressLines),
+      meetings: list(meetingLines),
+      documents: list(documentLines),
+      next: list(nextLines),
+      issues: list(issueLines)
+    };
+
+    return SECTION_DEFINITIONS.map(section => ({ ...section, content: contents[section.key] }));
+  }
+
+  /**
+   * 生成（或重新生成）报告草稿
+   * @param {Object} user - 用户文档
+   * @param {string} type - weekly 或 monthly
+   * @param {Date} date - 周期内任意时间，默认本周期
+   * @returns {Promise<{report?: Object, error?: string}>}
+   */
+  async generate(user, type, date = new Date()) {
+    const period = this.getPeriod(type, date);
+    const existing = await WorkReport.findOne({ user: user._id, type, periodStart: period.start });
+    if (existing && existing.status === 'final') {
+      return { error: '报告已定稿，无法重新生成' };
+    }
+
+    const activity = await this.collectActivity(user._id, period);
+    const sections = this.buildTemplateSections(activity, period);
+
+    const aiSections = await aiService.generateWorkReport({
+      typeLabel: TYPE_LABELS[type],
+      periodLabel: this.getPeriodLabel(type, period),
+      userPosition: user.profile?.position,
+      sections
+    });
+
+    const report = existing || new WorkReport({ user: user._id, type, periodStart: period.start });
+    report.periodEnd = period.end;
+    report.title = this.getTitle(user, type, period);
+    report.sections = sections.map(section => ({
+      ...section,
+      content: aiSections?.[section.key] || section.content
+    }));
+    report.stats = this.getStats(activity);
+    report.generatedBy = aiSections ? 'ai' : 'template';
+    report.generatedAt = new Date();
+    // 重新生成会替换用户的修改
+    report.editedAt = undefined;
+    await report.save();
+
+    return { report };
+  }
+
+  /**
+   * 导出为Markdown
+   */
+  toMarkdown(report) {
+    const sections = report.sections.map(section => `## ${section.title}\n\n${section.content || EMPTY_CONTENT}`);
+    return `# ${report.title}\n\n${sections.join('\n\n')}\n`;
+  }
+
+  /**
+   * 导出为Word文档（docx）
+   * @returns {Promise<Buffer>}
+   */
+  toDocx(report) {
+    return markdownToDocx(this.toMarkdown(report));
+  }
+
+  /**
+   * 通过邮件或微信发送报告（通知内容为概述摘要）
+   * @param {Object} report - 报告文档
+   * @param {Array<string>} channels - email / wechat
+   * @param {Object} options
+   * @param {boolean} options.scheduled - 是否为定时发送
+   */
+  async deliver(report, channels, { scheduled = false } = {}) {
+    const summary = report.sections.find(section => section.key === 'summary');
+    const content = `${truncate(summary?.content || report.title, NOTIFICATION_EXCERPT_LENGTH)}\n完整报告请登录系统查看或导出。`;
+
+    const notification = await NotificationService.createNotification({
+      userId: report.user,
+      title: report.title,
+      content,
+      type: 'work_report'
+    }, {
+      channels,
+      immediate: true,
+      relatedData: { reportId: report._id }
+    });
+
+    report.deliveries.push({ channels, notification: notification._id, scheduled, sentAt: new Date() });
+    await report.save();
+    return notification;
+  }
+
+  /**
+   * 校验发送渠道
+   * @returns {{channels?: Array<string>, error?: string}}
+   */
+  validateChannels(channels) {
+    if (!Array.isArray(channels) || channels.length === 0) {
+      return { error: '请至少选择一个发送渠道' };
+    }
+    if (channels.some(channel => !['email', 'wechat'].includes(channel))) {
+      return { error: '发送渠道只能是 email 或 wechat' };
+    }
+    return { channels: [...new Set(channels)] };
+  }
+
+  /**
+   * 校验并合并定时发送设置
+   * @param {Object} current - 当前设置
+   * @param {Object} input - 待更新的字段
+   * @returns {{settings?: Object, error?: string}}
+   */
+  validateSettings(current = {}, input = {}) {
+    const settings = {
+      enabled: current.enabled ?? false,
+      frequency: current.frequency || 'weekly',
+      dayOfWeek: current.dayOfWeek ?? 5,
+      hour: current.hour ?? 17,
+      channels: current.channels?.length ? [...current.channels] : ['email']
+    };
+
+    if (input.enabled !== undefined) {
+      settings.enabled = !!input.enabled;
+    }
+    if (input.frequency !== undefined) {
+      if (!TYPE_LABELS[input.frequency]) {
+        return { error: '报告频率只能是 weekly 或 monthly' };
+      }
+      settings.frequency = input.frequency;
+    }
+    if (input.dayOfWeek !== undefined) {
+      const dayOfWeek = Number(input.dayOfWeek);
+      if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+        return { error: '发送日必须是0到6之间的整数' };
+      }
+      settings.dayOfWeek = dayOfWeek;
+    }
+    if (input.hour !== undefined) {
+      const hour = Number(input.hour);
+      if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+        return { error: '发送时间必须是0到23之间的整数' };
+      }
+      settings.hour = hour;
+    }
+    if (input.channels !== undefined) {
+      const { channels, error } = this.validateChannels(input.channels);
+      if (error) return { error };
+      settings.channels = channels;
+    }
+
+    return { settings };
+  }
+
+  /**
+   * 当前时间是否为用户设置的发送时间
+   * 周报在设置的星期和整点发送，月报在每月最后一天的设置整点发送
+   */
+  isDue(settings, now = new Date()) {
+    if (!settings?.enabled || now.getHours() !== settings.hour) return false;
+    if (settings.frequency === 'monthly') {
+      const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+      return tomorrow.getDate() === 1;
+    }
+    return now.getDay() === settings.dayOfWeek;
+  }
+
+  /**
+   * 定时生成并发送报告（每小时执行）
+   * @returns {Promise<number>} 发送的报告数
+   */
+  async runScheduledReports(now = new Date()) {
+    const users = await User.find({ isActive: true, 'settings.workReports.enabled': true })
+      .select('username profile settings.workReports');
+
+    let sent = 0;
+    for (const user of users) {
+      const settings = user.settings.workReports;
+      if (!this.isDue(settings, now)) continue;
+
+      try {
+        const period = this.getPeriod(settings.frequency, now);
+        const delivered = await WorkReport.exists({
+          user: user._id,
+          type: settings.frequency,
+          periodStart: period.start,
+          'deliveries.scheduled': true
+        });
+        if (delivered) continue;
+
+        // 已定稿或用户编辑过的报告按原样发送，避免覆盖用户修改；否则按最新数据重新生成草稿
+        let report = await WorkReport.findOne({ user: user._id, type: settings.frequency, periodStart: period.start });
+        if (!report || (report.status !== 'final' && !report.editedAt)) {
+          ({ report } = await this.generate(user, settings.frequency, now));
+        }
+
+        await this.deliver(report, settings.channels, { scheduled: true });
+        sent++;
+      } catch (error) {
+        console.error(`❌ 发送用户 ${user.username} 的工作报告失败:`, error);
+      }
+    }
+
+    return sent;
+  }
+}
+
+module.exports = new WorkReportService();
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const availabilityService = require('../../services/availabilityService');
+const capacityService = require('../../services/capacityService');
+const taskController = require('../../controllers/taskController');
+
+describe('Capacity Service', () => {
+  // 2024-06-10 为周一
+  const at = (day, hour = 0) => new Date(2024, 5, day, hour);
+  const now = at(10, 9);
+  const pattern = availabilityService.buildWorkingPattern();
+  const weeks = capacityService.buildWeeks(now, 2);
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should build weeks starting on Monday and validate the range', () => {
+    expect(capacityService.buildWeeks(at(13), 1)).toEqual([{ start: at(10), end: at(17) }]);
+    expect(capacityService.buildWeeks(at(16), 1)[0].start).toEqual(at(10));
+    expect(capacityService.parseRange({ weeks: 13 }).error).toBe('统计周数必须在1到12之间');
+  });
+
+  describe('distributeTask', () => {
+    it('should spread remaining hours over working days until the due date', () => {
+      const task = { estimatedHours: 20, progress: 50, dueDate: at(18, 18) };
+
+      // 剩余10小时，摊到6/10-6/14和6/17-6/18共7个工作日
+      const [first, second] = capacityService.distributeTask(task, weeks, pattern, now);
+      expect(first).toBeCloseTo(10 * 5 / 7);
+      expect(second).toBeCloseTo(10 * 2 / 7);
+    });
+
+    it('should put overdue work on today and skip tasks without due dates', () => {
+      expect(capacityService.distributeTask({ estimatedHours: 6, dueDate: at(3) }, weeks, pattern, now)).toEqual([6, 0]);
+      expect(capacityService.distributeTask({ estimatedHours: 6, startDate: at(17), dueDate: at(17, 18) }, weeks, pattern, now))
+        .toEqual([0, 6]);
+      expect(capacityService.distributeTask({ estimatedHours: 6 }, weeks, pattern, now)).toBeNull();
+    });
+  });
+
+  it('should subtract calendar events and apply the weekly hours limit', () => {
+    const busy = [{ start: at(11, 9), end: at(11, 18) }];
+    expect(capacityService.getFreeHours(pattern, busy, weeks[0], now)).toBe(36);
+
+    const limited = availabilityService.buildWorkingPattern({ hoursPerWeek: 20 });
+    expect(capacityService.getFreeHours(limited, [], weeks[1], now)).toBe(20);
+    expect(capacityService.getFreeHours(limited, [], weeks[0], at(13, 9))).toBe(8);
+  });
+
+  it('should flag over-allocated weeks', () => {
+    const tasks = [
+      { _id: 't1', title: '迁移数据库', estimatedHours: 40, dueDate: at(14, 18) },
+      { _id: 't2', title: '写周报', estimatedHours: 9, dueDate: at(20, 18) },
+      { _id: 't3', title: '调研', estimatedHours: 5 },
+      { _id: 't4', title: '未估时' }
+    ];
+
+    const summary = capacityService.summarize(tasks, pattern, [{ start: at(12, 9), end: at(12, 18) }], weeks, now);
+
+    expect(summary.weeks[0]).toMatchObject({ plannedHours: 45, freeHours: 36, overAllocated: true });
+    expect(summary.weeks[0].tasks[0]).toEqual({ task: 't1', title: '迁移数据库', hours: 40 });
+    expect(summary.weeks[1]).toMatchObject({ plannedHours: 4, freeHours: 45, utilization: 9, overAllocated: false });
+    expect(summary).toMatchObject({ unscheduledHours: 5, unestimatedTasks: 1, overAllocated: true });
+  });
+
+  it('should only list task titles the viewer can read in the team view', async () => {
+    const managerId = new mongoose.Types.ObjectId().toString();
+    const memberId = new mongoose.Types.ObjectId().toString();
+
+    jest.spyOn(availabilityService, 'getWorkingPattern').mockResolvedValue(pattern);
+    jest.spyOn(availabilityService, 'getBusyIntervals').mockResolvedValue([]);
+    jest.spyOn(Task, 'find').mockReturnValue({
+      select: jest.fn().mockResolvedValue([
+        { _id: 'a', title: '交接文档', estimatedHours: 8, dueDate: at(14, 18), assignedTo: memberId, createdBy: managerId },
+        { _id: 'b', title: '个人面试安排', estimatedHours: 4, dueDate: at(14, 18), assignedTo: memberId, createdBy: memberId },
+        { _id: 'c', title: '季度规划', estimatedHours: 2, dueDate: at(14, 18), assignedTo: memberId, createdBy: memberId, watchers: [managerId] }
+      ])
+    });
+    jest.spyOn(User, 'find').mockReturnValue({
+      select: jest.fn().mockResolvedValue([{ _id: memberId, username: 'member' }])
+    });
+
+    jest.useFakeTimers({ now });
+    const capacity = await capacityService.getTeamCapacity(managerId, weeks, [memberId]);
+
+    const [week] = capacity.members[0].weeks;
+    expect(week.plannedHours).toBe(14);
+    expect(week.tasks.map(item => item.title)).toEqual(['交接文档', '季度规划']);
+    expect(week.restrictedHours).toBe(4);
+  });
+
+  it('should reject invalid dates when checking an assignment', async () => {
+    const checkAssignment = jest.spyOn(capacityService, 'checkAssignment');
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+
+    await taskController.checkTaskCapacity({
+      user: { id: new mongoose.Types.ObjectId().toString() },
+      body: { assignedTo: new mongoose.Types.ObjectId().toString(), estimatedHours: 8, dueDate: '下周五' }
+    }, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, message: '请提供有效的开始日期和截止日期' });
+    expect(checkAssignment).not.toHaveBeenCalled();
+  });
+
+  it('should suggest teammates with spare capacity when the assignee is overloaded', async () => {
+    const managerId = new mongoose.Types.ObjectId().toString();
+    const busyId = new mongoose.Types.ObjectId().toString();
+    const freeId = new mongoose.Types.ObjectId().toString();
+
+    jest.spyOn(capacityService, 'getTeamMemberIds').mockResolvedValue([managerId, busyId, freeId]);
+    jest.spyOn(availabilityService, 'getWorkingPattern').mockResolvedValue(pattern);
+    jest.spyOn(availabilityService, 'getBusyIntervals').mockResolvedValue([]);
+    jest.spyOn(Task, 'find').mockReturnValue({
+      select: jest.fn().mockResolvedValue([
+        { _id: 'a', title: '重构', estimatedHours: 40, dueDate: at(14, 18), assignedTo: busyId },
+        { _id: 'b', title: '评审', estimatedHours: 30, dueDate: at(14, 18), createdBy: managerId }
+      ])
+    });
+    jest.spyOn(User, 'find').mockReturnValue({
+      select: jest.fn().mockResolvedValue([{ _id: busyId, username: 'busy' }, { _id: freeId, username: 'free' }])
+    });
+
+    const warning = await capacityService.checkAssignment(
+      { estimatedHours: 8, dueDate: at(14, 18) }, busyId, managerId, now
+    );
+
+    expect(warning).toMatchObject({
+      assignee: { username: 'busy' },
+      hours: 8,
+      overAllocatedWeeks: [{ plannedHours: 48, freeHours: 45 }],
+      suggestions: [
+        { user: { username: 'free' }, availableHours: 37 },
+        { user: managerId, availableHours: 7 }
+      ]
+    });
+    expect(await capacityService.checkAssignment({ estimatedHours: 8, dueDate: at(14, 18) }, freeId, managerId, now))
+      .toBeNull();
+  });
+});
@@ -0,0 +1,29 @@
+const { escapeCsvValue, toCsv } = require('../../utils/csv');
+
+describe('CSV utils', () => {
+  it('should quote values containing separators, quotes or line breaks', () => {
+    expect(escapeCsvValue('对接, 支付')).toBe('"对接, 支付"');
+    expect(escapeCsvValue('说明"草稿"')).toBe('"说明""草稿"""');
+    expect(escapeCsvValue('第一行\n第二行')).toBe('"第一行\n第二行"');
+    expect(escapeCsvValue('第一行\r第二行')).toBe('"第一行\r第二行"');
+    expect(escapeCsvValue(undefined)).toBe('');
+    expect(escapeCsvValue(null)).toBe('');
+  });
+
+  it('should prefix text that would be read as a formula', () => {
+    expect(escapeCsvValue('=SUM(A1:A2)')).toBe("'=SUM(A1:A2)");
+    expect(escapeCsvValue('+1')).toBe("'+1");
+    expect(escapeCsvValue('-1')).toBe("'-1");
+    expect(escapeCsvValue('@cmd')).toBe("'@cmd");
+    expect(escapeCsvValue('\tcmd')).toBe("'\tcmd");
+    expect(escapeCsvValue('=A1,B1')).toBe('"\'=A1,B1"');
+
+    // 数字不会被当作公式
+    expect(escapeCsvValue(-2.5)).toBe('-2.5');
+    expect(escapeCsvValue('a=b')).toBe('a=b');
+  });
+
+  it('should join rows with a BOM for Excel', () => {
+    expect(toCsv([['标题', '工时'], ['周报', 1.5]])).toBe('\uFEFF标题,工时\n周报,1.5');
+  });
+});
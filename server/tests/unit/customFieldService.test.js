@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const CustomFieldDefinition = require('../../models/CustomFieldDefinition');
+const customFieldService = require('../../services/customFieldService');
+const taskExportService = require('../../services/taskExportService');
+
+describe('Custom Field Service', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  const definitions = [
+    new CustomFieldDefinition({ key: 'customer', label: '客户', type: 'text', required: true }),
+    new CustomFieldDefinition({ key: 'points', label: '故事点', type: 'number', min: 0, max: 100 }),
+    new CustomFieldDefinition({ key: 'launchDate', label: '上线日期', type: 'date' }),
+    new CustomFieldDefinition({ key: 'stage', label: '阶段', type: 'select', options: ['设计', '开发', '测试'] }),
+    new CustomFieldDefinition({ key: 'platforms', label: '平台', type: 'multi_select', options: ['iOS', 'Android', 'Web'] }),
+    new CustomFieldDefinition({ key: 'reviewer', label: '评审人', type: 'user' }),
+    new CustomFieldDefinition({ key: 'legacy', label: '旧字段', type: 'text', active: false })
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateValues', () => {
+    it('should convert values by type and require required fields on create', async () => {
+      jest.spyOn(User, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: userId }]) });
+
+      const { values } = await customFieldService.validateValues(definitions, {
+        customer: ' 某银行 ',
+        points: '8',
+        launchDate: '2024-06-30',
+        platforms: ['iOS', 'Web', 'iOS'],
+        reviewer: userId.toString()
+      }, {}, { isNew: true });
+
+      expect(values).toMatchObject({ customer: '某银行', points: 8, platforms: ['iOS', 'Web'] });
+      expect(values.launchDate).toEqual(new Date('2024-06-30'));
+      expect(values.reviewer.equals(userId)).toBe(true);
+
+      expect((await customFieldService.validateValues(definitions, { points: 3 }, {}, { isNew: true })).error)
+        .toBe('请填写自定义字段"客户"');
+    });
+
+    it('should reject invalid values and clear fields with empty values on update', async () => {
+      const current = new Map([['customer', '某银行'], ['stage', '设计'], ['legacy', '保留']]);
+
+      expect((await customFieldService.validateValues(definitions, { points: 101 }, current)).error)
+        .toBe('自定义字段"故事点"不能大于100');
+      expect((await customFieldService.validateValues(definitions, { stage: '上线' }, current)).error)
+        .toBe('自定义字段"阶段"只能是: 设计、开发、测试');
+      expect((await customFieldService.validateValues(definitions, { legacy: '新值' }, current)).error)
+        .toBe('自定义字段"旧字段"已停用');
+      expect((await customFieldService.validateValues(definitions, { unknown: 1 }, current)).error)
+        .toBe('未知的自定义字段: unknown');
+      expect((await customFieldService.validateValues(definitions, { customer: '' }, current)).error)
+        .toBe('请填写自定义字段"客户"');
+
+      const { values } = await customFieldService.validateValues(definitions, { stage: null, legacy: '' }, current);
+      expect(values).toEqual({ customer: '某银行' });
+    });
+  });
+
+  describe('buildFilters', () => {
+    it('should compile filters on the customFields path with default operators', () => {
+      const { conditions } = customFieldService.buildFilters(definitions, {
+        customer: '银行',
+        points: { gte: '5', lte: '13' },
+        stage: '开发,测试',
+        reviewer: 'me',
+        launchDate: { empty: 'true' }
+      }, userId.toString());
+
+      expect(conditions).toEqual([
+        { 'customFields.customer': { $regex: '银行', $options: 'i' } },
+        { 'customFields.points': { $gte: 5 } },
+        { 'customFields.points': { $lte: 13 } },
+        { 'customFields.stage': { $in: ['开发', '测试'] } },
+        { 'customFields.reviewer': { $in: [userId] } },
+        { 'customFields.launchDate': { $in: [null, []] } }
+      ]);
+    });
+
+    it('should reject unknown fields and unsupported operators', () => {
+      expect(customFieldService.buildFilters(definitions, { nope: 'x' }).error).toBe('未知的自定义字段: nope');
+      expect(customFieldService.buildFilters(definitions, { stage: { gte: '开发' } }).error)
+        .toBe('自定义字段"阶段"不支持筛选运算符 gte');
+      expect(customFieldService.buildFilters(definitions, { points: 'abc' }).error)
+        .toBe('自定义字段"故事点"的筛选值无效');
+    });
+  });
+
+  it('should map cf.key sorting to the custom field path', () => {
+    expect(customFieldService.getSortPath(definitions, 'cf.points')).toBe('customFields.points');
+    expect(customFieldService.getSortPath(definitions, 'cf.missing')).toBeNull();
+    expect(customFieldService.getSortPath(definitions, 'dueDate')).toBeNull();
+  });
+
+  it('should summarize select counts and number sums', () => {
+    const tasks = [
+      { status: 'completed', customFields: new Map([['points', 5], ['stage', '开发'], ['platforms', ['iOS', 'Web']]]) },
+      { status: 'in_progress', customFields: new Map([['points', 3], ['stage', '开发']]) },
+      { status: 'pending', customFields: new Map() }
+    ];
+
+    const summary = customFieldService.summarize(definitions.filter(definition => definition.active), tasks);
+
+    expect(summary.find(item => item.key === 'points')).toMatchObject({
+      count: 2, sum: 8, completedSum: 5, average: 4, empty: 1
+    });
+    expect(summary.find(item => item.key === 'stage')).toMatchObject({
+      counts: { 设计: 0, 开发: 2, 测试: 0 }, empty: 1
+    });
+    expect(summary.find(item => item.key === 'platforms').counts).toEqual({ iOS: 1, Android: 0, Web: 1 });
+    expect(summary.map(item => item.key)).not.toContain('customer');
+  });
+
+  it('should export custom field columns to CSV', async () => {
+    jest.spyOn(User, 'find').mockReturnValue({
+      select: jest.fn().mockResolvedValue([{ _id: userId, username: 'lisi', profile: { lastName: '李', firstName: '四' } }])
+    });
+
+    const csv = await taskExportService.toCsv([{
+      title: '对接, 支付',
+      status: 'in_progress',
+      priority: 'high',
+      category: 'work',
+      progress: 40,
+      tags: ['支付'],
+      customFields: new Map([['customer', '某银行'], ['platforms', ['iOS', 'Web']], ['reviewer', userId]])
+    }], definitions.filter(definition => ['customer', 'platforms', 'reviewer'].includes(definition.key)));
+
+    const [header, row] = csv.replace('\uFEFF', '').split('\n');
+    expect(header).toBe('标题,状态,优先级,类型,负责人,开始日期,截止日期,进度(%),预估工时,标签,客户,平台,评审人');
+    expect(row).toBe('"对接, 支付",进行中,高,工作,,,,40,,支付,某银行,iOS、Web,李四');
+  });
+
+  it('should neutralise formulas in exported values', async () => {
+    const csv = await taskExportService.toCsv([{
+      title: '=HYPERLINK("http://example.com")',
+      status: 'pending',
+      tags: ['@运维'],
+      customFields: new Map([['customer', '+86 银行'], ['points', -3]])
+    }], definitions.filter(definition => ['customer', 'points'].includes(definition.key)));
+
+    const [, row] = csv.replace('\uFEFF', '').split('\n');
+    expect(row).toBe('"\'=HYPERLINK(""http://example.com"")",待处理,,,,,,0,,\'@运维,\'+86 银行,-3');
+  });
+});
@@ -0,0 +1,244 @@
+const mongoose = require('mongoose');
+const Meeting = require('../../models/Meeting');
+const User = require('../../models/User');
+const Task = require('../../models/Task');
+const Document = require('../../models/Document');
+const Project = require('../../models/Project');
+const projectService = require('../../services/projectService');
+const aiService = require('../../services/aiService');
+const NotificationService = require('../../services/notificationService');
+const meetingBriefService = require('../../services/meetingBriefService');
+
+describe('Meeting Brief Service', () => {
+  const originalEnv = { ...process.env };
+  const organizer = new User({ username: 'zhangsan', profile: { lastName: '张', firstName: '三' } });
+  const participant = new User({ username: 'lisi' });
+  const declined = new User({ username: 'wangwu' });
+  const projectId = new mongoose.Types.ObjectId();
+
+  const buildMeeting = () => new Meeting({
+    title: '迭代评审会',
+    organizer: organizer._id,
+    startTime: new Date(2024, 5, 10, 10),
+    endTime: new Date(2024, 5, 10, 11),
+    project: { name: '登录改版', id: projectId },
+    participants: [
+      { user: participant._id, status: 'accepted' },
+      { user: declined._id, status: 'declined' }
+    ]
+  });
+
+  beforeEach(() => {
+    delete process.env.MEETING_BRIEF_LEAD_MINUTES;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  it('should validate agenda items and report timebox overruns', () => {
+    const meeting = buildMeeting();
+
+    const { agenda } = meetingBriefService.normalizeAgenda([
+      { title: ' 登录模块评审 ', owner: participant._id.toString(), timebox: '40' },
+      { title: '灰度发布方案', description: '  ', timebox: 30 }
+    ], meeting);
+    expect(agenda).toEqual([
+      { title: '登录模块评审', description: undefined, owner: participant._id.toString(), timebox: 40 },
+      { title: '灰度发布方案', description: undefined, owner: undefined, timebox: 30 }
+    ]);
+    expect(meetingBriefService.summarizeAgenda(agenda, 60)).toEqual({ totalMinutes: 70, overrun: true });
+    expect(meetingBriefService.summarizeAgenda(agenda, 90).overrun).toBe(false);
+
+    expect(meetingBriefService.normalizeAgenda('议程', meeting)).toEqual({ error: '议程格式错误' });
+    expect(meetingBriefService.normalizeAgenda([{ title: ' ' }], meeting)).toEqual({ error: '议程标题不能为空' });
+    expect(meetingBriefService.normalizeAgenda([{ title: '复盘', owner: new mongoose.Types.ObjectId() }], meeting))
+      .toEqual({ error: '议程负责人只能是会议参与者' });
+    expect(meetingBriefService.normalizeAgenda([{ title: '复盘', timebox: 0.5 }], meeting))
+      .toEqual({ error: '议程时长应为1-480分钟的整数' });
+  });
+
+  it('should validate brief settings and resolve the lead time', () => {
+    expect(meetingBriefService.validateSettings({ enabled: false, leadMinutes: 30 }))
+      .toEqual({ settings: { enabled: false, leadMinutes: 30 } });
+    expect(meetingBriefService.validateSettings({ leadMinutes: null })).toEqual({ settings: { leadMinutes: undefined } });
+    expect(meetingBriefService.validateSettings({ enabled: 'yes' })).toEqual({ error: 'enabled 必须是布尔值' });
+    expect(meetingBriefService.validateSettings({ leadMinutes: 1 })).toEqual({ error: '提前发送时间应为5-10080分钟的整数' });
+
+    const meeting = buildMeeting();
+    expect(meetingBriefService.getLeadMinutes(meeting)).toBe(60);
+    process.env.MEETING_BRIEF_LEAD_MINUTES = '120';
+    expect(meetingBriefService.getLeadMinutes(meeting)).toBe(120);
+    meeting.brief.leadMinutes = 15;
+    expect(meetingBriefService.getLeadMinutes(meeting)).toBe(15);
+  });
+
+  it('should only share tasks every attendee can read or that belong to the meeting project', () => {
+    const attendeeIds = meetingBriefService.getAttendeeIds(buildMeeting());
+    expect(attendeeIds).toEqual([organizer._id.toString(), participant._id.toString()]);
+
+    const involvesEveryAttendee = {
+      $and: attendeeIds.map(id => ({
+        $or: [{ createdBy: id }, { assignedTo: id }, { watchers: id }]
+      }))
+    };
+    expect(meetingBriefService.buildSharedTaskQuery(attendeeIds, null)).toEqual({ $or: [involvesEveryAttendee] });
+    expect(meetingBriefService.buildSharedTaskQuery(attendeeIds, projectId.toString()))
+      .toEqual({ $or: [involvesEveryAttendee, { project: projectId.toString() }] });
+  });
+
+  it('should only include documents and project progress every attendee can access', async () => {
+    const meeting = buildMeeting();
+    meeting.relatedDocuments = [new mongoose.Types.ObjectId()];
+    const project = new Project({ _id: projectId, name: '登录改版', owner: organizer._id });
+    const projectTask = { title: '联调', assignedTo: participant._id, createdBy: declined._id, project: projectId };
+
+    const chain = result => {
+      const query = {
+        select: () => query,
+        populate: () => query,
+        sort: () => query,
+        limit: () => Promise.resolve(result)
+      };
+      return query;
+    };
+    jest.spyOn(Project, 'findById').mockResolvedValue(project);
+    const findTasks = jest.spyOn(Task, 'find').mockReturnValue(chain([projectTask]));
+    jest.spyOn(Meeting, 'findOne').mockReturnValue({ select: () => ({ populate: () => Promise.resolve(null) }) });
+    const findDocuments = jest.spyOn(Document, 'find').mockReturnValue(chain([]));
+    const getDashboard = jest.spyOn(projectService, 'getDashboard').mockResolvedValue({});
+
+    // 参与者不是项目成员：不列出项目进展、项目文档和项目任务
+    let context = await meetingBriefService.collectContext(meeting);
+    expect(context.project).toBeNull();
+    expect(findTasks.mock.calls[0][0].$or).toHaveLength(1);
+    expect(getDashboard).not.toHaveBeenCalled();
+
+    const documentQuery = findDocuments.mock.calls[0][0];
+    expect(documentQuery.$or).toEqual([{ _id: { $in: meeting.relatedDocuments } }]);
+    expect(documentQuery.$and).toEqual([organizer._id, participant._id].map(id => ({
+      $or: [
+        { uploadedBy: id.toString() },
+        { 'permissions.isPublic': true },
+        { 'permissions.allowedUsers': id.toString() }
+      ]
+    })));
+
+    project.members.push({ user: participant._id, role: 'viewer' });
+    context = await meetingBriefService.collectContext(meeting);
+    expect(context.project).toEqual({ project, dashboard: {} });
+    expect(context.sharedTasks).toEqual([projectTask]);
+    expect(findTasks.mock.calls[1][0].$or).toContainEqual({ project: projectId.toString() });
+    expect(findDocuments.mock.calls[1][0].$or).toContainEqual({ 'project.id': projectId.toString() });
+  });
+
+  it('should only include previous action items when every attendee took part in that meeting', async () => {
+    const meeting = buildMeeting();
+    meeting.project = undefined;
+    const previous = new Meeting({
+      title: '上周评审会',
+      organizer: organizer._id,
+      startTime: new Date(2024, 5, 3, 10),
+      endTime: new Date(2024, 5, 3, 11),
+      participants: [{ user: participant._id, status: 'declined' }],
+      aiAnalysis: { actionItems: [{ content: '整理评审意见' }] }
+    });
+
+    jest.spyOn(Task, 'find').mockReturnValue({
+      select: () => ({ populate: () => ({ sort: () => ({ limit: () => Promise.resolve([]) }) }) })
+    });
+    jest.spyOn(Meeting, 'findOne').mockReturnValue({ select: () => ({ populate: () => Promise.resolve(previous) }) });
+
+    // 参与者拒绝了上次会议，行动项不列出
+    let context = await meetingBriefService.collectContext(meeting);
+    expect(context.previousMeeting).toBeNull();
+
+    previous.participants[0].status = 'accepted';
+    context = await meetingBriefService.collectContext(meeting);
+    expect(context.previousMeeting).toBe(previous);
+  });
+
+  it('should build the brief from agenda, tasks, previous action items, documents and project progress', () => {
+    const meeting = buildMeeting();
+    meeting.agenda = [{ title: '登录模块评审', timebox: 40, description: '确认接口' }];
+    meeting.agenda[0].owner = participant;
+
+    const facts = meetingBriefService.buildFacts(meeting, {
+      sharedTasks: [{ title: '补充接口文档', status: 'in_progress', assignedTo: participant, dueDate: new Date(2024, 5, 8) }],
+      previousMeeting: {
+        title: '需求澄清会',
+        startTime: new Date(2024, 5, 3, 10),
+        aiAnalysis: { actionItems: [{ content: '整理需求清单', assignedToName: '王五', completed: true }] }
+      },
+      documents: [{ title: '登录改版方案', aiAnalysis: { summary: '采用短信验证码\n登录' } }],
+      project: {
+        project: { name: '登录改版', status: 'active' },
+        dashboard: {
+          tasks: { progress: 45, completed: 9, total: 20, overdue: 2 },
+          milestones: { overdue: [], upcoming: [{ title: '灰度发布', dueDate: new Date(2024, 5, 17) }] }
+        }
+      }
+    }, new Date(2024, 5, 9));
+
+    expect(facts).toContain('## 会议议程\n\n1. 登录模块评审（负责人：lisi，40分钟）：确认接口');
+    expect(facts).toContain('- 补充接口文档（负责人：lisi，进行中，截止：2024-06-08，已逾期）');
+    expect(facts).toContain('## 上次会议行动项（需求澄清会，2024-06-03）\n\n- 整理需求清单（负责人：王五，已完成）');
+    expect(facts).toContain('- 登录改版方案：采用短信验证码 登录');
+    expect(facts).toContain('## 项目进展（登录改版）\n\n- 状态：进行中\n- 任务进度：45%（已完成 9/20，逾期 2）\n- 即将到期里程碑：灰度发布（2024-06-17）');
+
+    const empty = meetingBriefService.buildFacts(buildMeeting(), { sharedTasks: [], previousMeeting: null, documents: [], project: null });
+    expect(empty).toBe('## 会议议程\n\n无\n\n## 参会人共同的未完成任务\n\n无\n\n## 上次会议行动项\n\n无\n\n## 相关文档\n\n无');
+  });
+
+  it('should fall back to the fact sheet when AI is unavailable and notify attendees', async () => {
+    const meeting = buildMeeting();
+    jest.spyOn(meetingBriefService, 'collectContext').mockResolvedValue({
+      sharedTasks: [], previousMeeting: null, documents: [], project: null
+    });
+    jest.spyOn(aiService, 'generateMeetingBrief').mockResolvedValue(null);
+    jest.spyOn(meeting, 'save').mockResolvedValue(meeting);
+    const createNotification = jest.spyOn(NotificationService, 'createNotification').mockResolvedValue({});
+
+    const now = new Date(2024, 5, 10, 9);
+    expect(await meetingBriefService.send(meeting, now)).toBe(2);
+
+    expect(meeting.brief.content.startsWith('# 会前简报：迭代评审会\n\n会议时间：2024-06-10 10:00\n\n## 会议议程')).toBe(true);
+    expect(meeting.brief).toMatchObject({ source: 'template', generatedAt: now });
+    expect(createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ userId: organizer._id.toString(), type: 'meeting_reminder' }),
+      expect.objectContaining({ priority: 'high', relatedData: { meetingId: meeting._id } })
+    );
+    expect(createNotification.mock.calls.map(([data]) => data.userId)).not.toContain(declined._id.toString());
+  });
+
+  it('should send only due briefs and release the claim when sending fails', async () => {
+    const now = new Date(2024, 5, 10, 9);
+    const due = { _id: 'meeting-1', startTime: new Date(2024, 5, 10, 9, 30), brief: {} };
+    const later = { _id: 'meeting-2', startTime: new Date(2024, 5, 10, 15), brief: {} };
+    const failing = { _id: 'meeting-3', startTime: new Date(2024, 5, 10, 9, 10), brief: { leadMinutes: 15 } };
+    const taken = { _id: 'meeting-4', startTime: new Date(2024, 5, 10, 9, 45), brief: {} };
+
+    jest.spyOn(Meeting, 'find').mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve([due, later, failing, taken]) })
+    });
+    const updateOne = jest.spyOn(Meeting, 'updateOne').mockImplementation(filter =>
+      Promise.resolve({ modifiedCount: filter._id === 'meeting-4' ? 0 : 1 })
+    );
+    jest.spyOn(meetingBriefService, 'findMeeting').mockImplementation(id => Promise.resolve({ _id: id }));
+    const send = jest.spyOn(meetingBriefService, 'send').mockImplementation(meeting =>
+      (meeting._id === 'meeting-3' ? Promise.reject(new Error('AI超时')) : Promise.resolve(2))
+    );
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await meetingBriefService.runScheduledBriefs(now)).toBe(1);
+
+    expect(send.mock.calls.map(([meeting]) => meeting._id)).toEqual(['meeting-1', 'meeting-3']);
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: 'meeting-1', 'brief.sentAt': { $exists: false } },
+      { $set: { 'brief.sentAt': now } }
+    );
+    expect(updateOne).toHaveBeenCalledWith({ _id: 'meeting-3' }, { $unset: { 'brief.sentAt': '' } });
+    expect(updateOne.mock.calls.map(([filter]) => filter._id)).not.toContain('meeting-2');
+  });
+});
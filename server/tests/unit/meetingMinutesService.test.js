@@ -0,0 +1,135 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const Meeting = require('../../models/Meeting');
+const User = require('../../models/User');
+const EmailService = require('../../services/emailService');
+const meetingMinutesService = require('../../services/meetingMinutesService');
+const { wrapText } = require('../../utils/documentExport');
+
+describe('Meeting Minutes Service', () => {
+  const originalEnv = { ...process.env };
+  const organizer = new User({ username: 'zhangsan', email: 'zhangsan@example.com', profile: { lastName: '张', firstName: '三' } });
+  const participant = new User({ username: 'lisi', email: 'lisi@example.com' });
+
+  const buildMeeting = () => {
+    const meeting = new Meeting({
+      title: '迭代评审会',
+      organizer: organizer._id,
+      startTime: new Date(2024, 5, 10, 10),
+      endTime: new Date(2024, 5, 10, 11, 30),
+      location: '3号会议室',
+      participants: [{ user: participant._id }],
+      aiAnalysis: {
+        summary: '评审了登录模块',
+        keyPoints: ['灰度发布方案'],
+        decisions: [{ decision: '下周一灰度发布', decidedBy: '张三' }],
+        actionItems: [
+          { content: '补充接口文档', assignedTo: participant._id, dueDate: new Date(2024, 5, 14) },
+          { content: '整理评审纪要', assignedToName: '王五', completed: true }
+        ],
+        topics: [{ topic: '登录模块', timeSpent: 30 }]
+      }
+    });
+    // 模拟 findMeeting 填充后的用户
+    meeting.organizer = organizer;
+    meeting.participants[0].user = participant;
+    meeting.aiAnalysis.actionItems[0].assignedTo = participant;
+    return meeting;
+  };
+
+  beforeEach(() => {
+    delete process.env.COMPANY_NAME;
+    delete process.env.MEETING_MINUTES_TEMPLATE;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  it('should render formal minutes with the built-in template', async () => {
+    process.env.COMPANY_NAME = '星云科技';
+
+    const markdown = await meetingMinutesService.render(buildMeeting());
+    expect(markdown).toContain('# 星云科技会议纪要\n\n## 迭代评审会');
+    expect(markdown).toContain('- 会议时间：2024-06-10 10:00 - 11:30');
+    expect(markdown).toContain('- 组织者：张三\n- 参会人员：lisi');
+    expect(markdown).toContain('- 下周一灰度发布（决策人：张三）');
+    expect(markdown).toContain('- 补充接口文档（负责人：lisi，截止：2024-06-14）\n- 整理评审纪要（负责人：王五，已完成）');
+    expect(markdown).toContain('- 登录模块（约30分钟）');
+    expect(markdown).toContain('## 会议记录\n\n无');
+  });
+
+  it('should use the configured company template', async () => {
+    const templatePath = path.join(os.tmpdir(), `minutes-template-${Date.now()}.md`);
+    await fs.writeFile(templatePath, '# {{ title }}\n\n日期：{{date}}\n\n{{summary}}\n\n{{unknown}}\n');
+    process.env.MEETING_MINUTES_TEMPLATE = templatePath;
+
+    try {
+      expect(await meetingMinutesService.render(buildMeeting()))
+        .toBe('# 迭代评审会\n\n日期：2024-06-10\n\n评审了登录模块\n\n{{unknown}}\n');
+    } finally {
+      await fs.unlink(templatePath);
+    }
+
+    await expect(meetingMinutesService.render(buildMeeting())).rejects.toThrow(`会议纪要模板读取失败: ${templatePath}`);
+  });
+
+  it('should export minutes as Markdown, DOCX and PDF', async () => {
+    const meeting = buildMeeting();
+
+    const markdown = await meetingMinutesService.export(meeting, 'markdown');
+    expect(markdown).toMatchObject({ filename: 'meeting-minutes-2024-06-10.md', contentType: 'text/markdown; charset=utf-8' });
+
+    const docx = await meetingMinutesService.export(meeting, 'docx');
+    const document = await (await JSZip.loadAsync(docx.content)).file('word/document.xml').async('string');
+    expect(document).toContain('• 补充接口文档（负责人：lisi，截止：2024-06-14）');
+
+    const pdf = await meetingMinutesService.export(meeting, 'pdf');
+    const text = pdf.content.toString('ascii');
+    expect(pdf.filename).toBe('meeting-minutes-2024-06-10.pdf');
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text).toContain('/BaseFont /STSong-Light /Encoding /UniGB-UCS2-H');
+    // 标题"会议纪要"以 UCS-2 十六进制编码
+    expect(text).toContain('<4F1A8BAE7EAA8981>');
+
+    // xref 中的偏移指向各对象
+    const xrefOffset = parseInt(text.match(/startxref\n(\d+)/)[1], 10);
+    expect(text.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+    const firstOffset = parseInt(text.slice(xrefOffset).split('\n')[3], 10);
+    expect(text.slice(firstOffset, firstOffset + 7)).toBe('1 0 obj');
+  });
+
+  it('should wrap long lines by character width', () => {
+    expect(wrapText('会议纪要ABCD', 10, 40)).toEqual(['会议纪要', 'ABCD']);
+    expect(wrapText('', 10, 40)).toEqual([]);
+  });
+
+  it('should email minutes to every participant and record the delivery', async () => {
+    const meeting = buildMeeting();
+    meeting.participants.push({ user: organizer });
+    jest.spyOn(meeting, 'save').mockResolvedValue(meeting);
+    const sendBulk = jest.spyOn(EmailService, 'sendBulkNotification').mockResolvedValue([
+      { email: 'zhangsan@example.com', success: true },
+      { email: 'lisi@example.com', success: false, error: '邮箱不存在' }
+    ]);
+
+    const { results } = await meetingMinutesService.sendToParticipants(meeting, organizer._id, 'pdf');
+
+    expect(sendBulk).toHaveBeenCalledWith(
+      ['zhangsan@example.com', 'lisi@example.com'],
+      '会议纪要：迭代评审会',
+      expect.stringContaining('## 会议摘要'),
+      { type: 'meeting_minutes', attachments: [expect.objectContaining({ filename: 'meeting-minutes-2024-06-10.pdf' })] }
+    );
+    expect(results).toHaveLength(2);
+    expect(meeting.minutes.deliveries[0]).toMatchObject({ recipients: ['zhangsan@example.com'], format: 'pdf' });
+
+    const empty = buildMeeting();
+    empty.organizer = new User({ username: 'nobody' });
+    empty.participants = [];
+    expect(await meetingMinutesService.sendToParticipants(empty, organizer._id)).toEqual({ error: '没有可发送的参会人邮箱' });
+  });
+});
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const Meeting = require('../../models/Meeting');
+const Task = require('../../models/Task');
+const meetingTaskService = require('../../services/meetingTaskService');
+const taskWatcherService = require('../../services/taskWatcherService');
+const taskDependencyService = require('../../services/taskDependencyService');
+const recurringTaskService = require('../../services/recurringTaskService');
+const timeTrackingService = require('../../services/timeTrackingService');
+
+describe('Meeting Task Service', () => {
+  const organizerId = new mongoose.Types.ObjectId();
+  const assigneeId = new mongoose.Types.ObjectId();
+  const projectId = new mongoose.Types.ObjectId();
+
+  const buildMeeting = () => new Meeting({
+    title: '迭代评审会',
+    organizer: organizerId,
+    startTime: new Date(2024, 5, 10, 10),
+    endTime: new Date(2024, 5, 10, 11),
+    project: { name: '登录改版', id: projectId },
+    aiAnalysis: {
+      actionItems: [
+        { content: '周五前补充接口文档', assignedTo: assigneeId, priority: 'high', dueDate: new Date(2024, 5, 14), sourceTime: 3725 },
+        { content: '整理评审纪要', completed: true, completedAt: new Date(2024, 5, 10, 12) },
+        { content: '   ' }
+      ]
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should allow only the organizer or the assignee to manage an action item', () => {
+    const meeting = buildMeeting();
+    const [assigned, unassigned] = meeting.aiAnalysis.actionItems;
+
+    expect(meetingTaskService.canManageActionItem(meeting, assigned, assigneeId)).toBe(true);
+    expect(meetingTaskService.canManageActionItem(meeting, unassigned, organizerId.toString())).toBe(true);
+    expect(meetingTaskService.canManageActionItem(meeting, unassigned, assigneeId)).toBe(false);
+  });
+
+  it('should build tasks that carry the action item details and meeting origin', () => {
+    const meeting = buildMeeting();
+    const [assigned, done] = meeting.aiAnalysis.actionItems;
+
+    const taskData = meetingTaskService.buildTaskData(meeting, assigned, organizerId);
+    expect(taskData).toMatchObject({
+      title: '周五前补充接口文档',
+      description: '来自会议「迭代评审会」的行动项（录音 01:02:05）',
+      priority: 'high',
+      category: 'meeting',
+      assignedTo: assigneeId.toString(),
+      dueDate: assigned.dueDate,
+      project: projectId.toString(),
+      metadata: {
+        createdVia: 'meeting',
+        sourceType: 'meeting_action_item',
+        sourceId: meeting._id.toString(),
+        sourceItemId: assigned._id.toString()
+      }
+    });
+    expect(taskData.status).toBeUndefined();
+    expect(new Task(taskData).validateSync()).toBeUndefined();
+
+    expect(meetingTaskService.buildTaskData(meeting, done, organizerId)).toMatchObject({
+      status: 'completed',
+      completedAt: done.completedAt
+    });
+  });
+
+  it('should create tasks for unconverted items and notify assignees', async () => {
+    const meeting = buildMeeting();
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    const saveMeeting = jest.spyOn(meeting, 'save').mockResolvedValue(meeting);
+    const notifyCreated = jest.spyOn(taskWatcherService, 'notifyCreated').mockResolvedValue();
+
+    const [assigned, done] = meeting.aiAnalysis.actionItems;
+    const tasks = await meetingTaskService.createTasks(meeting, organizerId, [assigned._id.toString()]);
+
+    expect(tasks).toHaveLength(1);
+    expect(assigned.task).toEqual(tasks[0]._id);
+    expect(done.task).toBeUndefined();
+    expect(tasks[0].activityLog[0]).toMatchObject({ action: 'created', details: '由会议「迭代评审会」的行动项创建' });
+    expect(saveMeeting).toHaveBeenCalledTimes(1);
+    expect(notifyCreated).toHaveBeenCalledWith(tasks[0], organizerId);
+
+    // 已转换和内容为空的行动项不会重复创建
+    const remaining = await meetingTaskService.createTasks(meeting, organizerId);
+    expect(remaining.map(task => task.title)).toEqual(['整理评审纪要']);
+    expect(remaining[0].status).toBe('completed');
+  });
+
+  it('should keep task links when reanalysis finds the same action items', () => {
+    const meeting = buildMeeting();
+    const [assigned] = meeting.aiAnalysis.actionItems;
+    assigned.task = new mongoose.Types.ObjectId();
+    assigned.completed = true;
+
+    const [kept, added] = meetingTaskService.carryOverTasks(meeting.aiAnalysis.actionItems, [
+      { content: ' 周五前补充接口文档 ', priority: 'medium' },
+      { content: '安排灰度发布' }
+    ]);
+
+    expect(kept).toMatchObject({ _id: assigned._id, task: assigned.task, completed: true, priority: 'medium' });
+    expect(added).toEqual({ content: '安排灰度发布' });
+  });
+
+  it('should complete and reopen the linked task through the completion flow', async () => {
+    const task = new Task({
+      title: '周五前补充接口文档',
+      createdBy: organizerId,
+      assignedTo: assigneeId,
+      progress: 40,
+      metadata: { createdVia: 'meeting', sourceType: 'meeting_action_item', sourceId: 'meeting-1', sourceItemId: 'item-1' }
+    });
+    jest.spyOn(Task, 'findById').mockResolvedValue(task);
+    jest.spyOn(task, 'save').mockImplementation(function() {
+      if (this.status === 'completed') this.progress = 100;
+      return Promise.resolve(this);
+    });
+    const createNextOccurrence = jest.spyOn(recurringTaskService, 'createNextOccurrence').mockResolvedValue(null);
+    const stopAllForTask = jest.spyOn(timeTrackingService, 'stopAllForTask').mockResolvedValue(null);
+    const notifyChanges = jest.spyOn(taskWatcherService, 'notifyChanges').mockResolvedValue();
+    const updateOne = jest.spyOn(Meeting, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const item = { task: task._id, completed: true, completedAt: new Date(2024, 5, 12) };
+    expect(await meetingTaskService.syncTaskFromActionItem(item, assigneeId)).toEqual({ task });
+
+    expect(task.status).toBe('completed');
+    expect(task.completedAt).toEqual(item.completedAt);
+    expect(createNextOccurrence).toHaveBeenCalledWith(task);
+    expect(stopAllForTask).toHaveBeenCalledWith(task._id);
+    expect(task.activityLog[0].changes.map(change => change.field)).toEqual(expect.arrayContaining(['status', 'progress']));
+    expect(notifyChanges).toHaveBeenCalledTimes(1);
+
+    await meetingTaskService.syncTaskFromActionItem({ task: task._id, completed: false }, assigneeId);
+    expect(task.status).toBe('pending');
+    expect(task.progress).toBe(0);
+    expect(task.completedAt).toBeUndefined();
+
+    // 状态来自行动项，不再回写会议
+    expect(updateOne).not.toHaveBeenCalled();
+
+    // 状态已一致时不再保存
+    task.save.mockClear();
+    await meetingTaskService.syncTaskFromActionItem({ task: task._id, completed: false }, assigneeId);
+    expect(task.save).not.toHaveBeenCalled();
+  });
+
+  it('should reject action item changes the task cannot follow', async () => {
+    const prerequisite = { _id: new mongoose.Types.ObjectId(), title: '确认接口字段', status: 'pending' };
+    const blocked = new Task({ title: '周五前补充接口文档', createdBy: organizerId, dependencies: [prerequisite._id] });
+    const done = new Task({
+      title: '整理评审纪要',
+      createdBy: organizerId,
+      status: 'completed',
+      progress: 100,
+      subtasks: [{ title: '汇总意见', completed: true }]
+    });
+    jest.spyOn(Task, 'findById').mockImplementation(id => Promise.resolve(id === blocked._id ? blocked : done));
+    jest.spyOn(blocked, 'save');
+    jest.spyOn(done, 'save');
+    jest.spyOn(taskDependencyService, 'getOpenDependencies').mockResolvedValue([prerequisite]);
+
+    expect(await meetingTaskService.syncTaskFromActionItem({ task: blocked._id, completed: true }, assigneeId)).toEqual({
+      task: blocked,
+      error: '存在1个未完成的前置任务，无法变更任务状态',
+      blockingTasks: [prerequisite]
+    });
+    expect(blocked.save).not.toHaveBeenCalled();
+
+    // 子任务已全部完成的任务取消完成后会被自动标记回已完成，直接拒绝
+    expect(await meetingTaskService.syncTaskFromActionItem({ task: done._id, completed: false }, assigneeId)).toEqual({
+      task: done,
+      error: '子任务已全部完成，请先取消完成子任务',
+      blockingTasks: undefined
+    });
+    expect(done.save).not.toHaveBeenCalled();
+  });
+});
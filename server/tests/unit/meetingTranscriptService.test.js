@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Meeting = require('../../models/Meeting');
+const meetingTranscriptService = require('../../services/meetingTranscriptService');
+
+describe('Meeting Transcript Service', () => {
+  const organizerId = new mongoose.Types.ObjectId();
+  const participantId = new mongoose.Types.ObjectId();
+
+  const buildMeeting = () => new Meeting({
+    title: '迭代评审会',
+    organizer: organizerId,
+    startTime: new Date(2024, 5, 10, 10),
+    endTime: new Date(2024, 5, 10, 11),
+    participants: [{ user: participantId }],
+    transcription: {
+      rawText: '...',
+      segments: [
+        { speaker: 'SPEAKER_0', startTime: 0, endTime: 12.5, text: '大家好，今天评审登录模块。' },
+        { speaker: 'SPEAKER_1', startTime: 12.5, endTime: 30, text: '我们决定下周一发布登录模块的灰度版本。' },
+        { speaker: 'SPEAKER_0', startTime: 3725, endTime: 3740, text: '小王负责周五前补充接口文档。' }
+      ]
+    }
+  });
+
+  it('should format segment timestamps', () => {
+    expect(meetingTranscriptService.formatTimestamp(75.9)).toBe('01:15');
+    expect(meetingTranscriptService.formatTimestamp(3725)).toBe('01:02:05');
+  });
+
+  it('should validate speaker mappings against meeting participants', () => {
+    const meeting = buildMeeting();
+
+    const { speakers } = meetingTranscriptService.normalizeSpeakers([
+      { label: 'SPEAKER_0', user: participantId.toString() },
+      { label: 'SPEAKER_1', name: ' 外部顾问 ' },
+      { label: 'SPEAKER_1', name: '' }
+    ], meeting);
+    expect(speakers).toEqual([{ label: 'SPEAKER_0', user: participantId.toString(), name: undefined }]);
+
+    expect(meetingTranscriptService.normalizeSpeakers([{ label: 'SPEAKER_9', name: '张三' }], meeting).error)
+      .toBe('未知的发言人标签: SPEAKER_9');
+    expect(meetingTranscriptService.normalizeSpeakers(
+      [{ label: 'SPEAKER_0', user: new mongoose.Types.ObjectId().toString() }],
+      meeting
+    ).error).toBe('发言人只能对应到会议参与者');
+    expect(meetingTranscriptService.normalizeSpeakers('SPEAKER_0', meeting).error).toBe('发言人映射格式错误');
+  });
+
+  it('should resolve speaker names and build the prompt transcript', () => {
+    const meeting = buildMeeting();
+    meeting.transcription.speakers = [{ label: 'SPEAKER_1', name: '产品经理' }];
+
+    const segments = meetingTranscriptService.resolveSegments(meeting.transcription);
+    expect(segments.map(segment => segment.speakerName)).toEqual(['SPEAKER_0', '产品经理', 'SPEAKER_0']);
+    expect(segments[1]._id).toEqual(meeting.transcription.segments[1]._id);
+    expect(meetingTranscriptService.getSpeakerName('SPEAKER_0', [{ label: 'SPEAKER_0', user: { username: 'wang' } }]))
+      .toBe('wang');
+
+    expect(meetingTranscriptService.buildPromptTranscript(segments).split('\n')).toEqual([
+      '[#0 00:00 SPEAKER_0] 大家好，今天评审登录模块。',
+      '[#1 00:12 产品经理] 我们决定下周一发布登录模块的灰度版本。',
+      '[#2 01:02:05 SPEAKER_0] 小王负责周五前补充接口文档。'
+    ]);
+    expect(meetingTranscriptService.buildPromptTranscript([])).toBeNull();
+  });
+
+  it('should cite source segments by index or by text overlap', () => {
+    const segments = meetingTranscriptService.resolveSegments(buildMeeting().transcription);
+
+    const [byIndex, byText, unmatched] = meetingTranscriptService.citeSegments([
+      { content: '发布灰度版本', segmentIndex: 1 },
+      { content: '周五前补充接口文档' },
+      { content: '安排团建活动' }
+    ], segments, 'content');
+
+    expect(byIndex).toEqual({ content: '发布灰度版本', sourceSegment: segments[1]._id, sourceTime: 12.5 });
+    expect(byText).toMatchObject({ sourceSegment: segments[2]._id, sourceTime: 3725 });
+    expect(unmatched).toEqual({ content: '安排团建活动' });
+
+    const [decision] = meetingTranscriptService.citeSegments(
+      [{ decision: '下周一发布灰度版本', segmentIndex: 99 }],
+      segments,
+      'decision'
+    );
+    expect(decision.sourceSegment).toEqual(segments[1]._id);
+  });
+});
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Objective = require('../../models/Objective');
+const KeyResult = require('../../models/KeyResult');
+const Task = require('../../models/Task');
+const Project = require('../../models/Project');
+const aiService = require('../../services/aiService');
+const okrService = require('../../services/okrService');
+
+describe('OKR Service', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+
+  const buildKeyResult = fields => new KeyResult({
+    objective: new mongoose.Types.ObjectId(),
+    owner: ownerId,
+    title: '关键结果',
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should resolve quarters and their date ranges', () => {
+    expect(okrService.getQuarter(new Date(2024, 7, 15))).toBe('2024-Q3');
+    expect(okrService.getQuarterRange('2024-Q1')).toEqual({
+      start: new Date(2024, 0, 1),
+      end: new Date(2024, 2, 31, 23, 59, 59, 999)
+    });
+    expect(okrService.getQuarterRange('2024-Q5')).toBeNull();
+  });
+
+  it('should calculate metric progress in either direction', () => {
+    expect(okrService.calculateMetricProgress({ startValue: 100, targetValue: 200, currentValue: 150 })).toBe(50);
+    // 降低类指标：故障数从 20 降到 5
+    expect(okrService.calculateMetricProgress({ startValue: 20, targetValue: 5, currentValue: 8 })).toBe(80);
+    expect(okrService.calculateMetricProgress({ startValue: 0, targetValue: 10, currentValue: 15 })).toBe(100);
+    expect(okrService.calculateMetricProgress({ startValue: 0, targetValue: 0, currentValue: 0 })).toBe(100);
+  });
+
+  it('should roll up key result progress from linked tasks', async () => {
+    const tasks = [
+      { _id: new mongoose.Types.ObjectId(), status: 'completed', estimatedHours: 4 },
+      { _id: new mongoose.Types.ObjectId(), status: 'in_progress', progress: 50, estimatedHours: 4 },
+      { _id: new mongoose.Types.ObjectId(), status: 'cancelled', estimatedHours: 10 }
+    ];
+    jest.spyOn(Task, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(tasks) });
+
+    const keyResult = buildKeyResult({ progressSource: 'tasks', tasks: tasks.map(task => task._id) });
+    await okrService.refreshKeyResults([keyResult], { save: false });
+
+    expect(keyResult.progress).toBe(75);
+    expect(keyResult.currentValue).toBe(1);
+    expect(keyResult.targetValue).toBe(2);
+  });
+
+  it('should limit objectives to owners, key result owners and project members', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const objectiveId = new mongoose.Types.ObjectId();
+    const projectId = new mongoose.Types.ObjectId();
+    const keyResultOwners = jest.spyOn(KeyResult, 'distinct').mockResolvedValue([objectiveId]);
+    const projects = jest.spyOn(Project, 'distinct').mockResolvedValue([projectId]);
+
+    expect(await okrService.buildAccessQuery({ _id: userId, role: 'user' })).toEqual({
+      $or: [
+        { owner: userId },
+        { _id: { $in: [objectiveId] } },
+        { project: { $in: [projectId] } }
+      ]
+    });
+    expect(keyResultOwners).toHaveBeenCalledWith('objective', { owner: userId });
+    expect(projects).toHaveBeenCalledWith('_id', { $or: [{ owner: userId }, { 'members.user': userId }] });
+
+    expect(await okrService.buildAccessQuery({ _id: userId, role: 'admin' })).toEqual({});
+  });
+
+  it('should only list linked tasks the user can read', () => {
+    const viewerId = new mongoose.Types.ObjectId();
+    const readable = new Task({ title: '上线客服机器人', status: 'completed', createdBy: ownerId, watchers: [viewerId] });
+    const hidden = new Task({ title: '人员优化方案', status: 'in_progress', createdBy: ownerId });
+    const keyResult = buildKeyResult({ progressSource: 'tasks', progress: 50, currentValue: 1, targetValue: 2 });
+    keyResult.tasks = [readable, hidden];
+
+    const visible = okrService.toVisibleKeyResult(keyResult, { _id: viewerId });
+
+    expect(visible.tasks).toEqual([{
+      _id: readable._id,
+      title: '上线客服机器人',
+      status: 'completed',
+      progress: readable.progress,
+      dueDate: undefined
+    }]);
+    expect(visible.hiddenTaskCount).toBe(1);
+    expect(visible).toMatchObject({ progress: 50, currentValue: 1, targetValue: 2 });
+    expect(okrService.toVisibleKeyResult(keyResult, { _id: ownerId }).tasks).toHaveLength(2);
+  });
+
+  it('should weight objective progress by key result weight', () => {
+    expect(okrService.calculateObjectiveProgress([
+      { progress: 100, weight: 3 },
+      { progress: 20, weight: 1 }
+    ])).toBe(80);
+    expect(okrService.calculateObjectiveProgress([])).toBe(0);
+  });
+
+  it('should record check-ins for metric and task key results', () => {
+    const metric = buildKeyResult({ startValue: 0, targetValue: 40, unit: '个' });
+    expect(okrService.recordCheckIn(metric, { note: '无数据' }, ownerId).error).toBe('请提供有效的当前值');
+
+    const { checkIn } = okrService.recordCheckIn(metric, { value: '10', confidence: 'at_risk', note: '签约放缓' }, ownerId);
+    expect(metric.progress).toBe(25);
+    expect(metric.confidence).toBe('at_risk');
+    expect(checkIn).toMatchObject({ value: 10, progress: 25, confidence: 'at_risk', note: '签约放缓' });
+
+    const taskBased = buildKeyResult({ progressSource: 'tasks', progress: 60 });
+    expect(okrService.recordCheckIn(taskBased, { note: '按计划推进' }, ownerId).checkIn)
+      .toMatchObject({ progress: 60, confidence: 'on_track' });
+    expect(okrService.recordCheckIn(taskBased, { confidence: 'unknown' }, ownerId).error)
+      .toBe('信心只能是 on_track、at_risk、off_track');
+  });
+
+  it('should fall back to a template quarterly review without AI', async () => {
+    const objective = new Objective({ title: '提升客户满意度', owner: ownerId, quarter: '2024-Q3', progress: 60 });
+    const keyResult = buildKeyResult({
+      objective: objective._id,
+      title: 'NPS 达到 50',
+      targetValue: 50,
+      currentValue: 30,
+      progress: 60,
+      confidence: 'at_risk',
+      checkIns: [{ value: 30, note: '新版客服上线' }]
+    });
+    jest.spyOn(Objective, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([objective]) });
+    jest.spyOn(okrService, 'refreshObjectives').mockResolvedValue(new Map([[objective._id.toString(), [keyResult]]]));
+    jest.spyOn(aiService, 'generateOkrReview').mockResolvedValue(null);
+
+    const { review } = await okrService.generateQuarterlyReview({ _id: ownerId }, '2024-Q3');
+
+    expect(review.generatedBy).toBe('template');
+    expect(review.stats).toEqual({
+      objectives: 1,
+      keyResults: 1,
+      averageProgress: 60,
+      achievedKeyResults: 0,
+      atRiskKeyResults: 1
+    });
+    expect(review.summary).toContain('NPS 达到 50：60%（30/50，有风险），最新进展：新版客服上线');
+    expect((await okrService.generateQuarterlyReview({ _id: ownerId }, '2024')).error).toBe('季度格式应为 YYYY-Qn');
+  });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Project = require('../../models/Project');
+const projectService = require('../../services/projectService');
+const timeTrackingService = require('../../services/timeTrackingService');
+
+describe('Project Service', () => {
+  const now = new Date(2024, 5, 10, 9);
+  const at = day => new Date(2024, 5, day, 18);
+  const ownerId = new mongoose.Types.ObjectId();
+  const managerId = new mongoose.Types.ObjectId();
+  const viewerId = new mongoose.Types.ObjectId();
+
+  const buildProject = () => new Project({
+    name: '新版官网',
+    owner: ownerId,
+    members: [
+      { user: managerId, role: 'manager' },
+      { user: viewerId, role: 'viewer' }
+    ],
+    milestones: [
+      { title: '设计评审', dueDate: at(5), status: 'completed' },
+      { title: '开发完成', dueDate: at(8) },
+      { title: '上线', dueDate: at(20) },
+      { title: '验收', dueDate: at(14) }
+    ]
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should resolve member roles', () => {
+    const project = buildProject();
+    expect(project.getMemberRole(ownerId)).toBe('owner');
+    expect(project.getMemberRole(managerId.toString())).toBe('manager');
+    expect(project.getMemberRole(new mongoose.Types.ObjectId())).toBeNull();
+    expect(projectService.canEdit('manager')).toBe(true);
+    expect(projectService.canEdit('member')).toBe(false);
+  });
+
+  it('should check access before linking items to a project', async () => {
+    const project = buildProject();
+    jest.spyOn(Project, 'findById').mockResolvedValue(project);
+
+    expect(await projectService.resolveProject(project._id, { _id: managerId, role: 'user' })).toEqual({ project });
+    expect((await projectService.resolveProject(project._id, { _id: viewerId, role: 'user' })).error)
+      .toBe('只读成员不能向项目添加内容');
+    expect((await projectService.resolveProject(project._id, { _id: new mongoose.Types.ObjectId(), role: 'user' })).error)
+      .toBe('无权访问此项目');
+    expect(await projectService.resolveProject('', { _id: managerId })).toEqual({ project: null });
+    expect(projectService.toReference(project)).toEqual({ id: project._id, name: '新版官网' });
+  });
+
+  it('should normalize members and drop the owner and duplicates', () => {
+    const memberId = new mongoose.Types.ObjectId().toString();
+    const { members } = projectService.normalizeMembers([
+      { user: memberId, role: 'viewer' },
+      memberId,
+      { user: ownerId.toString(), role: 'manager' }
+    ], ownerId);
+
+    expect(members).toEqual([{ user: memberId, role: 'member', joinedAt: undefined }]);
+    expect(projectService.normalizeMembers([{ user: memberId, role: 'owner' }], ownerId).error)
+      .toBe('成员角色只能是 manager、member、viewer');
+    expect(projectService.normalizeMembers('x', ownerId).error).toBe('成员列表格式错误');
+  });
+
+  it('should summarize task progress weighted by estimates', () => {
+    const summary = projectService.summarizeTasks([
+      { status: 'completed', estimatedHours: 6, actualHours: 8 },
+      { status: 'in_progress', progress: 50, estimatedHours: 2, dueDate: at(7) },
+      { status: 'pending', progress: 0 },
+      { status: 'cancelled', estimatedHours: 10 }
+    ], now);
+
+    // (100*6 + 50*2 + 0*1) / 9
+    expect(summary).toEqual({
+      total: 4,
+      byStatus: { completed: 1, in_progress: 1, pending: 1, cancelled: 1 },
+      completed: 1,
+      overdue: 1,
+      completionRate: 0.33,
+      progress: 78,
+      estimatedHours: 8,
+      actualHours: 8
+    });
+    expect(projectService.summarizeTasks([], now)).toMatchObject({ completionRate: null, progress: 0 });
+  });
+
+  it('should list overdue and upcoming milestones', () => {
+    const { total, completed, overdue, upcoming } = projectService.summarizeMilestones(buildProject().milestones, now);
+
+    expect({ total, completed }).toEqual({ total: 4, completed: 1 });
+    expect(overdue.map(milestone => milestone.title)).toEqual(['开发完成']);
+    expect(upcoming.map(milestone => [milestone.title, milestone.daysLeft])).toEqual([['验收', 5], ['上线', 11]]);
+  });
+
+  it('should collect open action items from project meetings', () => {
+    const items = projectService.collectOpenActionItems([
+      {
+        _id: 'm1',
+        title: '周会',
+        aiAnalysis: {
+          actionItems: [
+            { content: '补充需求', completed: false },
+            { content: '已完成', completed: true },
+            { content: '确认排期', completed: false, dueDate: at(12) }
+          ]
+        }
+      },
+      { _id: 'm2', title: '评审会', aiAnalysis: { actionItems: [{ content: '修改设计', dueDate: at(11) }] } }
+    ]);
+
+    expect(items.map(item => [item.content, item.meeting.title])).toEqual([
+      ['修改设计', '评审会'],
+      ['确认排期', '周会'],
+      ['补充需求', '周会']
+    ]);
+  });
+
+  it('should label timesheet rows with the linked project', () => {
+    expect(timeTrackingService.getProjectLabel({ project: { name: '新版官网' }, tags: ['web'] })).toBe('新版官网');
+    expect(timeTrackingService.getProjectLabel({ tags: ['web'] })).toBe('web');
+    expect(timeTrackingService.getProjectLabel({})).toBe('未分类');
+  });
+});
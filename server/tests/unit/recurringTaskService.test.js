@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const recurringTaskService = require('../../services/recurringTaskService');
+
+describe('Recurring Task Service', () => {
+  describe('getNextOccurrenceDate', () => {
+    const base = new Date(2024, 0, 31, 9, 0);
+
+    it('should advance by frequency and interval', () => {
+      expect(recurringTaskService.getNextOccurrenceDate(base, 'daily', 2)).toEqual(new Date(2024, 1, 2, 9, 0));
+      expect(recurringTaskService.getNextOccurrenceDate(base, 'weekly', 1)).toEqual(new Date(2024, 1, 7, 9, 0));
+      expect(recurringTaskService.getNextOccurrenceDate(base, 'yearly', 1)).toEqual(new Date(2025, 0, 31, 9, 0));
+    });
+
+    it('should clamp monthly occurrences to the end of shorter months', () => {
+      // 1月31日的下个月为2月29日（闰年），而不是3月2日
+      expect(recurringTaskService.getNextOccurrenceDate(base, 'monthly', 1)).toEqual(new Date(2024, 1, 29, 9, 0));
+      expect(recurringTaskService.getNextOccurrenceDate(base, 'monthly', 2)).toEqual(new Date(2024, 2, 31, 9, 0));
+    });
+
+    it('should return null for an unknown frequency', () => {
+      expect(recurringTaskService.getNextOccurrenceDate(base, 'hourly', 1)).toBeNull();
+    });
+  });
+
+  describe('buildOccurrence', () => {
+    it('should copy subtasks, tags and assignee and shift dates', () => {
+      const seriesId = new mongoose.Types.ObjectId();
+      const assignee = new mongoose.Types.ObjectId();
+      const task = {
+        _id: seriesId,
+        title: '周报',
+        createdBy: new mongoose.Types.ObjectId(),
+        assignedTo: assignee,
+        priority: 'high',
+        tags: ['report'],
+        startDate: new Date(2024, 5, 3, 9, 0),
+        dueDate: new Date(2024, 5, 7, 18, 0),
+        subtasks: [{ title: '汇总数据', completed: true, completedAt: new Date() }],
+        recurring: {
+          isRecurring: true,
+          frequency: 'weekly',
+          interval: 1,
+          seriesId,
+          occurrenceDate: new Date(2024, 5, 7, 18, 0)
+        }
+      };
+
+      const next = new Date(2024, 5, 14, 18, 0);
+      const occurrence = recurringTaskService.buildOccurrence(task, next);
+
+      expect(occurrence.assignedTo).toBe(assignee);
+      expect(occurrence.tags).toEqual(['report']);
+      expect(occurrence.subtasks).toEqual([{ title: '汇总数据', completed: false }]);
+      expect(occurrence.startDate).toEqual(new Date(2024, 5, 10, 9, 0));
+      expect(occurrence.dueDate).toEqual(next);
+      expect(occurrence.recurring.seriesId).toBe(seriesId);
+      expect(occurrence.recurring.occurrenceDate).toBe(next);
+    });
+  });
+
+  describe('createNextOccurrence', () => {
+    const buildTask = (recurring = {}) => new Task({
+      title: '周报',
+      createdBy: new mongoose.Types.ObjectId(),
+      dueDate: new Date(2024, 5, 7, 18, 0),
+      recurring: { isRecurring: true, frequency: 'weekly', occurrenceDate: new Date(2024, 5, 7, 18, 0), ...recurring }
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should create the next occurrence in the same series', async () => {
+      const task = buildTask();
+      jest.spyOn(Task, 'findOne').mockResolvedValue(null);
+      const create = jest.spyOn(Task, 'create').mockImplementation(data => Promise.resolve(data));
+
+      const next = await recurringTaskService.createNextOccurrence(task);
+
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(next.recurring.seriesId).toBe(task._id);
+      expect(next.recurring.occurrenceDate).toEqual(new Date(2024, 5, 14, 18, 0));
+    });
+
+    it('should reuse an existing occurrence, including one created concurrently', async () => {
+      const task = buildTask();
+      const existing = { _id: new mongoose.Types.ObjectId() };
+      const findOne = jest.spyOn(Task, 'findOne').mockResolvedValueOnce(existing);
+      const create = jest.spyOn(Task, 'create');
+
+      expect(await recurringTaskService.createNextOccurrence(task)).toBe(existing);
+      expect(create).not.toHaveBeenCalled();
+
+      // 定时生成与完成任务并发时唯一索引冲突，返回已生成的实例
+      findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(existing);
+      create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+      expect(await recurringTaskService.createNextOccurrence(task)).toBe(existing);
+      expect(findOne).toHaveBeenLastCalledWith({
+        'recurring.seriesId': task._id,
+        'recurring.occurrenceDate': new Date(2024, 5, 14, 18, 0)
+      });
+    });
+
+    it('should stop after the end date or when recurrence is off', async () => {
+      const findOne = jest.spyOn(Task, 'findOne');
+
+      expect(await recurringTaskService.createNextOccurrence(buildTask({ endDate: new Date(2024, 5, 10) }))).toBeNull();
+      expect(await recurringTaskService.createNextOccurrence(buildTask({ isRecurring: false }))).toBeNull();
+      expect(findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('materializeUpcoming', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should fill each series up to the horizon from its latest occurrence', async () => {
+      const now = new Date(2024, 5, 1, 9, 0);
+      const daily = new Task({
+        title: '站会记录',
+        createdBy: new mongoose.Types.ObjectId(),
+        recurring: { isRecurring: true, frequency: 'daily', occurrenceDate: now }
+      });
+      const ended = new Task({
+        title: '月度复盘',
+        createdBy: new mongoose.Types.ObjectId(),
+        recurring: { isRecurring: true, frequency: 'daily', occurrenceDate: now, endDate: new Date(2024, 5, 3, 12, 0) }
+      });
+      const stopped = new Task({
+        title: '旧周报',
+        createdBy: new mongoose.Types.ObjectId(),
+        recurring: { isRecurring: false, frequency: 'weekly', occurrenceDate: now }
+      });
+      const latest = [daily, ended, stopped];
+
+      jest.spyOn(Task, 'aggregate').mockResolvedValue(latest.map(task => ({ _id: task._id, latestId: task._id })));
+      jest.spyOn(Task, 'findById').mockImplementation(id => Promise.resolve(latest.find(task => task._id === id)));
+      jest.spyOn(Task, 'findOne').mockResolvedValue(null);
+      const create = jest.spyOn(Task, 'create').mockImplementation(data => Promise.resolve(new Task(data)));
+
+      // 默认滚动窗口为14天
+      expect(await recurringTaskService.materializeUpcoming(now)).toBe(14 + 2);
+
+      const dates = create.mock.calls
+        .filter(([data]) => data.recurring.seriesId === daily._id)
+        .map(([data]) => data.recurring.occurrenceDate);
+      expect(dates[0]).toEqual(new Date(2024, 5, 2, 9, 0));
+      expect(dates[dates.length - 1]).toEqual(new Date(2024, 5, 15, 9, 0));
+    });
+
+    it('should keep generating from series values after a single occurrence was edited', async () => {
+      const now = new Date(2024, 5, 2, 9, 0);
+      const owner = new mongoose.Types.ObjectId();
+      const assignee = new mongoose.Types.ObjectId();
+      const first = new Task({
+        title: '站会记录',
+        createdBy: owner,
+        assignedTo: assignee,
+        dueDate: new Date(2024, 5, 1, 10, 0),
+        subtasks: [{ title: '整理阻塞问题', completed: true }],
+        recurring: { isRecurring: true, frequency: 'daily', occurrenceDate: new Date(2024, 5, 1, 9, 0) }
+      });
+      // 只修改了本次实例：改到下午并换了负责人
+      const edited = new Task({
+        title: '站会记录（改到下午）',
+        createdBy: owner,
+        assignedTo: new mongoose.Types.ObjectId(),
+        dueDate: new Date(2024, 5, 2, 15, 0),
+        recurring: {
+          isRecurring: true,
+          frequency: 'daily',
+          seriesId: first._id,
+          occurrenceDate: now,
+          isException: true
+        }
+      });
+
+      jest.spyOn(Task, 'aggregate').mockResolvedValue([{ _id: first._id, latestId: edited._id }]);
+      jest.spyOn(Task, 'findById').mockResolvedValue(edited);
+      const findOne = jest.spyOn(Task, 'findOne').mockImplementation(query => (
+        query['recurring.isException'] ? { sort: () => Promise.resolve(first) } : Promise.resolve(null)
+      ));
+      const create = jest.spyOn(Task, 'create').mockImplementation(data => Promise.resolve(new Task(data)));
+
+      expect(await recurringTaskService.materializeUpcoming(now)).toBe(14);
+
+      expect(findOne).toHaveBeenCalledWith({
+        'recurring.seriesId': first._id,
+        'recurring.isException': { $ne: true },
+        'recurring.occurrenceDate': { $lte: now }
+      });
+      const [data] = create.mock.calls[0];
+      expect(data.recurring.occurrenceDate).toEqual(new Date(2024, 5, 3, 9, 0));
+      expect(data.dueDate).toEqual(new Date(2024, 5, 3, 10, 0));
+      expect(data.assignedTo).toBe(assignee);
+      expect(data.subtasks).toEqual([{ title: '整理阻塞问题', completed: false }]);
+      expect(create.mock.calls.every(([occurrence]) => occurrence.title === '站会记录')).toBe(true);
+    });
+  });
+
+  describe('applyToFutureOccurrences', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const createdBy = new mongoose.Types.ObjectId();
+
+    // 按发生时间排序返回实例，保存时模拟 (seriesId, occurrenceDate) 唯一索引
+    const mockSeries = (task, futures) => {
+      const series = [task, ...futures];
+      const sort = jest.fn(spec => Promise.resolve(
+        [...futures].sort((a, b) => (a.recurring.occurrenceDate - b.recurring.occurrenceDate) * spec['recurring.occurrenceDate'])
+      ));
+      jest.spyOn(Task, 'find').mockReturnValue({ sort });
+      jest.spyOn(Task, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+      series.forEach(doc => {
+        jest.spyOn(doc, 'save').mockImplementation(function() {
+          const taken = series.some(other =>
+            other !== this && other.recurring.occurrenceDate.getTime() === this.recurring.occurrenceDate.getTime()
+          );
+          return taken
+            ? Promise.reject(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))
+            : Promise.resolve(this);
+        });
+      });
+      return sort;
+    };
+
+    const buildSeries = () => {
+      const first = new Date(2024, 5, 3, 18, 0);
+      const task = new Task({
+        title: '周报',
+        createdBy,
+        dueDate: first,
+        recurring: { isRecurring: true, frequency: 'weekly', occurrenceDate: first }
+      });
+      const futures = [2, 1, 3].map(week => {
+        const date = new Date(first.getTime() + week * 7 * DAY_MS);
+        return new Task({
+          title: '周报',
+          createdBy,
+          dueDate: date,
+          recurring: { isRecurring: true, frequency: 'weekly', seriesId: task._id, occurrenceDate: date }
+        });
+      });
+      return { task, futures };
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should shift later occurrences first when moving the series forward', async () => {
+      const { task, futures } = buildSeries();
+      const sort = mockSeries(task, futures);
+      const originals = [task, ...futures].map(doc => doc.recurring.occurrenceDate.getTime());
+
+      const count = await recurringTaskService.applyToFutureOccurrences(task, { priority: 'high' }, {
+        dueDateShift: 7 * DAY_MS,
+        userId: createdBy
+      });
+
+      expect(count).toBe(3);
+      expect(sort).toHaveBeenCalledWith({ 'recurring.occurrenceDate': -1 });
+      [task, ...futures].forEach((doc, index) => {
+        expect(doc.recurring.occurrenceDate.getTime()).toBe(originals[index] + 7 * DAY_MS);
+      });
+      futures.forEach(future => {
+        expect(future.priority).toBe('high');
+        expect(future.activityLog[future.activityLog.length - 1].details).toBe('随重复系列同步更新');
+      });
+    });
+
+    it('should shift earlier occurrences first when moving the series back', async () => {
+      const { task, futures } = buildSeries();
+      const sort = mockSeries(task, futures);
+      const originals = [task, ...futures].map(doc => doc.recurring.occurrenceDate.getTime());
+
+      await recurringTaskService.applyToFutureOccurrences(task, {}, {
+        dueDateShift: -7 * DAY_MS,
+        userId: createdBy
+      });
+
+      expect(sort).toHaveBeenCalledWith({ 'recurring.occurrenceDate': 1 });
+      [task, ...futures].forEach((doc, index) => {
+        expect(doc.recurring.occurrenceDate.getTime()).toBe(originals[index] - 7 * DAY_MS);
+      });
+    });
+  });
+});
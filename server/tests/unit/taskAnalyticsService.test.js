@@ -0,0 +1,76 @@
+const Task = require('../../models/Task');
+const taskAnalyticsService = require('../../services/taskAnalyticsService');
+const capacityService = require('../../services/capacityService');
+
+describe('Task Analytics Service', () => {
+  // 2024-06-03 和 2024-06-10 为周一
+  const at = (day, hour = 0) => new Date(2024, 5, day, hour);
+  const weeks = capacityService.buildWeeks(at(3), 2);
+
+  const tasks = [
+    { category: 'work', estimatedHours: 4, actualHours: 6, startDate: at(3, 9), dueDate: at(5, 18), completedAt: at(4, 9) },
+    { category: 'work', estimatedHours: 6, actualHours: 9, startDate: at(4, 9), dueDate: at(5, 18), completedAt: at(7, 9) },
+    { category: 'meeting', estimatedHours: 2, actualHours: 1, createdAt: at(10, 9), dueDate: at(10, 12), completedAt: at(11, 9) },
+    { category: 'work', startDate: at(10, 9), completedAt: at(14, 9) }
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should validate the range and align it to weeks', () => {
+    const { weeks: range } = taskAnalyticsService.parseRange({ weeks: 2 }, at(13, 10));
+    expect(range).toEqual(weeks);
+    expect(taskAnalyticsService.parseRange({ weeks: 53 }).error).toBe('统计周数必须在1到52之间');
+  });
+
+  it('should compute throughput, cycle time, on-time rate and estimate ratio', () => {
+    const { summary, weekly, estimateByCategory } = taskAnalyticsService.computeAnalytics(tasks, weeks);
+
+    expect(summary).toMatchObject({
+      completed: 4,
+      cycleTime: { sampleSize: 4, averageDays: 2.3, medianDays: 2 },
+      onTime: { sampleSize: 3, onTime: 1, rate: 0.33 },
+      estimate: { tasks: 3, estimatedHours: 12, actualHours: 16, ratio: 1.33 }
+    });
+    expect(weekly.map(week => week.completed)).toEqual([2, 2]);
+    expect(weekly[0]).toMatchObject({ completedHours: 15, medianCycleDays: 2, onTimeRate: 0.5, estimateRatio: 1.5 });
+    expect(estimateByCategory).toEqual([
+      { category: 'work', tasks: 2, estimatedHours: 10, actualHours: 15, ratio: 1.5 },
+      { category: 'meeting', tasks: 1, estimatedHours: 2, actualHours: 1, ratio: 0.5 }
+    ]);
+  });
+
+  it('should detect trend direction', () => {
+    expect(taskAnalyticsService.linearTrend([1, 2, 3, 4])).toEqual({ slope: 1, direction: 'up' });
+    expect(taskAnalyticsService.linearTrend([5, null, 5, 5])).toEqual({ slope: 0, direction: 'flat' });
+    expect(taskAnalyticsService.linearTrend([0.9, 0.6]).direction).toBe('down');
+    expect(taskAnalyticsService.linearTrend([3, null])).toBeNull();
+  });
+
+  describe('getEstimateBias', () => {
+    const mockCompleted = samples => jest.spyOn(Task, 'find').mockReturnValue({
+      select: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue(samples)
+    });
+
+    it('should prefer the same category and clamp the ratio', async () => {
+      mockCompleted([
+        ...Array.from({ length: 5 }, () => ({ category: 'project', estimatedHours: 1, actualHours: 5 })),
+        ...Array.from({ length: 3 }, () => ({ category: 'work', estimatedHours: 10, actualHours: 12 }))
+      ]);
+
+      expect(await taskAnalyticsService.getEstimateBias('u1', 'project'))
+        .toEqual({ ratio: 3, sampleSize: 5, category: 'project' });
+      expect(await taskAnalyticsService.getEstimateBias('u1', 'work'))
+        .toEqual({ ratio: 1.74, sampleSize: 8, category: null });
+    });
+
+    it('should skip calibration without enough history', async () => {
+      mockCompleted([{ category: 'work', estimatedHours: 2, actualHours: 3 }]);
+
+      expect(await taskAnalyticsService.getEstimateBias('u1', 'work')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const taskDependencyService = require('../../services/taskDependencyService');
+const taskBoardService = require('../../services/taskBoardService');
+
+const mockQuery = result => ({ select: jest.fn().mockResolvedValue(result) });
+
+describe('Task Board Service', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  const buildTask = data => new Task({ title: '看板任务', createdBy: userId, ...data });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should order ranked tasks first, then unranked tasks by newest', () => {
+    const older = buildTask({ title: '旧', createdAt: new Date(2024, 5, 1) });
+    const newer = buildTask({ title: '新', createdAt: new Date(2024, 5, 2) });
+    const ranked = buildTask({ title: '已排序', boardRank: 2048 });
+    const top = buildTask({ title: '置顶', boardRank: 1024 });
+
+    expect([older, ranked, newer, top].sort((a, b) => taskBoardService.compareByRank(a, b)).map(task => task.title))
+      .toEqual(['置顶', '已排序', '新', '旧']);
+  });
+
+  it('should build assignee columns with the current user first and unassigned last', () => {
+    const colleague = { _id: new mongoose.Types.ObjectId(), username: 'lisi', profile: { lastName: '李', firstName: '四' } };
+    const user = { _id: userId, username: 'zhangsan', profile: {} };
+
+    const columns = taskBoardService.getColumnDefinitions('assignedTo', [{ assignedTo: colleague }], user);
+
+    expect(columns).toEqual([
+      { key: userId.toString(), label: 'zhangsan' },
+      { key: colleague._id.toString(), label: '李四' },
+      { key: 'none', label: '未分配' }
+    ]);
+  });
+
+  describe('computeRank', () => {
+    it('should place a task between, before or after its neighbours', async () => {
+      const column = [buildTask({ boardRank: 1024 }), buildTask({ boardRank: 2048 }), buildTask({ boardRank: 4096 })];
+      const [first, second, third] = column;
+
+      expect(await taskBoardService.computeRank(column, first._id, second._id)).toEqual({ rank: 1536 });
+      expect(await taskBoardService.computeRank(column, null, second._id)).toEqual({ rank: 1536 });
+      expect(await taskBoardService.computeRank(column, null, first._id)).toEqual({ rank: 0 });
+      expect(await taskBoardService.computeRank(column, third._id, null)).toEqual({ rank: 5120 });
+      expect(await taskBoardService.computeRank(column, null, null)).toEqual({ rank: 5120 });
+    });
+
+    it('should rebalance the column when a neighbour has no rank or ranks are too close', async () => {
+      const bulkWrite = jest.spyOn(Task, 'bulkWrite').mockResolvedValue({});
+      const column = [buildTask({ boardRank: 1 }), buildTask({ boardRank: 1 + 1e-9 }), buildTask()];
+
+      expect(await taskBoardService.computeRank(column, column[0]._id, column[1]._id)).toEqual({ rank: 1536 });
+      expect(bulkWrite).toHaveBeenCalledTimes(1);
+      expect(column.map(task => task.boardRank)).toEqual([1024, 2048, 3072]);
+    });
+
+    it('should reject neighbours outside the target column', async () => {
+      expect(await taskBoardService.computeRank([], new mongoose.Types.ObjectId(), null))
+        .toEqual({ error: '相邻任务不在目标列中' });
+    });
+  });
+
+  describe('planMove', () => {
+    it('should reject unknown columns and unresolved dependencies', async () => {
+      const task = buildTask({ status: 'pending' });
+      jest.spyOn(taskDependencyService, 'getOpenDependencies').mockResolvedValue([{ title: '前置' }]);
+
+      expect((await taskBoardService.planMove(userId, task, { to: 'cancelled' })).error).toBe('目标列无效');
+      expect(await taskBoardService.planMove(userId, task, { to: 'in_progress' })).toMatchObject({
+        error: '存在1个未完成的前置任务，无法变更任务状态',
+        data: { blockingTasks: [{ title: '前置' }] }
+      });
+    });
+
+    it('should map the unassigned column to an empty assignee and place the task at the end', async () => {
+      const task = buildTask({ assignedTo: userId });
+      jest.spyOn(taskBoardService, 'getColumnTasks').mockResolvedValue([task, buildTask({ boardRank: 1024 })]);
+
+      expect(await taskBoardService.planMove(userId, task, { groupBy: 'assignedTo', to: 'none' }))
+        .toEqual({ field: 'assignedTo', value: undefined, rank: 2048 });
+    });
+  });
+
+  describe('wip limits', () => {
+    it('should warn when the target column exceeds its limit', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue(mockQuery({
+        settings: { taskBoard: { wipLimits: { status: new Map([['in_progress', 3]]) } } }
+      }));
+      jest.spyOn(Task, 'countDocuments').mockResolvedValue(4);
+
+      expect(await taskBoardService.getWipWarning(userId, 'status', 'in_progress'))
+        .toBe('该列已有4个任务，超过在制品上限3个');
+      expect(await taskBoardService.getWipWarning(userId, 'status', 'pending')).toBeNull();
+    });
+
+    it('should merge limits and clear empty values', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue(mockQuery({
+        settings: { taskBoard: { wipLimits: { status: new Map([['in_progress', 3], ['on_hold', 2]]) } } }
+      }));
+      const update = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      const result = await taskBoardService.updateWipLimits(userId, 'status', { in_progress: 5, on_hold: null });
+
+      expect(result).toEqual({ wipLimits: { in_progress: 5 } });
+      expect(update.mock.calls[0][1]).toEqual({ $set: { 'settings.taskBoard.wipLimits.status': { in_progress: 5 } } });
+      expect((await taskBoardService.updateWipLimits(userId, 'status', { pending: 1.5 })).error)
+        .toBe('在制品上限必须是正整数');
+    });
+  });
+});
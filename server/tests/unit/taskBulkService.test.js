@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const taskBulkService = require('../../services/taskBulkService');
+const taskDependencyService = require('../../services/taskDependencyService');
+
+describe('Task Bulk Service', () => {
+  const owner = new mongoose.Types.ObjectId();
+  const assignee = new mongoose.Types.ObjectId();
+
+  const buildTask = (data = {}) => new Task({
+    title: '迭代收尾',
+    createdBy: owner,
+    assignedTo: assignee,
+    tags: ['迭代12'],
+    dueDate: new Date(2024, 5, 10, 18),
+    ...data
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeChanges', () => {
+    it('should validate enum values and require at least one change', () => {
+      expect(taskBulkService.normalizeChanges({ status: 'done' }).error).toBe('无效的任务状态');
+      expect(taskBulkService.normalizeChanges({ priority: 'critical' }).error).toBe('无效的优先级');
+      expect(taskBulkService.normalizeChanges({ addTags: [' '] }).error).toBe('请提供要修改的内容');
+    });
+
+    it('should keep valid changes and treat empty assignee as unassign', () => {
+      const { changes } = taskBulkService.normalizeChanges({
+        status: 'completed',
+        assignedTo: '',
+        addTags: ['复盘', '复盘'],
+        dueDateShiftDays: '-2'
+      });
+
+      expect(changes).toEqual({
+        status: 'completed',
+        assignedTo: null,
+        addTags: ['复盘'],
+        dueDateShiftDays: -2
+      });
+    });
+  });
+
+  describe('buildFilterQuery', () => {
+    it('should scope filters to tasks the user created or is assigned to', () => {
+      const query = taskBulkService.buildFilterQuery('u1', { status: ['pending', 'in_progress'], assignedTo: 'me' });
+
+      expect(query.$and).toEqual([
+        { $or: [{ createdBy: 'u1' }, { assignedTo: 'u1' }] },
+        { status: { $in: ['pending', 'in_progress'] } },
+        { assignedTo: 'u1' }
+      ]);
+    });
+
+    it('should refuse an empty filter', () => {
+      expect(taskBulkService.buildFilterQuery('u1', {})).toBeNull();
+    });
+  });
+
+  describe('applyChanges', () => {
+    it('should merge tags and shift the due date', () => {
+      const task = buildTask();
+
+      taskBulkService.applyChanges(task, { addTags: ['复盘'], removeTags: ['迭代12'], dueDateShiftDays: 3 });
+
+      expect([...task.tags]).toEqual(['复盘']);
+      expect(task.dueDate).toEqual(new Date(2024, 5, 13, 18));
+    });
+  });
+
+  describe('canOperate', () => {
+    it('should allow deletes only for the creator', () => {
+      const task = buildTask();
+
+      expect(taskBulkService.canOperate(task, assignee.toString(), 'update')).toBe(true);
+      expect(taskBulkService.canOperate(task, assignee.toString(), 'delete')).toBe(false);
+      expect(taskBulkService.canOperate(task, owner.toString(), 'delete')).toBe(true);
+    });
+  });
+
+  describe('execute', () => {
+    it('should apply nothing in atomic mode when any task fails the precheck', async () => {
+      const allowed = buildTask();
+      const foreign = buildTask({ createdBy: new mongoose.Types.ObjectId(), assignedTo: undefined });
+      jest.spyOn(taskBulkService, 'findTargets').mockResolvedValue({ tasks: [allowed, foreign], missing: [], error: null });
+      const update = jest.spyOn(taskBulkService, 'updateOne');
+
+      const result = await taskBulkService.execute(owner.toString(), {
+        ids: [allowed._id, foreign._id],
+        action: 'update',
+        changes: { priority: 'high' }
+      });
+
+      expect(result.applied).toBe(false);
+      expect(result.summary).toMatchObject({ total: 2, failed: 1, skipped: 1 });
+      expect(result.results[0]).toMatchObject({ taskId: foreign._id.toString(), message: '无权限修改该任务' });
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('should report per-item results when not atomic', async () => {
+      const allowed = buildTask();
+      const foreign = buildTask({ createdBy: new mongoose.Types.ObjectId() });
+      jest.spyOn(taskBulkService, 'findTargets').mockResolvedValue({ tasks: [allowed, foreign], missing: ['abc'], error: null });
+      jest.spyOn(taskBulkService, 'deleteOne').mockImplementation(async task => ({ taskId: task._id.toString(), success: true }));
+
+      const result = await taskBulkService.execute(owner.toString(), {
+        ids: [allowed._id, foreign._id, 'abc'],
+        action: 'delete',
+        atomic: false
+      });
+
+      expect(result.applied).toBe(true);
+      expect(result.summary).toMatchObject({ total: 3, succeeded: 1, failed: 2, skipped: 0 });
+      expect(result.results.map(item => item.message)).toEqual(['任务不存在', '只有任务创建者可以删除任务', undefined]);
+    });
+
+    it('should only treat dependencies that will actually be completed in the batch as resolved', async () => {
+      const foreign = buildTask({ title: '他人的前置任务', createdBy: new mongoose.Types.ObjectId(), assignedTo: undefined });
+      const external = buildTask({ title: '批次外的前置任务' });
+      const stuck = buildTask({ title: '被阻塞的任务', dependencies: [external._id] });
+      const chained = buildTask({ title: '依赖被阻塞任务', dependencies: [stuck._id] });
+      const afterForeign = buildTask({ title: '依赖他人任务', dependencies: [foreign._id] });
+      const free = buildTask({ title: '无依赖任务' });
+      const dependent = buildTask({ title: '依赖同批任务', dependencies: [free._id] });
+      const tasks = [foreign, stuck, chained, afterForeign, free, dependent];
+
+      jest.spyOn(taskBulkService, 'findTargets').mockResolvedValue({ tasks, missing: [], error: null });
+      jest.spyOn(taskDependencyService, 'getOpenDependencies').mockImplementation(async task =>
+        [...tasks, external].filter(other => task.dependencies.some(id => id.equals(other._id))));
+      const update = jest.spyOn(taskBulkService, 'updateOne')
+        .mockImplementation(async task => ({ taskId: task._id.toString(), success: true }));
+
+      const result = await taskBulkService.execute(owner.toString(), {
+        ids: tasks.map(task => task._id),
+        action: 'update',
+        changes: { status: 'completed' },
+        atomic: false
+      });
+
+      expect(result.summary).toMatchObject({ total: 6, succeeded: 2, failed: 4 });
+      expect(update.mock.calls.map(([task]) => task.title)).toEqual(['无依赖任务', '依赖同批任务']);
+      const resolvedInBatch = update.mock.calls[0][3];
+      expect([...resolvedInBatch]).toEqual([free._id.toString(), dependent._id.toString()]);
+      expect(result.results.filter(item => !item.success).map(item => item.message)).toEqual([
+        '无权限修改该任务',
+        '存在1个未完成的前置任务',
+        '存在1个未完成的前置任务',
+        '存在1个未完成的前置任务'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,247 @@
+const mongoose = require('mongoose');
+const Meeting = require('../../models/Meeting');
+const Task = require('../../models/Task');
+const taskCompletionService = require('../../services/taskCompletionService');
+const taskDependencyService = require('../../services/taskDependencyService');
+const taskHistoryService = require('../../services/taskHistoryService');
+const taskWatcherService = require('../../services/taskWatcherService');
+const recurringTaskService = require('../../services/recurringTaskService');
+const timeTrackingService = require('../../services/timeTrackingService');
+const taskBoardService = require('../../services/taskBoardService');
+const taskBulkService = require('../../services/taskBulkService');
+const taskController = require('../../controllers/taskController');
+
+describe('Task Completion Service', () => {
+  const owner = new mongoose.Types.ObjectId();
+  const prerequisite = { _id: new mongoose.Types.ObjectId(), title: '接口设计', status: 'in_progress' };
+
+  const buildTask = (data = {}) => {
+    const task = new Task({
+      title: '联调登录接口',
+      createdBy: owner,
+      ...data
+    });
+    // 模拟保存钩子：进度为100%时自动完成，完成时进度补齐为100%
+    jest.spyOn(task, 'save').mockImplementation(function() {
+      if (this.progress === 100 && this.status !== 'completed') {
+        this.status = 'completed';
+        this.completedAt = new Date();
+      } else if (this.status === 'completed') {
+        this.progress = 100;
+      }
+      return Promise.resolve(this);
+    });
+    return task;
+  };
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  let createNextOccurrence;
+  let stopAllForTask;
+  let notifyChanges;
+
+  beforeEach(() => {
+    createNextOccurrence = jest.spyOn(recurringTaskService, 'createNextOccurrence').mockResolvedValue(null);
+    stopAllForTask = jest.spyOn(timeTrackingService, 'stopAllForTask').mockResolvedValue(null);
+    notifyChanges = jest.spyOn(taskWatcherService, 'notifyChanges').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('save', () => {
+    it('should gate on the status the task will have after progress is recalculated', async () => {
+      const task = buildTask({ dependencies: [prerequisite._id], subtasks: [{ title: '准备数据' }] });
+      const before = taskHistoryService.snapshot(task);
+      const getOpenDependencies = jest.spyOn(taskDependencyService, 'getOpenDependencies').mockResolvedValue([prerequisite]);
+
+      // 状态未变，但子任务全部完成后会被自动标记为已完成
+      task.subtasks[0].completed = true;
+      task.calculateProgress();
+
+      const result = await taskCompletionService.save(task, owner, { before });
+
+      expect(result).toEqual({ error: '存在1个未完成的前置任务，无法变更任务状态', blockingTasks: [prerequisite] });
+      expect(getOpenDependencies).toHaveBeenCalledWith(task, owner);
+      expect(task.save).not.toHaveBeenCalled();
+      expect(createNextOccurrence).not.toHaveBeenCalled();
+    });
+
+    it('should ignore prerequisites resolved in the same batch', async () => {
+      const task = buildTask({ dependencies: [prerequisite._id] });
+      const before = taskHistoryService.snapshot(task);
+      jest.spyOn(taskDependencyService, 'getOpenDependencies').mockResolvedValue([prerequisite]);
+      task.status = 'completed';
+
+      const result = await taskCompletionService.save(task, owner, {
+        before,
+        resolvedIds: new Set([prerequisite._id.toString()])
+      });
+
+      expect(result.error).toBeUndefined();
+      expect(task.save).toHaveBeenCalled();
+    });
+
+    it('should run completion side effects, record history and notify watchers', async () => {
+      const task = buildTask({ recurring: { isRecurring: true, frequency: 'weekly' } });
+      const before = taskHistoryService.snapshot(task);
+      const nextOccurrence = { _id: new mongoose.Types.ObjectId() };
+      createNextOccurrence.mockResolvedValue(nextOccurrence);
+      stopAllForTask.mockResolvedValue(2.5);
+      task.status = 'completed';
+
+      const result = await taskCompletionService.save(task, owner, {
+        before,
+        details: fields => `更新字段: ${fields.join(', ')}`,
+        notes: ['reminders: 1个自定义提醒']
+      });
+
+      expect(result.nextOccurrence).toBe(nextOccurrence);
+      expect(createNextOccurrence).toHaveBeenCalledWith(task);
+      expect(stopAllForTask).toHaveBeenCalledWith(task._id);
+      expect(task.actualHours).toBe(2.5);
+
+      const log = task.activityLog[task.activityLog.length - 1];
+      expect(log.details).toBe('更新字段: status, progress, reminders: 1个自定义提醒');
+      expect(log.changes.map(change => change.field)).toEqual(['status', 'progress']);
+      expect(notifyChanges).toHaveBeenCalledWith(task, result.fieldChanges, owner);
+    });
+
+    it('should recalculate progress when reopening and refuse when every subtask is done', async () => {
+      const task = buildTask({
+        status: 'completed',
+        progress: 100,
+        subtasks: [{ title: '准备数据', completed: true }, { title: '联调', completed: false }]
+      });
+      let before = taskHistoryService.snapshot(task);
+      task.status = 'pending';
+
+      expect((await taskCompletionService.save(task, owner, { before })).error).toBeUndefined();
+      expect(task.status).toBe('pending');
+      expect(task.progress).toBe(50);
+      expect(task.completedAt).toBeUndefined();
+
+      const done = buildTask({ status: 'completed', progress: 100, subtasks: [{ title: '准备数据', completed: true }] });
+      before = taskHistoryService.snapshot(done);
+      done.status = 'in_progress';
+
+      expect(await taskCompletionService.save(done, owner, { before })).toEqual({ error: '子任务已全部完成，请先取消完成子任务' });
+      expect(done.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('syncActionItemFromTask', () => {
+    it('should sync completion from tasks to action items', async () => {
+      const updateOne = jest.spyOn(Meeting, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const completedAt = new Date(2024, 5, 12);
+      const metadata = { sourceType: 'meeting_action_item', sourceId: 'meeting-1', sourceItemId: 'item-1' };
+
+      await taskCompletionService.syncActionItemFromTask({ status: 'completed', completedAt, metadata });
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: 'meeting-1', 'aiAnalysis.actionItems._id': 'item-1' },
+        { $set: { 'aiAnalysis.actionItems.$.completed': true, 'aiAnalysis.actionItems.$.completedAt': completedAt } }
+      );
+
+      await taskCompletionService.syncActionItemFromTask({ status: 'in_progress', metadata });
+      expect(updateOne).toHaveBeenLastCalledWith(
+        { _id: 'meeting-1', 'aiAnalysis.actionItems._id': 'item-1' },
+        {
+          $set: { 'aiAnalysis.actionItems.$.completed': false },
+          $unset: { 'aiAnalysis.actionItems.$.completedAt': '' }
+        }
+      );
+
+      expect(await taskCompletionService.syncActionItemFromTask({ status: 'completed', metadata: { sourceType: 'manual' } }))
+        .toBeNull();
+      expect(updateOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('should sync the action item when saving a status change unless it came from the action item', async () => {
+      const updateOne = jest.spyOn(Meeting, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const metadata = { sourceType: 'meeting_action_item', sourceId: 'meeting-1', sourceItemId: 'item-1' };
+
+      const task = buildTask({ metadata });
+      let before = taskHistoryService.snapshot(task);
+      task.status = 'completed';
+      await taskCompletionService.save(task, owner, { before });
+      expect(updateOne).toHaveBeenCalledTimes(1);
+
+      const synced = buildTask({ metadata });
+      before = taskHistoryService.snapshot(synced);
+      synced.status = 'completed';
+      await taskCompletionService.save(synced, owner, { before, syncActionItem: false });
+      expect(updateOne).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('status change paths', () => {
+    it('should reject replacing subtasks with completed ones while prerequisites are open', async () => {
+      const task = buildTask({ dependencies: [prerequisite._id], subtasks: [{ title: '准备数据' }] });
+      jest.spyOn(Task, 'findOne').mockResolvedValue(task);
+      jest.spyOn(taskDependencyService, 'getOpenDependencies').mockResolvedValue([prerequisite]);
+      const res = mockResponse();
+
+      await taskController.updateTask({
+        params: { id: task._id.toString() },
+        user: { id: owner.toString() },
+        body: { subtasks: [{ _id: task.subtasks[0]._id, title: '准备数据', completed: true }] }
+      }, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: '存在1个未完成的前置任务，无法变更任务状态',
+        data: { blockingTasks: [prerequisite] }
+      }));
+      expect(task.save).not.toHaveBeenCalled();
+    });
+
+    it('should complete tasks moved to the completed column like any other update', async () => {
+      const task = buildTask({ recurring: { isRecurring: true, frequency: 'daily' } });
+      jest.spyOn(Task, 'findOne').mockResolvedValue(task);
+      jest.spyOn(taskBoardService, 'planMove').mockResolvedValue({ field: 'status', value: 'completed', rank: 'm' });
+      jest.spyOn(taskBoardService, 'getWipWarning').mockResolvedValue(null);
+      jest.spyOn(task, 'populate').mockResolvedValue(task);
+      const res = mockResponse();
+
+      await taskController.moveBoardTask({
+        user: { id: owner.toString() },
+        body: { taskId: task._id.toString(), to: 'completed' }
+      }, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(createNextOccurrence).toHaveBeenCalledWith(task);
+      expect(stopAllForTask).toHaveBeenCalledWith(task._id);
+      expect(task.activityLog[0]).toMatchObject({ action: 'moved', details: '看板移动: status, progress' });
+      expect(notifyChanges).toHaveBeenCalled();
+    });
+
+    it('should run the completion flow for each task in a bulk update', async () => {
+      const first = buildTask();
+      const second = buildTask({ dependencies: [first._id] });
+      const blocked = buildTask({ dependencies: [prerequisite._id] });
+      jest.spyOn(Task, 'find').mockResolvedValue([first, second, blocked]);
+      jest.spyOn(taskDependencyService, 'getOpenDependencies').mockImplementation(task =>
+        Promise.resolve(task === second ? [{ _id: first._id }] : task === blocked ? [prerequisite] : [])
+      );
+
+      const result = await taskBulkService.execute(owner.toString(), {
+        ids: [first._id, second._id, blocked._id],
+        action: 'update',
+        changes: { status: 'completed' },
+        atomic: false
+      });
+
+      expect(result.results.map(item => item.success)).toEqual([false, true, true]);
+      expect(result.results[0]).toMatchObject({ taskId: blocked._id.toString(), message: '存在1个未完成的前置任务' });
+      expect(createNextOccurrence.mock.calls.map(([task]) => task)).toEqual([first, second]);
+      expect(stopAllForTask).toHaveBeenCalledTimes(2);
+      expect(second.activityLog[0]).toMatchObject({ action: 'bulk_updated', details: '批量更新字段: status, progress' });
+    });
+  });
+});
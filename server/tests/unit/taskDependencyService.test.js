@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const taskDependencyService = require('../../services/taskDependencyService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Task Dependency Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const mockFind = (...results) => {
+    const find = jest.spyOn(Task, 'find');
+    results.forEach(result => find.mockReturnValueOnce({ select: () => Promise.resolve(result) }));
+    return find;
+  };
+
+  describe('validateDependencies', () => {
+    const userId = id();
+
+    it('should only accept prerequisites the user can read', async () => {
+      const own = { _id: id(), createdBy: userId };
+      const watched = { _id: id(), createdBy: id(), watchers: [userId] };
+      const foreign = { _id: id(), createdBy: id(), assignedTo: id() };
+      const missing = id();
+
+      mockFind([own, watched]);
+      expect(await taskDependencyService.validateDependencies(null, [own._id, watched._id], userId)).toEqual({ valid: true });
+
+      mockFind([own, foreign]);
+      expect(await taskDependencyService.validateDependencies(null, [own._id, foreign._id, missing], userId)).toEqual({
+        valid: false,
+        message: `前置任务不存在或无权访问: ${foreign._id}, ${missing}`
+      });
+    });
+
+    it('should keep existing prerequisites set by someone else', async () => {
+      const taskId = id();
+      const foreign = { _id: id(), createdBy: id() };
+      // 第二次查询为环检测加载上游依赖
+      mockFind([foreign], [{ _id: foreign._id, dependencies: [] }]);
+
+      expect(await taskDependencyService.validateDependencies(taskId, [foreign._id], userId, [foreign._id]))
+        .toEqual({ valid: true });
+    });
+  });
+
+  describe('buildDependencyGraph', () => {
+    it('should redact upstream and downstream tasks the user cannot read', async () => {
+      const userId = id();
+      const upstream = { _id: id(), title: '他人的接口设计', status: 'in_progress', priority: 'high', createdBy: id(), dependencies: [] };
+      const root = { _id: id(), title: '联调', status: 'pending', createdBy: userId, dependencies: [upstream._id] };
+      const downstream = { _id: id(), title: '发布', status: 'pending', createdBy: id(), watchers: [userId], dependencies: [root._id] };
+
+      mockFind([upstream], [downstream], []);
+      const graph = await taskDependencyService.buildDependencyGraph(root, userId);
+
+      expect(graph.nodes).toEqual([
+        expect.objectContaining({ _id: root._id, title: '联调', direction: 'root' }),
+        {
+          _id: upstream._id,
+          title: '无权查看的任务',
+          status: 'in_progress',
+          restricted: true,
+          direction: 'upstream',
+          isResolved: false
+        },
+        expect.objectContaining({ _id: downstream._id, title: '发布', direction: 'downstream' })
+      ]);
+      expect(graph.edges).toEqual([
+        { from: upstream._id.toString(), to: root._id.toString() },
+        { from: root._id.toString(), to: downstream._id.toString() }
+      ]);
+    });
+  });
+
+  describe('findCyclePath', () => {
+    it('should detect a cycle back to the task being updated', () => {
+      // a 依赖 b，b 依赖 c；若让 c 依赖 a 则成环
+      const graph = new Map([
+        ['a', ['b']],
+        ['b', ['c']],
+        ['c', []]
+      ]);
+
+      const cycle = taskDependencyService.findCyclePath(graph, 'c', ['a']);
+
+      expect(cycle).toEqual(['c', 'a', 'b', 'c']);
+    });
+
+    it('should return null when dependencies form a DAG', () => {
+      const graph = new Map([
+        ['a', ['b']],
+        ['b', []],
+        ['d', ['b']]
+      ]);
+
+      expect(taskDependencyService.findCyclePath(graph, 'c', ['a', 'd'])).toBeNull();
+    });
+  });
+
+  describe('computeSchedule', () => {
+    const now = new Date('2024-06-03T00:00:00Z');
+    const days = n => new Date(now.getTime() + n * 24 * 60 * 60 * 1000);
+
+    it('should chain tasks and flag the ones that will slip', () => {
+      const design = { _id: id(), title: 'Design', estimatedHours: 16, dependencies: [], dueDate: days(3) };
+      const build = { _id: id(), title: 'Build', estimatedHours: 24, dependencies: [design._id], dueDate: days(4) };
+      const docs = { _id: id(), title: 'Docs', estimatedHours: 4, dependencies: [], dueDate: days(10) };
+
+      const result = taskDependencyService.computeSchedule([design, build, docs], now);
+
+      expect(result.totalHours).toBe(40);
+      expect(result.criticalPath.map(t => t.title)).toEqual(['Design', 'Build']);
+
+      const buildItem = result.tasks.find(t => t.title === 'Build');
+      expect(buildItem.projectedFinish).toEqual(days(5));
+      expect(buildItem.willSlip).toBe(true);
+
+      // Build 拖期会压缩 Design 的最晚完成时间，Design 同样被标记
+      const designItem = result.tasks.find(t => t.title === 'Design');
+      expect(designItem.slackHours).toBe(-8);
+      expect(designItem.willSlip).toBe(true);
+
+      const docsItem = result.tasks.find(t => t.title === 'Docs');
+      expect(docsItem.willSlip).toBe(false);
+      expect(docsItem.isCritical).toBe(false);
+    });
+
+    it('should only count remaining hours of partially completed tasks', () => {
+      const task = { _id: id(), title: 'Half done', estimatedHours: 10, progress: 50, dependencies: [] };
+
+      const result = taskDependencyService.computeSchedule([task], now);
+
+      expect(result.tasks[0].remainingHours).toBe(5);
+      expect(result.tasks[0].willSlip).toBe(false);
+    });
+
+    it('should hide details of upstream tasks the user cannot read', () => {
+      const userId = id();
+      const hidden = { _id: id(), title: '他人的任务', priority: 'urgent', estimatedHours: 16, dueDate: days(1), dependencies: [], createdBy: id() };
+      const mine = { _id: id(), title: '我的任务', estimatedHours: 8, dependencies: [hidden._id], dueDate: days(2), createdBy: userId };
+
+      const result = taskDependencyService.computeSchedule([hidden, mine], now, userId);
+
+      const hiddenItem = result.tasks.find(t => t._id === hidden._id);
+      expect(hiddenItem).toMatchObject({ title: '无权查看的任务', restricted: true, isCritical: true, willSlip: true });
+      expect(hiddenItem).not.toHaveProperty('priority');
+      expect(hiddenItem).not.toHaveProperty('dueDate');
+      expect(hiddenItem).not.toHaveProperty('estimatedHours');
+      expect(result.criticalPath.map(t => t.title)).toEqual(['无权查看的任务', '我的任务']);
+      expect(result.slippingTasks.map(t => t.title)).toContain('无权查看的任务');
+      expect(result.tasks.find(t => t._id === mine._id).projectedStart).toEqual(days(2));
+    });
+
+    it('should report tasks caught in a dependency cycle as unscheduled', () => {
+      const a = { _id: id(), title: 'A', estimatedHours: 1 };
+      const b = { _id: id(), title: 'B', estimatedHours: 1 };
+      a.dependencies = [b._id];
+      b.dependencies = [a._id];
+
+      const result = taskDependencyService.computeSchedule([a, b], now);
+
+      expect(result.tasks).toHaveLength(0);
+      expect(result.unscheduled).toHaveLength(2);
+    });
+  });
+});
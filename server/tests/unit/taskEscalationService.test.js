@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const EscalationPolicy = require('../../models/EscalationPolicy');
+const Project = require('../../models/Project');
+const NotificationService = require('../../services/notificationService');
+const taskEscalationService = require('../../services/taskEscalationService');
+const taskController = require('../../controllers/taskController');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const mockQuery = result => ({ select: jest.fn().mockResolvedValue(result) });
+
+describe('Task Escalation Service', () => {
+  const now = new Date(2024, 5, 12, 12);
+  const creator = new mongoose.Types.ObjectId();
+  const assignee = new mongoose.Types.ObjectId();
+  const projectId = new mongoose.Types.ObjectId();
+
+  const buildPolicy = data => new EscalationPolicy({
+    name: '紧急任务逾期升级',
+    steps: [
+      { afterMinutes: 240, notify: ['manager'], channels: ['wechat'] },
+      { afterMinutes: 1440, notify: ['creator'], raisePriority: true }
+    ],
+    ...data
+  });
+
+  const buildTask = data => new Task({
+    title: '提交投标文件',
+    createdBy: creator,
+    assignedTo: assignee,
+    priority: 'high',
+    category: 'work',
+    project: projectId,
+    dueDate: new Date(now.getTime() - 5 * HOUR_MS),
+    ...data
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('selectPolicy', () => {
+    it('should prefer the most specific matching policy', () => {
+      const general = buildPolicy({ name: '通用' });
+      const byCategory = buildPolicy({ name: '工作', scope: { categories: ['work'] } });
+      const byProject = buildPolicy({ name: '投标', scope: { projects: [projectId] } });
+      const otherPriority = buildPolicy({ name: '低优先级', scope: { projects: [projectId], priorities: ['low'] } });
+
+      expect(taskEscalationService.selectPolicy(buildTask(), [general, byCategory, byProject, otherPriority]).name)
+        .toBe('投标');
+      expect(taskEscalationService.selectPolicy(buildTask({ project: new mongoose.Types.ObjectId() }), [byProject]))
+        .toBeNull();
+      expect(taskEscalationService.selectPolicy(buildTask({ category: 'personal', tags: [] }), [byCategory])).toBeNull();
+    });
+
+    it('should keep using the policy the task already escalated under for the same due date', () => {
+      const urgentOnly = buildPolicy({ name: '紧急', scope: { priorities: ['urgent'] } });
+      const general = buildPolicy({ name: '通用' });
+      const task = buildTask({ priority: 'high' });
+      task.escalations.push({ policy: urgentOnly._id, step: urgentOnly.steps[0]._id, dueDate: task.dueDate });
+
+      expect(taskEscalationService.selectPolicy(task, [general, urgentOnly]).name).toBe('紧急');
+
+      task.dueDate = new Date(now.getTime() + HOUR_MS);
+      expect(taskEscalationService.selectPolicy(task, [general, urgentOnly]).name).toBe('通用');
+    });
+  });
+
+  describe('getDueSteps', () => {
+    it('should return reached steps that have not run for the current due date', () => {
+      const policy = buildPolicy();
+      const task = buildTask({ dueDate: new Date(now.getTime() - 30 * HOUR_MS) });
+      task.escalations.push({ policy: policy._id, step: policy.steps[0]._id, dueDate: task.dueDate });
+
+      expect(taskEscalationService.getDueSteps(task, policy, now).map(step => step.afterMinutes)).toEqual([1440]);
+      expect(taskEscalationService.getDueSteps(buildTask(), policy, now).map(step => step.afterMinutes)).toEqual([240]);
+    });
+  });
+
+  it('should raise priority one level and stop at urgent', () => {
+    expect(taskEscalationService.getRaisedPriority('high')).toBe('urgent');
+    expect(taskEscalationService.getRaisedPriority('urgent')).toBeNull();
+  });
+
+  it('should format overdue durations', () => {
+    expect(taskEscalationService.formatOverdue(45)).toBe('45分钟');
+    expect(taskEscalationService.formatOverdue(5 * 60)).toBe('5小时');
+    expect(taskEscalationService.formatOverdue(26 * 60)).toBe('1天2小时');
+  });
+
+  describe('resolveManager', () => {
+    it('should use the configured manager first', async () => {
+      const manager = new mongoose.Types.ObjectId();
+      jest.spyOn(User, 'findById').mockReturnValue(mockQuery({ _id: assignee, profile: { manager } }));
+
+      expect(await taskEscalationService.resolveManager(assignee)).toBe(manager.toString());
+    });
+
+    it('should fall back to the closest higher position in the same department', async () => {
+      const supervisor = { _id: new mongoose.Types.ObjectId(), profile: { position: '主管' } };
+      const director = { _id: new mongoose.Types.ObjectId(), profile: { position: '总监' } };
+      jest.spyOn(User, 'findById')
+        .mockReturnValue(mockQuery({ _id: assignee, profile: { department: '市场部', position: '员工' } }));
+      const find = jest.spyOn(User, 'find').mockReturnValue(mockQuery([director, supervisor]));
+
+      expect(await taskEscalationService.resolveManager(assignee)).toBe(supervisor._id.toString());
+      expect(find.mock.calls[0][0]['profile.position'].$in).toEqual(['主管', '经理', '总监', '高管']);
+    });
+  });
+
+  describe('applyStep', () => {
+    it('should notify recipients, raise priority and record the change', async () => {
+      const policy = buildPolicy();
+      const task = buildTask({ watchers: [creator, assignee] });
+      jest.spyOn(Task, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(taskEscalationService, 'getUserName').mockResolvedValue('李四');
+      const notify = jest.spyOn(NotificationService, 'createTaskEscalationNotification').mockResolvedValue({});
+      const log = jest.spyOn(task, 'addActivityLog').mockResolvedValue(task);
+
+      const applied = await taskEscalationService.applyStep(
+        task,
+        policy,
+        { ...policy.steps[1].toObject(), notify: ['creator', 'assignee', 'watchers'] },
+        new Date(task.dueDate.getTime() + 25 * HOUR_MS)
+      );
+
+      expect(applied).toBe(true);
+      expect(task.priority).toBe('urgent');
+      expect(notify.mock.calls.map(([, userId, options]) => `${userId}:${options.role}`)).toEqual([
+        `${creator}:creator`,
+        `${assignee}:assignee`
+      ]);
+      expect(notify.mock.calls[0][2]).toMatchObject({ overdueText: '1天1小时', raisedPriority: 'urgent' });
+      expect(log).toHaveBeenCalledWith(
+        'escalated',
+        undefined,
+        '逾期1天1小时触发升级规则"紧急任务逾期升级"，通知2人，优先级提升为urgent',
+        { changes: [{ field: 'priority', from: 'high', to: 'urgent' }] }
+      );
+    });
+
+    it('should skip a step another instance already claimed', async () => {
+      const policy = buildPolicy();
+      const task = buildTask();
+      jest.spyOn(Task, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const notify = jest.spyOn(NotificationService, 'createTaskEscalationNotification');
+
+      expect(await taskEscalationService.applyStep(task, policy, policy.steps[0], now)).toBe(false);
+      expect(notify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runEscalations', () => {
+    const mockTaskCursor = tasks => {
+      const query = {
+        sort: jest.fn(() => query),
+        cursor: jest.fn(() => tasks)
+      };
+      return jest.spyOn(Task, 'find').mockReturnValue(query);
+    };
+
+    it('should skip fully escalated tasks and not let tasks without a policy use up the run', async () => {
+      const policy = buildPolicy({ scope: { categories: ['work'] } });
+      jest.spyOn(EscalationPolicy, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([policy]) });
+
+      // 更早逾期但没有适用规则的任务多于每轮名额
+      const unmatched = Array.from({ length: 201 }, () => buildTask({
+        category: 'personal',
+        dueDate: new Date(now.getTime() - 48 * HOUR_MS)
+      }));
+      const overdue = buildTask();
+      const find = mockTaskCursor([...unmatched, overdue]);
+      const applyStep = jest.spyOn(taskEscalationService, 'applyStep').mockResolvedValue(true);
+
+      expect(await taskEscalationService.runEscalations(now)).toBe(1);
+      expect(applyStep).toHaveBeenCalledWith(overdue, policy, policy.steps[0], now);
+
+      // 已触发最后一步的任务在查询中排除
+      const { $expr } = find.mock.calls[0][0];
+      const { in: covered } = $expr.$not.$anyElementTrue[0].$map;
+      expect(covered.$and[1]).toEqual({ $in: ['$$record.step', [policy.steps[1]._id]] });
+    });
+  });
+
+  describe('policy scope', () => {
+    const mockResponse = () => {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    it('should only accept existing projects by ID', async () => {
+      const create = jest.spyOn(EscalationPolicy, 'create').mockImplementation(data => Promise.resolve(data));
+      jest.spyOn(Project, 'countDocuments').mockResolvedValue(0);
+      const steps = [{ afterMinutes: 240, notify: ['manager'] }];
+
+      let res = mockResponse();
+      await taskController.createEscalationPolicy({ user: { id: creator }, body: { name: '投标', scope: { projects: ['投标'] }, steps } }, res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: '适用项目ID无效' });
+
+      res = mockResponse();
+      await taskController.createEscalationPolicy({ user: { id: creator }, body: { name: '投标', scope: { projects: [projectId] }, steps } }, res, jest.fn());
+      expect(res.json).toHaveBeenCalledWith({ success: false, message: '适用项目不存在' });
+      expect(create).not.toHaveBeenCalled();
+
+      Project.countDocuments.mockResolvedValue(1);
+      res = mockResponse();
+      await taskController.createEscalationPolicy({ user: { id: creator }, body: { name: '投标', scope: { projects: [projectId, projectId.toString()] }, steps } }, res, jest.fn());
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(Project.countDocuments).toHaveBeenLastCalledWith({ _id: { $in: [projectId.toString()] } });
+    });
+  });
+});
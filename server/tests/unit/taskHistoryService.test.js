@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const taskHistoryService = require('../../services/taskHistoryService');
+
+const buildTask = (overrides = {}) => new Task({
+  title: '准备季度汇报',
+  createdBy: new mongoose.Types.ObjectId(),
+  dueDate: new Date(2024, 5, 10, 18),
+  tags: ['汇报'],
+  subtasks: [{ title: '收集数据' }],
+  ...overrides
+});
+
+describe('Task History Service', () => {
+  describe('diff', () => {
+    it('should record before and after values of changed fields only', () => {
+      const task = buildTask();
+      const assignee = new mongoose.Types.ObjectId();
+      const before = taskHistoryService.snapshot(task);
+
+      task.priority = 'high';
+      task.dueDate = new Date(2024, 5, 12, 18);
+      task.assignedTo = assignee;
+      task.subtasks[0].completed = true;
+
+      const changes = taskHistoryService.diff(before, taskHistoryService.snapshot(task));
+      const byField = Object.fromEntries(changes.map(change => [change.field, change]));
+
+      expect(Object.keys(byField).sort()).toEqual(['assignedTo', 'dueDate', 'priority', 'subtasks']);
+      expect(byField.priority).toMatchObject({ from: 'medium', to: 'high' });
+      expect(byField.dueDate.from).toEqual(new Date(2024, 5, 10, 18));
+      expect(byField.assignedTo).toMatchObject({ from: null, to: assignee.toString() });
+      expect(byField.subtasks.to[0].completed).toBe(true);
+    });
+
+    it('should treat equal dates and reordered dependencies as unchanged', () => {
+      const first = new mongoose.Types.ObjectId();
+      const second = new mongoose.Types.ObjectId();
+      const task = buildTask({ dependencies: [first, second] });
+      const before = taskHistoryService.snapshot(task);
+
+      task.dueDate = new Date(task.dueDate.getTime());
+      task.dependencies = [second, first];
+
+      expect(taskHistoryService.diff(before, taskHistoryService.snapshot(task))).toEqual([]);
+    });
+  });
+
+  describe('revert', () => {
+    it('should restore the previous value of a single field', () => {
+      const task = buildTask();
+      const change = { field: 'dueDate', from: new Date(2024, 5, 8, 18), to: new Date(2024, 5, 10, 18) };
+
+      expect(taskHistoryService.getRevertBlocker(task, change)).toBeNull();
+      taskHistoryService.applyRevert(task, change);
+      expect(task.dueDate).toEqual(new Date(2024, 5, 8, 18));
+    });
+
+    it('should refuse fields changed again or not revertible', () => {
+      const task = buildTask();
+
+      expect(taskHistoryService.getRevertBlocker(task, { field: 'priority', from: 'low', to: 'high' }))
+        .toBe('该字段已被再次修改，无法撤销此变更');
+      expect(taskHistoryService.getRevertBlocker(task, { field: 'subtasks', from: [], to: [] }))
+        .toBe('该字段不支持撤销');
+    });
+
+    it('should unassign when the previous assignee was empty', () => {
+      const assignee = new mongoose.Types.ObjectId();
+      const task = buildTask({ assignedTo: assignee });
+
+      taskHistoryService.applyRevert(task, { field: 'assignedTo', from: null, to: assignee.toString() });
+      expect(task.assignedTo).toBeUndefined();
+    });
+
+    it('should restore progress when reverting completion', () => {
+      const task = buildTask({ status: 'completed', progress: 100, completedAt: new Date() });
+      const entry = {
+        changes: [
+          { field: 'status', from: 'in_progress', to: 'completed' },
+          { field: 'progress', from: 40, to: 100 }
+        ]
+      };
+
+      taskHistoryService.applyRevert(task, entry.changes[0], entry);
+      expect(task.status).toBe('in_progress');
+      expect(task.progress).toBe(40);
+      expect(task.completedAt).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const Calendar = require('../../models/Calendar');
+const availabilityService = require('../../services/availabilityService');
+const taskPlanService = require('../../services/taskPlanService');
+
+// 2024-06-03 为周一
+const at = (day, hour, minute = 0) => new Date(2024, 5, day, hour, minute);
+
+describe('Task Plan Service', () => {
+  describe('extractPlanSteps', () => {
+    it('should prefer the stored step list', () => {
+      expect(taskPlanService.extractPlanSteps({ steps: [' 需求分析 ', '', '开发'] }))
+        .toEqual(['需求分析', '开发']);
+    });
+
+    it('should parse list items from plan content and skip headings', () => {
+      const plan = {
+        content: '**执行策略**：\n第1周：需求分析\n- 细化功能需求\n1. 设计接口\n2、编写代码\n步骤3：联调测试\n**时间估算**：4周'
+      };
+
+      expect(taskPlanService.extractPlanSteps(plan))
+        .toEqual(['细化功能需求', '设计接口', '编写代码', '联调测试']);
+    });
+
+    it('should return no steps for plain text', () => {
+      expect(taskPlanService.extractPlanSteps({ content: '按常规流程推进即可' })).toEqual([]);
+    });
+  });
+
+  describe('resolvePlan', () => {
+    const task = new Task({
+      title: '上线新版本',
+      createdBy: new mongoose.Types.ObjectId(),
+      selectedPlan: '2',
+      aiPlans: [
+        { planId: '1', title: '方案1', content: '- 甲' },
+        { planId: '2', title: '方案2', content: '- 乙\n- 丙' }
+      ],
+      executionPlans: [{ planName: '执行计划', steps: ['丁'] }]
+    });
+
+    it('should fall back to the selected plan', () => {
+      const plan = taskPlanService.resolvePlan(task);
+      expect(plan.planId).toBe('2');
+      expect(plan.steps).toEqual(['乙', '丙']);
+    });
+
+    it('should resolve execution plans by index', () => {
+      const plan = taskPlanService.resolvePlan(task, { planIndex: 0 });
+      expect(plan.steps).toEqual(['丁']);
+      expect(taskPlanService.resolvePlan(task, { planIndex: 3 })).toBeNull();
+    });
+  });
+
+  describe('computeFreeSlots', () => {
+    const pattern = availabilityService.buildWorkingPattern();
+
+    it('should skip weekends and subtract busy intervals', () => {
+      const busy = [
+        { start: at(7, 10), end: at(7, 11) },
+        { start: at(7, 10, 30), end: at(7, 12) }
+      ];
+      const slots = availabilityService.computeFreeSlots(pattern, busy, at(7, 9), at(10, 12));
+
+      expect(slots).toEqual([
+        { start: at(7, 9), end: at(7, 10) },
+        { start: at(7, 12), end: at(7, 18) },
+        { start: at(10, 9), end: at(10, 12) }
+      ]);
+    });
+
+    it('should use configured working hours', () => {
+      const custom = availabilityService.buildWorkingPattern({
+        workingHours: { start: '10:00', end: '16:00' },
+        weekdays: ['saturday']
+      });
+      const slots = availabilityService.computeFreeSlots(custom, [], at(3, 0), at(9, 0));
+
+      expect(slots).toEqual([{ start: at(8, 10), end: at(8, 16) }]);
+    });
+  });
+
+  describe('allocate', () => {
+    it('should allocate in order and split across slots', () => {
+      const slots = [
+        { start: at(3, 9), end: at(3, 10) },
+        { start: at(3, 14), end: at(3, 18) }
+      ];
+      const { blocks, unscheduled } = availabilityService.allocate(slots, [45, 60, 60]);
+
+      expect(unscheduled).toEqual([]);
+      expect(blocks).toEqual([
+        { index: 0, start: at(3, 9), end: at(3, 9, 45) },
+        { index: 1, start: at(3, 14), end: at(3, 15) },
+        { index: 2, start: at(3, 15), end: at(3, 16) }
+      ]);
+    });
+
+    it('should never place a later step before an earlier one', () => {
+      const slots = [
+        { start: at(3, 9), end: at(3, 9, 20) },
+        { start: at(3, 14), end: at(3, 17) }
+      ];
+      const { blocks } = availabilityService.allocate(slots, [120, 20]);
+
+      expect(blocks).toEqual([
+        { index: 0, start: at(3, 14), end: at(3, 16) },
+        { index: 1, start: at(3, 16), end: at(3, 16, 20) }
+      ]);
+    });
+
+    it('should leave remaining steps unscheduled once time runs out', () => {
+      const slots = [{ start: at(3, 9), end: at(3, 11) }];
+      const { blocks, unscheduled } = availabilityService.allocate(slots, [60, 120, 30]);
+
+      expect(blocks).toHaveLength(1);
+      expect(unscheduled).toEqual([1, 2]);
+    });
+  });
+
+  describe('getStepMinutes', () => {
+    it('should split estimated hours across steps', () => {
+      expect(taskPlanService.getStepMinutes({ estimatedHours: 5 }, 4)).toBe(75);
+      expect(taskPlanService.getStepMinutes({ estimatedHours: 1 }, 4)).toBe(30);
+      expect(taskPlanService.getStepMinutes({}, 4)).toBe(60);
+      expect(taskPlanService.getStepMinutes({ estimatedHours: 5 }, 4, 2)).toBe(120);
+    });
+
+    it('should calibrate estimated hours with the historic estimate ratio', () => {
+      expect(taskPlanService.getStepMinutes({ estimatedHours: 4 }, 4, undefined, 1.5)).toBe(90);
+      expect(taskPlanService.getStepMinutes({ estimatedHours: 4 }, 4, 2, 1.5)).toBe(120);
+    });
+  });
+
+  describe('removePlanEvents', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should only remove upcoming plan blocks on the user\'s own calendar', async () => {
+      const task = new Task({ title: '发布准备', createdBy: new mongoose.Types.ObjectId() });
+      const userId = new mongoose.Types.ObjectId().toString();
+      const deleteMany = jest.spyOn(Calendar, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+
+      await taskPlanService.removePlanEvents(task, userId, at(3, 9));
+
+      expect(deleteMany).toHaveBeenCalledWith({
+        owner: userId,
+        'metadata.source': 'ai_plan',
+        'relatedItems.itemId': task._id,
+        startTime: { $gt: at(3, 9) }
+      });
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const taskQuickAddService = require('../../services/taskQuickAddService');
+
+describe('Task Quick Add Service', () => {
+  // 2024-06-05 周三 10:00
+  const now = new Date(2024, 5, 5, 10, 0);
+  const parse = text => taskQuickAddService.parse(text, now);
+
+  it('should parse the full quick-add syntax', () => {
+    const result = parse('明天下午3点前提交周报 #项目A !高 @张三');
+
+    expect(result.title).toBe('提交周报');
+    expect(result.dueDate).toEqual(new Date(2024, 5, 6, 15, 0));
+    expect(result.hasTime).toBe(true);
+    expect(result.priority).toBe('high');
+    expect(result.tags).toEqual(['项目A']);
+    expect(result.assignee).toBe('张三');
+  });
+
+  it('should resolve relative weekdays', () => {
+    expect(parse('周五 交付').dueDate).toEqual(new Date(2024, 5, 7, 18, 0));
+    expect(parse('周一 复盘').dueDate).toEqual(new Date(2024, 5, 10, 18, 0));
+    expect(parse('下周三上午 评审').dueDate).toEqual(new Date(2024, 5, 12, 12, 0));
+    expect(parse('周末之前整理文档').dueDate).toEqual(new Date(2024, 5, 8, 18, 0));
+  });
+
+  it('should parse Chinese numerals, month-day dates and day offsets', () => {
+    expect(parse('三天后 续签合同').dueDate).toEqual(new Date(2024, 5, 8, 18, 0));
+    expect(parse('6月20日 上线').dueDate).toEqual(new Date(2024, 5, 20, 18, 0));
+    expect(parse('3月1日 年度规划').dueDate).toEqual(new Date(2025, 2, 1, 18, 0));
+    expect(parse('后天晚上八点半 准备演讲').dueDate).toEqual(new Date(2024, 5, 7, 20, 30));
+    expect(parse('今晚9点 回复邮件').dueDate).toEqual(new Date(2024, 5, 5, 21, 0));
+  });
+
+  it('should roll a past time-only deadline over to tomorrow', () => {
+    expect(parse('9:30 站会').dueDate).toEqual(new Date(2024, 5, 6, 9, 30));
+    expect(parse('16:00 站会').dueDate).toEqual(new Date(2024, 5, 5, 16, 0));
+  });
+
+  it('should leave plain text untouched', () => {
+    const result = parse('快一点完成前端页面');
+
+    expect(result.title).toBe('快一点完成前端页面');
+    expect(result.dueDate).toBeNull();
+    expect(result.priority).toBeNull();
+    expect(result.tags).toEqual([]);
+  });
+});
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Task reminders', () => {
+  const buildTask = (data = {}) => new Task({
+    title: '提交周报',
+    createdBy: new mongoose.Types.ObjectId(),
+    ...data
+  });
+
+  describe('syncDefaultReminders', () => {
+    it('should add due-soon and overdue reminders from the due date', () => {
+      const dueDate = new Date('2024-06-07T10:00:00Z');
+      const task = buildTask({ dueDate });
+
+      task.syncDefaultReminders();
+
+      const byKind = Object.fromEntries(task.reminders.map(r => [r.kind, r]));
+      expect(byKind.due_soon.time).toEqual(new Date(dueDate.getTime() - 24 * HOUR));
+      expect(byKind.overdue.time).toEqual(dueDate);
+      expect(task.reminders).toHaveLength(2);
+    });
+
+    it('should move unsent defaults and keep sent ones when the due date changes', () => {
+      const task = buildTask({ dueDate: new Date('2024-06-07T10:00:00Z') });
+      task.syncDefaultReminders();
+      task.reminders.find(r => r.kind === 'due_soon').sent = true;
+
+      task.dueDate = new Date('2024-06-10T10:00:00Z');
+      task.syncDefaultReminders();
+
+      const dueSoon = task.reminders.filter(r => r.kind === 'due_soon');
+      expect(dueSoon).toHaveLength(2);
+      expect(dueSoon.find(r => !r.sent).time).toEqual(new Date('2024-06-09T10:00:00Z'));
+      expect(task.reminders.find(r => r.kind === 'overdue').time).toEqual(task.dueDate);
+    });
+
+    it('should drop unsent defaults when the due date is cleared', () => {
+      const task = buildTask({ dueDate: new Date('2024-06-07T10:00:00Z') });
+      task.syncDefaultReminders();
+
+      task.dueDate = undefined;
+      task.syncDefaultReminders();
+
+      expect(task.reminders).toHaveLength(0);
+    });
+  });
+
+  describe('setCustomReminders', () => {
+    it('should replace unsent custom reminders only', () => {
+      const task = buildTask({
+        reminders: [
+          { type: 'email', kind: 'custom', time: new Date('2024-06-01T00:00:00Z'), sent: true },
+          { type: 'email', kind: 'custom', time: new Date('2024-06-02T00:00:00Z') },
+          { kind: 'overdue', time: new Date('2024-06-07T00:00:00Z') }
+        ]
+      });
+
+      task.setCustomReminders([{ type: 'wechat', time: '2024-06-05T08:00:00Z', message: '准备材料' }]);
+
+      expect(task.reminders).toHaveLength(3);
+      expect(task.reminders.filter(r => r.kind === 'custom' && !r.sent).map(r => r.type)).toEqual(['wechat']);
+    });
+  });
+});
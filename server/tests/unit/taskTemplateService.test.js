@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const TaskTemplate = require('../../models/TaskTemplate');
+const taskTemplateService = require('../../services/taskTemplateService');
+
+describe('Task Template Service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const user = { _id: userId, username: 'zhangsan', profile: { lastName: '张', firstName: '三' } };
+
+  const buildTemplate = data => new TaskTemplate({
+    name: '新员工入职',
+    owner: userId,
+    titlePattern: '{姓名}入职准备（第{week}周）',
+    description: '负责人：{user}',
+    priority: 'high',
+    tags: ['入职'],
+    subtasks: [{ title: '开通账号' }, { title: '准备工位' }],
+    startOffsetDays: 1,
+    dueOffsetDays: 5,
+    dueTime: '17:30',
+    ...data
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizeTemplate', () => {
+    it('should whitelist fields and accept checklist items as strings', () => {
+      const { data } = taskTemplateService.normalizeTemplate({
+        name: '发布',
+        owner: new mongoose.Types.ObjectId(),
+        usageCount: 99,
+        tags: [' 发布 ', '发布', ''],
+        subtasks: ['打标签', { title: '更新日志' }, '  ']
+      });
+
+      expect(data).toEqual({
+        name: '发布',
+        tags: ['发布'],
+        subtasks: [{ title: '打标签' }, { title: '更新日志' }]
+      });
+      expect(taskTemplateService.normalizeTemplate({ recurring: { isRecurring: true, frequency: 'hourly' } }).error)
+        .toBe('请提供有效的重复频率');
+    });
+  });
+
+  describe('render', () => {
+    it('should replace placeholders and report missing variables', () => {
+      expect(taskTemplateService.render('{year}年第{quarter}季度报告', { year: '2024', quarter: '2' }))
+        .toEqual({ text: '2024年第2季度报告' });
+      expect(taskTemplateService.render('{客户}周报 {date}', { date: '2024-06-12', 客户: ' ' }).error)
+        .toBe('缺少模板变量: 客户');
+    });
+  });
+
+  it('should compute ISO week numbers across year boundaries', () => {
+    expect(taskTemplateService.getBuiltinVariables(new Date(2024, 11, 30), user).week).toBe('1');
+    expect(taskTemplateService.getBuiltinVariables(new Date(2021, 0, 3), user).week).toBe('53');
+    expect(taskTemplateService.getBuiltinVariables(new Date(2024, 5, 12), user)).toMatchObject({
+      date: '2024-06-12',
+      week: '24',
+      user: '张三'
+    });
+  });
+
+  describe('buildTaskData', () => {
+    it('should render the title and offset the dates from the base date', () => {
+      const template = buildTemplate({ recurring: { isRecurring: true, frequency: 'weekly' } });
+
+      const { data } = taskTemplateService.buildTaskData(template, user, {
+        baseDate: new Date(2024, 5, 12, 9),
+        variables: { 姓名: '王五' }
+      });
+
+      expect(data).toMatchObject({
+        title: '王五入职准备（第24周）',
+        description: '负责人：张三',
+        priority: 'high',
+        tags: ['入职'],
+        subtasks: [{ title: '开通账号' }, { title: '准备工位' }],
+        startDate: new Date(2024, 5, 13),
+        dueDate: new Date(2024, 5, 17, 17, 30),
+        recurring: { isRecurring: true, frequency: 'weekly', interval: 1 },
+        metadata: { sourceType: 'template', sourceId: template._id.toString() }
+      });
+      expect(taskTemplateService.buildTaskData(template, user, {}).error).toBe('缺少模板变量: 姓名');
+    });
+  });
+
+  it('should create the task and count the usage', async () => {
+    const template = buildTemplate({ titlePattern: '月度报告 {year}-{month}', description: undefined });
+    jest.spyOn(Task.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    const update = jest.spyOn(TaskTemplate, 'updateOne').mockResolvedValue({});
+
+    const { task } = await taskTemplateService.instantiate(template, user, { baseDate: '2024-06-12' });
+
+    expect(task.title).toBe('月度报告 2024-6');
+    expect(task.subtasks.map(subtask => subtask.title)).toEqual(['开通账号', '准备工位']);
+    expect(task.activityLog[0].details).toBe('由模板"新员工入职"创建');
+    expect(update.mock.calls[0][1].$inc).toEqual({ usageCount: 1 });
+  });
+
+  describe('buildFromPlan', () => {
+    it('should turn plan steps into a checklist and keep the task duration', () => {
+      const task = new Task({
+        title: '版本发布',
+        createdBy: userId,
+        priority: 'medium',
+        startDate: new Date(2024, 5, 3),
+        dueDate: new Date(2024, 5, 7, 18),
+        aiPlans: [{ planId: 'p1', title: '稳妥发布', priority: 'high', steps: ['冻结代码', '回归测试', '灰度发布'] }]
+      });
+
+      const { data } = taskTemplateService.buildFromPlan(task, { planId: 'p1' });
+
+      expect(data).toMatchObject({
+        name: '稳妥发布',
+        titlePattern: '版本发布',
+        priority: 'high',
+        subtasks: [{ title: '冻结代码' }, { title: '回归测试' }, { title: '灰度发布' }],
+        dueOffsetDays: 5,
+        source: { type: 'ai_plan', task: task._id, planId: 'p1' }
+      });
+      expect(taskTemplateService.buildFromPlan(task, { planId: 'missing' }).error).toBe('未找到指定的规划方案');
+    });
+  });
+});
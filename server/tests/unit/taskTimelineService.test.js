@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const taskTimelineService = require('../../services/taskTimelineService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Task Timeline Service', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const from = new Date(2024, 5, 1);
+  const to = new Date(2024, 6, 1);
+
+  const buildTask = data => new Task({ title: '排期任务', createdBy: userId, ...data });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseWindow', () => {
+    it('should default to a window around today and reject invalid ranges', () => {
+      const now = new Date(2024, 5, 12, 15);
+
+      expect(taskTimelineService.parseWindow(undefined, undefined, now)).toEqual({
+        from: new Date(2024, 5, 5),
+        to: new Date(2024, 6, 17)
+      });
+      expect(taskTimelineService.parseWindow('2024-06-10', '2024-06-01').error).toBe('结束日期必须晚于开始日期');
+      expect(taskTimelineService.parseWindow('2024-01-01', '2025-06-01').error).toBe('时间范围不能超过366天');
+      expect(taskTimelineService.parseWindow('abc', '2024-06-01').error).toBe('无效的时间范围');
+    });
+  });
+
+  describe('getBarDates', () => {
+    it('should infer the missing end from the estimate', () => {
+      const dueDate = new Date(2024, 5, 20);
+
+      expect(taskTimelineService.getBarDates(buildTask({ dueDate, estimatedHours: 20 }))).toEqual({
+        start: new Date(dueDate.getTime() - 3 * DAY_MS),
+        end: dueDate,
+        inferredStart: true,
+        inferredEnd: false
+      });
+      expect(taskTimelineService.getBarDates(buildTask({ startDate: dueDate })).end)
+        .toEqual(new Date(dueDate.getTime() + DAY_MS));
+      expect(taskTimelineService.getBarDates(buildTask())).toBeNull();
+    });
+  });
+
+  describe('buildBars and buildLinks', () => {
+    it('should keep overlapping bars, flag dependency conflicts and mark the critical path', () => {
+      const design = buildTask({ title: '设计', startDate: new Date(2024, 5, 3), dueDate: new Date(2024, 5, 10), estimatedHours: 16 });
+      const build = buildTask({
+        title: '开发',
+        startDate: new Date(2024, 5, 8),
+        dueDate: new Date(2024, 5, 20),
+        estimatedHours: 40,
+        dependencies: [design._id]
+      });
+      const outside = buildTask({ title: '去年', startDate: new Date(2023, 5, 1), dueDate: new Date(2023, 5, 2) });
+      const solo = buildTask({ title: '独立', dueDate: new Date(2024, 5, 15) });
+
+      const bars = taskTimelineService.buildBars([design, build, outside, solo], from, to);
+
+      expect(bars.map(bar => `${bar.title}:${bar.isCritical}`)).toEqual(['设计:true', '开发:true', '独立:false']);
+      expect(taskTimelineService.buildLinks(bars)).toEqual([
+        { from: design._id.toString(), to: build._id.toString(), conflict: true }
+      ]);
+    });
+  });
+
+  describe('parseSchedule', () => {
+    it('should keep omitted dates, clear null dates and reject inverted ranges', () => {
+      const task = buildTask({ startDate: new Date(2024, 5, 3), dueDate: new Date(2024, 5, 10) });
+
+      expect(taskTimelineService.parseSchedule(task, { dueDate: '2024-06-12' })).toEqual({
+        startDate: task.startDate,
+        dueDate: new Date('2024-06-12')
+      });
+      expect(taskTimelineService.parseSchedule(task, { startDate: null }).startDate).toBeNull();
+      expect(taskTimelineService.parseSchedule(task, { dueDate: '2024-06-01' }).error).toBe('截止日期不能早于开始日期');
+      expect(taskTimelineService.parseSchedule(task, {}).error).toBe('请提供开始日期或截止日期');
+    });
+  });
+
+  describe('shiftDependents', () => {
+    it('should move open dependents along the chain and skip tasks that cannot move', async () => {
+      const task = buildTask({ title: '设计', dueDate: new Date(2024, 5, 10) });
+      const build = buildTask({ title: '开发', startDate: new Date(2024, 5, 11), dueDate: new Date(2024, 5, 20), dependencies: [task._id] });
+      const done = buildTask({ title: '调研', status: 'completed', dueDate: new Date(2024, 5, 12), dependencies: [task._id] });
+      const test = buildTask({ title: '测试', dueDate: new Date(2024, 5, 25), dependencies: [build._id] });
+      const others = buildTask({ title: '他人任务', createdBy: new mongoose.Types.ObjectId(), dependencies: [build._id] });
+
+      const find = jest.spyOn(Task, 'find')
+        .mockResolvedValueOnce([build, done])
+        .mockResolvedValueOnce([test, others])
+        .mockResolvedValueOnce([]);
+      [build, test].forEach(item => {
+        jest.spyOn(item, 'save').mockResolvedValue(item);
+        jest.spyOn(item, 'addActivityLog').mockResolvedValue(item);
+      });
+
+      const result = await taskTimelineService.shiftDependents(userId, task, 2 * DAY_MS);
+
+      expect(result.shifted.map(item => item.title)).toEqual(['开发', '测试']);
+      expect(build.startDate).toEqual(new Date(2024, 5, 13));
+      expect(test.dueDate).toEqual(new Date(2024, 5, 27));
+      expect(result.skipped).toEqual([
+        { _id: done._id, title: '调研', reason: '任务已结束' },
+        { _id: others._id, reason: '无权限修改' }
+      ]);
+      expect(build.addActivityLog.mock.calls[0][2]).toBe('随前置任务"设计"顺延2天');
+      expect(find.mock.calls[1][0]._id.$nin).toEqual(
+        expect.arrayContaining([task._id.toString(), build._id.toString(), done._id.toString()])
+      );
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const taskViewService = require('../../services/taskViewService');
+
+describe('Task View Service', () => {
+  // 2024-06-12 是周三
+  const now = new Date(2024, 5, 12, 15, 30);
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveDateValue', () => {
+    it('should resolve relative tokens with Monday as the start of week', () => {
+      expect(taskViewService.resolveDateValue('today', now)).toEqual(new Date(2024, 5, 12));
+      expect(taskViewService.resolveDateValue('today-7', now)).toEqual(new Date(2024, 5, 5));
+      expect(taskViewService.resolveDateValue('startOfWeek', now)).toEqual(new Date(2024, 5, 10));
+      expect(taskViewService.resolveDateValue('endOfWeek', now)).toEqual(new Date(2024, 5, 17));
+      expect(taskViewService.resolveDateValue('startOfWeek+1w', now)).toEqual(new Date(2024, 5, 17));
+      expect(taskViewService.resolveDateValue('endOfMonth', now)).toEqual(new Date(2024, 6, 1));
+    });
+
+    it('should accept ISO dates and reject unknown values', () => {
+      expect(taskViewService.resolveDateValue('2024-06-01T00:00:00.000Z', now)).toEqual(new Date('2024-06-01T00:00:00.000Z'));
+      expect(taskViewService.resolveDateValue('nextSprint', now)).toBeNull();
+    });
+  });
+
+  describe('validateFilter', () => {
+    it('should accept nested AND/OR groups', () => {
+      const filter = {
+        match: 'all',
+        conditions: [
+          { field: 'assignedTo', op: 'is', value: 'me' },
+          {
+            match: 'any',
+            conditions: [
+              { field: 'priority', op: 'is', value: 'urgent' },
+              { field: 'tags', op: 'hasAny', value: ['客户'] }
+            ]
+          }
+        ]
+      };
+
+      expect(taskViewService.validateFilter(filter)).toBeNull();
+    });
+
+    it('should report invalid fields, operators and values', () => {
+      const check = condition => taskViewService.validateFilter({ conditions: [condition] });
+
+      expect(check({ field: 'secret', op: 'is', value: 1 })).toBe('不支持的筛选字段: secret');
+      expect(check({ field: 'status', op: 'before', value: 'today' })).toBe('字段 status 不支持运算符 before');
+      expect(check({ field: 'status', op: 'in', value: ['done'] })).toBe('字段 status 的取值无效');
+      expect(check({ field: 'dueDate', op: 'between', value: ['today'] })).toBe('日期区间需要提供开始和结束两个值');
+      expect(check({ field: 'blocked', op: 'is', value: 'yes' })).toBe('字段 blocked 需要布尔值');
+    });
+
+    it('should limit nesting depth', () => {
+      const nested = { conditions: [{ conditions: [{ conditions: [{ conditions: [] }] }] }] };
+
+      expect(taskViewService.validateFilter(nested)).toBe('筛选条件最多嵌套3层');
+    });
+  });
+
+  describe('compileFilter', () => {
+    it('should compile groups, relative dates and "me" for the viewer', () => {
+      const query = taskViewService.compileFilter({
+        match: 'all',
+        conditions: [
+          { field: 'assignedTo', op: 'is', value: 'me' },
+          { field: 'createdAt', op: 'between', value: ['startOfWeek', 'endOfWeek'] },
+          {
+            match: 'any',
+            conditions: [
+              { field: 'priority', op: 'in', value: ['urgent', 'high'] },
+              { field: 'title', op: 'contains', value: '周报(草稿)' }
+            ]
+          }
+        ]
+      }, { userId, now });
+
+      expect(query).toEqual({
+        $and: [
+          { assignedTo: userId },
+          { createdAt: { $gte: new Date(2024, 5, 10), $lt: new Date(2024, 5, 17) } },
+          {
+            $or: [
+              { priority: { $in: ['urgent', 'high'] } },
+              { title: { $regex: '周报\\(草稿\\)', $options: 'i' } }
+            ]
+          }
+        ]
+      });
+    });
+
+    it('should compile overdue and blocked flags', () => {
+      const blockedIds = [new mongoose.Types.ObjectId()];
+
+      expect(taskViewService.compileCondition({ field: 'overdue', op: 'is', value: true }, { userId, now }))
+        .toEqual({ dueDate: { $lt: now }, status: { $nin: ['completed', 'cancelled'] } });
+      expect(taskViewService.compileCondition({ field: 'blocked', op: 'is', value: true }, { userId, now, blockedIds }))
+        .toEqual({ dependencies: { $in: blockedIds } });
+    });
+  });
+
+  describe('buildQuery', () => {
+    it('should resolve open dependencies only when the blocked flag is used', async () => {
+      const openDependency = new mongoose.Types.ObjectId();
+      const distinct = jest.spyOn(Task, 'distinct')
+        .mockResolvedValueOnce([openDependency, new mongoose.Types.ObjectId()])
+        .mockResolvedValueOnce([openDependency]);
+
+      const query = await taskViewService.buildQuery(userId, {
+        conditions: [{ field: 'blocked', op: 'is', value: true }]
+      }, now);
+
+      expect(distinct).toHaveBeenCalledTimes(2);
+      expect(query.$and[1]).toEqual({ dependencies: { $in: [openDependency] } });
+
+      await taskViewService.buildQuery(userId, { conditions: [] }, now);
+      expect(distinct).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('sort and group', () => {
+    const buildTask = data => new Task({ title: '任务', createdBy: userId, ...data });
+
+    // 模拟按查询条件筛选、排序和截取，条件形如 { field: value }、{ field: null }、$ne / $nin
+    const mockFind = tasks => jest.spyOn(Task, 'find').mockImplementation(({ $and: [, filter] }) => {
+      const [[field, condition]] = Object.entries(filter);
+      const matches = task => {
+        const value = task[field] ?? null;
+        if (condition === null) return value === null;
+        if (condition.$ne === null) return value !== null;
+        if (condition.$nin) return !condition.$nin.includes(value);
+        return value === condition;
+      };
+      let sort = {};
+      let limit = Infinity;
+      const query = {
+        populate: () => query,
+        sort: spec => { sort = spec; return query; },
+        limit: value => { limit = value; return query; },
+        then: (resolve, reject) => Promise.resolve(
+          tasks.filter(matches)
+            .sort((a, b) => {
+              for (const [key, direction] of Object.entries(sort)) {
+                if (a[key] < b[key]) return -direction;
+                if (a[key] > b[key]) return direction;
+              }
+              return 0;
+            })
+            .slice(0, limit)
+        ).then(resolve, reject)
+      };
+      return query;
+    });
+
+    it('should sort in the query by business priority order with empty values last', async () => {
+      jest.spyOn(taskViewService, 'buildQuery').mockResolvedValue({});
+      const tasks = [
+        buildTask({ title: 'A', priority: 'medium', dueDate: new Date(2024, 5, 20), createdAt: new Date(2024, 5, 3) }),
+        buildTask({ title: 'B', priority: 'urgent', createdAt: new Date(2024, 5, 2) }),
+        buildTask({ title: 'C', priority: 'low', dueDate: new Date(2024, 5, 13), createdAt: new Date(2024, 5, 1) })
+      ];
+      const find = mockFind(tasks);
+
+      const byPriority = await taskViewService.runView(userId, { sort: { field: 'priority', order: 'desc' } }, { now });
+      expect(byPriority.tasks.map(task => task.title)).toEqual(['B', 'A', 'C']);
+
+      const byDueDate = await taskViewService.runView(userId, { sort: { field: 'dueDate', order: 'asc' } }, { now });
+      expect(byDueDate.tasks.map(task => task.title)).toEqual(['C', 'A', 'B']);
+      expect(find).toHaveBeenLastCalledWith({ $and: [{}, { dueDate: null }] });
+    });
+
+    it('should keep the first tasks in view order when truncating', async () => {
+      jest.spyOn(taskViewService, 'buildQuery').mockResolvedValue({});
+      // 截止日期最早的任务创建得最早，按创建时间截取时会被丢弃
+      const tasks = Array.from({ length: 502 }, (_, index) => buildTask({
+        title: `任务${index}`,
+        dueDate: new Date(2024, 5, 1, 0, index),
+        createdAt: new Date(2024, 0, 1, 0, index)
+      }));
+      mockFind(tasks);
+
+      const result = await taskViewService.runView(userId, { sort: { field: 'dueDate', order: 'asc' } }, { now });
+
+      expect(result.truncated).toBe(true);
+      expect(result.total).toBe(500);
+      expect(result.tasks[0].title).toBe('任务0');
+      expect(Task.find).toHaveBeenCalledTimes(1);
+    });
+
+    it('should group by due date buckets in a fixed order', () => {
+      const later = buildTask({ dueDate: new Date(2024, 6, 1) });
+      const overdue = buildTask({ dueDate: new Date(2024, 5, 11) });
+      const thisWeek = buildTask({ dueDate: new Date(2024, 5, 14) });
+      const done = buildTask({ dueDate: new Date(2024, 5, 1), status: 'completed' });
+
+      const groups = taskViewService.groupTasks([later, overdue, thisWeek, done], 'dueDate', now);
+
+      expect(groups.map(group => group.key)).toEqual(['overdue', 'thisWeek', 'later', 'earlier']);
+      expect(groups[0]).toEqual({ key: 'overdue', label: '已逾期', taskIds: [overdue._id.toString()] });
+    });
+
+    it('should put a task in every tag group', () => {
+      const task = buildTask({ tags: ['客户', '迭代12'] });
+
+      expect(taskViewService.groupTasks([task], 'tags', now).map(group => group.key)).toEqual(['客户', '迭代12']);
+    });
+  });
+
+  describe('normalizeView', () => {
+    it('should require a name and validate sort and grouping', () => {
+      expect(taskViewService.normalizeView({}).error).toBe('请提供视图名称');
+      expect(taskViewService.normalizeView({ name: '周报', sort: { field: 'secret' } }).error).toBe('不支持的排序字段');
+      expect(taskViewService.normalizeView({ name: '周报', groupBy: 'week' }).error).toBe('不支持的分组方式');
+      expect(taskViewService.normalizeView({ groupBy: 'status' }, true)).toEqual({ data: { groupBy: 'status' }, error: null });
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Task = require('../../models/Task');
+const User = require('../../models/User');
+const NotificationService = require('../../services/notificationService');
+const taskWatcherService = require('../../services/taskWatcherService');
+
+const buildUser = username => ({ _id: new mongoose.Types.ObjectId(), username, profile: {} });
+
+const mockQuery = result => ({ select: jest.fn().mockResolvedValue(result) });
+
+describe('Task Watcher Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('mentions', () => {
+    it('should extract candidates after @ up to whitespace or punctuation', () => {
+      expect(taskWatcherService.extractMentionCandidates('请 @alice 和＠bob，看一下@alice'))
+        .toEqual(['alice', 'bob']);
+      expect(taskWatcherService.extractMentionCandidates('没有提及')).toEqual([]);
+    });
+
+    it('should resolve the longest matching username when text follows directly', async () => {
+      const alice = buildUser('alice');
+      const find = jest.spyOn(User, 'find').mockReturnValue(mockQuery([alice]));
+
+      const users = await taskWatcherService.resolveMentions('@alice请确认一下 @nobody');
+
+      expect(users).toEqual([alice]);
+      expect(find.mock.calls[0][0].username.$in).toEqual(expect.arrayContaining(['ali', 'alice', 'alice请确认']));
+    });
+  });
+
+  describe('watchers', () => {
+    it('should add watchers once and ignore empty values', () => {
+      const creator = new mongoose.Types.ObjectId();
+      const assignee = new mongoose.Types.ObjectId();
+      const task = new Task({ title: '整理需求', createdBy: creator });
+
+      expect(task.addWatchers([creator, { _id: assignee }, null])).toHaveLength(2);
+      expect(task.addWatchers([creator.toString()])).toEqual([]);
+      expect(task.watchers.map(id => id.toString())).toEqual([creator.toString(), assignee.toString()]);
+    });
+
+    it('should exclude the actor from recipients', () => {
+      const actor = new mongoose.Types.ObjectId();
+      const watcher = new mongoose.Types.ObjectId();
+      const mentioned = new mongoose.Types.ObjectId();
+
+      expect(taskWatcherService.getRecipients({ watchers: [actor, watcher] }, actor.toString(), [mentioned]))
+        .toEqual([watcher.toString(), mentioned.toString()]);
+    });
+  });
+
+  describe('notifications', () => {
+    const actor = new mongoose.Types.ObjectId();
+    const watcher = new mongoose.Types.ObjectId();
+    const mentioned = new mongoose.Types.ObjectId();
+    const task = { _id: new mongoose.Types.ObjectId(), title: '整理需求', watchers: [actor, watcher] };
+
+    beforeEach(() => {
+      jest.spyOn(taskWatcherService, 'getActorName').mockResolvedValue('张三');
+    });
+
+    it('should send mention notifications to mentioned users and comment notifications to watchers', async () => {
+      const notify = jest.spyOn(NotificationService, 'createTaskUpdateNotification').mockResolvedValue({});
+
+      await taskWatcherService.notifyComment(task, { content: '@lisi 看下', mentions: [mentioned] }, actor.toString());
+
+      const events = Object.fromEntries(notify.mock.calls.map(([, userId, event]) => [userId, event]));
+      expect(events).toEqual({
+        [watcher.toString()]: 'comment',
+        [mentioned.toString()]: 'mention'
+      });
+    });
+
+    it('should notify the new assignee separately from other watchers', async () => {
+      const notify = jest.spyOn(NotificationService, 'createTaskUpdateNotification').mockResolvedValue({});
+      const changes = [
+        { field: 'assignedTo', from: null, to: watcher.toString() },
+        { field: 'status', from: 'pending', to: 'in_progress' },
+        { field: 'priority', from: 'low', to: 'high' }
+      ];
+
+      await taskWatcherService.notifyChanges({ ...task, watchers: [actor, watcher, mentioned] }, changes, actor.toString());
+
+      const calls = notify.mock.calls.map(([, userId, event]) => `${userId}:${event}`);
+      expect(calls).toEqual([
+        `${watcher}:assigned`,
+        `${watcher}:status_change`,
+        `${mentioned}:reassigned`,
+        `${mentioned}:status_change`
+      ]);
+    });
+
+    it('should keep notifying other recipients when one fails', async () => {
+      const notify = jest.spyOn(NotificationService, 'createTaskUpdateNotification')
+        .mockRejectedValueOnce(new Error('用户不存在'))
+        .mockResolvedValue({});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await taskWatcherService.notifyComment(
+        { ...task, watchers: [watcher, mentioned] },
+        { content: '进展如何' },
+        actor.toString()
+      );
+
+      expect(notify).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -88,6 +88,47 @@ describe('Tasks Routes', () => {
       expect(response.body.success).toBe(false);
     });
 
+    it('should create task with dependencies the user can access', async () => {
+      const dependency = await Task.create({
+        title: 'Dependency Task',
+        description: 'Must be finished first',
+        createdBy: testUser._id
+      });
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Dependent Task',
+          description: 'Depends on another task',
+          dependencies: [dependency._id]
+        })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.dependencies.map(id => id.toString())).toEqual([dependency._id.toString()]);
+    });
+
+    it('should reject dependencies the user cannot access', async () => {
+      const dependency = await Task.create({
+        title: 'Admin Task',
+        description: 'Not visible to the test user',
+        createdBy: adminUser._id
+      });
+
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          title: 'Dependent Task',
+          description: 'Depends on a hidden task',
+          dependencies: [dependency._id]
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
     it('should require authentication', async () => {
       const response = await request(app)
         .post('/api/tasks')
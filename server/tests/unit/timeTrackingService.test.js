@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const TimeEntry = require('../../models/TimeEntry');
+const timeTrackingService = require('../../services/timeTrackingService');
+
+const at = (day, hour, minute = 0) => new Date(2024, 5, day, hour, minute);
+
+describe('Time Tracking Service', () => {
+  describe('TimeEntry sessions', () => {
+    it('should accumulate closed intervals across pause and resume', () => {
+      const entry = new TimeEntry({
+        task: new mongoose.Types.ObjectId(),
+        user: new mongoose.Types.ObjectId(),
+        intervals: [{ start: at(3, 9) }]
+      });
+
+      entry.pause(at(3, 10));
+      entry.resume(at(3, 11));
+      expect(entry.getElapsedSeconds(at(3, 11, 30))).toBe(5400);
+
+      entry.stop(at(3, 12));
+      expect(entry.status).toBe('stopped');
+      expect(entry.durationSeconds).toBe(7200);
+      expect(entry.intervals).toHaveLength(2);
+    });
+  });
+
+  describe('summarize', () => {
+    const report = { _id: new mongoose.Types.ObjectId(), title: '周报', tags: ['项目A'] };
+    const review = { _id: new mongoose.Types.ObjectId(), title: '代码评审', tags: [] };
+
+    const entries = [
+      // 跨越午夜的区间拆分到两天
+      { task: report, intervals: [{ start: at(3, 23), end: at(4, 1) }], note: '整理数据' },
+      { task: review, intervals: [{ start: at(4, 9), end: at(4, 10, 30) }] },
+      { task: report, intervals: [{ start: at(11, 14), end: at(11, 15) }] }
+    ];
+    const range = { from: at(1, 0), to: at(30, 0) };
+
+    it('should split intervals by day and total them', () => {
+      const result = timeTrackingService.summarize(entries, { ...range, groupBy: 'day' });
+
+      expect(result.totalHours).toBe(4.5);
+      expect(result.groups.map(g => [g.key, g.hours])).toEqual([
+        ['2024-06-03', 1],
+        ['2024-06-04', 2.5],
+        ['2024-06-11', 1]
+      ]);
+    });
+
+    it('should group by week and project', () => {
+      const byWeek = timeTrackingService.summarize(entries, { ...range, groupBy: 'week' });
+      expect(byWeek.groups.map(g => [g.key, g.hours])).toEqual([
+        ['2024-06-03', 3.5],
+        ['2024-06-10', 1]
+      ]);
+
+      const byProject = timeTrackingService.summarize(entries, { ...range, groupBy: 'project' });
+      expect(byProject.groups.map(g => [g.key, g.hours])).toEqual([
+        ['未分类', 1.5],
+        ['项目A', 3]
+      ]);
+    });
+
+    it('should clip intervals to the requested range', () => {
+      const result = timeTrackingService.summarize(entries, { from: at(4, 0), to: at(4, 10), groupBy: 'day' });
+
+      expect(result.totalHours).toBe(2);
+    });
+
+    it('should export CSV with escaped fields and a total row', () => {
+      const csv = timeTrackingService.toCsv(timeTrackingService.summarize(entries, { ...range, groupBy: 'day' }));
+      const lines = csv.replace(/^\uFEFF/, '').split('\n');
+
+      expect(lines[0]).toBe('分组,日期,项目,任务,工时(小时),备注');
+      expect(lines).toContain('2024-06-03,2024-06-03,项目A,周报,1,整理数据');
+      expect(lines[lines.length - 1]).toBe('合计,,,,4.5,');
+    });
+  });
+});
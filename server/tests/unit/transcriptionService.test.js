@@ -0,0 +1,153 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Meeting = require('../../models/Meeting');
+const transcriptionService = require('../../services/transcriptionService');
+const meetingController = require('../../controllers/meetingController');
+
+describe('Transcription Service', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.TRANSCRIPTION_PROVIDER;
+    delete process.env.WHISPER_CPP_MODEL;
+    delete process.env.TRANSCRIPTION_LANGUAGE;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    delete transcriptionService.providers.custom;
+  });
+
+  it('should pick the local engine when a whisper.cpp model is configured', () => {
+    expect(transcriptionService.getProvider().name).toBe('mock');
+
+    process.env.WHISPER_CPP_MODEL = '/models/ggml-base.bin';
+    expect(transcriptionService.getProvider().name).toBe('whisper-cpp');
+
+    process.env.TRANSCRIPTION_PROVIDER = 'vosk';
+    expect(transcriptionService.getProvider().error).toBe('未知的转录服务: vosk');
+
+    process.env.TRANSCRIPTION_PROVIDER = 'openai';
+    delete process.env.OPENAI_API_KEY;
+    expect(transcriptionService.getProvider().error).toBe('转录服务 openai 未配置');
+  });
+
+  it('should use plain text files as the transcription with speaker lines', async () => {
+    const filePath = path.join(os.tmpdir(), `meeting-${Date.now()}.txt`);
+    await fs.writeFile(filePath, '  今天讨论上线计划。\n\n张三：周五前完成测试\n');
+
+    try {
+      expect(await transcriptionService.transcribe({ path: filePath, mimetype: 'text/plain' })).toEqual({
+        text: '今天讨论上线计划。\n\n张三：周五前完成测试',
+        segments: [
+          { text: '今天讨论上线计划。' },
+          { speaker: '张三', text: '周五前完成测试' }
+        ],
+        service: 'text',
+        language: 'zh'
+      });
+    } finally {
+      await fs.unlink(filePath);
+    }
+  });
+
+  it('should delegate to registered providers and reject empty results', async () => {
+    const transcribe = jest.fn().mockResolvedValue({ text: ' 会议内容 ', segments: [{ startTime: 0, endTime: 2, text: '会议内容' }] });
+    transcriptionService.registerProvider('custom', { isConfigured: () => true, transcribe });
+    process.env.TRANSCRIPTION_PROVIDER = 'custom';
+    process.env.TRANSCRIPTION_LANGUAGE = 'en';
+
+    const result = await transcriptionService.transcribe({ path: '/uploads/audio/a.ogg', mimetype: 'audio/ogg' });
+    expect(transcribe).toHaveBeenCalledWith('/uploads/audio/a.ogg', { language: 'en', mimetype: 'audio/ogg' });
+    expect(result).toMatchObject({ text: '会议内容', service: 'custom', language: 'en' });
+
+    transcribe.mockResolvedValue({ text: '   ' });
+    await expect(transcriptionService.transcribe({ path: '/uploads/audio/a.ogg', mimetype: 'audio/ogg' }))
+      .rejects.toThrow('未识别到语音内容');
+  });
+
+  it('should convert audio to 16kHz mono for the engines', () => {
+    expect(transcriptionService.buildFfmpegArgs('in.m4a', 'out.wav', 'wav')).toEqual([
+      '-y', '-i', 'in.m4a', '-vn', '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', 'out.wav'
+    ]);
+    expect(transcriptionService.buildFfmpegArgs('in.amr', 'out.mp3', 'mp3')).toContain('libmp3lame');
+    expect(transcriptionService.isSupportedType('video/mp4')).toBe(true);
+    expect(transcriptionService.isSupportedType('application/pdf')).toBe(false);
+  });
+
+  it('should parse whisper.cpp and OpenAI outputs into segments', () => {
+    expect(transcriptionService.parseWhisperCppOutput({
+      result: { language: 'zh' },
+      transcription: [
+        { offsets: { from: 0, to: 2340 }, text: ' 大家好' },
+        { offsets: { from: 2340, to: 3000 }, text: ' ' },
+        { offsets: { from: 3000, to: 5120 }, text: '开始开会' }
+      ]
+    })).toEqual({
+      text: '大家好\n开始开会',
+      segments: [
+        { startTime: 0, endTime: 2.34, text: '大家好' },
+        { startTime: 3, endTime: 5.12, text: '开始开会' }
+      ],
+      language: 'zh'
+    });
+
+    expect(transcriptionService.parseOpenAIResponse({
+      text: '大家好',
+      language: 'chinese',
+      segments: [{ start: 0, end: 1.5, text: ' 大家好', avg_logprob: -0.1 }]
+    }).segments).toEqual([{ startTime: 0, endTime: 1.5, text: '大家好', confidence: 0.9 }]);
+  });
+
+  describe('uploaded audio processing', () => {
+    const organizer = new mongoose.Types.ObjectId();
+
+    const upload = async () => {
+      const meeting = new Meeting({
+        title: '需求评审',
+        organizer,
+        startTime: new Date(2024, 5, 10, 10),
+        endTime: new Date(2024, 5, 10, 11)
+      });
+      jest.spyOn(Meeting, 'findById').mockResolvedValue(meeting);
+      jest.spyOn(meeting, 'save').mockResolvedValue(meeting);
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+
+      await meetingController.uploadAudio({
+        params: { id: meeting._id.toString() },
+        user: { _id: organizer },
+        file: { filename: 'a.wav', originalname: '录音.wav', path: '/tmp/a.wav', size: 10, mimetype: 'audio/wav' }
+      }, res, jest.fn());
+      // 等待后台处理完成
+      await new Promise(resolve => setImmediate(resolve));
+      return { meeting, res };
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should mark the transcription failed with an atomic update', async () => {
+      const updateOne = jest.spyOn(Meeting, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+      jest.spyOn(transcriptionService, 'transcribe').mockRejectedValue(new Error('whisper-cli 不可用'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const { meeting, res } = await upload();
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(updateOne.mock.calls.map(([filter]) => filter)).toEqual([{ _id: meeting._id }, { _id: meeting._id }]);
+      expect(updateOne.mock.calls[1][1]).toEqual({
+        $set: {
+          'transcription.status': 'failed',
+          'transcription.error': 'whisper-cli 不可用',
+          'transcription.processedAt': expect.any(Date)
+        }
+      });
+      // 上传后不再保存整个会议文档
+      expect(meeting.save).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const JSZip = require('jszip');
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const WorkReport = require('../../models/WorkReport');
+const aiService = require('../../services/aiService');
+const workReportService = require('../../services/workReportService');
+
+describe('Work Report Service', () => {
+  // 2024-06-03 为周一
+  const at = (day, hour = 0) => new Date(2024, 5, day, hour);
+  const period = workReportService.getPeriod('weekly', at(5, 10));
+
+  const activity = {
+    completed: [{ title: '完成接口文档', actualHours: 3, completedAt: at(4, 15) }],
+    inProgress: [
+      { title: '重构登录模块', progress: 40, dueDate: at(6, 18) },
+      { title: '性能优化', progress: 10, dueDate: at(20, 18) }
+    ],
+    upcoming: [{ title: '发布准备', dueDate: at(12, 18) }],
+    meetings: [{ title: '周例会', startTime: at(3, 10), aiAnalysis: { summary: '讨论了\n发布计划' } }],
+    actionItems: [{ content: '整理发布清单', dueDate: at(11), completed: false, meeting: '周例会' }],
+    documents: [{ title: '需求说明书', aiAnalysis: { summary: '描述了新版本需求' } }],
+    events: [{ title: '客户拜访', startTime: at(7, 14), eventType: 'appointment' }]
+  };
+
+  it('should compute weekly and monthly periods', () => {
+    expect(period).toEqual({ start: at(3), end: at(10) });
+    expect(workReportService.getPeriodLabel('weekly', period)).toBe('6/3-6/9');
+
+    const month = workReportService.getPeriod('monthly', at(15));
+    expect(month).toEqual({ start: at(1), end: new Date(2024, 6, 1) });
+    expect(workReportService.getPeriodLabel('monthly', month)).toBe('2024年6月');
+  });
+
+  it('should build template sections from activity', () => {
+    const sections = workReportService.buildTemplateSections(activity, period);
+    const content = Object.fromEntries(sections.map(section => [section.key, section.content]));
+
+    expect(sections.map(section => section.key)).toEqual(
+      workReportService.sectionDefinitions.map(section => section.key)
+    );
+    expect(content.summary).toBe('本期完成任务1项（实际投入3小时），进行中任务2项。参加会议1场，分析文档1份，日程安排1项。');
+    expect(content.completed).toBe('- 完成接口文档（6/4完成，3小时）');
+    expect(content.meetings).toContain('- 6/3 周例会：讨论了 发布计划');
+    expect(content.meetings).toContain('- [ ] 整理发布清单（周例会，截止6/11）');
+    expect(content.meetings).toContain('- 6/7 客户拜访');
+    expect(content.next).toBe('- 发布准备（截止6/12）\n- 整理发布清单（会议行动项，截止6/11）');
+    expect(content.issues).toBe('- 重构登录模块 已到截止日期（6/6），当前进度40%');
+  });
+
+  it('should mark empty sections', () => {
+    const empty = { completed: [], inProgress: [], upcoming: [], meetings: [], actionItems: [], documents: [], events: [] };
+    const sections = workReportService.buildTemplateSections(empty, period);
+    expect(sections.filter(section => section.key !== 'summary').every(section => section.content === '无')).toBe(true);
+  });
+
+  it('should export Markdown and DOCX', async () => {
+    const report = {
+      title: '张三的周报 (6/3-6/9)',
+      sections: [
+        { key: 'summary', title: '本期概述', content: '完成了 **A & B**' },
+        { key: 'completed', title: '已完成工作', content: '- 任务<1>' }
+      ]
+    };
+
+    expect(workReportService.toMarkdown(report))
+      .toBe('# 张三的周报 (6/3-6/9)\n\n## 本期概述\n\n完成了 **A & B**\n\n## 已完成工作\n\n- 任务<1>\n');
+
+    const zip = await JSZip.loadAsync(await workReportService.toDocx(report));
+    expect(Object.keys(zip.files)).toEqual(expect.arrayContaining(['[Content_Types].xml', '_rels/.rels', 'word/document.xml']));
+    const document = await zip.file('word/document.xml').async('string');
+    expect(document).toContain('完成了 A &amp; B');
+    expect(document).toContain('• 任务&lt;1&gt;');
+  });
+
+  it('should parse AI sections and ignore unknown keys', () => {
+    const sections = workReportService.sectionDefinitions;
+    const parsed = aiService.parseWorkReportResponse(
+      '```json\n{"summary": "本周进展顺利", "completed": " ", "extra": "忽略"}\n```',
+      sections
+    );
+    expect(parsed).toEqual({ summary: '本周进展顺利' });
+    expect(aiService.parseWorkReportResponse('无法生成', sections)).toBeNull();
+  });
+
+  it('should validate schedule settings and match the send time', () => {
+    const { settings } = workReportService.validateSettings({}, { enabled: true, hour: '9', channels: ['wechat', 'wechat'] });
+    expect(settings).toEqual({ enabled: true, frequency: 'weekly', dayOfWeek: 5, hour: 9, channels: ['wechat'] });
+    expect(workReportService.validateSettings({}, { hour: 24 }).error).toBe('发送时间必须是0到23之间的整数');
+    expect(workReportService.validateSettings({}, { channels: ['sms'] }).error).toBe('发送渠道只能是 email 或 wechat');
+
+    // 2024-06-07 为周五，2024-06-30 为6月最后一天
+    expect(workReportService.isDue(settings, at(7, 9))).toBe(true);
+    expect(workReportService.isDue(settings, at(7, 10))).toBe(false);
+    expect(workReportService.isDue({ ...settings, enabled: false }, at(7, 9))).toBe(false);
+    expect(workReportService.isDue({ ...settings, frequency: 'monthly' }, at(30, 9))).toBe(true);
+    expect(workReportService.isDue({ ...settings, frequency: 'monthly' }, at(29, 9))).toBe(false);
+  });
+
+  describe('runScheduledReports', () => {
+    const settings = { enabled: true, frequency: 'weekly', dayOfWeek: 5, hour: 17, channels: ['email'] };
+    const buildUser = () => ({ _id: new mongoose.Types.ObjectId(), username: 'zhangsan', settings: { workReports: settings } });
+    const buildReport = (user, data = {}) => new WorkReport({
+      user: user._id,
+      type: 'weekly',
+      periodStart: period.start,
+      periodEnd: period.end,
+      title: '张三 周报',
+      ...data
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should send edited and final reports as they are and regenerate untouched drafts', async () => {
+      const edited = buildUser();
+      const final = buildUser();
+      const untouched = buildUser();
+      const fresh = buildUser();
+      const reports = new Map([
+        [edited, buildReport(edited, { editedAt: at(6, 9) })],
+        [final, buildReport(final, { status: 'final' })],
+        [untouched, buildReport(untouched)],
+        [fresh, null]
+      ]);
+      const users = [...reports.keys()];
+
+      jest.spyOn(User, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(users) });
+      jest.spyOn(WorkReport, 'exists').mockResolvedValue(null);
+      jest.spyOn(WorkReport, 'findOne').mockImplementation(query =>
+        Promise.resolve(reports.get(users.find(user => user._id === query.user)))
+      );
+      const generate = jest.spyOn(workReportService, 'generate').mockImplementation(user =>
+        Promise.resolve({ report: buildReport(user, { generatedBy: 'template' }) })
+      );
+      const deliver = jest.spyOn(workReportService, 'deliver').mockResolvedValue({});
+
+      expect(await workReportService.runScheduledReports(at(7, 17))).toBe(4);
+
+      expect(generate.mock.calls.map(([user]) => user)).toEqual([untouched, fresh]);
+      expect(deliver).toHaveBeenCalledWith(reports.get(edited), ['email'], { scheduled: true });
+      expect(deliver).toHaveBeenCalledWith(reports.get(final), ['email'], { scheduled: true });
+    });
+
+    it('should skip users whose report for the period was already sent on schedule', async () => {
+      jest.spyOn(User, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([buildUser()]) });
+      jest.spyOn(WorkReport, 'exists').mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+      const deliver = jest.spyOn(workReportService, 'deliver');
+
+      expect(await workReportService.runScheduledReports(at(7, 17))).toBe(0);
+      expect(deliver).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,27 @@
+// 以这些字符开头的文本会被 Excel 等表格软件当作公式执行
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * 转义CSV单元格：含逗号、引号或换行时加引号，
+ * 以公式字符开头的文本前加单引号，避免打开文件时执行公式（CSV注入）
+ */
+const escapeCsvValue = value => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * 生成CSV文本（带BOM，便于Excel识别中文）
+ * @param {Array<Array>} rows - 含表头的行
+ * @returns {string}
+ */
+const toCsv = rows => '\uFEFF' + rows.map(row => row.map(escapeCsvValue).join(',')).join('\n');
+
+module.exports = {
+  escapeCsvValue,
+  toCsv
+};
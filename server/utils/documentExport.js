@@ -0,0 +1,206 @@
+const JSZip = require('jszip');
+
+// A4 页面尺寸与页边距（pt）
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const PAGE_MARGIN = 56;
+
+// 正文与各级标题字号（pt）
+const BODY_FONT_SIZE = 11;
+const HEADING_FONT_SIZES = [20, 15, 13];
+
+const LINE_HEIGHT = 1.6;
+const BULLET_INDENT = 18;
+
+const escapeXml = text => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * 解析Markdown文本行：标题、列表项或普通段落，去掉加粗标记
+ * @returns {{text: string, heading: number, bullet: boolean}}
+ */
+const parseMarkdownLine = line => {
+  const heading = line.match(/^(#{1,6})\s+(.*)$/);
+  const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+  const text = heading ? heading[2] : bullet ? bullet[1] : line;
+  return {
+    text: text.replace(/\*\*(.+?)\*\*/g, '$1'),
+    heading: heading ? heading[1].length : 0,
+    bullet: !!bullet
+  };
+};
+
+const getMarkdownLines = markdown => markdown
+  .split('\n')
+  .filter(line => line.trim())
+  .map(parseMarkdownLine);
+
+/**
+ * Markdown文本行转换为Word段落
+ */
+const buildDocxParagraph = ({ text, heading, bullet }) => {
+  const runProperties = heading ? `<w:rPr><w:b/><w:sz w:val="${heading === 1 ? 36 : 28}"/></w:rPr>` : '';
+  const paragraphProperties = bullet ? '<w:pPr><w:ind w:left="420"/></w:pPr>' : '';
+  const content = bullet ? `• ${text}` : text;
+  return `<w:p>${paragraphProperties}<w:r>${runProperties}<w:t xml:space="preserve">${escapeXml(content)}</w:t></w:r></w:p>`;
+};
+
+/**
+ * Markdown导出为Word文档（docx），支持标题、列表和段落
+ * @param {string} markdown
+ * @returns {Promise<Buffer>}
+ */
+const markdownToDocx = markdown => {
+  const body = getMarkdownLines(markdown).map(buildDocxParagraph).join('');
+
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '</Types>');
+  zip.file('_rels/.rels',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '</Relationships>');
+  zip.file('word/document.xml',
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+    `<w:body>${body}</w:body>` +
+    '</w:document>');
+
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+// 半角字符按半个字宽计算
+const getCharWidth = (char, fontSize) => (char.charCodeAt(0) < 0x80 ? 0.5 : 1) * fontSize;
+
+/**
+ * 按可用宽度折行（逐字符，适用于中文）
+ */
+const wrapText = (text, fontSize, maxWidth) => {
+  const lines = [];
+  let current = '';
+  let width = 0;
+
+  for (const char of text) {
+    const charWidth = getCharWidth(char, fontSize);
+    if (width + charWidth > maxWidth && current) {
+      lines.push(current);
+      current = '';
+      width = 0;
+    }
+    current += char;
+    width += charWidth;
+  }
+  if (current) lines.push(current);
+  return lines;
+};
+
+// UCS-2 编码的十六进制字符串；基本平面以外的字符（如表情）无法显示，直接忽略
+const toPdfHex = text => Array.from(text)
+  .map(char => char.codePointAt(0))
+  .filter(code => code <= 0xffff)
+  .map(code => code.toString(16).padStart(4, '0'))
+  .join('')
+  .toUpperCase();
+
+/**
+ * Markdown排版为PDF页面内容流
+ * @returns {Array<string>} 每页的内容流
+ */
+const layoutPdfPages = markdown => {
+  const maxWidth = PAGE_WIDTH - PAGE_MARGIN * 2;
+  const pages = [];
+  let commands = [];
+  let y = PAGE_HEIGHT - PAGE_MARGIN;
+
+  getMarkdownLines(markdown).forEach(({ text, heading, bullet }) => {
+    const fontSize = heading ? HEADING_FONT_SIZES[Math.min(heading, HEADING_FONT_SIZES.length) - 1] : BODY_FONT_SIZE;
+    const lineHeight = fontSize * LINE_HEIGHT;
+    const indent = bullet ? BULLET_INDENT : 0;
+    const lines = wrapText(bullet ? `· ${text}` : text, fontSize, maxWidth - indent);
+
+    // 标题前留出段落间距
+    if (heading && commands.length > 0) y -= fontSize * 0.5;
+
+    lines.forEach(line => {
+      if (y - lineHeight < PAGE_MARGIN) {
+        pages.push(commands.join('\n'));
+        commands = [];
+        y = PAGE_HEIGHT - PAGE_MARGIN;
+      }
+      y -= lineHeight;
+      commands.push(`BT /F1 ${fontSize} Tf ${PAGE_MARGIN + indent} ${y.toFixed(2)} Td <${toPdfHex(line)}> Tj ET`);
+    });
+  });
+
+  pages.push(commands.join('\n'));
+  return pages;
+};
+
+/**
+ * Markdown导出为PDF
+ * 使用 PDF 阅读器内置的 STSong-Light 中文字体（不嵌入字体文件），支持标题、列表、段落和自动分页
+ * @param {string} markdown
+ * @returns {Buffer}
+ */
+const markdownToPdf = markdown => {
+  const pages = layoutPdfPages(markdown);
+  const objects = [];
+  const addObject = content => {
+    objects.push(content);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontId = addObject(null);
+  const cidFontId = addObject(null);
+  const descriptorId = addObject(
+    '<< /Type /FontDescriptor /FontName /STSong-Light /Flags 6 /FontBBox [-25 -254 1000 880] ' +
+    '/ItalicAngle 0 /Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>'
+  );
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[fontId - 1] = '<< /Type /Font /Subtype /Type0 /BaseFont /STSong-Light /Encoding /UniGB-UCS2-H ' +
+    `/DescendantFonts [${cidFontId} 0 R] >>`;
+  objects[cidFontId - 1] = '<< /Type /Font /Subtype /CIDFontType0 /BaseFont /STSong-Light ' +
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (GB1) /Supplement 2 >> ' +
+    `/FontDescriptor ${descriptorId} 0 R /DW 1000 /W [1 95 500] >>`;
+
+  const pageIds = pages.map(stream => {
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${fontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+  });
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // 内容均为ASCII（文字以十六进制编码），字符串长度即字节偏移
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((content, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${content}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'ascii');
+};
+
+module.exports = {
+  markdownToDocx,
+  markdownToPdf,
+  wrapText
+};